@@ -2,11 +2,23 @@ const {
     listEvents,
     addEvent,
     getEvent,
-    updateEventById
+    updateEventById,
+    cancelEventById,
+    archiveEventById,
+    listSeries,
+    getSeriesDetails,
+    addSeries,
+    updateSeriesById
 } = require('../../../controllers/adminController');
 
 jest.mock('../../../models/adminModel');
+jest.mock('../../../models/venueModel');
+jest.mock('../../../models/seriesModel');
+jest.mock('../../../jobs/eventCancellationJob');
 const adminModel = require('../../../models/adminModel');
+const venueModel = require('../../../models/venueModel');
+const seriesModel = require('../../../models/seriesModel');
+const { startCancellationJob } = require('../../../jobs/eventCancellationJob');
 
 describe('Admin Controller - listEvents', () => {
     let req, res;
@@ -51,6 +63,16 @@ describe('Admin Controller - listEvents', () => {
         });
     });
 
+    test('should hide archived events unless asked to include them', async () => {
+        adminModel.getEvents.mockResolvedValue([]);
+
+        await listEvents(req, res);
+        expect(adminModel.getEvents).toHaveBeenLastCalledWith({ includeArchived: false });
+
+        await listEvents({ query: { includeArchived: 'true' } }, res);
+        expect(adminModel.getEvents).toHaveBeenLastCalledWith({ includeArchived: true });
+    });
+
     test('should handle database errors gracefully', async () => {
         adminModel.getEvents.mockRejectedValue(new Error('Database connection failed'));
 
@@ -99,7 +121,10 @@ describe('Admin Controller - addEvent', () => {
         expect(adminModel.createEvent).toHaveBeenCalledWith({
             name: 'Basketball Game',
             date: '2025-12-20',
-            tickets_available: 200
+            tickets_available: 200,
+            price_cents: 0,
+            currency: 'USD',
+            max_per_user: null
         });
         expect(res.status).toHaveBeenCalledWith(201);
         expect(res.json).toHaveBeenCalledWith({
@@ -125,7 +150,10 @@ describe('Admin Controller - addEvent', () => {
         expect(adminModel.createEvent).toHaveBeenCalledWith({
             name: 'Basketball Game',
             date: '2025-12-20',
-            tickets_available: 200
+            tickets_available: 200,
+            price_cents: 0,
+            currency: 'USD',
+            max_per_user: null
         });
     });
 
@@ -391,6 +419,133 @@ describe('Admin Controller - addEvent', () => {
         );
     });
 
+    test('should create an event with a price and normalized currency', async () => {
+        req = {
+            body: {
+                name: 'Concert',
+                date: '2099-12-20',
+                tickets_available: 200,
+                price_cents: '2500',
+                currency: 'eur'
+            }
+        };
+
+        adminModel.createEvent.mockResolvedValue({ id: 1, name: 'Concert' });
+
+        await addEvent(req, res);
+
+        expect(adminModel.createEvent).toHaveBeenCalledWith({
+            name: 'Concert',
+            date: '2099-12-20',
+            tickets_available: 200,
+            price_cents: 2500,
+            currency: 'EUR',
+            max_per_user: null,
+            starts_at: null,
+            ends_at: null,
+            time_zone: 'America/New_York',
+            sales_start: null,
+            sales_end: null,
+            venue_id: null,
+            category: 'other'
+        });
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should create an event with a per-user purchase limit', async () => {
+        req = {
+            body: {
+                name: 'Concert',
+                date: '2099-12-20',
+                tickets_available: 200,
+                max_per_user: '6'
+            }
+        };
+
+        adminModel.createEvent.mockResolvedValue({ id: 1, name: 'Concert', max_per_user: 6 });
+
+        await addEvent(req, res);
+
+        expect(adminModel.createEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ max_per_user: 6 })
+        );
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test.each([
+        ['zero', 0],
+        ['negative', -2],
+        ['fractional', 1.5],
+        ['too large', 1001]
+    ])('should reject event with %s purchase limit', async (label, max_per_user) => {
+        req = {
+            body: {
+                name: 'Concert',
+                date: '2099-12-20',
+                tickets_available: 200,
+                max_per_user
+            }
+        };
+
+        await addEvent(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(adminModel.createEvent).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['negative', -100],
+        ['fractional', 12.5],
+        ['non-numeric', 'ten dollars'],
+        ['too large', 100000001],
+        ['null', null]
+    ])('should reject event with %s price', async (label, price_cents) => {
+        req = {
+            body: {
+                name: 'Concert',
+                date: '2099-12-20',
+                tickets_available: 200,
+                price_cents
+            }
+        };
+
+        await addEvent(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(
+            expect.objectContaining({
+                success: false,
+                details: expect.arrayContaining([
+                    expect.stringContaining('whole number of cents')
+                ])
+            })
+        );
+        expect(adminModel.createEvent).not.toHaveBeenCalled();
+    });
+
+    test('should reject event with invalid currency code', async () => {
+        req = {
+            body: {
+                name: 'Concert',
+                date: '2099-12-20',
+                tickets_available: 200,
+                price_cents: 1000,
+                currency: 'DOLLARS'
+            }
+        };
+
+        await addEvent(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(
+            expect.objectContaining({
+                details: expect.arrayContaining([
+                    expect.stringContaining('ISO 4217')
+                ])
+            })
+        );
+    });
+
     test('should handle database errors during creation', async () => {
         req = {
             body: {
@@ -412,6 +567,267 @@ describe('Admin Controller - addEvent', () => {
             })
         );
     });
+
+    describe('event details and schedule', () => {
+        const details = {
+            name: 'Jazz Night',
+            tickets_available: 300,
+            starts_at: '2099-04-10T19:30:00-04:00',
+            ends_at: '2099-04-10T22:00:00-04:00',
+            venue_id: 2,
+            description: 'An evening of big band jazz.',
+            category: 'arts',
+            image_url: 'https://example.com/jazz.png'
+        };
+
+        beforeEach(() => {
+            adminModel.createEvent.mockResolvedValue({ id: 1, name: 'Jazz Night' });
+            venueModel.getVenueById.mockResolvedValue({ id: 2, name: 'Brooks Center', capacity: 1000 });
+        });
+
+        test('should store the schedule in UTC and derive the date from the start time', async () => {
+            req = { body: details };
+
+            await addEvent(req, res);
+
+            expect(adminModel.createEvent).toHaveBeenCalledWith({
+                name: 'Jazz Night',
+                date: '2099-04-10',
+                tickets_available: 300,
+                price_cents: 0,
+                currency: 'USD',
+                max_per_user: null,
+                starts_at: '2099-04-10T23:30:00.000Z',
+                ends_at: '2099-04-11T02:00:00.000Z',
+                time_zone: 'America/New_York',
+                sales_start: null,
+                sales_end: null,
+                venue_id: 2,
+                description: 'An evening of big band jazz.',
+                category: 'arts',
+                image_url: 'https://example.com/jazz.png'
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should use the event\'s time zone to find its date', async () => {
+            req = { body: { ...details, starts_at: '2099-04-11T01:00:00Z', ends_at: undefined, time_zone: 'America/Los_Angeles' } };
+
+            await addEvent(req, res);
+
+            expect(adminModel.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                date: '2099-04-10',
+                time_zone: 'America/Los_Angeles'
+            }));
+        });
+
+        test('should store blank optional text as null', async () => {
+            req = { body: { ...details, description: '   ', image_url: null } };
+
+            await addEvent(req, res);
+
+            expect(adminModel.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                description: null,
+                image_url: null
+            }));
+        });
+
+        test('should reject a date that does not match the start time', async () => {
+            req = { body: { ...details, date: '2099-04-11' } };
+
+            await addEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Event date must be 2099-04-10 to match the start time in America/New_York'
+            ]);
+            expect(adminModel.createEvent).not.toHaveBeenCalled();
+        });
+
+        test('should reject invalid schedule and detail fields', async () => {
+            req = {
+                body: {
+                    ...details,
+                    starts_at: '2099-04-10T19:30:00Z',
+                    ends_at: '2099-04-10T18:00:00Z',
+                    time_zone: 'Mars/Olympus_Mons',
+                    venue_id: 'main hall',
+                    description: 'x'.repeat(5001),
+                    category: 'sports',
+                    image_url: 'javascript:alert(1)'
+                }
+            };
+
+            await addEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Time zone must be an IANA time zone name such as America/New_York',
+                'End time must be after start time',
+                'Venue ID must be a positive integer',
+                'Description cannot exceed 5000 characters',
+                'Category must be one of: athletics, arts, career, academic, social, other',
+                'Image URL must be an http or https URL of at most 2048 characters'
+            ]);
+        });
+
+        test('should reject malformed times and an end without a start', async () => {
+            req = { body: { ...details, starts_at: undefined, date: '2099-04-10', ends_at: 'tonight' } };
+
+            await addEvent(req, res);
+
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'End time must be an ISO 8601 date-time',
+                'End time requires a start time'
+            ]);
+
+            res.json.mockClear();
+            req = { body: { ...details, starts_at: 'soon', venue_id: -3, description: 7 } };
+
+            await addEvent(req, res);
+
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Start time must be an ISO 8601 date-time',
+                'Venue ID must be a positive integer',
+                'Description must be a string'
+            ]);
+        });
+
+        test('should reject a start time in the past', async () => {
+            req = { body: { ...details, starts_at: '2020-04-10T19:30:00Z', ends_at: undefined } };
+
+            await addEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toContain('Event start time cannot be in the past');
+        });
+
+        test('should store the sales window in UTC', async () => {
+            req = { body: { ...details, sales_start: '2099-03-01T10:00:00-05:00', sales_end: '2099-04-10T18:00:00-04:00' } };
+
+            await addEvent(req, res);
+
+            expect(adminModel.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                sales_start: '2099-03-01T15:00:00.000Z',
+                sales_end: '2099-04-10T22:00:00.000Z'
+            }));
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should reject a sales window that is malformed, backwards or runs past the start', async () => {
+            req = { body: { ...details, sales_start: 'next week', sales_end: 'later' } };
+
+            await addEvent(req, res);
+
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Sales start must be an ISO 8601 date-time',
+                'Sales end must be an ISO 8601 date-time'
+            ]);
+
+            res.json.mockClear();
+            req = { body: { ...details, sales_start: '2099-04-11T00:00:00Z', sales_end: '2099-04-10T23:45:00Z' } };
+
+            await addEvent(req, res);
+
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Sales end must be after sales start',
+                'Sales start must be before the start time',
+                'Sales end cannot be after the start time'
+            ]);
+            expect(adminModel.createEvent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('venue', () => {
+        const eventData = {
+            name: 'Jazz Night',
+            tickets_available: 300,
+            starts_at: '2099-04-10T23:30:00.000Z',
+            ends_at: '2099-04-11T02:00:00.000Z',
+            venue_id: 2
+        };
+        const createdEvent = { id: 5, ...eventData, venue: 'Brooks Center' };
+
+        beforeEach(() => {
+            venueModel.getVenueById.mockResolvedValue({ id: 2, name: 'Brooks Center', capacity: 1000 });
+            venueModel.getOverlappingEvents.mockResolvedValue([]);
+            adminModel.createEvent.mockResolvedValue(createdEvent);
+        });
+
+        test('should reject a venue that does not exist', async () => {
+            venueModel.getVenueById.mockResolvedValue(null);
+            req = { body: eventData };
+
+            await addEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual(['No venue found with ID 2']);
+            expect(adminModel.createEvent).not.toHaveBeenCalled();
+        });
+
+        test('should reject more tickets than the venue holds', async () => {
+            req = { body: { ...eventData, tickets_available: 1001 } };
+
+            await addEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Tickets available (1001) cannot exceed the capacity of Brooks Center (1000)'
+            ]);
+            expect(adminModel.createEvent).not.toHaveBeenCalled();
+        });
+
+        test('should not look up the venue when other fields are invalid', async () => {
+            req = { body: { ...eventData, name: '' } };
+
+            await addEvent(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(venueModel.getVenueById).not.toHaveBeenCalled();
+        });
+
+        test('should warn about other events booked into the venue at the same time', async () => {
+            venueModel.getOverlappingEvents.mockResolvedValue([{ id: 3, name: 'Choir Concert' }]);
+            req = { body: eventData };
+
+            await addEvent(req, res);
+
+            expect(venueModel.getOverlappingEvents).toHaveBeenCalledWith(2, {
+                starts_at: '2099-04-10T23:30:00.000Z',
+                ends_at: '2099-04-11T02:00:00.000Z',
+                excludeEventId: 5
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                data: createdEvent,
+                message: 'Event created successfully',
+                warnings: ['Brooks Center is also booked for "Choir Concert" (event 3) at an overlapping time']
+            });
+        });
+
+        test('should leave out warnings when the venue is free', async () => {
+            req = { body: eventData };
+
+            await addEvent(req, res);
+
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                data: createdEvent,
+                message: 'Event created successfully'
+            });
+        });
+
+        test('should not check for double bookings without a start time', async () => {
+            adminModel.createEvent.mockResolvedValue({ ...createdEvent, starts_at: null, ends_at: null });
+            req = { body: { ...eventData, starts_at: undefined, ends_at: undefined, date: '2099-04-10' } };
+
+            await addEvent(req, res);
+
+            expect(venueModel.getOverlappingEvents).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+    });
 });
 
 describe('Admin Controller - getEvent', () => {
@@ -581,6 +997,7 @@ describe('Admin Controller - updateEventById', () => {
             }
         };
 
+        adminModel.getEventById.mockResolvedValue({ id: 1, date: '2025-12-20', starts_at: null, ends_at: null, time_zone: 'America/New_York' });
         adminModel.updateEvent.mockResolvedValue(updatedEvent);
 
         await updateEventById(req, res);
@@ -635,6 +1052,83 @@ describe('Admin Controller - updateEventById', () => {
         });
     });
 
+    test('should update ticket price and currency', async () => {
+        req = {
+            params: { id: '1' },
+            body: { price_cents: 1999, currency: 'usd' }
+        };
+
+        adminModel.updateEvent.mockResolvedValue({ id: 1, price_cents: 1999, currency: 'USD' });
+
+        await updateEventById(req, res);
+
+        expect(adminModel.updateEvent).toHaveBeenCalledWith(1, {
+            price_cents: 1999,
+            currency: 'USD'
+        });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should reject invalid price in update', async () => {
+        req = {
+            params: { id: '1' },
+            body: { price_cents: -1 }
+        };
+
+        await updateEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid ticket price',
+            message: 'Ticket price must be a whole number of cents between 0 and 100000000'
+        });
+        expect(adminModel.updateEvent).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid currency in update', async () => {
+        req = {
+            params: { id: '1' },
+            body: { currency: 'US' }
+        };
+
+        await updateEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid currency',
+            message: 'Currency must be a three-letter ISO 4217 code such as USD'
+        });
+    });
+
+    test('should update and clear the per-user purchase limit', async () => {
+        adminModel.updateEvent.mockResolvedValue({ id: 1, max_per_user: 4 });
+
+        await updateEventById({ params: { id: '1' }, body: { max_per_user: '4' } }, res);
+        expect(adminModel.updateEvent).toHaveBeenCalledWith(1, { max_per_user: 4 });
+
+        await updateEventById({ params: { id: '1' }, body: { max_per_user: null } }, res);
+        expect(adminModel.updateEvent).toHaveBeenLastCalledWith(1, { max_per_user: null });
+    });
+
+    test('should reject an invalid per-user purchase limit in update', async () => {
+        req = {
+            params: { id: '1' },
+            body: { max_per_user: 0 }
+        };
+
+        await updateEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid purchase limit',
+            message: 'Max tickets per user must be a whole number between 1 and 1000, or null for no limit'
+        });
+        expect(adminModel.updateEvent).not.toHaveBeenCalled();
+    });
+
     test('should return 404 for non-existent event', async () => {
         req = {
             params: { id: '999' },
@@ -665,7 +1159,7 @@ describe('Admin Controller - updateEventById', () => {
         expect(res.json).toHaveBeenCalledWith({
             success: false,
             error: 'No update data provided',
-            message: 'At least one field (name, date, tickets_available) must be provided'
+            message: 'At least one field (name, date, tickets_available, price_cents, currency, max_per_user, starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url) must be provided'
         });
     });
 
@@ -783,4 +1277,908 @@ describe('Admin Controller - updateEventById', () => {
             })
         );
     });
+
+    describe('event details and schedule', () => {
+        const currentEvent = {
+            id: 1,
+            name: 'Jazz Night',
+            date: '2099-04-10',
+            starts_at: '2099-04-10T23:30:00.000Z',
+            ends_at: '2099-04-11T02:00:00.000Z',
+            time_zone: 'America/New_York'
+        };
+
+        beforeEach(() => {
+            adminModel.getEventById.mockResolvedValue(currentEvent);
+            adminModel.updateEvent.mockResolvedValue(currentEvent);
+        });
+
+        test('should update descriptive fields without looking up the schedule', async () => {
+            req = {
+                params: { id: '1' },
+                body: { description: '', category: 'arts', image_url: null }
+            };
+
+            await updateEventById(req, res);
+
+            expect(adminModel.getEventById).not.toHaveBeenCalled();
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, {
+                description: null,
+                category: 'arts',
+                image_url: null
+            });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should reject invalid descriptive fields', async () => {
+            req = { params: { id: '1' }, body: { category: 'sports' } };
+
+            await updateEventById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Validation failed',
+                message: 'Invalid input data provided',
+                details: ['Category must be one of: athletics, arts, career, academic, social, other']
+            });
+            expect(adminModel.updateEvent).not.toHaveBeenCalled();
+        });
+
+        test('should move the date with a new start time', async () => {
+            req = { params: { id: '1' }, body: { starts_at: '2099-04-12T19:30:00-04:00', ends_at: null } };
+
+            await updateEventById(req, res);
+
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, {
+                starts_at: '2099-04-12T23:30:00.000Z',
+                ends_at: null,
+                date: '2099-04-12'
+            });
+        });
+
+        test('should move the date when the time zone changes', async () => {
+            req = { params: { id: '1' }, body: { time_zone: 'Asia/Tokyo' } };
+
+            await updateEventById(req, res);
+
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, {
+                time_zone: 'Asia/Tokyo',
+                date: '2099-04-11'
+            });
+        });
+
+        test('should check a new end time against the current start time', async () => {
+            req = { params: { id: '1' }, body: { ends_at: '2099-04-10T20:00:00Z' } };
+
+            await updateEventById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual(['End time must be after start time']);
+        });
+
+        test('should check a new sales window against the current start time', async () => {
+            req = { params: { id: '1' }, body: { sales_start: '2099-03-01T15:00:00Z', sales_end: '2099-04-10T22:00:00Z' } };
+
+            await updateEventById(req, res);
+
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, {
+                sales_start: '2099-03-01T15:00:00.000Z',
+                sales_end: '2099-04-10T22:00:00.000Z'
+            });
+
+            res.status.mockClear();
+            req = { params: { id: '1' }, body: { sales_end: '2099-04-11T00:00:00Z' } };
+
+            await updateEventById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[1][0].details).toEqual(['Sales end cannot be after the start time']);
+        });
+
+        test('should reject a date that differs from the current start time', async () => {
+            req = { params: { id: '1' }, body: { date: '2099-05-01' } };
+
+            await updateEventById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Event date must be 2099-04-10 to match the start time in America/New_York'
+            ]);
+        });
+
+        test('should return 404 when the event to reschedule does not exist', async () => {
+            adminModel.getEventById.mockResolvedValue(null);
+            req = { params: { id: '99' }, body: { starts_at: '2099-04-12T19:30:00Z' } };
+
+            await updateEventById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(adminModel.updateEvent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('venue', () => {
+        const currentEvent = {
+            id: 1,
+            name: 'Jazz Night',
+            date: '2099-04-10',
+            tickets_available: 800,
+            starts_at: '2099-04-10T23:30:00.000Z',
+            ends_at: '2099-04-11T02:00:00.000Z',
+            time_zone: 'America/New_York',
+            venue_id: 2,
+            venue: 'Brooks Center'
+        };
+
+        beforeEach(() => {
+            adminModel.getEventById.mockResolvedValue(currentEvent);
+            adminModel.updateEvent.mockResolvedValue(currentEvent);
+            venueModel.getVenueById.mockResolvedValue({ id: 2, name: 'Brooks Center', capacity: 1000 });
+            venueModel.getOverlappingEvents.mockResolvedValue([]);
+            venueModel.countTicketsTaken.mockResolvedValue(0);
+        });
+
+        test('should count the tickets already sold or held against the venue', async () => {
+            venueModel.countTicketsTaken.mockResolvedValue(300);
+            req = { params: { id: '1' }, body: { tickets_available: 800 } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.countTicketsTaken).toHaveBeenCalledWith(1);
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Tickets available (800) plus the 300 already sold or held cannot exceed the capacity of Brooks Center (1000)'
+            ]);
+            expect(adminModel.updateEvent).not.toHaveBeenCalled();
+        });
+
+        test('should check a new ticket count against the current venue', async () => {
+            req = { params: { id: '1' }, body: { tickets_available: 1200 } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.getVenueById).toHaveBeenCalledWith(2);
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Tickets available (1200) cannot exceed the capacity of Brooks Center (1000)'
+            ]);
+            expect(adminModel.updateEvent).not.toHaveBeenCalled();
+        });
+
+        test('should check the current ticket count against a new venue', async () => {
+            venueModel.getVenueById.mockResolvedValue({ id: 4, name: 'Tillman Auditorium', capacity: 600 });
+            req = { params: { id: '1' }, body: { venue_id: 4 } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.getVenueById).toHaveBeenCalledWith(4);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'Tickets available (800) cannot exceed the capacity of Tillman Auditorium (600)'
+            ]);
+        });
+
+        test('should reject a venue that does not exist', async () => {
+            venueModel.getVenueById.mockResolvedValue(null);
+            req = { params: { id: '1' }, body: { venue_id: '9' } };
+
+            await updateEventById(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual(['No venue found with ID 9']);
+        });
+
+        test('should move the event to a new venue and warn about double bookings', async () => {
+            const movedEvent = { ...currentEvent, venue_id: 4, venue: 'Tillman Auditorium' };
+            adminModel.updateEvent.mockResolvedValue(movedEvent);
+            venueModel.getVenueById.mockResolvedValue({ id: 4, name: 'Tillman Auditorium', capacity: 900 });
+            venueModel.getOverlappingEvents.mockResolvedValue([{ id: 6, name: 'Lecture' }]);
+            req = { params: { id: '1' }, body: { venue_id: '4' } };
+
+            await updateEventById(req, res);
+
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, { venue_id: 4 });
+            expect(venueModel.getOverlappingEvents).toHaveBeenCalledWith(4, {
+                starts_at: '2099-04-10T23:30:00.000Z',
+                ends_at: '2099-04-11T02:00:00.000Z',
+                excludeEventId: 1
+            });
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                data: movedEvent,
+                message: 'Event updated successfully',
+                warnings: ['Tillman Auditorium is also booked for "Lecture" (event 6) at an overlapping time']
+            });
+        });
+
+        test('should clear the venue without checking capacity', async () => {
+            adminModel.updateEvent.mockResolvedValue({ ...currentEvent, venue_id: null, venue: null });
+            req = { params: { id: '1' }, body: { venue_id: null } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.getVenueById).not.toHaveBeenCalled();
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, { venue_id: null });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should only check for double bookings when the venue or times change', async () => {
+            req = { params: { id: '1' }, body: { tickets_available: 900 } };
+
+            await updateEventById(req, res);
+
+            expect(adminModel.updateEvent).toHaveBeenCalledWith(1, { tickets_available: 900 });
+            expect(venueModel.getOverlappingEvents).not.toHaveBeenCalled();
+
+            req = { params: { id: '1' }, body: { ends_at: '2099-04-11T03:00:00Z' } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.getOverlappingEvents).toHaveBeenCalledTimes(1);
+        });
+
+        test('should lock the venue and ticket count of an event selling reserved seats', async () => {
+            venueModel.countEventSeats.mockResolvedValue(800);
+            req = { params: { id: '1' }, body: { tickets_available: 900 } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.countEventSeats).toHaveBeenCalledWith(1);
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toEqual([
+                'The venue and ticket count of an event selling reserved seats cannot be changed'
+            ]);
+
+            req = { params: { id: '1' }, body: { venue_id: null } };
+
+            await updateEventById(req, res);
+
+            expect(res.json.mock.calls[1][0].details).toEqual([
+                'The venue and ticket count of an event selling reserved seats cannot be changed'
+            ]);
+            expect(adminModel.updateEvent).not.toHaveBeenCalled();
+        });
+
+        test('should only look for reserved seats when the venue or ticket count changes', async () => {
+            req = { params: { id: '1' }, body: { venue_id: 2, tickets_available: 800, name: 'Late Jazz' } };
+
+            await updateEventById(req, res);
+
+            expect(venueModel.countEventSeats).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+});
+
+describe('Admin Controller - cancelEventById', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = { params: { id: '1' }, body: { reason: '  Severe weather  ' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+    });
+
+    test('should cancel the event with the trimmed reason and start refunding its orders', async () => {
+        const cancelled = { id: 1, name: 'Game', status: 'cancelled', cancellation_reason: 'Severe weather' };
+        const cancellation = { event_id: 1, status: 'pending', orders_total: 4, orders_refunded: 0 };
+        adminModel.cancelEvent.mockResolvedValue(cancelled);
+        startCancellationJob.mockResolvedValue(cancellation);
+
+        await cancelEventById(req, res);
+
+        expect(adminModel.cancelEvent).toHaveBeenCalledWith(1, 'Severe weather');
+        expect(startCancellationJob).toHaveBeenCalledWith(1);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: cancelled,
+            cancellation,
+            message: 'Event cancelled successfully. Outstanding orders are being refunded.'
+        });
+    });
+
+    test('should require a reason', async () => {
+        req.body = { reason: '   ' };
+
+        await cancelEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            message: 'A cancellation reason is required'
+        }));
+        expect(adminModel.cancelEvent).not.toHaveBeenCalled();
+    });
+
+    test('should reject overly long reasons', async () => {
+        req.body = { reason: 'x'.repeat(501) };
+
+        await cancelEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(adminModel.cancelEvent).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for invalid event IDs', async () => {
+        req.params.id = 'abc';
+
+        await cancelEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(adminModel.cancelEvent).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the event does not exist', async () => {
+        adminModel.cancelEvent.mockResolvedValue(null);
+
+        await cancelEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should return 409 when the event is already cancelled', async () => {
+        adminModel.cancelEvent.mockRejectedValue(new Error('Event is already cancelled'));
+
+        await cancelEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Event cannot be cancelled',
+            message: 'Event is already cancelled'
+        });
+    });
+
+    test('should handle database errors gracefully', async () => {
+        adminModel.cancelEvent.mockRejectedValue(new Error('Database connection failed'));
+
+        await cancelEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Admin Controller - archiveEventById', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = { params: { id: '1' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+    });
+
+    test('should archive the event', async () => {
+        const archived = { id: 1, name: 'Game', status: 'archived' };
+        adminModel.archiveEvent.mockResolvedValue(archived);
+
+        await archiveEventById(req, res);
+
+        expect(adminModel.archiveEvent).toHaveBeenCalledWith(1);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: archived,
+            message: 'Event archived successfully'
+        });
+    });
+
+    test('should return 404 when the event does not exist', async () => {
+        adminModel.archiveEvent.mockResolvedValue(null);
+
+        await archiveEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should return 409 when the event still has valid tickets', async () => {
+        adminModel.archiveEvent.mockRejectedValue(new Error('Event has 3 valid tickets outstanding; cancel it before archiving'));
+
+        await archiveEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Event cannot be archived',
+            message: 'Event has 3 valid tickets outstanding; cancel it before archiving'
+        });
+    });
+
+    test('should handle database errors gracefully', async () => {
+        adminModel.archiveEvent.mockRejectedValue(new Error('Database connection failed'));
+
+        await archiveEventById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Admin Controller - listSeries and getSeriesDetails', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+    });
+
+    test('should list all series', async () => {
+        const mockSeries = [{ id: 7, name: 'Jazz Night', frequency: 'weekly', occurrence_count: 4 }];
+        seriesModel.getSeries.mockResolvedValue(mockSeries);
+        req = {};
+
+        await listSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, data: mockSeries, count: 1 });
+    });
+
+    test('should handle database errors when listing series', async () => {
+        seriesModel.getSeries.mockRejectedValue(new Error('Database connection failed'));
+        req = {};
+
+        await listSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    test('should return a series with its occurrences', async () => {
+        const mockSeries = { id: 7, name: 'Jazz Night', occurrences: [{ id: 20 }] };
+        seriesModel.getSeriesById.mockResolvedValue(mockSeries);
+        req = { params: { id: '7' } };
+
+        await getSeriesDetails(req, res);
+
+        expect(seriesModel.getSeriesById).toHaveBeenCalledWith(7);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, data: mockSeries });
+    });
+
+    test('should reject an invalid series ID', async () => {
+        req = { params: { id: 'abc' } };
+
+        await getSeriesDetails(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(seriesModel.getSeriesById).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the series does not exist', async () => {
+        seriesModel.getSeriesById.mockResolvedValue(null);
+        req = { params: { id: '99' } };
+
+        await getSeriesDetails(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Series not found',
+            message: 'No series found with ID 99'
+        });
+    });
+
+    test('should handle database errors when fetching a series', async () => {
+        seriesModel.getSeriesById.mockRejectedValue(new Error('Database connection failed'));
+        req = { params: { id: '7' } };
+
+        await getSeriesDetails(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Admin Controller - addSeries', () => {
+    let req, res;
+
+    const firstOccurrence = {
+        name: 'Jazz Night',
+        tickets_available: 80,
+        price_cents: 1500,
+        starts_at: '2099-03-06T00:00:00.000Z',
+        ends_at: '2099-03-06T02:00:00.000Z',
+        venue_id: 2,
+        category: 'arts'
+    };
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        venueModel.getVenueById.mockResolvedValue({ id: 2, name: 'Brooks Center', capacity: 100 });
+        venueModel.getOverlappingEvents.mockResolvedValue([]);
+        seriesModel.createSeries.mockImplementation(async (series, occurrences) => ({
+            id: 7,
+            ...series,
+            occurrences: occurrences.map((event, index) => ({ id: 20 + index, ...event, venue: 'Brooks Center' }))
+        }));
+    });
+
+    function getOccurrences() {
+        return seriesModel.createSeries.mock.calls[0][1];
+    }
+
+    test('should create a weekly series at the same local time each week', async () => {
+        req = { body: { ...firstOccurrence, recurrence: { frequency: 'weekly', count: 3 } } };
+
+        await addSeries(req, res);
+
+        expect(seriesModel.createSeries).toHaveBeenCalledWith({
+            name: 'Jazz Night',
+            frequency: 'weekly',
+            repeat_interval: 1,
+            time_zone: 'America/New_York'
+        }, expect.any(Array));
+        // Clocks spring forward between the first and second occurrences
+        expect(getOccurrences().map(event => [event.date, event.starts_at, event.ends_at])).toEqual([
+            ['2099-03-05', '2099-03-06T00:00:00.000Z', '2099-03-06T02:00:00.000Z'],
+            ['2099-03-12', '2099-03-12T23:00:00.000Z', '2099-03-13T01:00:00.000Z'],
+            ['2099-03-19', '2099-03-19T23:00:00.000Z', '2099-03-20T01:00:00.000Z']
+        ]);
+        expect(getOccurrences()[2]).toMatchObject({ name: 'Jazz Night', price_cents: 1500, venue_id: 2, category: 'arts' });
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: expect.objectContaining({ id: 7 }),
+            message: 'Series created with 3 occurrences'
+        });
+    });
+
+    test('should open and close sales the same number of days before each occurrence', async () => {
+        req = {
+            body: {
+                ...firstOccurrence,
+                sales_start: '2099-02-20T09:00:00-05:00',
+                sales_end: '2099-03-05T17:00:00-05:00',
+                recurrence: { frequency: 'weekly', count: 2 }
+            }
+        };
+
+        await addSeries(req, res);
+
+        expect(getOccurrences().map(event => [event.sales_start, event.sales_end])).toEqual([
+            ['2099-02-20T14:00:00.000Z', '2099-03-05T22:00:00.000Z'],
+            ['2099-02-27T14:00:00.000Z', '2099-03-12T21:00:00.000Z']
+        ]);
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should validate the sales window of the first occurrence', async () => {
+        req = { body: { ...firstOccurrence, sales_end: '2099-03-06T01:00:00Z', recurrence: { frequency: 'weekly', count: 2 } } };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual(['Sales end cannot be after the start time']);
+        expect(seriesModel.createSeries).not.toHaveBeenCalled();
+    });
+
+    test('should create a monthly series until a date, skipping months without the day', async () => {
+        req = {
+            body: {
+                name: 'Alumni Mixer',
+                date: '2099-01-31',
+                tickets_available: 50,
+                recurrence: { frequency: 'monthly', interval: '1', until: '2099-05-31' }
+            }
+        };
+
+        await addSeries(req, res);
+
+        expect(seriesModel.createSeries.mock.calls[0][0]).toMatchObject({ frequency: 'monthly', repeat_interval: 1 });
+        expect(getOccurrences().map(event => event.date)).toEqual(['2099-01-31', '2099-03-31', '2099-05-31']);
+        expect(getOccurrences()[1]).toMatchObject({ starts_at: null, ends_at: null });
+    });
+
+    test('should create a series on chosen dates', async () => {
+        req = {
+            body: {
+                name: 'Career Fair',
+                date: '2099-02-10',
+                tickets_available: 100,
+                category: 'career',
+                recurrence: { frequency: 'dates', dates: ['2099-10-06', '2099-04-14'] }
+            }
+        };
+
+        await addSeries(req, res);
+
+        expect(seriesModel.createSeries.mock.calls[0][0]).toMatchObject({ frequency: 'dates', repeat_interval: null });
+        expect(getOccurrences().map(event => event.date)).toEqual(['2099-02-10', '2099-04-14', '2099-10-06']);
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should require a recurrence rule', async () => {
+        req = { body: firstOccurrence };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Validation failed',
+            message: 'Invalid input data provided',
+            details: ['Recurrence rule is required']
+        });
+        expect(seriesModel.createSeries).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        [{ frequency: 'daily', count: 3 }, 'Recurrence frequency must be one of: weekly, monthly, dates'],
+        [{ frequency: 'weekly' }, 'Recurrence must end after a count or on an until date, but not both'],
+        [{ frequency: 'weekly', count: 3, until: '2099-06-01' }, 'Recurrence must end after a count or on an until date, but not both'],
+        [{ frequency: 'weekly', count: 1 }, 'Recurrence count must be a whole number between 2 and 104'],
+        [{ frequency: 'weekly', count: 105 }, 'Recurrence count must be a whole number between 2 and 104'],
+        [{ frequency: 'weekly', until: 'June' }, 'Recurrence until date must be in YYYY-MM-DD format'],
+        [{ frequency: 'monthly', interval: 13, count: 3 }, 'Recurrence interval must be a whole number between 1 and 12'],
+        [{ frequency: 'dates', dates: [] }, 'Recurrence dates must be a non-empty list of dates'],
+        [{ frequency: 'dates', dates: ['04/14/2099'] }, 'Recurrence dates must be in YYYY-MM-DD format'],
+        [{ frequency: 'dates', dates: ['2099-03-05'] }, 'Recurrence dates must be after the first occurrence on 2099-03-05']
+    ])('should reject the recurrence rule %j', async (recurrence, message) => {
+        req = { body: { ...firstOccurrence, recurrence } };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual([message]);
+        expect(seriesModel.createSeries).not.toHaveBeenCalled();
+    });
+
+    test('should reject a series with too many occurrences', async () => {
+        req = { body: { ...firstOccurrence, recurrence: { frequency: 'weekly', until: '2102-03-05' } } };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual(['A series cannot have more than 104 occurrences']);
+    });
+
+    test('should reject a series with a single occurrence', async () => {
+        req = { body: { ...firstOccurrence, recurrence: { frequency: 'weekly', until: '2099-03-10' } } };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual(['A series must have at least 2 occurrences']);
+    });
+
+    test('should report invalid event fields alongside the recurrence rule', async () => {
+        req = { body: { ...firstOccurrence, name: '', recurrence: { frequency: 'weekly' } } };
+
+        await addSeries(req, res);
+
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Event name is required',
+            'Recurrence must end after a count or on an until date, but not both'
+        ]);
+        expect(venueModel.getVenueById).not.toHaveBeenCalled();
+    });
+
+    test('should check the ticket count against the venue', async () => {
+        req = { body: { ...firstOccurrence, tickets_available: 101, recurrence: { frequency: 'weekly', count: 3 } } };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Tickets available (101) cannot exceed the capacity of Brooks Center (100)'
+        ]);
+    });
+
+    test('should warn about occurrences double-booked into the venue', async () => {
+        venueModel.getOverlappingEvents
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ id: 3, name: 'Choir Concert' }]);
+        req = { body: { ...firstOccurrence, recurrence: { frequency: 'weekly', count: 2 } } };
+
+        await addSeries(req, res);
+
+        expect(venueModel.getOverlappingEvents).toHaveBeenCalledTimes(2);
+        expect(res.json.mock.calls[0][0].warnings).toEqual([
+            'Brooks Center is also booked for "Choir Concert" (event 3) at an overlapping time'
+        ]);
+    });
+
+    test('should handle database errors gracefully', async () => {
+        seriesModel.createSeries.mockRejectedValue(new Error('Database connection failed'));
+        req = { body: { ...firstOccurrence, recurrence: { frequency: 'weekly', count: 3 } } };
+
+        await addSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Internal server error while creating series',
+            message: 'Unable to create series at this time'
+        });
+    });
+});
+
+describe('Admin Controller - updateSeriesById', () => {
+    let req, res;
+
+    const updatedSeries = {
+        id: 7,
+        name: 'Jazz Night',
+        occurrences: [
+            { id: 20, venue_id: 2, venue: 'Brooks Center', starts_at: '2099-03-06T00:00:00.000Z', ends_at: null },
+            { id: 21, venue_id: 2, venue: 'Brooks Center', starts_at: '2099-03-12T23:00:00.000Z', ends_at: null }
+        ]
+    };
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        venueModel.getVenueById.mockResolvedValue({ id: 2, name: 'Brooks Center', capacity: 100 });
+        venueModel.getOverlappingEvents.mockResolvedValue([]);
+        seriesModel.updateSeries.mockResolvedValue({ series: updatedSeries, updated: [20, 21] });
+    });
+
+    test('should copy the changes onto the upcoming occurrences', async () => {
+        req = {
+            params: { id: '7' },
+            body: { name: ' Jazz at the Brooks ', price_cents: 2000, currency: 'usd', max_per_user: 4, category: 'arts', description: '' }
+        };
+
+        await updateSeriesById(req, res);
+
+        expect(seriesModel.updateSeries).toHaveBeenCalledWith(7, {
+            name: 'Jazz at the Brooks',
+            price_cents: 2000,
+            currency: 'USD',
+            max_per_user: 4,
+            category: 'arts',
+            description: null
+        }, { fromEventId: null, startTime: undefined, endTime: undefined });
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: updatedSeries,
+            updated: [20, 21],
+            message: 'Updated 2 occurrences of the series'
+        });
+        expect(venueModel.getOverlappingEvents).not.toHaveBeenCalled();
+    });
+
+    test('should pass new times and the first occurrence to update', async () => {
+        seriesModel.updateSeries.mockResolvedValue({ series: updatedSeries, updated: [21] });
+        req = { params: { id: '7' }, body: { start_time: '19:30', end_time: null, from_event_id: '21' } };
+
+        await updateSeriesById(req, res);
+
+        expect(seriesModel.updateSeries).toHaveBeenCalledWith(7, {}, { fromEventId: 21, startTime: '19:30', endTime: null });
+        expect(res.json.mock.calls[0][0].message).toBe('Updated 1 occurrence of the series');
+        expect(venueModel.getOverlappingEvents).toHaveBeenCalledTimes(1);
+    });
+
+    test('should warn about updated occurrences double-booked into a new venue', async () => {
+        venueModel.getOverlappingEvents.mockResolvedValue([{ id: 3, name: 'Choir Concert' }]);
+        req = { params: { id: '7' }, body: { venue_id: 2 } };
+
+        await updateSeriesById(req, res);
+
+        expect(seriesModel.updateSeries.mock.calls[0][1]).toEqual({ venue_id: 2 });
+        expect(res.json.mock.calls[0][0].warnings).toHaveLength(2);
+    });
+
+    test('should collect every validation error', async () => {
+        req = {
+            params: { id: '7' },
+            body: {
+                name: '',
+                tickets_available: -1,
+                price_cents: 1.5,
+                currency: 'dollars',
+                max_per_user: 0,
+                category: 'party',
+                end_time: '25:00',
+                from_event_id: 'first'
+            }
+        };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Validation failed',
+            message: 'Invalid input data provided',
+            details: [
+                'Event name must be a non-empty string',
+                'Tickets available must be a non-negative integer',
+                'Ticket price must be a whole number of cents between 0 and 100000000',
+                'Currency must be a three-letter ISO 4217 code such as USD',
+                'Max tickets per user must be a whole number between 1 and 1000, or null for no limit',
+                'Category must be one of: athletics, arts, career, academic, social, other',
+                'End time must be a time of day in HH:MM format',
+                'End time requires a start time',
+                'From event ID must be a positive integer'
+            ]
+        });
+        expect(seriesModel.updateSeries).not.toHaveBeenCalled();
+    });
+
+    test('should reject a start time that is not a time of day', async () => {
+        req = { params: { id: '7' }, body: { start_time: '7pm' } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.json.mock.calls[0][0].details).toEqual(['Start time must be a time of day in HH:MM format']);
+    });
+
+    test('should reject a venue that does not exist', async () => {
+        venueModel.getVenueById.mockResolvedValue(null);
+        req = { params: { id: '7' }, body: { venue_id: 9 } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual(['No venue found with ID 9']);
+    });
+
+    test('should require at least one change', async () => {
+        req = { params: { id: '7' }, body: { from_event_id: 21 } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error).toBe('No update data provided');
+    });
+
+    test('should reject an invalid series ID', async () => {
+        req = { params: { id: '0' }, body: { price_cents: 0 } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error).toBe('Invalid series ID');
+    });
+
+    test('should return 404 when the series does not exist', async () => {
+        seriesModel.updateSeries.mockResolvedValue(null);
+        req = { params: { id: '99' }, body: { price_cents: 0 } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Series not found',
+            message: 'No series found with ID 99'
+        });
+    });
+
+    test.each([
+        'Event 5 is not an occurrence of this series',
+        'The series has no upcoming occurrences to update',
+        'Tickets available (150) cannot exceed the capacity of Brooks Center (100) on 2099-03-05'
+    ])('should return 400 when the model rejects the update: %s', async (message) => {
+        seriesModel.updateSeries.mockRejectedValue(new Error(message));
+        req = { params: { id: '7' }, body: { tickets_available: 150 } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual([message]);
+    });
+
+    test('should handle database errors gracefully', async () => {
+        seriesModel.updateSeries.mockRejectedValue(new Error('Database connection failed'));
+        req = { params: { id: '7' }, body: { price_cents: 0 } };
+
+        await updateSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
 });
@@ -0,0 +1,187 @@
+const { getEventCancellation, resumeEventCancellation } = require('../../../controllers/cancellationController');
+
+jest.mock('../../../models/adminModel');
+jest.mock('../../../models/cancellationModel');
+jest.mock('../../../jobs/eventCancellationJob');
+const adminModel = require('../../../models/adminModel');
+const cancellationModel = require('../../../models/cancellationModel');
+const eventCancellationJob = require('../../../jobs/eventCancellationJob');
+
+const mockEvent = { id: 1, name: 'Football Game', date: '2099-11-29', status: 'cancelled' };
+const mockCancellation = {
+    id: 3,
+    event_id: 1,
+    event_name: 'Football Game',
+    status: 'failed',
+    orders_total: 10,
+    orders_refunded: 9,
+    orders_remaining: 1,
+    orders_failed: 1,
+    refunded_cents: 23175,
+    last_error: 'Order 8: Payment refund failed: gateway unavailable'
+};
+
+describe('Cancellation Controller - getEventCancellation', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should return the refund job\'s progress', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        cancellationModel.getCancellation.mockResolvedValue(mockCancellation);
+
+        await getEventCancellation({ params: { id: '1' } }, res);
+
+        expect(cancellationModel.getCancellation).toHaveBeenCalledWith(1);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, data: mockCancellation });
+    });
+
+    test('should reject an invalid event ID', async () => {
+        await getEventCancellation({ params: { id: 'abc' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid event ID',
+            message: 'Event ID must be a positive integer'
+        });
+        expect(adminModel.getEventById).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the event does not exist', async () => {
+        adminModel.getEventById.mockResolvedValue(null);
+
+        await getEventCancellation({ params: { id: '99' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Event not found',
+            message: 'No event found with ID 99'
+        });
+    });
+
+    test('should return 404 when the event was never cancelled', async () => {
+        adminModel.getEventById.mockResolvedValue({ ...mockEvent, status: 'active' });
+        cancellationModel.getCancellation.mockResolvedValue(null);
+
+        await getEventCancellation({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Cancellation not found',
+            message: 'Football Game has not been cancelled'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        adminModel.getEventById.mockRejectedValue(new Error('Database connection failed'));
+
+        await getEventCancellation({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Internal server error while fetching cancellation',
+            message: 'Unable to retrieve cancellation progress at this time'
+        });
+    });
+});
+
+describe('Cancellation Controller - resumeEventCancellation', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        eventCancellationJob.isCancellationJobRunning.mockReturnValue(false);
+    });
+
+    test('should restart a failed refund job', async () => {
+        const resumed = { ...mockCancellation, status: 'pending' };
+        cancellationModel.getCancellation.mockResolvedValue(mockCancellation);
+        eventCancellationJob.startCancellationJob.mockResolvedValue(resumed);
+
+        await resumeEventCancellation({ params: { id: '1' } }, res);
+
+        expect(eventCancellationJob.startCancellationJob).toHaveBeenCalledWith(1);
+        expect(res.status).toHaveBeenCalledWith(202);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: resumed,
+            message: 'Refund job resumed'
+        });
+    });
+
+    test('should reject an invalid event ID', async () => {
+        await resumeEventCancellation({ params: { id: '0' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(eventCancellationJob.startCancellationJob).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the event was never cancelled', async () => {
+        cancellationModel.getCancellation.mockResolvedValue(null);
+
+        await resumeEventCancellation({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(eventCancellationJob.startCancellationJob).not.toHaveBeenCalled();
+    });
+
+    test('should refuse while the job is already running', async () => {
+        cancellationModel.getCancellation.mockResolvedValue({ ...mockCancellation, status: 'running' });
+        eventCancellationJob.isCancellationJobRunning.mockReturnValue(true);
+
+        await resumeEventCancellation({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Refunds in progress',
+            message: 'Refunds for Football Game are already being processed'
+        });
+        expect(eventCancellationJob.startCancellationJob).not.toHaveBeenCalled();
+    });
+
+    test('should refuse once every order is refunded', async () => {
+        cancellationModel.getCancellation.mockResolvedValue({ ...mockCancellation, status: 'completed' });
+
+        await resumeEventCancellation({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Refunds complete',
+            message: 'Every order for Football Game has already been refunded'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        cancellationModel.getCancellation.mockResolvedValue(mockCancellation);
+        eventCancellationJob.startCancellationJob.mockRejectedValue(new Error('Database connection failed'));
+
+        await resumeEventCancellation({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Internal server error while resuming cancellation',
+            message: 'Unable to resume refunds at this time'
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const { checkIn, getEventAttendance } = require('../../../controllers/checkInController');
+const { createTicketCode } = require('../../../../client-service/tickets/ticketCodes');
+
+jest.mock('../../../models/adminModel');
+jest.mock('../../../models/checkInModel');
+const adminModel = require('../../../models/adminModel');
+const checkInModel = require('../../../models/checkInModel');
+
+const mockEvent = { id: 1, name: 'Football Game', date: '2099-11-29', tickets_available: 1000 };
+const staff = { userId: 3, email: 'gate@clemson.edu', role: 'organizer' };
+
+describe('Check-In Controller - checkIn', () => {
+    let res;
+    let code;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+        code = createTicketCode(1);
+    });
+
+    test('should check in a genuine ticket for the event', async () => {
+        const ticket = { id: 9, event_id: 1, status: 'valid', checked_in_at: '2099-11-29 18:00:00', checked_in_by: 3 };
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.checkInTicket.mockResolvedValue({ ticket, alreadyCheckedIn: false });
+
+        await checkIn({ params: { id: '1' }, body: { code: ` ${code} ` }, user: staff }, res);
+
+        expect(checkInModel.checkInTicket).toHaveBeenCalledWith(1, code, 3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: ticket,
+            message: 'Ticket checked in successfully'
+        });
+    });
+
+    test('should reject a duplicate scan with who and when it was first scanned', async () => {
+        const ticket = {
+            id: 9,
+            event_id: 1,
+            status: 'valid',
+            checked_in_at: '2099-11-29 18:00:00',
+            checked_in_by: 4,
+            checked_in_by_email: 'north-gate@clemson.edu'
+        };
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.checkInTicket.mockResolvedValue({ ticket, alreadyCheckedIn: true });
+
+        await checkIn({ params: { id: '1' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Ticket already checked in',
+            message: 'Ticket 9 was already checked in at 2099-11-29 18:00:00 by north-gate@clemson.edu',
+            data: ticket
+        });
+    });
+
+    test('should name the scanner by ID when their account is gone', async () => {
+        const ticket = { id: 9, checked_in_at: '2099-11-29 18:00:00', checked_in_by: 4, checked_in_by_email: null };
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.checkInTicket.mockResolvedValue({ ticket, alreadyCheckedIn: true });
+
+        await checkIn({ params: { id: '1' }, body: { code }, user: staff }, res);
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            message: 'Ticket 9 was already checked in at 2099-11-29 18:00:00 by user 4'
+        }));
+    });
+
+    test('should reject a missing code', async () => {
+        await checkIn({ params: { id: '1' }, body: {}, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'A ticket code is required' }));
+    });
+
+    test('should reject an invalid event ID', async () => {
+        await checkIn({ params: { id: 'abc' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid event ID' }));
+    });
+
+    test('should reject a forged code without touching the database', async () => {
+        const forged = code.replace(/\.[^.]+$/, '.forged');
+
+        await checkIn({ params: { id: '1' }, body: { code: forged }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid ticket code' }));
+        expect(checkInModel.checkInTicket).not.toHaveBeenCalled();
+    });
+
+    test('should reject a ticket for a different event', async () => {
+        await checkIn({ params: { id: '2' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Wrong event',
+            message: 'This ticket is for event 1, not event 2'
+        });
+        expect(checkInModel.checkInTicket).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for a missing event', async () => {
+        adminModel.getEventById.mockResolvedValue(null);
+
+        await checkIn({ params: { id: '1' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(checkInModel.checkInTicket).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for a genuine code that was never issued', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.checkInTicket.mockResolvedValue(null);
+
+        await checkIn({ params: { id: '1' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Ticket not found',
+            message: 'No ticket with this code was issued for Football Game'
+        });
+    });
+
+    test('should reject a refunded ticket with 409', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.checkInTicket.mockRejectedValue(new Error('Ticket has been refunded'));
+
+        await checkIn({ params: { id: '1' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Ticket refunded' }));
+    });
+
+    test('should handle database errors', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.checkInTicket.mockRejectedValue(new Error('Database connection failed'));
+
+        await checkIn({ params: { id: '1' }, body: { code }, user: staff }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Unable to check in ticket at this time' }));
+    });
+});
+
+describe('Check-In Controller - getEventAttendance', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should return the event\'s attendance counts', async () => {
+        const attendance = { event_id: 1, tickets_issued: 10, checked_in: 4, not_checked_in: 6, refunded: 1 };
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.getAttendance.mockResolvedValue(attendance);
+
+        await getEventAttendance({ params: { id: '1' } }, res);
+
+        expect(checkInModel.getAttendance).toHaveBeenCalledWith(1);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, data: attendance });
+    });
+
+    test('should reject an invalid event ID', async () => {
+        await getEventAttendance({ params: { id: '0' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should return 404 for a missing event', async () => {
+        adminModel.getEventById.mockResolvedValue(null);
+
+        await getEventAttendance({ params: { id: '5' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Event not found',
+            message: 'No event found with ID 5'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        checkInModel.getAttendance.mockRejectedValue(new Error('Database connection failed'));
+
+        await getEventAttendance({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
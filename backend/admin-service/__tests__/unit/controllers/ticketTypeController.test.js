@@ -0,0 +1,368 @@
+const {
+    listTicketTypes,
+    addTicketType,
+    updateTicketTypeById,
+    removeTicketType
+} = require('../../../controllers/ticketTypeController');
+
+jest.mock('../../../models/adminModel');
+jest.mock('../../../models/ticketTypeModel');
+const adminModel = require('../../../models/adminModel');
+const ticketTypeModel = require('../../../models/ticketTypeModel');
+
+const mockEvent = { id: 1, name: 'Football Game', date: '2099-11-29', tickets_available: 1000 };
+const mockTicketType = {
+    id: 7,
+    event_id: 1,
+    name: 'Student',
+    price_cents: 1000,
+    quota: 500,
+    tickets_sold: 0,
+    tickets_available: 500,
+    sales_start: null,
+    sales_end: null
+};
+
+describe('Ticket Type Controller - listTicketTypes', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should return the event\'s ticket types', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        ticketTypeModel.getTicketTypesByEvent.mockResolvedValue([mockTicketType]);
+
+        await listTicketTypes({ params: { id: '1' } }, res);
+
+        expect(ticketTypeModel.getTicketTypesByEvent).toHaveBeenCalledWith(1);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: [mockTicketType],
+            count: 1
+        });
+    });
+
+    test('should reject an invalid event ID', async () => {
+        await listTicketTypes({ params: { id: 'abc' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid event ID',
+            message: 'Event ID must be a positive integer'
+        });
+    });
+
+    test('should return 404 for a missing event', async () => {
+        adminModel.getEventById.mockResolvedValue(null);
+
+        await listTicketTypes({ params: { id: '99' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(ticketTypeModel.getTicketTypesByEvent).not.toHaveBeenCalled();
+    });
+
+    test('should handle database errors', async () => {
+        adminModel.getEventById.mockRejectedValue(new Error('Database error'));
+
+        await listTicketTypes({ params: { id: '1' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Ticket Type Controller - addTicketType', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should create a ticket type with a normalized sales window', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        ticketTypeModel.createTicketType.mockResolvedValue(mockTicketType);
+
+        await addTicketType({
+            params: { id: '1' },
+            body: {
+                name: '  Student  ',
+                price_cents: '1000',
+                quota: 500,
+                sales_start: '2099-01-01T00:00:00Z',
+                sales_end: '2099-11-28T12:00:00Z'
+            }
+        }, res);
+
+        expect(ticketTypeModel.createTicketType).toHaveBeenCalledWith(1, {
+            name: 'Student',
+            price_cents: 1000,
+            quota: 500,
+            sales_start: '2099-01-01T00:00:00.000Z',
+            sales_end: '2099-11-28T12:00:00.000Z'
+        });
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: mockTicketType,
+            message: 'Ticket type created successfully'
+        });
+    });
+
+    test('should list every validation error', async () => {
+        await addTicketType({ params: { id: '1' }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            error: 'Validation failed',
+            details: [
+                'Ticket type name is required',
+                'Ticket price (price_cents) is required',
+                'Quota is required'
+            ]
+        }));
+        expect(adminModel.getEventById).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        [{ name: '   ', price_cents: 100, quota: 1 }, 'non-empty string'],
+        [{ name: 'x'.repeat(101), price_cents: 100, quota: 1 }, 'cannot exceed 100 characters'],
+        [{ name: 'GA', price_cents: -1, quota: 1 }, 'whole number of cents'],
+        [{ name: 'GA', price_cents: 100, quota: 1.5 }, 'non-negative integer'],
+        [{ name: 'GA', price_cents: 100, quota: 1000001 }, 'cannot exceed 1,000,000'],
+        [{ name: 'GA', price_cents: 100, quota: 1, sales_start: 'soon' }, 'Sales start must be'],
+        [{ name: 'GA', price_cents: 100, quota: 1, sales_end: '12/01/2099' }, 'Sales end must be an ISO'],
+        [{ name: 'GA', price_cents: 100, quota: 1, sales_start: '2099-02-01', sales_end: '2099-01-01' }, 'after sales start']
+    ])('should reject invalid data %#', async (body, expectedError) => {
+        await addTicketType({ params: { id: '1' }, body }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            details: expect.arrayContaining([expect.stringContaining(expectedError)])
+        }));
+    });
+
+    test('should reject an invalid event ID', async () => {
+        await addTicketType({ params: { id: '0' }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should return 404 for a missing event', async () => {
+        adminModel.getEventById.mockResolvedValue(null);
+
+        await addTicketType({ params: { id: '99' }, body: { name: 'GA', price_cents: 100, quota: 1 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(ticketTypeModel.createTicketType).not.toHaveBeenCalled();
+    });
+
+    test('should report duplicate names clearly', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        ticketTypeModel.createTicketType.mockRejectedValue(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: ticket_types.event_id, ticket_types.name'));
+
+        await addTicketType({ params: { id: '1' }, body: { name: 'GA', price_cents: 100, quota: 1 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Duplicate ticket type',
+            message: 'A ticket type named "GA" already exists for this event'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        adminModel.getEventById.mockResolvedValue(mockEvent);
+        ticketTypeModel.createTicketType.mockRejectedValue(new Error('Database error'));
+
+        await addTicketType({ params: { id: '1' }, body: { name: 'GA', price_cents: 100, quota: 1 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Ticket Type Controller - updateTicketTypeById', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should update the provided fields', async () => {
+        ticketTypeModel.getTicketTypeById.mockResolvedValue(mockTicketType);
+        ticketTypeModel.updateTicketType.mockResolvedValue({ ...mockTicketType, quota: 600 });
+
+        await updateTicketTypeById({
+            params: { id: '1', typeId: '7' },
+            body: { name: ' Students ', price_cents: 1200, quota: '600', sales_start: '2099-01-01', sales_end: null }
+        }, res);
+
+        expect(ticketTypeModel.updateTicketType).toHaveBeenCalledWith(1, 7, {
+            name: 'Students',
+            price_cents: 1200,
+            quota: 600,
+            sales_start: '2099-01-01T00:00:00.000Z',
+            sales_end: null
+        });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should check a new sales start against the stored end', async () => {
+        ticketTypeModel.getTicketTypeById.mockResolvedValue({ ...mockTicketType, sales_end: '2099-01-01T00:00:00.000Z' });
+
+        await updateTicketTypeById({ params: { id: '1', typeId: '7' }, body: { sales_start: '2099-06-01' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(ticketTypeModel.updateTicketType).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid IDs', async () => {
+        await updateTicketTypeById({ params: { id: 'x', typeId: '7' }, body: { quota: 1 } }, res);
+        expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ error: 'Invalid event ID' }));
+
+        await updateTicketTypeById({ params: { id: '1', typeId: '-3' }, body: { quota: 1 } }, res);
+        expect(res.json).toHaveBeenLastCalledWith({
+            success: false,
+            error: 'Invalid ticket type ID',
+            message: 'Ticket type ID must be a positive integer'
+        });
+    });
+
+    test('should reject an empty update', async () => {
+        await updateTicketTypeById({ params: { id: '1', typeId: '7' }, body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'No update data provided' }));
+    });
+
+    test('should return 404 when the ticket type does not belong to the event', async () => {
+        ticketTypeModel.getTicketTypeById.mockResolvedValue(null);
+
+        await updateTicketTypeById({ params: { id: '2', typeId: '7' }, body: { quota: 10 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Ticket type not found',
+            message: 'No ticket type with ID 7 found for event 2'
+        });
+    });
+
+    test('should return 404 if the ticket type disappears before the update', async () => {
+        ticketTypeModel.getTicketTypeById.mockResolvedValue(mockTicketType);
+        ticketTypeModel.updateTicketType.mockResolvedValue(null);
+
+        await updateTicketTypeById({ params: { id: '1', typeId: '7' }, body: { quota: 10 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should reject lowering the quota below tickets sold', async () => {
+        ticketTypeModel.getTicketTypeById.mockResolvedValue(mockTicketType);
+        ticketTypeModel.updateTicketType.mockRejectedValue(new Error('Quota cannot be lower than the 8 ticket(s) already sold'));
+
+        await updateTicketTypeById({ params: { id: '1', typeId: '7' }, body: { quota: 5 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid quota',
+            message: 'Quota cannot be lower than the 8 ticket(s) already sold'
+        });
+    });
+
+    test('should report duplicate names clearly', async () => {
+        ticketTypeModel.getTicketTypeById.mockResolvedValue(mockTicketType);
+        ticketTypeModel.updateTicketType.mockRejectedValue(new Error('UNIQUE constraint failed'));
+
+        await updateTicketTypeById({ params: { id: '1', typeId: '7' }, body: { name: 'GA' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Duplicate ticket type' }));
+    });
+
+    test('should handle database errors', async () => {
+        ticketTypeModel.getTicketTypeById.mockRejectedValue(new Error('Database error'));
+
+        await updateTicketTypeById({ params: { id: '1', typeId: '7' }, body: { quota: 5 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Ticket Type Controller - removeTicketType', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should delete the ticket type', async () => {
+        ticketTypeModel.deleteTicketType.mockResolvedValue(true);
+
+        await removeTicketType({ params: { id: '1', typeId: '7' } }, res);
+
+        expect(ticketTypeModel.deleteTicketType).toHaveBeenCalledWith(1, 7);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Ticket type deleted successfully'
+        });
+    });
+
+    test('should reject invalid IDs', async () => {
+        await removeTicketType({ params: { id: 'x', typeId: '7' } }, res);
+        await removeTicketType({ params: { id: '1', typeId: 'y' } }, res);
+
+        expect(res.status).toHaveBeenCalledTimes(2);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(ticketTypeModel.deleteTicketType).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for a missing ticket type', async () => {
+        ticketTypeModel.deleteTicketType.mockResolvedValue(false);
+
+        await removeTicketType({ params: { id: '1', typeId: '7' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should refuse to delete a ticket type with sales', async () => {
+        ticketTypeModel.deleteTicketType.mockRejectedValue(new Error('Cannot delete a ticket type that has already sold tickets'));
+
+        await removeTicketType({ params: { id: '1', typeId: '7' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Ticket type in use' }));
+    });
+
+    test('should handle database errors', async () => {
+        ticketTypeModel.deleteTicketType.mockRejectedValue(new Error('Database error'));
+
+        await removeTicketType({ params: { id: '1', typeId: '7' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
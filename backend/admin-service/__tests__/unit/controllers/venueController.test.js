@@ -0,0 +1,555 @@
+const {
+    listVenues,
+    getVenue,
+    addVenue,
+    updateVenueById,
+    removeVenue,
+    addEventSeats
+} = require('../../../controllers/venueController');
+
+jest.mock('../../../models/venueModel');
+const venueModel = require('../../../models/venueModel');
+
+const mockVenue = {
+    id: 4,
+    name: 'Brooks Center',
+    address: '141 Jersey Ln, Clemson, SC 29634',
+    capacity: 1000,
+    sections: [
+        { id: 1, name: 'Orchestra', capacity: 600 },
+        { id: 2, name: 'Balcony', capacity: 400 }
+    ]
+};
+
+describe('Venue Controller - listVenues and getVenue', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should return all venues', async () => {
+        venueModel.getVenues.mockResolvedValue([mockVenue]);
+
+        await listVenues({}, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: [mockVenue],
+            count: 1
+        });
+    });
+
+    test('should return 500 when listing fails', async () => {
+        venueModel.getVenues.mockRejectedValue(new Error('Database error'));
+
+        await listVenues({}, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            error: 'Internal server error while fetching venues'
+        }));
+    });
+
+    test('should return a single venue', async () => {
+        venueModel.getVenueById.mockResolvedValue(mockVenue);
+
+        await getVenue({ params: { id: '4' } }, res);
+
+        expect(venueModel.getVenueById).toHaveBeenCalledWith(4);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, data: mockVenue });
+    });
+
+    test('should reject an invalid venue ID', async () => {
+        await getVenue({ params: { id: 'abc' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid venue ID',
+            message: 'Venue ID must be a positive integer'
+        });
+    });
+
+    test('should return 404 for a missing venue', async () => {
+        venueModel.getVenueById.mockResolvedValue(null);
+
+        await getVenue({ params: { id: '99' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Venue not found',
+            message: 'No venue found with ID 99'
+        });
+    });
+
+    test('should return 500 when fetching fails', async () => {
+        venueModel.getVenueById.mockRejectedValue(new Error('Database error'));
+
+        await getVenue({ params: { id: '4' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Venue Controller - addVenue', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+        venueModel.createVenue.mockResolvedValue(mockVenue);
+    });
+
+    test('should create a venue with trimmed fields and numeric capacities', async () => {
+        await addVenue({
+            body: {
+                name: '  Brooks Center ',
+                address: ' 141 Jersey Ln, Clemson, SC 29634 ',
+                capacity: '1000',
+                sections: [{ name: ' Orchestra ', capacity: '600' }, { name: 'Balcony', capacity: 400 }]
+            }
+        }, res);
+
+        expect(venueModel.createVenue).toHaveBeenCalledWith({
+            name: 'Brooks Center',
+            address: '141 Jersey Ln, Clemson, SC 29634',
+            capacity: 1000,
+            sections: [{ name: 'Orchestra', capacity: 600, rows: [] }, { name: 'Balcony', capacity: 400, rows: [] }]
+        });
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: mockVenue,
+            message: 'Venue created successfully'
+        });
+    });
+
+    test('should default to no sections and store a blank address as null', async () => {
+        await addVenue({ body: { name: 'Bowman Field', address: '  ', capacity: 5000 } }, res);
+
+        expect(venueModel.createVenue).toHaveBeenCalledWith({
+            name: 'Bowman Field',
+            address: null,
+            capacity: 5000,
+            sections: []
+        });
+    });
+
+    test('should store trimmed row labels and numeric seat counts', async () => {
+        await addVenue({
+            body: {
+                name: 'Littlejohn Coliseum',
+                capacity: 9000,
+                sections: [{ name: 'Lower Level', capacity: 40, rows: [{ label: ' A ', seats: '20' }, { label: 'B', seats: 20 }] }]
+            }
+        }, res);
+
+        expect(venueModel.createVenue.mock.calls[0][0].sections).toEqual([
+            { name: 'Lower Level', capacity: 40, rows: [{ label: 'A', seats: 20 }, { label: 'B', seats: 20 }] }
+        ]);
+    });
+
+    test('should require a name and capacity', async () => {
+        await addVenue({ body: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Validation failed',
+            message: 'Invalid input data provided',
+            details: ['Venue name is required', 'Capacity is required']
+        });
+        expect(venueModel.createVenue).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid fields', async () => {
+        await addVenue({
+            body: { name: '   ', address: 12, capacity: 0, sections: 'Balcony' }
+        }, res);
+
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Venue name must be a non-empty string',
+            'Address must be a string',
+            'Capacity must be a whole number between 1 and 1000000',
+            'Sections must be an array'
+        ]);
+
+        res.json.mockClear();
+        await addVenue({
+            body: { name: 'x'.repeat(256), address: 'x'.repeat(501), capacity: 2.5 }
+        }, res);
+
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Venue name cannot exceed 255 characters',
+            'Address cannot exceed 500 characters',
+            'Capacity must be a whole number between 1 and 1000000'
+        ]);
+    });
+
+    test('should reject invalid and duplicate sections', async () => {
+        await addVenue({
+            body: {
+                name: 'Brooks Center',
+                capacity: 1000,
+                sections: [
+                    { name: 'Orchestra', capacity: 600 },
+                    { name: 'orchestra ', capacity: 100 },
+                    { name: '', capacity: true },
+                    { name: 'x'.repeat(101), capacity: 10 },
+                    null
+                ]
+            }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Section 2 name "orchestra" is used by another section',
+            'Section 3 name must be a non-empty string',
+            'Section 3 capacity must be a whole number between 1 and 1000000',
+            'Section 4 name cannot exceed 100 characters',
+            'Section 5 name must be a non-empty string',
+            'Section 5 capacity must be a whole number between 1 and 1000000'
+        ]);
+    });
+
+    test('should reject invalid rows of seats', async () => {
+        await addVenue({
+            body: {
+                name: 'Littlejohn Coliseum',
+                capacity: 9000,
+                sections: [
+                    { name: 'Lower Level', capacity: 30, rows: 'A-Z' },
+                    {
+                        name: 'Upper Level',
+                        capacity: 300,
+                        rows: [
+                            { label: 'A', seats: 20 },
+                            { label: 'a ', seats: 20 },
+                            { label: '', seats: 0 },
+                            { label: 'x'.repeat(11), seats: 201 },
+                            null
+                        ]
+                    },
+                    { name: 'Courtside', capacity: 10, rows: [{ label: 'A', seats: 8 }, { label: 'B', seats: 8 }] },
+                    { name: 'Suites', capacity: 0, rows: [{ label: 'A', seats: 8 }] }
+                ]
+            }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Section 1 rows must be an array',
+            'Section 2 row 2 label "a" is used by another row',
+            'Section 2 row 3 label must be a non-empty string',
+            'Section 2 row 3 seats must be a whole number between 1 and 200',
+            'Section 2 row 4 label cannot exceed 10 characters',
+            'Section 2 row 4 seats must be a whole number between 1 and 200',
+            'Section 2 row 5 label must be a non-empty string',
+            'Section 2 row 5 seats must be a whole number between 1 and 200',
+            'Section 3 rows add up to 16 seats, more than its capacity of 10',
+            'Section 4 capacity must be a whole number between 1 and 1000000'
+        ]);
+        expect(venueModel.createVenue).not.toHaveBeenCalled();
+    });
+
+    test('should reject sections that hold more than the venue', async () => {
+        await addVenue({
+            body: {
+                name: 'Brooks Center',
+                capacity: 1000,
+                sections: [{ name: 'Orchestra', capacity: 700 }, { name: 'Balcony', capacity: 400 }]
+            }
+        }, res);
+
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Section capacities add up to 1100, more than the venue capacity of 1000'
+        ]);
+    });
+
+    test('should reject a duplicate venue name', async () => {
+        venueModel.createVenue.mockRejectedValue(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: venues.name'));
+
+        await addVenue({ body: { name: 'Brooks Center ', capacity: 1000 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Duplicate venue',
+            message: 'A venue named "Brooks Center" already exists'
+        });
+    });
+
+    test('should return 500 when creation fails', async () => {
+        venueModel.createVenue.mockRejectedValue(new Error('Database error'));
+
+        await addVenue({ body: { name: 'Brooks Center', capacity: 1000 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            error: 'Internal server error while creating venue'
+        }));
+    });
+});
+
+describe('Venue Controller - updateVenueById', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+        venueModel.getVenueById.mockResolvedValue(mockVenue);
+        venueModel.updateVenue.mockResolvedValue(mockVenue);
+    });
+
+    test('should update only the provided fields', async () => {
+        await updateVenueById({ params: { id: '4' }, body: { name: ' Brooks Theatre ', address: null } }, res);
+
+        expect(venueModel.updateVenue).toHaveBeenCalledWith(4, { name: 'Brooks Theatre', address: null });
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: mockVenue,
+            message: 'Venue updated successfully'
+        });
+    });
+
+    test('should replace the sections', async () => {
+        await updateVenueById({ params: { id: '4' }, body: { sections: [{ name: 'Main Floor', capacity: '900' }] } }, res);
+
+        expect(venueModel.updateVenue).toHaveBeenCalledWith(4, { sections: [{ name: 'Main Floor', capacity: 900, rows: [] }] });
+    });
+
+    test('should check the current sections against a new capacity', async () => {
+        await updateVenueById({ params: { id: '4' }, body: { capacity: 800 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].details).toEqual([
+            'Section capacities add up to 1000, more than the venue capacity of 800'
+        ]);
+        expect(venueModel.updateVenue).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid ID or an empty update', async () => {
+        await updateVenueById({ params: { id: '0' }, body: { capacity: 800 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error).toBe('Invalid venue ID');
+
+        await updateVenueById({ params: { id: '4' }, body: {} }, res);
+
+        expect(res.json).toHaveBeenLastCalledWith({
+            success: false,
+            error: 'No update data provided',
+            message: 'At least one field (name, address, capacity, sections) must be provided'
+        });
+        expect(venueModel.getVenueById).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for a missing venue', async () => {
+        venueModel.getVenueById.mockResolvedValue(null);
+
+        await updateVenueById({ params: { id: '99' }, body: { capacity: 800 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(venueModel.updateVenue).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the venue is deleted before the update', async () => {
+        venueModel.updateVenue.mockResolvedValue(null);
+
+        await updateVenueById({ params: { id: '4' }, body: { name: 'Brooks Theatre' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should reject a capacity below an event\'s ticket count', async () => {
+        venueModel.updateVenue.mockRejectedValue(
+            new Error('Capacity cannot be lower than the 1000 tickets "Jazz Night" has sold, held or on sale at this venue')
+        );
+
+        await updateVenueById({ params: { id: '4' }, body: { capacity: 1000 } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid capacity',
+            message: 'Capacity cannot be lower than the 1000 tickets "Jazz Night" has sold, held or on sale at this venue'
+        });
+    });
+
+    test('should refuse to change the sections while an event sells reserved seats', async () => {
+        venueModel.updateVenue.mockRejectedValue(
+            new Error('Sections cannot be changed while 1 event(s) sell reserved seats at this venue')
+        );
+
+        await updateVenueById({ params: { id: '4' }, body: { sections: [{ name: 'Main Floor', capacity: 900 }] } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Seat map in use',
+            message: 'Sections cannot be changed while 1 event(s) sell reserved seats at this venue'
+        });
+    });
+
+    test('should reject a name another venue uses', async () => {
+        venueModel.updateVenue.mockRejectedValue(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: venues.name'));
+
+        await updateVenueById({ params: { id: '4' }, body: { name: 'Littlejohn Coliseum' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error).toBe('Duplicate venue');
+    });
+
+    test('should return 500 when the update fails', async () => {
+        venueModel.updateVenue.mockRejectedValue(new Error('Database error'));
+
+        await updateVenueById({ params: { id: '4' }, body: { name: 'Brooks Theatre' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Venue Controller - removeVenue', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should delete a venue', async () => {
+        venueModel.deleteVenue.mockResolvedValue(true);
+
+        await removeVenue({ params: { id: '4' } }, res);
+
+        expect(venueModel.deleteVenue).toHaveBeenCalledWith(4);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Venue deleted successfully' });
+    });
+
+    test('should reject an invalid ID and return 404 for a missing venue', async () => {
+        await removeVenue({ params: { id: 'abc' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+
+        venueModel.deleteVenue.mockResolvedValue(false);
+        await removeVenue({ params: { id: '99' } }, res);
+
+        expect(res.status).toHaveBeenLastCalledWith(404);
+    });
+
+    test('should refuse to delete a venue with events booked', async () => {
+        venueModel.deleteVenue.mockRejectedValue(new Error('Venue has 2 event(s) booked and cannot be deleted'));
+
+        await removeVenue({ params: { id: '4' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Venue in use',
+            message: 'Venue has 2 event(s) booked and cannot be deleted'
+        });
+    });
+
+    test('should return 500 when deletion fails', async () => {
+        venueModel.deleteVenue.mockRejectedValue(new Error('Database error'));
+
+        await removeVenue({ params: { id: '4' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Venue Controller - addEventSeats', () => {
+    let res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should put an event\'s seats on sale', async () => {
+        venueModel.createEventSeats.mockResolvedValue({ event_id: 7, seats: 120 });
+
+        await addEventSeats({ params: { id: '7' } }, res);
+
+        expect(venueModel.createEventSeats).toHaveBeenCalledWith(7);
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: { event_id: 7, seats: 120 },
+            message: '120 reserved seats are on sale'
+        });
+    });
+
+    test('should reject an invalid ID and return 404 for a missing event', async () => {
+        await addEventSeats({ params: { id: 'abc' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid event ID',
+            message: 'Event ID must be a positive integer'
+        });
+
+        venueModel.createEventSeats.mockResolvedValue(null);
+        await addEventSeats({ params: { id: '99' } }, res);
+
+        expect(res.status).toHaveBeenLastCalledWith(404);
+        expect(res.json).toHaveBeenLastCalledWith({
+            success: false,
+            error: 'Event not found',
+            message: 'No event found with ID 99'
+        });
+    });
+
+    test('should explain why an event cannot sell reserved seats', async () => {
+        venueModel.createEventSeats.mockRejectedValue(new Error('Basketball already sells reserved seats'));
+
+        await addEventSeats({ params: { id: '7' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Reserved seating unavailable',
+            message: 'Basketball already sells reserved seats'
+        });
+    });
+
+    test('should return 500 when setting up the seats fails', async () => {
+        venueModel.createEventSeats.mockRejectedValue(new Error('Database error'));
+
+        await addEventSeats({ params: { id: '7' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            error: 'Internal server error while setting up reserved seats'
+        }));
+    });
+});
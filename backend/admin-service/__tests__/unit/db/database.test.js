@@ -0,0 +1,153 @@
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-shared-database.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = TEST_DB_PATH;
+
+const {
+    getDatabasePath,
+    getConnection,
+    run,
+    get,
+    all,
+    exec,
+    withTransaction,
+    closeDatabase
+} = require('../../../../shared-db/database');
+
+function removeTestDatabase() {
+    ['', '-wal', '-shm'].forEach((suffix) => {
+        if (fs.existsSync(TEST_DB_PATH + suffix)) {
+            fs.unlinkSync(TEST_DB_PATH + suffix);
+        }
+    });
+}
+
+function openOtherConnection() {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(TEST_DB_PATH, err => (err ? reject(err) : resolve(db)));
+    });
+}
+
+describe('Shared Database Access', () => {
+    beforeEach(async () => {
+        console.error = jest.fn();
+        removeTestDatabase();
+
+        const db = await openOtherConnection();
+        await exec(db, 'CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT NOT NULL UNIQUE)');
+        await new Promise(resolve => db.close(resolve));
+    });
+
+    afterEach(async () => {
+        await closeDatabase();
+        removeTestDatabase();
+    });
+
+    test('should use the database file named by DB_PATH', () => {
+        expect(getDatabasePath()).toBe(TEST_DB_PATH);
+    });
+
+    test('should reuse one connection in WAL mode', async () => {
+        const db = await getConnection();
+
+        expect(await getConnection()).toBe(db);
+        expect(await get(db, 'PRAGMA journal_mode')).toEqual({ journal_mode: 'wal' });
+    });
+
+    test('should run statements and fetch rows', async () => {
+        const db = await getConnection();
+
+        const { lastID, changes } = await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+        await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['flange']);
+
+        expect(changes).toBe(1);
+        expect(await get(db, 'SELECT name FROM widgets WHERE id = ?', [lastID])).toEqual({ name: 'sprocket' });
+        expect(await get(db, 'SELECT name FROM widgets WHERE id = ?', [9999])).toBeUndefined();
+        expect(await all(db, 'SELECT name FROM widgets ORDER BY name')).toEqual([{ name: 'flange' }, { name: 'sprocket' }]);
+    });
+
+    test('should see writes from other connections after a get', async () => {
+        const db = await getConnection();
+        await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM widgets')).toEqual({ count: 1 });
+
+        const other = await openOtherConnection();
+        await exec(other, "INSERT INTO widgets (name) VALUES ('flange')");
+        await new Promise(resolve => other.close(resolve));
+
+        expect(await get(db, 'SELECT COUNT(*) AS count FROM widgets')).toEqual({ count: 2 });
+    });
+
+    test('should reject a query with invalid SQL and keep working', async () => {
+        const db = await getConnection();
+
+        await expect(all(db, 'SELECT * FROM gadgets')).rejects.toThrow('no such table: gadgets');
+        expect(await all(db, 'SELECT * FROM widgets')).toEqual([]);
+    });
+
+    test('should commit a transaction when its work resolves', async () => {
+        const result = await withTransaction(async (db) => {
+            await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(await all(await getConnection(), 'SELECT name FROM widgets')).toEqual([{ name: 'sprocket' }]);
+    });
+
+    test('should roll back a transaction when its work rejects', async () => {
+        await expect(withTransaction(async (db) => {
+            await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+            await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+        })).rejects.toThrow('UNIQUE constraint failed');
+
+        expect(await all(await getConnection(), 'SELECT name FROM widgets')).toEqual([]);
+    });
+
+    test('should keep queries from other requests out of a transaction', async () => {
+        let insertOutside;
+
+        await expect(withTransaction(async (db) => {
+            await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+            insertOutside = getConnection().then(shared => run(shared, 'INSERT INTO widgets (name) VALUES (?)', ['flange']));
+            throw new Error('Out of stock');
+        })).rejects.toThrow('Out of stock');
+        await insertOutside;
+
+        expect(await all(await getConnection(), 'SELECT name FROM widgets')).toEqual([{ name: 'flange' }]);
+    });
+
+    test('should run transactions at the same time one after another', async () => {
+        const names = ['sprocket', 'flange', 'gasket'];
+
+        await Promise.all(names.map(name => withTransaction(async (db) => {
+            const { count } = await get(db, 'SELECT COUNT(*) AS count FROM widgets');
+            await run(db, 'INSERT INTO widgets (id, name) VALUES (?, ?)', [count + 1, name]);
+        })));
+
+        expect(await all(await getConnection(), 'SELECT id FROM widgets ORDER BY id')).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    test('should reopen the connection after closeDatabase', async () => {
+        const db = await getConnection();
+        await run(db, 'INSERT INTO widgets (name) VALUES (?)', ['sprocket']);
+
+        await closeDatabase();
+        const reopened = await getConnection();
+
+        expect(reopened).not.toBe(db);
+        expect(await all(reopened, 'SELECT name FROM widgets')).toEqual([{ name: 'sprocket' }]);
+    });
+
+    test('should refuse to create a missing database file', async () => {
+        await closeDatabase();
+        removeTestDatabase();
+
+        await expect(getConnection()).rejects.toThrow('SQLITE_CANTOPEN');
+        expect(fs.existsSync(TEST_DB_PATH)).toBe(false);
+    });
+});
@@ -0,0 +1,277 @@
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    assertSchemaCurrent,
+    migrateDatabase,
+    checkDatabaseSchema
+} = require('../../../../shared-db/migrate');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-migrate.sqlite');
+
+function all(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
+
+function getTables(db) {
+    return all(db, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+        .then(rows => rows.map(row => row.name));
+}
+
+function createTableMigration(version, table) {
+    return {
+        version,
+        name: `create_${table}`,
+        up: db => new Promise((resolve, reject) => {
+            db.exec(`CREATE TABLE ${table} (id INTEGER PRIMARY KEY)`, err => (err ? reject(err) : resolve()));
+        }),
+        down: db => new Promise((resolve, reject) => {
+            db.exec(`DROP TABLE ${table}`, err => (err ? reject(err) : resolve()));
+        })
+    };
+}
+
+const MIGRATIONS = [
+    createTableMigration(1, 'widgets'),
+    createTableMigration(2, 'gadgets'),
+    createTableMigration(3, 'gizmos')
+];
+
+function removeTestDatabase() {
+    if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+    }
+}
+
+describe('Schema Migrations - loadMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should load the shared migrations starting with the baseline', () => {
+        const migrations = loadMigrations();
+
+        expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline' });
+        migrations.forEach((migration, index) => {
+            if (index > 0) {
+                expect(migration.version).toBeGreaterThan(migrations[index - 1].version);
+            }
+        });
+    });
+
+    test('should order migrations by version number', () => {
+        const source = 'module.exports = { up: async () => {}, down: async () => {} };';
+        fs.writeFileSync(path.join(dir, '010_later.js'), source);
+        fs.writeFileSync(path.join(dir, '002_earlier.js'), source);
+
+        expect(loadMigrations(dir).map(migration => migration.version)).toEqual([2, 10]);
+    });
+
+    test('should reject a file name without a version', () => {
+        fs.writeFileSync(path.join(dir, 'add_tags.js'), 'module.exports = {};');
+
+        expect(() => loadMigrations(dir)).toThrow('Invalid migration file name: add_tags.js');
+    });
+
+    test('should reject a migration without a down function', () => {
+        fs.writeFileSync(path.join(dir, '002_add_tags.js'), 'module.exports = { up: async () => {} };');
+
+        expect(() => loadMigrations(dir)).toThrow('Migration 002_add_tags.js must export up and down functions');
+    });
+
+    test('should reject two migrations with the same version', () => {
+        const source = 'module.exports = { up: async () => {}, down: async () => {} };';
+        fs.writeFileSync(path.join(dir, '002_add_tags.js'), source);
+        fs.writeFileSync(path.join(dir, '002_add_labels.js'), source);
+
+        expect(() => loadMigrations(dir)).toThrow('Two migrations have version 2');
+    });
+});
+
+describe('Schema Migrations - migrateUp and migrateDown', () => {
+    let db;
+
+    beforeEach((done) => {
+        console.log = jest.fn();
+        removeTestDatabase();
+        db = new sqlite3.Database(TEST_DB_PATH, done);
+    });
+
+    afterEach((done) => {
+        db.close(() => {
+            removeTestDatabase();
+            done();
+        });
+    });
+
+    test('should apply pending migrations in order and record them', async () => {
+        const applied = await migrateUp(db, { migrations: MIGRATIONS });
+
+        expect(applied.map(migration => migration.version)).toEqual([1, 2, 3]);
+        expect(await getTables(db)).toEqual(expect.arrayContaining(['widgets', 'gadgets', 'gizmos']));
+        const status = await getMigrationStatus(db, MIGRATIONS);
+        expect(status.currentVersion).toBe(3);
+        expect(status.pending).toEqual([]);
+        expect(console.log).toHaveBeenCalledWith('Applied migration 002_create_gadgets');
+    });
+
+    test('should apply each migration only once', async () => {
+        await migrateUp(db, { migrations: MIGRATIONS });
+
+        expect(await migrateUp(db, { migrations: MIGRATIONS })).toEqual([]);
+    });
+
+    test('should stop at the requested version', async () => {
+        await migrateUp(db, { to: 2, migrations: MIGRATIONS });
+
+        const status = await getMigrationStatus(db, MIGRATIONS);
+        expect(status.currentVersion).toBe(2);
+        expect(status.pending.map(migration => migration.version)).toEqual([3]);
+    });
+
+    test('should roll back a failed migration and record nothing', async () => {
+        const failing = {
+            version: 2,
+            name: 'half_done',
+            up: async (database) => {
+                await MIGRATIONS[1].up(database);
+                throw new Error('no such column: colour');
+            },
+            down: async () => {}
+        };
+
+        await expect(migrateUp(db, { migrations: [MIGRATIONS[0], failing] }))
+            .rejects.toThrow('Migration 002_half_done up failed: no such column: colour');
+
+        expect(await getTables(db)).not.toContain('gadgets');
+        const status = await getMigrationStatus(db, [MIGRATIONS[0], failing]);
+        expect(status.currentVersion).toBe(1);
+    });
+
+    test('should roll back only the latest migration by default', async () => {
+        await migrateUp(db, { migrations: MIGRATIONS });
+
+        const rolledBack = await migrateDown(db, { migrations: MIGRATIONS });
+
+        expect(rolledBack.map(migration => migration.version)).toEqual([3]);
+        expect(await getTables(db)).not.toContain('gizmos');
+        expect((await getMigrationStatus(db, MIGRATIONS)).currentVersion).toBe(2);
+    });
+
+    test('should roll back newest first down to the requested version', async () => {
+        await migrateUp(db, { migrations: MIGRATIONS });
+
+        const rolledBack = await migrateDown(db, { to: 0, migrations: MIGRATIONS });
+
+        expect(rolledBack.map(migration => migration.version)).toEqual([3, 2, 1]);
+        expect(await getTables(db)).not.toContain('widgets');
+        expect((await getMigrationStatus(db, MIGRATIONS)).applied).toEqual([]);
+    });
+
+    test('should have nothing to roll back on a new database', async () => {
+        expect(await migrateDown(db, { migrations: MIGRATIONS })).toEqual([]);
+    });
+
+    test('should refuse to roll back a migration whose file is missing', async () => {
+        await migrateUp(db, { migrations: MIGRATIONS });
+
+        await expect(migrateDown(db, { migrations: MIGRATIONS.slice(0, 2) }))
+            .rejects.toThrow('Cannot roll back migration 3: its file is missing');
+    });
+});
+
+describe('Schema Migrations - assertSchemaCurrent', () => {
+    let db;
+
+    beforeEach((done) => {
+        console.log = jest.fn();
+        removeTestDatabase();
+        db = new sqlite3.Database(TEST_DB_PATH, done);
+    });
+
+    afterEach((done) => {
+        db.close(() => {
+            removeTestDatabase();
+            done();
+        });
+    });
+
+    test('should pass once every migration is applied', async () => {
+        await migrateUp(db, { migrations: MIGRATIONS });
+
+        await expect(assertSchemaCurrent(db, MIGRATIONS)).resolves.toBeUndefined();
+    });
+
+    test('should name pending migrations and how to apply them', async () => {
+        await migrateUp(db, { to: 1, migrations: MIGRATIONS });
+
+        await expect(assertSchemaCurrent(db, MIGRATIONS)).rejects.toThrow(
+            'Database schema is out of date: migration(s) 002_create_gadgets, 003_create_gizmos not applied yet. Run "npm run migrate" first'
+        );
+    });
+
+    test('should treat a database without a migrations table as unmigrated', async () => {
+        await expect(assertSchemaCurrent(db, MIGRATIONS)).rejects.toThrow('Database schema is out of date');
+    });
+
+    test('should reject a database migrated by newer code', async () => {
+        await migrateUp(db, { migrations: MIGRATIONS });
+
+        await expect(assertSchemaCurrent(db, MIGRATIONS.slice(0, 2)))
+            .rejects.toThrow('Database schema is newer than this code: applied migration(s) 003_create_gizmos not found');
+    });
+});
+
+describe('Schema Migrations - shared database', () => {
+    beforeEach(() => {
+        console.log = jest.fn();
+        removeTestDatabase();
+    });
+
+    afterEach(() => {
+        removeTestDatabase();
+    });
+
+    test('should create the baseline schema and sample data', async () => {
+        const applied = await migrateDatabase(TEST_DB_PATH);
+
+        expect(applied[0]).toMatchObject({ version: 1, name: 'baseline' });
+        await expect(checkDatabaseSchema(TEST_DB_PATH)).resolves.toBeUndefined();
+
+        const db = new sqlite3.Database(TEST_DB_PATH);
+        const events = await all(db, 'SELECT id FROM events ORDER BY id');
+        await new Promise(resolve => db.close(resolve));
+        expect(events.map(event => event.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should drop the baseline tables when rolled back', async () => {
+        await migrateDatabase(TEST_DB_PATH);
+        const db = new sqlite3.Database(TEST_DB_PATH);
+
+        await migrateDown(db, { to: 0 });
+        const tables = await getTables(db);
+        await new Promise(resolve => db.close(resolve));
+
+        expect(tables).not.toContain('events');
+        expect(tables).not.toContain('users');
+        expect(tables).toContain('schema_migrations');
+    });
+
+    test('should refuse to start without a database file', async () => {
+        await expect(checkDatabaseSchema(TEST_DB_PATH))
+            .rejects.toThrow(`Cannot open database at ${TEST_DB_PATH}`);
+    });
+});
@@ -0,0 +1,145 @@
+const {
+    runCancellationJob,
+    isCancellationJobRunning,
+    startCancellationJob,
+    resumeCancellationJobs
+} = require('../../../jobs/eventCancellationJob');
+
+jest.mock('../../../models/cancellationModel');
+const cancellationModel = require('../../../models/cancellationModel');
+
+const pendingJob = { event_id: 1, status: 'pending', orders_total: 3, orders_refunded: 0 };
+
+describe('Event Cancellation Job - runCancellationJob', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+        cancellationModel.startCancellationRun.mockResolvedValue();
+        cancellationModel.recordRefundFailure.mockResolvedValue();
+    });
+
+    test('should refund each outstanding order and finish the run', async () => {
+        cancellationModel.getOrdersToRefund.mockResolvedValue([4, 7]);
+        cancellationModel.refundCancelledOrder.mockResolvedValue({ refundedCents: 2575 });
+        cancellationModel.finishCancellationRun.mockResolvedValue({ status: 'completed', orders_refunded: 2, orders_total: 2 });
+
+        const cancellation = await runCancellationJob(1);
+
+        expect(cancellationModel.startCancellationRun).toHaveBeenCalledWith(1);
+        expect(cancellationModel.refundCancelledOrder.mock.calls).toEqual([[4], [7]]);
+        expect(cancellationModel.recordRefundFailure).not.toHaveBeenCalled();
+        expect(cancellation.status).toBe('completed');
+        expect(console.log).toHaveBeenCalledWith('Refund job for event 1 completed: 2 of 2 order(s) refunded');
+    });
+
+    test('should record a failed refund and carry on with the next order', async () => {
+        cancellationModel.getOrdersToRefund.mockResolvedValue([4, 7]);
+        cancellationModel.refundCancelledOrder
+            .mockRejectedValueOnce(new Error('Payment refund failed: gateway unavailable'))
+            .mockResolvedValueOnce({ refundedCents: 2575 });
+        cancellationModel.finishCancellationRun.mockResolvedValue({ status: 'failed', orders_refunded: 1, orders_total: 2 });
+
+        const cancellation = await runCancellationJob(1);
+
+        expect(cancellationModel.refundCancelledOrder).toHaveBeenCalledTimes(2);
+        expect(cancellationModel.recordRefundFailure).toHaveBeenCalledWith(1, 4, 'Payment refund failed: gateway unavailable');
+        expect(cancellation.status).toBe('failed');
+        expect(console.error).toHaveBeenCalledWith(
+            'Error refunding order 4 for cancelled event 1:',
+            'Payment refund failed: gateway unavailable'
+        );
+    });
+
+    test('should share one run between concurrent callers', async () => {
+        cancellationModel.getOrdersToRefund.mockResolvedValue([]);
+        cancellationModel.finishCancellationRun.mockResolvedValue({ status: 'completed', orders_refunded: 0, orders_total: 0 });
+
+        const first = runCancellationJob(1);
+        const second = runCancellationJob(1);
+
+        expect(second).toBe(first);
+        expect(isCancellationJobRunning(1)).toBe(true);
+
+        await first;
+
+        expect(cancellationModel.startCancellationRun).toHaveBeenCalledTimes(1);
+        expect(isCancellationJobRunning(1)).toBe(false);
+    });
+});
+
+describe('Event Cancellation Job - startCancellationJob', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+        cancellationModel.createCancellation.mockResolvedValue(pendingJob);
+        cancellationModel.getOrdersToRefund.mockResolvedValue([]);
+        cancellationModel.finishCancellationRun.mockResolvedValue({ status: 'completed', orders_refunded: 0, orders_total: 0 });
+    });
+
+    test('should create the job and return it while refunds run in the background', async () => {
+        cancellationModel.startCancellationRun.mockResolvedValue();
+
+        const cancellation = await startCancellationJob(1);
+
+        expect(cancellation).toBe(pendingJob);
+        expect(cancellationModel.createCancellation).toHaveBeenCalledWith(1);
+        expect(isCancellationJobRunning(1)).toBe(true);
+
+        await runCancellationJob(1);
+        expect(cancellationModel.finishCancellationRun).toHaveBeenCalledWith(1);
+    });
+
+    test('should log instead of throwing when the run stops', async () => {
+        cancellationModel.startCancellationRun.mockRejectedValue(new Error('database is locked'));
+
+        await startCancellationJob(1);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(console.error).toHaveBeenCalledWith('Refund job for event 1 stopped:', 'database is locked');
+        expect(isCancellationJobRunning(1)).toBe(false);
+    });
+});
+
+describe('Event Cancellation Job - resumeCancellationJobs', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+        cancellationModel.createCancellation.mockResolvedValue(pendingJob);
+        cancellationModel.getOrdersToRefund.mockResolvedValue([]);
+        cancellationModel.finishCancellationRun.mockResolvedValue({ status: 'completed', orders_refunded: 0, orders_total: 0 });
+    });
+
+    test('should resume every unfinished job one at a time', async () => {
+        cancellationModel.getUnfinishedCancellations.mockResolvedValue([1, 2]);
+        cancellationModel.startCancellationRun.mockResolvedValue();
+
+        await expect(resumeCancellationJobs()).resolves.toBe(2);
+
+        expect(cancellationModel.createCancellation.mock.calls).toEqual([[1], [2]]);
+        expect(cancellationModel.startCancellationRun.mock.calls).toEqual([[1], [2]]);
+        expect(console.log).toHaveBeenCalledWith('Resuming refund job for cancelled event 2');
+    });
+
+    test('should move on to the next job when one stops', async () => {
+        cancellationModel.getUnfinishedCancellations.mockResolvedValue([1, 2]);
+        cancellationModel.startCancellationRun
+            .mockRejectedValueOnce(new Error('database is locked'))
+            .mockResolvedValueOnce();
+
+        await expect(resumeCancellationJobs()).resolves.toBe(2);
+
+        expect(console.error).toHaveBeenCalledWith('Refund job for event 1 stopped:', 'database is locked');
+        expect(cancellationModel.finishCancellationRun).toHaveBeenCalledWith(2);
+    });
+
+    test('should do nothing when no jobs are unfinished', async () => {
+        cancellationModel.getUnfinishedCancellations.mockResolvedValue([]);
+
+        await expect(resumeCancellationJobs()).resolves.toBe(0);
+
+        expect(cancellationModel.createCancellation).not.toHaveBeenCalled();
+    });
+});
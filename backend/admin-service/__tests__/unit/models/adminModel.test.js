@@ -2,46 +2,67 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
-// Mock paths to point to a test database
-const mockTestDbPath = path.join(__dirname, '..', '..', '..', 'test-database.sqlite');
-
-// Mock the DB_PATH in the adminModel module
-jest.mock('path', () => {
-    const actualPath = jest.requireActual('path');
-    return {
-        ...actualPath,
-        join: (...args) => {
-            // Intercept the database path construction in adminModel
-            if (args.includes('shared-db') && args.includes('database.sqlite')) {
-                return mockTestDbPath;
-            }
-            return actualPath.join(...args);
-        }
-    };
-});
+// Test database
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-database.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
 
 const adminModel = require('../../../models/adminModel');
+const { closeDatabase } = require('../../../../shared-db/database');
 
 let testDb;
 
 beforeAll(() => {
     // Remove existing test database if it exists
-    if (fs.existsSync(mockTestDbPath)) {
-        fs.unlinkSync(mockTestDbPath);
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
     }
     
-    testDb = new sqlite3.Database(mockTestDbPath);
+    testDb = new sqlite3.Database(testDbPath);
     
     return new Promise((resolve, reject) => {
-        testDb.run(`
+        testDb.exec(`
+            CREATE TABLE venues (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                address TEXT,
+                capacity INTEGER NOT NULL
+            );
+            INSERT INTO venues (id, name, capacity) VALUES (1, 'Brooks Center', 1000);
             CREATE TABLE events (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 name TEXT NOT NULL,
                 date TEXT NOT NULL,
+                starts_at TEXT,
+                ends_at TEXT,
+                time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+                sales_start DATETIME,
+                sales_end DATETIME,
+                venue_id INTEGER,
+                description TEXT,
+                category TEXT NOT NULL DEFAULT 'other',
+                image_url TEXT,
                 tickets_available INTEGER NOT NULL DEFAULT 0,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                max_per_user INTEGER,
+                status TEXT NOT NULL DEFAULT 'active',
+                cancellation_reason TEXT,
+                cancelled_at TEXT,
+                archived_at TEXT,
+                series_id INTEGER,
                 created_at TEXT DEFAULT CURRENT_TIMESTAMP,
                 updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-            )
+            );
+            CREATE TABLE tickets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                code TEXT NOT NULL UNIQUE,
+                status TEXT NOT NULL DEFAULT 'valid'
+            );
         `, (err) => {
             if (err) reject(err);
             else resolve();
@@ -50,6 +71,9 @@ beforeAll(() => {
 });
 
 afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+    
     // Give time for any pending operations to complete
     await new Promise(resolve => setTimeout(resolve, 100));
     
@@ -61,8 +85,8 @@ afterAll(async () => {
             // Give file system time to release the lock
             setTimeout(() => {
                 try {
-                    if (fs.existsSync(mockTestDbPath)) {
-                        fs.unlinkSync(mockTestDbPath);
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
                     }
                 } catch (error) {
                     console.error('Error cleaning up test database:', error);
@@ -75,13 +99,27 @@ afterAll(async () => {
 
 function clearEvents() {
     return new Promise((resolve, reject) => {
-        testDb.run('DELETE FROM events', (err) => {
+        testDb.exec('DELETE FROM tickets; DELETE FROM events;', (err) => {
             if (err) reject(err);
             else resolve();
         });
     });
 }
 
+function insertTicket(eventId, status = 'valid') {
+    return new Promise((resolve, reject) => {
+        testDb.run(
+            `INSERT INTO tickets (order_id, user_id, event_id, code, status)
+             VALUES (1, 42, ?, 'code-' || abs(random()), ?)`,
+            [eventId, status],
+            (err) => {
+                if (err) reject(err);
+                else resolve();
+            }
+        );
+    });
+}
+
 describe('Admin Model - getEvents', () => {
     beforeEach(async () => {
         await clearEvents();
@@ -138,6 +176,18 @@ describe('Admin Model - getEvents', () => {
         expect(events[0].name).toBe('Earlier Event');
         expect(events[1].name).toBe('Later Event');
     });
+
+    test('should hide archived events unless asked to include them', async () => {
+        const archived = await adminModel.createEvent({ name: 'Old Event', date: '2020-01-01', tickets_available: 10 });
+        await adminModel.createEvent({ name: 'Current Event', date: '2025-12-01', tickets_available: 10 });
+        await adminModel.archiveEvent(archived.id);
+
+        const visible = await adminModel.getEvents();
+        const all = await adminModel.getEvents({ includeArchived: true });
+
+        expect(visible.map(event => event.name)).toEqual(['Current Event']);
+        expect(all.map(event => event.name)).toEqual(['Old Event', 'Current Event']);
+    });
 });
 
 describe('Admin Model - createEvent', () => {
@@ -181,6 +231,98 @@ describe('Admin Model - createEvent', () => {
         expect(event2.id).toBe(event1.id + 1);
     });
 
+    test('should default to a free event priced in USD', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Free Event',
+            date: '2025-12-01',
+            tickets_available: 100
+        });
+
+        expect(event.price_cents).toBe(0);
+        expect(event.currency).toBe('USD');
+    });
+
+    test('should store the ticket price and currency', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Paid Event',
+            date: '2025-12-01',
+            tickets_available: 100,
+            price_cents: 2550,
+            currency: 'EUR'
+        });
+
+        expect(event.price_cents).toBe(2550);
+        expect(event.currency).toBe('EUR');
+    });
+
+    test('should store an optional per-user purchase limit', async () => {
+        const limited = await adminModel.createEvent({
+            name: 'Big Game',
+            date: '2025-12-01',
+            tickets_available: 100,
+            max_per_user: 4
+        });
+        const unlimited = await adminModel.createEvent({
+            name: 'Open Game',
+            date: '2025-12-01',
+            tickets_available: 100
+        });
+
+        expect(limited.max_per_user).toBe(4);
+        expect(unlimited.max_per_user).toBeNull();
+    });
+
+    test('should store the event\'s schedule, venue and other details', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Jazz Night',
+            date: '2025-12-01',
+            tickets_available: 100,
+            starts_at: '2025-12-02T00:30:00.000Z',
+            ends_at: '2025-12-02T03:00:00.000Z',
+            time_zone: 'America/New_York',
+            sales_start: '2025-11-01T14:00:00.000Z',
+            sales_end: '2025-12-01T23:00:00.000Z',
+            venue_id: 1,
+            description: 'An evening of big band jazz.',
+            category: 'arts',
+            image_url: 'https://example.com/jazz.png'
+        });
+
+        expect(event).toMatchObject({
+            starts_at: '2025-12-02T00:30:00.000Z',
+            ends_at: '2025-12-02T03:00:00.000Z',
+            time_zone: 'America/New_York',
+            sales_start: '2025-11-01T14:00:00.000Z',
+            sales_end: '2025-12-01T23:00:00.000Z',
+            venue_id: 1,
+            venue: 'Brooks Center',
+            description: 'An evening of big band jazz.',
+            category: 'arts',
+            image_url: 'https://example.com/jazz.png'
+        });
+    });
+
+    test('should leave the details empty when they are not given', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Plain Event',
+            date: '2025-12-01',
+            tickets_available: 100
+        });
+
+        expect(event).toMatchObject({
+            starts_at: null,
+            ends_at: null,
+            time_zone: 'America/New_York',
+            sales_start: null,
+            sales_end: null,
+            venue_id: null,
+            venue: null,
+            description: null,
+            category: 'other',
+            image_url: null
+        });
+    });
+
     test('should set timestamps on creation', async () => {
         const event = await adminModel.createEvent({
             name: 'Event',
@@ -297,6 +439,71 @@ describe('Admin Model - updateEvent', () => {
         expect(updated.tickets_available).toBe(250);
     });
 
+    test('should update ticket price and currency', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Event',
+            date: '2025-12-01',
+            tickets_available: 100
+        });
+
+        const updated = await adminModel.updateEvent(event.id, {
+            price_cents: 4000,
+            currency: 'CAD'
+        });
+
+        expect(updated.price_cents).toBe(4000);
+        expect(updated.currency).toBe('CAD');
+        expect(updated.tickets_available).toBe(100);
+    });
+
+    test('should set and clear the per-user purchase limit', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Event',
+            date: '2025-12-01',
+            tickets_available: 100
+        });
+
+        const limited = await adminModel.updateEvent(event.id, { max_per_user: 2 });
+        expect(limited.max_per_user).toBe(2);
+
+        const cleared = await adminModel.updateEvent(event.id, { max_per_user: null });
+        expect(cleared.max_per_user).toBeNull();
+    });
+
+    test('should update the schedule and details', async () => {
+        const event = await adminModel.createEvent({
+            name: 'Event',
+            date: '2025-12-01',
+            tickets_available: 100,
+            venue_id: 1
+        });
+
+        const updated = await adminModel.updateEvent(event.id, {
+            date: '2025-12-02',
+            starts_at: '2025-12-02T15:00:00.000Z',
+            ends_at: null,
+            time_zone: 'America/Chicago',
+            sales_start: '2025-11-15T15:00:00.000Z',
+            venue_id: null,
+            description: 'Now with a description',
+            category: 'social',
+            image_url: 'https://example.com/event.png'
+        });
+
+        expect(updated).toMatchObject({
+            date: '2025-12-02',
+            starts_at: '2025-12-02T15:00:00.000Z',
+            ends_at: null,
+            time_zone: 'America/Chicago',
+            sales_start: '2025-11-15T15:00:00.000Z',
+            venue_id: null,
+            venue: null,
+            description: 'Now with a description',
+            category: 'social',
+            image_url: 'https://example.com/event.png'
+        });
+    });
+
     test('should update multiple fields at once', async () => {
         const event = await adminModel.createEvent({
             name: 'Event',
@@ -468,3 +675,129 @@ describe('Admin Model - Additional Edge Cases', () => {
         expect(events[2].name).toBe('Event Z'); // Latest date
     });
 });
+
+describe('Admin Model - cancelEvent', () => {
+    beforeEach(async () => {
+        await clearEvents();
+    });
+
+    test('should mark the event cancelled with its reason', async () => {
+        const event = await adminModel.createEvent({ name: 'Game', date: '2099-12-01', tickets_available: 100 });
+
+        const cancelled = await adminModel.cancelEvent(event.id, 'Severe weather');
+
+        expect(cancelled).toMatchObject({
+            id: event.id,
+            status: 'cancelled',
+            cancellation_reason: 'Severe weather'
+        });
+        expect(cancelled.cancelled_at).toBeTruthy();
+    });
+
+    test('should default new events to active', async () => {
+        const event = await adminModel.createEvent({ name: 'Game', date: '2099-12-01', tickets_available: 100 });
+
+        expect(event.status).toBe('active');
+        expect(event.cancellation_reason).toBeNull();
+    });
+
+    test('should return null for non-existent event', async () => {
+        expect(await adminModel.cancelEvent(99999, 'Reason')).toBeNull();
+    });
+
+    test('should reject cancelling an event twice', async () => {
+        const event = await adminModel.createEvent({ name: 'Game', date: '2099-12-01', tickets_available: 100 });
+        await adminModel.cancelEvent(event.id, 'Severe weather');
+
+        await expect(adminModel.cancelEvent(event.id, 'Again')).rejects.toThrow('Event is already cancelled');
+
+        const stored = await adminModel.getEventById(event.id);
+        expect(stored.cancellation_reason).toBe('Severe weather');
+    });
+
+    test('should reject cancelling an archived event', async () => {
+        const event = await adminModel.createEvent({ name: 'Game', date: '2099-12-01', tickets_available: 100 });
+        await adminModel.archiveEvent(event.id);
+
+        await expect(adminModel.cancelEvent(event.id, 'Reason')).rejects.toThrow('Archived events cannot be cancelled');
+    });
+});
+
+describe('Admin Model - archiveEvent', () => {
+    beforeEach(async () => {
+        await clearEvents();
+    });
+
+    test('should archive an event without tickets', async () => {
+        const event = await adminModel.createEvent({ name: 'Mistake', date: '2099-12-01', tickets_available: 100 });
+
+        const archived = await adminModel.archiveEvent(event.id);
+
+        expect(archived.status).toBe('archived');
+        expect(archived.archived_at).toBeTruthy();
+        expect(await adminModel.getEventById(event.id)).toMatchObject({ status: 'archived' });
+    });
+
+    test('should return null for non-existent event', async () => {
+        expect(await adminModel.archiveEvent(99999)).toBeNull();
+    });
+
+    test('should reject archiving an event twice', async () => {
+        const event = await adminModel.createEvent({ name: 'Mistake', date: '2099-12-01', tickets_available: 100 });
+        await adminModel.archiveEvent(event.id);
+
+        await expect(adminModel.archiveEvent(event.id)).rejects.toThrow('Event is already archived');
+    });
+
+    test('should require cancelling an upcoming event with valid tickets first', async () => {
+        const event = await adminModel.createEvent({ name: 'Game', date: '2099-12-01', tickets_available: 100 });
+        await insertTicket(event.id);
+        await insertTicket(event.id);
+        await insertTicket(event.id, 'refunded');
+
+        await expect(adminModel.archiveEvent(event.id))
+            .rejects.toThrow('Event has 2 valid tickets outstanding; cancel it before archiving');
+
+        await adminModel.cancelEvent(event.id, 'Severe weather');
+        const archived = await adminModel.archiveEvent(event.id);
+
+        expect(archived.status).toBe('archived');
+        expect(archived.cancellation_reason).toBe('Severe weather');
+    });
+
+    test('should go by the start and end times rather than the UTC date', async () => {
+        const hour = 60 * 60 * 1000;
+        const today = new Date().toISOString().slice(0, 10);
+        const ended = await adminModel.createEvent({
+            name: 'Morning Lecture',
+            date: today,
+            tickets_available: 100,
+            starts_at: new Date(Date.now() - 3 * hour).toISOString(),
+            ends_at: new Date(Date.now() - hour).toISOString(),
+            time_zone: 'UTC'
+        });
+        const running = await adminModel.createEvent({
+            name: 'Afternoon Match',
+            date: today,
+            tickets_available: 100,
+            starts_at: new Date(Date.now() - hour).toISOString(),
+            ends_at: new Date(Date.now() + hour).toISOString(),
+            time_zone: 'UTC'
+        });
+        await insertTicket(ended.id);
+        await insertTicket(running.id);
+
+        await expect(adminModel.archiveEvent(ended.id)).resolves.toMatchObject({ status: 'archived' });
+        await expect(adminModel.archiveEvent(running.id))
+            .rejects.toThrow('Event has 1 valid tickets outstanding; cancel it before archiving');
+    });
+
+    test('should archive past events that sold tickets', async () => {
+        const event = await adminModel.createEvent({ name: 'Last Season', date: '2020-01-01', tickets_available: 100 });
+        await insertTicket(event.id);
+
+        const archived = await adminModel.archiveEvent(event.id);
+
+        expect(archived.status).toBe('archived');
+    });
+});
@@ -0,0 +1,481 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Test database (separate from the other model tests)
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-cancellation.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
+
+// Refunds go to a mock provider so each test controls the outcome
+const mockRefund = jest.fn();
+jest.mock('../../../utils/payments', () => ({
+    getPaymentProvider: jest.fn(() => ({ name: 'mock', refund: mockRefund }))
+}));
+const { getPaymentProvider } = require('../../../utils/payments');
+
+const cancellationModel = require('../../../models/cancellationModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+
+let testDb;
+
+beforeAll(() => {
+    // Remove existing test database if it exists
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+    }
+
+    testDb = new sqlite3.Database(testDbPath);
+
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            CREATE TABLE events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                date TEXT NOT NULL,
+                tickets_available INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'active',
+                cancellation_reason TEXT,
+                cancelled_at DATETIME,
+                updated_at DATETIME
+            );
+            CREATE TABLE ticket_types (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                tickets_sold INTEGER NOT NULL DEFAULT 0,
+                updated_at DATETIME
+            );
+            CREATE TABLE event_seats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'available',
+                hold_id INTEGER,
+                updated_at DATETIME
+            );
+            CREATE TABLE orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                refunded_quantity INTEGER NOT NULL DEFAULT 0,
+                total_cents INTEGER NOT NULL DEFAULT 0,
+                refunded_cents INTEGER NOT NULL DEFAULT 0,
+                payment_provider TEXT,
+                payment_id TEXT,
+                payment_status TEXT NOT NULL DEFAULT 'not_required',
+                status TEXT NOT NULL DEFAULT 'completed',
+                updated_at DATETIME
+            );
+            CREATE TABLE tickets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'valid',
+                updated_at DATETIME
+            );
+            CREATE TABLE order_refunds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                amount_cents INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                last_error TEXT,
+                created_at DATETIME,
+                updated_at DATETIME
+            );
+            CREATE UNIQUE INDEX idx_order_refunds_pending ON order_refunds(order_id) WHERE status = 'pending';
+            CREATE TABLE ticket_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ticket_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                resolved_at DATETIME
+            );
+            CREATE TABLE holds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                ticket_type_id INTEGER,
+                quantity INTEGER NOT NULL DEFAULT 1,
+                status TEXT NOT NULL DEFAULT 'active',
+                updated_at DATETIME
+            );
+            CREATE TABLE waitlist_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                hold_id INTEGER,
+                status TEXT NOT NULL DEFAULT 'waiting',
+                updated_at DATETIME
+            );
+            CREATE TABLE event_cancellations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL UNIQUE,
+                status TEXT NOT NULL DEFAULT 'pending',
+                orders_failed INTEGER NOT NULL DEFAULT 0,
+                refunded_cents INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                started_at DATETIME,
+                completed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                event_id INTEGER,
+                type TEXT NOT NULL,
+                message TEXT NOT NULL,
+                read_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE UNIQUE INDEX idx_notifications_user_event_type ON notifications(user_id, event_id, type);
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+});
+
+afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+
+    // Give time for any pending operations to complete
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return new Promise((resolve) => {
+        testDb.close((err) => {
+            if (err) {
+                console.error('Error closing database:', err);
+            }
+            // Give file system time to release the lock
+            setTimeout(() => {
+                try {
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
+                    }
+                } catch (error) {
+                    console.error('Error cleaning up test database:', error);
+                }
+                resolve();
+            }, 200);
+        });
+    });
+}, 10000);
+
+/**
+ * Reset to one cancelled event (1) with three orders and one active event (2):
+ * order 1 was paid and one of its tickets was transferred to user 43, order 2
+ * was free, order 3 was already refunded by its buyer
+ */
+function resetData() {
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            DELETE FROM notifications;
+            DELETE FROM event_cancellations;
+            DELETE FROM waitlist_entries;
+            DELETE FROM holds;
+            DELETE FROM event_seats;
+            DELETE FROM ticket_types;
+            DELETE FROM ticket_transfers;
+            DELETE FROM tickets;
+            DELETE FROM order_refunds;
+            DELETE FROM orders;
+            DELETE FROM events;
+            INSERT INTO events (id, name, date, status, cancellation_reason, cancelled_at) VALUES
+                (1, 'Homecoming Game', '2099-10-01', 'cancelled', 'Severe weather', datetime('now')),
+                (2, 'Spring Concert', '2099-04-01', 'active', NULL, NULL);
+            INSERT INTO orders (id, user_id, event_id, quantity, refunded_quantity, total_cents, refunded_cents,
+                                payment_provider, payment_id, payment_status, status) VALUES
+                (1, 42, 1, 2, 0, 5150, 0, 'mock', 'mock_pay_1', 'captured', 'completed'),
+                (2, 44, 1, 1, 0, 0, 0, NULL, NULL, 'not_required', 'completed'),
+                (3, 45, 1, 1, 1, 2575, 2575, 'mock', 'mock_pay_3', 'refunded', 'refunded'),
+                (4, 42, 2, 1, 0, 2575, 0, 'mock', 'mock_pay_4', 'captured', 'completed');
+            INSERT INTO tickets (id, order_id, user_id, event_id, status) VALUES
+                (1, 1, 42, 1, 'valid'),
+                (2, 1, 43, 1, 'valid'),
+                (3, 2, 44, 1, 'valid'),
+                (4, 3, 45, 1, 'refunded'),
+                (5, 4, 42, 2, 'valid');
+            INSERT INTO ticket_transfers (id, ticket_id, status) VALUES (1, 1, 'pending');
+            INSERT INTO ticket_types (id, event_id, tickets_sold) VALUES (1, 1, 6);
+            INSERT INTO holds (id, event_id, ticket_type_id, quantity, status) VALUES
+                (1, 1, 1, 2, 'active'), (2, 1, NULL, 1, 'confirmed'), (3, 2, NULL, 3, 'active'), (4, 1, NULL, 1, 'active');
+            INSERT INTO event_seats (id, event_id, status, hold_id) VALUES (1, 1, 'held', 1), (2, 1, 'held', 1), (3, 1, 'sold', NULL);
+            INSERT INTO waitlist_entries (id, event_id, hold_id, status) VALUES
+                (1, 1, NULL, 'waiting'), (2, 1, 4, 'offered'), (3, 2, NULL, 'waiting');
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        testDb.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+describe('Cancellation Model - jobs', () => {
+    beforeEach(async () => {
+        await resetData();
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should create a pending job with the event\'s order counts', async () => {
+        const cancellation = await cancellationModel.createCancellation(1);
+
+        expect(cancellation).toMatchObject({
+            event_id: 1,
+            event_name: 'Homecoming Game',
+            status: 'pending',
+            orders_total: 3,
+            orders_refunded: 1,
+            orders_remaining: 2,
+            orders_failed: 0,
+            refunded_cents: 0,
+            last_error: null
+        });
+    });
+
+    test('should keep a single job per event', async () => {
+        const first = await cancellationModel.createCancellation(1);
+        const second = await cancellationModel.createCancellation(1);
+
+        expect(second.id).toBe(first.id);
+    });
+
+    test('should return null when an event has no job', async () => {
+        expect(await cancellationModel.getCancellation(2)).toBeNull();
+    });
+
+    test('should stop the event\'s remaining sales when a run starts', async () => {
+        await cancellationModel.createCancellation(1);
+
+        await cancellationModel.startCancellationRun(1);
+
+        const cancellation = await cancellationModel.getCancellation(1);
+        const holds = await query('SELECT id, status FROM holds ORDER BY id');
+        const entries = await query('SELECT id, status FROM waitlist_entries ORDER BY id');
+
+        expect(cancellation.status).toBe('running');
+        expect(cancellation.started_at).toBeTruthy();
+        expect(holds.map(hold => hold.status)).toEqual(['released', 'confirmed', 'active', 'released']);
+        expect(entries.map(entry => entry.status)).toEqual(['expired', 'expired', 'waiting']);
+    });
+
+    test('should return the tickets and seats of released holds to inventory', async () => {
+        await cancellationModel.createCancellation(1);
+
+        await cancellationModel.startCancellationRun(1);
+
+        const events = await query('SELECT id, tickets_available FROM events ORDER BY id');
+        const ticketTypes = await query('SELECT tickets_sold FROM ticket_types');
+        const seats = await query('SELECT status, hold_id FROM event_seats ORDER BY id');
+
+        expect(events).toEqual([{ id: 1, tickets_available: 3 }, { id: 2, tickets_available: 0 }]);
+        expect(ticketTypes).toEqual([{ tickets_sold: 4 }]);
+        expect(seats).toEqual([
+            { status: 'available', hold_id: null },
+            { status: 'available', hold_id: null },
+            { status: 'sold', hold_id: null }
+        ]);
+    });
+
+    test('should list only the orders that still need refunding', async () => {
+        expect(await cancellationModel.getOrdersToRefund(1)).toEqual([1, 2]);
+    });
+
+    test('should find cancelled events whose refunds are unfinished', async () => {
+        expect(await cancellationModel.getUnfinishedCancellations()).toEqual([1]);
+
+        await cancellationModel.createCancellation(1);
+        expect(await cancellationModel.getUnfinishedCancellations()).toEqual([1]);
+
+        await cancellationModel.finishCancellationRun(1);
+        expect(await cancellationModel.getUnfinishedCancellations()).toEqual([]);
+    });
+
+    test('should complete a run with no failures and fail one with failures', async () => {
+        await cancellationModel.createCancellation(1);
+
+        await cancellationModel.recordRefundFailure(1, 2, 'Payment refund failed: gateway unavailable');
+        const failed = await cancellationModel.finishCancellationRun(1);
+
+        expect(failed).toMatchObject({
+            status: 'failed',
+            orders_failed: 1,
+            last_error: 'Order 2: Payment refund failed: gateway unavailable',
+            completed_at: null
+        });
+
+        await cancellationModel.startCancellationRun(1);
+        const completed = await cancellationModel.finishCancellationRun(1);
+
+        expect(completed).toMatchObject({ status: 'completed', orders_failed: 0, last_error: null });
+        expect(completed.completed_at).toBeTruthy();
+    });
+});
+
+describe('Cancellation Model - refundCancelledOrder', () => {
+    beforeEach(async () => {
+        await resetData();
+        await cancellationModel.createCancellation(1);
+        jest.clearAllMocks();
+        mockRefund.mockResolvedValue({ status: 'refunded' });
+        console.error = jest.fn();
+    });
+
+    test('should refund the payment and void every ticket on the order', async () => {
+        const result = await cancellationModel.refundCancelledOrder(1);
+
+        expect(result).toEqual({ orderId: 1, refundedCents: 5150 });
+        expect(getPaymentProvider).toHaveBeenCalledWith('mock');
+        expect(mockRefund).toHaveBeenCalledWith('mock_pay_1', 5150, { reference: expect.stringMatching(/^order-refund-\d+$/) });
+
+        const [order] = await query('SELECT * FROM orders WHERE id = 1');
+        const tickets = await query('SELECT status FROM tickets WHERE order_id = 1');
+        const [transfer] = await query('SELECT status FROM ticket_transfers WHERE id = 1');
+        const cancellation = await cancellationModel.getCancellation(1);
+
+        expect(order).toMatchObject({
+            status: 'refunded',
+            refunded_quantity: 2,
+            refunded_cents: 5150,
+            payment_status: 'refunded'
+        });
+        expect(tickets.map(ticket => ticket.status)).toEqual(['refunded', 'refunded']);
+        expect(transfer.status).toBe('cancelled');
+        expect(cancellation).toMatchObject({ orders_refunded: 2, orders_remaining: 1, refunded_cents: 5150 });
+    });
+
+    test('should notify the buyer and anyone holding a transferred ticket', async () => {
+        await cancellationModel.refundCancelledOrder(1);
+
+        const notifications = await query('SELECT user_id, event_id, type, message FROM notifications ORDER BY user_id');
+
+        expect(notifications).toEqual([
+            {
+                user_id: 42,
+                event_id: 1,
+                type: 'event_cancelled',
+                message: 'Homecoming Game on 2099-10-01 has been cancelled: Severe weather. Your tickets have been refunded to your original payment method.'
+            },
+            {
+                user_id: 43,
+                event_id: 1,
+                type: 'event_cancelled',
+                message: 'Homecoming Game on 2099-10-01 has been cancelled: Severe weather. The tickets transferred to you are no longer valid, and the buyer has been refunded.'
+            }
+        ]);
+    });
+
+    test('should refund free orders without calling the payment provider', async () => {
+        const result = await cancellationModel.refundCancelledOrder(2);
+
+        expect(result.refundedCents).toBe(0);
+        expect(mockRefund).not.toHaveBeenCalled();
+
+        const [order] = await query('SELECT status, payment_status FROM orders WHERE id = 2');
+        expect(order).toEqual({ status: 'refunded', payment_status: 'not_required' });
+    });
+
+    test('should skip orders that are already refunded', async () => {
+        const result = await cancellationModel.refundCancelledOrder(3);
+
+        expect(result).toEqual({ orderId: 3, refundedCents: 0 });
+        expect(mockRefund).not.toHaveBeenCalled();
+        expect(await query('SELECT * FROM notifications')).toEqual([]);
+    });
+
+    test('should change nothing when the payment provider refuses the refund', async () => {
+        mockRefund.mockRejectedValue(new Error('Payment refund failed: gateway unavailable'));
+
+        await expect(cancellationModel.refundCancelledOrder(1)).rejects.toThrow('gateway unavailable');
+
+        const [order] = await query('SELECT status FROM orders WHERE id = 1');
+        const tickets = await query('SELECT status FROM tickets WHERE order_id = 1');
+
+        expect(order.status).toBe('completed');
+        expect(tickets.map(ticket => ticket.status)).toEqual(['valid', 'valid']);
+        expect(await query('SELECT * FROM notifications')).toEqual([]);
+        expect(await query('SELECT status, last_error FROM order_refunds')).toEqual([
+            { status: 'failed', last_error: 'Payment refund failed: gateway unavailable' }
+        ]);
+    });
+
+    test('should finish an interrupted refund without refunding the payment twice', async () => {
+        // The provider refunds the payment but the refund cannot be recorded
+        await query(`
+            CREATE TRIGGER fail_notifications BEFORE INSERT ON notifications
+            BEGIN SELECT RAISE(ABORT, 'notifications are unavailable'); END
+        `);
+
+        try {
+            await expect(cancellationModel.refundCancelledOrder(1)).rejects.toThrow('notifications are unavailable');
+        } finally {
+            await query('DROP TRIGGER fail_notifications');
+        }
+
+        const [pending] = await query('SELECT id, status FROM order_refunds');
+        expect(pending.status).toBe('pending');
+
+        const result = await cancellationModel.refundCancelledOrder(1);
+
+        const [order] = await query('SELECT status, refunded_cents FROM orders WHERE id = 1');
+        const cancellation = await cancellationModel.getCancellation(1);
+
+        expect(result).toEqual({ orderId: 1, refundedCents: 5150 });
+        expect(mockRefund.mock.calls).toEqual([
+            ['mock_pay_1', 5150, { reference: `order-refund-${pending.id}` }],
+            ['mock_pay_1', 5150, { reference: `order-refund-${pending.id}` }]
+        ]);
+        expect(order).toEqual({ status: 'refunded', refunded_cents: 5150 });
+        expect(cancellation.refunded_cents).toBe(5150);
+        expect(await query('SELECT status FROM order_refunds')).toEqual([{ status: 'completed' }]);
+    });
+
+    test('should finish a refund the buyer started before refunding the rest of the order', async () => {
+        await query(`
+            INSERT INTO order_refunds (order_id, quantity, amount_cents, status)
+            VALUES (1, 1, 2575, 'pending')
+        `);
+
+        const result = await cancellationModel.refundCancelledOrder(1);
+
+        const [order] = await query('SELECT status, refunded_quantity, refunded_cents FROM orders WHERE id = 1');
+        const refunds = await query('SELECT quantity, amount_cents, status FROM order_refunds ORDER BY id');
+
+        expect(result).toEqual({ orderId: 1, refundedCents: 5150 });
+        expect(mockRefund.mock.calls.map(call => call[1])).toEqual([2575, 2575]);
+        expect(order).toEqual({ status: 'refunded', refunded_quantity: 2, refunded_cents: 5150 });
+        expect(refunds).toEqual([
+            { quantity: 1, amount_cents: 2575, status: 'completed' },
+            { quantity: 1, amount_cents: 2575, status: 'completed' }
+        ]);
+    });
+
+    test('should log a rollback that fails after the database ended the transaction', async () => {
+        // RAISE(ROLLBACK) ends the transaction itself, so the model's own ROLLBACK fails
+        await query(`
+            CREATE TRIGGER fail_notifications BEFORE INSERT ON notifications
+            BEGIN SELECT RAISE(ROLLBACK, 'notifications are unavailable'); END
+        `);
+
+        try {
+            await expect(cancellationModel.refundCancelledOrder(2)).rejects.toThrow('notifications are unavailable');
+        } finally {
+            await query('DROP TRIGGER fail_notifications');
+        }
+
+        const [order] = await query('SELECT status FROM orders WHERE id = 2');
+
+        expect(order.status).toBe('completed');
+        expect(console.error).toHaveBeenCalledWith('Error rolling back transaction:', expect.stringContaining('no transaction is active'));
+    });
+});
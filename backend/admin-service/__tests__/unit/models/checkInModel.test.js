@@ -0,0 +1,177 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Test database (separate from the other model tests)
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-check-in.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
+
+const checkInModel = require('../../../models/checkInModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+
+let testDb;
+
+beforeAll(() => {
+    // Remove existing test database if it exists
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+    }
+
+    testDb = new sqlite3.Database(testDbPath);
+
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL UNIQUE
+            );
+            CREATE TABLE ticket_types (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                name TEXT NOT NULL
+            );
+            CREATE TABLE tickets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                ticket_type_id INTEGER,
+                code TEXT NOT NULL UNIQUE,
+                status TEXT NOT NULL DEFAULT 'valid',
+                checked_in_at DATETIME,
+                checked_in_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            INSERT INTO users (id, email) VALUES (3, 'gate@clemson.edu'), (4, 'north-gate@clemson.edu');
+            INSERT INTO ticket_types (id, event_id, name) VALUES (7, 1, 'Student');
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+});
+
+afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+
+    // Give time for any pending operations to complete
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return new Promise((resolve) => {
+        testDb.close((err) => {
+            if (err) {
+                console.error('Error closing database:', err);
+            }
+            // Give file system time to release the lock
+            setTimeout(() => {
+                try {
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
+                    }
+                } catch (error) {
+                    console.error('Error cleaning up test database:', error);
+                }
+                resolve();
+            }, 200);
+        });
+    });
+}, 10000);
+
+function resetTickets() {
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            DELETE FROM tickets;
+            INSERT INTO tickets (id, order_id, event_id, ticket_type_id, code, status) VALUES
+                (1, 1, 1, 7, 'TT1.1.a.sig', 'valid'),
+                (2, 1, 1, 7, 'TT1.1.b.sig', 'valid'),
+                (3, 2, 1, NULL, 'TT1.1.c.sig', 'refunded'),
+                (4, 3, 2, NULL, 'TT1.2.d.sig', 'valid');
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+describe('Check-In Model - checkInTicket', () => {
+    beforeEach(async () => {
+        await resetTickets();
+        console.error = jest.fn();
+    });
+
+    test('should mark a valid ticket as checked in by the staff member', async () => {
+        const { ticket, alreadyCheckedIn } = await checkInModel.checkInTicket(1, 'TT1.1.a.sig', 3);
+
+        expect(alreadyCheckedIn).toBe(false);
+        expect(ticket).toMatchObject({
+            id: 1,
+            event_id: 1,
+            ticket_type_name: 'Student',
+            status: 'valid',
+            checked_in_by: 3,
+            checked_in_by_email: 'gate@clemson.edu'
+        });
+        expect(ticket.checked_in_at).toBeTruthy();
+    });
+
+    test('should report the first scan when a ticket is scanned again', async () => {
+        const first = await checkInModel.checkInTicket(1, 'TT1.1.a.sig', 4);
+        const second = await checkInModel.checkInTicket(1, 'TT1.1.a.sig', 3);
+
+        expect(second.alreadyCheckedIn).toBe(true);
+        expect(second.ticket.checked_in_at).toBe(first.ticket.checked_in_at);
+        expect(second.ticket.checked_in_by_email).toBe('north-gate@clemson.edu');
+    });
+
+    test('should admit a ticket only once when scanned concurrently', async () => {
+        const results = await Promise.all([
+            checkInModel.checkInTicket(1, 'TT1.1.b.sig', 3),
+            checkInModel.checkInTicket(1, 'TT1.1.b.sig', 4)
+        ]);
+
+        expect(results.filter(result => !result.alreadyCheckedIn)).toHaveLength(1);
+    });
+
+    test('should reject a refunded ticket', async () => {
+        await expect(checkInModel.checkInTicket(1, 'TT1.1.c.sig', 3))
+            .rejects.toThrow('Ticket has been refunded');
+    });
+
+    test('should return null for a code not issued for the event', async () => {
+        expect(await checkInModel.checkInTicket(1, 'TT1.1.zzz.sig', 3)).toBeNull();
+        expect(await checkInModel.checkInTicket(1, 'TT1.2.d.sig', 3)).toBeNull();
+    });
+});
+
+describe('Check-In Model - getAttendance', () => {
+    beforeEach(async () => {
+        await resetTickets();
+        console.error = jest.fn();
+    });
+
+    test('should count issued, checked-in and refunded tickets', async () => {
+        await checkInModel.checkInTicket(1, 'TT1.1.a.sig', 3);
+
+        expect(await checkInModel.getAttendance(1)).toEqual({
+            event_id: 1,
+            tickets_issued: 2,
+            checked_in: 1,
+            not_checked_in: 1,
+            refunded: 1
+        });
+    });
+
+    test('should return zeros for an event without tickets', async () => {
+        expect(await checkInModel.getAttendance(9)).toEqual({
+            event_id: 9,
+            tickets_issued: 0,
+            checked_in: 0,
+            not_checked_in: 0,
+            refunded: 0
+        });
+    });
+});
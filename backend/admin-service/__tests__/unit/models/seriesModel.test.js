@@ -0,0 +1,398 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Test database (separate from other model tests)
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-series.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
+
+const seriesModel = require('../../../models/seriesModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+
+let testDb;
+
+beforeAll(() => {
+    // Remove existing test database if it exists
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+    }
+
+    testDb = new sqlite3.Database(testDbPath);
+
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            CREATE TABLE venues (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                capacity INTEGER NOT NULL CHECK (capacity > 0)
+            );
+            CREATE TABLE event_series (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'dates')),
+                repeat_interval INTEGER,
+                time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                date TEXT NOT NULL,
+                tickets_available INTEGER NOT NULL DEFAULT 0,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                max_per_user INTEGER,
+                starts_at DATETIME,
+                ends_at DATETIME,
+                time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+                sales_start DATETIME,
+                sales_end DATETIME,
+                venue_id INTEGER,
+                description TEXT,
+                category TEXT NOT NULL DEFAULT 'other',
+                image_url TEXT,
+                status TEXT NOT NULL DEFAULT 'active',
+                series_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE event_seats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                seat_id INTEGER NOT NULL
+            );
+            CREATE TABLE orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                refunded_quantity INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE TABLE holds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active'
+            );
+            INSERT INTO venues (id, name, capacity) VALUES (1, 'Brooks Center', 100), (2, 'Littlejohn Coliseum', 9000);
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+});
+
+afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+
+    // Give time for any pending operations to complete
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return new Promise((resolve) => {
+        testDb.close((err) => {
+            if (err) {
+                console.error('Error closing database:', err);
+            }
+            // Give file system time to release the lock
+            setTimeout(() => {
+                try {
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
+                    }
+                } catch (error) {
+                    console.error('Error cleaning up test database:', error);
+                }
+                resolve();
+            }, 200);
+        });
+    });
+}, 10000);
+
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        testDb.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+async function clearTables() {
+    await query('DELETE FROM holds');
+    await query('DELETE FROM orders');
+    await query('DELETE FROM event_seats');
+    await query('DELETE FROM events');
+    await query('DELETE FROM event_series');
+}
+
+function occurrence(date, overrides = {}) {
+    return {
+        name: 'Jazz Night',
+        date,
+        tickets_available: 80,
+        price_cents: 1500,
+        currency: 'USD',
+        max_per_user: null,
+        starts_at: null,
+        ends_at: null,
+        time_zone: 'America/New_York',
+        sales_start: null,
+        sales_end: null,
+        venue_id: 1,
+        description: 'Live jazz in the lobby',
+        category: 'arts',
+        image_url: null,
+        ...overrides
+    };
+}
+
+function createJazzSeries(occurrences) {
+    return seriesModel.createSeries({
+        name: 'Jazz Night',
+        frequency: 'weekly',
+        repeat_interval: 1,
+        time_zone: 'America/New_York'
+    }, occurrences);
+}
+
+describe('Series Model - createSeries', () => {
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+    });
+
+    test('should insert a series with its occurrences', async () => {
+        const series = await createJazzSeries([
+            occurrence('2099-03-05', { starts_at: '2099-03-06T00:00:00.000Z' }),
+            occurrence('2099-03-12', { starts_at: '2099-03-12T23:00:00.000Z', sales_end: '2099-03-12T21:00:00.000Z' })
+        ]);
+
+        expect(series).toMatchObject({
+            id: expect.any(Number),
+            name: 'Jazz Night',
+            frequency: 'weekly',
+            repeat_interval: 1,
+            time_zone: 'America/New_York',
+            occurrence_count: 2
+        });
+        expect(series.occurrences).toHaveLength(2);
+        expect(series.occurrences[0]).toMatchObject({
+            name: 'Jazz Night',
+            date: '2099-03-05',
+            starts_at: '2099-03-06T00:00:00.000Z',
+            venue: 'Brooks Center',
+            category: 'arts',
+            price_cents: 1500,
+            status: 'active',
+            series_id: series.id
+        });
+        expect(series.occurrences[1]).toMatchObject({ date: '2099-03-12', sales_start: null, sales_end: '2099-03-12T21:00:00.000Z' });
+    });
+
+    test('should store nothing when an occurrence cannot be inserted', async () => {
+        await expect(createJazzSeries([
+            occurrence('2099-03-05'),
+            occurrence('2099-03-12', { name: null })
+        ])).rejects.toThrow();
+
+        expect(await query('SELECT * FROM event_series')).toEqual([]);
+        expect(await query('SELECT * FROM events')).toEqual([]);
+    });
+
+    test('should report a failed rollback and still reject', async () => {
+        await query(`
+            CREATE TRIGGER fail_events BEFORE INSERT ON events
+            BEGIN SELECT RAISE(ROLLBACK, 'events are unavailable'); END
+        `);
+
+        try {
+            await expect(createJazzSeries([occurrence('2099-03-05')])).rejects.toThrow('events are unavailable');
+        } finally {
+            await query('DROP TRIGGER fail_events');
+        }
+
+        expect(await query('SELECT * FROM event_series')).toEqual([]);
+        expect(console.error).toHaveBeenCalledWith('Error rolling back transaction:', expect.stringContaining('no transaction is active'));
+    });
+});
+
+describe('Series Model - getSeries and getSeriesById', () => {
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+    });
+
+    test('should list series with their occurrence count and next date', async () => {
+        const series = await createJazzSeries([
+            occurrence('2000-03-02'),
+            occurrence('2099-03-05'),
+            occurrence('2099-03-12')
+        ]);
+
+        const [listed] = await seriesModel.getSeries();
+
+        expect(listed).toMatchObject({ id: series.id, name: 'Jazz Night', occurrence_count: 3, next_date: '2099-03-05' });
+        expect(listed.occurrences).toBeUndefined();
+    });
+
+    test('should leave archived occurrences out', async () => {
+        const series = await createJazzSeries([occurrence('2099-03-05'), occurrence('2099-03-12')]);
+        await query("UPDATE events SET status = 'archived' WHERE id = ?", [series.occurrences[0].id]);
+
+        const found = await seriesModel.getSeriesById(series.id);
+
+        expect(found.occurrence_count).toBe(1);
+        expect(found.occurrences.map(event => event.date)).toEqual(['2099-03-12']);
+    });
+
+    test('should return null for a series that does not exist', async () => {
+        expect(await seriesModel.getSeriesById(9999)).toBeNull();
+    });
+});
+
+describe('Series Model - updateSeries', () => {
+    let series;
+
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+        series = await createJazzSeries([
+            occurrence('2000-03-02', { starts_at: '2000-03-03T00:00:00.000Z', ends_at: '2000-03-03T02:00:00.000Z' }),
+            occurrence('2099-03-05', { starts_at: '2099-03-06T00:00:00.000Z', ends_at: '2099-03-06T02:00:00.000Z' }),
+            occurrence('2099-03-12', { starts_at: '2099-03-12T23:00:00.000Z', ends_at: '2099-03-13T01:00:00.000Z' }),
+            occurrence('2099-03-19', { starts_at: '2099-03-19T23:00:00.000Z', ends_at: '2099-03-20T01:00:00.000Z' })
+        ]);
+    });
+
+    async function getDates() {
+        return query('SELECT id, date, name, price_cents, starts_at, ends_at FROM events ORDER BY date');
+    }
+
+    test('should update the upcoming occurrences and rename the series', async () => {
+        const result = await seriesModel.updateSeries(series.id, { name: 'Jazz at the Brooks', price_cents: 2000 });
+
+        expect(result.updated).toEqual(series.occurrences.slice(1).map(event => event.id));
+        expect(result.series.name).toBe('Jazz at the Brooks');
+
+        const events = await getDates();
+        expect(events[0]).toMatchObject({ name: 'Jazz Night', price_cents: 1500 });
+        expect(events.slice(1).every(event => event.name === 'Jazz at the Brooks' && event.price_cents === 2000)).toBe(true);
+    });
+
+    test('should update from the given occurrence onwards', async () => {
+        const result = await seriesModel.updateSeries(series.id, { price_cents: 0 }, { fromEventId: series.occurrences[2].id });
+
+        expect(result.updated).toEqual([series.occurrences[2].id, series.occurrences[3].id]);
+        expect((await getDates()).map(event => event.price_cents)).toEqual([1500, 1500, 0, 0]);
+    });
+
+    test('should leave cancelled occurrences alone', async () => {
+        await query("UPDATE events SET status = 'cancelled' WHERE id = ?", [series.occurrences[3].id]);
+
+        const result = await seriesModel.updateSeries(series.id, { price_cents: 0 });
+
+        expect(result.updated).toEqual([series.occurrences[1].id, series.occurrences[2].id]);
+    });
+
+    test('should keep the local start time and length across a daylight saving change', async () => {
+        await seriesModel.updateSeries(series.id, {}, { startTime: '18:30' });
+
+        const events = await getDates();
+        expect(events[1]).toMatchObject({ starts_at: '2099-03-05T23:30:00.000Z', ends_at: '2099-03-06T01:30:00.000Z' });
+        expect(events[2]).toMatchObject({ starts_at: '2099-03-12T22:30:00.000Z', ends_at: '2099-03-13T00:30:00.000Z' });
+    });
+
+    test('should set a new end time, on the next day when it is before the start time', async () => {
+        await seriesModel.updateSeries(series.id, {}, { startTime: '22:00', endTime: '01:00' });
+
+        const [, first] = await getDates();
+        expect(first).toMatchObject({ starts_at: '2099-03-06T03:00:00.000Z', ends_at: '2099-03-06T06:00:00.000Z' });
+    });
+
+    test('should clear the end time when it is null', async () => {
+        await seriesModel.updateSeries(series.id, {}, { startTime: '19:00', endTime: null });
+
+        const [, first] = await getDates();
+        expect(first).toMatchObject({ starts_at: '2099-03-06T00:00:00.000Z', ends_at: null });
+    });
+
+    test('should not move an occurrence to start before its sales close', async () => {
+        await query("UPDATE events SET sales_end = '2099-03-12T22:00:00.000Z' WHERE id = ?", [series.occurrences[2].id]);
+
+        await expect(seriesModel.updateSeries(series.id, {}, { startTime: '17:30' }))
+            .rejects.toThrow('Sales end cannot be after the new start time of the 2099-03-12 occurrence');
+        expect((await getDates())[1].starts_at).toBe('2099-03-06T00:00:00.000Z');
+
+        await query("UPDATE events SET sales_end = NULL, sales_start = '2099-03-12T22:00:00.000Z' WHERE id = ?", [series.occurrences[2].id]);
+        await expect(seriesModel.updateSeries(series.id, {}, { startTime: '18:00' }))
+            .rejects.toThrow('Sales start must be before the new start time of the 2099-03-12 occurrence');
+
+        await seriesModel.updateSeries(series.id, {}, { startTime: '18:30' });
+        expect((await getDates())[2].starts_at).toBe('2099-03-12T22:30:00.000Z');
+    });
+
+    test('should reject an occurrence from another series', async () => {
+        await expect(seriesModel.updateSeries(series.id, { price_cents: 0 }, { fromEventId: 9999 }))
+            .rejects.toThrow('Event 9999 is not an occurrence of this series');
+    });
+
+    test('should reject a series with no upcoming occurrences', async () => {
+        await query("UPDATE events SET status = 'cancelled' WHERE date > '2000-12-31'");
+
+        await expect(seriesModel.updateSeries(series.id, { price_cents: 0 }))
+            .rejects.toThrow('The series has no upcoming occurrences to update');
+    });
+
+    test('should check the ticket count against the venue of each occurrence', async () => {
+        await expect(seriesModel.updateSeries(series.id, { tickets_available: 150 }))
+            .rejects.toThrow('Tickets available (150) cannot exceed the capacity of Brooks Center (100) on 2099-03-05');
+
+        const result = await seriesModel.updateSeries(series.id, { tickets_available: 150, venue_id: 2 });
+        expect(result.series.occurrences[1]).toMatchObject({ tickets_available: 150, venue: 'Littlejohn Coliseum' });
+    });
+
+    test('should take the tickets each occurrence has sold or held off the new ticket count', async () => {
+        await query('INSERT INTO orders (event_id, quantity, refunded_quantity) VALUES (?, 30, 5)', [series.occurrences[1].id]);
+        await query("INSERT INTO holds (event_id, quantity, status) VALUES (?, 10, 'active'), (?, 40, 'released')",
+            [series.occurrences[2].id, series.occurrences[2].id]);
+
+        await seriesModel.updateSeries(series.id, { tickets_available: 90 });
+
+        const events = await query('SELECT tickets_available FROM events ORDER BY date');
+        expect(events.map(event => event.tickets_available)).toEqual([80, 65, 80, 90]);
+    });
+
+    test('should reject a ticket count below what an occurrence has sold or held', async () => {
+        await query('INSERT INTO orders (event_id, quantity) VALUES (?, 60)', [series.occurrences[3].id]);
+
+        await expect(seriesModel.updateSeries(series.id, { tickets_available: 50 }))
+            .rejects.toThrow('The 2099-03-19 occurrence has already sold or held 60 tickets, more than the 50 it would offer');
+        expect((await query('SELECT tickets_available FROM events WHERE id = ?', [series.occurrences[1].id]))[0].tickets_available).toBe(80);
+    });
+
+    test('should count sold and held tickets against the capacity of a new venue', async () => {
+        await query('UPDATE events SET venue_id = 2');
+        await query('INSERT INTO holds (event_id, quantity) VALUES (?, 25)', [series.occurrences[2].id]);
+
+        await expect(seriesModel.updateSeries(series.id, { venue_id: 1 }))
+            .rejects.toThrow('Tickets available (80) plus the 25 already sold or held cannot exceed the capacity of Brooks Center (100) on 2099-03-12');
+    });
+
+    test('should not move occurrences selling reserved seats', async () => {
+        await query('INSERT INTO event_seats (event_id, seat_id) VALUES (?, 1)', [series.occurrences[2].id]);
+
+        await expect(seriesModel.updateSeries(series.id, { venue_id: 2 }))
+            .rejects.toThrow('The venue and ticket count of the 2099-03-12 occurrence cannot be changed because it sells reserved seats');
+        expect((await getDates())[1].price_cents).toBe(1500);
+
+        await seriesModel.updateSeries(series.id, { venue_id: 1, price_cents: 900 });
+        expect((await getDates())[2].price_cents).toBe(900);
+    });
+
+    test('should return null for a series that does not exist', async () => {
+        expect(await seriesModel.updateSeries(9999, { price_cents: 0 })).toBeNull();
+    });
+});
@@ -0,0 +1,245 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Test database (separate from adminModel tests)
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-ticket-types.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
+
+const ticketTypeModel = require('../../../models/ticketTypeModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+
+let testDb;
+let eventId;
+
+beforeAll(() => {
+    // Remove existing test database if it exists
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+    }
+
+    testDb = new sqlite3.Database(testDbPath);
+
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            CREATE TABLE events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                date TEXT NOT NULL,
+                tickets_available INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE TABLE ticket_types (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                quota INTEGER NOT NULL,
+                tickets_sold INTEGER NOT NULL DEFAULT 0,
+                sales_start DATETIME,
+                sales_end DATETIME,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (event_id, name)
+            );
+            INSERT INTO events (id, name, date, tickets_available) VALUES (1, 'Football Game', '2099-11-29', 1000);
+        `, (err) => {
+            if (err) reject(err);
+            else {
+                eventId = 1;
+                resolve();
+            }
+        });
+    });
+});
+
+afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+
+    // Give time for any pending operations to complete
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return new Promise((resolve) => {
+        testDb.close((err) => {
+            if (err) {
+                console.error('Error closing database:', err);
+            }
+            // Give file system time to release the lock
+            setTimeout(() => {
+                try {
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
+                    }
+                } catch (error) {
+                    console.error('Error cleaning up test database:', error);
+                }
+                resolve();
+            }, 200);
+        });
+    });
+}, 10000);
+
+function clearTicketTypes() {
+    return new Promise((resolve, reject) => {
+        testDb.run('DELETE FROM ticket_types', (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function markSold(ticketTypeId, count) {
+    return new Promise((resolve, reject) => {
+        testDb.run('UPDATE ticket_types SET tickets_sold = ? WHERE id = ?', [count, ticketTypeId], (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+describe('Ticket Type Model - createTicketType', () => {
+    beforeEach(async () => {
+        await clearTicketTypes();
+        console.error = jest.fn();
+    });
+
+    test('should insert a ticket type and report it fully available', async () => {
+        const ticketType = await ticketTypeModel.createTicketType(eventId, {
+            name: 'Student',
+            price_cents: 1000,
+            quota: 500
+        });
+
+        expect(ticketType).toMatchObject({
+            id: expect.any(Number),
+            event_id: eventId,
+            name: 'Student',
+            price_cents: 1000,
+            quota: 500,
+            tickets_sold: 0,
+            tickets_available: 500,
+            sales_start: null,
+            sales_end: null
+        });
+    });
+
+    test('should store the sales window', async () => {
+        const ticketType = await ticketTypeModel.createTicketType(eventId, {
+            name: 'Early Bird',
+            price_cents: 2000,
+            quota: 100,
+            sales_start: '2099-01-01T00:00:00.000Z',
+            sales_end: '2099-02-01T00:00:00.000Z'
+        });
+
+        expect(ticketType.sales_start).toBe('2099-01-01T00:00:00.000Z');
+        expect(ticketType.sales_end).toBe('2099-02-01T00:00:00.000Z');
+    });
+
+    test('should reject duplicate names within an event', async () => {
+        await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+
+        await expect(
+            ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3500, quota: 10 })
+        ).rejects.toThrow('UNIQUE constraint failed');
+    });
+});
+
+describe('Ticket Type Model - getTicketTypesByEvent and getTicketTypeById', () => {
+    beforeEach(async () => {
+        await clearTicketTypes();
+    });
+
+    test('should list an event\'s ticket types cheapest first', async () => {
+        await ticketTypeModel.createTicketType(eventId, { name: 'Reserved', price_cents: 5000, quota: 100 });
+        await ticketTypeModel.createTicketType(eventId, { name: 'Student', price_cents: 1000, quota: 100 });
+
+        const ticketTypes = await ticketTypeModel.getTicketTypesByEvent(eventId);
+
+        expect(ticketTypes.map(ticketType => ticketType.name)).toEqual(['Student', 'Reserved']);
+    });
+
+    test('should return an empty list for events without ticket types', async () => {
+        await expect(ticketTypeModel.getTicketTypesByEvent(999)).resolves.toEqual([]);
+    });
+
+    test('should only find a ticket type under its own event', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+
+        await expect(ticketTypeModel.getTicketTypeById(eventId, created.id)).resolves.toMatchObject({ name: 'GA' });
+        await expect(ticketTypeModel.getTicketTypeById(999, created.id)).resolves.toBeNull();
+    });
+});
+
+describe('Ticket Type Model - updateTicketType', () => {
+    beforeEach(async () => {
+        await clearTicketTypes();
+        console.error = jest.fn();
+    });
+
+    test('should update the provided fields only', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+
+        const updated = await ticketTypeModel.updateTicketType(eventId, created.id, { price_cents: 3500, quota: 20 });
+
+        expect(updated).toMatchObject({ name: 'GA', price_cents: 3500, quota: 20, tickets_available: 20 });
+    });
+
+    test('should clear the sales window when set to null', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, {
+            name: 'GA',
+            price_cents: 3000,
+            quota: 10,
+            sales_end: '2099-02-01T00:00:00.000Z'
+        });
+
+        const updated = await ticketTypeModel.updateTicketType(eventId, created.id, { sales_end: null });
+
+        expect(updated.sales_end).toBeNull();
+    });
+
+    test('should refuse to lower the quota below tickets already sold', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+        await markSold(created.id, 8);
+
+        await expect(
+            ticketTypeModel.updateTicketType(eventId, created.id, { quota: 5 })
+        ).rejects.toThrow('Quota cannot be lower than the 8 ticket(s) already sold');
+    });
+
+    test('should return null for a missing ticket type or empty update', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+
+        await expect(ticketTypeModel.updateTicketType(eventId, 9999, { quota: 5 })).resolves.toBeNull();
+        await expect(ticketTypeModel.updateTicketType(eventId, created.id, {})).resolves.toBeNull();
+    });
+});
+
+describe('Ticket Type Model - deleteTicketType', () => {
+    beforeEach(async () => {
+        await clearTicketTypes();
+        console.error = jest.fn();
+    });
+
+    test('should delete an unsold ticket type', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+
+        await expect(ticketTypeModel.deleteTicketType(eventId, created.id)).resolves.toBe(true);
+        await expect(ticketTypeModel.getTicketTypeById(eventId, created.id)).resolves.toBeNull();
+    });
+
+    test('should return false for a missing ticket type', async () => {
+        await expect(ticketTypeModel.deleteTicketType(eventId, 9999)).resolves.toBe(false);
+    });
+
+    test('should refuse to delete a ticket type with sales', async () => {
+        const created = await ticketTypeModel.createTicketType(eventId, { name: 'GA', price_cents: 3000, quota: 10 });
+        await markSold(created.id, 1);
+
+        await expect(
+            ticketTypeModel.deleteTicketType(eventId, created.id)
+        ).rejects.toThrow('Cannot delete a ticket type that has already sold tickets');
+    });
+});
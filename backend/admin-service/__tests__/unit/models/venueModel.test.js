@@ -0,0 +1,546 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Test database (separate from other model tests)
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-venues.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
+
+const venueModel = require('../../../models/venueModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+
+let testDb;
+
+beforeAll(() => {
+    // Remove existing test database if it exists
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+    }
+
+    testDb = new sqlite3.Database(testDbPath);
+
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            CREATE TABLE venues (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                address TEXT,
+                capacity INTEGER NOT NULL CHECK (capacity > 0),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE venue_sections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venue_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                capacity INTEGER NOT NULL CHECK (capacity > 0),
+                UNIQUE (venue_id, name)
+            );
+            CREATE TABLE venue_rows (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                section_id INTEGER NOT NULL,
+                label TEXT NOT NULL,
+                UNIQUE (section_id, label)
+            );
+            CREATE TABLE venue_seats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                row_id INTEGER NOT NULL,
+                number INTEGER NOT NULL CHECK (number > 0),
+                UNIQUE (row_id, number)
+            );
+            CREATE TABLE events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                date TEXT NOT NULL,
+                tickets_available INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'active',
+                starts_at DATETIME,
+                ends_at DATETIME,
+                venue_id INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                refunded_quantity INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE TABLE holds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL DEFAULT 1,
+                status TEXT NOT NULL DEFAULT 'active'
+            );
+            CREATE TABLE event_seats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                seat_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'available',
+                hold_id INTEGER,
+                ticket_id INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (event_id, seat_id)
+            );
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+});
+
+afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+
+    // Give time for any pending operations to complete
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return new Promise((resolve) => {
+        testDb.close((err) => {
+            if (err) {
+                console.error('Error closing database:', err);
+            }
+            // Give file system time to release the lock
+            setTimeout(() => {
+                try {
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
+                    }
+                } catch (error) {
+                    console.error('Error cleaning up test database:', error);
+                }
+                resolve();
+            }, 200);
+        });
+    });
+}, 10000);
+
+function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        testDb.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+async function clearTables() {
+    await query('DELETE FROM event_seats');
+    await query('DELETE FROM holds');
+    await query('DELETE FROM orders');
+    await query('DELETE FROM events');
+    await query('DELETE FROM venue_seats');
+    await query('DELETE FROM venue_rows');
+    await query('DELETE FROM venue_sections');
+    await query('DELETE FROM venues');
+}
+
+function addEvent({ name = 'Event', venueId, tickets = 100, status = 'active', startsAt = null, endsAt = null }) {
+    return query(
+        'INSERT INTO events (name, date, tickets_available, status, starts_at, ends_at, venue_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [name, '2099-04-10', tickets, status, startsAt, endsAt, venueId]
+    );
+}
+
+async function addEventAt(venueId, options = {}) {
+    await addEvent({ name: 'Basketball', venueId, ...options });
+    const [{ id }] = await query('SELECT id FROM events ORDER BY id DESC LIMIT 1');
+    return id;
+}
+
+describe('Venue Model - createVenue', () => {
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+    });
+
+    test('should insert a venue with its sections', async () => {
+        const venue = await venueModel.createVenue({
+            name: 'Brooks Center',
+            address: '141 Jersey Ln, Clemson, SC 29634',
+            capacity: 1000,
+            sections: [
+                { name: 'Orchestra', capacity: 600 },
+                { name: 'Balcony', capacity: 400 }
+            ]
+        });
+
+        expect(venue).toMatchObject({
+            id: expect.any(Number),
+            name: 'Brooks Center',
+            address: '141 Jersey Ln, Clemson, SC 29634',
+            capacity: 1000,
+            sections: [
+                { id: expect.any(Number), name: 'Orchestra', capacity: 600, rows: [] },
+                { id: expect.any(Number), name: 'Balcony', capacity: 400, rows: [] }
+            ]
+        });
+    });
+
+    test('should insert the rows of seats in each section', async () => {
+        const venue = await venueModel.createVenue({
+            name: 'Littlejohn Coliseum',
+            capacity: 9000,
+            sections: [
+                { name: 'Lower Level', capacity: 20, rows: [{ label: 'A', seats: 12 }, { label: 'B', seats: 8 }] },
+                { name: 'Upper Level', capacity: 100 }
+            ]
+        });
+
+        expect(venue.sections[0].rows).toEqual([
+            { id: expect.any(Number), label: 'A', seats: 12 },
+            { id: expect.any(Number), label: 'B', seats: 8 }
+        ]);
+        expect(venue.sections[1].rows).toEqual([]);
+
+        const numbers = await query('SELECT number FROM venue_seats WHERE row_id = ? ORDER BY number', [venue.sections[0].rows[1].id]);
+        expect(numbers.map(seat => seat.number)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    test('should default to no address and no sections', async () => {
+        const venue = await venueModel.createVenue({ name: 'Bowman Field', capacity: 5000 });
+
+        expect(venue).toMatchObject({ address: null, capacity: 5000, sections: [] });
+    });
+
+    test('should reject duplicate names', async () => {
+        await venueModel.createVenue({ name: 'Brooks Center', capacity: 1000 });
+
+        await expect(
+            venueModel.createVenue({ name: 'Brooks Center', capacity: 800 })
+        ).rejects.toThrow('UNIQUE constraint failed');
+    });
+
+    test('should not keep the venue when a section cannot be stored', async () => {
+        await expect(venueModel.createVenue({
+            name: 'Brooks Center',
+            capacity: 1000,
+            sections: [{ name: 'Orchestra', capacity: 600 }, { name: 'Orchestra', capacity: 400 }]
+        })).rejects.toThrow('UNIQUE constraint failed');
+
+        expect(await query('SELECT * FROM venues')).toEqual([]);
+        expect(await query('SELECT * FROM venue_sections')).toEqual([]);
+    });
+
+    test('should log a rollback that fails after the database ended the transaction', async () => {
+        // RAISE(ROLLBACK) ends the transaction itself, so the model's own ROLLBACK fails
+        await query(`
+            CREATE TRIGGER fail_sections BEFORE INSERT ON venue_sections
+            BEGIN SELECT RAISE(ROLLBACK, 'sections are unavailable'); END
+        `);
+
+        try {
+            await expect(venueModel.createVenue({
+                name: 'Brooks Center',
+                capacity: 1000,
+                sections: [{ name: 'Orchestra', capacity: 600 }]
+            })).rejects.toThrow('sections are unavailable');
+        } finally {
+            await query('DROP TRIGGER fail_sections');
+        }
+
+        expect(await query('SELECT * FROM venues')).toEqual([]);
+        expect(console.error).toHaveBeenCalledWith('Error rolling back transaction:', expect.stringContaining('no transaction is active'));
+    });
+});
+
+describe('Venue Model - getVenues and getVenueById', () => {
+    beforeEach(async () => {
+        await clearTables();
+    });
+
+    test('should list venues by name with their own sections', async () => {
+        await venueModel.createVenue({ name: 'Littlejohn Coliseum', capacity: 9000, sections: [{ name: 'Lower Level', capacity: 5400 }] });
+        await venueModel.createVenue({ name: 'Brooks Center', capacity: 1000, sections: [{ name: 'Balcony', capacity: 400 }] });
+
+        const venues = await venueModel.getVenues();
+
+        expect(venues.map(venue => venue.name)).toEqual(['Brooks Center', 'Littlejohn Coliseum']);
+        expect(venues[0].sections).toEqual([{ id: expect.any(Number), name: 'Balcony', capacity: 400, rows: [] }]);
+        expect(venues[1].sections).toEqual([{ id: expect.any(Number), name: 'Lower Level', capacity: 5400, rows: [] }]);
+    });
+
+    test('should return an empty list when there are no venues', async () => {
+        await expect(venueModel.getVenues()).resolves.toEqual([]);
+    });
+
+    test('should find a venue by ID', async () => {
+        const created = await venueModel.createVenue({ name: 'Brooks Center', capacity: 1000 });
+
+        await expect(venueModel.getVenueById(created.id)).resolves.toMatchObject({ name: 'Brooks Center', sections: [] });
+        await expect(venueModel.getVenueById(9999)).resolves.toBeNull();
+    });
+});
+
+describe('Venue Model - updateVenue', () => {
+    let venue;
+
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+        venue = await venueModel.createVenue({
+            name: 'Brooks Center',
+            capacity: 1000,
+            sections: [{ name: 'Orchestra', capacity: 600 }]
+        });
+    });
+
+    test('should update the provided fields and keep the sections', async () => {
+        const updated = await venueModel.updateVenue(venue.id, { address: '141 Jersey Ln', capacity: 1100 });
+
+        expect(updated).toMatchObject({
+            name: 'Brooks Center',
+            address: '141 Jersey Ln',
+            capacity: 1100,
+            sections: [{ name: 'Orchestra', capacity: 600 }]
+        });
+    });
+
+    test('should replace the sections when new ones are given', async () => {
+        const updated = await venueModel.updateVenue(venue.id, {
+            sections: [{ name: 'Orchestra', capacity: 500 }, { name: 'Balcony', capacity: 500 }]
+        });
+
+        expect(updated.sections.map(({ name, capacity }) => ({ name, capacity }))).toEqual([
+            { name: 'Orchestra', capacity: 500 },
+            { name: 'Balcony', capacity: 500 }
+        ]);
+        expect(await query('SELECT * FROM venue_sections')).toHaveLength(2);
+    });
+
+    test('should refuse a capacity below the tickets an event there offers', async () => {
+        await addEvent({ name: 'Jazz Night', venueId: venue.id, tickets: 600 });
+        await addEvent({ name: 'Old Recital', venueId: venue.id, tickets: 950, status: 'archived' });
+        const [{ id: jazzId }] = await query("SELECT id FROM events WHERE name = 'Jazz Night'");
+        await query('INSERT INTO orders (event_id, quantity, refunded_quantity) VALUES (?, 200, 50)', [jazzId]);
+        await query("INSERT INTO holds (event_id, quantity, status) VALUES (?, 50, 'active')", [jazzId]);
+
+        // Tickets sold and held take up seats as well as those still on sale
+        await expect(
+            venueModel.updateVenue(venue.id, { capacity: 700 })
+        ).rejects.toThrow('Capacity cannot be lower than the 800 tickets "Jazz Night" has sold, held or on sale at this venue');
+
+        // Archived events no longer hold the venue to their ticket count
+        await expect(venueModel.updateVenue(venue.id, { capacity: 900 })).resolves.toMatchObject({ capacity: 900 });
+    });
+
+    test('should not change the sections while an event sells reserved seats there', async () => {
+        await venueModel.updateVenue(venue.id, {
+            sections: [{ name: 'Orchestra', capacity: 600, rows: [{ label: 'A', seats: 4 }] }]
+        });
+        const eventId = await addEventAt(venue.id);
+        await venueModel.createEventSeats(eventId);
+
+        await expect(venueModel.updateVenue(venue.id, {
+            sections: [{ name: 'Orchestra', capacity: 500 }]
+        })).rejects.toThrow('Sections cannot be changed while 1 event(s) sell reserved seats at this venue');
+
+        // Other details can still change
+        await expect(venueModel.updateVenue(venue.id, { capacity: 1200 })).resolves.toMatchObject({ capacity: 1200 });
+    });
+
+    test('should return null for a missing venue or empty update', async () => {
+        await expect(venueModel.updateVenue(9999, { capacity: 500 })).resolves.toBeNull();
+        await expect(venueModel.updateVenue(venue.id, {})).resolves.toBeNull();
+    });
+});
+
+describe('Venue Model - deleteVenue', () => {
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+    });
+
+    test('should delete a venue and its sections', async () => {
+        const venue = await venueModel.createVenue({
+            name: 'Brooks Center',
+            capacity: 1000,
+            sections: [{ name: 'Balcony', capacity: 400, rows: [{ label: 'A', seats: 10 }] }]
+        });
+
+        await expect(venueModel.deleteVenue(venue.id)).resolves.toBe(true);
+        await expect(venueModel.getVenueById(venue.id)).resolves.toBeNull();
+        expect(await query('SELECT * FROM venue_sections')).toEqual([]);
+        expect(await query('SELECT * FROM venue_rows')).toEqual([]);
+        expect(await query('SELECT * FROM venue_seats')).toEqual([]);
+    });
+
+    test('should return false for a missing venue', async () => {
+        await expect(venueModel.deleteVenue(9999)).resolves.toBe(false);
+    });
+
+    test('should refuse to delete a venue with events booked, even archived ones', async () => {
+        const venue = await venueModel.createVenue({ name: 'Brooks Center', capacity: 1000 });
+        await addEvent({ venueId: venue.id, status: 'archived' });
+
+        await expect(
+            venueModel.deleteVenue(venue.id)
+        ).rejects.toThrow('Venue has 1 event(s) booked and cannot be deleted');
+    });
+});
+
+describe('Venue Model - getOverlappingEvents', () => {
+    let venue;
+
+    beforeEach(async () => {
+        await clearTables();
+        venue = await venueModel.createVenue({ name: 'Brooks Center', capacity: 1000 });
+        await addEvent({ name: 'Matinee', venueId: venue.id, startsAt: '2099-04-10T17:00:00.000Z', endsAt: '2099-04-10T19:00:00.000Z' });
+        await addEvent({ name: 'Evening Show', venueId: venue.id, startsAt: '2099-04-10T23:00:00.000Z', endsAt: '2099-04-11T01:00:00.000Z' });
+        await addEvent({ name: 'Cancelled Show', venueId: venue.id, status: 'cancelled', startsAt: '2099-04-10T18:00:00.000Z' });
+        await addEvent({ name: 'Elsewhere', venueId: venue.id + 1, startsAt: '2099-04-10T18:00:00.000Z' });
+    });
+
+    test('should find active events at the venue whose times overlap', async () => {
+        const overlapping = await venueModel.getOverlappingEvents(venue.id, {
+            starts_at: '2099-04-10T18:30:00.000Z',
+            ends_at: '2099-04-10T23:30:00.000Z'
+        });
+
+        expect(overlapping.map(event => event.name)).toEqual(['Matinee', 'Evening Show']);
+    });
+
+    test('should not treat back-to-back events as overlapping', async () => {
+        const overlapping = await venueModel.getOverlappingEvents(venue.id, {
+            starts_at: '2099-04-10T19:00:00.000Z',
+            ends_at: '2099-04-10T23:00:00.000Z'
+        });
+
+        expect(overlapping).toEqual([]);
+    });
+
+    test('should treat an event without an end time as its start time only', async () => {
+        await expect(venueModel.getOverlappingEvents(venue.id, {
+            starts_at: '2099-04-10T18:00:00.000Z'
+        })).resolves.toMatchObject([{ name: 'Matinee' }]);
+
+        await expect(venueModel.getOverlappingEvents(venue.id, {
+            starts_at: '2099-04-10T23:00:00.000Z'
+        })).resolves.toMatchObject([{ name: 'Evening Show' }]);
+    });
+
+    test('should leave out the event being checked', async () => {
+        const [matinee] = await query("SELECT id FROM events WHERE name = 'Matinee'");
+
+        const overlapping = await venueModel.getOverlappingEvents(venue.id, {
+            starts_at: '2099-04-10T17:00:00.000Z',
+            ends_at: '2099-04-10T19:00:00.000Z',
+            excludeEventId: matinee.id
+        });
+
+        expect(overlapping).toEqual([]);
+    });
+});
+
+describe('Venue Model - createEventSeats and countEventSeats', () => {
+    let venue;
+
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+        venue = await venueModel.createVenue({
+            name: 'Littlejohn Coliseum',
+            capacity: 9000,
+            sections: [{ name: 'Lower Level', capacity: 20, rows: [{ label: 'A', seats: 6 }, { label: 'B', seats: 4 }] }]
+        });
+    });
+
+    test('should put every seat at the venue on sale and match the ticket count', async () => {
+        const eventId = await addEventAt(venue.id);
+
+        await expect(venueModel.createEventSeats(eventId)).resolves.toEqual({ event_id: eventId, seats: 10 });
+
+        const [event] = await query('SELECT tickets_available FROM events WHERE id = ?', [eventId]);
+        expect(event.tickets_available).toBe(10);
+        const statuses = await query('SELECT DISTINCT status FROM event_seats WHERE event_id = ?', [eventId]);
+        expect(statuses).toEqual([{ status: 'available' }]);
+        await expect(venueModel.countEventSeats(eventId)).resolves.toBe(10);
+    });
+
+    test('should count no seats for general admission', async () => {
+        const eventId = await addEventAt(venue.id);
+
+        await expect(venueModel.countEventSeats(eventId)).resolves.toBe(0);
+    });
+
+    test('should return null for a missing or archived event', async () => {
+        const archivedId = await addEventAt(venue.id, { status: 'archived' });
+
+        await expect(venueModel.createEventSeats(9999)).resolves.toBeNull();
+        await expect(venueModel.createEventSeats(archivedId)).resolves.toBeNull();
+    });
+
+    test('should refuse cancelled events and events without a venue', async () => {
+        const cancelledId = await addEventAt(venue.id, { status: 'cancelled' });
+        const homelessId = await addEventAt(null);
+
+        await expect(
+            venueModel.createEventSeats(cancelledId)
+        ).rejects.toThrow('Basketball has been cancelled and cannot sell reserved seats');
+        await expect(
+            venueModel.createEventSeats(homelessId)
+        ).rejects.toThrow('Choose a venue for Basketball before selling reserved seats');
+    });
+
+    test('should only set up the seats once', async () => {
+        const eventId = await addEventAt(venue.id);
+        await venueModel.createEventSeats(eventId);
+
+        await expect(
+            venueModel.createEventSeats(eventId)
+        ).rejects.toThrow('Basketball already sells reserved seats');
+    });
+
+    test('should refuse once tickets are sold or held', async () => {
+        const soldId = await addEventAt(venue.id);
+        const heldId = await addEventAt(venue.id);
+        const refundedId = await addEventAt(venue.id);
+        await query('INSERT INTO orders (event_id, quantity) VALUES (?, 2)', [soldId]);
+        await query('INSERT INTO holds (event_id) VALUES (?)', [heldId]);
+        await query('INSERT INTO orders (event_id, quantity, refunded_quantity) VALUES (?, 2, 2)', [refundedId]);
+
+        await expect(
+            venueModel.createEventSeats(soldId)
+        ).rejects.toThrow('Reserved seats can only be set up before any tickets for Basketball are sold');
+        await expect(
+            venueModel.createEventSeats(heldId)
+        ).rejects.toThrow('Reserved seats can only be set up before any tickets for Basketball are sold');
+
+        // Fully refunded orders no longer hold any seats
+        await expect(venueModel.createEventSeats(refundedId)).resolves.toMatchObject({ seats: 10 });
+    });
+
+    test('should refuse a venue without rows of seats and leave the event unchanged', async () => {
+        const bare = await venueModel.createVenue({ name: 'Bowman Field', capacity: 5000 });
+        const eventId = await addEventAt(bare.id);
+
+        await expect(
+            venueModel.createEventSeats(eventId)
+        ).rejects.toThrow('Bowman Field has no rows of seats to sell as reserved seats');
+
+        const [event] = await query('SELECT tickets_available FROM events WHERE id = ?', [eventId]);
+        expect(event.tickets_available).toBe(100);
+    });
+});
+
+describe('Venue Model - countTicketsTaken', () => {
+    beforeEach(async () => {
+        await clearTables();
+        console.error = jest.fn();
+    });
+
+    test('should count tickets sold and held but not refunded', async () => {
+        const eventId = await addEventAt(null);
+        const otherId = await addEventAt(null);
+        await query('INSERT INTO orders (event_id, quantity, refunded_quantity) VALUES (?, 5, 0), (?, 4, 3), (?, 7, 0)', [eventId, eventId, otherId]);
+        await query(
+            "INSERT INTO holds (event_id, quantity, status) VALUES (?, 2, 'active'), (?, 6, 'released'), (?, 3, 'confirmed')",
+            [eventId, eventId, eventId]
+        );
+
+        await expect(venueModel.countTicketsTaken(eventId)).resolves.toBe(8);
+        await expect(venueModel.countTicketsTaken(9999)).resolves.toBe(0);
+    });
+});
@@ -3,7 +3,26 @@ const express = require('express');
 const adminRoutes = require('../../../routes/adminRoutes');
 
 jest.mock('../../../controllers/adminController');
+jest.mock('../../../controllers/ticketTypeController');
+jest.mock('../../../controllers/cancellationController');
+jest.mock('../../../controllers/venueController');
 const adminController = require('../../../controllers/adminController');
+const ticketTypeController = require('../../../controllers/ticketTypeController');
+const cancellationController = require('../../../controllers/cancellationController');
+const venueController = require('../../../controllers/venueController');
+
+// Authenticate as whichever user the current test selects; role checks stay real
+let mockCurrentUser;
+jest.mock('../../../middleware/authMiddleware', () => ({
+    ...jest.requireActual('../../../middleware/authMiddleware'),
+    authenticateToken: jest.fn((req, res, next) => {
+        if (!mockCurrentUser) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        req.user = mockCurrentUser;
+        next();
+    })
+}));
 
 describe('Admin Routes', () => {
     let app;
@@ -16,6 +35,54 @@ describe('Admin Routes', () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
+        mockCurrentUser = { userId: 1, email: 'admin@clemson.edu', role: 'admin' };
+    });
+
+    describe('Access control', () => {
+        test('should reject unauthenticated requests with 401', async () => {
+            mockCurrentUser = null;
+
+            await request(app)
+                .get('/api/admin/events')
+                .expect(401);
+
+            expect(adminController.listEvents).not.toHaveBeenCalled();
+        });
+
+        test('should reject customers with 403', async () => {
+            mockCurrentUser = { userId: 2, email: 'fan@clemson.edu', role: 'customer' };
+
+            const response = await request(app)
+                .post('/api/admin/events')
+                .send({ name: 'Event', date: '2030-12-20', tickets_available: 100 })
+                .expect(403);
+
+            expect(response.body.error).toBe('Forbidden');
+            expect(adminController.addEvent).not.toHaveBeenCalled();
+        });
+
+        test('should reject organizers with 403', async () => {
+            mockCurrentUser = { userId: 3, email: 'staff@clemson.edu', role: 'organizer' };
+
+            await request(app)
+                .put('/api/admin/events/1')
+                .send({ name: 'Updated' })
+                .expect(403);
+
+            expect(adminController.updateEventById).not.toHaveBeenCalled();
+        });
+
+        test('should allow admins through to the controller', async () => {
+            adminController.listEvents.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, data: [] });
+            });
+
+            await request(app)
+                .get('/api/admin/events')
+                .expect(200);
+
+            expect(adminController.listEvents).toHaveBeenCalledTimes(1);
+        });
     });
 
     describe('GET /api/admin/events', () => {
@@ -203,6 +270,312 @@ describe('Admin Routes', () => {
         });
     });
 
+    describe('DELETE /api/admin/events/:id', () => {
+        test('should route to archiveEventById controller', async () => {
+            let capturedReq;
+            adminController.archiveEventById.mockImplementation((req, res) => {
+                capturedReq = req;
+                res.status(200).json({ success: true, data: { id: 4, status: 'archived' } });
+            });
+
+            const response = await request(app)
+                .delete('/api/admin/events/4')
+                .expect(200);
+
+            expect(capturedReq.params.id).toBe('4');
+            expect(response.body.data.status).toBe('archived');
+        });
+
+        test('should require the admin role', async () => {
+            mockCurrentUser = { userId: 3, email: 'staff@clemson.edu', role: 'organizer' };
+
+            await request(app)
+                .delete('/api/admin/events/4')
+                .expect(403);
+
+            expect(adminController.archiveEventById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/admin/events/:id/cancel', () => {
+        test('should route to cancelEventById controller with the reason', async () => {
+            let capturedReq;
+            adminController.cancelEventById.mockImplementation((req, res) => {
+                capturedReq = req;
+                res.status(200).json({ success: true });
+            });
+
+            await request(app)
+                .post('/api/admin/events/4/cancel')
+                .send({ reason: 'Severe weather' })
+                .expect(200);
+
+            expect(capturedReq.params.id).toBe('4');
+            expect(capturedReq.body).toEqual({ reason: 'Severe weather' });
+        });
+    });
+
+    describe('Cancellation refund routes', () => {
+        test('GET /api/admin/events/:id/cancellation should route to getEventCancellation', async () => {
+            cancellationController.getEventCancellation.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, data: { event_id: req.params.id, status: 'running' } });
+            });
+
+            const response = await request(app)
+                .get('/api/admin/events/4/cancellation')
+                .expect(200);
+
+            expect(response.body.data).toEqual({ event_id: '4', status: 'running' });
+        });
+
+        test('POST /api/admin/events/:id/cancellation/resume should route to resumeEventCancellation', async () => {
+            cancellationController.resumeEventCancellation.mockImplementation((req, res) => {
+                res.status(202).json({ success: true, data: { event_id: req.params.id, status: 'pending' } });
+            });
+
+            const response = await request(app)
+                .post('/api/admin/events/4/cancellation/resume')
+                .expect(202);
+
+            expect(response.body.data.event_id).toBe('4');
+        });
+
+        test('should require the admin role', async () => {
+            mockCurrentUser = { userId: 3, email: 'staff@clemson.edu', role: 'organizer' };
+
+            await request(app)
+                .get('/api/admin/events/4/cancellation')
+                .expect(403);
+
+            expect(cancellationController.getEventCancellation).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Ticket type routes', () => {
+        test('GET /api/admin/events/:id/ticket-types should route to listTicketTypes', async () => {
+            ticketTypeController.listTicketTypes.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, eventId: req.params.id });
+            });
+
+            const response = await request(app)
+                .get('/api/admin/events/3/ticket-types')
+                .expect(200);
+
+            expect(response.body.eventId).toBe('3');
+        });
+
+        test('POST /api/admin/events/:id/ticket-types should route to addTicketType', async () => {
+            let capturedBody;
+            ticketTypeController.addTicketType.mockImplementation((req, res) => {
+                capturedBody = req.body;
+                res.status(201).json({ success: true });
+            });
+
+            await request(app)
+                .post('/api/admin/events/3/ticket-types')
+                .send({ name: 'Student', price_cents: 1000, quota: 500 })
+                .expect(201);
+
+            expect(capturedBody).toEqual({ name: 'Student', price_cents: 1000, quota: 500 });
+        });
+
+        test('PUT /api/admin/events/:id/ticket-types/:typeId should route to updateTicketTypeById', async () => {
+            let capturedParams;
+            ticketTypeController.updateTicketTypeById.mockImplementation((req, res) => {
+                capturedParams = req.params;
+                res.status(200).json({ success: true });
+            });
+
+            await request(app)
+                .put('/api/admin/events/3/ticket-types/8')
+                .send({ quota: 600 })
+                .expect(200);
+
+            expect(capturedParams).toEqual({ id: '3', typeId: '8' });
+        });
+
+        test('DELETE /api/admin/events/:id/ticket-types/:typeId should route to removeTicketType', async () => {
+            ticketTypeController.removeTicketType.mockImplementation((req, res) => {
+                res.status(200).json({ success: true });
+            });
+
+            await request(app)
+                .delete('/api/admin/events/3/ticket-types/8')
+                .expect(200);
+
+            expect(ticketTypeController.removeTicketType).toHaveBeenCalledTimes(1);
+        });
+
+        test('should require the admin role', async () => {
+            mockCurrentUser = { userId: 2, email: 'fan@clemson.edu', role: 'customer' };
+
+            await request(app)
+                .post('/api/admin/events/3/ticket-types')
+                .send({ name: 'Student', price_cents: 0, quota: 1 })
+                .expect(403);
+
+            expect(ticketTypeController.addTicketType).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Venue routes', () => {
+        test('GET /api/admin/venues should route to listVenues', async () => {
+            venueController.listVenues.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, data: [] });
+            });
+
+            await request(app)
+                .get('/api/admin/venues')
+                .expect(200);
+
+            expect(venueController.listVenues).toHaveBeenCalledTimes(1);
+        });
+
+        test('POST /api/admin/venues should route to addVenue', async () => {
+            let capturedBody;
+            venueController.addVenue.mockImplementation((req, res) => {
+                capturedBody = req.body;
+                res.status(201).json({ success: true });
+            });
+
+            const venueData = { name: 'Brooks Center', capacity: 1000, sections: [{ name: 'Orchestra', capacity: 600 }] };
+
+            await request(app)
+                .post('/api/admin/venues')
+                .send(venueData)
+                .expect(201);
+
+            expect(capturedBody).toEqual(venueData);
+        });
+
+        test('GET /api/admin/venues/:id should route to getVenue', async () => {
+            venueController.getVenue.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, venueId: req.params.id });
+            });
+
+            const response = await request(app)
+                .get('/api/admin/venues/4')
+                .expect(200);
+
+            expect(response.body.venueId).toBe('4');
+        });
+
+        test('PUT /api/admin/venues/:id should route to updateVenueById', async () => {
+            let capturedParams;
+            venueController.updateVenueById.mockImplementation((req, res) => {
+                capturedParams = req.params;
+                res.status(200).json({ success: true });
+            });
+
+            await request(app)
+                .put('/api/admin/venues/4')
+                .send({ capacity: 1200 })
+                .expect(200);
+
+            expect(capturedParams).toEqual({ id: '4' });
+        });
+
+        test('DELETE /api/admin/venues/:id should route to removeVenue', async () => {
+            venueController.removeVenue.mockImplementation((req, res) => {
+                res.status(200).json({ success: true });
+            });
+
+            await request(app)
+                .delete('/api/admin/venues/4')
+                .expect(200);
+
+            expect(venueController.removeVenue).toHaveBeenCalledTimes(1);
+        });
+
+        test('POST /api/admin/events/:id/seats should route to addEventSeats', async () => {
+            let capturedParams;
+            venueController.addEventSeats.mockImplementation((req, res) => {
+                capturedParams = req.params;
+                res.status(201).json({ success: true });
+            });
+
+            await request(app)
+                .post('/api/admin/events/7/seats')
+                .expect(201);
+
+            expect(capturedParams).toEqual({ id: '7' });
+        });
+
+        test('should require the admin role', async () => {
+            mockCurrentUser = { userId: 3, email: 'staff@clemson.edu', role: 'organizer' };
+
+            await request(app)
+                .post('/api/admin/venues')
+                .send({ name: 'Brooks Center', capacity: 1000 })
+                .expect(403);
+
+            expect(venueController.addVenue).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Series routes', () => {
+        test('GET /api/admin/series should route to listSeries', async () => {
+            adminController.listSeries.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, data: [] });
+            });
+
+            await request(app)
+                .get('/api/admin/series')
+                .expect(200);
+
+            expect(adminController.listSeries).toHaveBeenCalledTimes(1);
+        });
+
+        test('POST /api/admin/series should route to addSeries', async () => {
+            let capturedBody;
+            adminController.addSeries.mockImplementation((req, res) => {
+                capturedBody = req.body;
+                res.status(201).json({ success: true });
+            });
+
+            const seriesData = {
+                name: 'Jazz Night',
+                date: '2099-03-05',
+                tickets_available: 80,
+                recurrence: { frequency: 'weekly', count: 10 }
+            };
+
+            await request(app)
+                .post('/api/admin/series')
+                .send(seriesData)
+                .expect(201);
+
+            expect(capturedBody).toEqual(seriesData);
+        });
+
+        test('GET /api/admin/series/:id should route to getSeriesDetails', async () => {
+            adminController.getSeriesDetails.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, seriesId: req.params.id });
+            });
+
+            const response = await request(app)
+                .get('/api/admin/series/7')
+                .expect(200);
+
+            expect(response.body.seriesId).toBe('7');
+        });
+
+        test('PUT /api/admin/series/:id should route to updateSeriesById', async () => {
+            let capturedParams;
+            adminController.updateSeriesById.mockImplementation((req, res) => {
+                capturedParams = req.params;
+                res.status(200).json({ success: true });
+            });
+
+            await request(app)
+                .put('/api/admin/series/7')
+                .send({ start_time: '19:30' })
+                .expect(200);
+
+            expect(capturedParams).toEqual({ id: '7' });
+        });
+    });
+
     describe('Route not found', () => {
         test('should return 404 for undefined routes', async () => {
             await request(app)
@@ -210,9 +583,9 @@ describe('Admin Routes', () => {
                 .expect(404);
         });
 
-        test('should return 404 for DELETE requests', async () => {
+        test('should return 404 for DELETE on the events collection', async () => {
             await request(app)
-                .delete('/api/admin/events/1')
+                .delete('/api/admin/events')
                 .expect(404);
         });
 
@@ -310,3 +683,49 @@ describe('Admin Routes', () => {
         });
     });
 });
+
+describe('Admin Routes - mounted in the admin service', () => {
+    let server;
+
+    beforeAll(() => {
+        server = require('../../../server');
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        mockCurrentUser = null;
+    });
+
+    test('should leave the root endpoint open', async () => {
+        const response = await request(server)
+            .get('/')
+            .expect(200);
+
+        expect(response.body.message).toBe('Tiger Tickets Admin Service');
+    });
+
+    test('should leave the health check open', async () => {
+        const response = await request(server)
+            .get('/health')
+            .expect(200);
+
+        expect(response.body.status).toBe('healthy');
+    });
+
+    test('should answer unknown paths with 404 rather than 401', async () => {
+        const response = await request(server)
+            .get('/nope')
+            .expect(404);
+
+        expect(response.body.error).toBe('Not Found');
+    });
+
+    test('should still require a token for the admin routes', async () => {
+        await request(server)
+            .get('/events')
+            .expect(401);
+
+        expect(adminController.listEvents).not.toHaveBeenCalled();
+    });
+});
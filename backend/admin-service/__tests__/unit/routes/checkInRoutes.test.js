@@ -0,0 +1,109 @@
+const request = require('supertest');
+const express = require('express');
+const checkInRoutes = require('../../../routes/checkInRoutes');
+
+jest.mock('../../../controllers/checkInController');
+const checkInController = require('../../../controllers/checkInController');
+
+// Authenticate as whichever user the current test selects; role checks stay real
+let mockCurrentUser;
+jest.mock('../../../middleware/authMiddleware', () => ({
+    ...jest.requireActual('../../../middleware/authMiddleware'),
+    authenticateToken: jest.fn((req, res, next) => {
+        if (!mockCurrentUser) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        req.user = mockCurrentUser;
+        next();
+    })
+}));
+
+describe('Check-In Routes', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/admin', checkInRoutes);
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCurrentUser = { userId: 3, email: 'gate@clemson.edu', role: 'organizer' };
+        checkInController.checkIn.mockImplementation((req, res) => {
+            res.status(200).json({ success: true, eventId: req.params.id, code: req.body.code });
+        });
+        checkInController.getEventAttendance.mockImplementation((req, res) => {
+            res.status(200).json({ success: true, eventId: req.params.id });
+        });
+    });
+
+    describe('Access control', () => {
+        test('should reject unauthenticated scans with 401', async () => {
+            mockCurrentUser = null;
+
+            await request(app)
+                .post('/api/admin/events/1/check-in')
+                .send({ code: 'TT1.1.abc.def' })
+                .expect(401);
+
+            expect(checkInController.checkIn).not.toHaveBeenCalled();
+        });
+
+        test('should reject customers with 403', async () => {
+            mockCurrentUser = { userId: 2, email: 'fan@clemson.edu', role: 'customer' };
+
+            const response = await request(app)
+                .post('/api/admin/events/1/check-in')
+                .send({ code: 'TT1.1.abc.def' })
+                .expect(403);
+
+            expect(response.body.message).toBe('This action requires one of the following roles: organizer, admin');
+            expect(checkInController.checkIn).not.toHaveBeenCalled();
+        });
+
+        test('should reject customers asking for attendance with 403', async () => {
+            mockCurrentUser = { userId: 2, email: 'fan@clemson.edu', role: 'customer' };
+
+            await request(app)
+                .get('/api/admin/events/1/attendance')
+                .expect(403);
+
+            expect(checkInController.getEventAttendance).not.toHaveBeenCalled();
+        });
+
+        test.each(['organizer', 'admin'])('should allow %s accounts through', async (role) => {
+            mockCurrentUser = { userId: 3, email: 'gate@clemson.edu', role };
+
+            await request(app)
+                .post('/api/admin/events/1/check-in')
+                .send({ code: 'TT1.1.abc.def' })
+                .expect(200);
+
+            expect(checkInController.checkIn).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('POST /api/admin/events/:id/check-in should pass the event and code to checkIn', async () => {
+        const response = await request(app)
+            .post('/api/admin/events/4/check-in')
+            .send({ code: 'TT1.4.abc.def' })
+            .expect(200);
+
+        expect(response.body).toEqual({ success: true, eventId: '4', code: 'TT1.4.abc.def' });
+    });
+
+    test('GET /api/admin/events/:id/attendance should route to getEventAttendance', async () => {
+        const response = await request(app)
+            .get('/api/admin/events/4/attendance')
+            .expect(200);
+
+        expect(response.body.eventId).toBe('4');
+    });
+
+    test('should return 404 for other routes', async () => {
+        await request(app)
+            .get('/api/admin/events/4/check-in')
+            .expect(404);
+    });
+});
@@ -6,18 +6,52 @@
  * and proper HTTP response formatting.
  */
 
-const { getEvents, createEvent, getEventById, updateEvent } = require('../models/adminModel');
+const { getEvents, createEvent, getEventById, updateEvent, cancelEvent, archiveEvent } = require('../models/adminModel');
+const { getVenueById, getOverlappingEvents, countEventSeats, countTicketsTaken } = require('../models/venueModel');
+const { getSeries, getSeriesById, createSeries, updateSeries } = require('../models/seriesModel');
+const { startCancellationJob } = require('../jobs/eventCancellationJob');
+const {
+    isValidDate,
+    isValidDateTime,
+    isValidPriceCents,
+    isValidCurrency,
+    isValidMaxPerUser,
+    isValidTimeZone,
+    isValidImageUrl,
+    getLocalDate,
+    MAX_PER_USER_LIMIT,
+    EVENT_CATEGORIES
+} = require('../utils/validation');
+const {
+    RECURRENCE_FREQUENCIES,
+    MAX_OCCURRENCES,
+    MAX_REPEAT_INTERVAL,
+    isValidTimeOfDay,
+    addDays,
+    getOccurrenceDates,
+    moveToDate
+} = require('../utils/recurrence');
+
+// Longest cancellation reason accepted, in characters
+const MAX_CANCELLATION_REASON_LENGTH = 500;
+
+// Time zone of events created without one (the university's own)
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// Longest description accepted, in characters
+const MAX_DESCRIPTION_LENGTH = 5000;
 
 /**
  * List all events
  * 
  * @param {Object} req - Express request object
+ * @param {string} [req.query.includeArchived] - "true" to include archived events
  * @param {Object} res - Express response object
  * @returns {void} Sends JSON response with events list
  */
 async function listEvents(req, res) {
     try {
-        const events = await getEvents();
+        const events = await getEvents({ includeArchived: (req.query || {}).includeArchived === 'true' });
         
         res.status(200).json({
             success: true,
@@ -37,21 +71,45 @@ async function listEvents(req, res) {
 
 /**
  * Create a new event
+ * An event booked into a venue cannot offer more tickets than the venue
+ * holds. Booking it at the same time as another event there is allowed,
+ * but the response warns about each overlapping event.
  * 
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body containing event data
  * @param {string} req.body.name - Event name
  * @param {string} req.body.date - Event date (YYYY-MM-DD format)
  * @param {number} req.body.tickets_available - Number of available tickets
+ * @param {number} [req.body.price_cents=0] - Ticket price in integer cents
+ * @param {string} [req.body.currency='USD'] - ISO 4217 currency code for the price
+ * @param {number|null} [req.body.max_per_user=null] - Most tickets one account may buy (null for no limit)
+ * @param {string} [req.body.starts_at] - Start time (ISO 8601); the date is derived from it when omitted
+ * @param {string} [req.body.ends_at] - End time (ISO 8601), after the start time
+ * @param {string} [req.body.time_zone='America/New_York'] - IANA time zone the event takes place in
+ * @param {string} [req.body.sales_start] - When ticket sales open (ISO 8601); straight away when omitted
+ * @param {string} [req.body.sales_end] - When ticket sales close (ISO 8601), by the start time; at the start time when omitted
+ * @param {number} [req.body.venue_id] - ID of the venue the event takes place in
+ * @param {string} [req.body.description] - Longer description of the event
+ * @param {string} [req.body.category='other'] - Event category (athletics, arts, career, academic, social, other)
+ * @param {string} [req.body.image_url] - http(s) URL of an image for the event
  * @param {Object} res - Express response object
- * @returns {void} Sends JSON response with created event
+ * @returns {void} Sends JSON response with created event and any double-booking warnings
  */
 async function addEvent(req, res) {
     try {
         // Validate required fields
-        const { name, date, tickets_available } = req.body;
+        const {
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+        } = req.body;
         
-        const validationErrors = validateEventData({ name, date, tickets_available });
+        const validationErrors = validateEventData({
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+        });
+        if (validationErrors.length === 0) {
+            validationErrors.push(...await validateEventVenue(venue_id, parseInt(tickets_available, 10)));
+        }
         if (validationErrors.length > 0) {
             return res.status(400).json({
                 success: false,
@@ -62,16 +120,17 @@ async function addEvent(req, res) {
         }
         
         // Create the event
-        const newEvent = await createEvent({
-            name: name.trim(),
-            date,
-            tickets_available: parseInt(tickets_available, 10)
-        });
+        const newEvent = await createEvent(toNewEvent({
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+        }));
+        const warnings = await getVenueConflictWarnings(newEvent);
         
         res.status(201).json({
             success: true,
             data: newEvent,
-            message: 'Event created successfully'
+            message: 'Event created successfully',
+            ...(warnings.length > 0 && { warnings })
         });
         
     } catch (error) {
@@ -132,13 +191,19 @@ async function getEvent(req, res) {
 
 /**
  * Update an existing event
+ * Changing the start time or time zone moves the event's date with it, and a
+ * new date must fall on the same day as the event's start time. The ticket
+ * count is checked against the capacity of the event's venue, and the
+ * response warns about other events booked there at overlapping times.
+ * Events selling reserved seats keep the venue and ticket count their seat
+ * map gave them.
  * 
  * @param {Object} req - Express request object
  * @param {Object} req.params - Request parameters
  * @param {string} req.params.id - Event ID
  * @param {Object} req.body - Request body containing update data
  * @param {Object} res - Express response object
- * @returns {void} Sends JSON response with updated event
+ * @returns {void} Sends JSON response with updated event and any double-booking warnings
  */
 async function updateEventById(req, res) {
     try {
@@ -152,7 +217,10 @@ async function updateEventById(req, res) {
             });
         }
         
-        const { name, date, tickets_available } = req.body;
+        const {
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+        } = req.body;
         const updateData = {};
         
         // Only include provided fields in update
@@ -190,11 +258,119 @@ async function updateEventById(req, res) {
             updateData.tickets_available = ticketCount;
         }
         
+        if (price_cents !== undefined) {
+            if (!isValidPriceCents(price_cents)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid ticket price',
+                    message: 'Ticket price must be a whole number of cents between 0 and 100000000'
+                });
+            }
+            updateData.price_cents = Number(price_cents);
+        }
+        
+        if (currency !== undefined) {
+            if (!isValidCurrency(currency)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid currency',
+                    message: 'Currency must be a three-letter ISO 4217 code such as USD'
+                });
+            }
+            updateData.currency = currency.toUpperCase();
+        }
+        
+        if (max_per_user !== undefined) {
+            if (!isValidMaxPerUser(max_per_user)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid purchase limit',
+                    message: `Max tickets per user must be a whole number between 1 and ${MAX_PER_USER_LIMIT}, or null for no limit`
+                });
+            }
+            updateData.max_per_user = toMaxPerUser(max_per_user);
+        }
+        
+        const detailErrors = validateEventDetails({ venue_id, description, category, image_url });
+        if (detailErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Invalid input data provided',
+                details: detailErrors
+            });
+        }
+        Object.assign(updateData, toEventDetails({ description, image_url }));
+        if (category !== undefined) {
+            updateData.category = category;
+        }
+        
+        const scheduleChanged = [date, starts_at, ends_at, time_zone, sales_start, sales_end].some(value => value !== undefined);
+        if (scheduleChanged || venue_id !== undefined || tickets_available !== undefined) {
+            // Check the changes against the parts of the current event that are kept
+            const currentEvent = await getEventById(eventId);
+            if (!currentEvent) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Event not found',
+                    message: `No event found with ID ${eventId}`
+                });
+            }
+            
+            const schedule = {
+                date,
+                starts_at: starts_at === undefined ? currentEvent.starts_at : starts_at,
+                ends_at: ends_at === undefined ? currentEvent.ends_at : ends_at,
+                time_zone: time_zone === undefined ? currentEvent.time_zone : time_zone,
+                sales_start: sales_start === undefined ? currentEvent.sales_start : sales_start,
+                sales_end: sales_end === undefined ? currentEvent.sales_end : sales_end
+            };
+            
+            // tickets_available is what is left on sale, so the tickets already
+            // sold or held count against the venue's capacity too
+            const ticketsTaken = venue_id !== undefined || tickets_available !== undefined
+                ? await countTicketsTaken(eventId)
+                : 0;
+            
+            const scheduleErrors = scheduleChanged ? validateEventSchedule(schedule) : [];
+            const venueErrors = await validateEventVenue(
+                venue_id === undefined ? currentEvent.venue_id : venue_id,
+                tickets_available === undefined ? currentEvent.tickets_available : updateData.tickets_available,
+                ticketsTaken
+            );
+            
+            // The seat map of an event selling reserved seats fixes its venue and ticket count
+            const venueChanged = venue_id !== undefined && toVenueId(venue_id) !== currentEvent.venue_id;
+            const ticketsChanged = tickets_available !== undefined && updateData.tickets_available !== currentEvent.tickets_available;
+            if ((venueChanged || ticketsChanged) && await countEventSeats(eventId) > 0) {
+                venueErrors.push('The venue and ticket count of an event selling reserved seats cannot be changed');
+            }
+            
+            if (scheduleErrors.length > 0 || venueErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    message: 'Invalid input data provided',
+                    details: [...scheduleErrors, ...venueErrors]
+                });
+            }
+            
+            if (starts_at !== undefined) updateData.starts_at = normalizeDateTime(starts_at);
+            if (ends_at !== undefined) updateData.ends_at = normalizeDateTime(ends_at);
+            if (time_zone !== undefined) updateData.time_zone = time_zone;
+            if (sales_start !== undefined) updateData.sales_start = normalizeDateTime(sales_start);
+            if (sales_end !== undefined) updateData.sales_end = normalizeDateTime(sales_end);
+            if (venue_id !== undefined) updateData.venue_id = toVenueId(venue_id);
+            if ([date, starts_at, time_zone].some(value => value !== undefined) && schedule.starts_at) {
+                updateData.date = getLocalDate(schedule.starts_at, schedule.time_zone);
+            }
+        }
+        
         if (Object.keys(updateData).length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'No update data provided',
-                message: 'At least one field (name, date, tickets_available) must be provided'
+                message: 'At least one field (name, date, tickets_available, price_cents, currency, max_per_user, starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url) must be provided'
             });
         }
         
@@ -208,10 +384,15 @@ async function updateEventById(req, res) {
             });
         }
         
+        // Only a new venue or new times can create a double booking
+        const rebooked = [venue_id, starts_at, ends_at].some(value => value !== undefined);
+        const warnings = rebooked ? await getVenueConflictWarnings(updatedEvent) : [];
+        
         res.status(200).json({
             success: true,
             data: updatedEvent,
-            message: 'Event updated successfully'
+            message: 'Event updated successfully',
+            ...(warnings.length > 0 && { warnings })
         });
         
     } catch (error) {
@@ -224,6 +405,483 @@ async function updateEventById(req, res) {
     }
 }
 
+/**
+ * Cancel an event with a reason
+ * Every outstanding order is then refunded by a background job, whose
+ * progress is returned alongside the event.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Event ID
+ * @param {string} req.body.reason - Why the event was cancelled
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the cancelled event and its refund job
+ */
+async function cancelEventById(req, res) {
+    try {
+        const eventId = parseInt(req.params.id, 10);
+        
+        if (isNaN(eventId) || eventId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+        
+        const { reason } = req.body || {};
+        
+        if (typeof reason !== 'string' || reason.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'A cancellation reason is required'
+            });
+        }
+        
+        if (reason.trim().length > MAX_CANCELLATION_REASON_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: `Cancellation reason cannot exceed ${MAX_CANCELLATION_REASON_LENGTH} characters`
+            });
+        }
+        
+        const cancelledEvent = await cancelEvent(eventId, reason.trim());
+        
+        if (!cancelledEvent) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found',
+                message: `No event found with ID ${eventId}`
+            });
+        }
+        
+        const cancellation = await startCancellationJob(eventId);
+        
+        res.status(200).json({
+            success: true,
+            data: cancelledEvent,
+            cancellation: cancellation,
+            message: 'Event cancelled successfully. Outstanding orders are being refunded.'
+        });
+        
+    } catch (error) {
+        if (error.message.includes('already') || error.message.includes('cannot')) {
+            return res.status(409).json({
+                success: false,
+                error: 'Event cannot be cancelled',
+                message: error.message
+            });
+        }
+        
+        console.error('Error in cancelEventById:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while cancelling event',
+            message: 'Unable to cancel event at this time'
+        });
+    }
+}
+
+/**
+ * Archive (soft delete) an event
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Event ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the archived event
+ */
+async function archiveEventById(req, res) {
+    try {
+        const eventId = parseInt(req.params.id, 10);
+        
+        if (isNaN(eventId) || eventId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+        
+        const archivedEvent = await archiveEvent(eventId);
+        
+        if (!archivedEvent) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found',
+                message: `No event found with ID ${eventId}`
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: archivedEvent,
+            message: 'Event archived successfully'
+        });
+        
+    } catch (error) {
+        if (error.message.includes('already') || error.message.includes('cancel it')) {
+            return res.status(409).json({
+                success: false,
+                error: 'Event cannot be archived',
+                message: error.message
+            });
+        }
+        
+        console.error('Error in archiveEventById:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while archiving event',
+            message: 'Unable to archive event at this time'
+        });
+    }
+}
+
+/**
+ * List all event series
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the series list
+ */
+async function listSeries(req, res) {
+    try {
+        const series = await getSeries();
+        
+        res.status(200).json({
+            success: true,
+            data: series,
+            count: series.length
+        });
+        
+    } catch (error) {
+        console.error('Error in listSeries:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching series',
+            message: 'Unable to retrieve series at this time'
+        });
+    }
+}
+
+/**
+ * Get a single event series with its occurrences
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Series ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the series and its occurrences
+ */
+async function getSeriesDetails(req, res) {
+    try {
+        const seriesId = parseInt(req.params.id, 10);
+        
+        if (isNaN(seriesId) || seriesId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid series ID',
+                message: 'Series ID must be a positive integer'
+            });
+        }
+        
+        const series = await getSeriesById(seriesId);
+        
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                error: 'Series not found',
+                message: `No series found with ID ${seriesId}`
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: series
+        });
+        
+    } catch (error) {
+        console.error('Error in getSeriesDetails:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching series',
+            message: 'Unable to retrieve series at this time'
+        });
+    }
+}
+
+/**
+ * Create an event series and all of its occurrences
+ * The body describes the first occurrence with the same fields as a new
+ * event, plus a recurrence rule. Every occurrence is created as an event
+ * with the same details, at the same local time of day as the first. Its
+ * sales window opens and closes the same number of days before it.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body with the fields of POST /api/admin/events and a recurrence rule
+ * @param {Object} req.body.recurrence - How the series repeats
+ * @param {string} req.body.recurrence.frequency - 'weekly', 'monthly' or 'dates'
+ * @param {number} [req.body.recurrence.interval=1] - Weeks or months between occurrences
+ * @param {number} [req.body.recurrence.count] - Number of occurrences, including the first
+ * @param {string} [req.body.recurrence.until] - Last date an occurrence may fall on (YYYY-MM-DD)
+ * @param {Array<string>} [req.body.recurrence.dates] - Dates of the other occurrences, for 'dates' series
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the created series and any double-booking warnings
+ */
+async function addSeries(req, res) {
+    try {
+        const {
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url,
+            recurrence
+        } = req.body;
+        const eventData = {
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+        };
+        
+        const validationErrors = validateEventData(eventData);
+        const template = validationErrors.length === 0 ? toNewEvent(eventData) : null;
+        validationErrors.push(...validateRecurrence(recurrence, template ? template.date : undefined));
+        
+        let dates = [];
+        if (validationErrors.length === 0) {
+            dates = getOccurrenceDates(template.date, {
+                frequency: recurrence.frequency,
+                interval: recurrence.interval === undefined ? 1 : Number(recurrence.interval),
+                count: recurrence.count === undefined ? undefined : Number(recurrence.count),
+                until: recurrence.until,
+                dates: recurrence.dates
+            });
+            if (dates.length > MAX_OCCURRENCES) {
+                validationErrors.push(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`);
+            } else if (dates.length < 2) {
+                validationErrors.push('A series must have at least 2 occurrences');
+            }
+        }
+        if (validationErrors.length === 0) {
+            validationErrors.push(...await validateEventVenue(venue_id, template.tickets_available));
+        }
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Invalid input data provided',
+                details: validationErrors
+            });
+        }
+        
+        const newSeries = await createSeries({
+            name: template.name,
+            frequency: recurrence.frequency,
+            repeat_interval: recurrence.frequency === 'dates' ? null : (recurrence.interval === undefined ? 1 : Number(recurrence.interval)),
+            time_zone: template.time_zone
+        }, dates.map(occurrenceDate => toOccurrence(template, occurrenceDate)));
+        
+        const warnings = [];
+        for (const occurrence of newSeries.occurrences) {
+            warnings.push(...await getVenueConflictWarnings(occurrence));
+        }
+        
+        res.status(201).json({
+            success: true,
+            data: newSeries,
+            message: `Series created with ${newSeries.occurrences.length} occurrences`,
+            ...(warnings.length > 0 && { warnings })
+        });
+        
+    } catch (error) {
+        console.error('Error in addSeries:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while creating series',
+            message: 'Unable to create series at this time'
+        });
+    }
+}
+
+/**
+ * Update every upcoming occurrence of an event series
+ * Changes are copied onto the occurrences still on sale from from_event_id
+ * onwards, or from today when it is not given. New start and end times are
+ * local times of day, applied on each occurrence's own date. To change a
+ * single occurrence, update it as an event instead.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Request parameters
+ * @param {string} req.params.id - Series ID
+ * @param {Object} req.body - Request body containing update data
+ * @param {number} [req.body.tickets_available] - Total tickets per occurrence, including those already sold or held
+ * @param {string} [req.body.start_time] - New local start time (HH:MM)
+ * @param {string|null} [req.body.end_time] - New local end time (HH:MM), or null to clear it
+ * @param {number} [req.body.from_event_id] - First occurrence to update
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the updated series and any double-booking warnings
+ */
+async function updateSeriesById(req, res) {
+    try {
+        const seriesId = parseInt(req.params.id, 10);
+        
+        if (isNaN(seriesId) || seriesId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid series ID',
+                message: 'Series ID must be a positive integer'
+            });
+        }
+        
+        const {
+            name, tickets_available, price_cents, currency, max_per_user,
+            venue_id, description, category, image_url,
+            start_time, end_time, from_event_id
+        } = req.body;
+        const validationErrors = [];
+        const updateData = {};
+        
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.trim().length === 0) {
+                validationErrors.push('Event name must be a non-empty string');
+            } else if (name.length > 255) {
+                validationErrors.push('Event name cannot exceed 255 characters');
+            } else {
+                updateData.name = name.trim();
+            }
+        }
+        
+        if (tickets_available !== undefined) {
+            const ticketCount = parseInt(tickets_available, 10);
+            if (isNaN(ticketCount) || ticketCount < 0) {
+                validationErrors.push('Tickets available must be a non-negative integer');
+            } else {
+                updateData.tickets_available = ticketCount;
+            }
+        }
+        
+        if (price_cents !== undefined) {
+            if (!isValidPriceCents(price_cents)) {
+                validationErrors.push('Ticket price must be a whole number of cents between 0 and 100000000');
+            } else {
+                updateData.price_cents = Number(price_cents);
+            }
+        }
+        
+        if (currency !== undefined) {
+            if (!isValidCurrency(currency)) {
+                validationErrors.push('Currency must be a three-letter ISO 4217 code such as USD');
+            } else {
+                updateData.currency = currency.toUpperCase();
+            }
+        }
+        
+        if (max_per_user !== undefined) {
+            if (!isValidMaxPerUser(max_per_user)) {
+                validationErrors.push(`Max tickets per user must be a whole number between 1 and ${MAX_PER_USER_LIMIT}, or null for no limit`);
+            } else {
+                updateData.max_per_user = toMaxPerUser(max_per_user);
+            }
+        }
+        
+        const detailErrors = validateEventDetails({ venue_id, description, category, image_url });
+        validationErrors.push(...detailErrors);
+        if (detailErrors.length === 0) {
+            Object.assign(updateData, toEventDetails({ description, image_url }));
+            if (category !== undefined) updateData.category = category;
+            if (venue_id !== undefined) updateData.venue_id = toVenueId(venue_id);
+        }
+        
+        if (start_time !== undefined && !isValidTimeOfDay(start_time)) {
+            validationErrors.push('Start time must be a time of day in HH:MM format');
+        }
+        if (end_time !== undefined && end_time !== null && !isValidTimeOfDay(end_time)) {
+            validationErrors.push('End time must be a time of day in HH:MM format');
+        }
+        if (end_time !== undefined && start_time === undefined) {
+            validationErrors.push('End time requires a start time');
+        }
+        
+        const fromEventId = from_event_id === undefined ? null : Number(from_event_id);
+        if (fromEventId !== null && !(Number.isInteger(fromEventId) && fromEventId > 0)) {
+            validationErrors.push('From event ID must be a positive integer');
+        }
+        
+        if (validationErrors.length === 0 && updateData.venue_id) {
+            const venue = await getVenueById(updateData.venue_id);
+            if (!venue) {
+                validationErrors.push(`No venue found with ID ${updateData.venue_id}`);
+            }
+        }
+        
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Invalid input data provided',
+                details: validationErrors
+            });
+        }
+        
+        if (Object.keys(updateData).length === 0 && start_time === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'No update data provided',
+                message: 'At least one field (name, tickets_available, price_cents, currency, max_per_user, venue_id, description, category, image_url, start_time, end_time) must be provided'
+            });
+        }
+        
+        const result = await updateSeries(seriesId, updateData, {
+            fromEventId,
+            startTime: start_time,
+            endTime: end_time
+        });
+        
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Series not found',
+                message: `No series found with ID ${seriesId}`
+            });
+        }
+        
+        // Only a new venue or new times can create a double booking
+        const warnings = [];
+        if (venue_id !== undefined || start_time !== undefined) {
+            for (const occurrence of result.series.occurrences) {
+                if (result.updated.includes(occurrence.id)) {
+                    warnings.push(...await getVenueConflictWarnings(occurrence));
+                }
+            }
+        }
+        
+        const occurrenceText = result.updated.length === 1 ? 'occurrence' : 'occurrences';
+        res.status(200).json({
+            success: true,
+            data: result.series,
+            updated: result.updated,
+            message: `Updated ${result.updated.length} ${occurrenceText} of the series`,
+            ...(warnings.length > 0 && { warnings })
+        });
+        
+    } catch (error) {
+        if (error.message.includes('occurrence') || error.message.includes('cannot exceed')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Invalid input data provided',
+                details: [error.message]
+            });
+        }
+        
+        console.error('Error in updateSeriesById:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while updating series',
+            message: 'Unable to update series at this time'
+        });
+    }
+}
+
 /**
  * Validate event data for creation
  * 
@@ -231,9 +889,24 @@ async function updateEventById(req, res) {
  * @param {string} eventData.name - Event name
  * @param {string} eventData.date - Event date
  * @param {number} eventData.tickets_available - Number of tickets
+ * @param {number} [eventData.price_cents] - Ticket price in integer cents
+ * @param {string} [eventData.currency] - ISO 4217 currency code
+ * @param {number|null} [eventData.max_per_user] - Per-account purchase limit
+ * @param {string} [eventData.starts_at] - Start time (ISO 8601), which can stand in for the date
+ * @param {string} [eventData.ends_at] - End time (ISO 8601)
+ * @param {string} [eventData.time_zone] - IANA time zone name
+ * @param {string} [eventData.sales_start] - When ticket sales open (ISO 8601)
+ * @param {string} [eventData.sales_end] - When ticket sales close (ISO 8601)
+ * @param {number} [eventData.venue_id] - Venue ID
+ * @param {string} [eventData.description] - Event description
+ * @param {string} [eventData.category] - Event category
+ * @param {string} [eventData.image_url] - Event image URL
  * @returns {Array<string>} Array of validation error messages
  */
-function validateEventData({ name, date, tickets_available }) {
+function validateEventData({
+    name, date, tickets_available, price_cents, currency, max_per_user,
+    starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+}) {
     const errors = [];
     
     // Validate name
@@ -247,9 +920,12 @@ function validateEventData({ name, date, tickets_available }) {
         errors.push('Event name cannot exceed 255 characters');
     }
     
-    // Validate date
+    // Validate date (optional when the start time is given)
+    const hasStart = starts_at !== undefined && starts_at !== null;
     if (!date) {
-        errors.push('Event date is required');
+        if (!hasStart) {
+            errors.push('Event date is required');
+        }
     } else if (!isValidDate(date)) {
         errors.push('Event date must be in YYYY-MM-DD format');
     } else if (new Date(date) < new Date().setHours(0, 0, 0, 0)) {
@@ -270,27 +946,384 @@ function validateEventData({ name, date, tickets_available }) {
         }
     }
     
+    // Validate price_cents (optional, defaults to free)
+    if (price_cents !== undefined && !isValidPriceCents(price_cents)) {
+        errors.push('Ticket price must be a whole number of cents between 0 and 100000000');
+    }
+    
+    // Validate currency (optional, defaults to USD)
+    if (currency !== undefined && !isValidCurrency(currency)) {
+        errors.push('Currency must be a three-letter ISO 4217 code such as USD');
+    }
+    
+    // Validate max_per_user (optional, defaults to no limit)
+    if (max_per_user !== undefined && !isValidMaxPerUser(max_per_user)) {
+        errors.push(`Max tickets per user must be a whole number between 1 and ${MAX_PER_USER_LIMIT}, or null for no limit`);
+    }
+    
+    // Validate the start and end times against the date and time zone
+    errors.push(...validateEventSchedule({
+        date: isValidDate(date) ? date : undefined,
+        starts_at,
+        ends_at,
+        time_zone: time_zone === undefined ? DEFAULT_TIME_ZONE : time_zone,
+        sales_start,
+        sales_end
+    }));
+    if (hasStart && isValidDateTime(starts_at) && Date.parse(starts_at) < Date.now()) {
+        errors.push('Event start time cannot be in the past');
+    }
+    
+    // Validate the optional descriptive fields
+    errors.push(...validateEventDetails({ venue_id, description, category, image_url }));
+    
     return errors;
 }
 
 /**
- * Check if a date string is valid and in YYYY-MM-DD format
+ * Validate an event's schedule
+ * The date, when given, must be the start time's calendar day in the
+ * event's time zone. Ticket sales must close by the time the event starts.
  * 
- * @param {string} dateString - Date string to validate
- * @returns {boolean} True if date is valid, false otherwise
+ * @param {Object} schedule - Schedule to validate
+ * @param {string} [schedule.date] - Event date (YYYY-MM-DD)
+ * @param {string|null} [schedule.starts_at] - Start time (ISO 8601)
+ * @param {string|null} [schedule.ends_at] - End time (ISO 8601)
+ * @param {string} schedule.time_zone - IANA time zone name
+ * @param {string|null} [schedule.sales_start] - When ticket sales open (ISO 8601)
+ * @param {string|null} [schedule.sales_end] - When ticket sales close (ISO 8601)
+ * @returns {Array<string>} Array of validation error messages
  */
-function isValidDate(dateString) {
-    if (typeof dateString !== 'string') return false;
+function validateEventSchedule({ date, starts_at, ends_at, time_zone, sales_start, sales_end }) {
+    const errors = [];
+    const hasStart = starts_at !== undefined && starts_at !== null;
+    const hasEnd = ends_at !== undefined && ends_at !== null;
+    const hasSalesStart = sales_start !== undefined && sales_start !== null;
+    const hasSalesEnd = sales_end !== undefined && sales_end !== null;
+    const validTimeZone = isValidTimeZone(time_zone);
     
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(dateString)) return false;
+    if (!validTimeZone) {
+        errors.push('Time zone must be an IANA time zone name such as America/New_York');
+    }
+    if (hasStart && !isValidDateTime(starts_at)) {
+        errors.push('Start time must be an ISO 8601 date-time');
+    }
+    if (hasEnd && !isValidDateTime(ends_at)) {
+        errors.push('End time must be an ISO 8601 date-time');
+    }
+    if (hasEnd && !hasStart) {
+        errors.push('End time requires a start time');
+    }
+    if (hasStart && hasEnd && isValidDateTime(starts_at) && isValidDateTime(ends_at) &&
+        Date.parse(ends_at) <= Date.parse(starts_at)) {
+        errors.push('End time must be after start time');
+    }
+    if (date !== undefined && hasStart && validTimeZone && isValidDateTime(starts_at)) {
+        const startDate = getLocalDate(starts_at, time_zone);
+        if (startDate !== date) {
+            errors.push(`Event date must be ${startDate} to match the start time in ${time_zone}`);
+        }
+    }
+    
+    if (hasSalesStart && !isValidDateTime(sales_start)) {
+        errors.push('Sales start must be an ISO 8601 date-time');
+    }
+    if (hasSalesEnd && !isValidDateTime(sales_end)) {
+        errors.push('Sales end must be an ISO 8601 date-time');
+    }
+    if (hasSalesStart && hasSalesEnd && isValidDateTime(sales_start) && isValidDateTime(sales_end) &&
+        Date.parse(sales_end) <= Date.parse(sales_start)) {
+        errors.push('Sales end must be after sales start');
+    }
+    if (hasStart && isValidDateTime(starts_at)) {
+        if (hasSalesStart && isValidDateTime(sales_start) && Date.parse(sales_start) >= Date.parse(starts_at)) {
+            errors.push('Sales start must be before the start time');
+        }
+        if (hasSalesEnd && isValidDateTime(sales_end) && Date.parse(sales_end) > Date.parse(starts_at)) {
+            errors.push('Sales end cannot be after the start time');
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Validate an event's descriptive fields
+ * venue_id, description and image_url may be null to clear them.
+ * 
+ * @param {Object} details - Fields to validate (undefined fields are skipped)
+ * @param {number|null} [details.venue_id] - Venue ID
+ * @param {string|null} [details.description] - Event description
+ * @param {string} [details.category] - Event category
+ * @param {string|null} [details.image_url] - Event image URL
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateEventDetails({ venue_id, description, category, image_url }) {
+    const errors = [];
+    
+    if (venue_id !== undefined && venue_id !== null && toVenueId(venue_id) === null) {
+        errors.push('Venue ID must be a positive integer');
+    }
+    
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            errors.push('Description must be a string');
+        } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+    }
+    
+    if (category !== undefined && !EVENT_CATEGORIES.includes(category)) {
+        errors.push(`Category must be one of: ${EVENT_CATEGORIES.join(', ')}`);
+    }
+    
+    if (image_url !== undefined && image_url !== null && !isValidImageUrl(image_url)) {
+        errors.push('Image URL must be an http or https URL of at most 2048 characters');
+    }
+    
+    return errors;
+}
+
+/**
+ * Validate the recurrence rule of a new series
+ * Weekly and monthly series end after a number of occurrences or on a
+ * date, but not both. Series on chosen dates list the dates after the
+ * first occurrence.
+ * 
+ * @param {Object} recurrence - Recurrence rule from the request
+ * @param {string} [firstDate] - Date of the first occurrence, when it is valid
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateRecurrence(recurrence, firstDate) {
+    if (recurrence === undefined || recurrence === null || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+        return ['Recurrence rule is required'];
+    }
+    
+    const { frequency, interval, count, until, dates } = recurrence;
+    const errors = [];
+    
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        return [`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`];
+    }
+    
+    if (frequency === 'dates') {
+        if (!Array.isArray(dates) || dates.length === 0) {
+            errors.push('Recurrence dates must be a non-empty list of dates');
+        } else if (!dates.every(isValidDate)) {
+            errors.push('Recurrence dates must be in YYYY-MM-DD format');
+        } else if (firstDate !== undefined && dates.some(date => date <= firstDate)) {
+            errors.push(`Recurrence dates must be after the first occurrence on ${firstDate}`);
+        }
+        return errors;
+    }
+    
+    if (interval !== undefined) {
+        const weeksOrMonths = Number(interval);
+        if (typeof interval === 'boolean' || !Number.isInteger(weeksOrMonths) ||
+            weeksOrMonths < 1 || weeksOrMonths > MAX_REPEAT_INTERVAL) {
+            errors.push(`Recurrence interval must be a whole number between 1 and ${MAX_REPEAT_INTERVAL}`);
+        }
+    }
+    
+    if ((count === undefined) === (until === undefined)) {
+        errors.push('Recurrence must end after a count or on an until date, but not both');
+    } else if (count !== undefined) {
+        const occurrences = Number(count);
+        if (typeof count === 'boolean' || !Number.isInteger(occurrences) ||
+            occurrences < 2 || occurrences > MAX_OCCURRENCES) {
+            errors.push(`Recurrence count must be a whole number between 2 and ${MAX_OCCURRENCES}`);
+        }
+    } else if (!isValidDate(until)) {
+        errors.push('Recurrence until date must be in YYYY-MM-DD format');
+    }
+    
+    return errors;
+}
+
+/**
+ * Convert validated new-event fields to the stored form
+ * The date comes from the start time, when there is one.
+ * 
+ * @param {Object} eventData - Event data that passed validateEventData
+ * @returns {Object} Event to store
+ */
+function toNewEvent({
+    name, date, tickets_available, price_cents, currency, max_per_user,
+    starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+}) {
+    const timeZone = time_zone === undefined ? DEFAULT_TIME_ZONE : time_zone;
+    const startsAt = normalizeDateTime(starts_at);
+    
+    return {
+        name: name.trim(),
+        date: startsAt ? getLocalDate(startsAt, timeZone) : date,
+        tickets_available: parseInt(tickets_available, 10),
+        price_cents: price_cents === undefined ? 0 : Number(price_cents),
+        currency: currency === undefined ? 'USD' : currency.toUpperCase(),
+        max_per_user: toMaxPerUser(max_per_user),
+        starts_at: startsAt,
+        ends_at: normalizeDateTime(ends_at),
+        time_zone: timeZone,
+        sales_start: normalizeDateTime(sales_start),
+        sales_end: normalizeDateTime(sales_end),
+        venue_id: toVenueId(venue_id),
+        category: category === undefined ? 'other' : category,
+        ...toEventDetails({ description, image_url })
+    };
+}
+
+/**
+ * Copy a series' first occurrence onto another date
+ * The copy starts at the same local time of day and lasts as long. Its
+ * sales window is moved by as many days as the copy, keeping local times.
+ * 
+ * @param {Object} template - First occurrence, in stored form
+ * @param {string} date - Date of the copy (YYYY-MM-DD)
+ * @returns {Object} Occurrence to store
+ */
+function toOccurrence(template, date) {
+    // Both dates parse as UTC midnight, so this is a whole number of days
+    const days = Math.round((Date.parse(date) - Date.parse(template.date)) / (24 * 60 * 60 * 1000));
+    const moveSalesTime = dateTime => dateTime === null
+        ? null
+        : moveToDate(dateTime, template.time_zone, addDays(getLocalDate(dateTime, template.time_zone), days));
+    const occurrence = {
+        ...template,
+        date,
+        sales_start: moveSalesTime(template.sales_start),
+        sales_end: moveSalesTime(template.sales_end)
+    };
+    
+    if (!template.starts_at) {
+        return occurrence;
+    }
+    
+    const startsAt = moveToDate(template.starts_at, template.time_zone, date);
+    const endsAt = template.ends_at
+        ? new Date(Date.parse(startsAt) + Date.parse(template.ends_at) - Date.parse(template.starts_at)).toISOString()
+        : null;
         
-    return true;
+    return { ...occurrence, starts_at: startsAt, ends_at: endsAt };
+}
+
+/**
+ * Convert validated descriptive fields to their stored form
+ * Text is trimmed and blank values are stored as null; fields that were
+ * not provided are left out.
+ * 
+ * @param {Object} details - Validated description and image_url
+ * @returns {Object} Fields to store
+ */
+function toEventDetails(details) {
+    const stored = {};
+    
+    for (const [field, value] of Object.entries(details)) {
+        if (value !== undefined) {
+            stored[field] = value === null || value.trim().length === 0 ? null : value.trim();
+        }
+    }
+    
+    return stored;
+}
+
+/**
+ * Check an event's ticket count against the capacity of its venue
+ * The venue ID must already be validated. Tickets already sold or held are
+ * added to the tickets left on sale, since they take up seats too.
+ * 
+ * @param {number|string|null|undefined} venueId - Venue the event is booked into, if any
+ * @param {number} ticketsAvailable - Tickets the event offers for sale
+ * @param {number} [ticketsTaken=0] - Tickets already sold or held
+ * @returns {Promise<Array<string>>} Promise that resolves to validation error messages
+ */
+async function validateEventVenue(venueId, ticketsAvailable, ticketsTaken = 0) {
+    if (venueId === undefined || venueId === null) {
+        return [];
+    }
+    
+    const venue = await getVenueById(toVenueId(venueId));
+    if (!venue) {
+        return [`No venue found with ID ${venueId}`];
+    }
+    if (ticketsAvailable + ticketsTaken > venue.capacity) {
+        const tickets = ticketsTaken > 0
+            ? `Tickets available (${ticketsAvailable}) plus the ${ticketsTaken} already sold or held`
+            : `Tickets available (${ticketsAvailable})`;
+        return [`${tickets} cannot exceed the capacity of ${venue.name} (${venue.capacity})`];
+    }
+    
+    return [];
+}
+
+/**
+ * Describe the other events booked into an event's venue at overlapping times
+ * Double bookings are allowed, since a venue can host events in separate
+ * sections at once, so they are reported as warnings rather than errors.
+ * 
+ * @param {Object} event - Saved event with venue_id, venue, starts_at and ends_at
+ * @returns {Promise<Array<string>>} Promise that resolves to warning messages
+ */
+async function getVenueConflictWarnings(event) {
+    if (!event.venue_id || !event.starts_at) {
+        return [];
+    }
+    
+    const overlapping = await getOverlappingEvents(event.venue_id, {
+        starts_at: event.starts_at,
+        ends_at: event.ends_at,
+        excludeEventId: event.id
+    });
+    
+    return overlapping.map(other =>
+        `${event.venue} is also booked for "${other.name}" (event ${other.id}) at an overlapping time`);
+}
+
+/**
+ * Convert a venue ID from the request to the stored form
+ * 
+ * @param {number|string|null|undefined} venueId - Venue ID from the request
+ * @returns {number|null} Venue ID, or null when none was given or it is not a positive integer
+ */
+function toVenueId(venueId) {
+    if (venueId === undefined || venueId === null || typeof venueId === 'boolean' || venueId === '') {
+        return null;
+    }
+    const id = Number(venueId);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Convert an optional ISO 8601 date-time to a UTC ISO string for storage
+ * 
+ * @param {string|null|undefined} value - Validated date-time
+ * @returns {string|null} UTC ISO string, or null when no value was given
+ */
+function normalizeDateTime(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return new Date(value).toISOString();
+}
+
+/**
+ * Convert a validated max_per_user value to the stored form
+ * 
+ * @param {number|string|null|undefined} maxPerUser - Validated limit from the request
+ * @returns {number|null} Limit as a number, or null for no limit
+ */
+function toMaxPerUser(maxPerUser) {
+    return maxPerUser === undefined || maxPerUser === null ? null : Number(maxPerUser);
 }
 
 module.exports = {
     listEvents,
     addEvent,
     getEvent,
-    updateEventById
+    updateEventById,
+    cancelEventById,
+    archiveEventById,
+    listSeries,
+    getSeriesDetails,
+    addSeries,
+    updateSeriesById
 };
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Cancellation Controller - Business Logic for Cancelled-Event Refunds
+ * 
+ * This module contains the controller functions that let admins follow
+ * the background refund job started when an event is cancelled, and
+ * resume a job that stopped before every order was refunded.
+ */
+
+const { getEventById } = require('../models/adminModel');
+const { getCancellation } = require('../models/cancellationModel');
+const { startCancellationJob, isCancellationJobRunning } = require('../jobs/eventCancellationJob');
+
+/**
+ * Get the progress of a cancelled event's refund job
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the refund job's progress
+ */
+async function getEventCancellation(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return sendInvalidId(res);
+        }
+        
+        const cancellation = await findCancellation(res, eventId);
+        if (!cancellation) {
+            return;
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: cancellation
+        });
+        
+    } catch (error) {
+        console.error('Error in getEventCancellation:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching cancellation',
+            message: 'Unable to retrieve cancellation progress at this time'
+        });
+    }
+}
+
+/**
+ * Resume a cancelled event's refund job
+ * Orders that are already refunded are skipped, so only the remaining
+ * (or previously failed) orders are tried again.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the resumed refund job
+ */
+async function resumeEventCancellation(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return sendInvalidId(res);
+        }
+        
+        const cancellation = await findCancellation(res, eventId);
+        if (!cancellation) {
+            return;
+        }
+        
+        if (isCancellationJobRunning(eventId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Refunds in progress',
+                message: `Refunds for ${cancellation.event_name} are already being processed`
+            });
+        }
+        
+        if (cancellation.status === 'completed') {
+            return res.status(409).json({
+                success: false,
+                error: 'Refunds complete',
+                message: `Every order for ${cancellation.event_name} has already been refunded`
+            });
+        }
+        
+        const resumed = await startCancellationJob(eventId);
+        
+        res.status(202).json({
+            success: true,
+            data: resumed,
+            message: 'Refund job resumed'
+        });
+        
+    } catch (error) {
+        console.error('Error in resumeEventCancellation:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while resuming cancellation',
+            message: 'Unable to resume refunds at this time'
+        });
+    }
+}
+
+/**
+ * Look up an event's refund job, sending a 404 when there is none
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<Object|null>} Promise that resolves to the job, or null when a response was sent
+ */
+async function findCancellation(res, eventId) {
+    const event = await getEventById(eventId);
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            error: 'Event not found',
+            message: `No event found with ID ${eventId}`
+        });
+        return null;
+    }
+    
+    const cancellation = await getCancellation(eventId);
+    if (!cancellation) {
+        res.status(404).json({
+            success: false,
+            error: 'Cancellation not found',
+            message: `${event.name} has not been cancelled`
+        });
+        return null;
+    }
+    
+    return cancellation;
+}
+
+/**
+ * Parse a route ID into a positive integer
+ * 
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Parsed ID or null if invalid
+ */
+function parseId(value) {
+    const id = parseInt(value, 10);
+    return isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * Send a 400 response for an invalid event ID
+ * 
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+function sendInvalidId(res) {
+    res.status(400).json({
+        success: false,
+        error: 'Invalid event ID',
+        message: 'Event ID must be a positive integer'
+    });
+}
+
+module.exports = {
+    getEventCancellation,
+    resumeEventCancellation
+};
@@ -0,0 +1,179 @@
+/**
+ * Check-In Controller - Business Logic for Venue Check-In
+ *
+ * This module contains the controller functions that gate staff use to
+ * scan tickets at an event and follow its attendance. It verifies each
+ * scanned code's signature and event before touching the database.
+ */
+
+const { getEventById } = require('../models/adminModel');
+const { checkInTicket, getAttendance } = require('../models/checkInModel');
+const { verifyTicketCode } = require('../utils/ticketCodes');
+
+/**
+ * Check in a scanned ticket at an event
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {string} req.body.code - Ticket code read from the ticket's QR code
+ * @param {Object} req.user - Authenticated staff member
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the checked-in ticket
+ */
+async function checkIn(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+
+        const code = typeof (req.body || {}).code === 'string' ? req.body.code.trim() : '';
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'A ticket code is required'
+            });
+        }
+
+        const verified = verifyTicketCode(code);
+        if (!verified) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid ticket code',
+                message: 'This ticket code is not genuine'
+            });
+        }
+
+        if (verified.eventId !== eventId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Wrong event',
+                message: `This ticket is for event ${verified.eventId}, not event ${eventId}`
+            });
+        }
+
+        const event = await getEventById(eventId);
+        if (!event) {
+            return sendEventNotFound(res, eventId);
+        }
+
+        const result = await checkInTicket(eventId, code, req.user.userId);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ticket not found',
+                message: `No ticket with this code was issued for ${event.name}`
+            });
+        }
+
+        const { ticket, alreadyCheckedIn } = result;
+
+        if (alreadyCheckedIn) {
+            return res.status(409).json({
+                success: false,
+                error: 'Ticket already checked in',
+                message: `Ticket ${ticket.id} was already checked in at ${ticket.checked_in_at} by ${ticket.checked_in_by_email || `user ${ticket.checked_in_by}`}`,
+                data: ticket
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: ticket,
+            message: 'Ticket checked in successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('refunded')) {
+            return res.status(409).json({
+                success: false,
+                error: 'Ticket refunded',
+                message: 'This ticket has been refunded and is no longer valid'
+            });
+        }
+
+        console.error('Error in checkIn:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while checking in ticket',
+            message: 'Unable to check in ticket at this time'
+        });
+    }
+}
+
+/**
+ * Get an event's attendance counts
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the event's attendance
+ */
+async function getEventAttendance(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+
+        const event = await getEventById(eventId);
+        if (!event) {
+            return sendEventNotFound(res, eventId);
+        }
+
+        const attendance = await getAttendance(eventId);
+
+        res.status(200).json({
+            success: true,
+            data: attendance
+        });
+
+    } catch (error) {
+        console.error('Error in getEventAttendance:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching attendance',
+            message: 'Unable to retrieve attendance at this time'
+        });
+    }
+}
+
+/**
+ * Parse a route ID into a positive integer
+ *
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Parsed ID or null if invalid
+ */
+function parseId(value) {
+    const id = parseInt(value, 10);
+    return isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * Send a 404 response for a missing event
+ *
+ * @param {Object} res - Express response object
+ * @param {number} eventId - ID of the missing event
+ * @returns {void}
+ */
+function sendEventNotFound(res, eventId) {
+    res.status(404).json({
+        success: false,
+        error: 'Event not found',
+        message: `No event found with ID ${eventId}`
+    });
+}
+
+module.exports = {
+    checkIn,
+    getEventAttendance
+};
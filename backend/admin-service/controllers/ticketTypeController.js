@@ -0,0 +1,415 @@
+/**
+ * Ticket Type Controller - Business Logic for Ticket Tiers
+ *
+ * This module contains the controller functions that handle HTTP requests
+ * for managing the ticket types (tiers) of an event. It includes input
+ * validation, error handling, and proper HTTP response formatting.
+ */
+
+const { getEventById } = require('../models/adminModel');
+const {
+    getTicketTypesByEvent,
+    getTicketTypeById,
+    createTicketType,
+    updateTicketType,
+    deleteTicketType
+} = require('../models/ticketTypeModel');
+const { isValidPriceCents, isValidDateTime } = require('../utils/validation');
+
+// Largest quota accepted for a single ticket type
+const MAX_QUOTA = 1000000;
+
+/**
+ * List the ticket types of an event
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the event's ticket types
+ */
+async function listTicketTypes(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return sendInvalidId(res, 'event');
+        }
+
+        const event = await getEventById(eventId);
+        if (!event) {
+            return sendEventNotFound(res, eventId);
+        }
+
+        const ticketTypes = await getTicketTypesByEvent(eventId);
+
+        res.status(200).json({
+            success: true,
+            data: ticketTypes,
+            count: ticketTypes.length
+        });
+
+    } catch (error) {
+        console.error('Error in listTicketTypes:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching ticket types',
+            message: 'Unable to retrieve ticket types at this time'
+        });
+    }
+}
+
+/**
+ * Create a ticket type for an event
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {Object} req.body - Ticket type data (name, price_cents, quota, sales_start, sales_end)
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the created ticket type
+ */
+async function addTicketType(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return sendInvalidId(res, 'event');
+        }
+
+        const body = req.body || {};
+        const validationErrors = validateTicketTypeData(body);
+        if (validationErrors.length > 0) {
+            return sendValidationErrors(res, validationErrors);
+        }
+
+        const event = await getEventById(eventId);
+        if (!event) {
+            return sendEventNotFound(res, eventId);
+        }
+
+        const ticketType = await createTicketType(eventId, {
+            name: body.name.trim(),
+            price_cents: Number(body.price_cents),
+            quota: Number(body.quota),
+            sales_start: normalizeDateTime(body.sales_start),
+            sales_end: normalizeDateTime(body.sales_end)
+        });
+
+        res.status(201).json({
+            success: true,
+            data: ticketType,
+            message: 'Ticket type created successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return sendDuplicateName(res, req.body.name);
+        }
+
+        console.error('Error in addTicketType:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while creating ticket type',
+            message: 'Unable to create ticket type at this time'
+        });
+    }
+}
+
+/**
+ * Update a ticket type of an event
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {string} req.params.typeId - Ticket type ID
+ * @param {Object} req.body - Fields to update (name, price_cents, quota, sales_start, sales_end)
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the updated ticket type
+ */
+async function updateTicketTypeById(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        const ticketTypeId = parseId(req.params.typeId);
+        if (!eventId) {
+            return sendInvalidId(res, 'event');
+        }
+        if (!ticketTypeId) {
+            return sendInvalidId(res, 'ticket type');
+        }
+
+        const body = req.body || {};
+        const updateData = {};
+
+        if (body.name !== undefined) updateData.name = body.name;
+        if (body.price_cents !== undefined) updateData.price_cents = body.price_cents;
+        if (body.quota !== undefined) updateData.quota = body.quota;
+        if (body.sales_start !== undefined) updateData.sales_start = body.sales_start;
+        if (body.sales_end !== undefined) updateData.sales_end = body.sales_end;
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No update data provided',
+                message: 'At least one field (name, price_cents, quota, sales_start, sales_end) must be provided'
+            });
+        }
+
+        const existing = await getTicketTypeById(eventId, ticketTypeId);
+        if (!existing) {
+            return sendTicketTypeNotFound(res, ticketTypeId, eventId);
+        }
+
+        // Validate the merged result so a new start is checked against the stored end
+        const validationErrors = validateTicketTypeData({ ...existing, ...updateData });
+        if (validationErrors.length > 0) {
+            return sendValidationErrors(res, validationErrors);
+        }
+
+        if (updateData.name !== undefined) updateData.name = updateData.name.trim();
+        if (updateData.price_cents !== undefined) updateData.price_cents = Number(updateData.price_cents);
+        if (updateData.quota !== undefined) updateData.quota = Number(updateData.quota);
+        if (updateData.sales_start !== undefined) updateData.sales_start = normalizeDateTime(updateData.sales_start);
+        if (updateData.sales_end !== undefined) updateData.sales_end = normalizeDateTime(updateData.sales_end);
+
+        const ticketType = await updateTicketType(eventId, ticketTypeId, updateData);
+        if (!ticketType) {
+            return sendTicketTypeNotFound(res, ticketTypeId, eventId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: ticketType,
+            message: 'Ticket type updated successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return sendDuplicateName(res, req.body.name);
+        }
+
+        if (error.message.includes('Quota cannot be lower')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid quota',
+                message: error.message
+            });
+        }
+
+        console.error('Error in updateTicketTypeById:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while updating ticket type',
+            message: 'Unable to update ticket type at this time'
+        });
+    }
+}
+
+/**
+ * Delete a ticket type that has not sold any tickets
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {string} req.params.typeId - Ticket type ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response confirming the deletion
+ */
+async function removeTicketType(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        const ticketTypeId = parseId(req.params.typeId);
+        if (!eventId) {
+            return sendInvalidId(res, 'event');
+        }
+        if (!ticketTypeId) {
+            return sendInvalidId(res, 'ticket type');
+        }
+
+        const deleted = await deleteTicketType(eventId, ticketTypeId);
+        if (!deleted) {
+            return sendTicketTypeNotFound(res, ticketTypeId, eventId);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Ticket type deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('already sold tickets')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Ticket type in use',
+                message: error.message
+            });
+        }
+
+        console.error('Error in removeTicketType:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while deleting ticket type',
+            message: 'Unable to delete ticket type at this time'
+        });
+    }
+}
+
+/**
+ * Validate ticket type data
+ *
+ * @param {Object} ticketTypeData - Ticket type data to validate
+ * @param {string} ticketTypeData.name - Tier name
+ * @param {number} ticketTypeData.price_cents - Ticket price in integer cents
+ * @param {number} ticketTypeData.quota - Number of tickets for sale
+ * @param {string|null} [ticketTypeData.sales_start] - When sales open (ISO 8601)
+ * @param {string|null} [ticketTypeData.sales_end] - When sales close (ISO 8601)
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateTicketTypeData({ name, price_cents, quota, sales_start, sales_end }) {
+    const errors = [];
+
+    // Validate name
+    if (!name) {
+        errors.push('Ticket type name is required');
+    } else if (typeof name !== 'string' || name.trim().length === 0) {
+        errors.push('Ticket type name must be a non-empty string');
+    } else if (name.length > 100) {
+        errors.push('Ticket type name cannot exceed 100 characters');
+    }
+
+    // Validate price_cents
+    if (price_cents === undefined) {
+        errors.push('Ticket price (price_cents) is required');
+    } else if (!isValidPriceCents(price_cents)) {
+        errors.push('Ticket price must be a whole number of cents between 0 and 100000000');
+    }
+
+    // Validate quota
+    const quotaValue = Number(quota);
+    if (quota === undefined || quota === null) {
+        errors.push('Quota is required');
+    } else if (typeof quota === 'boolean' || quota === '' || !Number.isInteger(quotaValue) || quotaValue < 0) {
+        errors.push('Quota must be a non-negative integer');
+    } else if (quotaValue > MAX_QUOTA) {
+        errors.push('Quota cannot exceed 1,000,000');
+    }
+
+    // Validate the optional sales window
+    const hasStart = sales_start !== undefined && sales_start !== null;
+    const hasEnd = sales_end !== undefined && sales_end !== null;
+    if (hasStart && !isValidDateTime(sales_start)) {
+        errors.push('Sales start must be an ISO 8601 date-time');
+    }
+    if (hasEnd && !isValidDateTime(sales_end)) {
+        errors.push('Sales end must be an ISO 8601 date-time');
+    }
+    if (hasStart && hasEnd && isValidDateTime(sales_start) && isValidDateTime(sales_end) &&
+        Date.parse(sales_end) <= Date.parse(sales_start)) {
+        errors.push('Sales end must be after sales start');
+    }
+
+    return errors;
+}
+
+/**
+ * Convert an optional ISO 8601 date-time to a UTC ISO string for storage
+ *
+ * @param {string|null|undefined} value - Date-time to normalize
+ * @returns {string|null} UTC ISO string, or null when no value was given
+ */
+function normalizeDateTime(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return new Date(value).toISOString();
+}
+
+/**
+ * Parse a positive integer ID from a route parameter
+ *
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Parsed ID, or null when invalid
+ */
+function parseId(value) {
+    const id = parseInt(value, 10);
+    return isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * Send a 400 response for an invalid route ID
+ *
+ * @param {Object} res - Express response object
+ * @param {string} label - Which resource the ID belongs to
+ * @returns {void}
+ */
+function sendInvalidId(res, label) {
+    const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+    res.status(400).json({
+        success: false,
+        error: `Invalid ${label} ID`,
+        message: `${capitalized} ID must be a positive integer`
+    });
+}
+
+/**
+ * Send a 400 response listing validation errors
+ *
+ * @param {Object} res - Express response object
+ * @param {Array<string>} details - Validation error messages
+ * @returns {void}
+ */
+function sendValidationErrors(res, details) {
+    res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Invalid input data provided',
+        details: details
+    });
+}
+
+/**
+ * Send a 404 response for a missing event
+ *
+ * @param {Object} res - Express response object
+ * @param {number} eventId - ID of the missing event
+ * @returns {void}
+ */
+function sendEventNotFound(res, eventId) {
+    res.status(404).json({
+        success: false,
+        error: 'Event not found',
+        message: `No event found with ID ${eventId}`
+    });
+}
+
+/**
+ * Send a 404 response for a missing ticket type
+ *
+ * @param {Object} res - Express response object
+ * @param {number} ticketTypeId - ID of the missing ticket type
+ * @param {number} eventId - ID of the event it was looked up under
+ * @returns {void}
+ */
+function sendTicketTypeNotFound(res, ticketTypeId, eventId) {
+    res.status(404).json({
+        success: false,
+        error: 'Ticket type not found',
+        message: `No ticket type with ID ${ticketTypeId} found for event ${eventId}`
+    });
+}
+
+/**
+ * Send a 400 response for a ticket type name already used by the event
+ *
+ * @param {Object} res - Express response object
+ * @param {string} name - Duplicate name
+ * @returns {void}
+ */
+function sendDuplicateName(res, name) {
+    res.status(400).json({
+        success: false,
+        error: 'Duplicate ticket type',
+        message: `A ticket type named "${String(name).trim()}" already exists for this event`
+    });
+}
+
+module.exports = {
+    listTicketTypes,
+    addTicketType,
+    updateTicketTypeById,
+    removeTicketType
+};
@@ -0,0 +1,591 @@
+/**
+ * Venue Controller - Business Logic for Venues
+ *
+ * This module contains the controller functions that handle HTTP requests
+ * for managing venues, their sections and the rows of seats in them, and
+ * for putting a venue's seats on sale for an event. It includes input
+ * validation, error handling, and proper HTTP response formatting.
+ */
+
+const {
+    getVenues,
+    getVenueById,
+    createVenue,
+    updateVenue,
+    deleteVenue,
+    createEventSeats
+} = require('../models/venueModel');
+
+// Largest capacity accepted for a venue (matches the per-event ticket limit)
+const MAX_CAPACITY = 1000000;
+
+// Longest venue name, address, section name and row label accepted, in characters
+const MAX_NAME_LENGTH = 255;
+const MAX_ADDRESS_LENGTH = 500;
+const MAX_SECTION_NAME_LENGTH = 100;
+const MAX_ROW_LABEL_LENGTH = 10;
+
+// Most seats accepted in a single row
+const MAX_SEATS_PER_ROW = 200;
+
+/**
+ * List all venues with their sections
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the venues
+ */
+async function listVenues(req, res) {
+    try {
+        const venues = await getVenues();
+
+        res.status(200).json({
+            success: true,
+            data: venues,
+            count: venues.length
+        });
+
+    } catch (error) {
+        console.error('Error in listVenues:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching venues',
+            message: 'Unable to retrieve venues at this time'
+        });
+    }
+}
+
+/**
+ * Get a single venue with its sections
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Venue ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the venue
+ */
+async function getVenue(req, res) {
+    try {
+        const venueId = parseId(req.params.id);
+        if (!venueId) {
+            return sendInvalidId(res, 'venue');
+        }
+
+        const venue = await getVenueById(venueId);
+        if (!venue) {
+            return sendVenueNotFound(res, venueId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: venue
+        });
+
+    } catch (error) {
+        console.error('Error in getVenue:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while fetching venue',
+            message: 'Unable to retrieve venue at this time'
+        });
+    }
+}
+
+/**
+ * Create a venue
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Venue data
+ * @param {string} req.body.name - Venue name, unique across venues
+ * @param {string} [req.body.address] - Street address
+ * @param {number} req.body.capacity - Most tickets one event at the venue may offer
+ * @param {Array<Object>} [req.body.sections] - Sections, whose capacities add up to no more than the venue's
+ * @param {string} req.body.sections[].name - Section name, unique within the venue
+ * @param {number} req.body.sections[].capacity - Most people the section holds
+ * @param {Array<{label: string, seats: number}>} [req.body.sections[].rows] - Rows of reserved seats, numbered from 1
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the created venue
+ */
+async function addVenue(req, res) {
+    try {
+        const body = req.body || {};
+        const validationErrors = validateVenueData(body);
+        if (validationErrors.length > 0) {
+            return sendValidationErrors(res, validationErrors);
+        }
+
+        const venue = await createVenue(toStoredVenue({
+            name: body.name,
+            address: body.address,
+            capacity: body.capacity,
+            sections: body.sections === undefined ? [] : body.sections
+        }));
+
+        res.status(201).json({
+            success: true,
+            data: venue,
+            message: 'Venue created successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return sendDuplicateName(res, req.body.name);
+        }
+
+        console.error('Error in addVenue:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while creating venue',
+            message: 'Unable to create venue at this time'
+        });
+    }
+}
+
+/**
+ * Update a venue
+ * Sections, when given, replace all of the venue's current sections.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Venue ID
+ * @param {Object} req.body - Fields to update (name, address, capacity, sections)
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the updated venue
+ */
+async function updateVenueById(req, res) {
+    try {
+        const venueId = parseId(req.params.id);
+        if (!venueId) {
+            return sendInvalidId(res, 'venue');
+        }
+
+        const body = req.body || {};
+        const updateData = {};
+
+        for (const field of ['name', 'address', 'capacity', 'sections']) {
+            if (body[field] !== undefined) updateData[field] = body[field];
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No update data provided',
+                message: 'At least one field (name, address, capacity, sections) must be provided'
+            });
+        }
+
+        const existing = await getVenueById(venueId);
+        if (!existing) {
+            return sendVenueNotFound(res, venueId);
+        }
+
+        // Validate the merged result so kept sections are checked against a new capacity
+        const validationErrors = validateVenueData({ ...existing, ...updateData });
+        if (validationErrors.length > 0) {
+            return sendValidationErrors(res, validationErrors);
+        }
+
+        const venue = await updateVenue(venueId, toStoredVenue(updateData));
+        if (!venue) {
+            return sendVenueNotFound(res, venueId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: venue,
+            message: 'Venue updated successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return sendDuplicateName(res, req.body.name);
+        }
+
+        if (error.message.includes('Capacity cannot be lower')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid capacity',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Sections cannot be changed')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Seat map in use',
+                message: error.message
+            });
+        }
+
+        console.error('Error in updateVenueById:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while updating venue',
+            message: 'Unable to update venue at this time'
+        });
+    }
+}
+
+/**
+ * Delete a venue that no event is booked into
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Venue ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response confirming the deletion
+ */
+async function removeVenue(req, res) {
+    try {
+        const venueId = parseId(req.params.id);
+        if (!venueId) {
+            return sendInvalidId(res, 'venue');
+        }
+
+        const deleted = await deleteVenue(venueId);
+        if (!deleted) {
+            return sendVenueNotFound(res, venueId);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Venue deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('cannot be deleted')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Venue in use',
+                message: error.message
+            });
+        }
+
+        console.error('Error in removeVenue:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while deleting venue',
+            message: 'Unable to delete venue at this time'
+        });
+    }
+}
+
+/**
+ * Put every seat of an event's venue on sale for the event
+ * Customers then pick their seats, and the event's ticket count becomes the
+ * number of seats.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the number of seats put on sale
+ */
+async function addEventSeats(req, res) {
+    try {
+        const eventId = parseId(req.params.id);
+        if (!eventId) {
+            return sendInvalidId(res, 'event');
+        }
+
+        const seating = await createEventSeats(eventId);
+        if (!seating) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found',
+                message: `No event found with ID ${eventId}`
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: seating,
+            message: `${seating.seats} reserved seats are on sale`
+        });
+
+    } catch (error) {
+        if (error.message.includes('reserved seats')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reserved seating unavailable',
+                message: error.message
+            });
+        }
+
+        console.error('Error in addEventSeats:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error while setting up reserved seats',
+            message: 'Unable to set up reserved seats at this time'
+        });
+    }
+}
+
+/**
+ * Validate venue data
+ *
+ * @param {Object} venueData - Venue data to validate
+ * @param {string} venueData.name - Venue name
+ * @param {string|null} [venueData.address] - Street address
+ * @param {number} venueData.capacity - Venue capacity
+ * @param {Array<Object>} [venueData.sections] - Sections, each with a name and capacity
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateVenueData({ name, address, capacity, sections }) {
+    const errors = [];
+
+    // Validate name
+    if (!name) {
+        errors.push('Venue name is required');
+    } else if (typeof name !== 'string' || name.trim().length === 0) {
+        errors.push('Venue name must be a non-empty string');
+    } else if (name.length > MAX_NAME_LENGTH) {
+        errors.push(`Venue name cannot exceed ${MAX_NAME_LENGTH} characters`);
+    }
+
+    // Validate address (optional, null clears it)
+    if (address !== undefined && address !== null) {
+        if (typeof address !== 'string') {
+            errors.push('Address must be a string');
+        } else if (address.length > MAX_ADDRESS_LENGTH) {
+            errors.push(`Address cannot exceed ${MAX_ADDRESS_LENGTH} characters`);
+        }
+    }
+
+    // Validate capacity
+    const validCapacity = isValidCapacity(capacity);
+    if (capacity === undefined || capacity === null) {
+        errors.push('Capacity is required');
+    } else if (!validCapacity) {
+        errors.push(`Capacity must be a whole number between 1 and ${MAX_CAPACITY}`);
+    }
+
+    // Validate sections (optional)
+    if (sections !== undefined) {
+        if (!Array.isArray(sections)) {
+            errors.push('Sections must be an array');
+        } else {
+            errors.push(...validateSections(sections, validCapacity ? Number(capacity) : null));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a venue's sections
+ * Section names must be unique within the venue and the section capacities
+ * must add up to no more than the venue's capacity. Each section's rows
+ * must fit in the section.
+ *
+ * @param {Array<Object>} sections - Sections to validate
+ * @param {number|null} capacity - Venue capacity, or null when it is itself invalid
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateSections(sections, capacity) {
+    const errors = [];
+    const names = new Set();
+    let total = 0;
+
+    sections.forEach((section, index) => {
+        const label = `Section ${index + 1}`;
+        const { name, capacity: sectionCapacity } = section || {};
+
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            errors.push(`${label} name must be a non-empty string`);
+        } else if (name.length > MAX_SECTION_NAME_LENGTH) {
+            errors.push(`${label} name cannot exceed ${MAX_SECTION_NAME_LENGTH} characters`);
+        } else if (names.has(name.trim().toLowerCase())) {
+            errors.push(`${label} name "${name.trim()}" is used by another section`);
+        } else {
+            names.add(name.trim().toLowerCase());
+        }
+
+        const validCapacity = isValidCapacity(sectionCapacity);
+        if (!validCapacity) {
+            errors.push(`${label} capacity must be a whole number between 1 and ${MAX_CAPACITY}`);
+        } else {
+            total += Number(sectionCapacity);
+        }
+
+        const rows = (section || {}).rows;
+        if (rows !== undefined) {
+            if (!Array.isArray(rows)) {
+                errors.push(`${label} rows must be an array`);
+            } else {
+                errors.push(...validateRows(rows, label, validCapacity ? Number(sectionCapacity) : null));
+            }
+        }
+    });
+
+    if (capacity !== null && total > capacity) {
+        errors.push(`Section capacities add up to ${total}, more than the venue capacity of ${capacity}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the rows of seats in a section
+ * Row labels must be unique within the section and the seats must add up
+ * to no more than the section's capacity.
+ *
+ * @param {Array<Object>} rows - Rows to validate, each with a label and number of seats
+ * @param {string} sectionLabel - How the section is named in messages, such as "Section 2"
+ * @param {number|null} capacity - Section capacity, or null when it is itself invalid
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateRows(rows, sectionLabel, capacity) {
+    const errors = [];
+    const labels = new Set();
+    let total = 0;
+
+    rows.forEach((row, index) => {
+        const label = `${sectionLabel} row ${index + 1}`;
+        const { label: rowLabel, seats } = row || {};
+
+        if (typeof rowLabel !== 'string' || rowLabel.trim().length === 0) {
+            errors.push(`${label} label must be a non-empty string`);
+        } else if (rowLabel.length > MAX_ROW_LABEL_LENGTH) {
+            errors.push(`${label} label cannot exceed ${MAX_ROW_LABEL_LENGTH} characters`);
+        } else if (labels.has(rowLabel.trim().toLowerCase())) {
+            errors.push(`${label} label "${rowLabel.trim()}" is used by another row`);
+        } else {
+            labels.add(rowLabel.trim().toLowerCase());
+        }
+
+        if (!isValidCapacity(seats) || Number(seats) > MAX_SEATS_PER_ROW) {
+            errors.push(`${label} seats must be a whole number between 1 and ${MAX_SEATS_PER_ROW}`);
+        } else {
+            total += Number(seats);
+        }
+    });
+
+    if (capacity !== null && total > capacity) {
+        errors.push(`${sectionLabel} rows add up to ${total} seats, more than its capacity of ${capacity}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Check that a capacity is a whole number within range
+ *
+ * @param {*} value - Capacity from the request
+ * @returns {boolean} True if the capacity is valid
+ */
+function isValidCapacity(value) {
+    if (typeof value === 'boolean' || value === '' || value === null || value === undefined) {
+        return false;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= MAX_CAPACITY;
+}
+
+/**
+ * Convert validated venue fields to their stored form
+ * Text is trimmed, a blank address is stored as null, and fields that were
+ * not provided are left out.
+ *
+ * @param {Object} venueData - Validated name, address, capacity and sections
+ * @returns {Object} Fields to store
+ */
+function toStoredVenue({ name, address, capacity, sections }) {
+    const stored = {};
+
+    if (name !== undefined) stored.name = name.trim();
+    if (address !== undefined) {
+        stored.address = address === null || address.trim().length === 0 ? null : address.trim();
+    }
+    if (capacity !== undefined) stored.capacity = Number(capacity);
+    if (sections !== undefined) {
+        stored.sections = sections.map(section => ({
+            name: section.name.trim(),
+            capacity: Number(section.capacity),
+            rows: (section.rows || []).map(row => ({
+                label: row.label.trim(),
+                seats: Number(row.seats)
+            }))
+        }));
+    }
+
+    return stored;
+}
+
+/**
+ * Parse a positive integer ID from a route parameter
+ *
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Parsed ID, or null when invalid
+ */
+function parseId(value) {
+    const id = parseInt(value, 10);
+    return isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * Send a 400 response for an invalid route ID
+ *
+ * @param {Object} res - Express response object
+ * @param {string} label - Which resource the ID belongs to
+ * @returns {void}
+ */
+function sendInvalidId(res, label) {
+    const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+    res.status(400).json({
+        success: false,
+        error: `Invalid ${label} ID`,
+        message: `${capitalized} ID must be a positive integer`
+    });
+}
+
+/**
+ * Send a 400 response listing validation errors
+ *
+ * @param {Object} res - Express response object
+ * @param {Array<string>} details - Validation error messages
+ * @returns {void}
+ */
+function sendValidationErrors(res, details) {
+    res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Invalid input data provided',
+        details: details
+    });
+}
+
+/**
+ * Send a 404 response for a missing venue
+ *
+ * @param {Object} res - Express response object
+ * @param {number} venueId - ID of the missing venue
+ * @returns {void}
+ */
+function sendVenueNotFound(res, venueId) {
+    res.status(404).json({
+        success: false,
+        error: 'Venue not found',
+        message: `No venue found with ID ${venueId}`
+    });
+}
+
+/**
+ * Send a 400 response for a venue name already in use
+ *
+ * @param {Object} res - Express response object
+ * @param {string} name - Duplicate name
+ * @returns {void}
+ */
+function sendDuplicateName(res, name) {
+    res.status(400).json({
+        success: false,
+        error: 'Duplicate venue',
+        message: `A venue named "${String(name).trim()}" already exists`
+    });
+}
+
+module.exports = {
+    listVenues,
+    getVenue,
+    addVenue,
+    updateVenueById,
+    removeVenue,
+    addEventSeats
+};
@@ -0,0 +1,112 @@
+/**
+ * Event Cancellation Job - Background Refunds for Cancelled Events
+ *
+ * Cancelling an event starts a job that refunds every outstanding order
+ * and notifies the ticket holders. The job runs in the background so the
+ * cancel request returns at once, and progress is kept in the database so
+ * a job interrupted by a restart, or stopped by failed refunds, can be
+ * resumed where it left off.
+ */
+
+const cancellationModel = require('../models/cancellationModel');
+
+// Runs in progress in this process, keyed by event ID
+const runningJobs = new Map();
+
+/**
+ * Refund a cancelled event's outstanding orders once
+ * A failed refund is recorded and the run moves on to the next order.
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Object>} Promise that resolves to the finished job
+ */
+async function processCancellation(eventId) {
+    await cancellationModel.startCancellationRun(eventId);
+
+    const orderIds = await cancellationModel.getOrdersToRefund(eventId);
+
+    for (const orderId of orderIds) {
+        try {
+            await cancellationModel.refundCancelledOrder(orderId);
+        } catch (error) {
+            console.error(`Error refunding order ${orderId} for cancelled event ${eventId}:`, error.message);
+            await cancellationModel.recordRefundFailure(eventId, orderId, error.message);
+        }
+    }
+
+    const cancellation = await cancellationModel.finishCancellationRun(eventId);
+    console.log(`Refund job for event ${eventId} ${cancellation.status}: ${cancellation.orders_refunded} of ${cancellation.orders_total} order(s) refunded`);
+    return cancellation;
+}
+
+/**
+ * Run an event's refund job, or join the run already in progress
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Object>} Promise that resolves to the finished job
+ */
+function runCancellationJob(eventId) {
+    if (!runningJobs.has(eventId)) {
+        const run = processCancellation(eventId).finally(() => runningJobs.delete(eventId));
+        runningJobs.set(eventId, run);
+    }
+
+    return runningJobs.get(eventId);
+}
+
+/**
+ * Check whether an event's refund job is running in this process
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {boolean} True while a run is in progress
+ */
+function isCancellationJobRunning(eventId) {
+    return runningJobs.has(eventId);
+}
+
+/**
+ * Create an event's refund job and start it in the background
+ * Errors are logged rather than thrown; the job stays unfinished in the
+ * database and is picked up again by resumeCancellationJobs.
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Object>} Promise that resolves to the job as it starts
+ */
+async function startCancellationJob(eventId) {
+    const cancellation = await cancellationModel.createCancellation(eventId);
+
+    runCancellationJob(eventId).catch((error) => {
+        console.error(`Refund job for event ${eventId} stopped:`, error.message);
+    });
+
+    return cancellation;
+}
+
+/**
+ * Resume every refund job that was interrupted, one event at a time
+ *
+ * @returns {Promise<number>} Promise that resolves to the number of jobs resumed
+ */
+async function resumeCancellationJobs() {
+    const eventIds = await cancellationModel.getUnfinishedCancellations();
+
+    for (const eventId of eventIds) {
+        console.log(`Resuming refund job for cancelled event ${eventId}`);
+        await cancellationModel.createCancellation(eventId);
+
+        try {
+            await runCancellationJob(eventId);
+        } catch (error) {
+            console.error(`Refund job for event ${eventId} stopped:`, error.message);
+        }
+    }
+
+    return eventIds.length;
+}
+
+module.exports = {
+    runCancellationJob,
+    isCancellationJobRunning,
+    startCancellationJob,
+    resumeCancellationJobs
+};
@@ -0,0 +1,16 @@
+/**
+ * Admin Authentication Middleware
+ * 
+ * Re-exports the JWT and role middleware from the user authentication
+ * service so admin routes verify tokens with the same secret and rules.
+ */
+
+const { 
+    authenticateToken, 
+    requireRole 
+} = require('../../user-authentication/middleware/authMiddleware');
+
+module.exports = {
+    authenticateToken,
+    requireRole
+};
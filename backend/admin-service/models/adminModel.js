@@ -6,52 +6,38 @@
  * in the SQLite database.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { getConnection, run, get, all, withTransaction } = require('../../shared-db/database');
+const { getEventsWithLifecycle } = require('../../shared-db/eventLifecycle');
 
-// Database path pointing to shared database
-const DB_PATH = path.join(__dirname, '..', '..', 'shared-db', 'database.sqlite');
-
-/**
- * Get a database connection
- * 
- * @returns {sqlite3.Database} Database connection object
- */
-function getDbConnection() {
-    return new sqlite3.Database(DB_PATH, (err) => {
-        if (err) {
-            console.error('Error connecting to database:', err.message);
-            throw err;
-        }
-    });
-}
+// Columns returned for every event, with the name of its venue
+const EVENT_COLUMNS = `id, name, date, starts_at, ends_at, time_zone, sales_start, sales_end, venue_id,
+    (SELECT name FROM venues WHERE venues.id = events.venue_id) AS venue, description, category, image_url,
+    tickets_available, price_cents, currency, max_per_user, series_id,
+    status, cancellation_reason, cancelled_at, archived_at, created_at, updated_at`;
 
 /**
  * Get all events from the database
  * 
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeArchived=false] - Whether to include archived events
  * @returns {Promise<Array>} Promise that resolves to array of events
  */
-function getEvents() {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const query = `
-            SELECT id, name, date, tickets_available, created_at, updated_at 
-            FROM events 
-            ORDER BY date ASC
-        `;
-        
-        db.all(query, [], (err, rows) => {
-            if (err) {
-                console.error('Error fetching events:', err.message);
-                reject(err);
-            } else {
-                resolve(rows);
-            }
-            
-            db.close();
-        });
-    });
+async function getEvents({ includeArchived = false } = {}) {
+    const db = await getConnection();
+    
+    const query = `
+        SELECT ${EVENT_COLUMNS}
+        FROM events 
+        ${includeArchived ? '' : "WHERE status != 'archived'"}
+        ORDER BY date ASC, starts_at ASC
+    `;
+    
+    try {
+        return await all(db, query);
+    } catch (err) {
+        console.error('Error fetching events:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -61,45 +47,54 @@ function getEvents() {
  * @param {string} eventData.name - Event name
  * @param {string} eventData.date - Event date (YYYY-MM-DD format)
  * @param {number} eventData.tickets_available - Number of available tickets
+ * @param {number} [eventData.price_cents=0] - Ticket price in integer cents
+ * @param {string} [eventData.currency='USD'] - ISO 4217 currency code for the price
+ * @param {number|null} [eventData.max_per_user=null] - Most tickets one account may buy (null for no limit)
+ * @param {string|null} [eventData.starts_at=null] - Start time as a UTC ISO string
+ * @param {string|null} [eventData.ends_at=null] - End time as a UTC ISO string
+ * @param {string} [eventData.time_zone='America/New_York'] - IANA time zone the event takes place in
+ * @param {string|null} [eventData.sales_start=null] - When ticket sales open, as a UTC ISO string (null to open straight away)
+ * @param {string|null} [eventData.sales_end=null] - When ticket sales close, as a UTC ISO string (null to close at the start time)
+ * @param {number|null} [eventData.venue_id=null] - ID of the venue the event takes place in
+ * @param {string|null} [eventData.description=null] - Longer description of the event
+ * @param {string} [eventData.category='other'] - Event category
+ * @param {string|null} [eventData.image_url=null] - URL of an image for the event
  * @returns {Promise<Object>} Promise that resolves to the created event with ID
  */
-function createEvent(eventData) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const { name, date, tickets_available } = eventData;
-        
-        const insertQuery = `
-            INSERT INTO events (name, date, tickets_available, created_at, updated_at)
-            VALUES (?, ?, ?, datetime('now'), datetime('now'))
-        `;
-        
-        db.run(insertQuery, [name, date, tickets_available], function(err) {
-            if (err) {
-                console.error('Error creating event:', err.message);
-                reject(err);
-                return;
-            }
-            
-            // Fetch the newly created event
-            const selectQuery = `
-                SELECT id, name, date, tickets_available, created_at, updated_at
-                FROM events
-                WHERE id = ?
-            `;
-            
-            db.get(selectQuery, [this.lastID], (err, row) => {
-                if (err) {
-                    console.error('Error fetching created event:', err.message);
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-                
-                db.close();
-            });
-        });
-    });
+async function createEvent(eventData) {
+    const db = await getConnection();
+    
+    const {
+        name, date, tickets_available, price_cents = 0, currency = 'USD', max_per_user = null,
+        starts_at = null, ends_at = null, time_zone = 'America/New_York', sales_start = null, sales_end = null,
+        venue_id = null, description = null, category = 'other', image_url = null
+    } = eventData;
+    
+    const insertQuery = `
+        INSERT INTO events (name, date, tickets_available, price_cents, currency, max_per_user,
+                            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url,
+                            created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+    `;
+    
+    let lastID;
+    try {
+        ({ lastID } = await run(db, insertQuery, [
+            name, date, tickets_available, price_cents, currency, max_per_user,
+            starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, description, category, image_url
+        ]));
+    } catch (err) {
+        console.error('Error creating event:', err.message);
+        throw err;
+    }
+    
+    // Fetch the newly created event
+    try {
+        return await get(db, `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`, [lastID]);
+    } catch (err) {
+        console.error('Error fetching created event:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -108,27 +103,16 @@ function createEvent(eventData) {
  * @param {number} eventId - The ID of the event to retrieve
  * @returns {Promise<Object|null>} Promise that resolves to event object or null if not found
  */
-function getEventById(eventId) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const query = `
-            SELECT id, name, date, tickets_available, created_at, updated_at
-            FROM events
-            WHERE id = ?
-        `;
-        
-        db.get(query, [eventId], (err, row) => {
-            if (err) {
-                console.error('Error fetching event by ID:', err.message);
-                reject(err);
-            } else {
-                resolve(row || null);
-            }
-            
-            db.close();
-        });
-    });
+async function getEventById(eventId) {
+    const db = await getConnection();
+    
+    try {
+        const row = await get(db, `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`, [eventId]);
+        return row || null;
+    } catch (err) {
+        console.error('Error fetching event by ID:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -139,81 +123,203 @@ function getEventById(eventId) {
  * @param {string} [updateData.name] - New event name
  * @param {string} [updateData.date] - New event date
  * @param {number} [updateData.tickets_available] - New ticket count
+ * @param {number} [updateData.price_cents] - New ticket price in integer cents
+ * @param {string} [updateData.currency] - New currency code
+ * @param {number|null} [updateData.max_per_user] - New per-account limit (null removes it)
+ * @param {string|null} [updateData.starts_at] - New start time as a UTC ISO string
+ * @param {string|null} [updateData.ends_at] - New end time as a UTC ISO string
+ * @param {string} [updateData.time_zone] - New IANA time zone
+ * @param {string|null} [updateData.sales_start] - New time ticket sales open, as a UTC ISO string
+ * @param {string|null} [updateData.sales_end] - New time ticket sales close, as a UTC ISO string
+ * @param {number|null} [updateData.venue_id] - New venue ID
+ * @param {string|null} [updateData.description] - New description
+ * @param {string} [updateData.category] - New category
+ * @param {string|null} [updateData.image_url] - New image URL
  * @returns {Promise<Object|null>} Promise that resolves to updated event or null if not found
  */
-function updateEvent(eventId, updateData) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        // Build dynamic update query based on provided fields
-        const fields = [];
-        const values = [];
-        
-        if (updateData.name !== undefined) {
-            fields.push('name = ?');
-            values.push(updateData.name);
-        }
-        if (updateData.date !== undefined) {
-            fields.push('date = ?');
-            values.push(updateData.date);
+async function updateEvent(eventId, updateData) {
+    // Build dynamic update query based on provided fields
+    const fields = [];
+    const values = [];
+    
+    if (updateData.name !== undefined) {
+        fields.push('name = ?');
+        values.push(updateData.name);
+    }
+    if (updateData.date !== undefined) {
+        fields.push('date = ?');
+        values.push(updateData.date);
+    }
+    if (updateData.tickets_available !== undefined) {
+        fields.push('tickets_available = ?');
+        values.push(updateData.tickets_available);
+    }
+    if (updateData.price_cents !== undefined) {
+        fields.push('price_cents = ?');
+        values.push(updateData.price_cents);
+    }
+    if (updateData.currency !== undefined) {
+        fields.push('currency = ?');
+        values.push(updateData.currency);
+    }
+    if (updateData.max_per_user !== undefined) {
+        fields.push('max_per_user = ?');
+        values.push(updateData.max_per_user);
+    }
+    for (const column of ['starts_at', 'ends_at', 'time_zone', 'sales_start', 'sales_end', 'venue_id', 'description', 'category', 'image_url']) {
+        if (updateData[column] !== undefined) {
+            fields.push(`${column} = ?`);
+            values.push(updateData[column]);
         }
-        if (updateData.tickets_available !== undefined) {
-            fields.push('tickets_available = ?');
-            values.push(updateData.tickets_available);
-        }
-        
-        if (fields.length === 0) {
-            db.close();
-            resolve(null);
-            return;
-        }
-        
-        fields.push('updated_at = datetime(\'now\')');
-        values.push(eventId);
-        
-        const updateQuery = `
-            UPDATE events 
-            SET ${fields.join(', ')}
-            WHERE id = ?
-        `;
-        
-        db.run(updateQuery, values, function(err) {
-            if (err) {
-                console.error('Error updating event:', err.message);
-                reject(err);
-                return;
+    }
+    
+    if (fields.length === 0) {
+        return null;
+    }
+    
+    fields.push('updated_at = datetime(\'now\')');
+    values.push(eventId);
+    
+    const updateQuery = `
+        UPDATE events 
+        SET ${fields.join(', ')}
+        WHERE id = ?
+    `;
+    
+    const db = await getConnection();
+    
+    let changes;
+    try {
+        ({ changes } = await run(db, updateQuery, values));
+    } catch (err) {
+        console.error('Error updating event:', err.message);
+        throw err;
+    }
+    
+    if (changes === 0) {
+        return null;
+    }
+    
+    // Fetch the updated event
+    try {
+        return await get(db, `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`, [eventId]);
+    } catch (err) {
+        console.error('Error fetching updated event:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Cancel an event so no more tickets can be bought for it
+ * 
+ * The event stays visible to customers, along with the reason, so ticket
+ * holders can see what happened.
+ * 
+ * @param {number} eventId - ID of the event to cancel
+ * @param {string} reason - Why the event was cancelled
+ * @returns {Promise<Object|null>} Promise that resolves to the cancelled event or null if not found
+ */
+async function cancelEvent(eventId, reason) {
+    const db = await getConnection();
+    
+    let event;
+    try {
+        event = await get(db, 'SELECT id, status FROM events WHERE id = ?', [eventId]);
+    } catch (err) {
+        console.error('Error fetching event to cancel:', err.message);
+        throw err;
+    }
+    
+    if (!event) {
+        return null;
+    }
+    
+    if (event.status !== 'active') {
+        throw new Error(event.status === 'archived'
+            ? 'Archived events cannot be cancelled'
+            : 'Event is already cancelled');
+    }
+    
+    const updateQuery = `
+        UPDATE events
+        SET status = 'cancelled', cancellation_reason = ?, cancelled_at = datetime('now'), updated_at = datetime('now')
+        WHERE id = ? AND status = 'active'
+    `;
+    
+    let changes;
+    try {
+        ({ changes } = await run(db, updateQuery, [reason, eventId]));
+    } catch (err) {
+        console.error('Error cancelling event:', err.message);
+        throw err;
+    }
+    
+    if (changes === 0) {
+        throw new Error('Event is already cancelled');
+    }
+    
+    try {
+        return await get(db, `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`, [eventId]);
+    } catch (err) {
+        console.error('Error fetching cancelled event:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Archive (soft delete) an event so it is hidden from customers
+ * 
+ * Archived events keep their orders and tickets. An event that has not
+ * ended yet and still has valid tickets must be cancelled first so its
+ * ticket holders are not left holding tickets to an event they can no
+ * longer see. The check and the archive happen in one transaction, so no
+ * tickets can be sold in between.
+ * 
+ * @param {number} eventId - ID of the event to archive
+ * @returns {Promise<Object|null>} Promise that resolves to the archived event or null if not found
+ */
+async function archiveEvent(eventId) {
+    try {
+        return await withTransaction(async (db) => {
+            const lifecycle = await getEventsWithLifecycle(db);
+            const event = await get(db, `
+                SELECT id, status, lifecycle_status,
+                       (SELECT COUNT(*) FROM tickets t WHERE t.event_id = events.id AND t.status = 'valid') AS valid_tickets
+                FROM ${lifecycle.source}
+                WHERE id = ?
+            `, [...lifecycle.params, eventId]);
+            
+            if (!event) {
+                return null;
+            }
+            
+            if (event.status === 'archived') {
+                throw new Error('Event is already archived');
             }
             
-            if (this.changes === 0) {
-                resolve(null);
-                db.close();
-                return;
+            if (event.status === 'active' && event.lifecycle_status !== 'past' && event.valid_tickets > 0) {
+                throw new Error(`Event has ${event.valid_tickets} valid tickets outstanding; cancel it before archiving`);
             }
             
-            // Fetch the updated event
-            const selectQuery = `
-                SELECT id, name, date, tickets_available, created_at, updated_at
-                FROM events
+            await run(db, `
+                UPDATE events
+                SET status = 'archived', archived_at = datetime('now'), updated_at = datetime('now')
                 WHERE id = ?
-            `;
+            `, [eventId]);
             
-            db.get(selectQuery, [eventId], (err, row) => {
-                if (err) {
-                    console.error('Error fetching updated event:', err.message);
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-                
-                db.close();
-            });
+            return get(db, `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`, [eventId]);
         });
-    });
+    } catch (err) {
+        console.error('Error archiving event:', err.message);
+        throw err;
+    }
 }
 
 module.exports = {
     getEvents,
     createEvent,
     getEventById,
-    updateEvent
+    updateEvent,
+    cancelEvent,
+    archiveEvent
 };
\ No newline at end of file
@@ -0,0 +1,366 @@
+/**
+ * Cancellation Model - Database Operations for Cancelled-Event Refunds
+ *
+ * This module handles the database side of refunding a cancelled event:
+ * tracking the event's refund job, refunding its orders and notifying the
+ * users who held tickets. Each order's refund is recorded before and after
+ * the payment provider is asked for the money, so a job that stops part way
+ * through resumes with the orders it has not refunded yet.
+ */
+
+const { getConnection, run, get, all, withTransaction } = require('../../shared-db/database');
+const { closeHold } = require('../../shared-db/holds');
+const { getPaymentProvider } = require('../utils/payments');
+
+// Notification type sent to ticket holders of a cancelled event
+const EVENT_CANCELLED_NOTIFICATION = 'event_cancelled';
+
+// Base query for refund jobs, with live counts of the event's orders
+const CANCELLATION_SELECT = `
+    SELECT c.id, c.event_id, e.name AS event_name, c.status,
+           (SELECT COUNT(*) FROM orders o WHERE o.event_id = c.event_id) AS orders_total,
+           (SELECT COUNT(*) FROM orders o WHERE o.event_id = c.event_id AND o.status = 'refunded') AS orders_refunded,
+           (SELECT COUNT(*) FROM orders o WHERE o.event_id = c.event_id AND o.status != 'refunded') AS orders_remaining,
+           c.orders_failed, c.refunded_cents, c.last_error,
+           c.started_at, c.completed_at, c.created_at, c.updated_at
+    FROM event_cancellations c
+    JOIN events e ON e.id = c.event_id
+`;
+
+// Base query for order refunds with the payment each one goes back to
+const REFUND_SELECT = `
+    SELECT r.id, r.order_id, r.quantity, r.amount_cents, r.status,
+           o.payment_provider, o.payment_id
+    FROM order_refunds r
+    JOIN orders o ON o.id = r.order_id
+`;
+
+/**
+ * Get an event's refund job and its progress
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Object|null>} Promise that resolves to the job or null if the event has none
+ */
+async function getCancellation(eventId) {
+    const db = await getConnection();
+
+    const cancellation = await get(db, `${CANCELLATION_SELECT} WHERE c.event_id = ?`, [eventId]);
+    return cancellation || null;
+}
+
+/**
+ * Create the refund job for a cancelled event
+ * An event only ever has one job, so calling this again returns the existing one.
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Object>} Promise that resolves to the event's job
+ */
+async function createCancellation(eventId) {
+    const db = await getConnection();
+
+    await run(db, `
+        INSERT OR IGNORE INTO event_cancellations (event_id, status, created_at, updated_at)
+        VALUES (?, 'pending', datetime('now'), datetime('now'))
+    `, [eventId]);
+
+    return await get(db, `${CANCELLATION_SELECT} WHERE c.event_id = ?`, [eventId]);
+}
+
+/**
+ * Mark a refund job as running and stop the event's remaining sales
+ * Open waitlist entries expire and active checkout holds are released,
+ * since no more tickets will be sold. Held tickets and seats go back into
+ * the event's inventory the same way the client service releases a hold.
+ * Failures from an earlier run are cleared so they are counted afresh.
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<void>} Promise that resolves once the job is running
+ */
+async function startCancellationRun(eventId) {
+    await withTransaction(async (db) => {
+        await run(db, `
+            UPDATE event_cancellations
+            SET status = 'running', orders_failed = 0, last_error = NULL, completed_at = NULL,
+                started_at = COALESCE(started_at, datetime('now')), updated_at = datetime('now')
+            WHERE event_id = ?
+        `, [eventId]);
+        await run(db, `
+            UPDATE waitlist_entries SET status = 'expired', updated_at = datetime('now')
+            WHERE event_id = ? AND status IN ('waiting', 'offered')
+        `, [eventId]);
+
+        const holds = await all(db, `
+            SELECT id, event_id, ticket_type_id, quantity FROM holds WHERE event_id = ? AND status = 'active'
+        `, [eventId]);
+        for (const hold of holds) {
+            await closeHold(db, hold, 'released');
+        }
+    });
+}
+
+/**
+ * Get the IDs of an event's orders that still need refunding
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Array<number>>} Promise that resolves to order IDs, oldest first
+ */
+async function getOrdersToRefund(eventId) {
+    const db = await getConnection();
+
+    const rows = await all(db, `
+        SELECT id FROM orders WHERE event_id = ? AND status != 'refunded' ORDER BY id
+    `, [eventId]);
+    return rows.map(row => row.id);
+}
+
+/**
+ * Build the notice sent to a ticket holder of a cancelled event
+ *
+ * @param {Object} order - Order joined with its event's name, date and cancellation reason
+ * @param {boolean} isBuyer - Whether the notice is for the user who paid for the order
+ * @returns {string} Notification message
+ */
+function describeCancellation(order, isBuyer) {
+    const cancelled = `${order.event_name} on ${order.event_date} has been cancelled: ${order.cancellation_reason}.`;
+
+    return isBuyer
+        ? `${cancelled} Your tickets have been refunded to your original payment method.`
+        : `${cancelled} The tickets transferred to you are no longer valid, and the buyer has been refunded.`;
+}
+
+/**
+ * Reserve a refund of everything left on a cancelled event's order
+ * The refund is recorded as pending before the provider is asked for the
+ * money, the same way the client service records a buyer's own refunds.
+ * A pending refund left by either service is returned to be finished
+ * instead of starting another.
+ *
+ * @param {sqlite3.Database} db - Connection inside a transaction
+ * @param {number} orderId - ID of the order to refund
+ * @returns {Promise<Object|null>} Promise that resolves to the pending refund, or null if the order needs none
+ */
+async function reserveCancellationRefund(db, orderId) {
+    const order = await get(db, 'SELECT id, quantity, refunded_quantity, total_cents, refunded_cents, status FROM orders WHERE id = ?', [orderId]);
+
+    // Another run may have reached the order first
+    if (!order || order.status === 'refunded') {
+        return null;
+    }
+
+    const pending = await get(db, `${REFUND_SELECT} WHERE r.order_id = ? AND r.status = 'pending'`, [orderId]);
+    if (pending) {
+        return pending;
+    }
+
+    const { lastID } = await run(db, `
+        INSERT INTO order_refunds (order_id, quantity, amount_cents, status, created_at, updated_at)
+        VALUES (?, ?, ?, 'pending', datetime('now'), datetime('now'))
+    `, [orderId, order.quantity - order.refunded_quantity, order.total_cents - order.refunded_cents]);
+
+    return get(db, `${REFUND_SELECT} WHERE r.id = ?`, [lastID]);
+}
+
+/**
+ * Ask the payment provider for a pending refund's money
+ * The refund's ID goes with it as the reference, so a refund sent again
+ * after an interruption is only paid out once. A refusal marks the refund
+ * failed, leaving the order as it was, and is rethrown.
+ *
+ * @param {Object} refund - Pending refund with its order's payment
+ * @returns {Promise<boolean>} Promise that resolves to true if money was refunded
+ */
+async function sendRefund(refund) {
+    if (!refund.payment_id || refund.amount_cents === 0) {
+        return false;
+    }
+
+    try {
+        await getPaymentProvider(refund.payment_provider).refund(refund.payment_id, refund.amount_cents, {
+            reference: `order-refund-${refund.id}`
+        });
+        return true;
+    } catch (error) {
+        const db = await getConnection();
+        await run(db, `
+            UPDATE order_refunds SET status = 'failed', last_error = ?, updated_at = datetime('now')
+            WHERE id = ? AND status = 'pending'
+        `, [error.message, refund.id]);
+        throw error;
+    }
+}
+
+/**
+ * Record a refund the provider has made against a cancelled event's order
+ * Once the order is fully refunded, all of its tickets are voided,
+ * including any transferred to other accounts, and every user who held one
+ * is notified once per event. A refund that only covered part of the order
+ * (one the buyer started before the event was cancelled) leaves the rest
+ * for the next refund.
+ *
+ * @param {Object} refund - Pending refund with its order's payment
+ * @param {boolean} refunded - Whether the provider refunded any money
+ * @returns {Promise<number>} Promise that resolves to the cents recorded (0 if another run recorded them)
+ */
+async function recordCancellationRefund(refund, refunded) {
+    return withTransaction(async (db) => {
+        // Another run may have recorded the refund already
+        const { changes } = await run(db, `
+            UPDATE order_refunds SET status = 'completed', updated_at = datetime('now')
+            WHERE id = ? AND status = 'pending'
+        `, [refund.id]);
+        if (changes === 0) {
+            return 0;
+        }
+
+        const order = await get(db, `
+            SELECT o.id, o.user_id, o.event_id, o.quantity, o.refunded_quantity, o.payment_status,
+                   e.name AS event_name, e.date AS event_date, e.cancellation_reason
+            FROM orders o
+            JOIN events e ON e.id = o.event_id
+            WHERE o.id = ?
+        `, [refund.order_id]);
+
+        const fullyRefunded = order.refunded_quantity + refund.quantity >= order.quantity;
+        const status = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+        await run(db, `
+            UPDATE orders
+            SET refunded_quantity = MIN(quantity, refunded_quantity + ?), refunded_cents = MIN(total_cents, refunded_cents + ?),
+                status = ?, payment_status = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [refund.quantity, refund.amount_cents, status, refunded ? status : order.payment_status, order.id]);
+        await run(db, `
+            UPDATE event_cancellations
+            SET refunded_cents = refunded_cents + ?, updated_at = datetime('now')
+            WHERE event_id = ?
+        `, [refund.amount_cents, order.event_id]);
+
+        if (!fullyRefunded) {
+            return refund.amount_cents;
+        }
+
+        const holders = await all(db, `
+            SELECT DISTINCT user_id FROM tickets
+            WHERE order_id = ? AND status = 'valid' AND user_id IS NOT NULL AND user_id IS NOT ?
+        `, [order.id, order.user_id]);
+
+        await run(db, `
+            UPDATE tickets SET status = 'refunded', updated_at = datetime('now')
+            WHERE order_id = ? AND status = 'valid'
+        `, [order.id]);
+        await run(db, `
+            UPDATE ticket_transfers SET status = 'cancelled', resolved_at = datetime('now')
+            WHERE status = 'pending' AND ticket_id IN (SELECT id FROM tickets WHERE order_id = ?)
+        `, [order.id]);
+
+        const recipients = holders.map(holder => ({ userId: holder.user_id, isBuyer: false }));
+        if (order.user_id !== null) {
+            recipients.unshift({ userId: order.user_id, isBuyer: true });
+        }
+
+        for (const { userId, isBuyer } of recipients) {
+            await run(db, `
+                INSERT OR IGNORE INTO notifications (user_id, event_id, type, message, created_at)
+                VALUES (?, ?, ?, ?, datetime('now'))
+            `, [userId, order.event_id, EVENT_CANCELLED_NOTIFICATION, describeCancellation(order, isBuyer)]);
+        }
+
+        return refund.amount_cents;
+    });
+}
+
+/**
+ * Refund everything left on one of a cancelled event's orders
+ * The refund is reserved in one transaction, the payment provider is asked
+ * for the money outside of any transaction, and a second transaction
+ * records it, so the database is not locked while the provider answers.
+ * If the provider refuses, nothing changes.
+ *
+ * @param {number} orderId - ID of the order to refund
+ * @returns {Promise<Object>} Promise that resolves to { orderId, refundedCents }
+ */
+async function refundCancelledOrder(orderId) {
+    let refundedCents = 0;
+    let refund;
+
+    // A refund the buyer started before the event was cancelled is finished
+    // first, and the rest of the order is refunded after it
+    while ((refund = await withTransaction(db => reserveCancellationRefund(db, orderId)))) {
+        const refunded = await sendRefund(refund);
+        refundedCents += await recordCancellationRefund(refund, refunded);
+    }
+
+    return { orderId, refundedCents };
+}
+
+/**
+ * Record that one of a cancelled event's orders could not be refunded
+ * The order stays unrefunded, so resuming the job tries it again.
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @param {number} orderId - ID of the order that failed
+ * @param {string} message - Why the refund failed
+ * @returns {Promise<void>} Promise that resolves once the failure is recorded
+ */
+async function recordRefundFailure(eventId, orderId, message) {
+    const db = await getConnection();
+
+    await run(db, `
+        UPDATE event_cancellations
+        SET orders_failed = orders_failed + 1, last_error = ?, updated_at = datetime('now')
+        WHERE event_id = ?
+    `, [`Order ${orderId}: ${message}`, eventId]);
+}
+
+/**
+ * Finish a run of a refund job
+ * The job completes when every order was refunded and fails otherwise.
+ *
+ * @param {number} eventId - ID of the cancelled event
+ * @returns {Promise<Object>} Promise that resolves to the finished job
+ */
+async function finishCancellationRun(eventId) {
+    const db = await getConnection();
+
+    await run(db, `
+        UPDATE event_cancellations
+        SET status = CASE WHEN orders_failed > 0 THEN 'failed' ELSE 'completed' END,
+            completed_at = CASE WHEN orders_failed > 0 THEN NULL ELSE datetime('now') END,
+            updated_at = datetime('now')
+        WHERE event_id = ?
+    `, [eventId]);
+
+    return await get(db, `${CANCELLATION_SELECT} WHERE c.event_id = ?`, [eventId]);
+}
+
+/**
+ * Get the cancelled events whose refunds were interrupted
+ * This covers jobs that were pending or running when the service stopped
+ * and events that were cancelled before their job could be created.
+ *
+ * @returns {Promise<Array<number>>} Promise that resolves to event IDs
+ */
+async function getUnfinishedCancellations() {
+    const db = await getConnection();
+
+    const rows = await all(db, `
+        SELECT e.id
+        FROM events e
+        LEFT JOIN event_cancellations c ON c.event_id = e.id
+        WHERE e.cancelled_at IS NOT NULL AND (c.id IS NULL OR c.status IN ('pending', 'running'))
+        ORDER BY e.cancelled_at, e.id
+    `);
+    return rows.map(row => row.id);
+}
+
+module.exports = {
+    EVENT_CANCELLED_NOTIFICATION,
+    getCancellation,
+    createCancellation,
+    startCancellationRun,
+    getOrdersToRefund,
+    refundCancelledOrder,
+    recordRefundFailure,
+    finishCancellationRun,
+    getUnfinishedCancellations
+};
@@ -0,0 +1,90 @@
+/**
+ * Check-In Model - Database Operations for Venue Check-In
+ *
+ * This module handles the database side of scanning tickets at the venue:
+ * marking a ticket as used exactly once and counting an event's attendance.
+ * Ticket codes are verified by the controller before they reach this module.
+ */
+
+const { getConnection, run, get } = require('../../shared-db/database');
+
+// Base query for scanned tickets, including who checked them in
+const TICKET_SELECT = `
+    SELECT tk.id, tk.order_id, tk.event_id, tk.ticket_type_id, t.name AS ticket_type_name,
+           tk.status, tk.checked_in_at, tk.checked_in_by, u.email AS checked_in_by_email
+    FROM tickets tk
+    LEFT JOIN ticket_types t ON t.id = tk.ticket_type_id
+    LEFT JOIN users u ON u.id = tk.checked_in_by
+`;
+
+/**
+ * Check a ticket in at an event
+ * The ticket is marked used by a single conditional update, so two scanners
+ * reading the same code at once cannot both admit it
+ *
+ * @param {number} eventId - ID of the event being scanned for
+ * @param {string} code - Verified ticket code
+ * @param {number} staffUserId - ID of the staff member scanning the ticket
+ * @returns {Promise<Object|null>} Promise that resolves to { ticket, alreadyCheckedIn } or null if no such ticket exists
+ */
+async function checkInTicket(eventId, code, staffUserId) {
+    const db = await getConnection();
+
+    try {
+        const { changes } = await run(db, `
+            UPDATE tickets
+            SET checked_in_at = datetime('now'), checked_in_by = ?, updated_at = datetime('now')
+            WHERE code = ? AND event_id = ? AND status = 'valid' AND checked_in_at IS NULL
+        `, [staffUserId, code, eventId]);
+
+        const ticket = await get(db, `${TICKET_SELECT} WHERE tk.code = ? AND tk.event_id = ?`, [code, eventId]);
+        if (!ticket) {
+            return null;
+        }
+
+        if (changes === 0 && ticket.status === 'refunded') {
+            throw new Error('Ticket has been refunded');
+        }
+
+        return { ticket, alreadyCheckedIn: changes === 0 };
+    } catch (err) {
+        console.error('Error checking in ticket:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Count an event's tickets and how many have been checked in
+ *
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<Object>} Promise that resolves to { event_id, tickets_issued, checked_in, not_checked_in, refunded }
+ */
+async function getAttendance(eventId) {
+    const db = await getConnection();
+
+    try {
+        const counts = await get(db, `
+            SELECT COALESCE(SUM(status = 'valid'), 0) AS tickets_issued,
+                   COALESCE(SUM(status = 'valid' AND checked_in_at IS NOT NULL), 0) AS checked_in,
+                   COALESCE(SUM(status = 'refunded'), 0) AS refunded
+            FROM tickets
+            WHERE event_id = ?
+        `, [eventId]);
+
+        return {
+            event_id: eventId,
+            tickets_issued: counts.tickets_issued,
+            checked_in: counts.checked_in,
+            not_checked_in: counts.tickets_issued - counts.checked_in,
+            refunded: counts.refunded
+        };
+    } catch (err) {
+        console.error('Error fetching attendance:', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    checkInTicket,
+    getAttendance
+};
@@ -0,0 +1,333 @@
+/**
+ * Series Model - Database Operations for Recurring Events
+ *
+ * This module handles all database operations for event series. A series
+ * is created together with its occurrences, which are ordinary events
+ * linked to it by series_id, and changes to a series are copied onto the
+ * occurrences that have not happened yet.
+ */
+
+const { getConnection, run, get, all, withTransaction } = require('../../shared-db/database');
+const { addDays, atLocalTime } = require('../utils/recurrence');
+const { TICKETS_TAKEN } = require('./venueModel');
+
+// Columns returned for every series, with how many occurrences are still listed
+const SERIES_COLUMNS = `id, name, frequency, repeat_interval, time_zone,
+    (SELECT COUNT(*) FROM events WHERE events.series_id = event_series.id AND status != 'archived') AS occurrence_count,
+    created_at, updated_at`;
+
+// Columns returned for every occurrence, with the name of its venue
+const OCCURRENCE_COLUMNS = `id, name, date, starts_at, ends_at, time_zone, sales_start, sales_end, venue_id,
+    (SELECT name FROM venues WHERE venues.id = events.venue_id) AS venue, description, category, image_url,
+    tickets_available, price_cents, currency, max_per_user, status, series_id, created_at, updated_at`;
+
+// Event columns a series update can copy onto its occurrences. The ticket
+// count is worked out for each occurrence from what it has already sold.
+const UPDATABLE_COLUMNS = [
+    'name', 'price_cents', 'currency', 'max_per_user',
+    'venue_id', 'description', 'category', 'image_url'
+];
+
+/**
+ * Fetch a series with its occurrences, in date order
+ * Archived occurrences are left out.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} seriesId - ID of the series
+ * @returns {Promise<Object|null>} Promise that resolves to the series with an occurrences array, or null if not found
+ */
+async function findSeries(db, seriesId) {
+    const series = await get(db, `SELECT ${SERIES_COLUMNS} FROM event_series WHERE id = ?`, [seriesId]);
+    if (!series) {
+        return null;
+    }
+
+    series.occurrences = await all(db, `
+        SELECT ${OCCURRENCE_COLUMNS}
+        FROM events
+        WHERE series_id = ? AND status != 'archived'
+        ORDER BY date ASC, starts_at ASC
+    `, [seriesId]);
+
+    return series;
+}
+
+/**
+ * Get all series, newest first
+ *
+ * @returns {Promise<Array<Object>>} Promise that resolves to the series, each with occurrence_count and next_date
+ */
+async function getSeries() {
+    const db = await getConnection();
+
+    try {
+        return await all(db, `
+            SELECT ${SERIES_COLUMNS},
+                (SELECT MIN(date) FROM events
+                 WHERE events.series_id = event_series.id AND status = 'active' AND date >= date('now')) AS next_date
+            FROM event_series
+            ORDER BY id DESC
+        `);
+    } catch (err) {
+        console.error('Error fetching series:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get a single series with its occurrences
+ *
+ * @param {number} seriesId - ID of the series
+ * @returns {Promise<Object|null>} Promise that resolves to the series or null if not found
+ */
+async function getSeriesById(seriesId) {
+    const db = await getConnection();
+
+    try {
+        return await findSeries(db, seriesId);
+    } catch (err) {
+        console.error('Error fetching series:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Create a series together with all of its occurrences
+ * Either the series and every occurrence are stored, or nothing is.
+ *
+ * @param {Object} seriesData - Series to insert
+ * @param {string} seriesData.name - Series name
+ * @param {string} seriesData.frequency - 'weekly', 'monthly' or 'dates'
+ * @param {number|null} seriesData.repeat_interval - Weeks or months between occurrences (null for chosen dates)
+ * @param {string} seriesData.time_zone - IANA time zone the occurrences take place in
+ * @param {Array<Object>} occurrences - Validated events in stored form, one per occurrence, with their sales windows
+ * @returns {Promise<Object>} Promise that resolves to the created series with its occurrences
+ */
+async function createSeries({ name, frequency, repeat_interval, time_zone }, occurrences) {
+    try {
+        return await withTransaction(async (db) => {
+            const { lastID: seriesId } = await run(db, `
+                INSERT INTO event_series (name, frequency, repeat_interval, time_zone, created_at, updated_at)
+                VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+            `, [name, frequency, repeat_interval, time_zone]);
+
+            for (const event of occurrences) {
+                await run(db, `
+                    INSERT INTO events (name, date, tickets_available, price_cents, currency, max_per_user,
+                                        starts_at, ends_at, time_zone, sales_start, sales_end, venue_id,
+                                        description, category, image_url, series_id, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+                `, [
+                    event.name, event.date, event.tickets_available, event.price_cents, event.currency,
+                    event.max_per_user, event.starts_at, event.ends_at, event.time_zone, event.sales_start,
+                    event.sales_end, event.venue_id, event.description, event.category, event.image_url, seriesId
+                ]);
+            }
+
+            return findSeries(db, seriesId);
+        });
+    } catch (err) {
+        console.error('Error creating series:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Work out an occurrence's new start and end times from local times of day
+ * Without a new end time, the occurrence keeps its length. An end time
+ * earlier than the start time is on the following day.
+ *
+ * @param {Object} occurrence - Current occurrence with date, starts_at, ends_at and time_zone
+ * @param {string} startTime - New local start time (HH:MM)
+ * @param {string|null|undefined} endTime - New local end time (HH:MM), null to clear it, or undefined to keep the length
+ * @returns {Object} The new { starts_at, ends_at }
+ */
+function getOccurrenceTimes(occurrence, startTime, endTime) {
+    const startsAt = atLocalTime(occurrence.date, startTime, occurrence.time_zone);
+
+    if (endTime === null || (endTime === undefined && !(occurrence.starts_at && occurrence.ends_at))) {
+        return { starts_at: startsAt, ends_at: null };
+    }
+
+    if (endTime === undefined) {
+        const length = Date.parse(occurrence.ends_at) - Date.parse(occurrence.starts_at);
+        return { starts_at: startsAt, ends_at: new Date(Date.parse(startsAt) + length).toISOString() };
+    }
+
+    let endsAt = atLocalTime(occurrence.date, endTime, occurrence.time_zone);
+    if (endsAt <= startsAt) {
+        endsAt = atLocalTime(addDays(occurrence.date, 1), endTime, occurrence.time_zone);
+    }
+    return { starts_at: startsAt, ends_at: endsAt };
+}
+
+/**
+ * Check an occurrence's new start time against its sales window
+ * Throws when sales would open at or after the start, or close after it.
+ *
+ * @param {Object} occurrence - Occurrence with date, sales_start and sales_end
+ * @param {string} startsAt - New start time as a UTC ISO string
+ * @returns {void}
+ */
+function checkSalesWindow(occurrence, startsAt) {
+    if (occurrence.sales_start && Date.parse(occurrence.sales_start) >= Date.parse(startsAt)) {
+        throw new Error(`Sales start must be before the new start time of the ${occurrence.date} occurrence`);
+    }
+    if (occurrence.sales_end && Date.parse(occurrence.sales_end) > Date.parse(startsAt)) {
+        throw new Error(`Sales end cannot be after the new start time of the ${occurrence.date} occurrence`);
+    }
+}
+
+/**
+ * Work out how many tickets an occurrence has left on sale after an update
+ * A new ticket count is the total each occurrence offers, so the tickets an
+ * occurrence has already sold or held come off it. Without one, the
+ * occurrence keeps its remaining tickets.
+ *
+ * @param {Object} occurrence - Current occurrence with tickets_available and tickets_taken
+ * @param {number|undefined} totalTickets - New total tickets per occurrence
+ * @returns {number} Tickets available on the occurrence after the update
+ */
+function getRemainingTickets(occurrence, totalTickets) {
+    if (totalTickets === undefined) {
+        return occurrence.tickets_available;
+    }
+    if (occurrence.tickets_taken > totalTickets) {
+        throw new Error(`The ${occurrence.date} occurrence has already sold or held ${occurrence.tickets_taken} tickets, more than the ${totalTickets} it would offer`);
+    }
+    return totalTickets - occurrence.tickets_taken;
+}
+
+/**
+ * Check the occurrences being updated against their venues and seat maps
+ * Throws when an occurrence would have more tickets sold, held and on sale
+ * than its venue holds, or when the venue or ticket count of one selling
+ * reserved seats changes.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Array<Object>} occurrences - Occurrences being updated, with their tickets_taken
+ * @param {Object} updateData - Fields being copied onto them
+ * @returns {Promise<void>}
+ */
+async function checkVenues(db, occurrences, updateData) {
+    const venues = new Map();
+
+    for (const occurrence of occurrences) {
+        const venueId = updateData.venue_id === undefined ? occurrence.venue_id : updateData.venue_id;
+        const remaining = getRemainingTickets(occurrence, updateData.tickets_available);
+        const tickets = remaining + occurrence.tickets_taken;
+
+        if (venueId !== occurrence.venue_id || remaining !== occurrence.tickets_available) {
+            const { seats } = await get(db, 'SELECT COUNT(*) AS seats FROM event_seats WHERE event_id = ?', [occurrence.id]);
+            if (seats > 0) {
+                throw new Error(`The venue and ticket count of the ${occurrence.date} occurrence cannot be changed because it sells reserved seats`);
+            }
+        }
+
+        if (venueId !== null) {
+            if (!venues.has(venueId)) {
+                venues.set(venueId, await get(db, 'SELECT name, capacity FROM venues WHERE id = ?', [venueId]));
+            }
+            const venue = venues.get(venueId);
+            if (venue && tickets > venue.capacity) {
+                const ticketText = updateData.tickets_available !== undefined || occurrence.tickets_taken === 0
+                    ? `Tickets available (${tickets})`
+                    : `Tickets available (${remaining}) plus the ${occurrence.tickets_taken} already sold or held`;
+                throw new Error(`${ticketText} cannot exceed the capacity of ${venue.name} (${venue.capacity}) on ${occurrence.date}`);
+            }
+        }
+    }
+}
+
+/**
+ * Copy changes onto the occurrences of a series that have not happened yet
+ * Occurrences from the given one onwards (or from today) that are still on
+ * sale are updated; cancelled ones and earlier ones are left as they are.
+ * A new tickets_available is the total each occurrence offers, including the
+ * tickets it has already sold or held. New times must still fall after
+ * each occurrence's sales window. A new name renames the series too.
+ *
+ * @param {number} seriesId - ID of the series
+ * @param {Object} updateData - Validated event fields to copy, in stored form
+ * @param {Object} [options={}] - Update options
+ * @param {number|null} [options.fromEventId=null] - First occurrence to update
+ * @param {string} [options.startTime] - New local start time (HH:MM) for every occurrence updated
+ * @param {string|null} [options.endTime] - New local end time (HH:MM), or null to clear it
+ * @returns {Promise<Object|null>} Promise that resolves to { series, updated } with the IDs of the updated occurrences, or null if the series is not found
+ */
+async function updateSeries(seriesId, updateData, { fromEventId = null, startTime, endTime } = {}) {
+    try {
+        return await withTransaction(async (db) => {
+            const series = await get(db, 'SELECT id FROM event_series WHERE id = ?', [seriesId]);
+            if (!series) {
+                return null;
+            }
+
+            let fromDate = (await get(db, "SELECT date('now') AS today")).today;
+            if (fromEventId !== null) {
+                const from = await get(db, 'SELECT date FROM events WHERE id = ? AND series_id = ?', [fromEventId, seriesId]);
+                if (!from) {
+                    throw new Error(`Event ${fromEventId} is not an occurrence of this series`);
+                }
+                fromDate = from.date;
+            }
+
+            const occurrences = await all(db, `
+                SELECT id, date, starts_at, ends_at, time_zone, sales_start, sales_end, venue_id, tickets_available,
+                    ${TICKETS_TAKEN} AS tickets_taken
+                FROM events
+                WHERE series_id = ? AND status = 'active' AND date >= ?
+                ORDER BY date ASC
+            `, [seriesId, fromDate]);
+
+            if (occurrences.length === 0) {
+                throw new Error('The series has no upcoming occurrences to update');
+            }
+
+            await checkVenues(db, occurrences, updateData);
+
+            const columns = UPDATABLE_COLUMNS.filter(column => updateData[column] !== undefined);
+            for (const occurrence of occurrences) {
+                const fields = columns.map(column => `${column} = ?`);
+                const values = columns.map(column => updateData[column]);
+
+                if (updateData.tickets_available !== undefined) {
+                    fields.push('tickets_available = ?');
+                    values.push(getRemainingTickets(occurrence, updateData.tickets_available));
+                }
+
+                if (startTime !== undefined) {
+                    const times = getOccurrenceTimes(occurrence, startTime, endTime);
+                    checkSalesWindow(occurrence, times.starts_at);
+                    fields.push('starts_at = ?', 'ends_at = ?');
+                    values.push(times.starts_at, times.ends_at);
+                }
+
+                await run(db, `
+                    UPDATE events SET ${fields.join(', ')}, updated_at = datetime('now') WHERE id = ?
+                `, [...values, occurrence.id]);
+            }
+
+            if (updateData.name !== undefined) {
+                await run(db, `
+                    UPDATE event_series SET name = ?, updated_at = datetime('now') WHERE id = ?
+                `, [updateData.name, seriesId]);
+            }
+
+            return {
+                series: await findSeries(db, seriesId),
+                updated: occurrences.map(occurrence => occurrence.id)
+            };
+        });
+    } catch (err) {
+        console.error('Error updating series:', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    getSeries,
+    getSeriesById,
+    createSeries,
+    updateSeries
+};
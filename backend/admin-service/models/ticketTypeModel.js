@@ -0,0 +1,163 @@
+/**
+ * Ticket Type Model - Database Operations for Ticket Tiers
+ *
+ * This module handles all database operations for the ticket types
+ * (general admission, reserved, student, ...) sold for an event. Each
+ * type has its own price, quota and optional sales window.
+ */
+
+const { getConnection, run, get, all } = require('../../shared-db/database');
+
+// Base query for ticket types, including how many are left to sell
+const TICKET_TYPE_SELECT = `
+    SELECT id, event_id, name, price_cents, quota, tickets_sold,
+           quota - tickets_sold AS tickets_available,
+           sales_start, sales_end, created_at, updated_at
+    FROM ticket_types
+`;
+
+/**
+ * Get all ticket types for an event, cheapest first
+ *
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<Array>} Promise that resolves to array of ticket types
+ */
+async function getTicketTypesByEvent(eventId) {
+    const db = await getConnection();
+
+    try {
+        return await all(db, `${TICKET_TYPE_SELECT} WHERE event_id = ? ORDER BY price_cents ASC, id ASC`, [eventId]);
+    } catch (err) {
+        console.error('Error fetching ticket types:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get a single ticket type belonging to an event
+ *
+ * @param {number} eventId - ID of the event
+ * @param {number} ticketTypeId - ID of the ticket type
+ * @returns {Promise<Object|null>} Promise that resolves to the ticket type or null if not found
+ */
+async function getTicketTypeById(eventId, ticketTypeId) {
+    const db = await getConnection();
+
+    try {
+        const ticketType = await get(db, `${TICKET_TYPE_SELECT} WHERE id = ? AND event_id = ?`, [ticketTypeId, eventId]);
+        return ticketType || null;
+    } catch (err) {
+        console.error('Error fetching ticket type by ID:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Create a ticket type for an event
+ *
+ * @param {number} eventId - ID of the event
+ * @param {Object} ticketTypeData - Ticket type data to insert
+ * @param {string} ticketTypeData.name - Tier name, unique within the event
+ * @param {number} ticketTypeData.price_cents - Ticket price in integer cents
+ * @param {number} ticketTypeData.quota - Number of tickets of this type for sale
+ * @param {string|null} [ticketTypeData.sales_start=null] - When sales open (ISO 8601)
+ * @param {string|null} [ticketTypeData.sales_end=null] - When sales close (ISO 8601)
+ * @returns {Promise<Object>} Promise that resolves to the created ticket type
+ */
+async function createTicketType(eventId, ticketTypeData) {
+    const { name, price_cents, quota, sales_start = null, sales_end = null } = ticketTypeData;
+    const db = await getConnection();
+
+    try {
+        const { lastID } = await run(db, `
+            INSERT INTO ticket_types (event_id, name, price_cents, quota, sales_start, sales_end, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        `, [eventId, name, price_cents, quota, sales_start, sales_end]);
+
+        return await get(db, `${TICKET_TYPE_SELECT} WHERE id = ?`, [lastID]);
+    } catch (err) {
+        console.error('Error creating ticket type:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Update a ticket type belonging to an event
+ * The quota can never drop below the number of tickets already sold
+ *
+ * @param {number} eventId - ID of the event
+ * @param {number} ticketTypeId - ID of the ticket type to update
+ * @param {Object} updateData - Fields to update (name, price_cents, quota, sales_start, sales_end)
+ * @returns {Promise<Object|null>} Promise that resolves to the updated ticket type or null if not found
+ */
+async function updateTicketType(eventId, ticketTypeId, updateData) {
+    const db = await getConnection();
+
+    try {
+        const fields = [];
+        const values = [];
+
+        for (const column of ['name', 'price_cents', 'quota', 'sales_start', 'sales_end']) {
+            if (updateData[column] !== undefined) {
+                fields.push(`${column} = ?`);
+                values.push(updateData[column]);
+            }
+        }
+
+        const existing = await get(db, `${TICKET_TYPE_SELECT} WHERE id = ? AND event_id = ?`, [ticketTypeId, eventId]);
+        if (!existing || fields.length === 0) {
+            return null;
+        }
+
+        if (updateData.quota !== undefined && updateData.quota < existing.tickets_sold) {
+            throw new Error(`Quota cannot be lower than the ${existing.tickets_sold} ticket(s) already sold`);
+        }
+
+        fields.push('updated_at = datetime(\'now\')');
+        values.push(ticketTypeId, eventId);
+
+        await run(db, `UPDATE ticket_types SET ${fields.join(', ')} WHERE id = ? AND event_id = ?`, values);
+
+        return await get(db, `${TICKET_TYPE_SELECT} WHERE id = ?`, [ticketTypeId]);
+    } catch (err) {
+        console.error('Error updating ticket type:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Delete a ticket type that has not sold any tickets
+ *
+ * @param {number} eventId - ID of the event
+ * @param {number} ticketTypeId - ID of the ticket type to delete
+ * @returns {Promise<boolean>} Promise that resolves to true if deleted, false if not found
+ */
+async function deleteTicketType(eventId, ticketTypeId) {
+    const db = await getConnection();
+
+    try {
+        const existing = await get(db, `${TICKET_TYPE_SELECT} WHERE id = ? AND event_id = ?`, [ticketTypeId, eventId]);
+        if (!existing) {
+            return false;
+        }
+
+        // Orders reference the ticket type, so sold tiers have to stay
+        if (existing.tickets_sold > 0) {
+            throw new Error('Cannot delete a ticket type that has already sold tickets');
+        }
+
+        await run(db, 'DELETE FROM ticket_types WHERE id = ? AND event_id = ? AND tickets_sold = 0', [ticketTypeId, eventId]);
+        return true;
+    } catch (err) {
+        console.error('Error deleting ticket type:', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    getTicketTypesByEvent,
+    getTicketTypeById,
+    createTicketType,
+    updateTicketType,
+    deleteTicketType
+};
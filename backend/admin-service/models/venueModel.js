@@ -0,0 +1,460 @@
+/**
+ * Venue Model - Database Operations for Venues
+ *
+ * This module handles all database operations for the venues events take
+ * place in, along with each venue's sections and the rows of seats in them.
+ * It also finds the events booked into a venue, which limit how its capacity
+ * can change and warn admins about double bookings, and sets up the seat
+ * inventory of events that sell reserved seats.
+ */
+
+const { getConnection, run, get, all, withTransaction } = require('../../shared-db/database');
+
+// Columns returned for every venue (sections are attached separately)
+const VENUE_COLUMNS = 'id, name, address, capacity, created_at, updated_at';
+
+// An event's tickets that are sold or held, for a query over events. They
+// take up seats as well as the tickets_available still on sale. Refunded
+// tickets are left out; tickets in active checkout holds are already off sale.
+const TICKETS_TAKEN = `(
+    (SELECT COALESCE(SUM(o.quantity - o.refunded_quantity), 0) FROM orders o WHERE o.event_id = events.id)
+    + (SELECT COALESCE(SUM(h.quantity), 0) FROM holds h WHERE h.event_id = events.id AND h.status = 'active')
+)`;
+
+/**
+ * Attach each venue's sections, in the order they were added
+ * Every section lists its rows with the number of seats in each.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Array<Object>} venues - Venue rows
+ * @returns {Promise<Array<Object>>} Promise that resolves to the venues with a sections array
+ */
+async function withSections(db, venues) {
+    if (venues.length === 0) {
+        return venues;
+    }
+
+    const placeholders = venues.map(() => '?').join(', ');
+    const sections = await all(db, `
+        SELECT id, venue_id, name, capacity
+        FROM venue_sections
+        WHERE venue_id IN (${placeholders})
+        ORDER BY id ASC
+    `, venues.map(venue => venue.id));
+
+    const rows = await all(db, `
+        SELECT r.id, r.section_id, r.label, COUNT(s.id) AS seats
+        FROM venue_rows r
+        JOIN venue_sections sec ON sec.id = r.section_id
+        LEFT JOIN venue_seats s ON s.row_id = r.id
+        WHERE sec.venue_id IN (${placeholders})
+        GROUP BY r.id
+        ORDER BY r.id ASC
+    `, venues.map(venue => venue.id));
+
+    return venues.map(venue => ({
+        ...venue,
+        sections: sections
+            .filter(section => section.venue_id === venue.id)
+            .map(({ id, name, capacity }) => ({
+                id,
+                name,
+                capacity,
+                rows: rows
+                    .filter(row => row.section_id === id)
+                    .map(({ id: rowId, label, seats }) => ({ id: rowId, label, seats }))
+            }))
+    }));
+}
+
+/**
+ * Fetch a venue with its sections on an open connection
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} venueId - ID of the venue
+ * @returns {Promise<Object|null>} Promise that resolves to the venue or null if not found
+ */
+async function fetchVenue(db, venueId) {
+    const venue = await get(db, `SELECT ${VENUE_COLUMNS} FROM venues WHERE id = ?`, [venueId]);
+    if (!venue) {
+        return null;
+    }
+
+    const [withDetails] = await withSections(db, [venue]);
+    return withDetails;
+}
+
+/**
+ * Delete a venue's sections along with their rows and seats
+ *
+ * @param {sqlite3.Database} db - Open database connection (inside a transaction)
+ * @param {number} venueId - ID of the venue
+ * @returns {Promise<void>} Promise that resolves when the sections are deleted
+ */
+async function deleteSections(db, venueId) {
+    await run(db, `
+        DELETE FROM venue_seats
+        WHERE row_id IN (
+            SELECT r.id FROM venue_rows r JOIN venue_sections sec ON sec.id = r.section_id WHERE sec.venue_id = ?
+        )
+    `, [venueId]);
+    await run(db, 'DELETE FROM venue_rows WHERE section_id IN (SELECT id FROM venue_sections WHERE venue_id = ?)', [venueId]);
+    await run(db, 'DELETE FROM venue_sections WHERE venue_id = ?', [venueId]);
+}
+
+/**
+ * Replace a venue's sections, numbering the seats in each row from 1
+ *
+ * @param {sqlite3.Database} db - Open database connection (inside a transaction)
+ * @param {number} venueId - ID of the venue
+ * @param {Array<{name: string, capacity: number, rows?: Array<{label: string, seats: number}>}>} sections - The venue's new sections
+ * @returns {Promise<void>} Promise that resolves when the sections are stored
+ */
+async function replaceSections(db, venueId, sections) {
+    await deleteSections(db, venueId);
+
+    for (const section of sections) {
+        const { lastID: sectionId } = await run(db, 'INSERT INTO venue_sections (venue_id, name, capacity) VALUES (?, ?, ?)',
+            [venueId, section.name, section.capacity]);
+
+        for (const row of section.rows || []) {
+            const { lastID: rowId } = await run(db, 'INSERT INTO venue_rows (section_id, label) VALUES (?, ?)',
+                [sectionId, row.label]);
+            await run(db, `
+                WITH RECURSIVE numbers(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM numbers WHERE n < ?)
+                INSERT INTO venue_seats (row_id, number) SELECT ?, n FROM numbers
+            `, [row.seats, rowId]);
+        }
+    }
+}
+
+/**
+ * Count the seats in an event's reserved seat inventory on an open connection
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<number>} Promise that resolves to the number of seats (0 for general admission)
+ */
+async function countEventSeatsOn(db, eventId) {
+    const { seats } = await get(db, 'SELECT COUNT(*) AS seats FROM event_seats WHERE event_id = ?', [eventId]);
+    return seats;
+}
+
+/**
+ * Get all venues with their sections, by name
+ *
+ * @returns {Promise<Array>} Promise that resolves to array of venues
+ */
+async function getVenues() {
+    const db = await getConnection();
+
+    try {
+        const venues = await all(db, `SELECT ${VENUE_COLUMNS} FROM venues ORDER BY name ASC`);
+        return await withSections(db, venues);
+    } catch (err) {
+        console.error('Error fetching venues:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get a single venue with its sections
+ *
+ * @param {number} venueId - ID of the venue
+ * @returns {Promise<Object|null>} Promise that resolves to the venue or null if not found
+ */
+async function getVenueById(venueId) {
+    const db = await getConnection();
+
+    try {
+        return await fetchVenue(db, venueId);
+    } catch (err) {
+        console.error('Error fetching venue by ID:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Create a venue along with its sections
+ *
+ * @param {Object} venueData - Venue data to insert
+ * @param {string} venueData.name - Venue name, unique across venues
+ * @param {string|null} [venueData.address=null] - Street address
+ * @param {number} venueData.capacity - Most tickets one event at the venue may offer
+ * @param {Array<Object>} [venueData.sections=[]] - Sections of the venue, each with a name, capacity and optional rows
+ * @returns {Promise<Object>} Promise that resolves to the created venue
+ */
+async function createVenue(venueData) {
+    const { name, address = null, capacity, sections = [] } = venueData;
+
+    try {
+        return await withTransaction(async (db) => {
+            const { lastID } = await run(db, `
+                INSERT INTO venues (name, address, capacity, created_at, updated_at)
+                VALUES (?, ?, ?, datetime('now'), datetime('now'))
+            `, [name, address, capacity]);
+
+            await replaceSections(db, lastID, sections);
+
+            return fetchVenue(db, lastID);
+        });
+    } catch (err) {
+        console.error('Error creating venue:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Update a venue, replacing its sections when new ones are given
+ * The capacity can never drop below the tickets an event booked into the
+ * venue has sold, held or on sale, and the sections cannot change while an event sells
+ * reserved seats there.
+ *
+ * @param {number} venueId - ID of the venue to update
+ * @param {Object} updateData - Fields to update (name, address, capacity, sections)
+ * @returns {Promise<Object|null>} Promise that resolves to the updated venue or null if not found
+ */
+async function updateVenue(venueId, updateData) {
+    try {
+        return await withTransaction(async (db) => {
+            const fields = [];
+            const values = [];
+
+            for (const column of ['name', 'address', 'capacity']) {
+                if (updateData[column] !== undefined) {
+                    fields.push(`${column} = ?`);
+                    values.push(updateData[column]);
+                }
+            }
+
+            const existing = await get(db, 'SELECT id FROM venues WHERE id = ?', [venueId]);
+            if (!existing || (fields.length === 0 && updateData.sections === undefined)) {
+                return null;
+            }
+
+            if (updateData.capacity !== undefined) {
+                const largest = await get(db, `
+                    SELECT name, tickets
+                    FROM (
+                        SELECT name, tickets_available + ${TICKETS_TAKEN} AS tickets
+                        FROM events
+                        WHERE venue_id = ? AND status != 'archived'
+                    )
+                    WHERE tickets > ?
+                    ORDER BY tickets DESC
+                    LIMIT 1
+                `, [venueId, updateData.capacity]);
+
+                if (largest) {
+                    throw new Error(`Capacity cannot be lower than the ${largest.tickets} tickets "${largest.name}" has sold, held or on sale at this venue`);
+                }
+            }
+
+            if (updateData.sections !== undefined) {
+                const { seated } = await get(db, `
+                    SELECT COUNT(DISTINCT es.event_id) AS seated
+                    FROM event_seats es
+                    JOIN events e ON e.id = es.event_id
+                    WHERE e.venue_id = ?
+                `, [venueId]);
+
+                if (seated > 0) {
+                    throw new Error(`Sections cannot be changed while ${seated} event(s) sell reserved seats at this venue`);
+                }
+            }
+
+            fields.push('updated_at = datetime(\'now\')');
+            values.push(venueId);
+            await run(db, `UPDATE venues SET ${fields.join(', ')} WHERE id = ?`, values);
+
+            if (updateData.sections !== undefined) {
+                await replaceSections(db, venueId, updateData.sections);
+            }
+
+            return fetchVenue(db, venueId);
+        });
+    } catch (err) {
+        console.error('Error updating venue:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Delete a venue that no event is booked into
+ *
+ * @param {number} venueId - ID of the venue to delete
+ * @returns {Promise<boolean>} Promise that resolves to true if deleted, false if not found
+ */
+async function deleteVenue(venueId) {
+    try {
+        return await withTransaction(async (db) => {
+            const venue = await get(db, `
+                SELECT v.id, (SELECT COUNT(*) FROM events e WHERE e.venue_id = v.id) AS event_count
+                FROM venues v
+                WHERE v.id = ?
+            `, [venueId]);
+
+            if (!venue) {
+                return false;
+            }
+
+            // Archived events still point at their venue, so any booking keeps it
+            if (venue.event_count > 0) {
+                throw new Error(`Venue has ${venue.event_count} event(s) booked and cannot be deleted`);
+            }
+
+            await deleteSections(db, venueId);
+            await run(db, 'DELETE FROM venues WHERE id = ?', [venueId]);
+            return true;
+        });
+    } catch (err) {
+        console.error('Error deleting venue:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Find active events booked into a venue at a time overlapping the given one
+ * An event without an end time is treated as taking up just its start time.
+ *
+ * @param {number} venueId - ID of the venue
+ * @param {Object} schedule - Time to check
+ * @param {string} schedule.starts_at - Start time as a UTC ISO string
+ * @param {string|null} [schedule.ends_at=null] - End time as a UTC ISO string
+ * @param {number|null} [schedule.excludeEventId=null] - Event to leave out (the one being checked)
+ * @returns {Promise<Array>} Promise that resolves to the overlapping events, earliest first
+ */
+async function getOverlappingEvents(venueId, { starts_at, ends_at = null, excludeEventId = null }) {
+    const db = await getConnection();
+    const endsAt = ends_at || starts_at;
+
+    try {
+        return await all(db, `
+            SELECT id, name, starts_at, ends_at
+            FROM events
+            WHERE venue_id = ? AND id != ? AND status = 'active' AND starts_at IS NOT NULL
+              AND (starts_at = ? OR (starts_at < ? AND COALESCE(ends_at, starts_at) > ?))
+            ORDER BY starts_at ASC
+        `, [venueId, excludeEventId || 0, starts_at, endsAt, starts_at]);
+    } catch (err) {
+        console.error('Error fetching overlapping events:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Put every seat of an event's venue on sale for the event
+ * The event then sells reserved seats instead of general admission, and its
+ * ticket count becomes the number of seats. This is only possible before
+ * any of its tickets are sold or held.
+ *
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<Object|null>} Promise that resolves to { event_id, seats } or null if the event is not found
+ */
+async function createEventSeats(eventId) {
+    try {
+        return await withTransaction(async (db) => {
+            const event = await get(db, `
+                SELECT e.id, e.name, e.status, e.venue_id, v.name AS venue
+                FROM events e
+                LEFT JOIN venues v ON v.id = e.venue_id
+                WHERE e.id = ? AND e.status != 'archived'
+            `, [eventId]);
+
+            if (!event) {
+                return null;
+            }
+
+            if (event.status === 'cancelled') {
+                throw new Error(`${event.name} has been cancelled and cannot sell reserved seats`);
+            }
+
+            if (!event.venue) {
+                throw new Error(`Choose a venue for ${event.name} before selling reserved seats`);
+            }
+
+            if (await countEventSeatsOn(db, eventId) > 0) {
+                throw new Error(`${event.name} already sells reserved seats`);
+            }
+
+            const { sold } = await get(db, `
+                SELECT (SELECT COUNT(*) FROM orders WHERE event_id = ? AND quantity > refunded_quantity)
+                     + (SELECT COUNT(*) FROM holds WHERE event_id = ? AND status = 'active') AS sold
+            `, [eventId, eventId]);
+
+            if (sold > 0) {
+                throw new Error(`Reserved seats can only be set up before any tickets for ${event.name} are sold`);
+            }
+
+            const { changes: seats } = await run(db, `
+                INSERT INTO event_seats (event_id, seat_id, status, updated_at)
+                SELECT ?, s.id, 'available', datetime('now')
+                FROM venue_seats s
+                JOIN venue_rows r ON r.id = s.row_id
+                JOIN venue_sections sec ON sec.id = r.section_id
+                WHERE sec.venue_id = ?
+            `, [eventId, event.venue_id]);
+
+            if (seats === 0) {
+                throw new Error(`${event.venue} has no rows of seats to sell as reserved seats`);
+            }
+
+            await run(db, `
+                UPDATE events SET tickets_available = ?, updated_at = datetime('now') WHERE id = ?
+            `, [seats, eventId]);
+
+            return { event_id: eventId, seats };
+        });
+    } catch (err) {
+        console.error('Error creating event seats:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Count the seats in an event's reserved seat inventory
+ *
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<number>} Promise that resolves to the number of seats (0 for general admission)
+ */
+async function countEventSeats(eventId) {
+    const db = await getConnection();
+
+    try {
+        return await countEventSeatsOn(db, eventId);
+    } catch (err) {
+        console.error('Error counting event seats:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Count an event's tickets that are sold or held
+ *
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<number>} Promise that resolves to the number of tickets taken (0 for a missing event)
+ */
+async function countTicketsTaken(eventId) {
+    const db = await getConnection();
+
+    try {
+        const row = await get(db, `SELECT ${TICKETS_TAKEN} AS taken FROM events WHERE id = ?`, [eventId]);
+        return row ? row.taken : 0;
+    } catch (err) {
+        console.error('Error counting tickets taken:', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    getVenues,
+    getVenueById,
+    createVenue,
+    updateVenue,
+    deleteVenue,
+    getOverlappingEvents,
+    createEventSeats,
+    countEventSeats,
+    countTicketsTaken,
+    TICKETS_TAKEN
+};
@@ -2,8 +2,11 @@
  * Admin Routes - REST API Endpoints for Event Management
  * 
  * This module defines the REST API routes for the admin service.
- * It provides endpoints for creating, reading, and updating events
- * following RESTful design principles.
+ * It provides endpoints for creating, reading, updating, cancelling and
+ * archiving events, managing each event's ticket types and reserved seats,
+ * managing recurring event series, and managing the venues events take
+ * place in, following RESTful design principles.
+ * Every route requires an authenticated user with the admin role.
  */
 
 const express = require('express');
@@ -12,19 +15,103 @@ const {
     listEvents, 
     addEvent, 
     getEvent, 
-    updateEventById 
+    updateEventById,
+    cancelEventById,
+    archiveEventById,
+    listSeries,
+    getSeriesDetails,
+    addSeries,
+    updateSeriesById
 } = require('../controllers/adminController');
+const {
+    listTicketTypes,
+    addTicketType,
+    updateTicketTypeById,
+    removeTicketType
+} = require('../controllers/ticketTypeController');
+const {
+    getEventCancellation,
+    resumeEventCancellation
+} = require('../controllers/cancellationController');
+const {
+    listVenues,
+    getVenue,
+    addVenue,
+    updateVenueById,
+    removeVenue,
+    addEventSeats
+} = require('../controllers/venueController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
 
-// GET /api/admin/events - Get all events
-router.get('/events', listEvents);
+// Admin routes require an authenticated admin. The middleware goes on each
+// route rather than router.use, since the service mounts this router at its
+// root and its own endpoints such as /health must stay open
+const requireAdmin = [authenticateToken, requireRole('admin')];
+
+// GET /api/admin/events - Get all events (add ?includeArchived=true for archived ones)
+router.get('/events', requireAdmin, listEvents);
 
 // POST /api/admin/events - Create a new event
-router.post('/events', addEvent);
+router.post('/events', requireAdmin, addEvent);
 
 // GET /api/admin/events/:id - Get a specific event by ID
-router.get('/events/:id', getEvent);
+router.get('/events/:id', requireAdmin, getEvent);
 
 // PUT /api/admin/events/:id - Update a specific event
-router.put('/events/:id', updateEventById);
+router.put('/events/:id', requireAdmin, updateEventById);
+
+// DELETE /api/admin/events/:id - Archive (soft delete) a specific event
+router.delete('/events/:id', requireAdmin, archiveEventById);
+
+// POST /api/admin/events/:id/cancel - Cancel a specific event with a reason
+router.post('/events/:id/cancel', requireAdmin, cancelEventById);
+
+// GET /api/admin/events/:id/cancellation - Get the progress of a cancelled event's refunds
+router.get('/events/:id/cancellation', requireAdmin, getEventCancellation);
+
+// POST /api/admin/events/:id/cancellation/resume - Resume a cancelled event's unfinished refunds
+router.post('/events/:id/cancellation/resume', requireAdmin, resumeEventCancellation);
+
+// GET /api/admin/events/:id/ticket-types - List an event's ticket types
+router.get('/events/:id/ticket-types', requireAdmin, listTicketTypes);
+
+// POST /api/admin/events/:id/ticket-types - Add a ticket type to an event
+router.post('/events/:id/ticket-types', requireAdmin, addTicketType);
+
+// PUT /api/admin/events/:id/ticket-types/:typeId - Update a ticket type
+router.put('/events/:id/ticket-types/:typeId', requireAdmin, updateTicketTypeById);
+
+// DELETE /api/admin/events/:id/ticket-types/:typeId - Delete an unsold ticket type
+router.delete('/events/:id/ticket-types/:typeId', requireAdmin, removeTicketType);
+
+// POST /api/admin/events/:id/seats - Put the seats of an event's venue on sale as reserved seats
+router.post('/events/:id/seats', requireAdmin, addEventSeats);
+
+// GET /api/admin/series - Get all event series
+router.get('/series', requireAdmin, listSeries);
+
+// POST /api/admin/series - Create an event series and generate its occurrences
+router.post('/series', requireAdmin, addSeries);
+
+// GET /api/admin/series/:id - Get a specific series with its occurrences
+router.get('/series/:id', requireAdmin, getSeriesDetails);
+
+// PUT /api/admin/series/:id - Update the upcoming occurrences of a series
+router.put('/series/:id', requireAdmin, updateSeriesById);
+
+// GET /api/admin/venues - Get all venues with their sections
+router.get('/venues', requireAdmin, listVenues);
+
+// POST /api/admin/venues - Create a new venue
+router.post('/venues', requireAdmin, addVenue);
+
+// GET /api/admin/venues/:id - Get a specific venue by ID
+router.get('/venues/:id', requireAdmin, getVenue);
+
+// PUT /api/admin/venues/:id - Update a specific venue (sections replace the current ones)
+router.put('/venues/:id', requireAdmin, updateVenueById);
+
+// DELETE /api/admin/venues/:id - Delete a venue no event is booked into
+router.delete('/venues/:id', requireAdmin, removeVenue);
 
 module.exports = router;
\ No newline at end of file
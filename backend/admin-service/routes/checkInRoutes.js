@@ -0,0 +1,23 @@
+/**
+ * Check-In Routes - REST API Endpoints for Venue Check-In
+ *
+ * This module defines the routes gate staff use to scan tickets and follow
+ * an event's attendance. Unlike the rest of the admin API these are open to
+ * organizers as well as admins, but every route still requires one of them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { checkIn, getEventAttendance } = require('../controllers/checkInController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+
+// Check-in routes require an authenticated organizer or admin
+const requireStaff = [authenticateToken, requireRole('organizer', 'admin')];
+
+// POST /api/admin/events/:id/check-in - Check in a scanned ticket code
+router.post('/events/:id/check-in', requireStaff, checkIn);
+
+// GET /api/admin/events/:id/attendance - Get an event's attendance counts
+router.get('/events/:id/attendance', requireStaff, getEventAttendance);
+
+module.exports = router;
@@ -9,19 +9,25 @@
 
 const express = require('express');
 const cors = require('cors');
-const { initializeDatabase } = require('./setup');
+const cookieParser = require('cookie-parser');
+const { checkDatabaseSchema } = require('../shared-db/migrate');
 
 const app = express();
 
 // Import routes
 const adminRoutes = require('./routes/adminRoutes');
+const checkInRoutes = require('./routes/checkInRoutes');
 
 // Middleware configuration
 app.use(cors({
     origin: "http://localhost:6001", // Allow frontend and other services
-    credentials: true
+    credentials: true,
+    allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Parse cookies so the auth_token cookie can authenticate admins
+app.use(cookieParser());
+
 // Parse JSON request bodies
 app.use(express.json());
 
@@ -37,12 +43,35 @@ app.use((req, res, next) => {
 // API routes
 endpoints = [
     'GET /',
+    'GET /health',
     'GET /api/admin/events',
     'GET /api/admin/events/:id',
     'POST /api/admin/events',
-    'PUT /api/admin/events/:id'
+    'PUT /api/admin/events/:id',
+    'DELETE /api/admin/events/:id',
+    'POST /api/admin/events/:id/cancel',
+    'GET /api/admin/events/:id/cancellation',
+    'POST /api/admin/events/:id/cancellation/resume',
+    'GET /api/admin/events/:id/ticket-types',
+    'POST /api/admin/events/:id/ticket-types',
+    'PUT /api/admin/events/:id/ticket-types/:typeId',
+    'DELETE /api/admin/events/:id/ticket-types/:typeId',
+    'POST /api/admin/events/:id/seats',
+    'POST /api/admin/events/:id/check-in',
+    'GET /api/admin/events/:id/attendance',
+    'GET /api/admin/series',
+    'GET /api/admin/series/:id',
+    'POST /api/admin/series',
+    'PUT /api/admin/series/:id',
+    'GET /api/admin/venues',
+    'GET /api/admin/venues/:id',
+    'POST /api/admin/venues',
+    'PUT /api/admin/venues/:id',
+    'DELETE /api/admin/venues/:id'
 ]
 
+// Check-in routes come first since they admit organizers as well as admins
+app.use(checkInRoutes);
 app.use(adminRoutes);
 
 // Root endpoint
@@ -54,6 +83,14 @@ app.get('/', (req, res) => {
     });
 });
 
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.status(200).json({
+        status: 'healthy',
+        timestamp: new Date().toISOString()
+    });
+});
+
 // 404 handler for undefined routes
 app.use((req, res) => {
     res.status(404).json({
@@ -79,13 +116,11 @@ app.use((err, req, res, next) => {
 const PORT = 5001;
 
 /**
- * Initialize database and start server
+ * Check the database schema is up to date and start server
  */
 async function startServer() {
     try {
-        console.log('Initializing database...');
-        await initializeDatabase();
-        console.log('Database initialization completed successfully!');
+        await checkDatabaseSchema();
         
         // Start the server
         app.listen(PORT, () => {
@@ -3,66 +3,23 @@
  * 
  * This script initializes the SQLite database by:
  * - Creating the database file if it doesn't exist
- * - Running the schema initialization from init.sql
- * - Setting up proper database connections
+ * - Applying any pending schema migrations (see shared-db/migrate.js)
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const fs = require('fs');
-const path = require('path');
-
-// Database file path in the shared directory
-const DB_PATH = path.join(__dirname, '..', 'shared-db', 'database.sqlite');
-const INIT_SQL_PATH = path.join(__dirname, '..', 'shared-db', 'init.sql');
+const { migrateDatabase } = require('../shared-db/migrate');
+const { getDatabasePath } = require('../shared-db/database');
 
 /**
  * Initialize the SQLite database
+ * Creates the database file if it doesn't exist and applies any pending
+ * schema migrations from shared-db/migrations.
  * 
  * @returns {Promise<void>} Promise that resolves when database is initialized
  */
-function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        // Create the database connection
-        const db = new sqlite3.Database(DB_PATH, (err) => {
-            if (err) {
-                console.error('Error creating database:', err.message);
-                reject(err);
-                return;
-            }
-            console.log('Connected to SQLite database at:', DB_PATH);
-        });
-
-        // Read and execute the initialization SQL
-        try {
-            const initSQL = fs.readFileSync(INIT_SQL_PATH, 'utf8');
-            
-            // Execute the SQL statements
-            db.exec(initSQL, (err) => {
-                if (err) {
-                    console.error('Error executing initialization SQL:', err.message);
-                    reject(err);
-                    return;
-                }
-                
-                console.log('Database initialized successfully!');
-                
-                // Close the database connection
-                db.close((err) => {
-                    if (err) {
-                        console.error('Error closing database:', err.message);
-                        reject(err);
-                        return;
-                    }
-                    console.log('Database connection closed.');
-                    resolve();
-                });
-            });
-            
-        } catch (error) {
-            console.error('Error reading initialization SQL file:', error.message);
-            reject(error);
-        }
-    });
+async function initializeDatabase() {
+    console.log('Migrating SQLite database at:', getDatabasePath());
+    const applied = await migrateDatabase();
+    console.log(`Database initialized successfully! (${applied.length} migration(s) applied)`);
 }
 
 // Run initialization if this file is executed directly
@@ -78,4 +35,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { initializeDatabase, DB_PATH };
+module.exports = { initializeDatabase };
@@ -0,0 +1,13 @@
+/**
+ * Admin Payment Providers
+ *
+ * Re-exports the payment provider registry from the client service, which
+ * takes the payments, so refunds for cancelled events go back through the
+ * provider each order was paid with.
+ */
+
+const { getPaymentProvider } = require('../../client-service/payments');
+
+module.exports = {
+    getPaymentProvider
+};
@@ -0,0 +1,133 @@
+/**
+ * Recurrence Helpers - Dates and Times of Recurring Events
+ *
+ * Works out the dates an event series takes place on and moves an event's
+ * local start and end times onto each of them. Times are kept in the
+ * event's own time zone, so a 7pm concert stays at 7pm when daylight
+ * saving time starts or ends between occurrences.
+ */
+
+const { atLocalTime } = require('../../shared-db/timeZones');
+
+// How a series can repeat: every few weeks, every few months, or on chosen dates
+const RECURRENCE_FREQUENCIES = ['weekly', 'monthly', 'dates'];
+
+// Most occurrences one series can generate (two years of weekly events)
+const MAX_OCCURRENCES = 104;
+
+// Longest gap between weekly or monthly occurrences, in weeks or months
+const MAX_REPEAT_INTERVAL = 12;
+
+/**
+ * Check if a string is a 24-hour time of day in HH:MM format
+ *
+ * @param {string} value - Time to validate
+ * @returns {boolean} True if the time is valid, false otherwise
+ */
+function isValidTimeOfDay(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Add days to a calendar date
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} The resulting date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the same day of the month a number of months later
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} months - Months to add
+ * @returns {string|null} The resulting date, or null when that month is too short to have the day
+ */
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const result = new Date(Date.UTC(year, month - 1 + months, day));
+    return result.getUTCDate() === day ? result.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * List the dates a series takes place on, starting with its first occurrence
+ * Weekly series repeat on the same weekday and monthly series on the same
+ * day of the month, skipping months without that day. Series on chosen
+ * dates take place on the first date and each date listed. Generation
+ * stops one past MAX_OCCURRENCES so callers can tell a series is too long.
+ *
+ * @param {string} firstDate - Date of the first occurrence (YYYY-MM-DD)
+ * @param {Object} recurrence - Validated recurrence rule
+ * @param {string} recurrence.frequency - 'weekly', 'monthly' or 'dates'
+ * @param {number} [recurrence.interval=1] - Weeks or months between occurrences
+ * @param {number} [recurrence.count] - Number of occurrences, including the first
+ * @param {string} [recurrence.until] - Last date an occurrence may fall on (YYYY-MM-DD)
+ * @param {Array<string>} [recurrence.dates] - Other dates, for series on chosen dates
+ * @returns {Array<string>} Occurrence dates in order
+ */
+function getOccurrenceDates(firstDate, { frequency, interval = 1, count, until, dates }) {
+    if (frequency === 'dates') {
+        return [...new Set([firstDate, ...dates])].sort();
+    }
+
+    const limit = count === undefined ? MAX_OCCURRENCES + 1 : Math.min(count, MAX_OCCURRENCES + 1);
+    const occurrences = [];
+
+    for (let step = 0; occurrences.length < limit; step++) {
+        const date = frequency === 'weekly'
+            ? addDays(firstDate, step * 7 * interval)
+            : addMonths(firstDate, step * interval);
+        if (date === null) {
+            continue;
+        }
+        if (until !== undefined && date > until) {
+            break;
+        }
+        occurrences.push(date);
+    }
+
+    return occurrences;
+}
+
+/**
+ * Get the local time of day of an instant in a time zone
+ *
+ * @param {string} dateTime - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Local time in HH:MM format
+ */
+function getLocalTime(dateTime, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).format(new Date(dateTime));
+}
+
+/**
+ * Move an instant to another date at the same local time of day
+ *
+ * @param {string} dateTime - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone name
+ * @param {string} date - Local date to move to (YYYY-MM-DD)
+ * @returns {string} The moved instant as a UTC ISO string
+ */
+function moveToDate(dateTime, timeZone, date) {
+    return atLocalTime(date, getLocalTime(dateTime, timeZone), timeZone);
+}
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    MAX_OCCURRENCES,
+    MAX_REPEAT_INTERVAL,
+    isValidTimeOfDay,
+    addDays,
+    getOccurrenceDates,
+    atLocalTime,
+    moveToDate
+};
@@ -0,0 +1,12 @@
+/**
+ * Admin Ticket Code Verification
+ *
+ * Re-exports ticket code verification from the client service, which issues
+ * the codes, so scanned tickets are checked with the same secret and format.
+ */
+
+const { verifyTicketCode } = require('../../client-service/tickets/ticketCodes');
+
+module.exports = {
+    verifyTicketCode
+};
@@ -0,0 +1,116 @@
+/**
+ * Validation Helpers - Shared Field Checks for Admin Input
+ * 
+ * Small predicates used by the admin controllers to validate request
+ * fields before they reach the models.
+ */
+
+const { getLocalDate } = require('../../shared-db/timeZones');
+const { EVENT_CATEGORIES, isValidDate } = require('../../shared-db/validation');
+
+// Highest accepted ticket price ($1,000,000.00 in cents)
+const MAX_PRICE_CENTS = 100000000;
+
+// Highest accepted per-account purchase limit
+const MAX_PER_USER_LIMIT = 1000;
+
+/**
+ * Check if a price is a whole, non-negative number of cents within range
+ * 
+ * @param {number|string} priceCents - Price to validate
+ * @returns {boolean} True if price is valid, false otherwise
+ */
+function isValidPriceCents(priceCents) {
+    if (typeof priceCents === 'string' && !/^\d+$/.test(priceCents)) return false;
+    if (typeof priceCents !== 'string' && typeof priceCents !== 'number') return false;
+    
+    const value = Number(priceCents);
+    return Number.isInteger(value) && value >= 0 && value <= MAX_PRICE_CENTS;
+}
+
+/**
+ * Check if a per-account purchase limit is a positive whole number within range
+ * null is valid and means the event has no limit.
+ * 
+ * @param {number|string|null} maxPerUser - Limit to validate
+ * @returns {boolean} True if the limit is valid, false otherwise
+ */
+function isValidMaxPerUser(maxPerUser) {
+    if (maxPerUser === null) return true;
+    if (typeof maxPerUser === 'string' && !/^\d+$/.test(maxPerUser)) return false;
+    if (typeof maxPerUser !== 'string' && typeof maxPerUser !== 'number') return false;
+    
+    const value = Number(maxPerUser);
+    return Number.isInteger(value) && value >= 1 && value <= MAX_PER_USER_LIMIT;
+}
+
+/**
+ * Check if a currency code looks like an ISO 4217 code (three letters)
+ * 
+ * @param {string} currency - Currency code to validate
+ * @returns {boolean} True if currency is valid, false otherwise
+ */
+function isValidCurrency(currency) {
+    return typeof currency === 'string' && /^[A-Za-z]{3}$/.test(currency);
+}
+
+/**
+ * Check if a string is an ISO 8601 date or date-time (e.g. 2025-12-01T09:00:00Z)
+ * 
+ * @param {string} value - Date-time string to validate
+ * @returns {boolean} True if the value parses as a date-time, false otherwise
+ */
+function isValidDateTime(value) {
+    if (typeof value !== 'string') return false;
+    
+    const dateTimeRegex = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+    return dateTimeRegex.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Check if a string is an IANA time zone name (e.g. America/New_York)
+ * 
+ * @param {string} timeZone - Time zone to validate
+ * @returns {boolean} True if the runtime recognizes the time zone, false otherwise
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+    
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check if a string is an absolute http(s) URL, as used for event images
+ * 
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if the URL is valid, false otherwise
+ */
+function isValidImageUrl(url) {
+    if (typeof url !== 'string' || url.length > 2048) return false;
+    
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    MAX_PRICE_CENTS,
+    MAX_PER_USER_LIMIT,
+    EVENT_CATEGORIES,
+    isValidPriceCents,
+    isValidMaxPerUser,
+    isValidCurrency,
+    isValidDate,
+    isValidDateTime,
+    isValidTimeZone,
+    isValidImageUrl,
+    getLocalDate
+};
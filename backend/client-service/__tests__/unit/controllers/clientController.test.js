@@ -1,11 +1,32 @@
 const {
     getAllEvents,
     purchaseTickets,
-    getEventById
+    createHold,
+    confirmHold,
+    releaseHold,
+    joinWaitlist,
+    getWaitlistEntry,
+    leaveWaitlist,
+    getWaitlist,
+    getEventById,
+    getEventSeats,
+    getAllSeries,
+    getSeriesById,
+    getOrders,
+    getOrderById,
+    getTickets,
+    getTicketById,
+    startTransfer,
+    getTransfers,
+    acceptTransfer,
+    cancelTransfer,
+    cancelOrder
 } = require('../../../controllers/clientController');
 
 jest.mock('../../../models/clientModel');
+jest.mock('../../../../user-authentication/models/userModel');
 const clientModel = require('../../../models/clientModel');
+const userModel = require('../../../../user-authentication/models/userModel');
 
 describe('Client Controller - getAllEvents', () => {
     let req, res;
@@ -20,27 +41,38 @@ describe('Client Controller - getAllEvents', () => {
         console.log = jest.fn();
     });
 
-    test('should return all events successfully', async () => {
+    test('should return the first page of events successfully', async () => {
         const mockEvents = [
             { id: 1, name: 'Concert', date: '2025-12-01', tickets_available: 100 },
             { id: 2, name: 'Game', date: '2025-12-15', tickets_available: 50 }
         ];
-        clientModel.getAllEvents.mockResolvedValue(mockEvents);
+        clientModel.searchEvents.mockResolvedValue({ events: mockEvents, total: 2, nextCursor: null });
 
         await getAllEvents(req, res);
 
-        expect(clientModel.getAllEvents).toHaveBeenCalledTimes(1);
+        expect(clientModel.searchEvents).toHaveBeenCalledWith({
+            q: undefined,
+            from: undefined,
+            to: undefined,
+            category: undefined,
+            available: false,
+            sort: 'date',
+            cursor: null,
+            limit: 20
+        });
         expect(res.status).toHaveBeenCalledWith(200);
         expect(res.json).toHaveBeenCalledWith({
             success: true,
             message: 'Events retrieved successfully',
             count: 2,
+            total: 2,
+            nextCursor: null,
             events: mockEvents
         });
     });
 
     test('should handle empty event list', async () => {
-        clientModel.getAllEvents.mockResolvedValue([]);
+        clientModel.searchEvents.mockResolvedValue({ events: [], total: 0, nextCursor: null });
 
         await getAllEvents(req, res);
 
@@ -49,12 +81,104 @@ describe('Client Controller - getAllEvents', () => {
             success: true,
             message: 'Events retrieved successfully',
             count: 0,
+            total: 0,
+            nextCursor: null,
             events: []
         });
     });
 
+    test('should pass the search, filters, sort and page on to the model', async () => {
+        clientModel.searchEvents.mockResolvedValue({ events: [{ id: 3 }], total: 12, nextCursor: 'next' });
+        req = {
+            query: {
+                q: '  jazz ',
+                from: '2030-03-01',
+                to: '2030-03-31',
+                category: 'arts',
+                status: 'on_sale, upcoming',
+                available: 'true',
+                sort: '-price',
+                cursor: 'abc',
+                limit: '10'
+            }
+        };
+
+        await getAllEvents(req, res);
+
+        expect(clientModel.searchEvents).toHaveBeenCalledWith({
+            q: 'jazz',
+            from: '2030-03-01',
+            to: '2030-03-31',
+            category: 'arts',
+            statuses: ['on_sale', 'upcoming'],
+            available: true,
+            sort: '-price',
+            cursor: 'abc',
+            limit: 10
+        });
+        expect(res.json.mock.calls[0][0]).toMatchObject({ count: 1, total: 12, nextCursor: 'next' });
+    });
+
+    test('should ignore blank search text', async () => {
+        clientModel.searchEvents.mockResolvedValue({ events: [], total: 0, nextCursor: null });
+        req = { query: { q: '   ' } };
+
+        await getAllEvents(req, res);
+
+        expect(clientModel.searchEvents.mock.calls[0][0].q).toBeUndefined();
+    });
+
+    test('should sort searches by relevance unless asked otherwise', async () => {
+        clientModel.searchEvents.mockResolvedValue({ events: [], total: 0, nextCursor: null });
+
+        await getAllEvents({ query: { q: 'duke' } }, res);
+        await getAllEvents({ query: { q: 'duke', sort: 'date' } }, res);
+
+        expect(clientModel.searchEvents.mock.calls[0][0].sort).toBe('relevance');
+        expect(clientModel.searchEvents.mock.calls[1][0].sort).toBe('date');
+    });
+
+    test.each([
+        [{ q: 'x'.repeat(201) }, 'Invalid search', 'Search text must be at most 200 characters'],
+        [{ q: ['jazz', 'art'] }, 'Invalid search', 'Search text must be at most 200 characters'],
+        [{ from: 'March 1' }, 'Invalid date range', 'From and to dates must be in YYYY-MM-DD format'],
+        [{ from: '2030-04-01', to: '2030-03-01' }, 'Invalid date range', 'The from date cannot be after the to date'],
+        [{ category: 'music' }, 'Invalid category', 'Category must be one of: athletics, arts, career, academic, social, other'],
+        [{ status: 'on_sale,sold_out' }, 'Invalid status', 'Status must be a comma-separated list of: upcoming, on_sale, sales_closed, in_progress, past, cancelled'],
+        [{ status: '' }, 'Invalid status', 'Status must be a comma-separated list of: upcoming, on_sale, sales_closed, in_progress, past, cancelled'],
+        [{ available: 'yes' }, 'Invalid availability filter', 'Available must be true or false'],
+        [{ sort: 'popularity' }, 'Invalid sort', 'Sort must be one of: relevance, date, -date, price, -price, name'],
+        [{ sort: 'relevance' }, 'Invalid sort', 'Sorting by relevance needs search text (q)'],
+        [{ limit: '0' }, 'Invalid limit', 'Limit must be a whole number between 1 and 100'],
+        [{ limit: '101' }, 'Invalid limit', 'Limit must be a whole number between 1 and 100'],
+        [{ limit: 'ten' }, 'Invalid limit', 'Limit must be a whole number between 1 and 100'],
+        [{ cursor: '' }, 'Invalid cursor', 'Cursor must be the nextCursor of a previous page']
+    ])('should reject the query %j', async (query, error, message) => {
+        req = { query };
+
+        await getAllEvents(req, res);
+
+        expect(clientModel.searchEvents).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ success: false, error, message });
+    });
+
+    test('should reject a cursor the model cannot read', async () => {
+        clientModel.searchEvents.mockRejectedValue(new Error('Invalid cursor: it does not belong to this search'));
+        req = { query: { cursor: 'stale' } };
+
+        await getAllEvents(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid cursor',
+            message: 'Cursor does not belong to this search; start again without one'
+        });
+    });
+
     test('should handle database errors gracefully', async () => {
-        clientModel.getAllEvents.mockRejectedValue(new Error('Database connection failed'));
+        clientModel.searchEvents.mockRejectedValue(new Error('Database connection failed'));
 
         await getAllEvents(req, res);
 
@@ -184,23 +308,29 @@ describe('Client Controller - purchaseTickets', () => {
                 name: 'Concert',
                 tickets_available: 98
             },
+            order: { id: 7, user_id: 3, event_id: 1, quantity: 2 },
+            tickets: [{ id: 1, code: 'TT1.1.a.sig' }, { id: 2, code: 'TT1.1.b.sig' }],
             ticketsPurchased: 2
         };
 
         req = {
             params: { id: '1' },
-            body: { ticketCount: 2 }
+            body: { ticketCount: 2 },
+            user: { userId: 3, email: 'test@clemson.edu' }
         };
 
         clientModel.purchaseTickets.mockResolvedValue(mockResult);
 
         await purchaseTickets(req, res);
 
-        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 2);
+        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 2, { userId: 3, ticketTypeId: null, seatIds: null, paymentToken: null });
         expect(res.status).toHaveBeenCalledWith(200);
         expect(res.json).toHaveBeenCalledWith({
             success: true,
             message: 'Tickets purchased successfully',
+            orderId: 7,
+            order: mockResult.order,
+            tickets: mockResult.tickets,
             event: mockResult.event,
             ticketsPurchased: 2
         });
@@ -210,25 +340,99 @@ describe('Client Controller - purchaseTickets', () => {
         const mockResult = {
             message: 'Ticket purchased successfully',
             event: { id: 1, tickets_available: 99 },
+            order: { id: 1 },
             ticketsPurchased: 1
         };
 
         req = {
             params: { id: '1' },
-            body: {}
+            body: {},
+            user: { userId: 1 }
         };
 
         clientModel.purchaseTickets.mockResolvedValue(mockResult);
 
         await purchaseTickets(req, res);
 
-        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 1);
+        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 1, { userId: 1, ticketTypeId: null, seatIds: null, paymentToken: null });
+    });
+
+    test('should pass the chosen ticket type to the model', async () => {
+        req = {
+            params: { id: '1' },
+            body: { ticketCount: 2, ticketTypeId: '4' },
+            user: { userId: 1 }
+        };
+
+        clientModel.purchaseTickets.mockResolvedValue({
+            message: 'ok',
+            event: { id: 1 },
+            order: { id: 1 },
+            ticketsPurchased: 2
+        });
+
+        await purchaseTickets(req, res);
+
+        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 2, { userId: 1, ticketTypeId: 4, seatIds: null, paymentToken: null });
+    });
+
+    test('should reject an invalid ticket type ID', async () => {
+        req = {
+            params: { id: '1' },
+            body: { ticketTypeId: 'student' },
+            user: { userId: 1 }
+        };
+
+        await purchaseTickets(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid ticket type',
+            message: 'Ticket type ID must be a positive integer'
+        });
+        expect(clientModel.purchaseTickets).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['Please choose a ticket type for Game: Student, GA', 400],
+        ['Sales for Student tickets have ended', 400],
+        ['Not enough tickets available for Student. Only 1 tickets remaining.', 400],
+        ['Purchase limit reached for Game: limit is 4 tickets per user. You can buy 1 more.', 400],
+        ['Game has been cancelled and is no longer selling tickets', 400],
+        ['Tickets for Game are not on sale yet', 400],
+        ['Ticket sales for Game have closed', 400],
+        ['Game has already started and is no longer selling tickets', 400],
+        ['Game has already taken place', 400],
+        ['Ticket type not found for this event', 404],
+        ['Please choose seats for Game', 400],
+        ['Concert does not have reserved seating', 400],
+        ['Seats are no longer available: Lower Level Row A Seat 3', 400],
+        ['Seats not found for this event: 99', 404]
+    ])('should map "%s" to HTTP %i', async (message, statusCode) => {
+        req = {
+            params: { id: '1' },
+            body: { ticketTypeId: 4 },
+            user: { userId: 1 }
+        };
+        console.error = jest.fn();
+        clientModel.purchaseTickets.mockRejectedValue(new Error(message));
+
+        await purchaseTickets(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(statusCode);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Purchase failed',
+            message: message
+        });
     });
 
     test('should reject invalid event ID', async () => {
         req = {
             params: { id: 'abc' },
-            body: { ticketCount: 1 }
+            body: { ticketCount: 1 },
+            user: { userId: 1 }
         };
 
         await purchaseTickets(req, res);
@@ -244,7 +448,8 @@ describe('Client Controller - purchaseTickets', () => {
     test('should reject negative event ID', async () => {
         req = {
             params: { id: '-5' },
-            body: { ticketCount: 1 }
+            body: { ticketCount: 1 },
+            user: { userId: 1 }
         };
 
         await purchaseTickets(req, res);
@@ -260,7 +465,8 @@ describe('Client Controller - purchaseTickets', () => {
     test('should reject zero ticket count', async () => {
         req = {
             params: { id: '1' },
-            body: { ticketCount: 0 }
+            body: { ticketCount: 0 },
+            user: { userId: 1 }
         };
 
         await purchaseTickets(req, res);
@@ -276,7 +482,8 @@ describe('Client Controller - purchaseTickets', () => {
     test('should reject negative ticket count', async () => {
         req = {
             params: { id: '1' },
-            body: { ticketCount: -2 }
+            body: { ticketCount: -2 },
+            user: { userId: 1 }
         };
 
         await purchaseTickets(req, res);
@@ -292,7 +499,8 @@ describe('Client Controller - purchaseTickets', () => {
     test('should return 404 when event not found', async () => {
         req = {
             params: { id: '999' },
-            body: { ticketCount: 1 }
+            body: { ticketCount: 1 },
+            user: { userId: 1 }
         };
 
         clientModel.purchaseTickets.mockRejectedValue(
@@ -312,7 +520,8 @@ describe('Client Controller - purchaseTickets', () => {
     test('should return 400 when insufficient tickets', async () => {
         req = {
             params: { id: '1' },
-            body: { ticketCount: 10 }
+            body: { ticketCount: 10 },
+            user: { userId: 1 }
         };
 
         clientModel.purchaseTickets.mockRejectedValue(
@@ -332,7 +541,8 @@ describe('Client Controller - purchaseTickets', () => {
     test('should handle database errors during purchase', async () => {
         req = {
             params: { id: '1' },
-            body: { ticketCount: 2 }
+            body: { ticketCount: 2 },
+            user: { userId: 1 }
         };
 
         clientModel.purchaseTickets.mockRejectedValue(
@@ -349,6 +559,38 @@ describe('Client Controller - purchaseTickets', () => {
         });
     });
 
+    test('should return 402 when the payment fails', async () => {
+        req = {
+            params: { id: '1' },
+            body: { paymentToken: 'tok_capture_fails' },
+            user: { userId: 1 }
+        };
+        clientModel.purchaseTickets.mockRejectedValue(
+            new Error('Payment capture failed: issuer rejected the capture')
+        );
+
+        await purchaseTickets(req, res);
+
+        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 1, {
+            userId: 1,
+            ticketTypeId: null,
+            seatIds: null,
+            paymentToken: 'tok_capture_fails'
+        });
+        expect(res.status).toHaveBeenCalledWith(402);
+    });
+
+    test('should return 504 when the payment provider times out', async () => {
+        req = { params: { id: '1' }, body: {}, user: { userId: 1 } };
+        clientModel.purchaseTickets.mockRejectedValue(
+            new Error('Payment authorization timed out after 10000ms')
+        );
+
+        await purchaseTickets(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(504);
+    });
+
     test('should handle large ticket purchases', async () => {
         const mockResult = {
             message: 'Tickets purchased successfully',
@@ -357,19 +599,1101 @@ describe('Client Controller - purchaseTickets', () => {
                 name: 'Large Event',
                 tickets_available: 0
             },
+            order: { id: 2 },
             ticketsPurchased: 100
         };
 
         req = {
             params: { id: '1' },
-            body: { ticketCount: 100 }
+            body: { ticketCount: 100 },
+            user: { userId: 1 }
         };
 
         clientModel.purchaseTickets.mockResolvedValue(mockResult);
 
         await purchaseTickets(req, res);
 
-        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 100);
+        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(1, 100, { userId: 1, ticketTypeId: null, seatIds: null, paymentToken: null });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+});
+
+
+describe('Client Controller - reserved seating', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+    });
+
+    test('should return the seat map of an event', async () => {
+        const sections = [{
+            id: 1,
+            name: 'Lower Level',
+            rows: [{ id: 1, label: 'A', seats: [{ id: 5, number: 1, label: 'Lower Level Row A Seat 1', available: true }] }]
+        }];
+        clientModel.getEventSeats.mockResolvedValue({ event_id: 2, event_name: 'Game', seats_available: 1, sections });
+        req = { params: { id: '2' } };
+
+        await getEventSeats(req, res);
+
+        expect(clientModel.getEventSeats).toHaveBeenCalledWith(2);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Seats retrieved successfully',
+            seatsAvailable: 1,
+            sections
+        });
+    });
+
+    test('should reject an invalid event ID', async () => {
+        req = { params: { id: 'abc' } };
+
+        await getEventSeats(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(clientModel.getEventSeats).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for a missing event', async () => {
+        clientModel.getEventSeats.mockResolvedValue(null);
+        req = { params: { id: '999' } };
+
+        await getEventSeats(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Event not found',
+            message: 'Event with ID 999 does not exist'
+        });
+    });
+
+    test('should return 404 for a general admission event', async () => {
+        clientModel.getEventSeats.mockResolvedValue({ event_id: 1, event_name: 'Concert', seats_available: 0, sections: [] });
+        req = { params: { id: '1' } };
+
+        await getEventSeats(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Seat map not found',
+            message: 'Concert does not have reserved seating'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        clientModel.getEventSeats.mockRejectedValue(new Error('Database error'));
+        req = { params: { id: '1' } };
+
+        await getEventSeats(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Failed to retrieve seats',
+            message: 'Database error'
+        });
+    });
+
+    test('should buy the chosen seats, one ticket each', async () => {
+        clientModel.purchaseTickets.mockResolvedValue({
+            message: 'ok',
+            event: { id: 2 },
+            order: { id: 1 },
+            tickets: [],
+            ticketsPurchased: 2
+        });
+        req = {
+            params: { id: '2' },
+            body: { seatIds: [5, '6'] },
+            user: { userId: 1 }
+        };
+
+        await purchaseTickets(req, res);
+
+        expect(clientModel.purchaseTickets).toHaveBeenCalledWith(2, 2, { userId: 1, ticketTypeId: null, seatIds: [5, 6], paymentToken: null });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should hold the chosen seats', async () => {
+        clientModel.createHold.mockResolvedValue({ message: 'ok', hold: { id: 1 }, event: { id: 2 } });
+        req = {
+            params: { id: '2' },
+            body: { ticketCount: 1, seatIds: [5] },
+            user: { userId: 1 }
+        };
+
+        await createHold(req, res);
+
+        expect(clientModel.createHold).toHaveBeenCalledWith(2, 1, { userId: 1, ticketTypeId: null, seatIds: [5] });
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test.each([
+        [[]],
+        ['5'],
+        [[5, 'A']],
+        [[0]],
+        [[5, 5]]
+    ])('should reject seat IDs %j', async (seatIds) => {
+        req = {
+            params: { id: '2' },
+            body: { seatIds },
+            user: { userId: 1 }
+        };
+
+        await purchaseTickets(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid seats',
+            message: 'Seat IDs must be a non-empty list of different positive integers'
+        });
+        expect(clientModel.purchaseTickets).not.toHaveBeenCalled();
+    });
+
+    test('should reject a ticket count that does not match the seats', async () => {
+        req = {
+            params: { id: '2' },
+            body: { ticketCount: 3, seatIds: [5, 6] },
+            user: { userId: 1 }
+        };
+
+        await purchaseTickets(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid ticket count',
+            message: 'Ticket count must match the 2 seat(s) chosen'
+        });
+        expect(clientModel.purchaseTickets).not.toHaveBeenCalled();
+    });
+});
+
+describe('Client Controller - event series', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+    });
+
+    const mockSeries = {
+        id: 3,
+        name: 'Jazz Night',
+        frequency: 'weekly',
+        repeat_interval: 1,
+        time_zone: 'America/New_York',
+        occurrences: [{ id: 10, name: 'Jazz Night', date: '2030-03-07', series_id: 3 }]
+    };
+
+    test('should list series with their occurrences', async () => {
+        req = {};
+        clientModel.getAllSeries.mockResolvedValue([mockSeries]);
+
+        await getAllSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Series retrieved successfully',
+            count: 1,
+            series: [mockSeries]
+        });
+    });
+
+    test('should handle database errors when listing series', async () => {
+        req = {};
+        clientModel.getAllSeries.mockRejectedValue(new Error('Database error'));
+
+        await getAllSeries(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Failed to retrieve series',
+            message: 'Database error'
+        });
+    });
+
+    test('should return one series', async () => {
+        req = { params: { id: '3' } };
+        clientModel.getSeriesById.mockResolvedValue(mockSeries);
+
+        await getSeriesById(req, res);
+
+        expect(clientModel.getSeriesById).toHaveBeenCalledWith(3);
         expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Series retrieved successfully',
+            series: mockSeries
+        });
+    });
+
+    test('should return 404 for a series that does not exist', async () => {
+        req = { params: { id: '999' } };
+        clientModel.getSeriesById.mockResolvedValue(null);
+
+        await getSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Series not found',
+            message: 'Series with ID 999 does not exist'
+        });
+    });
+
+    test('should reject an invalid series ID', async () => {
+        req = { params: { id: 'abc' } };
+
+        await getSeriesById(req, res);
+
+        expect(clientModel.getSeriesById).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid series ID',
+            message: 'Series ID must be a positive integer'
+        });
+    });
+
+    test('should handle database errors when fetching a series', async () => {
+        req = { params: { id: '3' } };
+        clientModel.getSeriesById.mockRejectedValue(new Error('Database error'));
+
+        await getSeriesById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Client Controller - getOrders', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = { user: { userId: 3 } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+    });
+
+    test('should return the authenticated user\'s orders', async () => {
+        const mockOrders = [
+            { id: 2, user_id: 3, event_id: 1, quantity: 1 },
+            { id: 1, user_id: 3, event_id: 2, quantity: 4 }
+        ];
+        clientModel.getOrdersByUser.mockResolvedValue(mockOrders);
+
+        await getOrders(req, res);
+
+        expect(clientModel.getOrdersByUser).toHaveBeenCalledWith(3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Orders retrieved successfully',
+            count: 2,
+            orders: mockOrders
+        });
+    });
+
+    test('should handle database errors', async () => {
+        clientModel.getOrdersByUser.mockRejectedValue(new Error('Database error'));
+
+        await getOrders(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Failed to retrieve orders',
+            message: 'Database error'
+        });
+    });
+});
+
+describe('Client Controller - getOrderById', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+    });
+
+    test('should return an order owned by the user', async () => {
+        const mockOrder = { id: 5, user_id: 3, event_id: 1, quantity: 2 };
+        req = { params: { id: '5' }, user: { userId: 3 } };
+        clientModel.getOrderById.mockResolvedValue(mockOrder);
+
+        await getOrderById(req, res);
+
+        expect(clientModel.getOrderById).toHaveBeenCalledWith(5, 3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Order retrieved successfully',
+            order: mockOrder
+        });
+    });
+
+    test('should return 404 when order is missing or owned by someone else', async () => {
+        req = { params: { id: '5' }, user: { userId: 4 } };
+        clientModel.getOrderById.mockResolvedValue(null);
+
+        await getOrderById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Order not found',
+            message: 'Order with ID 5 does not exist'
+        });
+    });
+
+    test('should reject invalid order ID', async () => {
+        req = { params: { id: 'abc' }, user: { userId: 3 } };
+
+        await getOrderById(req, res);
+
+        expect(clientModel.getOrderById).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid order ID',
+            message: 'Order ID must be a positive integer'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        req = { params: { id: '5' }, user: { userId: 3 } };
+        clientModel.getOrderById.mockRejectedValue(new Error('Database error'));
+
+        await getOrderById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Failed to retrieve order',
+            message: 'Database error'
+        });
+    });
+});
+
+describe('Client Controller - tickets', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.error = jest.fn();
+    });
+
+    test('should list the user\'s tickets', async () => {
+        const tickets = [{ id: 1, code: 'TT1.1.a.sig', status: 'valid' }];
+        req = { user: { userId: 3 } };
+        clientModel.getTicketsByUser.mockResolvedValue(tickets);
+
+        await getTickets(req, res);
+
+        expect(clientModel.getTicketsByUser).toHaveBeenCalledWith(3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Tickets retrieved successfully',
+            count: 1,
+            tickets
+        });
+    });
+
+    test('should return 500 when listing tickets fails', async () => {
+        req = { user: { userId: 3 } };
+        clientModel.getTicketsByUser.mockRejectedValue(new Error('Database error'));
+
+        await getTickets(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    test('should return a ticket with its code rendered as QR codes', async () => {
+        const ticket = { id: 1, code: 'TT1.1.a.sig', status: 'valid' };
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.getTicketById.mockResolvedValue(ticket);
+
+        await getTicketById(req, res);
+
+        expect(clientModel.getTicketById).toHaveBeenCalledWith(1, 3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Ticket retrieved successfully',
+            ticket,
+            code: 'TT1.1.a.sig',
+            qrCode: {
+                svg: expect.stringMatching(/^<svg/),
+                png: expect.stringMatching(/^data:image\/png;base64,/)
+            }
+        });
+    });
+
+    test('should return 404 when the ticket is missing or held by someone else', async () => {
+        req = { params: { id: '1' }, user: { userId: 4 } };
+        clientModel.getTicketById.mockResolvedValue(null);
+
+        await getTicketById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Ticket not found' }));
+    });
+
+    test('should reject invalid ticket IDs', async () => {
+        req = { params: { id: 'abc' }, user: { userId: 3 } };
+
+        await getTicketById(req, res);
+
+        expect(clientModel.getTicketById).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should return 500 when loading the ticket fails', async () => {
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.getTicketById.mockRejectedValue(new Error('Database error'));
+
+        await getTicketById(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Client Controller - ticket transfers', () => {
+    let req, res;
+    const transfer = { id: 5, ticket_id: 1, from_user_id: 3, to_user_id: 4, to_email: 'friend@clemson.edu', status: 'pending' };
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+    });
+
+    test('should start a transfer to the account registered with the email', async () => {
+        req = { params: { id: '1' }, body: { email: ' Friend@Clemson.edu ' }, user: { userId: 3 } };
+        userModel.findUserByEmail.mockResolvedValue({ id: 4, email: 'friend@clemson.edu' });
+        clientModel.createTransfer.mockResolvedValue(transfer);
+
+        await startTransfer(req, res);
+
+        expect(userModel.findUserByEmail).toHaveBeenCalledWith('friend@clemson.edu');
+        expect(clientModel.createTransfer).toHaveBeenCalledWith(1, 3, 4);
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Transfer started. The ticket moves to friend@clemson.edu once they accept it.',
+            transfer
+        });
+    });
+
+    test('should return 404 when no account uses the email', async () => {
+        req = { params: { id: '1' }, body: { email: 'nobody@clemson.edu' }, user: { userId: 3 } };
+        userModel.findUserByEmail.mockResolvedValue(null);
+
+        await startTransfer(req, res);
+
+        expect(clientModel.createTransfer).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Recipient not found' }));
+    });
+
+    test.each([
+        ['an invalid ticket ID', { id: 'abc' }, { email: 'friend@clemson.edu' }, 'Invalid ticket ID'],
+        ['a missing email', { id: '1' }, {}, 'Invalid email'],
+        ['a malformed email', { id: '1' }, { email: 'friend' }, 'Invalid email']
+    ])('should reject %s', async (label, params, body, error) => {
+        req = { params, body, user: { userId: 3 } };
+
+        await startTransfer(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error }));
+        expect(userModel.findUserByEmail).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['Ticket not found', 404],
+        ['This ticket already has a pending transfer', 409],
+        ['You cannot transfer a ticket to yourself', 400],
+        ['Refunded tickets cannot be transferred', 400],
+        ['Database error', 500]
+    ])('should map "%s" to %i when starting a transfer', async (message, status) => {
+        req = { params: { id: '1' }, body: { email: 'friend@clemson.edu' }, user: { userId: 3 } };
+        userModel.findUserByEmail.mockResolvedValue({ id: 4, email: 'friend@clemson.edu' });
+        clientModel.createTransfer.mockRejectedValue(new Error(message));
+
+        await startTransfer(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(status);
+        expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Transfer failed', message });
+    });
+
+    test('should list the user\'s transfers', async () => {
+        req = { user: { userId: 3 } };
+        clientModel.getTransfersByUser.mockResolvedValue([transfer]);
+
+        await getTransfers(req, res);
+
+        expect(clientModel.getTransfersByUser).toHaveBeenCalledWith(3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Transfers retrieved successfully',
+            count: 1,
+            transfers: [transfer]
+        });
+    });
+
+    test('should return 500 when listing transfers fails', async () => {
+        req = { user: { userId: 3 } };
+        clientModel.getTransfersByUser.mockRejectedValue(new Error('Database error'));
+
+        await getTransfers(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    test('should accept a transfer and return the re-issued ticket', async () => {
+        const ticket = { id: 1, user_id: 4, event_name: 'Concert', code: 'TT1.1.new.sig' };
+        req = { params: { id: '5' }, user: { userId: 4 } };
+        clientModel.acceptTransfer.mockResolvedValue({ transfer: { ...transfer, status: 'accepted' }, ticket });
+
+        await acceptTransfer(req, res);
+
+        expect(clientModel.acceptTransfer).toHaveBeenCalledWith(5, 4);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Ticket for Concert received',
+            transfer: { ...transfer, status: 'accepted' },
+            ticket
+        });
+    });
+
+    test.each([
+        ['Transfer not found', 404],
+        ['Transfer has already been cancelled', 409],
+        ['This ticket can no longer be transferred', 409]
+    ])('should map "%s" to %i when accepting', async (message, status) => {
+        req = { params: { id: '5' }, user: { userId: 4 } };
+        clientModel.acceptTransfer.mockRejectedValue(new Error(message));
+
+        await acceptTransfer(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(status);
+    });
+
+    test('should cancel or decline a transfer', async () => {
+        req = { params: { id: '5' }, user: { userId: 4 } };
+        clientModel.cancelTransfer.mockResolvedValue({ ...transfer, status: 'declined' });
+
+        await cancelTransfer(req, res);
+
+        expect(clientModel.cancelTransfer).toHaveBeenCalledWith(5, 4);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: 'Transfer declined',
+            transfer: { ...transfer, status: 'declined' }
+        });
+    });
+
+    test('should return 404 when cancelling someone else\'s transfer', async () => {
+        req = { params: { id: '5' }, user: { userId: 9 } };
+        clientModel.cancelTransfer.mockRejectedValue(new Error('Transfer not found'));
+
+        await cancelTransfer(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should reject invalid transfer IDs', async () => {
+        req = { params: { id: '0' }, user: { userId: 4 } };
+
+        await acceptTransfer(req, res);
+        await cancelTransfer(req, res);
+
+        expect(clientModel.acceptTransfer).not.toHaveBeenCalled();
+        expect(clientModel.cancelTransfer).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid transfer ID' }));
+    });
+});
+
+describe('Client Controller - cancelOrder', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+    });
+
+    test('should refund all remaining tickets when no count is given', async () => {
+        const mockResult = {
+            message: 'Successfully refunded 2 ticket(s) for Concert',
+            order: { id: 5, status: 'refunded' },
+            event: { id: 1, tickets_available: 100 },
+            ticketsRefunded: 2,
+            amountRefundedCents: 5250
+        };
+        req = { params: { id: '5' }, body: {}, user: { userId: 3 } };
+        clientModel.cancelOrder.mockResolvedValue(mockResult);
+
+        await cancelOrder(req, res);
+
+        expect(clientModel.cancelOrder).toHaveBeenCalledWith(5, 3, null);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: mockResult.message,
+            order: mockResult.order,
+            event: mockResult.event,
+            ticketsRefunded: 2,
+            amountRefundedCents: 5250
+        });
+    });
+
+    test('should pass a partial refund count to the model', async () => {
+        req = { params: { id: '5' }, body: { ticketCount: '1' }, user: { userId: 3 } };
+        clientModel.cancelOrder.mockResolvedValue({
+            message: 'ok',
+            order: {},
+            event: {},
+            ticketsRefunded: 1
+        });
+
+        await cancelOrder(req, res);
+
+        expect(clientModel.cancelOrder).toHaveBeenCalledWith(5, 3, 1);
+    });
+
+    test('should reject invalid ticket count', async () => {
+        req = { params: { id: '5' }, body: { ticketCount: 0 }, user: { userId: 3 } };
+
+        await cancelOrder(req, res);
+
+        expect(clientModel.cancelOrder).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should reject invalid order ID', async () => {
+        req = { params: { id: 'abc' }, body: {}, user: { userId: 3 } };
+
+        await cancelOrder(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid order ID',
+            message: 'Order ID must be a positive integer'
+        });
+    });
+
+    test('should return 404 when order not found', async () => {
+        req = { params: { id: '5' }, body: {}, user: { userId: 3 } };
+        clientModel.cancelOrder.mockRejectedValue(new Error('Order not found'));
+
+        await cancelOrder(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should return 400 inside the refund cutoff window', async () => {
+        req = { params: { id: '5' }, body: {}, user: { userId: 3 } };
+        clientModel.cancelOrder.mockRejectedValue(
+            new Error('Refunds are not available within 24 hours of the event')
+        );
+
+        await cancelOrder(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Cancellation failed',
+            message: 'Refunds are not available within 24 hours of the event'
+        });
+    });
+
+    test('should handle database errors', async () => {
+        req = { params: { id: '5' }, user: { userId: 3 } };
+        clientModel.cancelOrder.mockRejectedValue(new Error('Database error'));
+
+        await cancelOrder(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Client Controller - holds', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+    });
+
+    test('should create a hold for the authenticated user', async () => {
+        const mockResult = {
+            message: 'Holding 2 ticket(s) for Concert for 10 minutes',
+            hold: { id: 9, quantity: 2, status: 'active' },
+            event: { id: 1, tickets_available: 98 }
+        };
+        req = { params: { id: '1' }, body: { ticketCount: 2, ticketTypeId: '4' }, user: { userId: 3 } };
+        clientModel.createHold.mockResolvedValue(mockResult);
+
+        await createHold(req, res);
+
+        expect(clientModel.createHold).toHaveBeenCalledWith(1, 2, { userId: 3, ticketTypeId: 4, seatIds: null });
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: mockResult.message,
+            hold: mockResult.hold,
+            event: mockResult.event
+        });
+    });
+
+    test('should validate hold requests like purchases', async () => {
+        req = { params: { id: '1' }, body: { ticketCount: -1 }, user: { userId: 3 } };
+
+        await createHold(req, res);
+
+        expect(clientModel.createHold).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid ticket count' }));
+    });
+
+    test('should return 400 when there are not enough tickets to hold', async () => {
+        req = { params: { id: '1' }, body: {}, user: { userId: 3 } };
+        clientModel.createHold.mockRejectedValue(new Error('Not enough tickets available. Only 0 tickets remaining.'));
+
+        await createHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Hold failed',
+            message: 'Not enough tickets available. Only 0 tickets remaining.'
+        });
+    });
+
+    test('should confirm a hold into an order', async () => {
+        const mockResult = {
+            message: 'Successfully purchased 2 ticket(s) for Concert',
+            hold: { id: 9, status: 'confirmed', order_id: 12 },
+            order: { id: 12, quantity: 2 },
+            tickets: [{ id: 1 }, { id: 2 }]
+        };
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockResolvedValue(mockResult);
+
+        await confirmHold(req, res);
+
+        expect(clientModel.confirmHold).toHaveBeenCalledWith(9, 3, { paymentToken: null });
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: mockResult.message,
+            orderId: 12,
+            order: mockResult.order,
+            tickets: mockResult.tickets,
+            hold: mockResult.hold
+        });
+    });
+
+    test('should return 400 when confirming an expired hold', async () => {
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockRejectedValue(new Error('Hold has expired'));
+
+        await confirmHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Confirmation failed',
+            message: 'Hold has expired'
+        });
+    });
+
+    test('should return 400 when the event was cancelled before confirmation', async () => {
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockRejectedValue(new Error('Concert has been cancelled and is no longer selling tickets'));
+
+        await confirmHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should return 400 when sales closed before confirmation', async () => {
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockRejectedValue(new Error('Ticket sales for Concert have closed'));
+
+        await confirmHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should reject invalid hold IDs', async () => {
+        req = { params: { id: 'abc' }, user: { userId: 3 } };
+
+        await confirmHold(req, res);
+        await releaseHold(req, res);
+
+        expect(clientModel.confirmHold).not.toHaveBeenCalled();
+        expect(clientModel.releaseHold).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Invalid hold ID',
+            message: 'Hold ID must be a positive integer'
+        });
+    });
+
+    test('should release a hold', async () => {
+        const mockResult = {
+            message: 'Released 2 held ticket(s) for Concert',
+            hold: { id: 9, status: 'released' },
+            event: { id: 1, tickets_available: 100 }
+        };
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.releaseHold.mockResolvedValue(mockResult);
+
+        await releaseHold(req, res);
+
+        expect(clientModel.releaseHold).toHaveBeenCalledWith(9, 3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, ...mockResult });
+    });
+
+    test('should return 404 when releasing a missing hold', async () => {
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.releaseHold.mockRejectedValue(new Error('Hold not found'));
+
+        await releaseHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should pass the payment token when confirming a hold', async () => {
+        req = { params: { id: '9' }, body: { paymentToken: 'tok_visa' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockResolvedValue({ message: 'ok', hold: {}, order: { id: 12 } });
+
+        await confirmHold(req, res);
+
+        expect(clientModel.confirmHold).toHaveBeenCalledWith(9, 3, { paymentToken: 'tok_visa' });
+    });
+
+    test('should return 402 when the payment is declined', async () => {
+        req = { params: { id: '9' }, body: { paymentToken: 'tok_declined' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockRejectedValue(new Error('Payment declined: card was declined'));
+
+        await confirmHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(402);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Confirmation failed',
+            message: 'Payment declined: card was declined'
+        });
+    });
+
+    test('should return 500 on database errors', async () => {
+        req = { params: { id: '9' }, user: { userId: 3 } };
+        clientModel.confirmHold.mockRejectedValue(new Error('Database error'));
+
+        await confirmHold(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe('Client Controller - waitlist', () => {
+    let req, res;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+    });
+
+    test('should add the authenticated user to the waitlist', async () => {
+        const mockResult = {
+            message: 'Joined the waitlist for Concert. You are number 3 in line.',
+            entry: { id: 5, status: 'waiting', position: 3 }
+        };
+        req = { params: { id: '1' }, body: { ticketCount: 2 }, user: { userId: 3 } };
+        clientModel.joinWaitlist.mockResolvedValue(mockResult);
+
+        await joinWaitlist(req, res);
+
+        expect(clientModel.joinWaitlist).toHaveBeenCalledWith(1, 3, { ticketCount: 2, ticketTypeId: null });
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            message: mockResult.message,
+            entry: mockResult.entry
+        });
+    });
+
+    test('should validate waitlist requests like purchases', async () => {
+        req = { params: { id: 'abc' }, body: {}, user: { userId: 3 } };
+
+        await joinWaitlist(req, res);
+
+        expect(clientModel.joinWaitlist).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test.each([
+        ['Tickets are still available for Concert', 400],
+        ['Purchase limit for Concert is 4 tickets per user', 400],
+        ['Concert has been cancelled and is no longer selling tickets', 400],
+        ['Game has reserved seating and does not have a waitlist', 400],
+        ['You are already on the waitlist for Concert', 409],
+        ['Event not found', 404],
+        ['database is locked', 500]
+    ])('should map join error "%s" to HTTP %i', async (message, statusCode) => {
+        req = { params: { id: '1' }, body: {}, user: { userId: 3 } };
+        clientModel.joinWaitlist.mockRejectedValue(new Error(message));
+
+        await joinWaitlist(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(statusCode);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Failed to join waitlist',
+            message: message
+        });
+    });
+
+    test('should return the user\'s place in line', async () => {
+        const entry = { id: 5, status: 'waiting', position: 2 };
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.getWaitlistEntry.mockResolvedValue(entry);
+
+        await getWaitlistEntry(req, res);
+
+        expect(clientModel.getWaitlistEntry).toHaveBeenCalledWith(1, 3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, entry }));
+    });
+
+    test('should return 404 when the user is not on the waitlist', async () => {
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.getWaitlistEntry.mockResolvedValue(null);
+
+        await getWaitlistEntry(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Waitlist entry not found' }));
+    });
+
+    test('should reject invalid event IDs when reading or leaving a waitlist', async () => {
+        req = { params: { id: '0' }, user: { userId: 3 } };
+
+        await getWaitlistEntry(req, res);
+        await leaveWaitlist(req, res);
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 400);
+        expect(res.status).toHaveBeenNthCalledWith(2, 400);
+        expect(clientModel.getWaitlistEntry).not.toHaveBeenCalled();
+        expect(clientModel.leaveWaitlist).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when reading a waitlist entry fails', async () => {
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.getWaitlistEntry.mockRejectedValue(new Error('database is locked'));
+
+        await getWaitlistEntry(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    test('should let the user leave the waitlist', async () => {
+        const mockResult = { message: 'Left the waitlist for Concert', entry: { id: 5, status: 'left' } };
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.leaveWaitlist.mockResolvedValue(mockResult);
+
+        await leaveWaitlist(req, res);
+
+        expect(clientModel.leaveWaitlist).toHaveBeenCalledWith(1, 3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({ success: true, ...mockResult });
+    });
+
+    test('should return 404 when leaving a waitlist the user is not on', async () => {
+        req = { params: { id: '1' }, user: { userId: 3 } };
+        clientModel.leaveWaitlist.mockRejectedValue(new Error('Waitlist entry not found'));
+
+        await leaveWaitlist(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should list the user\'s waitlist entries', async () => {
+        const entries = [{ id: 5, event_id: 1, status: 'offered' }];
+        req = { user: { userId: 3 } };
+        clientModel.getWaitlistByUser.mockResolvedValue(entries);
+
+        await getWaitlist(req, res);
+
+        expect(clientModel.getWaitlistByUser).toHaveBeenCalledWith(3);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ count: 1, entries }));
+    });
+
+    test('should return 500 when listing waitlist entries fails', async () => {
+        req = { user: { userId: 3 } };
+        clientModel.getWaitlistByUser.mockRejectedValue(new Error('database is locked'));
+
+        await getWaitlist(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
     });
 });
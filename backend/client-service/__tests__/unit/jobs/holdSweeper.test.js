@@ -0,0 +1,100 @@
+const { sweepExpiredHolds, startHoldSweeper } = require('../../../jobs/holdSweeper');
+
+jest.mock('../../../models/clientModel');
+const clientModel = require('../../../models/clientModel');
+
+describe('Hold Sweeper - sweepExpiredHolds', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        console.log = jest.fn();
+        console.error = jest.fn();
+    });
+
+    test('should release expired holds and log how many', async () => {
+        clientModel.releaseExpiredHolds.mockResolvedValue(3);
+
+        await expect(sweepExpiredHolds()).resolves.toBe(3);
+
+        expect(console.log).toHaveBeenCalledWith('Released 3 expired hold(s)');
+    });
+
+    test('should stay quiet when nothing expired', async () => {
+        clientModel.releaseExpiredHolds.mockResolvedValue(0);
+
+        await expect(sweepExpiredHolds()).resolves.toBe(0);
+
+        expect(console.log).not.toHaveBeenCalled();
+    });
+
+    test('should log instead of throwing on database errors', async () => {
+        clientModel.releaseExpiredHolds.mockRejectedValue(new Error('database is locked'));
+
+        await expect(sweepExpiredHolds()).resolves.toBe(0);
+
+        expect(console.error).toHaveBeenCalledWith('Error releasing expired holds:', 'database is locked');
+    });
+
+    test('should offer waitlist claims after releasing holds', async () => {
+        clientModel.releaseExpiredHolds.mockResolvedValue(0);
+        clientModel.processWaitlists.mockResolvedValue(2);
+
+        await sweepExpiredHolds();
+
+        expect(clientModel.processWaitlists).toHaveBeenCalledTimes(1);
+        expect(console.log).toHaveBeenCalledWith('Offered 2 waitlist claim(s)');
+    });
+
+    test('should still process waitlists when releasing holds fails', async () => {
+        clientModel.releaseExpiredHolds.mockRejectedValue(new Error('database is locked'));
+        clientModel.processWaitlists.mockRejectedValue(new Error('database is locked'));
+
+        await expect(sweepExpiredHolds()).resolves.toBe(0);
+
+        expect(clientModel.processWaitlists).toHaveBeenCalledTimes(1);
+        expect(console.error).toHaveBeenCalledWith('Error processing waitlists:', 'database is locked');
+    });
+
+    test('should retry failed refunds and log how many went through', async () => {
+        clientModel.releaseExpiredHolds.mockResolvedValue(0);
+        clientModel.processWaitlists.mockResolvedValue(0);
+        clientModel.retryFailedRefunds.mockResolvedValue(1);
+
+        await sweepExpiredHolds();
+
+        expect(clientModel.retryFailedRefunds).toHaveBeenCalledTimes(1);
+        expect(console.log).toHaveBeenCalledWith('Completed 1 failed refund(s)');
+    });
+
+    test('should log instead of throwing when retrying refunds fails', async () => {
+        clientModel.releaseExpiredHolds.mockResolvedValue(0);
+        clientModel.processWaitlists.mockResolvedValue(0);
+        clientModel.retryFailedRefunds.mockRejectedValue(new Error('database is locked'));
+
+        await expect(sweepExpiredHolds()).resolves.toBe(0);
+
+        expect(console.error).toHaveBeenCalledWith('Error retrying failed refunds:', 'database is locked');
+    });
+});
+
+describe('Hold Sweeper - startHoldSweeper', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        clientModel.releaseExpiredHolds.mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should sweep on every interval until cleared', () => {
+        const timer = startHoldSweeper(1000);
+
+        jest.advanceTimersByTime(3000);
+        expect(clientModel.releaseExpiredHolds).toHaveBeenCalledTimes(3);
+
+        clearInterval(timer);
+        jest.advanceTimersByTime(3000);
+        expect(clientModel.releaseExpiredHolds).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,187 @@
+const { idempotent } = require('../../../middleware/idempotencyMiddleware');
+
+jest.mock('../../../models/idempotencyModel');
+const idempotencyModel = require('../../../models/idempotencyModel');
+
+describe('Idempotency Middleware', () => {
+    let req, res, next, sendJson;
+
+    function buildRequest(key, body = { ticketCount: 1 }) {
+        return {
+            method: 'POST',
+            originalUrl: '/api/client/events/1/purchase',
+            body: body,
+            user: { userId: 3 },
+            get: jest.fn(header => (header === 'Idempotency-Key' ? key : undefined))
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        console.error = jest.fn();
+        sendJson = jest.fn();
+        res = {
+            statusCode: 200,
+            status: jest.fn(function(code) {
+                this.statusCode = code;
+                return this;
+            }),
+            set: jest.fn(),
+            json: sendJson,
+            send: jest.fn(),
+            end: jest.fn()
+        };
+        next = jest.fn();
+        idempotencyModel.saveResponse.mockResolvedValue();
+        idempotencyModel.deleteKey.mockResolvedValue();
+    });
+
+    test('should pass requests without a key straight through', async () => {
+        req = buildRequest(undefined);
+
+        await idempotent(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(idempotencyModel.reserveKey).not.toHaveBeenCalled();
+    });
+
+    test('should reject keys that are too long', async () => {
+        req = buildRequest('x'.repeat(256));
+
+        await idempotent(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(sendJson).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid idempotency key' }));
+    });
+
+    test('should store the response of the first request', async () => {
+        req = buildRequest('key-1');
+        idempotencyModel.reserveKey.mockResolvedValue({ reserved: true, id: 11 });
+
+        await idempotent(req, res, next);
+        res.status(200).json({ success: true, orderId: 7 });
+
+        expect(idempotencyModel.reserveKey).toHaveBeenCalledWith(3, 'key-1', expect.stringMatching(/^[0-9a-f]{64}$/), expect.any(Number));
+        expect(next).toHaveBeenCalled();
+        expect(idempotencyModel.saveResponse).toHaveBeenCalledWith(11, 200, { success: true, orderId: 7 });
+        expect(sendJson).toHaveBeenCalledWith({ success: true, orderId: 7 });
+    });
+
+    test('should store responses sent without res.json', async () => {
+        idempotencyModel.reserveKey.mockResolvedValue({ reserved: true, id: 11 });
+
+        await idempotent(buildRequest('key-1'), res, next);
+        res.status(201).send('Created');
+        res.end('Created');
+
+        await idempotent(buildRequest('key-2'), res, next);
+        res.status(204).end();
+
+        expect(idempotencyModel.saveResponse.mock.calls).toEqual([[11, 201, 'Created'], [11, 204, null]]);
+    });
+
+    test('should release the key when the request fails with a server error', async () => {
+        req = buildRequest('key-1');
+        idempotencyModel.reserveKey.mockResolvedValue({ reserved: true, id: 11 });
+
+        await idempotent(req, res, next);
+        res.status(500).json({ success: false });
+
+        expect(idempotencyModel.deleteKey).toHaveBeenCalledWith(11);
+        expect(idempotencyModel.saveResponse).not.toHaveBeenCalled();
+    });
+
+    test('should replay the stored response for a repeated key', async () => {
+        req = buildRequest('key-1');
+        let fingerprint;
+        idempotencyModel.reserveKey.mockImplementationOnce(async (userId, key, hash) => {
+            fingerprint = hash;
+            return { reserved: true, id: 11 };
+        });
+        await idempotent(req, res, next);
+
+        idempotencyModel.reserveKey.mockResolvedValue({
+            reserved: false,
+            record: { request_fingerprint: fingerprint, status_code: 200, response_body: { success: true, orderId: 7 } }
+        });
+        next.mockClear();
+        await idempotent(buildRequest('key-1'), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+        expect(res.status).toHaveBeenLastCalledWith(200);
+        expect(sendJson).toHaveBeenLastCalledWith({ success: true, orderId: 7 });
+    });
+
+    test('should replay stored text and empty responses as they were sent', async () => {
+        idempotencyModel.reserveKey.mockImplementation(async (userId, key, hash) => ({
+            reserved: false,
+            record: { request_fingerprint: hash, status_code: key === 'key-1' ? 201 : 204, response_body: key === 'key-1' ? 'Created' : null }
+        }));
+
+        await idempotent(buildRequest('key-1'), res, next);
+        await idempotent(buildRequest('key-2'), res, next);
+
+        expect(res.status.mock.calls).toEqual([[201], [204]]);
+        expect(res.send).toHaveBeenCalledWith('Created');
+        expect(res.end).toHaveBeenCalledWith();
+        expect(sendJson).not.toHaveBeenCalled();
+    });
+
+    test('should reject a key reused for a different request', async () => {
+        req = buildRequest('key-1', { ticketCount: 2 });
+        idempotencyModel.reserveKey.mockResolvedValue({
+            reserved: false,
+            record: { request_fingerprint: 'other', status_code: 200, response_body: {} }
+        });
+
+        await idempotent(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(sendJson).toHaveBeenCalledWith(expect.objectContaining({ error: 'Idempotency key reused' }));
+    });
+
+    test('should wait for a request that is still running and replay its result', async () => {
+        let fingerprint;
+        idempotencyModel.reserveKey.mockImplementation(async (userId, key, hash) => {
+            fingerprint = hash;
+            return { reserved: false, record: { request_fingerprint: hash, status_code: null, response_body: null } };
+        });
+        idempotencyModel.findKey.mockImplementation(async () => ({
+            request_fingerprint: fingerprint,
+            status_code: 400,
+            response_body: { success: false, message: 'Not enough tickets available' }
+        }));
+
+        await idempotent(buildRequest('key-1'), res, next);
+
+        expect(idempotencyModel.findKey).toHaveBeenCalledWith(3, 'key-1');
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(sendJson).toHaveBeenCalledWith({ success: false, message: 'Not enough tickets available' });
+    });
+
+    test('should claim the key again if the running request released it', async () => {
+        idempotencyModel.reserveKey
+            .mockImplementationOnce(async (userId, key, hash) => ({
+                reserved: false,
+                record: { request_fingerprint: hash, status_code: null, response_body: null }
+            }))
+            .mockResolvedValueOnce({ reserved: true, id: 12 });
+        idempotencyModel.findKey.mockResolvedValue(null);
+
+        await idempotent(buildRequest('key-1'), res, next);
+
+        expect(idempotencyModel.reserveKey).toHaveBeenCalledTimes(2);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 500 when keys cannot be stored', async () => {
+        idempotencyModel.reserveKey.mockRejectedValue(new Error('database is locked'));
+
+        await idempotent(buildRequest('key-1'), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
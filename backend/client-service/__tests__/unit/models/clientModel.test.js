@@ -2,46 +2,225 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
-// Mock paths to point to a test database
-const mockTestDbPath = path.join(__dirname, '..', '..', '..', 'test-database.sqlite');
-
-// Mock the DB_PATH in the clientModel module
-jest.mock('path', () => {
-    const actualPath = jest.requireActual('path');
-    return {
-        ...actualPath,
-        join: (...args) => {
-            // Intercept the database path construction in clientModel
-            if (args.includes('shared-db') && args.includes('database.sqlite')) {
-                return mockTestDbPath;
-            }
-            return actualPath.join(...args);
-        }
-    };
-});
+// Test database
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-database.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
 
 const clientModel = require('../../../models/clientModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+const { MOCK_TOKENS } = require('../../../payments/mockProvider');
+const { getPaymentProvider } = require('../../../payments');
+const { verifyTicketCode } = require('../../../tickets/ticketCodes');
 
 let testDb;
 
 beforeAll(() => {
     // Remove existing test database if it exists
-    if (fs.existsSync(mockTestDbPath)) {
-        fs.unlinkSync(mockTestDbPath);
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
     }
     
-    testDb = new sqlite3.Database(mockTestDbPath);
+    testDb = new sqlite3.Database(testDbPath);
     
     return new Promise((resolve, reject) => {
-        testDb.run(`
+        testDb.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL UNIQUE
+            );
+            INSERT INTO users (id, email) VALUES (42, 'fan@clemson.edu'), (43, 'friend@clemson.edu');
+            CREATE TABLE venues (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE
+            );
+            INSERT INTO venues (id, name) VALUES (1, 'Brooks Center');
+            CREATE TABLE venue_sections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venue_id INTEGER NOT NULL,
+                name TEXT NOT NULL
+            );
+            CREATE TABLE venue_rows (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                section_id INTEGER NOT NULL,
+                label TEXT NOT NULL
+            );
+            CREATE TABLE venue_seats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                row_id INTEGER NOT NULL,
+                number INTEGER NOT NULL
+            );
+            INSERT INTO venue_sections (id, venue_id, name) VALUES (1, 1, 'Orchestra');
+            INSERT INTO venue_rows (id, section_id, label) VALUES (1, 1, 'A'), (2, 1, 'B');
+            INSERT INTO venue_seats (id, row_id, number) VALUES (1, 1, 1), (2, 1, 2), (3, 1, 3), (4, 2, 1), (5, 2, 2);
+            CREATE TABLE event_series (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                frequency TEXT NOT NULL,
+                repeat_interval INTEGER,
+                time_zone TEXT NOT NULL DEFAULT 'America/New_York'
+            );
             CREATE TABLE events (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 name TEXT NOT NULL,
                 date TEXT NOT NULL,
+                starts_at TEXT,
+                ends_at TEXT,
+                time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+                sales_start DATETIME,
+                sales_end DATETIME,
+                venue_id INTEGER,
+                description TEXT,
+                category TEXT NOT NULL DEFAULT 'other',
+                image_url TEXT,
                 tickets_available INTEGER NOT NULL DEFAULT 0,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                max_per_user INTEGER,
+                status TEXT NOT NULL DEFAULT 'active',
+                cancellation_reason TEXT,
+                cancelled_at TEXT,
+                archived_at TEXT,
+                series_id INTEGER,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE VIRTUAL TABLE events_fts USING fts5(
+                name, description, venue, tokenize = 'unicode61 remove_diacritics 2'
+            );
+            CREATE VIRTUAL TABLE events_fts_vocab USING fts5vocab(events_fts, 'row');
+            CREATE TRIGGER events_fts_after_insert AFTER INSERT ON events BEGIN
+                INSERT INTO events_fts (rowid, name, description, venue)
+                VALUES (new.id, new.name, new.description, (SELECT name FROM venues WHERE id = new.venue_id));
+            END;
+            CREATE TRIGGER events_fts_after_update AFTER UPDATE OF name, description, venue_id ON events BEGIN
+                DELETE FROM events_fts WHERE rowid = old.id;
+                INSERT INTO events_fts (rowid, name, description, venue)
+                VALUES (new.id, new.name, new.description, (SELECT name FROM venues WHERE id = new.venue_id));
+            END;
+            CREATE TRIGGER events_fts_after_delete AFTER DELETE ON events BEGIN
+                DELETE FROM events_fts WHERE rowid = old.id;
+            END;
+            CREATE TRIGGER events_fts_after_venue_rename AFTER UPDATE OF name ON venues BEGIN
+                UPDATE events_fts SET venue = new.name
+                WHERE rowid IN (SELECT id FROM events WHERE venue_id = new.id);
+            END;
+            CREATE TABLE ticket_types (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                quota INTEGER NOT NULL CHECK (quota >= 0),
+                tickets_sold INTEGER NOT NULL DEFAULT 0 CHECK (tickets_sold >= 0 AND tickets_sold <= quota),
+                sales_start DATETIME,
+                sales_end DATETIME,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                ticket_type_id INTEGER,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                refunded_quantity INTEGER NOT NULL DEFAULT 0,
+                unit_price_cents INTEGER NOT NULL DEFAULT 0,
+                subtotal_cents INTEGER NOT NULL DEFAULT 0,
+                fee_cents INTEGER NOT NULL DEFAULT 0,
+                total_cents INTEGER NOT NULL DEFAULT 0,
+                refunded_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                payment_provider TEXT,
+                payment_id TEXT,
+                payment_status TEXT NOT NULL DEFAULT 'not_required',
+                status TEXT NOT NULL DEFAULT 'completed',
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE holds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                ticket_type_id INTEGER,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                unit_price_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                status TEXT NOT NULL DEFAULT 'active',
+                order_id INTEGER,
+                expires_at DATETIME NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE tickets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                user_id INTEGER,
+                event_id INTEGER NOT NULL,
+                ticket_type_id INTEGER,
+                code TEXT NOT NULL UNIQUE,
+                status TEXT NOT NULL DEFAULT 'valid',
+                checked_in_at DATETIME,
+                checked_in_by INTEGER,
+                seat_id INTEGER,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE event_seats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                seat_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'available',
+                hold_id INTEGER,
+                ticket_id INTEGER,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (event_id, seat_id)
+            );
+            CREATE TABLE ticket_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ticket_id INTEGER NOT NULL,
+                from_user_id INTEGER NOT NULL,
+                to_user_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME
+            );
+            CREATE UNIQUE INDEX idx_ticket_transfers_pending ON ticket_transfers(ticket_id) WHERE status = 'pending';
+            CREATE TABLE order_refunds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                amount_cents INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                last_error TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE UNIQUE INDEX idx_order_refunds_pending ON order_refunds(order_id) WHERE status = 'pending';
+            CREATE TABLE failed_refunds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                hold_id INTEGER,
+                payment_provider TEXT NOT NULL,
+                payment_id TEXT NOT NULL,
+                amount_cents INTEGER NOT NULL,
+                reference TEXT NOT NULL UNIQUE,
+                status TEXT NOT NULL DEFAULT 'failed',
+                attempts INTEGER NOT NULL DEFAULT 1,
+                last_error TEXT,
                 created_at TEXT DEFAULT CURRENT_TIMESTAMP,
                 updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-            )
+            );
+            CREATE TABLE waitlist_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                event_id INTEGER NOT NULL,
+                ticket_type_id INTEGER,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                status TEXT NOT NULL DEFAULT 'waiting',
+                hold_id INTEGER,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            );
         `, (err) => {
             if (err) reject(err);
             else resolve();
@@ -50,6 +229,9 @@ beforeAll(() => {
 });
 
 afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+    
     // Give time for any pending operations to complete
     await new Promise(resolve => setTimeout(resolve, 100));
     
@@ -61,8 +243,8 @@ afterAll(async () => {
             // Give file system time to release the lock
             setTimeout(() => {
                 try {
-                    if (fs.existsSync(mockTestDbPath)) {
-                        fs.unlinkSync(mockTestDbPath);
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
                     }
                 } catch (error) {
                     console.error('Error cleaning up test database:', error);
@@ -75,7 +257,7 @@ afterAll(async () => {
 
 function clearEvents() {
     return new Promise((resolve, reject) => {
-        testDb.run('DELETE FROM events', (err) => {
+        testDb.exec('DELETE FROM event_seats; DELETE FROM ticket_transfers; DELETE FROM order_refunds; DELETE FROM failed_refunds; DELETE FROM tickets; DELETE FROM waitlist_entries; DELETE FROM holds; DELETE FROM orders; DELETE FROM ticket_types; DELETE FROM events; DELETE FROM event_series;', (err) => {
             if (err) reject(err);
             else resolve();
         });
@@ -84,11 +266,15 @@ function clearEvents() {
 
 function insertTestEvent(eventData) {
     return new Promise((resolve, reject) => {
-        const { name, date, tickets_available } = eventData;
+        const {
+            name, date, tickets_available, price_cents = 0, currency = 'USD', max_per_user = null, series_id = null,
+            description = null, category = 'other', starts_at = null, venue_id = null, time_zone = 'America/New_York'
+        } = eventData;
         testDb.run(
-            `INSERT INTO events (name, date, tickets_available, created_at, updated_at)
-             VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
-            [name, date, tickets_available],
+            `INSERT INTO events (name, date, tickets_available, price_cents, currency, max_per_user, series_id,
+                                 description, category, starts_at, venue_id, time_zone, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+            [name, date, tickets_available, price_cents, currency, max_per_user, series_id, description, category, starts_at, venue_id, time_zone],
             function(err) {
                 if (err) {
                     reject(err);
@@ -107,6 +293,88 @@ function insertTestEvent(eventData) {
     });
 }
 
+function insertTestSeries(name, frequency = 'weekly') {
+    return new Promise((resolve, reject) => {
+        testDb.run(
+            'INSERT INTO event_series (name, frequency, repeat_interval) VALUES (?, ?, ?)',
+            [name, frequency, frequency === 'dates' ? null : 1],
+            function(err) {
+                if (err) reject(err);
+                else resolve(this.lastID);
+            }
+        );
+    });
+}
+
+function insertTestTicketType(ticketTypeData) {
+    return new Promise((resolve, reject) => {
+        const { event_id, name, price_cents = 0, quota, sales_start = null, sales_end = null } = ticketTypeData;
+        testDb.run(
+            `INSERT INTO ticket_types (event_id, name, price_cents, quota, sales_start, sales_end)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [event_id, name, price_cents, quota, sales_start, sales_end],
+            function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID, ...ticketTypeData });
+            }
+        );
+    });
+}
+
+function expireHold(holdId) {
+    return new Promise((resolve, reject) => {
+        testDb.run("UPDATE holds SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [holdId], (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function putSeatsOnSale(eventId) {
+    return new Promise((resolve, reject) => {
+        testDb.run('INSERT INTO event_seats (event_id, seat_id) SELECT ?, id FROM venue_seats', [eventId], (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function setEventTimes(eventId, times) {
+    const columns = Object.keys(times);
+    return new Promise((resolve, reject) => {
+        testDb.run(
+            `UPDATE events SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...Object.values(times), eventId],
+            (err) => {
+                if (err) reject(err);
+                else resolve();
+            }
+        );
+    });
+}
+
+function queryTestDb(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        testDb.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+function hoursFromNow(hours) {
+    return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+function setEventStatus(eventId, status, reason = null) {
+    return new Promise((resolve, reject) => {
+        testDb.run('UPDATE events SET status = ?, cancellation_reason = ? WHERE id = ?', [status, reason, eventId], (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
 describe('Client Model - getAllEvents', () => {
     beforeEach(async () => {
         await clearEvents();
@@ -115,12 +383,12 @@ describe('Client Model - getAllEvents', () => {
     test('should retrieve all events from database', async () => {
         await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
         await insertTestEvent({
             name: 'Game',
-            date: '2025-12-15',
+            date: '2030-12-15',
             tickets_available: 50
         });
 
@@ -140,7 +408,7 @@ describe('Client Model - getAllEvents', () => {
     test('should include events with zero tickets', async () => {
         await insertTestEvent({
             name: 'Sold Out Event',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 0
         });
 
@@ -153,12 +421,12 @@ describe('Client Model - getAllEvents', () => {
     test('should order events by date ascending', async () => {
         await insertTestEvent({
             name: 'Later Event',
-            date: '2025-12-31',
+            date: '2030-12-31',
             tickets_available: 100
         });
         await insertTestEvent({
             name: 'Earlier Event',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 50
         });
 
@@ -167,6 +435,176 @@ describe('Client Model - getAllEvents', () => {
         expect(events[0].name).toBe('Earlier Event');
         expect(events[1].name).toBe('Later Event');
     });
+
+    test('should include each event\'s schedule and details, ordering a day\'s events by start time', async () => {
+        const evening = await insertTestEvent({ name: 'Evening Show', date: '2030-12-01', tickets_available: 100 });
+        const matinee = await insertTestEvent({ name: 'Matinee', date: '2030-12-01', tickets_available: 100 });
+        await new Promise((resolve, reject) => {
+            testDb.exec(`
+                UPDATE events SET starts_at = '2030-12-02T00:00:00.000Z', ends_at = '2030-12-02T02:00:00.000Z',
+                    venue_id = 1, description = 'Evening performance', category = 'arts',
+                    image_url = 'https://example.com/show.png'
+                WHERE id = ${evening.id};
+                UPDATE events SET starts_at = '2030-12-01T19:00:00.000Z' WHERE id = ${matinee.id};
+            `, (err) => (err ? reject(err) : resolve()));
+        });
+
+        const events = await clientModel.getAllEvents();
+
+        expect(events.map(event => event.name)).toEqual(['Matinee', 'Evening Show']);
+        expect(events[1]).toMatchObject({
+            starts_at: '2030-12-02T00:00:00.000Z',
+            ends_at: '2030-12-02T02:00:00.000Z',
+            time_zone: 'America/New_York',
+            venue_id: 1,
+            venue: 'Brooks Center',
+            description: 'Evening performance',
+            category: 'arts',
+            image_url: 'https://example.com/show.png'
+        });
+    });
+});
+
+describe('Client Model - searchEvents', () => {
+    beforeEach(async () => {
+        await clearEvents();
+        await insertTestEvent({ name: 'Jazz Night', date: '2030-03-07', tickets_available: 50, price_cents: 1500, category: 'arts', description: 'Live jazz at 50% off' });
+        await insertTestEvent({ name: 'Career Fair', date: '2030-02-01', tickets_available: 200, category: 'career', description: 'Meet employers' });
+        await insertTestEvent({ name: 'basketball vs. Duke', date: '2030-03-07', tickets_available: 0, price_cents: 2500, category: 'athletics', starts_at: '2030-03-07T23:00:00.000Z' });
+        await insertTestEvent({ name: 'Art Walk', date: '2030-04-12', tickets_available: 30, price_cents: 500, category: 'arts' });
+    });
+
+    async function searchNames(options) {
+        const { events } = await clientModel.searchEvents(options);
+        return events.map(event => event.name);
+    }
+
+    test('should list events by date with ticket types and a total', async () => {
+        const page = await clientModel.searchEvents();
+
+        expect(page.events.map(event => event.name)).toEqual(['Career Fair', 'Jazz Night', 'basketball vs. Duke', 'Art Walk']);
+        expect(page.events[0].ticket_types).toEqual([]);
+        expect(page.events[0]).not.toHaveProperty('sort_key_0');
+        expect(page.total).toBe(4);
+        expect(page.nextCursor).toBeNull();
+    });
+
+    test('should find words in the name or description, case-insensitively', async () => {
+        expect(await searchNames({ q: 'JAZZ' })).toEqual(['Jazz Night']);
+        expect(await searchNames({ q: 'employers' })).toEqual(['Career Fair']);
+        expect(await searchNames({ q: '50%' })).toEqual(['Jazz Night']);
+        expect(await searchNames({ q: '_' })).toEqual([]);
+    });
+
+    test('should rank events matching any word of the search, best match first', async () => {
+        const page = await clientModel.searchEvents({ q: 'art night jazz' });
+
+        expect(page.events.map(event => event.name)).toEqual(['Jazz Night', 'Art Walk']);
+        expect(page.events[0]).not.toHaveProperty('relevance');
+        expect(page.total).toBe(2);
+        expect(await searchNames({ q: 'art night jazz', sort: 'date' })).toEqual(['Jazz Night', 'Art Walk']);
+        expect(await searchNames({ q: 'art night jazz', sort: 'name' })).toEqual(['Art Walk', 'Jazz Night']);
+    });
+
+    test('should match the start of a word and words with a typo', async () => {
+        expect(await searchNames({ q: 'bask' })).toEqual(['basketball vs. Duke']);
+        expect(await searchNames({ q: 'baksetball' })).toEqual(['basketball vs. Duke']);
+        expect(await searchNames({ q: 'emplyers' })).toEqual(['Career Fair']);
+        expect(await searchNames({ q: 'jaz' })).toEqual(['Jazz Night']);
+        expect(await searchNames({ q: 'jzz' })).toEqual([]);
+        expect(await searchNames({ q: 'vasketball' })).toEqual([]);
+    });
+
+    test('should find events by venue and follow renamed venues and events', async () => {
+        const recital = await insertTestEvent({ name: 'Piano Recital', date: '2030-05-01', tickets_available: 80, venue_id: 1 });
+
+        expect(await searchNames({ q: 'brooks' })).toEqual(['Piano Recital']);
+
+        await new Promise((resolve, reject) => {
+            testDb.exec(`
+                UPDATE venues SET name = 'Brooks Center for the Performing Arts' WHERE id = 1;
+                UPDATE events SET name = 'Organ Recital' WHERE id = ${recital.id};
+            `, err => (err ? reject(err) : resolve()));
+        });
+
+        expect(await searchNames({ q: 'performing' })).toEqual(['Organ Recital']);
+        expect(await searchNames({ q: 'piano' })).toEqual([]);
+
+        await new Promise((resolve, reject) => {
+            testDb.exec("UPDATE venues SET name = 'Brooks Center' WHERE id = 1", err => (err ? reject(err) : resolve()));
+        });
+    });
+
+    test('should page through search results by relevance', async () => {
+        const all = await searchNames({ q: 'art night jazz walk fair' });
+        const seen = [];
+        let cursor = null;
+
+        do {
+            const page = await clientModel.searchEvents({ q: 'art night jazz walk fair', cursor, limit: 1 });
+            expect(page.total).toBe(3);
+            seen.push(...page.events.map(event => event.name));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual(all);
+        expect(seen).toHaveLength(3);
+    });
+
+    test('should filter by date range, category and availability', async () => {
+        expect(await searchNames({ from: '2030-03-01', to: '2030-03-31' })).toEqual(['Jazz Night', 'basketball vs. Duke']);
+        expect(await searchNames({ category: 'arts' })).toEqual(['Jazz Night', 'Art Walk']);
+        expect(await searchNames({ available: true, from: '2030-03-07' })).toEqual(['Jazz Night', 'Art Walk']);
+    });
+
+    test('should leave archived and cancelled events out of available events', async () => {
+        const { events } = await clientModel.searchEvents({ category: 'arts' });
+        await setEventStatus(events[0].id, 'cancelled', 'Snow');
+        await setEventStatus(events[1].id, 'archived');
+
+        expect(await searchNames({ category: 'arts' })).toEqual(['Jazz Night']);
+        expect(await searchNames({ category: 'arts', available: true })).toEqual([]);
+    });
+
+    test('should sort by price, name and latest date', async () => {
+        expect(await searchNames({ sort: 'price' })).toEqual(['Career Fair', 'Art Walk', 'Jazz Night', 'basketball vs. Duke']);
+        expect(await searchNames({ sort: '-price' })).toEqual(['basketball vs. Duke', 'Jazz Night', 'Art Walk', 'Career Fair']);
+        expect(await searchNames({ sort: 'name' })).toEqual(['Art Walk', 'basketball vs. Duke', 'Career Fair', 'Jazz Night']);
+        expect(await searchNames({ sort: '-date' })).toEqual(['Art Walk', 'basketball vs. Duke', 'Jazz Night', 'Career Fair']);
+    });
+
+    test.each(['date', '-date', 'price', '-price', 'name'])('should page through every event once when sorted by %s', async (sort) => {
+        const all = await searchNames({ sort });
+        const seen = [];
+        let cursor = null;
+
+        do {
+            const page = await clientModel.searchEvents({ sort, cursor, limit: 3 });
+            expect(page.total).toBe(4);
+            seen.push(...page.events.map(event => event.name));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual(all);
+    });
+
+    test('should keep filters applied on later pages', async () => {
+        const first = await clientModel.searchEvents({ category: 'arts', limit: 1 });
+        const second = await clientModel.searchEvents({ category: 'arts', limit: 1, cursor: first.nextCursor });
+
+        expect(first.events.map(event => event.name)).toEqual(['Jazz Night']);
+        expect(second.events.map(event => event.name)).toEqual(['Art Walk']);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('should reject a cursor from another sort or that was tampered with', async () => {
+        const { nextCursor } = await clientModel.searchEvents({ limit: 1 });
+
+        await expect(clientModel.searchEvents({ sort: 'name', cursor: nextCursor })).rejects.toThrow('Invalid cursor');
+        await expect(clientModel.searchEvents({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+        const tampered = Buffer.from(JSON.stringify({ sort: 'date', after: [{}, '', 1] })).toString('base64url');
+        await expect(clientModel.searchEvents({ cursor: tampered })).rejects.toThrow('Invalid cursor');
+    });
 });
 
 describe('Client Model - getEventById', () => {
@@ -177,7 +615,7 @@ describe('Client Model - getEventById', () => {
     test('should retrieve specific event by ID', async () => {
         const created = await insertTestEvent({
             name: 'Test Event',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -186,7 +624,7 @@ describe('Client Model - getEventById', () => {
         expect(retrieved).toMatchObject({
             id: created.id,
             name: 'Test Event',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
     });
@@ -198,6 +636,162 @@ describe('Client Model - getEventById', () => {
     });
 });
 
+describe('Client Model - cancelled and archived events', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Big Game',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+    });
+
+    test('should list cancelled events with their reason but hide archived ones', async () => {
+        const archived = await insertTestEvent({ name: 'Mistake', date: '2099-12-02', tickets_available: 10 });
+        await setEventStatus(event.id, 'cancelled', 'Severe weather');
+        await setEventStatus(archived.id, 'archived');
+
+        const events = await clientModel.getAllEvents();
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ name: 'Big Game', status: 'cancelled', cancellation_reason: 'Severe weather' });
+        expect(await clientModel.getEventById(archived.id)).toBeNull();
+    });
+
+    test('should refuse purchases and holds for a cancelled event', async () => {
+        await setEventStatus(event.id, 'cancelled', 'Severe weather');
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 42 })
+        ).rejects.toThrow('Big Game has been cancelled and is no longer selling tickets');
+        await expect(
+            clientModel.createHold(event.id, 1, { userId: 42 })
+        ).rejects.toThrow('has been cancelled');
+
+        const stored = await clientModel.getEventById(event.id);
+        expect(stored.tickets_available).toBe(10);
+    });
+
+    test('should treat archived events as not found when buying', async () => {
+        await setEventStatus(event.id, 'archived');
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 42 })
+        ).rejects.toThrow('Event not found');
+    });
+
+    test('should release a hold instead of confirming it once the event is cancelled', async () => {
+        const { hold } = await clientModel.createHold(event.id, 3, { userId: 42 });
+        await setEventStatus(event.id, 'cancelled', 'Severe weather');
+
+        await expect(
+            clientModel.confirmHold(hold.id, 42)
+        ).rejects.toThrow('Big Game has been cancelled');
+
+        const orders = await clientModel.getOrdersByUser(42);
+        const stored = await clientModel.getEventById(event.id);
+        expect(orders).toHaveLength(0);
+        expect(stored.tickets_available).toBe(10);
+    });
+
+    test('should not let users join the waitlist for a cancelled event', async () => {
+        await setEventStatus(event.id, 'cancelled', 'Severe weather');
+
+        await expect(
+            clientModel.joinWaitlist(event.id, 42)
+        ).rejects.toThrow('has been cancelled');
+    });
+});
+
+describe('Client Model - event lifecycle', () => {
+    const events = {};
+
+    beforeEach(async () => {
+        await clearEvents();
+        for (const name of ['Upcoming', 'On Sale', 'Sales Closed', 'In Progress', 'Ended', 'Yesterday', 'Cancelled']) {
+            events[name] = await insertTestEvent({ name, date: '2099-12-01', tickets_available: 10 });
+        }
+        await setEventTimes(events['Upcoming'].id, { sales_start: hoursFromNow(24) });
+        await setEventTimes(events['On Sale'].id, { sales_start: hoursFromNow(-24), sales_end: hoursFromNow(24) });
+        await setEventTimes(events['Sales Closed'].id, { sales_end: hoursFromNow(-1), starts_at: hoursFromNow(24) });
+        await setEventTimes(events['In Progress'].id, { starts_at: hoursFromNow(-1), ends_at: hoursFromNow(1) });
+        await setEventTimes(events['Ended'].id, { starts_at: hoursFromNow(-3), ends_at: hoursFromNow(-1) });
+        await setEventTimes(events['Yesterday'].id, { date: '2000-01-01' });
+        await setEventStatus(events['Cancelled'].id, 'cancelled', 'Snow');
+    });
+
+    test('should work out each event\'s status from the clock', async () => {
+        const { events: found } = await clientModel.searchEvents({
+            statuses: ['upcoming', 'on_sale', 'sales_closed', 'in_progress', 'past', 'cancelled'],
+            sort: 'name'
+        });
+
+        expect(Object.fromEntries(found.map(event => [event.name, event.lifecycle_status]))).toEqual({
+            'Upcoming': 'upcoming',
+            'On Sale': 'on_sale',
+            'Sales Closed': 'sales_closed',
+            'In Progress': 'in_progress',
+            'Ended': 'past',
+            'Yesterday': 'past',
+            'Cancelled': 'cancelled'
+        });
+    });
+
+    test('should hide past events unless they are asked for', async () => {
+        const listed = await clientModel.getAllEvents();
+        const { events: found, total } = await clientModel.searchEvents();
+        const { events: past } = await clientModel.searchEvents({ statuses: ['past'], sort: 'name' });
+
+        expect(listed.map(event => event.name)).not.toContain('Ended');
+        expect(listed).toHaveLength(5);
+        expect(found.map(event => event.name)).not.toContain('Yesterday');
+        expect(total).toBe(5);
+        expect(past.map(event => event.name)).toEqual(['Ended', 'Yesterday']);
+    });
+
+    test('should filter by status and only count events on sale as available', async () => {
+        const { events: found } = await clientModel.searchEvents({ statuses: ['upcoming', 'sales_closed'], sort: 'name' });
+        const { events: available } = await clientModel.searchEvents({ available: true });
+
+        expect(found.map(event => event.name)).toEqual(['Sales Closed', 'Upcoming']);
+        expect(available.map(event => event.name)).toEqual(['On Sale']);
+    });
+
+    test('should only sell tickets for events on sale', async () => {
+        await expect(
+            clientModel.purchaseTickets(events['Upcoming'].id, 1, { userId: 42 })
+        ).rejects.toThrow('Tickets for Upcoming are not on sale yet');
+        await expect(
+            clientModel.createHold(events['Sales Closed'].id, 1, { userId: 42 })
+        ).rejects.toThrow('Ticket sales for Sales Closed have closed');
+        await expect(
+            clientModel.purchaseTickets(events['In Progress'].id, 1, { userId: 42 })
+        ).rejects.toThrow('In Progress has already started and is no longer selling tickets');
+        await expect(
+            clientModel.purchaseTickets(events['Yesterday'].id, 1, { userId: 42 })
+        ).rejects.toThrow('Yesterday has already taken place');
+
+        const result = await clientModel.purchaseTickets(events['On Sale'].id, 1, { userId: 42 });
+        expect(result.order.quantity).toBe(1);
+    });
+
+    test('should release a hold instead of confirming it once sales have closed', async () => {
+        const { hold } = await clientModel.createHold(events['On Sale'].id, 2, { userId: 42 });
+        await setEventTimes(events['On Sale'].id, { sales_end: hoursFromNow(-1) });
+
+        await expect(
+            clientModel.confirmHold(hold.id, 42)
+        ).rejects.toThrow('Ticket sales for On Sale have closed');
+
+        const orders = await clientModel.getOrdersByUser(42);
+        const stored = await clientModel.getEventById(events['On Sale'].id);
+        expect(orders).toHaveLength(0);
+        expect(stored.tickets_available).toBe(10);
+    });
+});
+
 describe('Client Model - purchaseTickets', () => {
     beforeEach(async () => {
         await clearEvents();
@@ -206,7 +800,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should successfully purchase tickets and decrement count', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -221,7 +815,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should default to 1 ticket when count not provided', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -234,7 +828,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should reject purchase when insufficient tickets', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 2
         });
 
@@ -264,7 +858,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should reject invalid ticket count', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -276,7 +870,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should reject negative ticket count', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -288,7 +882,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should handle purchasing all remaining tickets', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 5
         });
 
@@ -300,7 +894,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should maintain atomicity - multiple purchases', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 10
         });
 
@@ -316,7 +910,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should reject second purchase if first consumes all tickets', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 5
         });
 
@@ -332,7 +926,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should update timestamp on purchase', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -344,7 +938,7 @@ describe('Client Model - purchaseTickets', () => {
     test('should handle large ticket purchases', async () => {
         const event = await insertTestEvent({
             name: 'Large Event',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 1000
         });
 
@@ -355,6 +949,1396 @@ describe('Client Model - purchaseTickets', () => {
     });
 });
 
+describe('Client Model - orders', () => {
+    beforeEach(async () => {
+        await clearEvents();
+    });
+
+    test('should record an order for the purchasing user', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2030-12-01',
+            tickets_available: 100
+        });
+
+        const result = await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+
+        expect(result.order).toMatchObject({
+            user_id: 42,
+            event_id: event.id,
+            event_name: 'Concert',
+            quantity: 3,
+            status: 'completed'
+        });
+        expect(result.order.id).toBeGreaterThan(0);
+    });
+
+    test('should not record an order when the purchase fails', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2030-12-01',
+            tickets_available: 1
+        });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 2, { userId: 42 })
+        ).rejects.toThrow('Not enough tickets available');
+
+        const orders = await clientModel.getOrdersByUser(42);
+        expect(orders).toEqual([]);
+    });
+
+    test('should list only the requesting user\'s orders, newest first', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2030-12-01',
+            tickets_available: 100
+        });
+
+        const first = await clientModel.purchaseTickets(event.id, 1, { userId: 42 });
+        const second = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+        await clientModel.purchaseTickets(event.id, 1, { userId: 7 });
+
+        const orders = await clientModel.getOrdersByUser(42);
+
+        expect(orders.map(order => order.id)).toEqual([second.order.id, first.order.id]);
+    });
+
+    test('should return an order only to its owner', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2030-12-01',
+            tickets_available: 100
+        });
+
+        const { order } = await clientModel.purchaseTickets(event.id, 1, { userId: 42 });
+
+        await expect(clientModel.getOrderById(order.id, 42)).resolves.toMatchObject({ id: order.id });
+        await expect(clientModel.getOrderById(order.id, 7)).resolves.toBeNull();
+    });
+});
+
+describe('Client Model - pricing', () => {
+    beforeEach(async () => {
+        await clearEvents();
+    });
+
+    test('should calculate subtotal, service fee and total in cents', () => {
+        expect(clientModel.calculateOrderTotals(2500, 3)).toEqual({
+            subtotal_cents: 7500,
+            fee_cents: 375,
+            total_cents: 7875
+        });
+    });
+
+    test('should not charge a fee for free tickets', () => {
+        expect(clientModel.calculateOrderTotals(0, 4)).toEqual({
+            subtotal_cents: 0,
+            fee_cents: 0,
+            total_cents: 0
+        });
+    });
+
+    test('should return event prices with events', async () => {
+        await insertTestEvent({
+            name: 'Concert',
+            date: '2030-12-01',
+            tickets_available: 100,
+            price_cents: 1999,
+            currency: 'EUR'
+        });
+
+        const events = await clientModel.getAllEvents();
+
+        expect(events[0].price_cents).toBe(1999);
+        expect(events[0].currency).toBe('EUR');
+    });
+
+    test('should store the price paid on the order', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2030-12-01',
+            tickets_available: 100,
+            price_cents: 2500
+        });
+
+        const result = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+
+        expect(result.order).toMatchObject({
+            unit_price_cents: 2500,
+            subtotal_cents: 5000,
+            fee_cents: 250,
+            total_cents: 5250,
+            refunded_cents: 0,
+            currency: 'USD'
+        });
+    });
+
+    test('should refund a proportional share and the remainder on the last refund', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 100,
+            price_cents: 1000
+        });
+        // 3 x $10.00 + $1.50 fee = $31.50, which does not split evenly
+        const { order } = await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+
+        const first = await clientModel.cancelOrder(order.id, 42, 1);
+        const second = await clientModel.cancelOrder(order.id, 42, 2);
+
+        expect(first.amountRefundedCents).toBe(1050);
+        expect(second.amountRefundedCents).toBe(2100);
+        expect(second.order.refunded_cents).toBe(order.total_cents);
+    });
+});
+
+describe('Client Model - ticket types', () => {
+    let event;
+    let student;
+    let reserved;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Football Game',
+            date: '2099-11-29',
+            tickets_available: 100,
+            price_cents: 5000
+        });
+        student = await insertTestTicketType({ event_id: event.id, name: 'Student', price_cents: 1000, quota: 3 });
+        reserved = await insertTestTicketType({ event_id: event.id, name: 'Reserved', price_cents: 6000, quota: 50 });
+    });
+
+    test('should list ticket types with each event, cheapest first', async () => {
+        const [listed] = await clientModel.getAllEvents();
+
+        expect(listed.ticket_types.map(type => type.name)).toEqual(['Student', 'Reserved']);
+        expect(listed.ticket_types[0]).toMatchObject({ quota: 3, tickets_sold: 0, tickets_available: 3 });
+    });
+
+    test('should include ticket types when fetching one event', async () => {
+        const fetched = await clientModel.getEventById(event.id);
+
+        expect(fetched.ticket_types).toHaveLength(2);
+    });
+
+    test('should charge the tier price and count against the tier quota', async () => {
+        const result = await clientModel.purchaseTickets(event.id, 2, { userId: 42, ticketTypeId: student.id });
+
+        expect(result.message).toBe('Successfully purchased 2 Student ticket(s) for Football Game');
+        expect(result.order).toMatchObject({
+            ticket_type_id: student.id,
+            ticket_type_name: 'Student',
+            unit_price_cents: 1000,
+            subtotal_cents: 2000
+        });
+        expect(result.event.tickets_available).toBe(98);
+        expect(result.event.ticket_types.find(type => type.id === student.id).tickets_available).toBe(1);
+    });
+
+    test('should prevent overselling a tier even when the event has capacity', async () => {
+        await clientModel.purchaseTickets(event.id, 2, { userId: 42, ticketTypeId: student.id });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 2, { userId: 7, ticketTypeId: student.id })
+        ).rejects.toThrow('Not enough tickets available for Student. Only 1 tickets remaining.');
+
+        // Other tiers are unaffected
+        await expect(
+            clientModel.purchaseTickets(event.id, 2, { userId: 7, ticketTypeId: reserved.id })
+        ).resolves.toMatchObject({ ticketsPurchased: 2 });
+    });
+
+    test('should require a ticket type when the event has tiers', async () => {
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 42 })
+        ).rejects.toThrow('Please choose a ticket type for Football Game: Student, Reserved');
+    });
+
+    test('should reject a ticket type from another event', async () => {
+        const other = await insertTestEvent({ name: 'Other', date: '2099-12-01', tickets_available: 10 });
+
+        await expect(
+            clientModel.purchaseTickets(other.id, 1, { userId: 42, ticketTypeId: student.id })
+        ).rejects.toThrow('Ticket type not found for this event');
+    });
+
+    test('should enforce the sales window', async () => {
+        const early = await insertTestTicketType({
+            event_id: event.id,
+            name: 'Presale',
+            quota: 10,
+            sales_start: '2099-01-01T00:00:00.000Z'
+        });
+        const closed = await insertTestTicketType({
+            event_id: event.id,
+            name: 'Early Bird',
+            quota: 10,
+            sales_end: '2000-01-01T00:00:00.000Z'
+        });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 42, ticketTypeId: early.id })
+        ).rejects.toThrow('Sales for Presale tickets have not started yet');
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 42, ticketTypeId: closed.id })
+        ).rejects.toThrow('Sales for Early Bird tickets have ended');
+    });
+
+    test('should return refunded tickets to the tier', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 3, { userId: 42, ticketTypeId: student.id });
+
+        const result = await clientModel.cancelOrder(order.id, 42, 2);
+
+        expect(result.event.tickets_available).toBe(99);
+        expect(result.event.ticket_types.find(type => type.id === student.id).tickets_available).toBe(2);
+    });
+});
+
+describe('Client Model - cancelOrder', () => {
+    beforeEach(async () => {
+        await clearEvents();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should refund every remaining ticket by default', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+        const { order } = await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+
+        const result = await clientModel.cancelOrder(order.id, 42);
+
+        expect(result.ticketsRefunded).toBe(3);
+        expect(result.order.status).toBe('refunded');
+        expect(result.order.refunded_quantity).toBe(3);
+        expect(result.event.tickets_available).toBe(10);
+    });
+
+    test('should support partial refunds', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+        const { order } = await clientModel.purchaseTickets(event.id, 4, { userId: 42 });
+
+        const first = await clientModel.cancelOrder(order.id, 42, 1);
+        expect(first.order.status).toBe('partially_refunded');
+        expect(first.event.tickets_available).toBe(7);
+
+        const second = await clientModel.cancelOrder(order.id, 42, 3);
+        expect(second.order.status).toBe('refunded');
+        expect(second.event.tickets_available).toBe(10);
+    });
+
+    test('should reject refunding more tickets than remain', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+        const { order } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+
+        await expect(
+            clientModel.cancelOrder(order.id, 42, 3)
+        ).rejects.toThrow('Only 2 ticket(s) remain');
+
+        const unchanged = await clientModel.getOrderById(order.id, 42);
+        expect(unchanged.refunded_quantity).toBe(0);
+    });
+
+    test('should reject an order that is already fully refunded', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+        const { order } = await clientModel.purchaseTickets(event.id, 1, { userId: 42 });
+        await clientModel.cancelOrder(order.id, 42);
+
+        await expect(
+            clientModel.cancelOrder(order.id, 42)
+        ).rejects.toThrow('already been fully refunded');
+    });
+
+    test('should reject refunds inside the cutoff window', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const event = await insertTestEvent({
+            name: 'Tonight',
+            date: today,
+            tickets_available: 10
+        });
+        const { order } = await clientModel.purchaseTickets(event.id, 1, { userId: 42 });
+
+        await expect(
+            clientModel.cancelOrder(order.id, 42)
+        ).rejects.toThrow('Refunds are not available within 24 hours');
+
+        const unchangedEvent = await clientModel.getEventById(event.id);
+        expect(unchangedEvent.tickets_available).toBe(9);
+    });
+
+    test('should measure the cutoff from a timed event\'s start', async () => {
+        // Both start late in the day, more than 24 hours after the day begins
+        const later = await insertTestEvent({
+            name: 'Late Show',
+            date: '2099-12-01',
+            starts_at: '2099-12-02T04:00:00.000Z',
+            tickets_available: 10
+        });
+        const sooner = await insertTestEvent({
+            name: 'Early Show',
+            date: '2099-12-01',
+            starts_at: '2099-12-01T20:00:00.000Z',
+            tickets_available: 10
+        });
+        const { order: laterOrder } = await clientModel.purchaseTickets(later.id, 1, { userId: 42 });
+        const { order: soonerOrder } = await clientModel.purchaseTickets(sooner.id, 1, { userId: 42 });
+        jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2099-12-01T02:00:00.000Z'));
+
+        await expect(clientModel.cancelOrder(laterOrder.id, 42)).resolves.toMatchObject({ ticketsRefunded: 1 });
+        await expect(
+            clientModel.cancelOrder(soonerOrder.id, 42)
+        ).rejects.toThrow('Refunds are not available within 24 hours');
+    });
+
+    test('should start the cutoff of an untimed event when its day begins in its time zone', async () => {
+        // The day begins at 10:00 UTC the day before in Kiritimati (UTC+14)
+        // and at 11:00 UTC in Pago Pago (UTC-11)
+        const east = await insertTestEvent({
+            name: 'Sunrise Run',
+            date: '2099-12-01',
+            time_zone: 'Pacific/Kiritimati',
+            tickets_available: 10
+        });
+        const west = await insertTestEvent({
+            name: 'Sunset Run',
+            date: '2099-12-01',
+            time_zone: 'Pacific/Pago_Pago',
+            tickets_available: 10
+        });
+        const { order: eastOrder } = await clientModel.purchaseTickets(east.id, 1, { userId: 42 });
+        const { order: westOrder } = await clientModel.purchaseTickets(west.id, 1, { userId: 42 });
+        jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2099-11-29T20:00:00.000Z'));
+
+        await expect(
+            clientModel.cancelOrder(eastOrder.id, 42)
+        ).rejects.toThrow('Refunds are not available within 24 hours');
+        await expect(clientModel.cancelOrder(westOrder.id, 42)).resolves.toMatchObject({ ticketsRefunded: 1 });
+    });
+
+    test('should not let users cancel someone else\'s order', async () => {
+        const event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+        const { order } = await clientModel.purchaseTickets(event.id, 1, { userId: 42 });
+
+        await expect(
+            clientModel.cancelOrder(order.id, 7)
+        ).rejects.toThrow('Order not found');
+    });
+
+    test('should reject invalid ticket counts', async () => {
+        await expect(clientModel.cancelOrder(1, 42, 0)).rejects.toThrow('Invalid ticket count');
+        await expect(clientModel.cancelOrder(0, 42)).rejects.toThrow('Invalid order ID');
+    });
+});
+
+describe('Client Model - holds', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10,
+            price_cents: 2000
+        });
+    });
+
+    test('should take held tickets out of the available count', async () => {
+        const result = await clientModel.createHold(event.id, 3, { userId: 42 });
+
+        expect(result.hold).toMatchObject({
+            user_id: 42,
+            event_id: event.id,
+            event_name: 'Concert',
+            quantity: 3,
+            unit_price_cents: 2000,
+            status: 'active',
+            order_id: null
+        });
+        expect(result.event.tickets_available).toBe(7);
+
+        const events = await clientModel.getAllEvents();
+        expect(events[0].tickets_available).toBe(7);
+    });
+
+    test('should not hold more tickets than are available', async () => {
+        await clientModel.createHold(event.id, 8, { userId: 42 });
+
+        await expect(
+            clientModel.createHold(event.id, 3, { userId: 7 })
+        ).rejects.toThrow('Not enough tickets available. Only 2 tickets remaining.');
+        await expect(
+            clientModel.purchaseTickets(event.id, 3, { userId: 7 })
+        ).rejects.toThrow('Not enough tickets available');
+    });
+
+    test('should hold tickets from a ticket type', async () => {
+        const vip = await insertTestTicketType({ event_id: event.id, name: 'VIP', price_cents: 9000, quota: 2 });
+
+        const result = await clientModel.createHold(event.id, 2, { userId: 42, ticketTypeId: vip.id });
+
+        expect(result.hold).toMatchObject({ ticket_type_id: vip.id, ticket_type_name: 'VIP', unit_price_cents: 9000 });
+        expect(result.event.ticket_types[0].tickets_available).toBe(0);
+        await expect(
+            clientModel.createHold(event.id, 1, { userId: 7, ticketTypeId: vip.id })
+        ).rejects.toThrow('Not enough tickets available for VIP');
+    });
+
+    test('should confirm a hold into an order at the held price', async () => {
+        const { hold } = await clientModel.createHold(event.id, 2, { userId: 42 });
+
+        const result = await clientModel.confirmHold(hold.id, 42);
+
+        expect(result.order).toMatchObject({
+            user_id: 42,
+            event_id: event.id,
+            quantity: 2,
+            unit_price_cents: 2000,
+            subtotal_cents: 4000,
+            status: 'completed'
+        });
+        expect(result.hold).toMatchObject({ status: 'confirmed', order_id: result.order.id });
+
+        // Confirming does not take the tickets a second time
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(8);
+    });
+
+    test('should only confirm a hold once', async () => {
+        const { hold } = await clientModel.createHold(event.id, 1, { userId: 42 });
+        await clientModel.confirmHold(hold.id, 42);
+
+        await expect(clientModel.confirmHold(hold.id, 42)).rejects.toThrow('Hold has already been confirmed');
+    });
+
+    test('should not confirm another user\'s hold', async () => {
+        const { hold } = await clientModel.createHold(event.id, 1, { userId: 42 });
+
+        await expect(clientModel.confirmHold(hold.id, 7)).rejects.toThrow('Hold not found');
+    });
+
+    test('should refuse to confirm an expired hold', async () => {
+        const { hold } = await clientModel.createHold(event.id, 1, { userId: 42 });
+        await expireHold(hold.id);
+
+        await expect(clientModel.confirmHold(hold.id, 42)).rejects.toThrow('Hold has expired');
+    });
+
+    test('should release a hold back to inventory', async () => {
+        const vip = await insertTestTicketType({ event_id: event.id, name: 'VIP', price_cents: 9000, quota: 5 });
+        const { hold } = await clientModel.createHold(event.id, 2, { userId: 42, ticketTypeId: vip.id });
+
+        const result = await clientModel.releaseHold(hold.id, 42);
+
+        expect(result.hold.status).toBe('released');
+        expect(result.event.tickets_available).toBe(10);
+        expect(result.event.ticket_types[0].tickets_available).toBe(5);
+        await expect(clientModel.releaseHold(hold.id, 42)).rejects.toThrow('Hold has already been released');
+    });
+
+    test('should expire only holds past their expiry time', async () => {
+        const { hold: stale } = await clientModel.createHold(event.id, 3, { userId: 42 });
+        await clientModel.createHold(event.id, 2, { userId: 7 });
+        await expireHold(stale.id);
+
+        const released = await clientModel.releaseExpiredHolds();
+
+        expect(released).toBe(1);
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(8);
+        await expect(clientModel.releaseExpiredHolds()).resolves.toBe(0);
+        await expect(clientModel.releaseHold(stale.id, 42)).rejects.toThrow('Hold has expired');
+    });
+
+    test('should reject invalid hold requests', async () => {
+        await expect(clientModel.createHold(0, 1)).rejects.toThrow('Invalid event ID');
+        await expect(clientModel.createHold(event.id, 0)).rejects.toThrow('Invalid ticket count');
+        await expect(clientModel.createHold(9999, 1)).rejects.toThrow('Event not found');
+        await expect(clientModel.confirmHold(0, 42)).rejects.toThrow('Invalid hold ID');
+        await expect(clientModel.releaseHold(0, 42)).rejects.toThrow('Invalid hold ID');
+        await expect(clientModel.releaseHold(9999, 42)).rejects.toThrow('Hold not found');
+    });
+});
+
+describe('Client Model - payments', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        console.error = jest.fn();
+        event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10,
+            price_cents: 2000
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should capture the payment and store it on the order', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 2, {
+            userId: 42,
+            paymentToken: MOCK_TOKENS.SUCCESS
+        });
+
+        expect(order).toMatchObject({
+            total_cents: 4200,
+            payment_provider: 'mock',
+            payment_id: expect.stringMatching(/^mock_pay_/),
+            payment_status: 'captured'
+        });
+    });
+
+    test('should not charge for free tickets', async () => {
+        const free = await insertTestEvent({ name: 'Open House', date: '2099-12-01', tickets_available: 10 });
+
+        const { order } = await clientModel.purchaseTickets(free.id, 1, {
+            userId: 42,
+            paymentToken: MOCK_TOKENS.DECLINED
+        });
+
+        expect(order).toMatchObject({ payment_provider: null, payment_id: null, payment_status: 'not_required' });
+    });
+
+    test('should return the tickets when the card is declined', async () => {
+        await expect(
+            clientModel.purchaseTickets(event.id, 3, { userId: 42, paymentToken: MOCK_TOKENS.DECLINED })
+        ).rejects.toThrow('Payment declined');
+
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(10);
+        await expect(clientModel.getOrdersByUser(42)).resolves.toEqual([]);
+    });
+
+    test('should return the tickets when the capture fails', async () => {
+        const vip = await insertTestTicketType({ event_id: event.id, name: 'VIP', price_cents: 9000, quota: 4 });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 2, {
+                userId: 42,
+                ticketTypeId: vip.id,
+                paymentToken: MOCK_TOKENS.CAPTURE_FAILS
+            })
+        ).rejects.toThrow('Payment capture failed');
+
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(10);
+        expect(refreshed.ticket_types[0].tickets_available).toBe(4);
+    });
+
+    test('should release the hold when paying for it fails', async () => {
+        const { hold } = await clientModel.createHold(event.id, 2, { userId: 42 });
+
+        await expect(
+            clientModel.confirmHold(hold.id, 42, { paymentToken: MOCK_TOKENS.INSUFFICIENT_FUNDS })
+        ).rejects.toThrow('insufficient funds');
+
+        await expect(clientModel.confirmHold(hold.id, 42)).rejects.toThrow('Hold has already been released');
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(10);
+    });
+
+    test('should create one order when a hold is confirmed twice at once', async () => {
+        const { hold } = await clientModel.createHold(event.id, 1, { userId: 42 });
+
+        const results = await Promise.allSettled([
+            clientModel.confirmHold(hold.id, 42),
+            clientModel.confirmHold(hold.id, 42)
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.message)
+            .toBe('Hold has already been confirmed');
+        await expect(clientModel.getOrdersByUser(42)).resolves.toHaveLength(1);
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(9);
+    });
+
+    test('should refund the second payment of a double confirmation with the hold as reference', async () => {
+        const { hold } = await clientModel.createHold(event.id, 1, { userId: 42 });
+        const refund = jest.spyOn(getPaymentProvider('mock'), 'refund');
+
+        await Promise.allSettled([
+            clientModel.confirmHold(hold.id, 42),
+            clientModel.confirmHold(hold.id, 42)
+        ]);
+
+        expect(refund).toHaveBeenCalledTimes(1);
+        expect(refund).toHaveBeenCalledWith(expect.stringMatching(/^mock_pay_/), 2100, { reference: `hold-${hold.id}-refund` });
+        expect(await queryTestDb('SELECT * FROM failed_refunds')).toEqual([]);
+        refund.mockRestore();
+    });
+
+    test('should record a refused refund of a double confirmation and retry it', async () => {
+        const { hold } = await clientModel.createHold(event.id, 1, { userId: 42 });
+        const refund = jest.spyOn(getPaymentProvider('mock'), 'refund')
+            .mockRejectedValueOnce(new Error('Payment refund failed: gateway unavailable'))
+            .mockRejectedValueOnce(new Error('Payment refund failed: still unavailable'));
+        console.error = jest.fn();
+
+        await Promise.allSettled([
+            clientModel.confirmHold(hold.id, 42),
+            clientModel.confirmHold(hold.id, 42)
+        ]);
+
+        expect(await queryTestDb('SELECT hold_id, amount_cents, reference, status, attempts, last_error FROM failed_refunds')).toEqual([{
+            hold_id: hold.id,
+            amount_cents: 2100,
+            reference: `hold-${hold.id}-refund`,
+            status: 'failed',
+            attempts: 1,
+            last_error: 'Payment refund failed: gateway unavailable'
+        }]);
+
+        await expect(clientModel.retryFailedRefunds()).resolves.toBe(0);
+        expect(await queryTestDb('SELECT status, attempts, last_error FROM failed_refunds')).toEqual([
+            { status: 'failed', attempts: 2, last_error: 'Payment refund failed: still unavailable' }
+        ]);
+
+        await expect(clientModel.retryFailedRefunds()).resolves.toBe(1);
+        expect(await queryTestDb('SELECT status FROM failed_refunds')).toEqual([{ status: 'completed' }]);
+        expect(refund.mock.calls.map(call => call[2])).toEqual(Array(3).fill({ reference: `hold-${hold.id}-refund` }));
+        await expect(clientModel.retryFailedRefunds()).resolves.toBe(0);
+        refund.mockRestore();
+    });
+
+    test('should refund the payment when an order is cancelled', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+
+        const partial = await clientModel.cancelOrder(order.id, 42, 1);
+        expect(partial.order.payment_status).toBe('partially_refunded');
+
+        const full = await clientModel.cancelOrder(order.id, 42);
+        expect(full.order.payment_status).toBe('refunded');
+        expect(full.order.refunded_cents).toBe(4200);
+    });
+
+    test('should change nothing when the provider refuses the refund', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+        jest.spyOn(getPaymentProvider('mock'), 'refund')
+            .mockRejectedValueOnce(new Error('Payment refund failed: gateway unavailable'));
+
+        await expect(clientModel.cancelOrder(order.id, 42)).rejects.toThrow('gateway unavailable');
+
+        const unchanged = await clientModel.getOrderById(order.id, 42);
+        expect(unchanged).toMatchObject({ status: 'completed', refunded_quantity: 0, payment_status: 'captured' });
+        expect((await clientModel.getEventById(event.id)).tickets_available).toBe(8);
+        expect(await queryTestDb('SELECT status, last_error FROM order_refunds')).toEqual([
+            { status: 'failed', last_error: 'Payment refund failed: gateway unavailable' }
+        ]);
+
+        const retried = await clientModel.cancelOrder(order.id, 42);
+        expect(retried.order.status).toBe('refunded');
+    });
+
+    test('should call the provider outside the transaction and finish an interrupted refund once', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+        const provider = getPaymentProvider('mock');
+        const sendRefund = provider.refund;
+        const refund = jest.spyOn(provider, 'refund').mockImplementationOnce(async (...args) => {
+            // Other writers are not locked out while the provider answers,
+            // and the refund cannot be recorded this time
+            await queryTestDb(`
+                CREATE TRIGGER fail_orders BEFORE UPDATE ON orders
+                BEGIN SELECT RAISE(ABORT, 'database is unavailable'); END
+            `);
+            return sendRefund(...args);
+        });
+
+        await expect(clientModel.cancelOrder(order.id, 42)).rejects.toThrow('database is unavailable');
+        await queryTestDb('DROP TRIGGER fail_orders');
+
+        expect((await clientModel.getOrderById(order.id, 42)).refunded_quantity).toBe(0);
+        await expect(clientModel.cancelOrder(order.id, 42, 1)).rejects.toThrow(
+            'Cannot refund 1 ticket(s) while a refund of 2 ticket(s) is still in progress on this order. Retry with the same ticket count.'
+        );
+        await expect(clientModel.cancelOrder(order.id, 42, 2)).resolves.toMatchObject({ ticketsRefunded: 2 });
+
+        expect(refund).toHaveBeenCalledTimes(2);
+        expect(refund.mock.calls[1]).toEqual(refund.mock.calls[0]);
+        const refunded = await clientModel.getOrderById(order.id, 42);
+        expect(refunded).toMatchObject({ status: 'refunded', refunded_cents: 4200, payment_status: 'refunded' });
+        expect(await queryTestDb('SELECT status FROM order_refunds')).toEqual([{ status: 'completed' }]);
+    });
+
+    test('should give two identical cancellations the same refund', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+        const provider = getPaymentProvider('mock');
+        const sendRefund = provider.refund;
+        // Hold the first refund at the provider until the second request has
+        // resumed it too, so both try to record it
+        let resumeFirst;
+        const secondStarted = new Promise(resolve => { resumeFirst = resolve; });
+        jest.spyOn(provider, 'refund')
+            .mockImplementationOnce(async (...args) => {
+                await secondStarted;
+                return sendRefund(...args);
+            })
+            .mockImplementationOnce(async (...args) => {
+                resumeFirst();
+                return sendRefund(...args);
+            });
+
+        const results = await Promise.all([
+            clientModel.cancelOrder(order.id, 42),
+            clientModel.cancelOrder(order.id, 42)
+        ]);
+
+        for (const result of results) {
+            expect(result).toMatchObject({ success: true, ticketsRefunded: 2, amountRefundedCents: 4200 });
+            expect(result.order).toMatchObject({ status: 'refunded', refunded_quantity: 2, refunded_cents: 4200 });
+        }
+        expect((await clientModel.getEventById(event.id)).tickets_available).toBe(10);
+        expect(await queryTestDb('SELECT status FROM order_refunds')).toEqual([{ status: 'completed' }]);
+    });
+});
+
+describe('Client Model - purchase limits', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Big Game',
+            date: '2099-12-01',
+            tickets_available: 50,
+            max_per_user: 4
+        });
+    });
+
+    test('should count earlier orders towards the limit', async () => {
+        await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 2, { userId: 42 })
+        ).rejects.toThrow('Purchase limit reached for Big Game: limit is 4 tickets per user. You can buy 1 more.');
+
+        const result = await clientModel.purchaseTickets(event.id, 1, { userId: 42 });
+        expect(result.success).toBe(true);
+
+        const unchanged = await clientModel.getEventById(event.id);
+        expect(unchanged.tickets_available).toBe(46);
+    });
+
+    test('should count active holds but not expired ones', async () => {
+        const { hold } = await clientModel.createHold(event.id, 4, { userId: 42 });
+
+        await expect(
+            clientModel.createHold(event.id, 1, { userId: 42 })
+        ).rejects.toThrow('You can buy 0 more.');
+
+        await expireHold(hold.id);
+
+        const result = await clientModel.createHold(event.id, 4, { userId: 42 });
+        expect(result.hold.quantity).toBe(4);
+    });
+
+    test('should not count refunded tickets', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 4, { userId: 42 });
+        await clientModel.cancelOrder(order.id, 42, 2);
+
+        const result = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+        expect(result.ticketsPurchased).toBe(2);
+    });
+
+    test('should apply the limit to each user separately', async () => {
+        await clientModel.purchaseTickets(event.id, 4, { userId: 42 });
+
+        const result = await clientModel.purchaseTickets(event.id, 4, { userId: 7 });
+        expect(result.success).toBe(true);
+    });
+
+    test('should not limit events without max_per_user', async () => {
+        const open = await insertTestEvent({ name: 'Open Event', date: '2099-12-01', tickets_available: 50 });
+
+        const result = await clientModel.purchaseTickets(open.id, 10, { userId: 42 });
+        expect(result.ticketsPurchased).toBe(10);
+    });
+});
+
+describe('Client Model - waitlist', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Sold Out Show',
+            date: '2099-12-01',
+            tickets_available: 2,
+            price_cents: 1000
+        });
+    });
+
+    async function sellOut() {
+        return clientModel.purchaseTickets(event.id, 2, { userId: 1 });
+    }
+
+    test('should refuse to join while tickets are still available', async () => {
+        await expect(
+            clientModel.joinWaitlist(event.id, 42)
+        ).rejects.toThrow('Tickets are still available for Sold Out Show');
+    });
+
+    test('should give each user their place in line', async () => {
+        await sellOut();
+
+        const first = await clientModel.joinWaitlist(event.id, 42);
+        const second = await clientModel.joinWaitlist(event.id, 43, { ticketCount: 2 });
+
+        expect(first.entry).toMatchObject({ user_id: 42, status: 'waiting', quantity: 1, position: 1 });
+        expect(second.message).toBe('Joined the waitlist for Sold Out Show. You are number 2 in line.');
+
+        await expect(
+            clientModel.joinWaitlist(event.id, 42)
+        ).rejects.toThrow('You are already on the waitlist for Sold Out Show');
+    });
+
+    test('should offer refunded tickets to the first person in line as a claim', async () => {
+        const { order } = await sellOut();
+        await clientModel.joinWaitlist(event.id, 42);
+        await clientModel.joinWaitlist(event.id, 43);
+
+        const refund = await clientModel.cancelOrder(order.id, 1, 1);
+        expect(refund.event.tickets_available).toBe(0);
+
+        const entry = await clientModel.getWaitlistEntry(event.id, 42);
+        expect(entry).toMatchObject({ status: 'offered', position: null });
+        expect(entry.claim_expires_at).toBeTruthy();
+
+        const behind = await clientModel.getWaitlistEntry(event.id, 43);
+        expect(behind).toMatchObject({ status: 'waiting', position: 1 });
+
+        // Nobody else can buy the claimed ticket
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 7 })
+        ).rejects.toThrow('Not enough tickets available');
+
+        const result = await clientModel.confirmHold(entry.hold_id, 42, { paymentToken: 'tok_visa' });
+        expect(result.order.quantity).toBe(1);
+        expect(await clientModel.getWaitlistEntry(event.id, 42)).toBeNull();
+    });
+
+    test('should pass an expired claim to the next person in line', async () => {
+        const { order } = await sellOut();
+        await clientModel.joinWaitlist(event.id, 42);
+        await clientModel.joinWaitlist(event.id, 43);
+        await clientModel.cancelOrder(order.id, 1, 1);
+
+        const claim = await clientModel.getWaitlistEntry(event.id, 42);
+        await expireHold(claim.hold_id);
+        await clientModel.releaseExpiredHolds();
+
+        expect(await clientModel.getWaitlistEntry(event.id, 42)).toBeNull();
+        const next = await clientModel.getWaitlistEntry(event.id, 43);
+        expect(next.status).toBe('offered');
+    });
+
+    test('should keep people behind waiting until the first in line can be served', async () => {
+        const { order } = await sellOut();
+        await clientModel.joinWaitlist(event.id, 42, { ticketCount: 2 });
+        await clientModel.joinWaitlist(event.id, 43);
+
+        await clientModel.cancelOrder(order.id, 1, 1);
+        expect((await clientModel.getWaitlistEntry(event.id, 42)).status).toBe('waiting');
+        expect((await clientModel.getWaitlistEntry(event.id, 43)).status).toBe('waiting');
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 7 })
+        ).rejects.toThrow('being offered to the waitlist');
+
+        await clientModel.cancelOrder(order.id, 1, 1);
+        expect((await clientModel.getWaitlistEntry(event.id, 42)).status).toBe('offered');
+    });
+
+    test('should offer tickets added outside the client service when waitlists are processed', async () => {
+        await sellOut();
+        await clientModel.joinWaitlist(event.id, 42);
+
+        await new Promise((resolve, reject) => {
+            testDb.run('UPDATE events SET tickets_available = 5 WHERE id = ?', [event.id], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        await expect(clientModel.processWaitlists()).resolves.toBe(1);
+        expect((await clientModel.getWaitlistEntry(event.id, 42)).status).toBe('offered');
+
+        const updated = await clientModel.getEventById(event.id);
+        expect(updated.tickets_available).toBe(4);
+    });
+
+    test('should release a claim when the user leaves the waitlist', async () => {
+        const { order } = await sellOut();
+        await clientModel.joinWaitlist(event.id, 42);
+        await clientModel.joinWaitlist(event.id, 43);
+        await clientModel.cancelOrder(order.id, 1, 1);
+
+        const result = await clientModel.leaveWaitlist(event.id, 42);
+
+        expect(result.entry.status).toBe('left');
+        expect((await clientModel.getWaitlistEntry(event.id, 43)).status).toBe('offered');
+
+        await expect(
+            clientModel.leaveWaitlist(event.id, 42)
+        ).rejects.toThrow('Waitlist entry not found');
+    });
+
+    test('should list a user\'s open waitlist entries', async () => {
+        await sellOut();
+        await clientModel.joinWaitlist(event.id, 42);
+
+        const entries = await clientModel.getWaitlistByUser(42);
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ event_name: 'Sold Out Show', position: 1 });
+        expect(await clientModel.getWaitlistByUser(43)).toEqual([]);
+    });
+
+    test('should keep separate lines for each ticket type', async () => {
+        const tiered = await insertTestEvent({ name: 'Tiered Show', date: '2099-12-01', tickets_available: 10 });
+        const vip = await insertTestTicketType({ event_id: tiered.id, name: 'VIP', quota: 1 });
+        const ga = await insertTestTicketType({ event_id: tiered.id, name: 'GA', quota: 5 });
+        await clientModel.purchaseTickets(tiered.id, 1, { userId: 1, ticketTypeId: vip.id });
+
+        await expect(
+            clientModel.joinWaitlist(tiered.id, 42)
+        ).rejects.toThrow('Please choose a ticket type');
+        await expect(
+            clientModel.joinWaitlist(tiered.id, 42, { ticketTypeId: ga.id })
+        ).rejects.toThrow('Tickets are still available');
+
+        const result = await clientModel.joinWaitlist(tiered.id, 42, { ticketTypeId: vip.id });
+        expect(result.entry).toMatchObject({ ticket_type_name: 'VIP', position: 1 });
+
+        // GA buyers are not held up by the VIP line
+        const purchase = await clientModel.purchaseTickets(tiered.id, 1, { userId: 7, ticketTypeId: ga.id });
+        expect(purchase.success).toBe(true);
+    });
+
+    test('should expire entries that can no longer be filled', async () => {
+        const limited = await insertTestEvent({ name: 'Limited', date: '2099-12-01', tickets_available: 3, max_per_user: 2 });
+        const { order } = await clientModel.purchaseTickets(limited.id, 1, { userId: 1 });
+        await clientModel.purchaseTickets(limited.id, 2, { userId: 42 });
+        await clientModel.joinWaitlist(limited.id, 42);
+        await clientModel.joinWaitlist(limited.id, 43);
+
+        await clientModel.cancelOrder(order.id, 1);
+
+        // User 42 is already at the limit, so the ticket goes to user 43
+        expect(await clientModel.getWaitlistEntry(limited.id, 42)).toBeNull();
+        expect((await clientModel.getWaitlistEntry(limited.id, 43)).status).toBe('offered');
+
+        await expect(
+            clientModel.joinWaitlist(limited.id, 44, { ticketCount: 3 })
+        ).rejects.toThrow('Purchase limit for Limited is 2 tickets per user');
+    });
+
+    test('should reject invalid input', async () => {
+        await expect(clientModel.joinWaitlist(0, 42)).rejects.toThrow('Invalid event ID');
+        await expect(clientModel.joinWaitlist(event.id, 42, { ticketCount: 0 })).rejects.toThrow('Invalid ticket count');
+        await expect(clientModel.leaveWaitlist(0, 42)).rejects.toThrow('Invalid event ID');
+        await expect(clientModel.joinWaitlist(9999, 42)).rejects.toThrow('Event not found');
+    });
+});
+
+describe('Client Model - tickets', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+    });
+
+    test('should issue a signed ticket for every seat purchased', async () => {
+        const result = await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+
+        expect(result.tickets).toHaveLength(3);
+        result.tickets.forEach(ticket => {
+            expect(ticket).toMatchObject({ order_id: result.order.id, user_id: 42, event_name: 'Concert', status: 'valid' });
+            expect(verifyTicketCode(ticket.code)).toEqual(expect.objectContaining({ eventId: event.id }));
+        });
+        expect(new Set(result.tickets.map(ticket => ticket.code)).size).toBe(3);
+    });
+
+    test('should list a user\'s tickets and hide other users\' tickets', async () => {
+        const { tickets } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 });
+
+        await expect(clientModel.getTicketsByUser(42)).resolves.toHaveLength(2);
+        await expect(clientModel.getTicketsByUser(7)).resolves.toEqual([]);
+
+        const ticket = await clientModel.getTicketById(tickets[0].id, 42);
+        expect(ticket.code).toBe(tickets[0].code);
+        await expect(clientModel.getTicketById(tickets[0].id, 7)).resolves.toBeNull();
+    });
+
+    test('should void refunded seats\' tickets', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+
+        await clientModel.cancelOrder(order.id, 42, 2);
+
+        const statuses = (await clientModel.getTicketsByUser(42)).map(ticket => ticket.status);
+        expect(statuses).toEqual(['valid', 'refunded', 'refunded']);
+    });
+
+    test('should void tickets not yet scanned at the venue first', async () => {
+        const { order, tickets } = await clientModel.purchaseTickets(event.id, 3, { userId: 42 });
+        await new Promise((resolve, reject) => {
+            testDb.run(
+                'UPDATE tickets SET checked_in_at = datetime(\'now\') WHERE id = ?',
+                [tickets[2].id],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+
+        await clientModel.cancelOrder(order.id, 42, 2);
+
+        const statuses = (await clientModel.getTicketsByUser(42)).map(ticket => ticket.status);
+        expect(statuses).toEqual(['refunded', 'refunded', 'valid']);
+    });
+});
+
+describe('Client Model - ticket transfers', () => {
+    let event;
+    let order;
+    let tickets;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Concert',
+            date: '2099-12-01',
+            tickets_available: 10
+        });
+        ({ order, tickets } = await clientModel.purchaseTickets(event.id, 2, { userId: 42 }));
+    });
+
+    test('should start a pending transfer without moving the ticket', async () => {
+        const transfer = await clientModel.createTransfer(tickets[0].id, 42, 43);
+
+        expect(transfer).toMatchObject({
+            ticket_id: tickets[0].id,
+            event_name: 'Concert',
+            from_email: 'fan@clemson.edu',
+            to_email: 'friend@clemson.edu',
+            status: 'pending',
+            resolved_at: null
+        });
+        await expect(clientModel.getTicketsByUser(42)).resolves.toHaveLength(2);
+    });
+
+    test('should move the ticket with a new code when accepted', async () => {
+        const transfer = await clientModel.createTransfer(tickets[0].id, 42, 43);
+
+        const result = await clientModel.acceptTransfer(transfer.id, 43);
+
+        expect(result.transfer.status).toBe('accepted');
+        expect(result.transfer.resolved_at).toBeTruthy();
+        expect(result.ticket).toMatchObject({ id: tickets[0].id, user_id: 43, status: 'valid' });
+        expect(result.ticket.code).not.toBe(tickets[0].code);
+        expect(verifyTicketCode(result.ticket.code)).toEqual(expect.objectContaining({ eventId: event.id }));
+
+        await expect(clientModel.getTicketById(tickets[0].id, 42)).resolves.toBeNull();
+        await expect(clientModel.getTicketsByUser(43)).resolves.toHaveLength(1);
+    });
+
+    test('should keep every transfer in the audit trail', async () => {
+        const first = await clientModel.createTransfer(tickets[0].id, 42, 43);
+        await clientModel.cancelTransfer(first.id, 43);
+        const second = await clientModel.createTransfer(tickets[0].id, 42, 43);
+        await clientModel.acceptTransfer(second.id, 43);
+
+        const history = await clientModel.getTransfersByUser(42);
+        expect(history.map(transfer => transfer.status)).toEqual(['accepted', 'declined']);
+        await expect(clientModel.getTransfersByUser(43)).resolves.toHaveLength(2);
+    });
+
+    test('should let the sender cancel and the recipient decline', async () => {
+        const transfer = await clientModel.createTransfer(tickets[0].id, 42, 43);
+
+        await expect(clientModel.cancelTransfer(transfer.id, 7)).rejects.toThrow('Transfer not found');
+        await expect(clientModel.cancelTransfer(transfer.id, 42)).resolves.toMatchObject({ status: 'cancelled' });
+        await expect(clientModel.cancelTransfer(transfer.id, 43)).rejects.toThrow('Transfer has already been cancelled');
+        await expect(clientModel.acceptTransfer(transfer.id, 43)).rejects.toThrow('Transfer has already been cancelled');
+    });
+
+    test('should only let the recipient accept', async () => {
+        const transfer = await clientModel.createTransfer(tickets[0].id, 42, 43);
+
+        await expect(clientModel.acceptTransfer(transfer.id, 42)).rejects.toThrow('Transfer not found');
+    });
+
+    test('should reject transfers of tickets the user does not hold', async () => {
+        await expect(clientModel.createTransfer(tickets[0].id, 43, 42)).rejects.toThrow('Ticket not found');
+        await expect(clientModel.createTransfer(tickets[0].id, 42, 42)).rejects.toThrow('You cannot transfer a ticket to yourself');
+        await expect(clientModel.createTransfer(0, 42, 43)).rejects.toThrow('Invalid ticket ID provided');
+    });
+
+    test('should allow only one pending transfer per ticket', async () => {
+        await clientModel.createTransfer(tickets[0].id, 42, 43);
+
+        await expect(clientModel.createTransfer(tickets[0].id, 42, 44))
+            .rejects.toThrow('This ticket already has a pending transfer');
+    });
+
+    test('should reject transfers of refunded or checked-in tickets', async () => {
+        await clientModel.cancelOrder(order.id, 42, 1);
+        await new Promise((resolve, reject) => {
+            testDb.run(
+                'UPDATE tickets SET checked_in_at = datetime(\'now\') WHERE id = ?',
+                [tickets[0].id],
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+
+        await expect(clientModel.createTransfer(tickets[1].id, 42, 43))
+            .rejects.toThrow('Refunded tickets cannot be transferred');
+        await expect(clientModel.createTransfer(tickets[0].id, 42, 43))
+            .rejects.toThrow('Tickets that have been checked in cannot be transferred');
+    });
+
+    test('should refuse to accept once the ticket has been refunded', async () => {
+        const transfer = await clientModel.createTransfer(tickets[1].id, 42, 43);
+
+        await clientModel.cancelOrder(order.id, 42, 1);
+
+        const [cancelled] = await clientModel.getTransfersByUser(43);
+        expect(cancelled.status).toBe('cancelled');
+        await expect(clientModel.acceptTransfer(transfer.id, 43)).rejects.toThrow('Transfer has already been cancelled');
+    });
+
+    test('should not refund tickets transferred to other accounts', async () => {
+        const transfer = await clientModel.createTransfer(tickets[1].id, 42, 43);
+        await clientModel.acceptTransfer(transfer.id, 43);
+
+        await expect(clientModel.cancelOrder(order.id, 42, 2))
+            .rejects.toThrow('Cannot refund 2 ticket(s). Only 1 ticket(s) remain on this order that have not been transferred.');
+
+        const result = await clientModel.cancelOrder(order.id, 42);
+        expect(result.ticketsRefunded).toBe(1);
+        await expect(clientModel.getTicketById(tickets[1].id, 43)).resolves.toMatchObject({ status: 'valid' });
+
+        await expect(clientModel.cancelOrder(order.id, 42))
+            .rejects.toThrow('The remaining tickets on this order have already been transferred to other accounts');
+    });
+});
+
+describe('Client Model - reserved seating', () => {
+    let event;
+
+    beforeEach(async () => {
+        await clearEvents();
+        event = await insertTestEvent({
+            name: 'Basketball',
+            date: '2099-12-01',
+            tickets_available: 5,
+            price_cents: 1500
+        });
+        await putSeatsOnSale(event.id);
+    });
+
+    test('should lay out the seat map by section and row', async () => {
+        const seatMap = await clientModel.getEventSeats(event.id);
+
+        expect(seatMap).toMatchObject({ event_id: event.id, event_name: 'Basketball', seats_available: 5 });
+        expect(seatMap.sections).toHaveLength(1);
+        expect(seatMap.sections[0].name).toBe('Orchestra');
+        expect(seatMap.sections[0].rows.map(row => row.label)).toEqual(['A', 'B']);
+        expect(seatMap.sections[0].rows[1].seats).toEqual([
+            { id: 4, number: 1, label: 'Orchestra Row B Seat 1', available: true },
+            { id: 5, number: 2, label: 'Orchestra Row B Seat 2', available: true }
+        ]);
+
+        const events = await clientModel.getAllEvents();
+        expect(events[0].reserved_seating).toBe(1);
+    });
+
+    test('should return an empty seat map for general admission and null for missing events', async () => {
+        const general = await insertTestEvent({ name: 'Concert', date: '2099-12-01', tickets_available: 10 });
+
+        const seatMap = await clientModel.getEventSeats(general.id);
+
+        expect(seatMap.sections).toEqual([]);
+        await expect(clientModel.getEventSeats(9999)).resolves.toBeNull();
+    });
+
+    test('should sell the chosen seats with their location on the tickets', async () => {
+        const result = await clientModel.purchaseTickets(event.id, 2, { userId: 42, seatIds: [2, 1] });
+
+        expect(result.event.tickets_available).toBe(3);
+        expect(result.tickets.map(ticket => ticket.seat_id).sort()).toEqual([1, 2]);
+        expect(result.tickets[0]).toMatchObject({ section_name: 'Orchestra', row_label: 'A' });
+
+        const seatMap = await clientModel.getEventSeats(event.id);
+        expect(seatMap.seats_available).toBe(3);
+        expect(seatMap.sections[0].rows[0].seats.map(seat => seat.available)).toEqual([false, false, true]);
+    });
+
+    test('should sell none of the seats if any of them is taken', async () => {
+        await clientModel.purchaseTickets(event.id, 1, { userId: 42, seatIds: [3] });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 2, { userId: 7, seatIds: [2, 3] })
+        ).rejects.toThrow('Seats are no longer available: Orchestra Row A Seat 3');
+
+        const refreshed = await clientModel.getEventById(event.id);
+        expect(refreshed.tickets_available).toBe(4);
+        const seatMap = await clientModel.getEventSeats(event.id);
+        expect(seatMap.sections[0].rows[0].seats[1].available).toBe(true);
+    });
+
+    test('should reject seats that are not on sale for the event', async () => {
+        await expect(
+            clientModel.createHold(event.id, 2, { userId: 42, seatIds: [1, 99] })
+        ).rejects.toThrow('Seats not found for this event: 99');
+    });
+
+    test('should require seats for reserved seating and refuse them otherwise', async () => {
+        const general = await insertTestEvent({ name: 'Concert', date: '2099-12-01', tickets_available: 10 });
+
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 42 })
+        ).rejects.toThrow('Please choose seats for Basketball');
+        await expect(
+            clientModel.purchaseTickets(general.id, 1, { userId: 42, seatIds: [1] })
+        ).rejects.toThrow('Concert does not have reserved seating');
+    });
+
+    test('should reject a seat selection that does not match the ticket count', async () => {
+        await expect(
+            clientModel.createHold(event.id, 2, { userId: 42, seatIds: [1] })
+        ).rejects.toThrow('Invalid seat selection provided');
+        await expect(
+            clientModel.createHold(event.id, 2, { userId: 42, seatIds: [1, 1] })
+        ).rejects.toThrow('Invalid seat selection provided');
+    });
+
+    test('should free held seats when a hold is released or expires', async () => {
+        const { hold: released } = await clientModel.createHold(event.id, 1, { userId: 42, seatIds: [1] });
+        const { hold: expired } = await clientModel.createHold(event.id, 1, { userId: 7, seatIds: [2] });
+
+        let seatMap = await clientModel.getEventSeats(event.id);
+        expect(seatMap.seats_available).toBe(3);
+
+        await clientModel.releaseHold(released.id, 42);
+        await expireHold(expired.id);
+        await clientModel.releaseExpiredHolds();
+
+        seatMap = await clientModel.getEventSeats(event.id);
+        expect(seatMap.seats_available).toBe(5);
+    });
+
+    test('should put refunded seats back on sale', async () => {
+        const { order } = await clientModel.purchaseTickets(event.id, 2, { userId: 42, seatIds: [4, 5] });
+
+        await clientModel.cancelOrder(order.id, 42, 1);
+
+        const seatMap = await clientModel.getEventSeats(event.id);
+        expect(seatMap.seats_available).toBe(4);
+        await expect(
+            clientModel.purchaseTickets(event.id, 1, { userId: 7, seatIds: [5] })
+        ).resolves.toMatchObject({ ticketsPurchased: 1 });
+    });
+
+    test('should not offer a waitlist', async () => {
+        await expect(
+            clientModel.joinWaitlist(event.id, 42)
+        ).rejects.toThrow('Basketball has reserved seating and does not have a waitlist');
+    });
+});
+
+describe('Client Model - event series', () => {
+    let jazzId;
+    let fairId;
+
+    beforeEach(async () => {
+        await clearEvents();
+        jazzId = await insertTestSeries('Jazz Night');
+        fairId = await insertTestSeries('Career Fair', 'dates');
+    });
+
+    test('should label occurrences with their series', async () => {
+        const occurrence = await insertTestEvent({ name: 'Jazz Night', date: '2030-03-07', tickets_available: 50, series_id: jazzId });
+        await insertTestEvent({ name: 'Homecoming', date: '2030-03-08', tickets_available: 50 });
+
+        const events = await clientModel.getAllEvents();
+        expect(events.find(event => event.id === occurrence.id)).toMatchObject({ series_id: jazzId, series_name: 'Jazz Night' });
+        expect(events.find(event => event.name === 'Homecoming')).toMatchObject({ series_id: null, series_name: null });
+    });
+
+    test('should group occurrences under their series in date order', async () => {
+        await insertTestEvent({ name: 'Jazz Night', date: '2030-03-14', tickets_available: 50, series_id: jazzId });
+        await insertTestEvent({ name: 'Jazz Night', date: '2030-03-07', tickets_available: 50, series_id: jazzId });
+        await insertTestEvent({ name: 'Career Fair', date: '2030-02-01', tickets_available: 200, series_id: fairId });
+        await insertTestEvent({ name: 'Homecoming', date: '2030-03-08', tickets_available: 50 });
+
+        const series = await clientModel.getAllSeries();
+
+        expect(series.map(item => item.name)).toEqual(['Career Fair', 'Jazz Night']);
+        expect(series[1]).toMatchObject({ id: jazzId, frequency: 'weekly', repeat_interval: 1, time_zone: 'America/New_York' });
+        expect(series[1].occurrences.map(event => event.date)).toEqual(['2030-03-07', '2030-03-14']);
+        expect(series[1].occurrences[0].ticket_types).toEqual([]);
+    });
+
+    test('should leave out archived occurrences and series with none left', async () => {
+        const archived = await insertTestEvent({ name: 'Career Fair', date: '2030-02-01', tickets_available: 200, series_id: fairId });
+        await setEventStatus(archived.id, 'archived');
+        const cancelled = await insertTestEvent({ name: 'Jazz Night', date: '2030-03-07', tickets_available: 50, series_id: jazzId });
+        await setEventStatus(cancelled.id, 'cancelled', 'Snow');
+
+        const series = await clientModel.getAllSeries();
+
+        expect(series).toHaveLength(1);
+        expect(series[0].occurrences[0]).toMatchObject({ id: cancelled.id, status: 'cancelled' });
+        expect(await clientModel.getSeriesById(fairId)).toBeNull();
+    });
+
+    test('should get one series with its occurrences and ticket types', async () => {
+        const occurrence = await insertTestEvent({ name: 'Jazz Night', date: '2030-03-07', tickets_available: 50, series_id: jazzId });
+        await insertTestTicketType({ event_id: occurrence.id, name: 'Student', quota: 20 });
+
+        const series = await clientModel.getSeriesById(jazzId);
+
+        expect(series).toMatchObject({ id: jazzId, name: 'Jazz Night' });
+        expect(series.occurrences).toHaveLength(1);
+        expect(series.occurrences[0].ticket_types[0]).toMatchObject({ name: 'Student', quota: 20 });
+    });
+
+    test('should return null for a series that does not exist', async () => {
+        expect(await clientModel.getSeriesById(9999)).toBeNull();
+    });
+});
+
 describe('Client Model - Concurrency Tests', () => {
     beforeEach(async () => {
         await clearEvents();
@@ -363,7 +2347,7 @@ describe('Client Model - Concurrency Tests', () => {
     test('should prevent overselling with sequential purchases', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 10
         });
 
@@ -393,7 +2377,7 @@ describe('Client Model - Additional Edge Cases', () => {
     test('should handle null ticket count in purchaseTickets', async () => {
         const event = await insertTestEvent({
             name: 'Concert',
-            date: '2025-12-01',
+            date: '2030-12-01',
             tickets_available: 100
         });
 
@@ -0,0 +1,160 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Test database (separate from clientModel tests)
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-idempotency.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
+
+const idempotencyModel = require('../../../models/idempotencyModel');
+const { closeDatabase } = require('../../../../shared-db/database');
+
+// How long the tests hold a reservation without a response
+const LEASE_MS = 30000;
+
+let testDb;
+
+beforeAll(() => {
+    // Remove existing test database if it exists
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+    }
+
+    testDb = new sqlite3.Database(testDbPath);
+
+    return new Promise((resolve, reject) => {
+        testDb.exec(`
+            CREATE TABLE idempotency_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                idempotency_key TEXT NOT NULL,
+                request_fingerprint TEXT NOT NULL,
+                status_code INTEGER,
+                response_body TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, idempotency_key)
+            );
+        `, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+});
+
+afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+
+    // Give time for any pending operations to complete
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    return new Promise((resolve) => {
+        testDb.close((err) => {
+            if (err) {
+                console.error('Error closing database:', err);
+            }
+            // Give file system time to release the lock
+            setTimeout(() => {
+                try {
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
+                    }
+                } catch (error) {
+                    console.error('Error cleaning up test database:', error);
+                }
+                resolve();
+            }, 200);
+        });
+    });
+}, 10000);
+
+function clearKeys() {
+    return new Promise((resolve, reject) => {
+        testDb.run('DELETE FROM idempotency_keys', (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+describe('Idempotency Model', () => {
+    beforeEach(async () => {
+        await clearKeys();
+    });
+
+    test('should reserve a new key', async () => {
+        const result = await idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS);
+
+        expect(result).toEqual({ reserved: true, id: expect.any(Number) });
+        await expect(idempotencyModel.findKey(1, 'key-1')).resolves.toMatchObject({
+            user_id: 1,
+            idempotency_key: 'key-1',
+            request_fingerprint: 'abc',
+            status_code: null,
+            response_body: null
+        });
+    });
+
+    test('should return the stored response when a key is reused', async () => {
+        const { id } = await idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS);
+        await idempotencyModel.saveResponse(id, 200, { success: true, orderId: 7 });
+
+        const result = await idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS);
+
+        expect(result.reserved).toBe(false);
+        expect(result.record).toMatchObject({
+            status_code: 200,
+            response_body: { success: true, orderId: 7 }
+        });
+    });
+
+    test('should scope keys to the user', async () => {
+        await idempotencyModel.reserveKey(1, 'shared-key', 'abc', LEASE_MS);
+
+        await expect(idempotencyModel.reserveKey(2, 'shared-key', 'abc', LEASE_MS)).resolves.toMatchObject({ reserved: true });
+    });
+
+    test('should forget deleted and expired keys', async () => {
+        const { id } = await idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS);
+        await idempotencyModel.deleteKey(id);
+        await expect(idempotencyModel.findKey(1, 'key-1')).resolves.toBeNull();
+
+        await idempotencyModel.reserveKey(1, 'old-key', 'abc', LEASE_MS);
+        await new Promise((resolve, reject) => {
+            testDb.run("UPDATE idempotency_keys SET created_at = datetime('now', '-2 days')", (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        await expect(idempotencyModel.reserveKey(1, 'old-key', 'def', LEASE_MS)).resolves.toMatchObject({ reserved: true });
+    });
+
+    test('should release a reservation left without a response past its lease', async () => {
+        const first = await idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS);
+        await expect(idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS)).resolves.toMatchObject({ reserved: false });
+
+        await new Promise((resolve, reject) => {
+            testDb.run("UPDATE idempotency_keys SET created_at = datetime('now', '-1 minute')", (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const second = await idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS);
+        expect(second).toEqual({ reserved: true, id: expect.any(Number) });
+        expect(second.id).not.toBe(first.id);
+
+        // A stored response is kept for the whole TTL
+        await idempotencyModel.saveResponse(second.id, 200, { success: true });
+        await new Promise((resolve, reject) => {
+            testDb.run("UPDATE idempotency_keys SET created_at = datetime('now', '-1 minute')", (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+        await expect(idempotencyModel.reserveKey(1, 'key-1', 'abc', LEASE_MS)).resolves.toMatchObject({ reserved: false });
+    });
+});
@@ -0,0 +1,64 @@
+const { getPaymentProvider, registerPaymentProvider } = require('../../../payments');
+
+describe('Payments - getPaymentProvider', () => {
+    test('should default to the mock provider and reuse the instance', () => {
+        const provider = getPaymentProvider();
+
+        expect(provider.name).toBe('mock');
+        expect(getPaymentProvider('mock')).toBe(provider);
+    });
+
+    test('should reject unknown providers', () => {
+        expect(() => getPaymentProvider('nonexistent')).toThrow('Unknown payment provider: nonexistent');
+    });
+
+    test('should use registered providers', async () => {
+        const gateway = {
+            name: 'test-gateway',
+            authorize: jest.fn().mockResolvedValue({ id: 'pay_1', status: 'authorized' }),
+            capture: jest.fn().mockResolvedValue({ id: 'pay_1', status: 'captured' }),
+            refund: jest.fn().mockResolvedValue({ id: 'pay_1', status: 'refunded', refundedCents: 100 })
+        };
+        registerPaymentProvider('test-gateway', () => gateway);
+
+        const provider = getPaymentProvider('test-gateway');
+
+        await expect(provider.authorize({ amountCents: 100, currency: 'USD' })).resolves.toEqual({
+            id: 'pay_1',
+            status: 'authorized'
+        });
+        await provider.capture('pay_1');
+        await provider.refund('pay_1', 100, { reference: 'order-refund-1' });
+        expect(gateway.capture).toHaveBeenCalledWith('pay_1');
+        expect(gateway.refund).toHaveBeenCalledWith('pay_1', 100, { reference: 'order-refund-1' });
+    });
+});
+
+describe('Payments - timeouts', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should fail provider calls that take too long', async () => {
+        registerPaymentProvider('stalled', () => ({
+            name: 'stalled',
+            authorize: () => new Promise(() => {}),
+            capture: () => new Promise(() => {}),
+            refund: () => new Promise(() => {})
+        }));
+        const provider = getPaymentProvider('stalled');
+
+        const authorization = provider.authorize({ amountCents: 100, currency: 'USD' });
+        const capture = provider.capture('pay_1');
+        const refund = provider.refund('pay_1', 100);
+        jest.advanceTimersByTime(10000);
+
+        await expect(authorization).rejects.toThrow('Payment authorization timed out after 10000ms');
+        await expect(capture).rejects.toThrow('Payment capture timed out');
+        await expect(refund).rejects.toThrow('Payment refund timed out');
+    });
+});
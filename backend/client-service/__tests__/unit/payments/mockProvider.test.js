@@ -0,0 +1,107 @@
+const { MOCK_TOKENS, createMockProvider } = require('../../../payments/mockProvider');
+
+describe('Mock Payment Provider', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = createMockProvider();
+    });
+
+    test('should authorize and capture a payment', async () => {
+        const authorization = await provider.authorize({
+            amountCents: 2500,
+            currency: 'USD',
+            paymentToken: MOCK_TOKENS.SUCCESS
+        });
+
+        expect(authorization).toEqual({ id: expect.stringMatching(/^mock_pay_/), status: 'authorized' });
+        await expect(provider.capture(authorization.id)).resolves.toEqual({
+            id: authorization.id,
+            status: 'captured'
+        });
+    });
+
+    test('should treat a missing token as a working card', async () => {
+        const authorization = await provider.authorize({ amountCents: 100, currency: 'USD' });
+
+        expect(authorization.status).toBe('authorized');
+    });
+
+    test('should decline the decline tokens', async () => {
+        await expect(
+            provider.authorize({ amountCents: 100, currency: 'USD', paymentToken: MOCK_TOKENS.DECLINED })
+        ).rejects.toThrow('Payment declined: card was declined');
+        await expect(
+            provider.authorize({ amountCents: 100, currency: 'USD', paymentToken: MOCK_TOKENS.INSUFFICIENT_FUNDS })
+        ).rejects.toThrow('Payment declined: insufficient funds');
+    });
+
+    test('should fail the capture for the capture failure token', async () => {
+        const authorization = await provider.authorize({
+            amountCents: 100,
+            currency: 'USD',
+            paymentToken: MOCK_TOKENS.CAPTURE_FAILS
+        });
+
+        await expect(provider.capture(authorization.id)).rejects.toThrow('Payment capture failed');
+    });
+
+    test('should never answer for the timeout token', async () => {
+        const outcome = await Promise.race([
+            provider.authorize({ amountCents: 100, currency: 'USD', paymentToken: MOCK_TOKENS.TIMEOUT }),
+            new Promise(resolve => setTimeout(() => resolve('still waiting'), 20))
+        ]);
+
+        expect(outcome).toBe('still waiting');
+    });
+
+    test('should refuse to capture twice or capture unknown payments', async () => {
+        const authorization = await provider.authorize({ amountCents: 100, currency: 'USD' });
+        await provider.capture(authorization.id);
+
+        await expect(provider.capture(authorization.id)).rejects.toThrow('already captured');
+        await expect(provider.capture('mock_pay_unknown')).rejects.toThrow('payment not found');
+    });
+
+    test('should refund captured payments up to the captured amount', async () => {
+        const authorization = await provider.authorize({ amountCents: 1000, currency: 'USD' });
+        await provider.capture(authorization.id);
+
+        await expect(provider.refund(authorization.id, 400)).resolves.toMatchObject({
+            status: 'partially_refunded',
+            refundedCents: 400
+        });
+        await expect(provider.refund(authorization.id, 700)).rejects.toThrow('refund exceeds the captured amount');
+        await expect(provider.refund(authorization.id, 600)).resolves.toMatchObject({
+            status: 'refunded',
+            refundedCents: 1000
+        });
+    });
+
+    test('should make a refund repeated with the same reference only once', async () => {
+        const authorization = await provider.authorize({ amountCents: 1000, currency: 'USD' });
+        await provider.capture(authorization.id);
+
+        const first = await provider.refund(authorization.id, 400, { reference: 'order-refund-1' });
+        const retry = await provider.refund(authorization.id, 400, { reference: 'order-refund-1' });
+
+        expect(retry).toEqual(first);
+        await expect(provider.refund(authorization.id, 400, { reference: 'order-refund-2' })).resolves.toMatchObject({
+            refundedCents: 800
+        });
+    });
+
+    test('should refuse to refund an uncaptured payment', async () => {
+        const authorization = await provider.authorize({ amountCents: 1000, currency: 'USD' });
+
+        await expect(provider.refund(authorization.id, 100)).rejects.toThrow('has not been captured');
+    });
+
+    test('should accept refunds for payments it no longer remembers', async () => {
+        await expect(provider.refund('mock_pay_from_before_restart', 500)).resolves.toEqual({
+            id: 'mock_pay_from_before_restart',
+            status: 'refunded',
+            refundedCents: 500
+        });
+    });
+});
@@ -6,6 +6,17 @@ const clientController = require('../../../controllers/clientController');
 // Mock the controller
 jest.mock('../../../controllers/clientController');
 
+// Mock the auth middleware so routes can be exercised without real tokens
+jest.mock('../../../middleware/authMiddleware', () => ({
+    authenticateToken: jest.fn((req, res, next) => {
+        if (!req.headers.authorization) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        req.user = { userId: 1, email: 'test@clemson.edu' };
+        next();
+    })
+}));
+
 describe('Client Routes', () => {
     let app;
 
@@ -30,6 +41,23 @@ describe('Client Routes', () => {
             expect(clientController.getAllEvents).toHaveBeenCalledTimes(1);
             expect(response.status).toBe(200);
         });
+
+        test('should pass the search and page parameters through', async () => {
+            clientController.getAllEvents.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, events: [] });
+            });
+
+            await request(app).get('/api/events?q=jazz%20night&category=arts&available=true&sort=-date&cursor=abc&limit=10');
+
+            expect(clientController.getAllEvents.mock.calls[0][0].query).toEqual({
+                q: 'jazz night',
+                category: 'arts',
+                available: 'true',
+                sort: '-date',
+                cursor: 'abc',
+                limit: '10'
+            });
+        });
     });
 
     describe('GET /api/events/:id', () => {
@@ -58,6 +86,45 @@ describe('Client Routes', () => {
         });
     });
 
+    describe('GET /api/events/:id/seats', () => {
+        test('should call getEventSeats controller without authentication', async () => {
+            clientController.getEventSeats.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, sections: [] });
+            });
+
+            const response = await request(app).get('/api/events/2/seats');
+
+            expect(clientController.getEventSeats).toHaveBeenCalledTimes(1);
+            expect(clientController.getEventSeats.mock.calls[0][0].params.id).toBe('2');
+            expect(response.status).toBe(200);
+        });
+    });
+
+    describe('Series routes', () => {
+        test('should call getAllSeries controller without authentication', async () => {
+            clientController.getAllSeries.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, series: [] });
+            });
+
+            const response = await request(app).get('/api/series');
+
+            expect(clientController.getAllSeries).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(200);
+        });
+
+        test('should call getSeriesById controller with the series ID', async () => {
+            clientController.getSeriesById.mockImplementation((req, res) => {
+                res.status(200).json({ success: true });
+            });
+
+            const response = await request(app).get('/api/series/3');
+
+            expect(clientController.getSeriesById).toHaveBeenCalledTimes(1);
+            expect(clientController.getSeriesById.mock.calls[0][0].params.id).toBe('3');
+            expect(response.status).toBe(200);
+        });
+    });
+
     describe('POST /api/events/:id/purchase', () => {
         test('should call purchaseTickets controller', async () => {
             clientController.purchaseTickets.mockImplementation((req, res) => {
@@ -69,19 +136,30 @@ describe('Client Routes', () => {
 
             const response = await request(app)
                 .post('/api/events/1/purchase')
+                .set('Authorization', 'Bearer token')
                 .send({ ticketCount: 2 });
 
             expect(clientController.purchaseTickets).toHaveBeenCalledTimes(1);
             expect(response.status).toBe(200);
         });
 
+        test('should reject unauthenticated purchases with 401', async () => {
+            const response = await request(app)
+                .post('/api/events/1/purchase')
+                .send({ ticketCount: 2 });
+
+            expect(clientController.purchaseTickets).not.toHaveBeenCalled();
+            expect(response.status).toBe(401);
+        });
+
         test('should handle purchase without body', async () => {
             clientController.purchaseTickets.mockImplementation((req, res) => {
                 res.status(200).json({ success: true });
             });
 
             const response = await request(app)
-                .post('/api/events/1/purchase');
+                .post('/api/events/1/purchase')
+                .set('Authorization', 'Bearer token');
 
             expect(clientController.purchaseTickets).toHaveBeenCalledTimes(1);
         });
@@ -96,6 +174,7 @@ describe('Client Routes', () => {
 
             const response = await request(app)
                 .post('/api/events/5/purchase')
+                .set('Authorization', 'Bearer token')
                 .send({ ticketCount: 10 });
 
             expect(clientController.purchaseTickets).toHaveBeenCalledTimes(1);
@@ -103,6 +182,247 @@ describe('Client Routes', () => {
         });
     });
 
+    describe('GET /api/orders', () => {
+        test('should call getOrders controller for authenticated users', async () => {
+            clientController.getOrders.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, userId: req.user.userId, orders: [] });
+            });
+
+            const response = await request(app)
+                .get('/api/orders')
+                .set('Authorization', 'Bearer token');
+
+            expect(clientController.getOrders).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(200);
+            expect(response.body.userId).toBe(1);
+        });
+
+        test('should reject unauthenticated requests', async () => {
+            const response = await request(app).get('/api/orders');
+
+            expect(clientController.getOrders).not.toHaveBeenCalled();
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('GET /api/orders/:id', () => {
+        test('should call getOrderById controller for authenticated users', async () => {
+            clientController.getOrderById.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, order: { id: req.params.id } });
+            });
+
+            const response = await request(app)
+                .get('/api/orders/4')
+                .set('Authorization', 'Bearer token');
+
+            expect(clientController.getOrderById).toHaveBeenCalledTimes(1);
+            expect(response.body.order.id).toBe('4');
+        });
+
+        test('should reject unauthenticated requests', async () => {
+            const response = await request(app).get('/api/orders/4');
+
+            expect(clientController.getOrderById).not.toHaveBeenCalled();
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('POST /api/orders/:id/cancel', () => {
+        test('should call cancelOrder controller for authenticated users', async () => {
+            clientController.cancelOrder.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, ticketCount: req.body.ticketCount });
+            });
+
+            const response = await request(app)
+                .post('/api/orders/4/cancel')
+                .set('Authorization', 'Bearer token')
+                .send({ ticketCount: 1 });
+
+            expect(clientController.cancelOrder).toHaveBeenCalledTimes(1);
+            expect(response.body.ticketCount).toBe(1);
+        });
+
+        test('should reject unauthenticated requests', async () => {
+            const response = await request(app).post('/api/orders/4/cancel');
+
+            expect(clientController.cancelOrder).not.toHaveBeenCalled();
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('Hold routes', () => {
+        test('should call createHold for POST /api/events/:id/holds', async () => {
+            clientController.createHold.mockImplementation((req, res) => {
+                res.status(201).json({ success: true, eventId: req.params.id });
+            });
+
+            const response = await request(app)
+                .post('/api/events/2/holds')
+                .set('Authorization', 'Bearer token')
+                .send({ ticketCount: 2 });
+
+            expect(clientController.createHold).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(201);
+            expect(response.body.eventId).toBe('2');
+        });
+
+        test('should call confirmHold for POST /api/holds/:id/confirm', async () => {
+            clientController.confirmHold.mockImplementation((req, res) => {
+                res.status(200).json({ success: true });
+            });
+
+            const response = await request(app)
+                .post('/api/holds/9/confirm')
+                .set('Authorization', 'Bearer token');
+
+            expect(clientController.confirmHold).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(200);
+        });
+
+        test('should call releaseHold for DELETE /api/holds/:id', async () => {
+            clientController.releaseHold.mockImplementation((req, res) => {
+                res.status(200).json({ success: true });
+            });
+
+            const response = await request(app)
+                .delete('/api/holds/9')
+                .set('Authorization', 'Bearer token');
+
+            expect(clientController.releaseHold).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject unauthenticated hold requests', async () => {
+            await request(app).post('/api/events/2/holds').expect(401);
+            await request(app).post('/api/holds/9/confirm').expect(401);
+            await request(app).delete('/api/holds/9').expect(401);
+
+            expect(clientController.createHold).not.toHaveBeenCalled();
+            expect(clientController.confirmHold).not.toHaveBeenCalled();
+            expect(clientController.releaseHold).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Ticket routes', () => {
+        test('should call getTickets for GET /api/tickets', async () => {
+            clientController.getTickets.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, tickets: [] });
+            });
+
+            const response = await request(app)
+                .get('/api/tickets')
+                .set('Authorization', 'Bearer token');
+
+            expect(clientController.getTickets).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(200);
+        });
+
+        test('should call getTicketById for GET /api/tickets/:id', async () => {
+            clientController.getTicketById.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, ticketId: req.params.id });
+            });
+
+            const response = await request(app)
+                .get('/api/tickets/3')
+                .set('Authorization', 'Bearer token');
+
+            expect(clientController.getTicketById).toHaveBeenCalledTimes(1);
+            expect(response.body.ticketId).toBe('3');
+        });
+
+        test('should reject unauthenticated ticket requests', async () => {
+            await request(app).get('/api/tickets').expect(401);
+            await request(app).get('/api/tickets/3').expect(401);
+
+            expect(clientController.getTickets).not.toHaveBeenCalled();
+            expect(clientController.getTicketById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Transfer routes', () => {
+        test('should call startTransfer for POST /api/tickets/:id/transfers', async () => {
+            clientController.startTransfer.mockImplementation((req, res) => {
+                res.status(201).json({ success: true, ticketId: req.params.id, email: req.body.email });
+            });
+
+            const response = await request(app)
+                .post('/api/tickets/3/transfers')
+                .set('Authorization', 'Bearer token')
+                .send({ email: 'friend@clemson.edu' });
+
+            expect(response.status).toBe(201);
+            expect(response.body).toEqual({ success: true, ticketId: '3', email: 'friend@clemson.edu' });
+        });
+
+        test('should call getTransfers for GET /api/transfers', async () => {
+            clientController.getTransfers.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, transfers: [] });
+            });
+
+            await request(app)
+                .get('/api/transfers')
+                .set('Authorization', 'Bearer token')
+                .expect(200);
+
+            expect(clientController.getTransfers).toHaveBeenCalledTimes(1);
+        });
+
+        test('should call acceptTransfer and cancelTransfer with the transfer ID', async () => {
+            clientController.acceptTransfer.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, transferId: req.params.id });
+            });
+            clientController.cancelTransfer.mockImplementation((req, res) => {
+                res.status(200).json({ success: true, transferId: req.params.id });
+            });
+
+            const accepted = await request(app)
+                .post('/api/transfers/5/accept')
+                .set('Authorization', 'Bearer token');
+            const cancelled = await request(app)
+                .post('/api/transfers/6/cancel')
+                .set('Authorization', 'Bearer token');
+
+            expect(accepted.body.transferId).toBe('5');
+            expect(cancelled.body.transferId).toBe('6');
+        });
+
+        test('should reject unauthenticated transfer requests', async () => {
+            await request(app).post('/api/tickets/3/transfers').send({ email: 'friend@clemson.edu' }).expect(401);
+            await request(app).get('/api/transfers').expect(401);
+            await request(app).post('/api/transfers/5/accept').expect(401);
+            await request(app).post('/api/transfers/5/cancel').expect(401);
+
+            expect(clientController.startTransfer).not.toHaveBeenCalled();
+            expect(clientController.acceptTransfer).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Waitlist routes', () => {
+        test.each([
+            ['post', '/api/events/2/waitlist', 'joinWaitlist'],
+            ['get', '/api/events/2/waitlist', 'getWaitlistEntry'],
+            ['delete', '/api/events/2/waitlist', 'leaveWaitlist'],
+            ['get', '/api/waitlist', 'getWaitlist']
+        ])('should route %s %s to %s', async (method, url, handler) => {
+            clientController[handler].mockImplementation((req, res) => {
+                res.status(200).json({ success: true });
+            });
+
+            const response = await request(app)[method](url).set('Authorization', 'Bearer token');
+
+            expect(clientController[handler]).toHaveBeenCalledTimes(1);
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject unauthenticated waitlist requests', async () => {
+            await request(app).post('/api/events/2/waitlist').expect(401);
+            await request(app).get('/api/waitlist').expect(401);
+
+            expect(clientController.joinWaitlist).not.toHaveBeenCalled();
+            expect(clientController.getWaitlist).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Invalid routes', () => {
         test('should return 404 for non-existent routes', async () => {
             const response = await request(app).get('/api/invalid');
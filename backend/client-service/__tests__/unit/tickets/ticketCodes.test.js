@@ -0,0 +1,43 @@
+const { createTicketCode, verifyTicketCode, renderTicketQr } = require('../../../tickets/ticketCodes');
+
+describe('Ticket Codes - signing', () => {
+    test('should create unique signed codes for an event', () => {
+        const first = createTicketCode(12);
+        const second = createTicketCode(12);
+
+        expect(first).toMatch(/^TT1\.12\.[\w-]+\.[\w-]+$/);
+        expect(second).not.toBe(first);
+    });
+
+    test('should verify a genuine code', () => {
+        const code = createTicketCode(5);
+
+        expect(verifyTicketCode(code)).toEqual({ eventId: 5, serial: code.split('.')[2] });
+    });
+
+    test('should reject codes whose event or serial was changed', () => {
+        const [version, , serial, signature] = createTicketCode(5).split('.');
+
+        expect(verifyTicketCode([version, '6', serial, signature].join('.'))).toBeNull();
+        expect(verifyTicketCode([version, '5', `${serial}x`, signature].join('.'))).toBeNull();
+    });
+
+    test.each([
+        ['a forged signature', 'TT1.5.abc.forged'],
+        ['the wrong version', 'TT0.5.abc.def'],
+        ['too few parts', 'TT1.5.abc'],
+        ['a non-numeric event', 'TT1.x.abc.def'],
+        ['a non-string', 42]
+    ])('should reject %s', (label, code) => {
+        expect(verifyTicketCode(code)).toBeNull();
+    });
+});
+
+describe('Ticket Codes - renderTicketQr', () => {
+    test('should render a code as SVG and PNG QR codes', async () => {
+        const { svg, png } = await renderTicketQr(createTicketCode(1));
+
+        expect(svg).toMatch(/^<svg[^>]*>/);
+        expect(png).toMatch(/^data:image\/png;base64,/);
+    });
+});
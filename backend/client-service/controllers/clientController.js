@@ -2,38 +2,80 @@
  * Client Controller - Business Logic for Client Operations
  * 
  * This module contains the business logic for handling client requests
- * including fetching events and processing ticket purchases.
+ * including fetching events, their seat maps and the series they belong
+ * to, processing ticket purchases, managing checkout holds, running
+ * waitlists and showing tickets.
  * It acts as an intermediary between routes and models.
  */
 
 const clientModel = require('../models/clientModel');
+const { renderTicketQr } = require('../tickets/ticketCodes');
+const { findUserByEmail } = require('../../user-authentication/models/userModel');
+const { isValidDate, EVENT_CATEGORIES } = require('../../shared-db/validation');
+const { LIFECYCLE_STATUSES } = require('../../shared-db/eventLifecycle');
+
+// Events per page when a search does not ask for a size, and the most it may ask for
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Longest search text accepted, in characters
+const MAX_SEARCH_LENGTH = 200;
+
+// Orders events can be sorted in; a leading "-" reverses the order, and
+// relevance (best search match first) needs search text
+const EVENT_SORT_ORDERS = ['relevance', 'date', '-date', 'price', '-price', 'name'];
 
 /**
- * Get all events for client display
- * Handles the GET /api/events endpoint
+ * Get a page of events for client display, searched, filtered and sorted
+ * Handles the GET /api/events endpoint. Pass the response's nextCursor
+ * back as cursor, with the same search, to get the next page.
  * 
  * @param {Object} req - Express request object
+ * @param {string} [req.query.q] - Words to search event names, descriptions and venues for
+ * @param {string} [req.query.from] - Earliest event date (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Latest event date (YYYY-MM-DD)
+ * @param {string} [req.query.category] - Event category
+ * @param {string} [req.query.status] - Comma-separated lifecycle statuses (upcoming, on_sale, sales_closed, in_progress, past, cancelled); all but past by default
+ * @param {string} [req.query.available] - "true" for events on sale with tickets left
+ * @param {string} [req.query.sort] - 'relevance' (the default with q), 'date' (the default without), '-date', 'price', '-price' or 'name'
+ * @param {string} [req.query.cursor] - nextCursor from the previous page
+ * @param {string} [req.query.limit='20'] - Events per page (at most 100)
  * @param {Object} res - Express response object
  * @returns {void} Sends JSON response with events or error
  */
 async function getAllEvents(req, res) {
     try {
-        console.log('Fetching all events for client display...');
+        const options = parseEventQuery(req, res);
+        if (!options) {
+            return;
+        }
         
-        const events = await clientModel.getAllEvents();
+        console.log('Fetching events for client display...');
+        
+        const { events, total, nextCursor } = await clientModel.searchEvents(options);
         
         // Log the number of events found
-        console.log(`Found ${events.length} events`);
+        console.log(`Found ${events.length} of ${total} events`);
         
         // Return successful response
         res.status(200).json({
             success: true,
             message: 'Events retrieved successfully',
             count: events.length,
+            total: total,
+            nextCursor: nextCursor,
             events: events
         });
         
     } catch (error) {
+        if (error.message.startsWith('Invalid cursor')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor',
+                message: 'Cursor does not belong to this search; start again without one'
+            });
+        }
+        
         console.error('Error in getAllEvents controller:', error.message);
         
         // Return error response
@@ -45,6 +87,195 @@ async function getAllEvents(req, res) {
     }
 }
 
+/**
+ * Read and validate the search, filters, sort and page of an events request
+ * Sends a 400 response when any of them is invalid.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Options for clientModel.searchEvents, or null when a response was sent
+ */
+function parseEventQuery(req, res) {
+    const query = req.query || {};
+    const { from, to, category, available, cursor } = query;
+    const q = typeof query.q === 'string' ? query.q.trim() : query.q;
+    const sort = query.sort === undefined ? (q ? 'relevance' : 'date') : query.sort;
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    const statuses = typeof query.status === 'string' ? query.status.split(',').map(status => status.trim()) : query.status;
+    let error = null;
+    
+    if (q !== undefined && (typeof q !== 'string' || q.length > MAX_SEARCH_LENGTH)) {
+        error = ['Invalid search', `Search text must be at most ${MAX_SEARCH_LENGTH} characters`];
+    } else if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+        error = ['Invalid date range', 'From and to dates must be in YYYY-MM-DD format'];
+    } else if (from !== undefined && to !== undefined && from > to) {
+        error = ['Invalid date range', 'The from date cannot be after the to date'];
+    } else if (category !== undefined && !EVENT_CATEGORIES.includes(category)) {
+        error = ['Invalid category', `Category must be one of: ${EVENT_CATEGORIES.join(', ')}`];
+    } else if (statuses !== undefined && (!Array.isArray(statuses) || !statuses.every(status => LIFECYCLE_STATUSES.includes(status)))) {
+        error = ['Invalid status', `Status must be a comma-separated list of: ${LIFECYCLE_STATUSES.join(', ')}`];
+    } else if (available !== undefined && available !== 'true' && available !== 'false') {
+        error = ['Invalid availability filter', 'Available must be true or false'];
+    } else if (!EVENT_SORT_ORDERS.includes(sort)) {
+        error = ['Invalid sort', `Sort must be one of: ${EVENT_SORT_ORDERS.join(', ')}`];
+    } else if (sort === 'relevance' && !q) {
+        error = ['Invalid sort', 'Sorting by relevance needs search text (q)'];
+    } else if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        error = ['Invalid limit', `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`];
+    } else if (cursor !== undefined && (typeof cursor !== 'string' || cursor.length === 0)) {
+        error = ['Invalid cursor', 'Cursor must be the nextCursor of a previous page'];
+    }
+    
+    if (error) {
+        res.status(400).json({
+            success: false,
+            error: error[0],
+            message: error[1]
+        });
+        return null;
+    }
+    
+    return {
+        q: q || undefined,
+        from,
+        to,
+        category,
+        statuses,
+        available: available === 'true',
+        sort,
+        cursor: cursor || null,
+        limit
+    };
+}
+
+/**
+ * Read and validate the event, ticket count, ticket type and seats of a ticket request
+ * Sends a 400 response when any of them is invalid. When seats are chosen
+ * the ticket count defaults to the number of seats and must match it.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { eventId, ticketCount, ticketTypeId, seatIds }, or null when a response was sent
+ */
+function parseTicketRequest(req, res) {
+    const body = req.body || {};
+    const eventId = parseInt(req.params.id);
+    const seatIds = Array.isArray(body.seatIds) ? body.seatIds.map(seatId => parseInt(seatId)) : null;
+    const ticketCount = body.ticketCount !== undefined
+        ? parseInt(body.ticketCount)
+        : (seatIds ? seatIds.length : 1);
+    const ticketTypeId = body.ticketTypeId !== undefined && body.ticketTypeId !== null
+        ? parseInt(body.ticketTypeId)
+        : null;
+    
+    // Input validation
+    if (isNaN(eventId) || eventId <= 0) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid event ID',
+            message: 'Event ID must be a positive integer'
+        });
+        return null;
+    }
+    
+    if (body.seatIds !== undefined && body.seatIds !== null && (!seatIds || seatIds.length === 0 ||
+        seatIds.some(seatId => isNaN(seatId) || seatId <= 0) || new Set(seatIds).size !== seatIds.length)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid seats',
+            message: 'Seat IDs must be a non-empty list of different positive integers'
+        });
+        return null;
+    }
+    
+    if (isNaN(ticketCount) || ticketCount <= 0) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid ticket count',
+            message: 'Ticket count must be a positive integer'
+        });
+        return null;
+    }
+    
+    if (ticketTypeId !== null && (isNaN(ticketTypeId) || ticketTypeId <= 0)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid ticket type',
+            message: 'Ticket type ID must be a positive integer'
+        });
+        return null;
+    }
+    
+    if (seatIds && ticketCount !== seatIds.length) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid ticket count',
+            message: `Ticket count must match the ${seatIds.length} seat(s) chosen`
+        });
+        return null;
+    }
+    
+    return { eventId, ticketCount, ticketTypeId, seatIds };
+}
+
+/**
+ * Map a payment provider error to an HTTP status code
+ * Timeouts are 504s; declines and other payment failures are 402s.
+ * 
+ * @param {Error} error - Error thrown by the model
+ * @returns {number|null} HTTP status code, or null for non-payment errors
+ */
+function getPaymentErrorStatus(error) {
+    if (!error.message.startsWith('Payment ')) {
+        return null;
+    }
+    
+    return error.message.includes('timed out') ? 504 : 402;
+}
+
+/**
+ * Check whether an error says the event is not selling tickets: it was
+ * cancelled, its sales have not opened or have closed, or it has started
+ * 
+ * @param {Error} error - Error thrown by the model
+ * @returns {boolean} True when the event is not on sale
+ */
+function isEventClosedError(error) {
+    return ['has been cancelled', 'not on sale yet', 'have closed', 'has already started', 'has already taken place']
+        .some(reason => error.message.includes(reason));
+}
+
+/**
+ * Map an error from taking tickets out of inventory to an HTTP status code
+ * 
+ * @param {Error} error - Error thrown by the model
+ * @returns {number} HTTP status code
+ */
+function getTicketErrorStatus(error) {
+    const paymentStatus = getPaymentErrorStatus(error);
+    if (paymentStatus) {
+        return paymentStatus;
+    }
+    
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    
+    if (error.message.includes('Not enough tickets') || 
+        error.message.includes('choose a ticket type') ||
+        error.message.includes('choose seats') ||
+        error.message.includes('reserved seating') ||
+        error.message.includes('no longer available') ||
+        error.message.includes('Sales for') ||
+        error.message.includes('Purchase limit') ||
+        isEventClosedError(error) ||
+        error.message.includes('Invalid')) {
+        return 400;
+    }
+    
+    return 500;
+}
+
 /**
  * Purchase tickets for a specific event
  * Handles the POST /api/events/:id/purchase endpoint
@@ -52,35 +283,30 @@ async function getAllEvents(req, res) {
  * @param {Object} req - Express request object
  * @param {string} req.params.id - Event ID from URL parameter
  * @param {number} [req.body.ticketCount] - Number of tickets to purchase (optional, defaults to 1)
+ * @param {number} [req.body.ticketTypeId] - Ticket type to buy (required when the event has ticket types)
+ * @param {Array<number>} [req.body.seatIds] - Seats to buy (required when the event has reserved seating)
+ * @param {string} [req.body.paymentToken] - Token for the customer's payment method
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
  * @param {Object} res - Express response object
  * @returns {void} Sends JSON response with purchase result or error
  */
 async function purchaseTickets(req, res) {
     try {
-        const eventId = parseInt(req.params.id);
-        const ticketCount = req.body.ticketCount !== undefined ? parseInt(req.body.ticketCount) : 1;
-        
-        // Input validation
-        if (isNaN(eventId) || eventId <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid event ID',
-                message: 'Event ID must be a positive integer'
-            });
-        }
-        
-        if (isNaN(ticketCount) || ticketCount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid ticket count',
-                message: 'Ticket count must be a positive integer'
-            });
+        const ticketRequest = parseTicketRequest(req, res);
+        if (!ticketRequest) {
+            return;
         }
+        const { eventId, ticketCount, ticketTypeId, seatIds } = ticketRequest;
         
-        console.log(`Processing purchase for event ${eventId}, ${ticketCount} ticket(s)...`);
+        console.log(`Processing purchase for event ${eventId}, ${ticketCount} ticket(s) by user ${req.user.userId}...`);
         
         // Process the purchase
-        const result = await clientModel.purchaseTickets(eventId, ticketCount);
+        const result = await clientModel.purchaseTickets(eventId, ticketCount, {
+            userId: req.user.userId,
+            ticketTypeId: ticketTypeId,
+            seatIds: seatIds,
+            paymentToken: (req.body || {}).paymentToken || null
+        });
         
         console.log(`Purchase successful: ${result.message}`);
         
@@ -88,6 +314,9 @@ async function purchaseTickets(req, res) {
         res.status(200).json({
             success: true,
             message: result.message,
+            orderId: result.order.id,
+            order: result.order,
+            tickets: result.tickets,
             event: result.event,
             ticketsPurchased: result.ticketsPurchased
         });
@@ -95,37 +324,278 @@ async function purchaseTickets(req, res) {
     } catch (error) {
         console.error('Error in purchaseTickets controller:', error.message);
         
-        // Determine appropriate status code based on error type
-        let statusCode = 500;
-        if (error.message.includes('not found')) {
-            statusCode = 404;
-        } else if (error.message.includes('Not enough tickets') || 
-                   error.message.includes('Invalid')) {
-            statusCode = 400;
+        res.status(getTicketErrorStatus(error)).json({
+            success: false,
+            error: 'Purchase failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Hold tickets for the authenticated user during checkout
+ * Handles the POST /api/client/events/:id/holds endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID from URL parameter
+ * @param {number} [req.body.ticketCount] - Number of tickets to hold (optional, defaults to 1)
+ * @param {number} [req.body.ticketTypeId] - Ticket type to hold (required when the event has ticket types)
+ * @param {Array<number>} [req.body.seatIds] - Seats to hold (required when the event has reserved seating)
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the new hold or error
+ */
+async function createHold(req, res) {
+    try {
+        const ticketRequest = parseTicketRequest(req, res);
+        if (!ticketRequest) {
+            return;
         }
+        const { eventId, ticketCount, ticketTypeId, seatIds } = ticketRequest;
         
-        res.status(statusCode).json({
+        console.log(`Holding ${ticketCount} ticket(s) for event ${eventId} for user ${req.user.userId}...`);
+        
+        const result = await clientModel.createHold(eventId, ticketCount, {
+            userId: req.user.userId,
+            ticketTypeId: ticketTypeId,
+            seatIds: seatIds
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: result.message,
+            hold: result.hold,
+            event: result.event
+        });
+        
+    } catch (error) {
+        console.error('Error in createHold controller:', error.message);
+        
+        res.status(getTicketErrorStatus(error)).json({
             success: false,
-            error: 'Purchase failed',
+            error: 'Hold failed',
             message: error.message
         });
     }
 }
 
 /**
- * Get details for a specific event by ID
- * Handles the GET /api/events/:id endpoint
+ * Map an error from confirming or releasing a hold to an HTTP status code
+ * 
+ * @param {Error} error - Error thrown by the model
+ * @returns {number} HTTP status code
+ */
+function getHoldErrorStatus(error) {
+    const paymentStatus = getPaymentErrorStatus(error);
+    if (paymentStatus) {
+        return paymentStatus;
+    }
+    
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    
+    if (error.message.includes('Hold has') ||
+        isEventClosedError(error) ||
+        error.message.includes('Invalid')) {
+        return 400;
+    }
+    
+    return 500;
+}
+
+/**
+ * Read and validate the hold ID from the URL
+ * Sends a 400 response when it is invalid
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {number|null} Hold ID, or null when a response was sent
+ */
+function parseHoldId(req, res) {
+    const holdId = parseInt(req.params.id);
+    
+    if (isNaN(holdId) || holdId <= 0) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid hold ID',
+            message: 'Hold ID must be a positive integer'
+        });
+        return null;
+    }
+    
+    return holdId;
+}
+
+/**
+ * Pay for one of the authenticated user's holds and turn it into an order
+ * Handles the POST /api/client/holds/:id/confirm endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Hold ID from URL parameter
+ * @param {string} [req.body.paymentToken] - Token for the customer's payment method
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the new order or error
+ */
+async function confirmHold(req, res) {
+    try {
+        const holdId = parseHoldId(req, res);
+        if (holdId === null) {
+            return;
+        }
+        
+        console.log(`Confirming hold ${holdId} for user ${req.user.userId}...`);
+        
+        const result = await clientModel.confirmHold(holdId, req.user.userId, {
+            paymentToken: (req.body || {}).paymentToken || null
+        });
+        
+        console.log(`Hold confirmed: ${result.message}`);
+        
+        res.status(200).json({
+            success: true,
+            message: result.message,
+            orderId: result.order.id,
+            order: result.order,
+            tickets: result.tickets,
+            hold: result.hold
+        });
+        
+    } catch (error) {
+        console.error('Error in confirmHold controller:', error.message);
+        
+        res.status(getHoldErrorStatus(error)).json({
+            success: false,
+            error: 'Confirmation failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Release one of the authenticated user's holds before it expires
+ * Handles the DELETE /api/client/holds/:id endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Hold ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the released hold or error
+ */
+async function releaseHold(req, res) {
+    try {
+        const holdId = parseHoldId(req, res);
+        if (holdId === null) {
+            return;
+        }
+        
+        const result = await clientModel.releaseHold(holdId, req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: result.message,
+            hold: result.hold,
+            event: result.event
+        });
+        
+    } catch (error) {
+        console.error('Error in releaseHold controller:', error.message);
+        
+        res.status(getHoldErrorStatus(error)).json({
+            success: false,
+            error: 'Release failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Map an error from joining or leaving a waitlist to an HTTP status code
+ * 
+ * @param {Error} error - Error thrown by the model
+ * @returns {number} HTTP status code
+ */
+function getWaitlistErrorStatus(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    
+    if (error.message.includes('already on the waitlist')) {
+        return 409;
+    }
+    
+    if (error.message.includes('still available') ||
+        error.message.includes('choose a ticket type') ||
+        error.message.includes('reserved seating') ||
+        error.message.includes('Sales for') ||
+        error.message.includes('Purchase limit') ||
+        isEventClosedError(error) ||
+        error.message.includes('Invalid')) {
+        return 400;
+    }
+    
+    return 500;
+}
+
+/**
+ * Join the waitlist for a sold-out event
+ * Handles the POST /api/client/events/:id/waitlist endpoint
  * 
  * @param {Object} req - Express request object
  * @param {string} req.params.id - Event ID from URL parameter
+ * @param {number} [req.body.ticketCount] - Number of tickets wanted (optional, defaults to 1)
+ * @param {number} [req.body.ticketTypeId] - Ticket type wanted (required when the event has ticket types)
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
  * @param {Object} res - Express response object
- * @returns {void} Sends JSON response with event details or error
+ * @returns {void} Sends JSON response with the new waitlist entry or error
  */
-async function getEventById(req, res) {
+async function joinWaitlist(req, res) {
+    try {
+        const ticketRequest = parseTicketRequest(req, res);
+        if (!ticketRequest) {
+            return;
+        }
+        const { eventId, ticketCount, ticketTypeId } = ticketRequest;
+        
+        console.log(`Adding user ${req.user.userId} to the waitlist for event ${eventId}...`);
+        
+        const result = await clientModel.joinWaitlist(eventId, req.user.userId, {
+            ticketCount: ticketCount,
+            ticketTypeId: ticketTypeId
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: result.message,
+            entry: result.entry
+        });
+        
+    } catch (error) {
+        console.error('Error in joinWaitlist controller:', error.message);
+        
+        res.status(getWaitlistErrorStatus(error)).json({
+            success: false,
+            error: 'Failed to join waitlist',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get the authenticated user's place on an event's waitlist
+ * Handles the GET /api/client/events/:id/waitlist endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the waitlist entry or error
+ */
+async function getWaitlistEntry(req, res) {
     try {
         const eventId = parseInt(req.params.id);
         
-        // Input validation
         if (isNaN(eventId) || eventId <= 0) {
             return res.status(400).json({
                 success: false,
@@ -134,32 +604,739 @@ async function getEventById(req, res) {
             });
         }
         
-        console.log(`Fetching event details for ID: ${eventId}`);
-        
-        const event = await clientModel.getEventById(eventId);
+        const entry = await clientModel.getWaitlistEntry(eventId, req.user.userId);
         
-        if (!event) {
+        if (!entry) {
             return res.status(404).json({
                 success: false,
-                error: 'Event not found',
-                message: `Event with ID ${eventId} does not exist`
+                error: 'Waitlist entry not found',
+                message: `You are not on the waitlist for event ${eventId}`
             });
         }
         
-        console.log(`Found event: ${event.name}`);
-        
         res.status(200).json({
             success: true,
-            message: 'Event retrieved successfully',
-            event: event
+            message: 'Waitlist entry retrieved successfully',
+            entry: entry
         });
         
     } catch (error) {
-        console.error('Error in getEventById controller:', error.message);
+        console.error('Error in getWaitlistEntry controller:', error.message);
         
         res.status(500).json({
             success: false,
-            error: 'Failed to retrieve event',
+            error: 'Failed to retrieve waitlist entry',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Leave an event's waitlist, giving up any claim that was offered
+ * Handles the DELETE /api/client/events/:id/waitlist endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the closed entry or error
+ */
+async function leaveWaitlist(req, res) {
+    try {
+        const eventId = parseInt(req.params.id);
+        
+        if (isNaN(eventId) || eventId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+        
+        const result = await clientModel.leaveWaitlist(eventId, req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: result.message,
+            entry: result.entry
+        });
+        
+    } catch (error) {
+        console.error('Error in leaveWaitlist controller:', error.message);
+        
+        res.status(getWaitlistErrorStatus(error)).json({
+            success: false,
+            error: 'Failed to leave waitlist',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get every waitlist the authenticated user is on
+ * Handles the GET /api/client/waitlist endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the user's waitlist entries or error
+ */
+async function getWaitlist(req, res) {
+    try {
+        const entries = await clientModel.getWaitlistByUser(req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Waitlist entries retrieved successfully',
+            count: entries.length,
+            entries: entries
+        });
+        
+    } catch (error) {
+        console.error('Error in getWaitlist controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve waitlist entries',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get details for a specific event by ID
+ * Handles the GET /api/events/:id endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID from URL parameter
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with event details or error
+ */
+async function getEventById(req, res) {
+    try {
+        const eventId = parseInt(req.params.id);
+        
+        // Input validation
+        if (isNaN(eventId) || eventId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+        
+        console.log(`Fetching event details for ID: ${eventId}`);
+        
+        const event = await clientModel.getEventById(eventId);
+        
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found',
+                message: `Event with ID ${eventId} does not exist`
+            });
+        }
+        
+        console.log(`Found event: ${event.name}`);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Event retrieved successfully',
+            event: event
+        });
+        
+    } catch (error) {
+        console.error('Error in getEventById controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve event',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get the seat map of an event with reserved seating
+ * Handles the GET /api/client/events/:id/seats endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Event ID from URL parameter
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the seats by section and row, or error
+ */
+async function getEventSeats(req, res) {
+    try {
+        const eventId = parseInt(req.params.id);
+        
+        if (isNaN(eventId) || eventId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid event ID',
+                message: 'Event ID must be a positive integer'
+            });
+        }
+        
+        const seatMap = await clientModel.getEventSeats(eventId);
+        
+        if (!seatMap) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found',
+                message: `Event with ID ${eventId} does not exist`
+            });
+        }
+        
+        if (seatMap.sections.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Seat map not found',
+                message: `${seatMap.event_name} does not have reserved seating`
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Seats retrieved successfully',
+            seatsAvailable: seatMap.seats_available,
+            sections: seatMap.sections
+        });
+    
+    } catch (error) {
+        console.error('Error in getEventSeats controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve seats',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get all event series with their occurrences
+ * Handles the GET /api/client/series endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the series or error
+ */
+async function getAllSeries(req, res) {
+    try {
+        const series = await clientModel.getAllSeries();
+        
+        res.status(200).json({
+            success: true,
+            message: 'Series retrieved successfully',
+            count: series.length,
+            series: series
+        });
+    
+    } catch (error) {
+        console.error('Error in getAllSeries controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve series',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get a specific event series with its occurrences
+ * Handles the GET /api/client/series/:id endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Series ID from URL parameter
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the series or error
+ */
+async function getSeriesById(req, res) {
+    try {
+        const seriesId = parseInt(req.params.id);
+        
+        if (isNaN(seriesId) || seriesId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid series ID',
+                message: 'Series ID must be a positive integer'
+            });
+        }
+        
+        const series = await clientModel.getSeriesById(seriesId);
+        
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                error: 'Series not found',
+                message: `Series with ID ${seriesId} does not exist`
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Series retrieved successfully',
+            series: series
+        });
+    
+    } catch (error) {
+        console.error('Error in getSeriesById controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve series',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get the authenticated user's orders
+ * Handles the GET /api/client/orders endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the user's orders or error
+ */
+async function getOrders(req, res) {
+    try {
+        const orders = await clientModel.getOrdersByUser(req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Orders retrieved successfully',
+            count: orders.length,
+            orders: orders
+        });
+        
+    } catch (error) {
+        console.error('Error in getOrders controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve orders',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get a single order belonging to the authenticated user
+ * Handles the GET /api/client/orders/:id endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Order ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with order details or error
+ */
+async function getOrderById(req, res) {
+    try {
+        const orderId = parseInt(req.params.id);
+        
+        if (isNaN(orderId) || orderId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID',
+                message: 'Order ID must be a positive integer'
+            });
+        }
+        
+        const order = await clientModel.getOrderById(orderId, req.user.userId);
+        
+        // Orders owned by other users are reported as missing
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found',
+                message: `Order with ID ${orderId} does not exist`
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Order retrieved successfully',
+            order: order
+        });
+        
+    } catch (error) {
+        console.error('Error in getOrderById controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve order',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get every ticket issued to the authenticated user
+ * Handles the GET /api/client/tickets endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the user's tickets or error
+ */
+async function getTickets(req, res) {
+    try {
+        const tickets = await clientModel.getTicketsByUser(req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Tickets retrieved successfully',
+            count: tickets.length,
+            tickets: tickets
+        });
+        
+    } catch (error) {
+        console.error('Error in getTickets controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve tickets',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get one of the authenticated user's tickets with its code rendered as a QR code
+ * Handles the GET /api/client/tickets/:id endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ticket ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the ticket, its code and QR renderings, or error
+ */
+async function getTicketById(req, res) {
+    try {
+        const ticketId = parseInt(req.params.id);
+        
+        if (isNaN(ticketId) || ticketId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid ticket ID',
+                message: 'Ticket ID must be a positive integer'
+            });
+        }
+        
+        const ticket = await clientModel.getTicketById(ticketId, req.user.userId);
+        
+        // Tickets held by other users are reported as missing
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ticket not found',
+                message: `Ticket with ID ${ticketId} does not exist`
+            });
+        }
+        
+        const qrCode = await renderTicketQr(ticket.code);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Ticket retrieved successfully',
+            ticket: ticket,
+            code: ticket.code,
+            qrCode: qrCode
+        });
+        
+    } catch (error) {
+        console.error('Error in getTicketById controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve ticket',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Map an error from a ticket transfer to an HTTP status code
+ * 
+ * @param {Error} error - Error thrown by the model
+ * @returns {number} HTTP status code
+ */
+function getTransferErrorStatus(error) {
+    if (error.message.includes('not found')) {
+        return 404;
+    }
+    
+    if (error.message.includes('pending transfer') ||
+        error.message.includes('already been') ||
+        error.message.includes('no longer')) {
+        return 409;
+    }
+    
+    if (error.message.includes('cannot') ||
+        error.message.includes('Invalid')) {
+        return 400;
+    }
+    
+    return 500;
+}
+
+/**
+ * Parse a transfer ID route parameter, sending a 400 response when it is invalid
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {number|null} Transfer ID, or null when a response has been sent
+ */
+function parseTransferId(req, res) {
+    const transferId = parseInt(req.params.id);
+    
+    if (isNaN(transferId) || transferId <= 0) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid transfer ID',
+            message: 'Transfer ID must be a positive integer'
+        });
+        return null;
+    }
+    
+    return transferId;
+}
+
+/**
+ * Start transferring one of the authenticated user's tickets to another account
+ * Handles the POST /api/client/tickets/:id/transfers endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ticket ID from URL parameter
+ * @param {string} req.body.email - Email of the registered account receiving the ticket
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the pending transfer or error
+ */
+async function startTransfer(req, res) {
+    try {
+        const ticketId = parseInt(req.params.id);
+        const body = req.body || {};
+        const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+        
+        if (isNaN(ticketId) || ticketId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid ticket ID',
+                message: 'Ticket ID must be a positive integer'
+            });
+        }
+        
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid email',
+                message: 'Please enter the email address of the account receiving the ticket'
+            });
+        }
+        
+        const recipient = await findUserByEmail(email);
+        if (!recipient) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recipient not found',
+                message: `No account is registered with ${email}`
+            });
+        }
+        
+        const transfer = await clientModel.createTransfer(ticketId, req.user.userId, recipient.id);
+        
+        console.log(`Ticket ${ticketId} transfer ${transfer.id} started from user ${req.user.userId} to user ${recipient.id}`);
+        
+        res.status(201).json({
+            success: true,
+            message: `Transfer started. The ticket moves to ${recipient.email} once they accept it.`,
+            transfer: transfer
+        });
+        
+    } catch (error) {
+        console.error('Error in startTransfer controller:', error.message);
+        
+        res.status(getTransferErrorStatus(error)).json({
+            success: false,
+            error: 'Transfer failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get the transfers the authenticated user has sent or received
+ * Handles the GET /api/client/transfers endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the user's transfers or error
+ */
+async function getTransfers(req, res) {
+    try {
+        const transfers = await clientModel.getTransfersByUser(req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Transfers retrieved successfully',
+            count: transfers.length,
+            transfers: transfers
+        });
+        
+    } catch (error) {
+        console.error('Error in getTransfers controller:', error.message);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve transfers',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Accept a ticket transfer sent to the authenticated user
+ * Handles the POST /api/client/transfers/:id/accept endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Transfer ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the accepted transfer and the re-issued ticket, or error
+ */
+async function acceptTransfer(req, res) {
+    try {
+        const transferId = parseTransferId(req, res);
+        if (!transferId) {
+            return;
+        }
+        
+        const result = await clientModel.acceptTransfer(transferId, req.user.userId);
+        
+        console.log(`Transfer ${transferId} accepted by user ${req.user.userId}`);
+        
+        res.status(200).json({
+            success: true,
+            message: `Ticket for ${result.ticket.event_name} received`,
+            transfer: result.transfer,
+            ticket: result.ticket
+        });
+        
+    } catch (error) {
+        console.error('Error in acceptTransfer controller:', error.message);
+        
+        res.status(getTransferErrorStatus(error)).json({
+            success: false,
+            error: 'Transfer failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Cancel a pending transfer the authenticated user sent, or decline one they received
+ * Handles the POST /api/client/transfers/:id/cancel endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Transfer ID from URL parameter
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with the cancelled or declined transfer, or error
+ */
+async function cancelTransfer(req, res) {
+    try {
+        const transferId = parseTransferId(req, res);
+        if (!transferId) {
+            return;
+        }
+        
+        const transfer = await clientModel.cancelTransfer(transferId, req.user.userId);
+        
+        res.status(200).json({
+            success: true,
+            message: `Transfer ${transfer.status}`,
+            transfer: transfer
+        });
+        
+    } catch (error) {
+        console.error('Error in cancelTransfer controller:', error.message);
+        
+        res.status(getTransferErrorStatus(error)).json({
+            success: false,
+            error: 'Transfer failed',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Cancel tickets on one of the authenticated user's orders
+ * Handles the POST /api/client/orders/:id/cancel endpoint
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Order ID from URL parameter
+ * @param {number} [req.body.ticketCount] - Number of tickets to refund (optional, defaults to all remaining)
+ * @param {Object} req.user - Decoded JWT payload attached by the auth middleware
+ * @param {Object} res - Express response object
+ * @returns {void} Sends JSON response with refund result or error
+ */
+async function cancelOrder(req, res) {
+    try {
+        const orderId = parseInt(req.params.id);
+        const body = req.body || {};
+        const ticketCount = body.ticketCount !== undefined ? parseInt(body.ticketCount) : null;
+        
+        if (isNaN(orderId) || orderId <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID',
+                message: 'Order ID must be a positive integer'
+            });
+        }
+        
+        if (ticketCount !== null && (isNaN(ticketCount) || ticketCount <= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid ticket count',
+                message: 'Ticket count must be a positive integer'
+            });
+        }
+        
+        console.log(`Cancelling order ${orderId} for user ${req.user.userId}...`);
+        
+        const result = await clientModel.cancelOrder(orderId, req.user.userId, ticketCount);
+        
+        console.log(`Cancellation successful: ${result.message}`);
+        
+        res.status(200).json({
+            success: true,
+            message: result.message,
+            order: result.order,
+            event: result.event,
+            ticketsRefunded: result.ticketsRefunded,
+            amountRefundedCents: result.amountRefundedCents
+        });
+        
+    } catch (error) {
+        console.error('Error in cancelOrder controller:', error.message);
+        
+        let statusCode = 500;
+        if (error.message.includes('not found')) {
+            statusCode = 404;
+        } else if (error.message.includes('already been') ||
+                   error.message.includes('Cannot refund') ||
+                   error.message.includes('not available') ||
+                   error.message.includes('Invalid')) {
+            statusCode = 400;
+        }
+        
+        res.status(statusCode).json({
+            success: false,
+            error: 'Cancellation failed',
             message: error.message
         });
     }
@@ -168,5 +1345,24 @@ async function getEventById(req, res) {
 module.exports = {
     getAllEvents,
     purchaseTickets,
-    getEventById
+    createHold,
+    confirmHold,
+    releaseHold,
+    joinWaitlist,
+    getWaitlistEntry,
+    leaveWaitlist,
+    getWaitlist,
+    getEventById,
+    getEventSeats,
+    getAllSeries,
+    getSeriesById,
+    getOrders,
+    getOrderById,
+    getTickets,
+    getTicketById,
+    startTransfer,
+    getTransfers,
+    acceptTransfer,
+    cancelTransfer,
+    cancelOrder
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Hold Sweeper - Background Release of Expired Checkout Holds
+ * 
+ * Holds take tickets out of inventory while a user checks out. This job
+ * periodically expires holds that were never confirmed or released so
+ * their tickets go back on sale, offering them to waitlists first. It also
+ * retries refunds of checkout payments the provider refused the first time.
+ */
+
+const clientModel = require('../models/clientModel');
+
+// How often the sweeper looks for expired holds
+const HOLD_SWEEP_INTERVAL_MS = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS || '30', 10) * 1000;
+
+/**
+ * Release expired holds once, logging rather than throwing on failure
+ * Waitlists are then offered any tickets that came back some other way,
+ * such as an organizer adding tickets to an event, and failed refunds are
+ * sent again.
+ * 
+ * @returns {Promise<number>} Promise that resolves to the number of holds released
+ */
+async function sweepExpiredHolds() {
+    let released = 0;
+    
+    try {
+        released = await clientModel.releaseExpiredHolds();
+        
+        if (released > 0) {
+            console.log(`Released ${released} expired hold(s)`);
+        }
+    } catch (error) {
+        console.error('Error releasing expired holds:', error.message);
+    }
+    
+    try {
+        const offered = await clientModel.processWaitlists();
+        
+        if (offered > 0) {
+            console.log(`Offered ${offered} waitlist claim(s)`);
+        }
+    } catch (error) {
+        console.error('Error processing waitlists:', error.message);
+    }
+    
+    try {
+        const refunded = await clientModel.retryFailedRefunds();
+        
+        if (refunded > 0) {
+            console.log(`Completed ${refunded} failed refund(s)`);
+        }
+    } catch (error) {
+        console.error('Error retrying failed refunds:', error.message);
+    }
+    
+    return released;
+}
+
+/**
+ * Start sweeping expired holds on an interval
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * 
+ * @param {number} [intervalMs=HOLD_SWEEP_INTERVAL_MS] - Time between sweeps in milliseconds
+ * @returns {NodeJS.Timeout} Interval handle, for clearInterval
+ */
+function startHoldSweeper(intervalMs = HOLD_SWEEP_INTERVAL_MS) {
+    const timer = setInterval(sweepExpiredHolds, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    sweepExpiredHolds,
+    startHoldSweeper
+};
@@ -0,0 +1,16 @@
+/**
+ * Client Authentication Middleware
+ * 
+ * Re-exports the JWT middleware from the user authentication service so the
+ * client service verifies tokens with the same secret and rules.
+ */
+
+const { 
+    authenticateToken, 
+    optionalAuth 
+} = require('../../user-authentication/middleware/authMiddleware');
+
+module.exports = {
+    authenticateToken,
+    optionalAuth
+};
@@ -0,0 +1,194 @@
+/**
+ * Idempotency Middleware
+ * 
+ * Makes a route safe to retry. Requests that send an Idempotency-Key header
+ * are processed once per user and key; repeating the key replays the stored
+ * response with an Idempotent-Replayed header instead of running the route
+ * again. A repeat that arrives while the original is still running waits for
+ * its result. Server errors are not stored, so the key can be retried, and
+ * a key whose request died without answering can be retried once its
+ * reservation's lease runs out.
+ * Must run after authenticateToken, since keys are scoped to the user.
+ */
+
+const crypto = require('crypto');
+const idempotencyModel = require('../models/idempotencyModel');
+
+// Longest accepted Idempotency-Key header value
+const MAX_KEY_LENGTH = 255;
+
+// How long a repeated request waits for the original to finish
+const IDEMPOTENCY_WAIT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS || '15000', 10);
+
+// How often a waiting request checks whether the original has finished
+const POLL_INTERVAL_MS = 100;
+
+// How long a key stays reserved without a response. Past this, the request
+// that reserved it is taken to have died and a retry may take the key over.
+const RESERVATION_LEASE_MS = IDEMPOTENCY_WAIT_MS + 15000;
+
+/**
+ * Hash the parts of a request that must match for a key to be replayed
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string} Hex SHA-256 of the method, URL and body
+ */
+function fingerprintRequest(req) {
+    return crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+}
+
+/**
+ * Wait for a short time
+ * 
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Record the response the route sends under the reserved key
+ * Responses sent with res.json, res.send or res.end are all recorded,
+ * whichever the route calls first.
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} keyId - ID of the reserved key record
+ * @returns {void}
+ */
+function captureResponse(res, keyId) {
+    const json = res.json.bind(res);
+    const send = res.send.bind(res);
+    const end = res.end.bind(res);
+    let recorded = false;
+    
+    const record = (body) => {
+        if (recorded) {
+            return;
+        }
+        recorded = true;
+        
+        const store = res.statusCode >= 500
+            ? idempotencyModel.deleteKey(keyId)
+            : idempotencyModel.saveResponse(keyId, res.statusCode, body);
+        
+        store.catch((error) => {
+            console.error('Error storing idempotent response:', error.message);
+        });
+    };
+    
+    res.json = (body) => {
+        record(body);
+        return json(body);
+    };
+    res.send = (body) => {
+        record(Buffer.isBuffer(body) ? body.toString() : body);
+        return send(body);
+    };
+    res.end = (chunk, ...args) => {
+        record(chunk === undefined || typeof chunk === 'function' ? null : String(chunk));
+        return end(chunk, ...args);
+    };
+}
+
+/**
+ * Send a stored response again
+ * JSON bodies are sent as JSON, text as it was sent and no body as an
+ * empty response.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} record - Key record with the stored response
+ * @returns {Object} Express response object
+ */
+function replayResponse(res, record) {
+    res.set('Idempotent-Replayed', 'true');
+    res.status(record.status_code);
+    
+    if (record.response_body === null) {
+        return res.end();
+    }
+    return typeof record.response_body === 'string'
+        ? res.send(record.response_body)
+        : res.json(record.response_body);
+}
+
+/**
+ * Middleware to process each Idempotency-Key at most once per user
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    
+    if (key === undefined) {
+        return next();
+    }
+    
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid idempotency key',
+            message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+        });
+    }
+    
+    try {
+        const userId = req.user.userId;
+        const fingerprint = fingerprintRequest(req);
+        const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+        
+        for (;;) {
+            const result = await idempotencyModel.reserveKey(userId, key, fingerprint, RESERVATION_LEASE_MS);
+            
+            if (result.reserved) {
+                captureResponse(res, result.id);
+                return next();
+            }
+            
+            let record = result.record;
+            if (record.request_fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency key reused',
+                    message: 'This Idempotency-Key was already used for a different request'
+                });
+            }
+            
+            // Wait for the original request to store its response
+            while (record && record.status_code === null && Date.now() < deadline) {
+                await delay(POLL_INTERVAL_MS);
+                record = await idempotencyModel.findKey(userId, key);
+            }
+            
+            if (record && record.status_code !== null) {
+                return replayResponse(res, record);
+            }
+            
+            if (record) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Request in progress',
+                    message: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+            
+            // The original failed and released the key, so try to claim it again
+        }
+    } catch (error) {
+        console.error('Error in idempotent middleware:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to process the Idempotency-Key at this time'
+        });
+    }
+}
+
+module.exports = {
+    idempotent
+};
@@ -2,208 +2,2012 @@
  * Client Model - Database Operations for Client Service
  * 
  * This module handles all database operations for the client service.
- * It provides functions to fetch events and process ticket purchases
- * with proper transaction handling and concurrency control.
+ * It provides functions to fetch events, process ticket purchases
+ * with proper transaction handling and concurrency control, hold
+ * tickets (or chosen seats) during checkout, run waitlists for sold-out
+ * events, and look up the orders and signed tickets those purchases produce.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { getConnection, run, get, all, withTransaction } = require('../../shared-db/database');
+const { getPaymentProvider } = require('../payments');
+const { createTicketCode } = require('../tickets/ticketCodes');
+const { MATCHING_EVENTS, buildMatchQuery } = require('../../shared-db/eventSearch');
+const { getEventsWithLifecycle } = require('../../shared-db/eventLifecycle');
+const { atLocalTime } = require('../../shared-db/timeZones');
+const { returnTickets, closeHold } = require('../../shared-db/holds');
 
-// Database path pointing to shared database
-const DB_PATH = path.join(__dirname, '..', '..', 'shared-db', 'database.sqlite');
+// Refunds are refused once the event is closer than this many hours away
+const REFUND_CUTOFF_HOURS = parseInt(process.env.REFUND_CUTOFF_HOURS || '24', 10);
+
+// Service fee charged on top of the ticket subtotal, as a percentage
+const SERVICE_FEE_PERCENT = parseFloat(process.env.SERVICE_FEE_PERCENT || '5');
+
+// How long checkout holds keep tickets reserved before they expire
+const HOLD_DURATION_MINUTES = parseInt(process.env.HOLD_DURATION_MINUTES || '10', 10);
+
+// How long a waitlist claim keeps returned tickets for the user it was offered to
+const WAITLIST_CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES || '30', 10);
+
+// Event columns returned to clients, with the name of the event's venue and
+// whether customers pick their seats (1) or buy general admission (0).
+// Queries selecting them read from getEventsWithLifecycle, which adds
+// lifecycle_status
+const EVENT_COLUMNS = `id, name, date, starts_at, ends_at, time_zone, sales_start, sales_end, lifecycle_status, venue_id,
+    (SELECT name FROM venues WHERE venues.id = events.venue_id) AS venue, description, category, image_url,
+    tickets_available, price_cents, currency, max_per_user,
+    EXISTS (SELECT 1 FROM event_seats WHERE event_seats.event_id = events.id) AS reserved_seating,
+    series_id, (SELECT name FROM event_series WHERE event_series.id = events.series_id) AS series_name,
+    status, cancellation_reason, cancelled_at, created_at, updated_at`;
+
+// Orders events can be listed in, by the expressions that decide them; the
+// event ID breaks ties, so every event has its own place in the order.
+// Relevance comes from the full-text match, so it needs a search
+const EVENT_SORTS = {
+    relevance: { keys: ['matches.relevance'], direction: 'ASC' },
+    date: { keys: ['date', "COALESCE(starts_at, '')"], direction: 'ASC' },
+    '-date': { keys: ['date', "COALESCE(starts_at, '')"], direction: 'DESC' },
+    price: { keys: ['price_cents', 'date'], direction: 'ASC' },
+    '-price': { keys: ['price_cents', 'date'], direction: 'DESC' },
+    name: { keys: ['name COLLATE NOCASE'], direction: 'ASC' }
+};
+
+// Columns returned for every event series
+const SERIES_COLUMNS = 'id, name, frequency, repeat_interval, time_zone';
+
+// Base query for ticket types, including how many are left to sell
+const TICKET_TYPE_SELECT = `
+    SELECT id, event_id, name, price_cents, quota, tickets_sold,
+           quota - tickets_sold AS tickets_available, sales_start, sales_end
+    FROM ticket_types
+`;
+
+// Base query for orders joined with the event (and ticket type) they were placed for
+const ORDER_SELECT = `
+    SELECT o.id, o.user_id, o.event_id, e.name AS event_name, e.date AS event_date,
+           e.starts_at AS event_starts_at, e.time_zone AS event_time_zone,
+           o.ticket_type_id, t.name AS ticket_type_name, o.quantity, o.refunded_quantity, o.unit_price_cents, o.subtotal_cents,
+           o.fee_cents, o.total_cents, o.refunded_cents, o.currency,
+           o.payment_provider, o.payment_id, o.payment_status,
+           o.status, o.created_at, o.updated_at
+    FROM orders o
+    JOIN events e ON e.id = o.event_id
+    LEFT JOIN ticket_types t ON t.id = o.ticket_type_id
+`;
+
+// Base query for issued tickets joined with their event (and ticket type and seat)
+const TICKET_SELECT = `
+    SELECT tk.id, tk.order_id, tk.user_id, tk.event_id, e.name AS event_name, e.date AS event_date,
+           tk.ticket_type_id, t.name AS ticket_type_name, tk.code, tk.status,
+           tk.seat_id, sec.name AS section_name, r.label AS row_label, s.number AS seat_number,
+           tk.checked_in_at, tk.created_at, tk.updated_at
+    FROM tickets tk
+    JOIN events e ON e.id = tk.event_id
+    LEFT JOIN ticket_types t ON t.id = tk.ticket_type_id
+    LEFT JOIN venue_seats s ON s.id = tk.seat_id
+    LEFT JOIN venue_rows r ON r.id = s.row_id
+    LEFT JOIN venue_sections sec ON sec.id = r.section_id
+`;
+
+// Base query for an event's seat inventory, laid out by section, row and seat number
+const EVENT_SEAT_SELECT = `
+    SELECT s.id, s.number, r.id AS row_id, r.label AS row_label,
+           sec.id AS section_id, sec.name AS section_name, es.status
+    FROM event_seats es
+    JOIN venue_seats s ON s.id = es.seat_id
+    JOIN venue_rows r ON r.id = s.row_id
+    JOIN venue_sections sec ON sec.id = r.section_id
+`;
+
+// Base query for ticket transfers with the ticket's event and both users' emails
+const TRANSFER_SELECT = `
+    SELECT tr.id, tr.ticket_id, tk.event_id, e.name AS event_name, e.date AS event_date,
+           tr.from_user_id, fu.email AS from_email, tr.to_user_id, tu.email AS to_email,
+           tr.status, tr.created_at, tr.resolved_at
+    FROM ticket_transfers tr
+    JOIN tickets tk ON tk.id = tr.ticket_id
+    JOIN events e ON e.id = tk.event_id
+    LEFT JOIN users fu ON fu.id = tr.from_user_id
+    LEFT JOIN users tu ON tu.id = tr.to_user_id
+`;
+
+// Base query for checkout holds, flagging active holds that are past their expiry
+const HOLD_SELECT = `
+    SELECT h.id, h.user_id, h.event_id, e.name AS event_name, e.status AS event_status,
+           h.ticket_type_id, t.name AS ticket_type_name, h.quantity, h.unit_price_cents, h.currency, h.status, h.order_id, h.expires_at,
+           (h.status = 'active' AND h.expires_at <= datetime('now')) AS is_expired,
+           h.created_at, h.updated_at
+    FROM holds h
+    JOIN events e ON e.id = h.event_id
+    LEFT JOIN ticket_types t ON t.id = h.ticket_type_id
+`;
+
+// Base query for waitlist entries, with each waiting entry's place in its line
+// (an event's waitlist has one line per ticket type) and any claim's expiry
+const WAITLIST_SELECT = `
+    SELECT w.id, w.user_id, w.event_id, e.name AS event_name, w.ticket_type_id, t.name AS ticket_type_name,
+           w.quantity, w.status, w.hold_id, h.expires_at AS claim_expires_at,
+           CASE WHEN w.status = 'waiting' THEN (
+               SELECT COUNT(*)
+               FROM waitlist_entries ahead
+               WHERE ahead.event_id = w.event_id AND ahead.ticket_type_id IS w.ticket_type_id
+                 AND ahead.status = 'waiting' AND ahead.id <= w.id
+           ) END AS position,
+           w.created_at, w.updated_at
+    FROM waitlist_entries w
+    JOIN events e ON e.id = w.event_id
+    LEFT JOIN ticket_types t ON t.id = w.ticket_type_id
+    LEFT JOIN holds h ON h.id = w.hold_id
+`;
+
+// Base query for order refunds with the payment each one goes back to
+const REFUND_SELECT = `
+    SELECT r.id, r.order_id, r.quantity, r.amount_cents, r.status,
+           o.payment_provider, o.payment_id
+    FROM order_refunds r
+    JOIN orders o ON o.id = r.order_id
+`;
 
 /**
- * Get a database connection with transaction support
+ * Get all events that have not ended, regardless of availability, for client display
+ * Each event includes its ticket types (empty when the event sells a single tier).
+ * Cancelled events are included so ticket holders can see why; archived
+ * and past events are not.
  * 
- * @returns {sqlite3.Database} Database connection object
+ * @returns {Promise<Array>} Promise that resolves to array of all events
  */
-function getDbConnection() {
-    return new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, (err) => {
-        if (err) {
-            console.error('Error connecting to database:', err.message);
-            throw err;
-        }
-    });
+async function getAllEvents() {
+    const db = await getConnection();
+    
+    try {
+        const { source, params } = await getEventsWithLifecycle(db);
+        const events = await all(db, `
+            SELECT ${EVENT_COLUMNS}
+            FROM ${source}
+            WHERE status != 'archived' AND lifecycle_status != 'past'
+            ORDER BY date ASC, starts_at ASC
+        `, params);
+        
+        return await attachTicketTypes(db, events);
+    } catch (err) {
+        console.error('Error fetching all events:', err.message);
+        throw err;
+    }
 }
 
 /**
- * Get all events regardless of availability for client display
+ * Search events, one page at a time
+ * Filters combine, and archived events are never listed. Past events are
+ * only listed when asked for by lifecycle status. Search text is
+ * looked up in the full-text index of event names, descriptions and
+ * venues, matching any of its words, the start of a word, or a word with
+ * a typo; the best matches come first unless another sort is asked for.
+ * Pages follow on from an opaque cursor, so events added or sold out
+ * between requests do not shift later pages.
  * 
- * @returns {Promise<Array>} Promise that resolves to array of all events
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.q] - Text to search for
+ * @param {string} [options.from] - Earliest event date (YYYY-MM-DD)
+ * @param {string} [options.to] - Latest event date (YYYY-MM-DD)
+ * @param {string} [options.category] - Event category
+ * @param {Array<string>} [options.statuses] - Lifecycle statuses to list (default: all but 'past')
+ * @param {boolean} [options.available=false] - Only events on sale with tickets left
+ * @param {string} [options.sort] - 'relevance' (the default with q), 'date' (the default without), '-date', 'price', '-price' or 'name'
+ * @param {string|null} [options.cursor=null] - nextCursor of the previous page
+ * @param {number} [options.limit=20] - Most events to return
+ * @returns {Promise<Object>} Promise that resolves to { events, total, nextCursor }, where nextCursor is null on the last page
  */
-function getAllEvents() {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const query = `
-            SELECT id, name, date, tickets_available, created_at, updated_at 
-            FROM events 
-            ORDER BY date ASC
-        `;
+async function searchEvents({ q, from, to, category, statuses, available = false, sort = q ? 'relevance' : 'date', cursor = null, limit = 20 } = {}) {
+    const order = EVENT_SORTS[sort];
+    const conditions = ["status != 'archived'"];
+    const params = [];
+    
+    if (from) {
+        conditions.push('date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('date <= ?');
+        params.push(to);
+    }
+    if (category) {
+        conditions.push('category = ?');
+        params.push(category);
+    }
+    if (statuses && statuses.length > 0) {
+        conditions.push(`lifecycle_status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    } else {
+        conditions.push("lifecycle_status != 'past'");
+    }
+    if (available) {
+        conditions.push("lifecycle_status = 'on_sale' AND tickets_available > 0");
+    }
+    
+    const filters = conditions.join(' AND ');
+    const keys = [...order.keys, 'id'];
+    const pageConditions = [filters];
+    const pageParams = [...params];
+    
+    if (cursor) {
+        const position = decodeEventCursor(cursor, sort, keys.length);
+        pageConditions.push(`(${keys.join(', ')}) ${order.direction === 'ASC' ? '>' : '<'} (${keys.map(() => '?').join(', ')})`);
+        pageParams.push(...position);
+    }
+    
+    const db = await getConnection();
+    
+    try {
+        const lifecycle = await getEventsWithLifecycle(db);
+        let source = lifecycle.source;
+        const sourceParams = [...lifecycle.params];
         
-        db.all(query, [], (err, rows) => {
-            if (err) {
-                console.error('Error fetching all events:', err.message);
-                reject(err);
-            } else {
-                resolve(rows);
+        // Searching narrows the events to those in the full-text match
+        if (q) {
+            const match = await buildMatchQuery(db, q);
+            if (!match) {
+                return { events: [], total: 0, nextCursor: null };
             }
-            
-            db.close();
+            source = `${source} JOIN (${MATCHING_EVENTS}) AS matches ON matches.event_id = events.id`;
+            sourceParams.push(match);
+        }
+        
+        const rows = await all(db, `
+            SELECT ${EVENT_COLUMNS}, ${keys.map((key, index) => `${key} AS sort_key_${index}`).join(', ')}
+            FROM ${source}
+            WHERE ${pageConditions.join(' AND ')}
+            ORDER BY ${keys.map(key => `${key} ${order.direction}`).join(', ')}
+            LIMIT ?
+        `, [...sourceParams, ...pageParams, limit + 1]);
+        const { total } = await get(db, `SELECT COUNT(*) AS total FROM ${source} WHERE ${filters}`, [...sourceParams, ...params]);
+        
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = rows.length > limit
+            ? Buffer.from(JSON.stringify({ sort, after: keys.map((key, index) => last[`sort_key_${index}`]) })).toString('base64url')
+            : null;
+        
+        const events = page.map((row) => {
+            const event = { ...row };
+            keys.forEach((key, index) => delete event[`sort_key_${index}`]);
+            return event;
         });
-    });
+        
+        return {
+            events: await attachTicketTypes(db, events),
+            total,
+            nextCursor
+        };
+    } catch (err) {
+        console.error('Error searching events:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Read the position a cursor from searchEvents points after
+ * 
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort order of the current search
+ * @param {number} keyCount - Number of sort keys the position must have
+ * @returns {Array} Sort key values of the last event on the previous page
+ */
+function decodeEventCursor(cursor, sort, keyCount) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (err) {
+        position = null;
+    }
+    
+    if (!position || position.sort !== sort || !Array.isArray(position.after) || position.after.length !== keyCount ||
+        !position.after.every(value => typeof value === 'string' || typeof value === 'number')) {
+        throw new Error('Invalid cursor: it does not belong to this search');
+    }
+    return position.after;
 }
 
 /**
  * Get a single event by ID for purchase validation
  * 
  * @param {number} eventId - The ID of the event to retrieve
- * @returns {Promise<Object|null>} Promise that resolves to event object or null if not found
+ * @returns {Promise<Object|null>} Promise that resolves to event object or null if not found or archived
  */
-function getEventById(eventId) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
+async function getEventById(eventId) {
+    const db = await getConnection();
+    
+    try {
+        const { source, params } = await getEventsWithLifecycle(db);
+        const event = await get(db, `
+            SELECT ${EVENT_COLUMNS}
+            FROM ${source}
+            WHERE id = ? AND status != 'archived'
+        `, [...params, eventId]);
         
-        const query = `
-            SELECT id, name, date, tickets_available, created_at, updated_at
+        if (!event) {
+            return null;
+        }
+        
+        const [withTicketTypes] = await attachTicketTypes(db, [event]);
+        return withTicketTypes;
+    } catch (err) {
+        console.error('Error fetching event by ID:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get all event series with their occurrences grouped under them
+ * Occurrences are listed like events, and series whose occurrences are
+ * all archived are left out. Series come in order of their first listed
+ * occurrence.
+ * 
+ * @returns {Promise<Array>} Promise that resolves to series, each with an occurrences array
+ */
+async function getAllSeries() {
+    const db = await getConnection();
+    
+    try {
+        const series = await all(db, `SELECT ${SERIES_COLUMNS} FROM event_series`);
+        const { source, params } = await getEventsWithLifecycle(db);
+        const events = await all(db, `
+            SELECT ${EVENT_COLUMNS}
+            FROM ${source}
+            WHERE series_id IS NOT NULL AND status != 'archived'
+            ORDER BY date ASC, starts_at ASC
+        `, params);
+        
+        return groupOccurrences(series, await attachTicketTypes(db, events))
+            .sort((a, b) => a.occurrences[0].date.localeCompare(b.occurrences[0].date));
+    } catch (err) {
+        console.error('Error fetching series:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get a single event series with its occurrences
+ * 
+ * @param {number} seriesId - The ID of the series to retrieve
+ * @returns {Promise<Object|null>} Promise that resolves to the series or null if not found or all its occurrences are archived
+ */
+async function getSeriesById(seriesId) {
+    const db = await getConnection();
+    
+    try {
+        const series = await get(db, `SELECT ${SERIES_COLUMNS} FROM event_series WHERE id = ?`, [seriesId]);
+        
+        if (!series) {
+            return null;
+        }
+        
+        const { source, params } = await getEventsWithLifecycle(db);
+        const events = await all(db, `
+            SELECT ${EVENT_COLUMNS}
+            FROM ${source}
+            WHERE series_id = ? AND status != 'archived'
+            ORDER BY date ASC, starts_at ASC
+        `, [...params, seriesId]);
+        
+        const [withOccurrences] = groupOccurrences([series], await attachTicketTypes(db, events));
+        return withOccurrences || null;
+    } catch (err) {
+        console.error('Error fetching series by ID:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Put each series' occurrences under it as an occurrences array
+ * Series without any of the given occurrences are dropped.
+ * 
+ * @param {Array<Object>} series - Series to group under
+ * @param {Array<Object>} events - Occurrences, in date order
+ * @returns {Array<Object>} The series that have occurrences
+ */
+function groupOccurrences(series, events) {
+    return series
+        .map(item => ({
+            ...item,
+            occurrences: events.filter(event => event.series_id === item.id)
+        }))
+        .filter(item => item.occurrences.length > 0);
+}
+
+/**
+ * Get the seat map of an event with reserved seating
+ * Seats are laid out by section and row, and each says whether it can
+ * still be bought. Seats held in another customer's checkout count as taken.
+ * 
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<Object|null>} Promise that resolves to { event_id, event_name, seats_available, sections } or null if not found or archived
+ */
+async function getEventSeats(eventId) {
+    const db = await getConnection();
+    
+    try {
+        const event = await get(db, `
+            SELECT id, name
             FROM events
-            WHERE id = ?
-        `;
+            WHERE id = ? AND status != 'archived'
+        `, [eventId]);
         
-        db.get(query, [eventId], (err, row) => {
-            if (err) {
-                console.error('Error fetching event by ID:', err.message);
-                reject(err);
-            } else {
-                resolve(row || null);
+        if (!event) {
+            return null;
+        }
+        
+        const seats = await all(db, `
+            ${EVENT_SEAT_SELECT}
+            WHERE es.event_id = ?
+            ORDER BY sec.id, r.id, s.number
+        `, [eventId]);
+        
+        return {
+            event_id: event.id,
+            event_name: event.name,
+            seats_available: seats.filter(seat => seat.status === 'available').length,
+            sections: groupSeats(seats)
+        };
+    } catch (err) {
+        console.error('Error fetching event seats:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Lay seats out by section and row
+ * 
+ * @param {Array<Object>} seats - Seats from EVENT_SEAT_SELECT, ordered by section, row and number
+ * @returns {Array<Object>} Sections, each with rows of seats ({ id, number, label, available })
+ */
+function groupSeats(seats) {
+    const sections = [];
+    
+    for (const seat of seats) {
+        let section = sections[sections.length - 1];
+        if (!section || section.id !== seat.section_id) {
+            section = { id: seat.section_id, name: seat.section_name, rows: [] };
+            sections.push(section);
+        }
+        
+        let row = section.rows[section.rows.length - 1];
+        if (!row || row.id !== seat.row_id) {
+            row = { id: seat.row_id, label: seat.row_label, seats: [] };
+            section.rows.push(row);
+        }
+        
+        row.seats.push({
+            id: seat.id,
+            number: seat.number,
+            label: formatSeat(seat),
+            available: seat.status === 'available'
+        });
+    }
+    
+    return sections;
+}
+
+/**
+ * Add each event's ticket types, cheapest first, as a ticket_types array
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Array<Object>} events - Events to decorate
+ * @returns {Promise<Array<Object>>} Promise that resolves to the events with ticket_types
+ */
+async function attachTicketTypes(db, events) {
+    if (events.length === 0) {
+        return events;
+    }
+    
+    const placeholders = events.map(() => '?').join(', ');
+    const ticketTypes = await all(db, `
+        ${TICKET_TYPE_SELECT}
+        WHERE event_id IN (${placeholders})
+        ORDER BY price_cents ASC, id ASC
+    `, events.map(event => event.id));
+    
+    return events.map(event => ({
+        ...event,
+        ticket_types: ticketTypes.filter(ticketType => ticketType.event_id === event.id)
+    }));
+}
+
+/**
+ * Explain why an event is not selling tickets
+ * 
+ * @param {string} eventName - Name of the event
+ * @param {string} status - Event status (active, cancelled or archived)
+ * @param {string} [lifecycleStatus] - Lifecycle status from getEventsWithLifecycle
+ * @returns {string|null} Reason the event is not selling, or null when it is on sale
+ */
+function getEventClosedError(eventName, status, lifecycleStatus) {
+    if (status === 'cancelled') {
+        return `${eventName} has been cancelled and is no longer selling tickets`;
+    }
+    
+    if (status === 'archived') {
+        return 'Event not found';
+    }
+    
+    switch (lifecycleStatus) {
+        case 'upcoming':
+            return `Tickets for ${eventName} are not on sale yet`;
+        case 'sales_closed':
+            return `Ticket sales for ${eventName} have closed`;
+        case 'in_progress':
+            return `${eventName} has already started and is no longer selling tickets`;
+        case 'past':
+            return `${eventName} has already taken place`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check that a ticket type is inside its sales window
+ * 
+ * @param {Object} ticketType - Ticket type row with sales_start and sales_end
+ * @param {Date} [now=new Date()] - Moment to check against
+ * @returns {string|null} Reason sales are closed, or null when on sale
+ */
+function getSalesWindowError(ticketType, now = new Date()) {
+    if (ticketType.sales_start && now < new Date(ticketType.sales_start)) {
+        return `Sales for ${ticketType.name} tickets have not started yet`;
+    }
+    
+    if (ticketType.sales_end && now > new Date(ticketType.sales_end)) {
+        return `Sales for ${ticketType.name} tickets have ended`;
+    }
+    
+    return null;
+}
+
+/**
+ * Calculate the amounts charged for an order
+ * 
+ * @param {number} unitPriceCents - Price of one ticket in integer cents
+ * @param {number} quantity - Number of tickets
+ * @returns {Object} Object with subtotal_cents, fee_cents and total_cents
+ */
+function calculateOrderTotals(unitPriceCents, quantity) {
+    const subtotal = unitPriceCents * quantity;
+    const fee = Math.round(subtotal * SERVICE_FEE_PERCENT / 100);
+    
+    return {
+        subtotal_cents: subtotal,
+        fee_cents: fee,
+        total_cents: subtotal + fee
+    };
+}
+
+/**
+ * Take tickets out of an event's inventory inside an open transaction
+ * Events with ticket types require one to be named, and each type's quota
+ * and sales window are enforced alongside the event's overall availability.
+ * Every purchase starts as a hold, so held tickets are never shown as available.
+ * When the event has a per-user limit, the user's orders and active holds
+ * count towards it. While people are waiting for the same tickets, only a
+ * waitlist claim may take them. Events with reserved seating are sold by
+ * seat, so the request must name one seat per ticket.
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {number} eventId - ID of the event to take tickets from
+ * @param {number} ticketCount - Number of tickets to take
+ * @param {number|null} ticketTypeId - ID of the ticket type to take them from
+ * @param {Object} [options={}] - Reservation options
+ * @param {number|null} [options.userId=null] - ID of the user taking the tickets
+ * @param {boolean} [options.waitlistClaim=false] - Whether the tickets are being offered to the waitlist
+ * @param {Array<number>|null} [options.seatIds=null] - Seats being taken, for events with reserved seating
+ * @returns {Promise<Object>} Promise that resolves to { event, ticketType, ticketsAvailable }
+ */
+async function reserveTickets(db, eventId, ticketCount, ticketTypeId, { userId = null, waitlistClaim = false, seatIds = null } = {}) {
+    const { event, ticketType } = await findEventAndTicketType(db, eventId, ticketTypeId);
+    
+    if (event.reserved_seating && seatIds === null) {
+        throw new Error(`Please choose seats for ${event.name}`);
+    }
+    
+    if (!event.reserved_seating && seatIds !== null) {
+        throw new Error(`${event.name} does not have reserved seating`);
+    }
+    
+    if (ticketType) {
+        const salesWindowError = getSalesWindowError(ticketType);
+        if (salesWindowError) {
+            throw new Error(salesWindowError);
+        }
+        
+        if (ticketType.tickets_available < ticketCount) {
+            throw new Error(`Not enough tickets available for ${ticketType.name}. Only ${ticketType.tickets_available} tickets remaining.`);
+        }
+    }
+    
+    // Check if enough tickets are available
+    if (event.tickets_available < ticketCount) {
+        throw new Error(`Not enough tickets available. Only ${event.tickets_available} tickets remaining.`);
+    }
+    
+    if (!waitlistClaim && await countWaiting(db, eventId, ticketType ? ticketType.id : null) > 0) {
+        throw new Error('Not enough tickets available. Returned tickets are being offered to the waitlist first.');
+    }
+    
+    if (event.max_per_user && userId !== null) {
+        const ticketsOwned = await countUserTickets(db, eventId, userId);
+        const remaining = Math.max(event.max_per_user - ticketsOwned, 0);
+        
+        if (ticketCount > remaining) {
+            throw new Error(`Purchase limit reached for ${event.name}: limit is ${event.max_per_user} tickets per user. You can buy ${remaining} more.`);
+        }
+    }
+    
+    // Update ticket count
+    const ticketsAvailable = event.tickets_available - ticketCount;
+    await run(db, `
+        UPDATE events 
+        SET tickets_available = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `, [ticketsAvailable, eventId]);
+    
+    if (ticketType) {
+        // The quota guard makes the tier update fail rather than oversell
+        const { changes } = await run(db, `
+            UPDATE ticket_types
+            SET tickets_sold = tickets_sold + ?, updated_at = datetime('now')
+            WHERE id = ? AND tickets_sold + ? <= quota
+        `, [ticketCount, ticketType.id, ticketCount]);
+        
+        if (changes === 0) {
+            throw new Error(`Not enough tickets available for ${ticketType.name}.`);
+        }
+    }
+    
+    return { event, ticketType, ticketsAvailable };
+}
+
+/**
+ * Look up an event and the ticket type a request names on an open connection
+ * Events with ticket types require one to be named.
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} eventId - ID of the event
+ * @param {number|null} ticketTypeId - ID of the requested ticket type
+ * @returns {Promise<Object>} Promise that resolves to { event, ticketType } (ticketType is null for single-tier events)
+ */
+async function findEventAndTicketType(db, eventId, ticketTypeId) {
+    const { source, params } = await getEventsWithLifecycle(db);
+    const event = await get(db, `
+        SELECT ${EVENT_COLUMNS}
+        FROM ${source}
+        WHERE id = ?
+    `, [...params, eventId]);
+    
+    if (!event) {
+        throw new Error('Event not found');
+    }
+    
+    const closedError = getEventClosedError(event.name, event.status, event.lifecycle_status);
+    if (closedError) {
+        throw new Error(closedError);
+    }
+    
+    const ticketTypes = await all(db, `${TICKET_TYPE_SELECT} WHERE event_id = ?`, [eventId]);
+    let ticketType = null;
+    
+    if (ticketTypeId !== null) {
+        ticketType = ticketTypes.find(type => type.id === ticketTypeId);
+        if (!ticketType) {
+            throw new Error('Ticket type not found for this event');
+        }
+    } else if (ticketTypes.length > 0) {
+        throw new Error(`Please choose a ticket type for ${event.name}: ${ticketTypes.map(type => type.name).join(', ')}`);
+    }
+    
+    return { event, ticketType };
+}
+
+/**
+ * Count the waitlist entries still waiting in one of an event's lines
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} eventId - ID of the event
+ * @param {number|null} ticketTypeId - Ticket type the line is for (null for the event's single tier)
+ * @returns {Promise<number>} Promise that resolves to the number of waiting entries
+ */
+async function countWaiting(db, eventId, ticketTypeId) {
+    const { waiting } = await get(db, `
+        SELECT COUNT(*) AS waiting
+        FROM waitlist_entries
+        WHERE event_id = ? AND ticket_type_id IS ? AND status = 'waiting'
+    `, [eventId, ticketTypeId]);
+    
+    return waiting;
+}
+
+/**
+ * Count the tickets a user already has for an event inside an open transaction
+ * Refunded tickets are left out, and unexpired active holds are counted so
+ * parallel checkouts cannot get around the per-user limit.
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {number} eventId - ID of the event
+ * @param {number} userId - ID of the user
+ * @returns {Promise<number>} Promise that resolves to the number of tickets the user holds or owns
+ */
+async function countUserTickets(db, eventId, userId) {
+    const { ordered } = await get(db, `
+        SELECT COALESCE(SUM(quantity - refunded_quantity), 0) AS ordered
+        FROM orders
+        WHERE user_id = ? AND event_id = ?
+    `, [userId, eventId]);
+    
+    const { held } = await get(db, `
+        SELECT COALESCE(SUM(quantity), 0) AS held
+        FROM holds
+        WHERE user_id = ? AND event_id = ? AND status = 'active' AND expires_at > datetime('now')
+    `, [userId, eventId]);
+    
+    return ordered + held;
+}
+
+/**
+ * Reserve tickets and record them as an active hold inside an open transaction
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {Object} details - Hold details
+ * @param {number|null} details.userId - ID of the user the tickets are held for
+ * @param {number} details.eventId - ID of the event
+ * @param {number|null} details.ticketTypeId - ID of the ticket type to hold
+ * @param {number} details.quantity - Number of tickets to hold
+ * @param {number} details.durationMinutes - Minutes until the hold expires
+ * @param {boolean} [details.waitlistClaim=false] - Whether the hold is a waitlist claim
+ * @param {Array<number>|null} [details.seatIds=null] - Seats to hold, for events with reserved seating
+ * @returns {Promise<Object>} Promise that resolves to { event, hold }
+ */
+async function insertHold(db, { userId, eventId, ticketTypeId, quantity, durationMinutes, waitlistClaim = false, seatIds = null }) {
+    const { event, ticketType } = await reserveTickets(db, eventId, quantity, ticketTypeId, { userId, waitlistClaim, seatIds });
+    
+    const { lastID: holdId } = await run(db, `
+        INSERT INTO holds (user_id, event_id, ticket_type_id, quantity, unit_price_cents, currency,
+                           status, expires_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'active', datetime('now', ?), datetime('now'), datetime('now'))
+    `, [userId, eventId, ticketType ? ticketType.id : null, quantity,
+        ticketType ? ticketType.price_cents : event.price_cents, event.currency,
+        `+${durationMinutes} minutes`]);
+    
+    if (seatIds !== null) {
+        await holdSeats(db, eventId, holdId, seatIds);
+    }
+    
+    const hold = await get(db, `${HOLD_SELECT} WHERE h.id = ?`, [holdId]);
+    return { event, hold };
+}
+
+/**
+ * Take chosen seats out of an event's seat inventory for a hold inside an open transaction
+ * Either every seat is taken or, when any of them is unknown or already
+ * taken, none are and the error names the seats at fault.
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {number} eventId - ID of the event
+ * @param {number} holdId - ID of the hold taking the seats
+ * @param {Array<number>} seatIds - IDs of the seats to take
+ * @returns {Promise<void>}
+ */
+async function holdSeats(db, eventId, holdId, seatIds) {
+    const placeholders = seatIds.map(() => '?').join(', ');
+    const seats = await all(db, `
+        ${EVENT_SEAT_SELECT}
+        WHERE es.event_id = ? AND es.seat_id IN (${placeholders})
+    `, [eventId, ...seatIds]);
+    
+    const missing = seatIds.filter(seatId => !seats.some(seat => seat.id === seatId));
+    if (missing.length > 0) {
+        throw new Error(`Seats not found for this event: ${missing.join(', ')}`);
+    }
+    
+    const taken = seats.filter(seat => seat.status !== 'available');
+    if (taken.length > 0) {
+        throw new Error(`Seats are no longer available: ${taken.map(formatSeat).join(', ')}`);
+    }
+    
+    await run(db, `
+        UPDATE event_seats
+        SET status = 'held', hold_id = ?, updated_at = datetime('now')
+        WHERE event_id = ? AND seat_id IN (${placeholders})
+    `, [holdId, eventId, ...seatIds]);
+}
+
+/**
+ * Describe a seat the way it is printed on a ticket
+ * 
+ * @param {Object} seat - Seat with section_name, row_label and number
+ * @returns {string} Seat description, such as "Lower Level Row B Seat 4"
+ */
+function formatSeat(seat) {
+    return `${seat.section_name} Row ${seat.row_label} Seat ${seat.number}`;
+}
+
+/**
+ * Offer an event's available tickets to its waitlist inside an open transaction
+ * Each line is served in the order people joined it. The first entry that
+ * cannot be filled yet stops its line, so nobody behind it is served first.
+ * Entries that can never be filled (sales have ended, or the user has reached
+ * the purchase limit) are expired.
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<number>} Promise that resolves to the number of claims offered
+ */
+async function offerWaitlistClaims(db, eventId) {
+    const entries = await all(db, `
+        SELECT id, user_id, ticket_type_id, quantity
+        FROM waitlist_entries
+        WHERE event_id = ? AND status = 'waiting'
+        ORDER BY id
+    `, [eventId]);
+    
+    const stoppedLines = new Set();
+    let offered = 0;
+    
+    for (const entry of entries) {
+        if (stoppedLines.has(entry.ticket_type_id)) {
+            continue;
+        }
+        
+        let hold;
+        try {
+            ({ hold } = await insertHold(db, {
+                userId: entry.user_id,
+                eventId,
+                ticketTypeId: entry.ticket_type_id,
+                quantity: entry.quantity,
+                durationMinutes: WAITLIST_CLAIM_MINUTES,
+                waitlistClaim: true
+            }));
+        } catch (err) {
+            // Database errors abort the whole transaction
+            if (err.code) {
+                throw err;
             }
             
-            db.close();
-        });
-    });
+            if (err.message.startsWith('Not enough tickets')) {
+                stoppedLines.add(entry.ticket_type_id);
+            } else {
+                await run(db, `
+                    UPDATE waitlist_entries
+                    SET status = 'expired', updated_at = datetime('now')
+                    WHERE id = ?
+                `, [entry.id]);
+            }
+            continue;
+        }
+        
+        await run(db, `
+            UPDATE waitlist_entries
+            SET status = 'offered', hold_id = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [hold.id, entry.id]);
+        offered++;
+    }
+    
+    return offered;
 }
 
 /**
- * Purchase tickets for an event with atomic transaction handling
- * Prevents overselling by using database transactions and row locking
+ * Record a completed order inside an open transaction
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {Object} details - Order details
+ * @param {number|null} details.userId - ID of the purchasing user
+ * @param {number} details.eventId - ID of the event
+ * @param {number|null} details.ticketTypeId - ID of the ticket type bought
+ * @param {number} details.quantity - Number of tickets bought
+ * @param {number} details.unitPriceCents - Price of one ticket in integer cents
+ * @param {string} details.currency - ISO 4217 currency code
+ * @param {Object} details.payment - Payment that paid for the order, from chargeHold
+ * @returns {Promise<Object>} Promise that resolves to the new order
+ */
+async function insertOrder(db, { userId, eventId, ticketTypeId, quantity, unitPriceCents, currency, payment }) {
+    const totals = calculateOrderTotals(unitPriceCents, quantity);
+    const { lastID: orderId } = await run(db, `
+        INSERT INTO orders (user_id, event_id, ticket_type_id, quantity, unit_price_cents, subtotal_cents,
+                            fee_cents, total_cents, currency, payment_provider, payment_id, payment_status,
+                            status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'completed', datetime('now'), datetime('now'))
+    `, [userId, eventId, ticketTypeId, quantity, unitPriceCents,
+        totals.subtotal_cents, totals.fee_cents, totals.total_cents, currency,
+        payment.provider, payment.paymentId, payment.status]);
+    
+    return get(db, `${ORDER_SELECT} WHERE o.id = ?`, [orderId]);
+}
+
+/**
+ * Issue a signed ticket for every seat on a new order inside an open transaction
+ * Reserved seats are marked sold to the ticket issued for them.
+ * 
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {Object} order - Order the tickets belong to
+ * @param {Array<number>} [seatIds=[]] - Reserved seats bought, one per ticket
+ * @returns {Promise<Array>} Promise that resolves to the issued tickets
+ */
+async function issueTickets(db, order, seatIds = []) {
+    for (let seat = 0; seat < order.quantity; seat++) {
+        const seatId = seat < seatIds.length ? seatIds[seat] : null;
+        const { lastID: ticketId } = await run(db, `
+            INSERT INTO tickets (order_id, user_id, event_id, ticket_type_id, code, status, seat_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 'valid', ?, datetime('now'), datetime('now'))
+        `, [order.id, order.user_id, order.event_id, order.ticket_type_id, createTicketCode(order.event_id), seatId]);
+        
+        if (seatId !== null) {
+            await run(db, `
+                UPDATE event_seats
+                SET status = 'sold', ticket_id = ?, updated_at = datetime('now')
+                WHERE event_id = ? AND seat_id = ?
+            `, [ticketId, order.event_id, seatId]);
+        }
+    }
+    
+    return all(db, `${TICKET_SELECT} WHERE tk.order_id = ? ORDER BY tk.id`, [order.id]);
+}
+
+/**
+ * Fetch an event with its ticket types on an open connection
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<Object>} Promise that resolves to the event with ticket_types
+ */
+async function getEventWithTicketTypes(db, eventId) {
+    const { source, params } = await getEventsWithLifecycle(db);
+    const event = await get(db, `
+        SELECT ${EVENT_COLUMNS}
+        FROM ${source}
+        WHERE id = ?
+    `, [...params, eventId]);
+    const [withTicketTypes] = await attachTicketTypes(db, [event]);
+    return withTicketTypes;
+}
+
+/**
+ * Purchase tickets for an event
+ * The tickets are held while the payment is authorized and captured, and
+ * only become an order once the payment succeeds. A failed payment
+ * releases the hold, so inventory is never committed without payment.
  * 
  * @param {number} eventId - ID of the event to purchase tickets for
  * @param {number} [ticketCount=1] - Number of tickets to purchase (default: 1)
- * @returns {Promise<Object>} Promise that resolves to updated event data or rejects with error
- */
-function purchaseTickets(eventId, ticketCount = 1) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        // Input validation
-        if (!eventId || eventId <= 0) {
-            reject(new Error('Invalid event ID provided'));
-            return;
-        }
-        
-        if (!ticketCount || ticketCount <= 0) {
-            reject(new Error('Invalid ticket count provided'));
-            return;
-        }
-        
-        // Begin transaction for atomic operation
-        db.serialize(() => {
-            db.run('BEGIN TRANSACTION', (err) => {
-                if (err) {
-                    console.error('Error starting transaction:', err.message);
-                    reject(err);
-                    db.close();
-                    return;
-                }
-                
-                // Lock the row and get current ticket count
-                const selectQuery = `
-                    SELECT id, name, date, tickets_available, created_at, updated_at
-                    FROM events
-                    WHERE id = ?
-                `;
-                
-                db.get(selectQuery, [eventId], (err, event) => {
-                    if (err) {
-                        console.error('Error fetching event for purchase:', err.message);
-                        db.run('ROLLBACK', () => {
-                            reject(err);
-                            db.close();
-                        });
-                        return;
-                    }
-                    
-                    if (!event) {
-                        db.run('ROLLBACK', () => {
-                            reject(new Error('Event not found'));
-                            db.close();
-                        });
-                        return;
-                    }
-                    
-                    // Check if enough tickets are available
-                    if (event.tickets_available < ticketCount) {
-                        db.run('ROLLBACK', () => {
-                            reject(new Error(`Not enough tickets available. Only ${event.tickets_available} tickets remaining.`));
-                            db.close();
-                        });
-                        return;
-                    }
-                    
-                    // Update ticket count
-                    const newTicketCount = event.tickets_available - ticketCount;
-                    const updateQuery = `
-                        UPDATE events 
-                        SET tickets_available = ?, updated_at = datetime('now')
-                        WHERE id = ?
-                    `;
-                    
-                    db.run(updateQuery, [newTicketCount, eventId], function(err) {
-                        if (err) {
-                            console.error('Error updating ticket count:', err.message);
-                            db.run('ROLLBACK', () => {
-                                reject(err);
-                                db.close();
-                            });
-                            return;
-                        }
-                        
-                        // Commit transaction
-                        db.run('COMMIT', (err) => {
-                            if (err) {
-                                console.error('Error committing transaction:', err.message);
-                                db.run('ROLLBACK', () => {
-                                    reject(err);
-                                    db.close();
-                                });
-                                return;
-                            }
-                            
-                            // Return updated event data
-                            const updatedEvent = {
-                                ...event,
-                                tickets_available: newTicketCount,
-                                updated_at: new Date().toISOString()
-                            };
-                            
-                            resolve({
-                                success: true,
-                                message: `Successfully purchased ${ticketCount} ticket(s) for ${event.name}`,
-                                event: updatedEvent,
-                                ticketsPurchased: ticketCount
-                            });
-                            
-                            db.close();
-                        });
-                    });
-                });
+ * @param {Object} [options={}] - Purchase options
+ * @param {number|null} [options.userId=null] - ID of the purchasing user from the JWT
+ * @param {number|null} [options.ticketTypeId=null] - ID of the ticket type to buy
+ * @param {Array<number>|null} [options.seatIds=null] - Seats to buy, one per ticket, for events with reserved seating
+ * @param {string|null} [options.paymentToken=null] - Token for the customer's payment method
+ * @returns {Promise<Object>} Promise that resolves to updated event and order data or rejects with error
+ */
+async function purchaseTickets(eventId, ticketCount = 1, { userId = null, ticketTypeId = null, seatIds = null, paymentToken = null } = {}) {
+    const { hold } = await createHold(eventId, ticketCount, { userId, ticketTypeId, seatIds });
+    const { message, order, tickets } = await confirmHold(hold.id, userId, { paymentToken });
+    const event = await getEventById(eventId);
+    
+    return {
+        success: true,
+        message: message,
+        event: event,
+        order: order,
+        tickets: tickets,
+        ticketsPurchased: ticketCount
+    };
+}
+
+/**
+ * Hold tickets for a user while they check out
+ * The tickets leave inventory immediately and stay reserved, at the price
+ * shown when the hold was placed, until the hold is confirmed, released
+ * or expires. Chosen seats are held the same way, all of them or none.
+ * 
+ * @param {number} eventId - ID of the event to hold tickets for
+ * @param {number} [ticketCount=1] - Number of tickets to hold (default: 1)
+ * @param {Object} [options={}] - Hold options
+ * @param {number|null} [options.userId=null] - ID of the user placing the hold
+ * @param {number|null} [options.ticketTypeId=null] - ID of the ticket type to hold
+ * @param {Array<number>|null} [options.seatIds=null] - Seats to hold, one per ticket, for events with reserved seating
+ * @returns {Promise<Object>} Promise that resolves to the hold and updated event or rejects with error
+ */
+async function createHold(eventId, ticketCount = 1, { userId = null, ticketTypeId = null, seatIds = null } = {}) {
+    if (!eventId || eventId <= 0) {
+        throw new Error('Invalid event ID provided');
+    }
+    
+    if (!ticketCount || ticketCount <= 0) {
+        throw new Error('Invalid ticket count provided');
+    }
+    
+    if (seatIds !== null && (seatIds.length !== ticketCount || new Set(seatIds).size !== seatIds.length)) {
+        throw new Error('Invalid seat selection provided');
+    }
+    
+    return withTransaction(async (db) => {
+        const { event, hold } = await insertHold(db, {
+            userId,
+            eventId,
+            ticketTypeId,
+            quantity: ticketCount,
+            durationMinutes: HOLD_DURATION_MINUTES,
+            seatIds
+        });
+        
+        const updatedEvent = await getEventWithTicketTypes(db, eventId);
+        
+        return {
+            success: true,
+            message: `Holding ${ticketCount} ticket(s) for ${event.name} for ${HOLD_DURATION_MINUTES} minutes`,
+            hold: hold,
+            event: updatedEvent
+        };
+    });
+}
+
+/**
+ * Explain why a hold can no longer be confirmed or released
+ * 
+ * @param {Object} hold - Hold row
+ * @returns {string|null} Reason the hold is closed, or null when it is active
+ */
+function getClosedHoldError(hold) {
+    if (hold.status === 'confirmed') {
+        return 'Hold has already been confirmed';
+    }
+    
+    if (hold.status === 'released') {
+        return 'Hold has already been released';
+    }
+    
+    if (hold.status === 'expired' || hold.is_expired) {
+        return 'Hold has expired';
+    }
+    
+    return null;
+}
+
+/**
+ * Get an event's lifecycle status
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} eventId - ID of the event
+ * @returns {Promise<string|null>} Promise that resolves to the lifecycle status, or null when there is no such event
+ */
+async function getEventLifecycleStatus(db, eventId) {
+    const { source, params } = await getEventsWithLifecycle(db);
+    const event = await get(db, `SELECT lifecycle_status FROM ${source} WHERE id = ?`, [...params, eventId]);
+    return event ? event.lifecycle_status : null;
+}
+
+/**
+ * Find a user's hold and make sure it can still be confirmed or released
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} holdId - ID of the hold
+ * @param {number|null} userId - ID of the user who must own the hold
+ * @returns {Promise<Object>} Promise that resolves to the active hold or rejects with error
+ */
+async function getActiveHold(db, holdId, userId) {
+    const hold = await get(db, `${HOLD_SELECT} WHERE h.id = ? AND h.user_id IS ?`, [holdId, userId]);
+    
+    if (!hold) {
+        throw new Error('Hold not found');
+    }
+    
+    const closedError = getClosedHoldError(hold);
+    if (closedError) {
+        throw new Error(closedError);
+    }
+    
+    return hold;
+}
+
+/**
+ * Authorize and capture a hold's total with the payment provider
+ * Free holds are not sent to the provider.
+ * 
+ * @param {Object} hold - Active hold
+ * @param {string|null} paymentToken - Token for the customer's payment method
+ * @returns {Promise<Object>} Promise that resolves to { provider, paymentId, status, amountCents }
+ */
+async function chargeHold(hold, paymentToken) {
+    const { total_cents: amountCents } = calculateOrderTotals(hold.unit_price_cents, hold.quantity);
+    
+    if (amountCents === 0) {
+        return { provider: null, paymentId: null, status: 'not_required', amountCents };
+    }
+    
+    const provider = getPaymentProvider();
+    const authorization = await provider.authorize({
+        amountCents,
+        currency: hold.currency,
+        paymentToken,
+        reference: `hold-${hold.id}`
+    });
+    await provider.capture(authorization.id);
+    
+    return { provider: provider.name, paymentId: authorization.id, status: 'captured', amountCents };
+}
+
+/**
+ * Refund the payment taken for a hold whose order could not be recorded
+ * The refund is sent with a reference made from the hold's ID, so sending
+ * it again never pays out twice. A refund the provider refuses is recorded
+ * in failed_refunds for retryFailedRefunds to send again, rather than
+ * leaving the customer charged for nothing.
+ * 
+ * @param {number} holdId - ID of the hold the payment was taken for
+ * @param {Object} payment - Payment returned by chargeHold
+ * @returns {Promise<void>} Promise that resolves once the refund is sent or recorded
+ */
+async function refundHoldPayment(holdId, payment) {
+    const reference = `hold-${holdId}-refund`;
+    
+    try {
+        await getPaymentProvider(payment.provider).refund(payment.paymentId, payment.amountCents, { reference });
+    } catch (refundErr) {
+        console.error(`Error refunding payment ${payment.paymentId}:`, refundErr.message);
+        
+        const db = await getConnection();
+        await run(db, `
+            INSERT INTO failed_refunds (hold_id, payment_provider, payment_id, amount_cents, reference,
+                                        last_error, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            ON CONFLICT (reference) DO UPDATE SET
+                status = 'failed', attempts = attempts + 1, last_error = excluded.last_error, updated_at = datetime('now')
+        `, [holdId, payment.provider, payment.paymentId, payment.amountCents, reference, refundErr.message]);
+    }
+}
+
+/**
+ * Send every refund recorded in failed_refunds again
+ * Each refund goes with the reference it was first sent with. Ones the
+ * provider accepts are marked completed; the rest stay failed with the
+ * latest error, to be tried again on the next run.
+ * 
+ * @returns {Promise<number>} Promise that resolves to the number of refunds completed
+ */
+async function retryFailedRefunds() {
+    const db = await getConnection();
+    const refunds = await all(db, `
+        SELECT id, payment_provider, payment_id, amount_cents, reference
+        FROM failed_refunds
+        WHERE status = 'failed'
+        ORDER BY id
+    `);
+    
+    let completed = 0;
+    for (const refund of refunds) {
+        try {
+            await getPaymentProvider(refund.payment_provider).refund(refund.payment_id, refund.amount_cents, {
+                reference: refund.reference
+            });
+        } catch (err) {
+            await run(db, `
+                UPDATE failed_refunds
+                SET attempts = attempts + 1, last_error = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `, [err.message, refund.id]);
+            continue;
+        }
+        
+        await run(db, `
+            UPDATE failed_refunds SET status = 'completed', updated_at = datetime('now') WHERE id = ?
+        `, [refund.id]);
+        completed++;
+    }
+    
+    return completed;
+}
+
+/**
+ * Convert a user's active hold into a completed order
+ * The hold's total is charged first. If the payment fails the hold is
+ * released, and if the hold was confirmed or expired while the payment was
+ * in flight (a double submit, say) the payment is refunded. A refund that
+ * fails is recorded so it can be retried.
+ * 
+ * @param {number} holdId - ID of the hold to confirm
+ * @param {number|null} userId - ID of the user who must own the hold
+ * @param {Object} [options={}] - Confirmation options
+ * @param {string|null} [options.paymentToken=null] - Token for the customer's payment method
+ * @returns {Promise<Object>} Promise that resolves to the order and confirmed hold or rejects with error
+ */
+async function confirmHold(holdId, userId, { paymentToken = null } = {}) {
+    if (!holdId || holdId <= 0) {
+        throw new Error('Invalid hold ID provided');
+    }
+    
+    const db = await getConnection();
+    const hold = await getActiveHold(db, holdId, userId);
+    const lifecycleStatus = await getEventLifecycleStatus(db, hold.event_id);
+    
+    // Holds on events that are no longer on sale cannot be bought
+    const eventClosedError = getEventClosedError(hold.event_name, hold.event_status, lifecycleStatus);
+    if (eventClosedError) {
+        await releaseHold(holdId, userId).catch((releaseErr) => {
+            console.error('Error releasing hold for closed event:', releaseErr.message);
+        });
+        throw new Error(eventClosedError);
+    }
+    
+    let payment;
+    try {
+        payment = await chargeHold(hold, paymentToken);
+    } catch (err) {
+        await releaseHold(holdId, userId).catch((releaseErr) => {
+            console.error('Error releasing hold after failed payment:', releaseErr.message);
+        });
+        throw err;
+    }
+    
+    try {
+        return await withTransaction(async (db) => {
+            // Expired holds are left for the sweeper to return to inventory
+            const activeHold = await getActiveHold(db, holdId, userId);
+            
+            // The event may have been cancelled, or its sales closed, while
+            // the payment was in flight
+            const closedError = getEventClosedError(
+                activeHold.event_name,
+                activeHold.event_status,
+                await getEventLifecycleStatus(db, activeHold.event_id)
+            );
+            if (closedError) {
+                throw new Error(closedError);
+            }
+            
+            const order = await insertOrder(db, {
+                userId,
+                eventId: hold.event_id,
+                ticketTypeId: hold.ticket_type_id,
+                quantity: hold.quantity,
+                unitPriceCents: hold.unit_price_cents,
+                currency: hold.currency,
+                payment
             });
+            const heldSeats = await all(db, 'SELECT seat_id FROM event_seats WHERE hold_id = ? ORDER BY seat_id', [holdId]);
+            const tickets = await issueTickets(db, order, heldSeats.map(seat => seat.seat_id));
+            
+            await run(db, `
+                UPDATE holds
+                SET status = 'confirmed', order_id = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `, [order.id, holdId]);
+            await run(db, `
+                UPDATE waitlist_entries
+                SET status = 'claimed', updated_at = datetime('now')
+                WHERE hold_id = ? AND status = 'offered'
+            `, [holdId]);
+            
+            const confirmedHold = await get(db, `${HOLD_SELECT} WHERE h.id = ?`, [holdId]);
+            
+            const tierLabel = hold.ticket_type_name ? ` ${hold.ticket_type_name}` : '';
+            return {
+                success: true,
+                message: `Successfully purchased ${hold.quantity}${tierLabel} ticket(s) for ${hold.event_name}`,
+                hold: confirmedHold,
+                order: order,
+                tickets: tickets
+            };
         });
+    } catch (err) {
+        if (payment.paymentId) {
+            await refundHoldPayment(holdId, payment).catch((recordErr) => {
+                console.error(`Error recording failed refund of payment ${payment.paymentId}:`, recordErr.message);
+            });
+        }
+        throw err;
+    }
+}
+
+/**
+ * Release a user's active hold and return its tickets to inventory
+ * The tickets are offered to the event's waitlist before going back on sale.
+ * 
+ * @param {number} holdId - ID of the hold to release
+ * @param {number|null} userId - ID of the user who must own the hold
+ * @returns {Promise<Object>} Promise that resolves to the released hold and updated event or rejects with error
+ */
+async function releaseHold(holdId, userId) {
+    if (!holdId || holdId <= 0) {
+        throw new Error('Invalid hold ID provided');
+    }
+    
+    return withTransaction(async (db) => {
+        const hold = await getActiveHold(db, holdId, userId);
+        
+        await closeHold(db, hold, 'released');
+        await offerWaitlistClaims(db, hold.event_id);
+        
+        const releasedHold = await get(db, `${HOLD_SELECT} WHERE h.id = ?`, [holdId]);
+        const event = await getEventWithTicketTypes(db, hold.event_id);
+        
+        return {
+            success: true,
+            message: `Released ${hold.quantity} held ticket(s) for ${hold.event_name}`,
+            hold: releasedHold,
+            event: event
+        };
+    });
+}
+
+/**
+ * Expire every active hold past its expiry time and return the tickets to inventory
+ * The tickets are offered to each event's waitlist before going back on sale.
+ * Run periodically by the hold sweeper.
+ * 
+ * @returns {Promise<number>} Promise that resolves to the number of holds expired
+ */
+async function releaseExpiredHolds() {
+    return withTransaction(async (db) => {
+        const expiredHolds = await all(db, `
+            SELECT id, event_id, ticket_type_id, quantity
+            FROM holds
+            WHERE status = 'active' AND expires_at <= datetime('now')
+        `);
+        
+        for (const hold of expiredHolds) {
+            await closeHold(db, hold, 'expired');
+        }
+        
+        for (const eventId of new Set(expiredHolds.map(hold => hold.event_id))) {
+            await offerWaitlistClaims(db, eventId);
+        }
+        
+        return expiredHolds.length;
+    });
+}
+
+/**
+ * Offer available tickets to every event's waitlist
+ * Catches tickets that came back outside the client service, such as an
+ * organizer raising an event's ticket count. Run periodically by the hold sweeper.
+ * 
+ * @returns {Promise<number>} Promise that resolves to the number of claims offered
+ */
+async function processWaitlists() {
+    return withTransaction(async (db) => {
+        const events = await all(db, `
+            SELECT DISTINCT event_id
+            FROM waitlist_entries
+            WHERE status = 'waiting'
+        `);
+        
+        let offered = 0;
+        for (const { event_id: eventId } of events) {
+            offered += await offerWaitlistClaims(db, eventId);
+        }
+        
+        return offered;
+    });
+}
+
+/**
+ * Join the waitlist for a sold-out event (or sold-out ticket type)
+ * 
+ * @param {number} eventId - ID of the event
+ * @param {number} userId - ID of the user joining
+ * @param {Object} [options={}] - Waitlist options
+ * @param {number} [options.ticketCount=1] - Number of tickets wanted
+ * @param {number|null} [options.ticketTypeId=null] - ID of the ticket type wanted
+ * @returns {Promise<Object>} Promise that resolves to the new waitlist entry or rejects with error
+ */
+async function joinWaitlist(eventId, userId, { ticketCount = 1, ticketTypeId = null } = {}) {
+    if (!eventId || eventId <= 0) {
+        throw new Error('Invalid event ID provided');
+    }
+    
+    if (!ticketCount || ticketCount <= 0) {
+        throw new Error('Invalid ticket count provided');
+    }
+    
+    return withTransaction(async (db) => {
+        const { event, ticketType } = await findEventAndTicketType(db, eventId, ticketTypeId);
+        
+        // Returned seats go straight back on the seat map rather than to a line
+        if (event.reserved_seating) {
+            throw new Error(`${event.name} has reserved seating and does not have a waitlist`);
+        }
+        
+        const salesWindowError = ticketType && getSalesWindowError(ticketType);
+        if (salesWindowError) {
+            throw new Error(salesWindowError);
+        }
+        
+        if (event.max_per_user && ticketCount > event.max_per_user) {
+            throw new Error(`Purchase limit for ${event.name} is ${event.max_per_user} tickets per user`);
+        }
+        
+        const existing = await get(db, `
+            SELECT id
+            FROM waitlist_entries
+            WHERE event_id = ? AND user_id = ? AND status IN ('waiting', 'offered')
+        `, [eventId, userId]);
+        
+        if (existing) {
+            throw new Error(`You are already on the waitlist for ${event.name}`);
+        }
+        
+        const ticketsAvailable = ticketType
+            ? Math.min(ticketType.tickets_available, event.tickets_available)
+            : event.tickets_available;
+        const waiting = await countWaiting(db, eventId, ticketType ? ticketType.id : null);
+        
+        if (waiting === 0 && ticketsAvailable >= ticketCount) {
+            throw new Error(`Tickets are still available for ${event.name}`);
+        }
+        
+        const { lastID: entryId } = await run(db, `
+            INSERT INTO waitlist_entries (user_id, event_id, ticket_type_id, quantity, status, created_at, updated_at)
+            VALUES (?, ?, ?, ?, 'waiting', datetime('now'), datetime('now'))
+        `, [userId, eventId, ticketType ? ticketType.id : null, ticketCount]);
+        
+        const entry = await get(db, `${WAITLIST_SELECT} WHERE w.id = ?`, [entryId]);
+        
+        return {
+            success: true,
+            message: `Joined the waitlist for ${event.name}. You are number ${entry.position} in line.`,
+            entry: entry
+        };
+    });
+}
+
+/**
+ * Get a user's open waitlist entry for an event
+ * 
+ * @param {number} eventId - ID of the event
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object|null>} Promise that resolves to the waiting or offered entry, or null if there is none
+ */
+async function getWaitlistEntry(eventId, userId) {
+    const db = await getConnection();
+    
+    try {
+        const entry = await get(db, `
+            ${WAITLIST_SELECT}
+            WHERE w.event_id = ? AND w.user_id = ? AND w.status IN ('waiting', 'offered')
+        `, [eventId, userId]);
+        return entry || null;
+    } catch (err) {
+        console.error('Error fetching waitlist entry:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get all of a user's open waitlist entries, oldest first
+ * 
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Promise that resolves to the user's waiting and offered entries
+ */
+async function getWaitlistByUser(userId) {
+    const db = await getConnection();
+    
+    try {
+        return await all(db, `
+            ${WAITLIST_SELECT}
+            WHERE w.user_id = ? AND w.status IN ('waiting', 'offered')
+            ORDER BY w.id
+        `, [userId]);
+    } catch (err) {
+        console.error('Error fetching waitlist for user:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Leave an event's waitlist
+ * Leaving with a claim outstanding releases the claimed tickets to the
+ * next person in line.
+ * 
+ * @param {number} eventId - ID of the event
+ * @param {number} userId - ID of the user leaving
+ * @returns {Promise<Object>} Promise that resolves to the closed entry or rejects with error
+ */
+async function leaveWaitlist(eventId, userId) {
+    if (!eventId || eventId <= 0) {
+        throw new Error('Invalid event ID provided');
+    }
+    
+    return withTransaction(async (db) => {
+        const entry = await get(db, `
+            ${WAITLIST_SELECT}
+            WHERE w.event_id = ? AND w.user_id = ? AND w.status IN ('waiting', 'offered')
+        `, [eventId, userId]);
+        
+        if (!entry) {
+            throw new Error('Waitlist entry not found');
+        }
+        
+        const claim = entry.hold_id
+            ? await get(db, "SELECT id, event_id, ticket_type_id, quantity FROM holds WHERE id = ? AND status = 'active'", [entry.hold_id])
+            : null;
+        
+        if (claim) {
+            await closeHold(db, claim, 'released');
+        }
+        
+        await run(db, `
+            UPDATE waitlist_entries
+            SET status = 'left', updated_at = datetime('now')
+            WHERE id = ?
+        `, [entry.id]);
+        
+        // Whoever was behind may be first in line for tickets already available
+        await offerWaitlistClaims(db, eventId);
+        
+        const closedEntry = await get(db, `${WAITLIST_SELECT} WHERE w.id = ?`, [entry.id]);
+        
+        return {
+            success: true,
+            message: `Left the waitlist for ${entry.event_name}`,
+            entry: closedEntry
+        };
+    });
+}
+
+/**
+ * Get all orders placed by a user, newest first
+ * 
+ * @param {number} userId - ID of the user whose orders to fetch
+ * @returns {Promise<Array>} Promise that resolves to array of orders with event details
+ */
+async function getOrdersByUser(userId) {
+    const db = await getConnection();
+    
+    try {
+        return await all(db, `${ORDER_SELECT} WHERE o.user_id = ? ORDER BY o.created_at DESC, o.id DESC`, [userId]);
+    } catch (err) {
+        console.error('Error fetching orders for user:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get a single order owned by a user
+ * 
+ * @param {number} orderId - ID of the order to retrieve
+ * @param {number} userId - ID of the user who must own the order
+ * @returns {Promise<Object|null>} Promise that resolves to order object or null if not found
+ */
+async function getOrderById(orderId, userId) {
+    const db = await getConnection();
+    
+    try {
+        const order = await get(db, `${ORDER_SELECT} WHERE o.id = ? AND o.user_id = ?`, [orderId, userId]);
+        return order || null;
+    } catch (err) {
+        console.error('Error fetching order by ID:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get all tickets issued to a user, soonest event first
+ * 
+ * @param {number} userId - ID of the user whose tickets to fetch
+ * @returns {Promise<Array>} Promise that resolves to array of tickets with event details
+ */
+async function getTicketsByUser(userId) {
+    const db = await getConnection();
+    
+    try {
+        return await all(db, `${TICKET_SELECT} WHERE tk.user_id = ? ORDER BY e.date, tk.id`, [userId]);
+    } catch (err) {
+        console.error('Error fetching tickets for user:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Get a single ticket issued to a user
+ * 
+ * @param {number} ticketId - ID of the ticket to retrieve
+ * @param {number} userId - ID of the user who must hold the ticket
+ * @returns {Promise<Object|null>} Promise that resolves to ticket object or null if not found
+ */
+async function getTicketById(ticketId, userId) {
+    const db = await getConnection();
+    
+    try {
+        const ticket = await get(db, `${TICKET_SELECT} WHERE tk.id = ? AND tk.user_id = ?`, [ticketId, userId]);
+        return ticket || null;
+    } catch (err) {
+        console.error('Error fetching ticket by ID:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Start transferring one of a user's tickets to another registered user
+ * The ticket stays with its owner until the recipient accepts
+ * 
+ * @param {number} ticketId - ID of the ticket to transfer
+ * @param {number} fromUserId - ID of the user who must hold the ticket
+ * @param {number} toUserId - ID of the recipient's account
+ * @returns {Promise<Object>} Promise that resolves to the pending transfer or rejects with error
+ */
+async function createTransfer(ticketId, fromUserId, toUserId) {
+    if (!ticketId || ticketId <= 0) {
+        throw new Error('Invalid ticket ID provided');
+    }
+    
+    if (toUserId === fromUserId) {
+        throw new Error('You cannot transfer a ticket to yourself');
+    }
+    
+    return withTransaction(async (db) => {
+        const ticket = await get(db, `${TICKET_SELECT} WHERE tk.id = ? AND tk.user_id = ?`, [ticketId, fromUserId]);
+        
+        if (!ticket) {
+            throw new Error('Ticket not found');
+        }
+        
+        if (ticket.status !== 'valid') {
+            throw new Error('Refunded tickets cannot be transferred');
+        }
+        
+        if (ticket.checked_in_at) {
+            throw new Error('Tickets that have been checked in cannot be transferred');
+        }
+        
+        const pending = await get(db, `
+            SELECT id FROM ticket_transfers WHERE ticket_id = ? AND status = 'pending'
+        `, [ticketId]);
+        
+        if (pending) {
+            throw new Error('This ticket already has a pending transfer');
+        }
+        
+        const { lastID } = await run(db, `
+            INSERT INTO ticket_transfers (ticket_id, from_user_id, to_user_id, status, created_at)
+            VALUES (?, ?, ?, 'pending', datetime('now'))
+        `, [ticketId, fromUserId, toUserId]);
+        
+        return get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [lastID]);
+    });
+}
+
+/**
+ * Get the transfers a user has sent or received, newest first
+ * 
+ * @param {number} userId - ID of the user whose transfers to fetch
+ * @returns {Promise<Array>} Promise that resolves to array of transfers
+ */
+async function getTransfersByUser(userId) {
+    const db = await getConnection();
+    
+    try {
+        return await all(db, `
+            ${TRANSFER_SELECT}
+            WHERE tr.from_user_id = ? OR tr.to_user_id = ?
+            ORDER BY tr.created_at DESC, tr.id DESC
+        `, [userId, userId]);
+    } catch (err) {
+        console.error('Error fetching transfers for user:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Accept a transfer sent to a user
+ * The ticket moves to the recipient with a newly issued code in a single
+ * transaction, so the code the sender holds stops working at the same time
+ * 
+ * @param {number} transferId - ID of the transfer to accept
+ * @param {number} userId - ID of the user the transfer was sent to
+ * @returns {Promise<Object>} Promise that resolves to { transfer, ticket } or rejects with error
+ */
+async function acceptTransfer(transferId, userId) {
+    if (!transferId || transferId <= 0) {
+        throw new Error('Invalid transfer ID provided');
+    }
+    
+    return withTransaction(async (db) => {
+        const transfer = await get(db, `${TRANSFER_SELECT} WHERE tr.id = ? AND tr.to_user_id = ?`, [transferId, userId]);
+        
+        if (!transfer) {
+            throw new Error('Transfer not found');
+        }
+        
+        if (transfer.status !== 'pending') {
+            throw new Error(`Transfer has already been ${transfer.status}`);
+        }
+        
+        const { changes } = await run(db, `
+            UPDATE tickets
+            SET user_id = ?, code = ?, updated_at = datetime('now')
+            WHERE id = ? AND user_id = ? AND status = 'valid' AND checked_in_at IS NULL
+              AND order_id NOT IN (SELECT order_id FROM order_refunds WHERE status = 'pending')
+        `, [userId, createTicketCode(transfer.event_id), transfer.ticket_id, transfer.from_user_id]);
+        
+        if (changes === 0) {
+            throw new Error('This ticket can no longer be transferred');
+        }
+        
+        await run(db, `
+            UPDATE ticket_transfers SET status = 'accepted', resolved_at = datetime('now') WHERE id = ?
+        `, [transferId]);
+        
+        return {
+            transfer: await get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [transferId]),
+            ticket: await get(db, `${TICKET_SELECT} WHERE tk.id = ?`, [transfer.ticket_id])
+        };
+    });
+}
+
+/**
+ * Cancel a pending transfer
+ * The sender cancels it; the recipient declines it
+ * 
+ * @param {number} transferId - ID of the transfer to cancel
+ * @param {number} userId - ID of the sender or recipient
+ * @returns {Promise<Object>} Promise that resolves to the cancelled or declined transfer
+ */
+async function cancelTransfer(transferId, userId) {
+    if (!transferId || transferId <= 0) {
+        throw new Error('Invalid transfer ID provided');
+    }
+    
+    return withTransaction(async (db) => {
+        const transfer = await get(db, `
+            ${TRANSFER_SELECT} WHERE tr.id = ? AND (tr.from_user_id = ? OR tr.to_user_id = ?)
+        `, [transferId, userId, userId]);
+        
+        if (!transfer) {
+            throw new Error('Transfer not found');
+        }
+        
+        if (transfer.status !== 'pending') {
+            throw new Error(`Transfer has already been ${transfer.status}`);
+        }
+        
+        const status = transfer.from_user_id === userId ? 'cancelled' : 'declined';
+        await run(db, `
+            UPDATE ticket_transfers SET status = ?, resolved_at = datetime('now') WHERE id = ?
+        `, [status, transferId]);
+        
+        return get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [transferId]);
+    });
+}
+
+/**
+ * Reserve a refund of some of an order's remaining tickets
+ * The refund is recorded as pending, which stops the order being refunded
+ * again until it is finished. An order that already has a pending refund
+ * (left by a request that stopped part way) gets that refund back instead,
+ * as long as the request asks for the same number of tickets or does not
+ * say how many.
+ * 
+ * @param {sqlite3.Database} db - Connection inside a transaction
+ * @param {number} orderId - ID of the order to refund
+ * @param {number} userId - ID of the user who must own the order
+ * @param {number|null} ticketCount - Number of tickets to refund (null for all remaining)
+ * @returns {Promise<Object>} Promise that resolves to the pending refund with its order's payment
+ */
+async function reserveRefund(db, orderId, userId, ticketCount) {
+    const order = await get(db, `${ORDER_SELECT} WHERE o.id = ? AND o.user_id = ?`, [orderId, userId]);
+    
+    if (!order) {
+        throw new Error('Order not found');
+    }
+    
+    const pending = await get(db, `${REFUND_SELECT} WHERE r.order_id = ? AND r.status = 'pending'`, [orderId]);
+    if (pending) {
+        if (ticketCount !== null && ticketCount !== pending.quantity) {
+            throw new Error(`Cannot refund ${ticketCount} ticket(s) while a refund of ${pending.quantity} ticket(s) is still in progress on this order. Retry with the same ticket count.`);
+        }
+        return pending;
+    }
+    
+    // Tickets transferred to other accounts are no longer the buyer's to refund
+    const { transferred } = await get(db, `
+        SELECT COUNT(*) AS transferred FROM tickets
+        WHERE order_id = ? AND status = 'valid' AND user_id IS NOT ?
+    `, [orderId, order.user_id]);
+    
+    if (order.quantity === order.refunded_quantity) {
+        throw new Error('Order has already been fully refunded');
+    }
+    
+    const remaining = order.quantity - order.refunded_quantity - transferred;
+    if (remaining === 0) {
+        throw new Error('The remaining tickets on this order have already been transferred to other accounts');
+    }
+    
+    const refundCount = ticketCount === null ? remaining : ticketCount;
+    if (refundCount > remaining) {
+        throw new Error(`Cannot refund ${refundCount} ticket(s). Only ${remaining} ticket(s) remain on this order${transferred > 0 ? ' that have not been transferred' : ''}.`);
+    }
+    
+    // Refunds close a fixed number of hours before the event starts; an event
+    // without a start time starts when its day begins in its own time zone
+    const eventStart = order.event_starts_at || atLocalTime(order.event_date, '00:00', order.event_time_zone);
+    const cutoff = new Date(eventStart).getTime() - REFUND_CUTOFF_HOURS * 60 * 60 * 1000;
+    if (Date.now() >= cutoff) {
+        throw new Error(`Refunds are not available within ${REFUND_CUTOFF_HOURS} hours of the event`);
+    }
+    
+    // Refund each ticket's share of the total; the last refund takes whatever
+    // is left so rounding never refunds more or less than was paid
+    const refundCents = order.refunded_quantity + refundCount === order.quantity
+        ? order.total_cents - order.refunded_cents
+        : Math.round(order.total_cents * refundCount / order.quantity);
+    
+    const { lastID } = await run(db, `
+        INSERT INTO order_refunds (order_id, quantity, amount_cents, status, created_at, updated_at)
+        VALUES (?, ?, ?, 'pending', datetime('now'), datetime('now'))
+    `, [orderId, refundCount, refundCents]);
+    
+    return get(db, `${REFUND_SELECT} WHERE r.id = ?`, [lastID]);
+}
+
+/**
+ * Send a pending refund to the payment provider the order was paid with
+ * The refund's ID goes with it as the reference, so sending the same
+ * refund again does not pay it out twice. Free orders have nothing to send.
+ * 
+ * @param {Object} refund - Pending refund with its order's payment
+ * @returns {Promise<boolean>} Promise that resolves to true if money was refunded
+ */
+async function sendRefund(refund) {
+    if (!refund.payment_id || refund.amount_cents === 0) {
+        return false;
+    }
+    
+    await getPaymentProvider(refund.payment_provider).refund(refund.payment_id, refund.amount_cents, {
+        reference: `order-refund-${refund.id}`
+    });
+    return true;
+}
+
+/**
+ * Describe a completed refund with its order and event as they are now
+ * 
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {number} orderId - ID of the refunded order
+ * @param {Object} refund - The refund, with its quantity and amount_cents
+ * @returns {Promise<Object>} Promise that resolves to the refund result returned by cancelOrder
+ */
+async function getRefundResult(db, orderId, refund) {
+    const order = await get(db, `${ORDER_SELECT} WHERE o.id = ?`, [orderId]);
+    const event = await getEventWithTicketTypes(db, order.event_id);
+    
+    return {
+        success: true,
+        message: `Successfully refunded ${refund.quantity} ticket(s) for ${order.event_name}`,
+        order: order,
+        event: event,
+        ticketsRefunded: refund.quantity,
+        amountRefundedCents: refund.amount_cents
+    };
+}
+
+/**
+ * Cancel some or all of the remaining tickets on an order
+ * The refund is reserved in one transaction, the payment provider is asked
+ * for the money back outside of any transaction, and a second transaction
+ * marks the order (partially) refunded and returns the seats to the event.
+ * If the provider refuses, the refund is marked failed and nothing else
+ * changes. When two requests finish the same refund, the second one gets
+ * the same result without refunding again.
+ * 
+ * @param {number} orderId - ID of the order to cancel
+ * @param {number} userId - ID of the user who must own the order
+ * @param {number|null} [ticketCount=null] - Number of tickets to refund (defaults to all remaining)
+ * @returns {Promise<Object>} Promise that resolves to the updated order and event or rejects with error
+ */
+async function cancelOrder(orderId, userId, ticketCount = null) {
+    if (!orderId || orderId <= 0) {
+        throw new Error('Invalid order ID provided');
+    }
+    
+    if (ticketCount !== null && (!ticketCount || ticketCount <= 0)) {
+        throw new Error('Invalid ticket count provided');
+    }
+    
+    const refund = await withTransaction(db => reserveRefund(db, orderId, userId, ticketCount));
+    
+    let refunded;
+    try {
+        refunded = await sendRefund(refund);
+    } catch (err) {
+        const db = await getConnection();
+        await run(db, `
+            UPDATE order_refunds SET status = 'failed', last_error = ?, updated_at = datetime('now')
+            WHERE id = ? AND status = 'pending'
+        `, [err.message, refund.id]);
+        throw err;
+    }
+    
+    return withTransaction(async (db) => {
+        // A second request for the same refund may have recorded it already
+        const { changes } = await run(db, `
+            UPDATE order_refunds SET status = 'completed', updated_at = datetime('now')
+            WHERE id = ? AND status = 'pending'
+        `, [refund.id]);
+        if (changes === 0) {
+            return getRefundResult(db, orderId, refund);
+        }
+        
+        const order = await get(db, `${ORDER_SELECT} WHERE o.id = ?`, [orderId]);
+        const refundCount = refund.quantity;
+        const refundCents = refund.amount_cents;
+        const refundedQuantity = order.refunded_quantity + refundCount;
+        const status = refundedQuantity === order.quantity ? 'refunded' : 'partially_refunded';
+        const paymentStatus = refunded ? status : order.payment_status;
+        
+        await run(db, `
+            UPDATE orders
+            SET refunded_quantity = ?, refunded_cents = refunded_cents + ?, status = ?,
+                payment_status = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [refundedQuantity, refundCents, status, paymentStatus, orderId]);
+        
+        // Void the refunded seats' tickets, newest first, leaving tickets
+        // already scanned at the venue until last
+        await run(db, `
+            UPDATE tickets
+            SET status = 'refunded', updated_at = datetime('now')
+            WHERE id IN (
+                SELECT id FROM tickets
+                WHERE order_id = ? AND status = 'valid' AND user_id IS ?
+                ORDER BY checked_in_at IS NOT NULL, id DESC
+                LIMIT ?
+            )
+        `, [orderId, order.user_id, refundCount]);
+        
+        // Refunded tickets can no longer change hands
+        await run(db, `
+            UPDATE ticket_transfers SET status = 'cancelled', resolved_at = datetime('now')
+            WHERE status = 'pending' AND ticket_id IN (
+                SELECT id FROM tickets WHERE order_id = ? AND status = 'refunded'
+            )
+        `, [orderId]);
+        
+        // Refunded tickets' seats go back on the seat map
+        await run(db, `
+            UPDATE event_seats
+            SET status = 'available', hold_id = NULL, ticket_id = NULL, updated_at = datetime('now')
+            WHERE ticket_id IN (SELECT id FROM tickets WHERE order_id = ? AND status = 'refunded')
+        `, [orderId]);
+        
+        // Return the seats to inventory, offering them to the waitlist first
+        await returnTickets(db, order.event_id, order.ticket_type_id, refundCount);
+        await offerWaitlistClaims(db, order.event_id);
+        
+        return getRefundResult(db, orderId, refund);
     });
 }
 
 module.exports = {
+    calculateOrderTotals,
     getAllEvents,
+    searchEvents,
     getEventById,
-    purchaseTickets
+    getEventSeats,
+    getAllSeries,
+    getSeriesById,
+    purchaseTickets,
+    createHold,
+    confirmHold,
+    releaseHold,
+    releaseExpiredHolds,
+    retryFailedRefunds,
+    processWaitlists,
+    joinWaitlist,
+    getWaitlistEntry,
+    getWaitlistByUser,
+    leaveWaitlist,
+    getOrdersByUser,
+    getOrderById,
+    getTicketsByUser,
+    getTicketById,
+    createTransfer,
+    getTransfersByUser,
+    acceptTransfer,
+    cancelTransfer,
+    cancelOrder
 };
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Idempotency Model - Database Operations for Idempotency Keys
+ * 
+ * Stores the Idempotency-Key sent with a request together with the
+ * response it produced, so retries of the same request can be answered
+ * from the stored result instead of being processed again.
+ */
+
+const { getConnection, run, get } = require('../../shared-db/database');
+
+// Keys older than this are forgotten and may be reused
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+/**
+ * Turn a stored row into a key record with the response body parsed
+ * 
+ * @param {Object} row - Row from idempotency_keys
+ * @returns {Object} Key record
+ */
+function toRecord(row) {
+    return {
+        ...row,
+        response_body: row.response_body === null ? null : JSON.parse(row.response_body)
+    };
+}
+
+/**
+ * Claim an idempotency key for a new request
+ * Expired keys are pruned first. A reservation that has had no response
+ * for longer than its lease belongs to a request that died or never
+ * answered, so it is released for this one. When the user has already used
+ * the key, the existing record is returned instead so the caller can
+ * replay it.
+ * 
+ * @param {number} userId - ID of the user sending the request
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} fingerprint - Hash identifying the request the key was sent with
+ * @param {number} leaseMs - How long a reservation without a response is held
+ * @returns {Promise<Object>} Promise that resolves to { reserved: true, id } or { reserved: false, record }
+ */
+async function reserveKey(userId, key, fingerprint, leaseMs) {
+    const db = await getConnection();
+    
+    try {
+        await run(db, `
+            DELETE FROM idempotency_keys
+            WHERE created_at < datetime('now', ?)
+        `, [`-${IDEMPOTENCY_KEY_TTL_HOURS} hours`]);
+        
+        await run(db, `
+            DELETE FROM idempotency_keys
+            WHERE user_id = ? AND idempotency_key = ? AND status_code IS NULL
+              AND created_at < datetime('now', ?)
+        `, [userId, key, `-${Math.ceil(leaseMs / 1000)} seconds`]);
+        
+        const { lastID, changes } = await run(db, `
+            INSERT OR IGNORE INTO idempotency_keys (user_id, idempotency_key, request_fingerprint, created_at)
+            VALUES (?, ?, ?, datetime('now'))
+        `, [userId, key, fingerprint]);
+        
+        if (changes === 1) {
+            return { reserved: true, id: lastID };
+        }
+        
+        const row = await get(db, `
+            SELECT * FROM idempotency_keys
+            WHERE user_id = ? AND idempotency_key = ?
+        `, [userId, key]);
+        
+        return { reserved: false, record: toRecord(row) };
+    } catch (err) {
+        console.error('Error reserving idempotency key:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Look up an idempotency key
+ * 
+ * @param {number} userId - ID of the user who sent the key
+ * @param {string} key - Idempotency-Key header value
+ * @returns {Promise<Object|null>} Promise that resolves to the key record or null if not found
+ */
+async function findKey(userId, key) {
+    const db = await getConnection();
+    
+    try {
+        const row = await get(db, `
+            SELECT * FROM idempotency_keys
+            WHERE user_id = ? AND idempotency_key = ?
+        `, [userId, key]);
+        
+        return row ? toRecord(row) : null;
+    } catch (err) {
+        console.error('Error fetching idempotency key:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Store the response a request produced under its key
+ * 
+ * @param {number} id - ID of the key record
+ * @param {number} statusCode - HTTP status code sent
+ * @param {Object} body - JSON body sent
+ * @returns {Promise<void>}
+ */
+async function saveResponse(id, statusCode, body) {
+    const db = await getConnection();
+    
+    try {
+        await run(db, `
+            UPDATE idempotency_keys
+            SET status_code = ?, response_body = ?
+            WHERE id = ?
+        `, [statusCode, JSON.stringify(body), id]);
+    } catch (err) {
+        console.error('Error saving idempotent response:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Forget a key so the request can be retried with it
+ * 
+ * @param {number} id - ID of the key record
+ * @returns {Promise<void>}
+ */
+async function deleteKey(id) {
+    const db = await getConnection();
+    
+    try {
+        await run(db, 'DELETE FROM idempotency_keys WHERE id = ?', [id]);
+    } catch (err) {
+        console.error('Error deleting idempotency key:', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    reserveKey,
+    findKey,
+    saveResponse,
+    deleteKey
+};
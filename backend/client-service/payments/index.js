@@ -0,0 +1,103 @@
+/**
+ * Payments - Pluggable Payment Provider Registry
+ * 
+ * Purchases charge customers through a payment provider selected with the
+ * PAYMENT_PROVIDER environment variable. Every provider implements the same
+ * interface, and every call is bounded by PAYMENT_TIMEOUT_MS so a gateway
+ * that stops responding cannot hold tickets indefinitely.
+ * 
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Name stored on orders paid through the provider
+ * @property {Function} authorize - ({ amountCents, currency, paymentToken, reference }) => Promise<{ id, status }>
+ * @property {Function} capture - (paymentId) => Promise<{ id, status }>
+ * @property {Function} refund - (paymentId, amountCents, { reference }) => Promise<{ id, status, refundedCents }>; a repeated reference is refunded once
+ */
+
+const { createMockProvider } = require('./mockProvider');
+
+// Provider used when PAYMENT_PROVIDER is not set
+const DEFAULT_PROVIDER = 'mock';
+
+// Longest a single provider call may take before it is treated as failed
+const PAYMENT_TIMEOUT_MS = parseInt(process.env.PAYMENT_TIMEOUT_MS || '10000', 10);
+
+// Factories for the available providers, keyed by name
+const providerFactories = {
+    mock: createMockProvider
+};
+
+// Provider instances, created on first use
+const providers = new Map();
+
+/**
+ * Reject if a provider call does not settle in time
+ * 
+ * @param {Promise} promise - Pending provider call
+ * @param {string} operation - Name of the call, for the error message
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise} Promise that settles like the call, or rejects on timeout
+ */
+function withTimeout(promise, operation, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(new Error(`Payment ${operation} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+    
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wrap each provider call in the payment timeout
+ * 
+ * @param {PaymentProvider} provider - Provider to wrap
+ * @param {number} timeoutMs - Time limit for each call in milliseconds
+ * @returns {PaymentProvider} Provider whose calls time out
+ */
+function withTimeouts(provider, timeoutMs) {
+    return {
+        name: provider.name,
+        authorize: (request) => withTimeout(provider.authorize(request), 'authorization', timeoutMs),
+        capture: (paymentId) => withTimeout(provider.capture(paymentId), 'capture', timeoutMs),
+        refund: (paymentId, amountCents, options) => withTimeout(provider.refund(paymentId, amountCents, options), 'refund', timeoutMs)
+    };
+}
+
+/**
+ * Get a payment provider by name
+ * 
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER, then 'mock')
+ * @returns {PaymentProvider} Provider instance
+ */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER) {
+    const factory = providerFactories[name];
+    
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    
+    if (!providers.has(name)) {
+        providers.set(name, withTimeouts(factory(), PAYMENT_TIMEOUT_MS));
+    }
+    
+    return providers.get(name);
+}
+
+/**
+ * Make a payment provider available under a name
+ * Replaces any provider already registered with that name.
+ * 
+ * @param {string} name - Provider name, as used in PAYMENT_PROVIDER
+ * @param {Function} factory - Function returning a PaymentProvider
+ * @returns {void}
+ */
+function registerPaymentProvider(name, factory) {
+    providerFactories[name] = factory;
+    providers.delete(name);
+}
+
+module.exports = {
+    getPaymentProvider,
+    registerPaymentProvider
+};
@@ -0,0 +1,140 @@
+/**
+ * Mock Payment Provider - Offline Gateway for Development and Tests
+ * 
+ * Implements the payment provider interface without any network calls.
+ * The payment token picks the outcome, the same way test card numbers do
+ * with real gateways, so declines, capture failures and timeouts can be
+ * exercised locally. Payments are kept in memory.
+ */
+
+// Payment tokens that trigger each outcome; any other token succeeds
+const MOCK_TOKENS = {
+    SUCCESS: 'tok_visa',
+    DECLINED: 'tok_declined',
+    INSUFFICIENT_FUNDS: 'tok_insufficient_funds',
+    CAPTURE_FAILS: 'tok_capture_fails',
+    TIMEOUT: 'tok_timeout'
+};
+
+/**
+ * Create a mock payment provider with its own in-memory ledger
+ * 
+ * @returns {Object} Payment provider with name, authorize, capture and refund
+ */
+function createMockProvider() {
+    const payments = new Map();
+    const refunds = new Map();
+    let nextId = 1;
+    
+    return {
+        name: 'mock',
+        
+        /**
+         * Authorize an amount against a payment token
+         * 
+         * @param {Object} request - Authorization request
+         * @param {number} request.amountCents - Amount to authorize in integer cents
+         * @param {string} request.currency - ISO 4217 currency code
+         * @param {string|null} [request.paymentToken] - Token for the customer's payment method
+         * @returns {Promise<Object>} Promise that resolves to { id, status: 'authorized' }
+         */
+        async authorize({ amountCents, currency, paymentToken = null }) {
+            if (paymentToken === MOCK_TOKENS.TIMEOUT) {
+                // Never answers, like a gateway that has stopped responding
+                return new Promise(() => {});
+            }
+            
+            if (paymentToken === MOCK_TOKENS.DECLINED) {
+                throw new Error('Payment declined: card was declined');
+            }
+            
+            if (paymentToken === MOCK_TOKENS.INSUFFICIENT_FUNDS) {
+                throw new Error('Payment declined: insufficient funds');
+            }
+            
+            const id = `mock_pay_${Date.now().toString(36)}_${nextId++}`;
+            payments.set(id, {
+                amountCents,
+                currency,
+                paymentToken,
+                status: 'authorized',
+                refundedCents: 0
+            });
+            
+            return { id, status: 'authorized' };
+        },
+        
+        /**
+         * Capture a previously authorized payment
+         * 
+         * @param {string} paymentId - ID returned by authorize
+         * @returns {Promise<Object>} Promise that resolves to { id, status: 'captured' }
+         */
+        async capture(paymentId) {
+            const payment = payments.get(paymentId);
+            
+            if (!payment) {
+                throw new Error('Payment capture failed: payment not found');
+            }
+            
+            if (payment.status === 'captured') {
+                throw new Error('Payment capture failed: payment was already captured');
+            }
+            
+            if (payment.paymentToken === MOCK_TOKENS.CAPTURE_FAILS) {
+                payment.status = 'failed';
+                throw new Error('Payment capture failed: issuer rejected the capture');
+            }
+            
+            payment.status = 'captured';
+            return { id: paymentId, status: 'captured' };
+        },
+        
+        /**
+         * Refund part or all of a captured payment
+         * Payments the mock no longer remembers (after a restart) are
+         * refunded without checks so local order history stays usable.
+         * A refund repeated with the same reference is only made once.
+         * 
+         * @param {string} paymentId - ID returned by authorize
+         * @param {number} amountCents - Amount to refund in integer cents
+         * @param {Object} [options={}] - Refund options
+         * @param {string} [options.reference] - Caller's ID for this refund, so retries are not refunded twice
+         * @returns {Promise<Object>} Promise that resolves to { id, status, refundedCents }
+         */
+        async refund(paymentId, amountCents, { reference } = {}) {
+            if (reference && refunds.has(reference)) {
+                return refunds.get(reference);
+            }
+            
+            const payment = payments.get(paymentId);
+            let result;
+            
+            if (!payment) {
+                result = { id: paymentId, status: 'refunded', refundedCents: amountCents };
+            } else {
+                if (payment.status !== 'captured' && payment.status !== 'partially_refunded') {
+                    throw new Error('Payment refund failed: payment has not been captured');
+                }
+                
+                if (payment.refundedCents + amountCents > payment.amountCents) {
+                    throw new Error('Payment refund failed: refund exceeds the captured amount');
+                }
+                
+                payment.refundedCents += amountCents;
+                payment.status = payment.refundedCents === payment.amountCents ? 'refunded' : 'partially_refunded';
+                result = { id: paymentId, status: payment.status, refundedCents: payment.refundedCents };
+            }
+            
+            if (reference) {
+                refunds.set(reference, result);
+            }
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    MOCK_TOKENS,
+    createMockProvider
+};
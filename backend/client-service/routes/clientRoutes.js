@@ -5,9 +5,26 @@
  * It handles routing for event viewing and ticket purchasing operations.
  * 
  * Routes:
- * - GET /events: Get all events
+ * - GET /events: Search, filter and sort events, a page at a time
  * - GET /events/:id: Get specific event by ID
+ * - GET /events/:id/seats: Get the seat map of an event with reserved seating
+ * - GET /series: Get all event series with their occurrences
+ * - GET /series/:id: Get a specific series with its occurrences
  * - POST /events/:id/purchase: Purchase tickets for an event
+ * - POST /events/:id/holds: Hold tickets for an event during checkout
+ * - POST /holds/:id/confirm: Turn a hold into an order
+ * - DELETE /holds/:id: Release a hold before it expires
+ * - POST/GET/DELETE /events/:id/waitlist: Join, check or leave an event's waitlist
+ * - GET /waitlist: Get the authenticated user's waitlist entries
+ * - GET /orders: Get the authenticated user's orders
+ * - GET /orders/:id: Get one of the authenticated user's orders
+ * - POST /orders/:id/cancel: Refund some or all tickets on an order
+ * - GET /tickets: Get the authenticated user's tickets
+ * - GET /tickets/:id: Get a ticket with its QR code
+ * - POST /tickets/:id/transfers: Start transferring a ticket to another account
+ * - GET /transfers: Get the authenticated user's sent and received transfers
+ * - POST /transfers/:id/accept: Accept a transfer, re-issuing the ticket to the recipient
+ * - POST /transfers/:id/cancel: Cancel (sender) or decline (recipient) a pending transfer
  */
 
 const express = require('express');
@@ -16,10 +33,23 @@ const router = express.Router();
 // Import controllers
 const clientController = require('../controllers/clientController');
 
+// Import middleware
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
+
 /**
  * @route   GET /api/client/events
- * @desc    Get all events for client display
+ * @desc    Get a page of events for client display
  * @access  Public
+ * @query   {string} [q] - Words to search event names, descriptions and venues for
+ * @query   {string} [from] - Earliest event date (YYYY-MM-DD)
+ * @query   {string} [to] - Latest event date (YYYY-MM-DD)
+ * @query   {string} [category] - Event category
+ * @query   {string} [status] - Comma-separated lifecycle statuses: upcoming, on_sale, sales_closed, in_progress, past, cancelled (all but past by default)
+ * @query   {string} [available] - "true" for events on sale with tickets left
+ * @query   {string} [sort] - relevance (default with q), date (default without), -date, price, -price or name
+ * @query   {string} [cursor] - nextCursor of the previous page
+ * @query   {number} [limit=20] - Events per page (at most 100)
  */
 router.get('/events', clientController.getAllEvents);
 
@@ -31,13 +61,172 @@ router.get('/events', clientController.getAllEvents);
  */
 router.get('/events/:id', clientController.getEventById);
 
+/**
+ * @route   GET /api/client/events/:id/seats
+ * @desc    Get the seats of a reserved-seating event by section and row, and which are still available
+ * @access  Public
+ * @param   {string} id - Event ID
+ */
+router.get('/events/:id/seats', clientController.getEventSeats);
+
+/**
+ * @route   GET /api/client/series
+ * @desc    Get all event series, each with its occurrences
+ * @access  Public
+ */
+router.get('/series', clientController.getAllSeries);
+
+/**
+ * @route   GET /api/client/series/:id
+ * @desc    Get specific event series by ID, with its occurrences
+ * @access  Public
+ * @param   {string} id - Series ID
+ */
+router.get('/series/:id', clientController.getSeriesById);
+
 /**
  * @route   POST /api/client/events/:id/purchase
  * @desc    Purchase tickets for a specific event
- * @access  Public
+ * @access  Private
  * @param   {string} id - Event ID
  * @body    {number} [ticketCount] - Number of tickets to purchase (optional, defaults to 1)
+ * @body    {number} [ticketTypeId] - Ticket type to buy (required when the event has ticket types)
+ * @body    {Array<number>} [seatIds] - Seats to buy, all or none (required when the event has reserved seating)
+ * @body    {string} [paymentToken] - Token for the customer's payment method
+ * @header  {string} [Idempotency-Key] - Unique key per purchase; repeating it replays the original response
+ */
+router.post('/events/:id/purchase', authenticateToken, idempotent, clientController.purchaseTickets);
+
+/**
+ * @route   POST /api/client/events/:id/holds
+ * @desc    Hold tickets for a few minutes while the user checks out
+ * @access  Private
+ * @param   {string} id - Event ID
+ * @body    {number} [ticketCount] - Number of tickets to hold (optional, defaults to 1)
+ * @body    {number} [ticketTypeId] - Ticket type to hold (required when the event has ticket types)
+ * @body    {Array<number>} [seatIds] - Seats to hold, all or none (required when the event has reserved seating)
+ */
+router.post('/events/:id/holds', authenticateToken, clientController.createHold);
+
+/**
+ * @route   POST /api/client/holds/:id/confirm
+ * @desc    Pay for an active hold and convert it into an order
+ * @access  Private
+ * @param   {string} id - Hold ID
+ * @body    {string} [paymentToken] - Token for the customer's payment method
+ */
+router.post('/holds/:id/confirm', authenticateToken, clientController.confirmHold);
+
+/**
+ * @route   DELETE /api/client/holds/:id
+ * @desc    Release an active hold and return its tickets to inventory
+ * @access  Private
+ * @param   {string} id - Hold ID
+ */
+router.delete('/holds/:id', authenticateToken, clientController.releaseHold);
+
+/**
+ * @route   POST /api/client/events/:id/waitlist
+ * @desc    Join the waitlist for a sold-out event; returned tickets are offered in order as claims (holds)
+ * @access  Private
+ * @param   {string} id - Event ID
+ * @body    {number} [ticketCount] - Number of tickets wanted (optional, defaults to 1)
+ * @body    {number} [ticketTypeId] - Ticket type wanted (required when the event has ticket types)
+ */
+router.post('/events/:id/waitlist', authenticateToken, clientController.joinWaitlist);
+
+/**
+ * @route   GET /api/client/events/:id/waitlist
+ * @desc    Get the authenticated user's position on an event's waitlist, or their claim
+ * @access  Private
+ * @param   {string} id - Event ID
+ */
+router.get('/events/:id/waitlist', authenticateToken, clientController.getWaitlistEntry);
+
+/**
+ * @route   DELETE /api/client/events/:id/waitlist
+ * @desc    Leave an event's waitlist, releasing any claim to the next person in line
+ * @access  Private
+ * @param   {string} id - Event ID
+ */
+router.delete('/events/:id/waitlist', authenticateToken, clientController.leaveWaitlist);
+
+/**
+ * @route   GET /api/client/waitlist
+ * @desc    Get every waitlist the authenticated user is on
+ * @access  Private
+ */
+router.get('/waitlist', authenticateToken, clientController.getWaitlist);
+
+/**
+ * @route   GET /api/client/orders
+ * @desc    Get the authenticated user's orders
+ * @access  Private
+ */
+router.get('/orders', authenticateToken, clientController.getOrders);
+
+/**
+ * @route   GET /api/client/orders/:id
+ * @desc    Get a specific order belonging to the authenticated user
+ * @access  Private
+ * @param   {string} id - Order ID
+ */
+router.get('/orders/:id', authenticateToken, clientController.getOrderById);
+
+/**
+ * @route   GET /api/client/tickets
+ * @desc    Get the authenticated user's tickets, one per purchased seat
+ * @access  Private
+ */
+router.get('/tickets', authenticateToken, clientController.getTickets);
+
+/**
+ * @route   GET /api/client/tickets/:id
+ * @desc    Get one of the authenticated user's tickets with its signed code as SVG and PNG QR codes
+ * @access  Private
+ * @param   {string} id - Ticket ID
+ */
+router.get('/tickets/:id', authenticateToken, clientController.getTicketById);
+
+/**
+ * @route   POST /api/client/tickets/:id/transfers
+ * @desc    Start transferring one of the authenticated user's tickets to another registered account
+ * @access  Private
+ * @param   {string} id - Ticket ID
+ * @body    {string} email - Email of the account receiving the ticket
+ */
+router.post('/tickets/:id/transfers', authenticateToken, clientController.startTransfer);
+
+/**
+ * @route   GET /api/client/transfers
+ * @desc    Get the transfers the authenticated user has sent or received
+ * @access  Private
+ */
+router.get('/transfers', authenticateToken, clientController.getTransfers);
+
+/**
+ * @route   POST /api/client/transfers/:id/accept
+ * @desc    Accept a transfer; the ticket moves to the recipient with a new code
+ * @access  Private
+ * @param   {string} id - Transfer ID
+ */
+router.post('/transfers/:id/accept', authenticateToken, clientController.acceptTransfer);
+
+/**
+ * @route   POST /api/client/transfers/:id/cancel
+ * @desc    Cancel a pending transfer (sender) or decline it (recipient)
+ * @access  Private
+ * @param   {string} id - Transfer ID
+ */
+router.post('/transfers/:id/cancel', authenticateToken, clientController.cancelTransfer);
+
+/**
+ * @route   POST /api/client/orders/:id/cancel
+ * @desc    Refund some or all tickets on an order and return them to inventory
+ * @access  Private
+ * @param   {string} id - Order ID
+ * @body    {number} [ticketCount] - Number of tickets to refund (optional, defaults to all remaining)
  */
-router.post('/events/:id/purchase', clientController.purchaseTickets);
+router.post('/orders/:id/cancel', authenticateToken, clientController.cancelOrder);
 
 module.exports = router;
\ No newline at end of file
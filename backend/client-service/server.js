@@ -8,20 +8,26 @@
 
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 
 const app = express();
 const PORT = 6001;
 
 // Import routes
 const clientRoutes = require('./routes/clientRoutes');
+const { checkDatabaseSchema } = require('../shared-db/migrate');
 
 // Middleware configuration
 app.use(cors({
     origin: ["http://localhost:3000", "http://localhost:5001"], // Allow frontend and admin service connections
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 
+// Parse cookies so the auth_token cookie can authenticate purchases
+app.use(cookieParser());
+
 // Parse JSON request bodies
 app.use(express.json());
 
@@ -35,7 +41,26 @@ endpoints = [
     'GET /',
     'GET /api/client/events',
     'GET /api/client/events/:id',
-    'POST /api/client/events/:id/purchase'
+    'GET /api/client/events/:id/seats',
+    'GET /api/client/series',
+    'GET /api/client/series/:id',
+    'POST /api/client/events/:id/purchase',
+    'POST /api/client/events/:id/holds',
+    'POST /api/client/holds/:id/confirm',
+    'DELETE /api/client/holds/:id',
+    'POST /api/client/events/:id/waitlist',
+    'GET /api/client/events/:id/waitlist',
+    'DELETE /api/client/events/:id/waitlist',
+    'GET /api/client/waitlist',
+    'GET /api/client/orders',
+    'GET /api/client/orders/:id',
+    'POST /api/client/orders/:id/cancel',
+    'GET /api/client/tickets',
+    'GET /api/client/tickets/:id',
+    'POST /api/client/tickets/:id/transfers',
+    'GET /api/client/transfers',
+    'POST /api/client/transfers/:id/accept',
+    'POST /api/client/transfers/:id/cancel'
 ]
 
 // Root endpoint
@@ -65,11 +90,18 @@ app.use((req, res) => {
 });
 
 if (require.main === module) {
-    // Start server
-    app.listen(PORT, () => {
-        console.log(`Client service running on port ${PORT}`);
-        console.log(`Events API: http://localhost:${PORT}/api/events`);
-    });
+    // Start server once the database schema is known to be up to date
+    checkDatabaseSchema()
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`Client service running on port ${PORT}`);
+                console.log(`Events API: http://localhost:${PORT}/api/events`);
+            });
+        })
+        .catch((error) => {
+            console.error('Failed to start server:', error.message);
+            process.exit(1);
+        });
 }
 
 module.exports = app;
\ No newline at end of file
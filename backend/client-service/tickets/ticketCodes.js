@@ -0,0 +1,89 @@
+/**
+ * Ticket Codes - Signing, Verifying and Rendering Ticket Codes
+ *
+ * Every purchased seat gets a code of the form
+ * "TT1.<eventId>.<serial>.<signature>", where the serial is random and the
+ * signature is an HMAC-SHA256 of everything before it. A scanner holding the
+ * signing secret can check a code without reaching the database or any
+ * outside service.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Version prefix, so the code format can change without breaking old tickets
+const CODE_VERSION = 'TT1';
+
+// Secret used to sign ticket codes
+const TICKET_SIGNING_SECRET = process.env.TICKET_SIGNING_SECRET || 'tiger-tickets-ticket-secret-change-in-production';
+
+/**
+ * Sign the unsigned part of a ticket code
+ *
+ * @param {string} payload - "TT1.<eventId>.<serial>"
+ * @returns {string} Base64url HMAC-SHA256 signature
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', TICKET_SIGNING_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a new signed ticket code for an event
+ *
+ * @param {number} eventId - ID of the event the ticket admits to
+ * @returns {string} Signed ticket code
+ */
+function createTicketCode(eventId) {
+    const serial = crypto.randomBytes(12).toString('base64url');
+    const payload = `${CODE_VERSION}.${eventId}.${serial}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a ticket code's signature
+ *
+ * @param {string} code - Ticket code to check
+ * @returns {Object|null} { eventId, serial } when the code is genuine, null otherwise
+ */
+function verifyTicketCode(code) {
+    if (typeof code !== 'string') {
+        return null;
+    }
+
+    const parts = code.split('.');
+    if (parts.length !== 4 || parts[0] !== CODE_VERSION || !/^\d+$/.test(parts[1])) {
+        return null;
+    }
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(parts[3]);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    return { eventId: parseInt(parts[1], 10), serial: parts[2] };
+}
+
+/**
+ * Render a ticket code as a QR code
+ *
+ * @param {string} code - Ticket code to encode
+ * @returns {Promise<Object>} Promise that resolves to { svg, png } (png is a data URL)
+ */
+async function renderTicketQr(code) {
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+    const [svg, png] = await Promise.all([
+        QRCode.toString(code, { ...options, type: 'svg' }),
+        QRCode.toDataURL(code, { ...options, width: 256 })
+    ]);
+
+    return { svg, png };
+}
+
+module.exports = {
+    createTicketCode,
+    verifyTicketCode,
+    renderTicketQr
+};
@@ -2,23 +2,11 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
-// Mock paths to point to a test database
-const mockTestDbPath = path.join(__dirname, '..', '..', '..', 'test-database.sqlite');
-
-// Mock the DB_PATH in the llmModel module
-jest.mock('path', () => {
-    const actualPath = jest.requireActual('path');
-    return {
-        ...actualPath,
-        join: (...args) => {
-            // Intercept the database path construction in llmModel
-            if (args.includes('shared-db') && args.includes('database.sqlite')) {
-                return mockTestDbPath;
-            }
-            return actualPath.join(...args);
-        }
-    };
-});
+// Test database
+const testDbPath = path.join(__dirname, '..', '..', '..', 'test-database.sqlite');
+
+// Point the shared database module at the test database
+process.env.DB_PATH = testDbPath;
 
 // Mock AI dependencies to avoid actual API calls
 jest.mock('@ai-sdk/groq', () => ({
@@ -35,27 +23,67 @@ const ai = require('ai');
 
 // Now require the model after mocks are set up
 const llmModel = require('../../../models/llmModel');
+const { closeDatabase } = require('../../../../shared-db/database');
 
 let testDb;
 
 beforeAll(() => {
     // Remove existing test database if it exists
-    if (fs.existsSync(mockTestDbPath)) {
-        fs.unlinkSync(mockTestDbPath);
+    if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
     }
     
-    testDb = new sqlite3.Database(mockTestDbPath);
+    testDb = new sqlite3.Database(testDbPath);
     
     return new Promise((resolve, reject) => {
-        testDb.run(`
+        testDb.exec(`
+            CREATE TABLE venues (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE
+            );
+            INSERT INTO venues (id, name) VALUES (1, 'Memorial Stadium');
             CREATE TABLE events (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 name TEXT NOT NULL,
                 date TEXT NOT NULL,
+                starts_at TEXT,
+                ends_at TEXT,
+                time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+                sales_start DATETIME,
+                sales_end DATETIME,
+                venue_id INTEGER,
+                description TEXT,
+                category TEXT NOT NULL DEFAULT 'other',
+                image_url TEXT,
                 tickets_available INTEGER NOT NULL DEFAULT 0,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                currency TEXT NOT NULL DEFAULT 'USD',
+                status TEXT NOT NULL DEFAULT 'active',
+                cancellation_reason TEXT,
                 created_at TEXT DEFAULT CURRENT_TIMESTAMP,
                 updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-            )
+            );
+            CREATE TABLE ticket_types (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                price_cents INTEGER NOT NULL DEFAULT 0,
+                quota INTEGER NOT NULL,
+                tickets_sold INTEGER NOT NULL DEFAULT 0,
+                sales_start DATETIME,
+                sales_end DATETIME
+            );
+            CREATE VIRTUAL TABLE events_fts USING fts5(
+                name, description, venue, tokenize = 'unicode61 remove_diacritics 2'
+            );
+            CREATE VIRTUAL TABLE events_fts_vocab USING fts5vocab(events_fts, 'row');
+            CREATE TRIGGER events_fts_after_insert AFTER INSERT ON events BEGIN
+                INSERT INTO events_fts (rowid, name, description, venue)
+                VALUES (new.id, new.name, new.description, (SELECT name FROM venues WHERE id = new.venue_id));
+            END;
+            CREATE TRIGGER events_fts_after_delete AFTER DELETE ON events BEGIN
+                DELETE FROM events_fts WHERE rowid = old.id;
+            END;
         `, (err) => {
             if (err) reject(err);
             else resolve();
@@ -64,6 +92,9 @@ beforeAll(() => {
 });
 
 afterAll(async () => {
+    // Close the shared connection so the test database can be removed
+    await closeDatabase();
+    
     // Give time for any pending operations to complete
     await new Promise(resolve => setTimeout(resolve, 100));
     
@@ -75,8 +106,8 @@ afterAll(async () => {
             // Give file system time to release the lock
             setTimeout(() => {
                 try {
-                    if (fs.existsSync(mockTestDbPath)) {
-                        fs.unlinkSync(mockTestDbPath);
+                    if (fs.existsSync(testDbPath)) {
+                        fs.unlinkSync(testDbPath);
                     }
                 } catch (error) {
                     console.error('Error cleaning up test database:', error);
@@ -89,7 +120,7 @@ afterAll(async () => {
 
 function clearEvents() {
     return new Promise((resolve, reject) => {
-        testDb.run('DELETE FROM events', (err) => {
+        testDb.exec('DELETE FROM ticket_types; DELETE FROM events;', (err) => {
             if (err) reject(err);
             else resolve();
         });
@@ -98,11 +129,18 @@ function clearEvents() {
 
 function insertTestEvent(eventData) {
     return new Promise((resolve, reject) => {
-        const { name, date, tickets_available } = eventData;
+        const {
+            name, date, tickets_available, price_cents = 0, currency = 'USD', status = 'active', cancellation_reason = null,
+            starts_at = null, ends_at = null, time_zone = 'America/New_York', venue_id = null, category = 'other',
+            description = null, sales_start = null, sales_end = null
+        } = eventData;
         testDb.run(
-            `INSERT INTO events (name, date, tickets_available, created_at, updated_at)
-             VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
-            [name, date, tickets_available],
+            `INSERT INTO events (name, date, tickets_available, price_cents, currency, status, cancellation_reason,
+                                 starts_at, ends_at, time_zone, venue_id, category, description, sales_start, sales_end,
+                                 created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+            [name, date, tickets_available, price_cents, currency, status, cancellation_reason,
+                starts_at, ends_at, time_zone, venue_id, category, description, sales_start, sales_end],
             function(err) {
                 if (err) {
                     reject(err);
@@ -133,7 +171,7 @@ describe('LLM Model - Database Integration', () => {
         test('should find events with exact name match', async () => {
             await insertTestEvent({
                 name: 'Basketball Game',
-                date: '2025-12-15',
+                date: '2031-12-15',
                 tickets_available: 100
             });
 
@@ -163,7 +201,7 @@ describe('LLM Model - Database Integration', () => {
         test('should find events with partial name match', async () => {
             await insertTestEvent({
                 name: 'Rock Concert Tonight',
-                date: '2025-12-20',
+                date: '2031-12-20',
                 tickets_available: 200
             });
 
@@ -190,7 +228,7 @@ describe('LLM Model - Database Integration', () => {
         test('should handle case-insensitive searches', async () => {
             await insertTestEvent({
                 name: 'Jazz Festival',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 150
             });
 
@@ -217,7 +255,7 @@ describe('LLM Model - Database Integration', () => {
         test('should return empty message when no events match', async () => {
             await insertTestEvent({
                 name: 'Opera Night',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 50
             });
 
@@ -244,17 +282,17 @@ describe('LLM Model - Database Integration', () => {
         test('should find multiple matching events', async () => {
             await insertTestEvent({
                 name: 'Concert Rock Night',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 100
             });
             await insertTestEvent({
                 name: 'Jazz Concert',
-                date: '2025-12-10',
+                date: '2031-12-10',
                 tickets_available: 150
             });
             await insertTestEvent({
                 name: 'Pop Concert Tour',
-                date: '2025-12-20',
+                date: '2031-12-20',
                 tickets_available: 200
             });
 
@@ -281,17 +319,17 @@ describe('LLM Model - Database Integration', () => {
         test('should order results by date ascending', async () => {
             await insertTestEvent({
                 name: 'Event Z',
-                date: '2025-12-31',
+                date: '2031-12-31',
                 tickets_available: 100
             });
             await insertTestEvent({
                 name: 'Event A',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 100
             });
             await insertTestEvent({
                 name: 'Event M',
-                date: '2025-12-15',
+                date: '2031-12-15',
                 tickets_available: 100
             });
 
@@ -323,7 +361,7 @@ describe('LLM Model - Database Integration', () => {
         test('should handle events with zero tickets', async () => {
             await insertTestEvent({
                 name: 'Sold Out Show',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 0
             });
 
@@ -347,10 +385,274 @@ describe('LLM Model - Database Integration', () => {
             expect(result).toBeDefined();
         });
 
+        test('should include ticket prices in search results', async () => {
+            await insertTestEvent({
+                name: 'Paid Concert',
+                date: '2031-12-01',
+                tickets_available: 50,
+                price_cents: 2500
+            });
+            await insertTestEvent({
+                name: 'Free Concert',
+                date: '2031-12-02',
+                tickets_available: 50
+            });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            let toolResult;
+            ai.generateText.mockImplementation(async () => {
+                toolResult = await toolExecute({ searchTerm: 'Concert' });
+                return { text: toolResult };
+            });
+
+            const result = await llmModel.parseInput('How much are concert tickets?');
+
+            expect(toolResult).toContain('Price: 25.00 USD per ticket');
+            expect(toolResult).toContain('Price: Free');
+            expect(result.foundEvents[0]).toMatchObject({
+                name: 'Paid Concert',
+                price_cents: 2500,
+                currency: 'USD'
+            });
+        });
+
+        test('should list ticket types with their prices', async () => {
+            const event = await insertTestEvent({
+                name: 'Football Game',
+                date: '2031-11-29',
+                tickets_available: 1000
+            });
+            await new Promise((resolve, reject) => {
+                testDb.run(
+                    `INSERT INTO ticket_types (event_id, name, price_cents, quota, tickets_sold)
+                     VALUES (?, 'Student', 1000, 100, 40), (?, 'Reserved', 6000, 50, 0)`,
+                    [event.id, event.id],
+                    (err) => (err ? reject(err) : resolve())
+                );
+            });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            let toolResult;
+            ai.generateText.mockImplementation(async () => {
+                toolResult = await toolExecute({ searchTerm: 'Football' });
+                return { text: toolResult };
+            });
+
+            const result = await llmModel.parseInput('How much are student football tickets?');
+
+            expect(toolResult).toContain('Ticket Types:');
+            expect(toolResult).toMatch(/Student \(Ticket Type ID: \d+\): 10\.00 USD per ticket, 60 remaining/);
+            expect(toolResult).toMatch(/Reserved \(Ticket Type ID: \d+\): 60\.00 USD per ticket, 50 remaining/);
+            expect(result.foundEvents[0].ticket_types.map(type => type.name)).toEqual(['Student', 'Reserved']);
+        });
+
+        test('should leave out archived events and flag cancelled ones', async () => {
+            await insertTestEvent({
+                name: 'Homecoming Game',
+                date: '2031-12-01',
+                tickets_available: 100,
+                status: 'cancelled',
+                cancellation_reason: 'Severe weather'
+            });
+            await insertTestEvent({
+                name: 'Homecoming Parade',
+                date: '2031-12-02',
+                tickets_available: 100,
+                status: 'archived'
+            });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            let toolResult;
+            ai.generateText.mockImplementation(async () => {
+                toolResult = await toolExecute({ searchTerm: 'Homecoming' });
+                return { text: toolResult };
+            });
+
+            const result = await llmModel.parseInput('Find homecoming events');
+
+            expect(toolResult).toContain('Found 1 event(s)');
+            expect(toolResult).toContain('Status: Cancelled (Severe weather), tickets are not on sale');
+            expect(toolResult).not.toContain('Homecoming Parade');
+            expect(result.foundEvents).toHaveLength(1);
+            expect(result.foundEvents[0]).toMatchObject({ name: 'Homecoming Game', status: 'cancelled' });
+        });
+
+        test('should leave out past events and say when the others are not on sale', async () => {
+            await insertTestEvent({ name: 'Concert Last Year', date: '2000-06-01', tickets_available: 100 });
+            await insertTestEvent({
+                name: 'Concert Presale',
+                date: '2099-06-01',
+                tickets_available: 100,
+                starts_at: '2099-06-01T23:00:00.000Z',
+                sales_start: '2099-05-01T14:00:00.000Z'
+            });
+            await insertTestEvent({
+                name: 'Concert Sold Through',
+                date: '2099-06-02',
+                tickets_available: 100,
+                starts_at: '2099-06-02T23:00:00.000Z',
+                sales_end: '2000-01-01T00:00:00.000Z'
+            });
+            await insertTestEvent({
+                name: 'Concert Tonight',
+                date: '2000-06-03',
+                tickets_available: 100,
+                starts_at: '2000-06-03T23:00:00.000Z',
+                ends_at: '2099-06-04T02:00:00.000Z'
+            });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            let toolResult;
+            ai.generateText.mockImplementation(async () => {
+                toolResult = await toolExecute({ searchTerm: 'Concert' });
+                return { text: toolResult };
+            });
+
+            const result = await llmModel.parseInput('Any concerts?');
+
+            expect(toolResult).toContain('Found 3 event(s)');
+            expect(toolResult).not.toContain('Concert Last Year');
+            expect(toolResult).toContain('Status: Tickets go on sale May 1, 2099 at 10:00 AM');
+            expect(toolResult).toContain('Status: Ticket sales have closed');
+            expect(toolResult).toContain('Status: In progress, tickets are no longer on sale');
+            expect(toolResult).not.toContain('Available Tickets');
+            expect(result.foundEvents.map(event => event.lifecycle_status).sort()).toEqual(['in_progress', 'sales_closed', 'upcoming']);
+        });
+
+        test('should describe when and where events take place in their own time zone', async () => {
+            await insertTestEvent({
+                name: 'Football Game',
+                date: '2031-11-29',
+                tickets_available: 100,
+                starts_at: '2031-11-29T17:00:00.000Z',
+                ends_at: '2031-11-29T20:30:00.000Z',
+                venue_id: 1,
+                category: 'athletics'
+            });
+            await insertTestEvent({
+                name: 'Football Watch Party',
+                date: '2031-11-30',
+                tickets_available: 100,
+                starts_at: '2031-11-30T01:00:00.000Z',
+                time_zone: 'America/Los_Angeles'
+            });
+            await insertTestEvent({
+                name: 'Football Banquet',
+                date: '2031-12-05',
+                tickets_available: 100
+            });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            let toolResult;
+            ai.generateText.mockImplementation(async () => {
+                toolResult = await toolExecute({ searchTerm: 'Football' });
+                return { text: toolResult };
+            });
+
+            const result = await llmModel.parseInput('When is the football game?');
+
+            expect(toolResult).toContain('Time: Saturday, November 29, 2031 at 12:00 PM EST until 3:30 PM EST\n  Venue: Memorial Stadium\n  Category: athletics');
+            expect(toolResult).toContain('Time: Saturday, November 29, 2031 at 5:00 PM PST\n');
+            expect(toolResult.split('Football Banquet')[1].split('- Event ID')[0]).not.toContain('Time:');
+            expect(result.foundEvents.find(event => event.name === 'Football Game')).toMatchObject({
+                starts_at: '2031-11-29T17:00:00.000Z',
+                ends_at: '2031-11-29T20:30:00.000Z',
+                time_zone: 'America/New_York',
+                venue: 'Memorial Stadium',
+                category: 'athletics'
+            });
+        });
+
+        test('should rank events matching any word of the search, best match first', async () => {
+            await insertTestEvent({ name: 'Homecoming Game', date: '2031-11-01', tickets_available: 100 });
+            await insertTestEvent({
+                name: 'Clemson Basketball vs Duke',
+                date: '2031-12-15',
+                tickets_available: 100,
+                description: 'The first conference game of the season.'
+            });
+            await insertTestEvent({ name: 'Spring Career Fair', date: '2032-02-20', tickets_available: 100 });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            ai.generateText.mockImplementation(async () => {
+                const toolResult = await toolExecute({ searchTerm: 'Duke game' });
+                return { text: toolResult };
+            });
+
+            const result = await llmModel.parseInput('Tickets for the Duke game');
+
+            expect(result.foundEvents.map(event => event.name)).toEqual([
+                'Clemson Basketball vs Duke',
+                'Homecoming Game'
+            ]);
+        });
+
+        test('should match the start of a word, a misspelled word, the description and the venue', async () => {
+            const basketball = await insertTestEvent({ name: 'Clemson Basketball vs Duke', date: '2031-12-15', tickets_available: 100 });
+            const fair = await insertTestEvent({
+                name: 'Spring Career Fair',
+                date: '2032-02-20',
+                tickets_available: 100,
+                description: 'Bring copies of your résumé.'
+            });
+            const football = await insertTestEvent({ name: 'Football Game', date: '2031-11-29', tickets_available: 100, venue_id: 1 });
+
+            let toolExecute;
+            ai.tool.mockImplementation((config) => {
+                toolExecute = config.execute;
+                return config;
+            });
+
+            const search = async (searchTerm) => {
+                ai.generateText.mockImplementationOnce(async () => {
+                    await toolExecute({ searchTerm });
+                    return { text: '' };
+                });
+                const result = await llmModel.parseInput(searchTerm);
+                return result.foundEvents.map(event => event.event_id);
+            };
+
+            expect(await search('bask')).toEqual([basketball.id]);
+            expect(await search('baskteball')).toEqual([basketball.id]);
+            expect(await search('resume')).toEqual([fair.id]);
+            expect(await search('stadum')).toEqual([football.id]);
+            expect(await search('!!!')).toEqual([]);
+        });
+
         test('should handle special characters in event names', async () => {
             await insertTestEvent({
                 name: "Bob's Rock & Roll Show!",
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 100
             });
 
@@ -377,7 +679,7 @@ describe('LLM Model - Database Integration', () => {
         test('should handle search with wildcards in term', async () => {
             await insertTestEvent({
                 name: 'Amazing Concert',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 100
             });
 
@@ -418,7 +720,7 @@ describe('LLM Model - Database Integration', () => {
         test('should attach foundEvents to result', async () => {
             await insertTestEvent({
                 name: 'Test Event',
-                date: '2025-12-01',
+                date: '2031-12-01',
                 tickets_available: 100
             });
 
@@ -426,7 +728,7 @@ describe('LLM Model - Database Integration', () => {
                 {
                     event_id: 1,
                     name: 'Test Event',
-                    date: '2025-12-01',
+                    date: '2031-12-01',
                     tickets_available: 100
                 }
             ];
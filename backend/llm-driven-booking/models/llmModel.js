@@ -6,18 +6,16 @@
  * with proper transaction handling and concurrency control.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const groq = require('@ai-sdk/groq');
 const ai = require('ai');
 const dotenv = require('dotenv');
+const { MATCHING_EVENTS, buildMatchQuery } = require('../../shared-db/eventSearch');
+const { getEventsWithLifecycle } = require('../../shared-db/eventLifecycle');
+const { getConnection, all } = require('../../shared-db/database');
 
 // Init environment variables
 dotenv.config();
 
-// Database path pointing to shared database
-const DB_PATH = path.join(__dirname, '..', '..', 'shared-db', 'database.sqlite');
-
 /**
  * Parse user input using LLM to extract event and ticket information
  * 
@@ -35,7 +33,12 @@ async function parseInput(message) {
                 role: 'system',
                 content: `You are TigerTickets, an AI assistant for booking event tickets.
                 You help users find events and purchase tickets. 
-                When a user mentions an event name or keyword, use the searchEventsByName tool to find matching events.`
+                When a user mentions an event name or keyword, use the searchEventsByName tool to find matching events.
+                Search results include the ticket price, so use the tool to answer questions about how much tickets cost.
+                Some events sell several ticket types (such as student, general admission and reserved) with their own prices.
+                Cancelled events cannot be booked; tell the user the event was cancelled and why.
+                Only events on sale can be booked; for the others, tell the user when sales open or that they have closed.
+                Search results also include each event's start and end time, venue and category when they are known.`
                 // Always return structured json with event ID and ticket counts.`
             },
             {
@@ -45,7 +48,7 @@ async function parseInput(message) {
         ],
         tools: {
             searchEventsByName: ai.tool({
-                description: 'Search for events by name or keyword. Returns matching events.',
+                description: 'Search for events by name, keyword or venue. Returns matching events, best matches first.',
                 inputSchema: ai.jsonSchema({
                     type: 'object',
                     properties: {
@@ -65,7 +68,22 @@ async function parseInput(message) {
                         event_id: event.id,
                         name: event.name,
                         date: event.date,
-                        tickets_available: event.tickets_available
+                        starts_at: event.starts_at,
+                        ends_at: event.ends_at,
+                        time_zone: event.time_zone,
+                        venue: event.venue,
+                        description: event.description,
+                        category: event.category,
+                        image_url: event.image_url,
+                        tickets_available: event.tickets_available,
+                        price_cents: event.price_cents,
+                        currency: event.currency,
+                        status: event.status,
+                        lifecycle_status: event.lifecycle_status,
+                        sales_start: event.sales_start,
+                        sales_end: event.sales_end,
+                        cancellation_reason: event.cancellation_reason,
+                        ticket_types: event.ticket_types
                     }));
                     
                     // Return a formatted string with event details for the LLM
@@ -73,7 +91,7 @@ async function parseInput(message) {
                         return 'No events found matching that search term.';
                     }
                     return `Found ${events.length} event(s):\n` + events.map(event => 
-                        `- Event ID: ${event.id}\n  Name: ${event.name}\n  Date: ${event.date}\n  Available Tickets: ${event.tickets_available}`
+                        `- Event ID: ${event.id}\n  Name: ${event.name}\n  Date: ${event.date}\n${describeDetails(event)}  ${describeSales(event)}`
                     ).join('\n\n');
                 }
             })
@@ -88,50 +106,147 @@ async function parseInput(message) {
 }
 
 /**
- * Get a database connection with transaction support
+ * Format a ticket price in cents for the assistant to read back to users
  * 
- * @returns {sqlite3.Database} Database connection object
+ * @param {number} priceCents - Price of one ticket in integer cents
+ * @param {string} [currency='USD'] - ISO 4217 currency code
+ * @returns {string} Human-readable price, e.g. "25.00 USD per ticket" or "Free"
  */
-function getDbConnection() {
-    return new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, (err) => {
-        if (err) {
-            console.error('Error connecting to database:', err.message);
-            throw err;
-        }
-    });
+function formatPrice(priceCents, currency = 'USD') {
+    if (!priceCents) {
+        return 'Free';
+    }
+    
+    return `${(priceCents / 100).toFixed(2)} ${currency} per ticket`;
 }
 
 /**
- * Search for events by name (case-insensitive partial match)
+ * Describe when and where an event takes place, in the event's own time zone
+ * Details the event does not have are left out.
  * 
- * @param {string} searchTerm - The search term to match against event names
+ * @param {Object} event - Event row with starts_at, ends_at, time_zone, venue and category
+ * @returns {string} Detail lines for the search tool output, each ending in a newline
+ */
+function describeDetails(event) {
+    const lines = [];
+    
+    if (event.starts_at) {
+        const timeOptions = { timeZone: event.time_zone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+        const start = new Intl.DateTimeFormat('en-US', {
+            ...timeOptions,
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        }).format(new Date(event.starts_at));
+        
+        lines.push(event.ends_at
+            ? `Time: ${start} until ${new Intl.DateTimeFormat('en-US', timeOptions).format(new Date(event.ends_at))}`
+            : `Time: ${start}`);
+    }
+    if (event.venue) {
+        lines.push(`Venue: ${event.venue}`);
+    }
+    if (event.category) {
+        lines.push(`Category: ${event.category}`);
+    }
+    
+    return lines.map(line => `  ${line}\n`).join('');
+}
+
+/**
+ * Describe whether an event's tickets can be bought, with what is left and
+ * its prices when they can
+ * 
+ * @param {Object} event - Event row with status, lifecycle_status, sales_start and pricing
+ * @returns {string} Sales line(s) for the search tool output
+ */
+function describeSales(event) {
+    switch (event.lifecycle_status) {
+        case 'cancelled':
+            return `Status: Cancelled (${event.cancellation_reason}), tickets are not on sale`;
+        case 'upcoming':
+            return `Status: Tickets go on sale ${new Intl.DateTimeFormat('en-US', {
+                timeZone: event.time_zone,
+                dateStyle: 'long',
+                timeStyle: 'short'
+            }).format(new Date(event.sales_start))}`;
+        case 'sales_closed':
+            return 'Status: Ticket sales have closed';
+        case 'in_progress':
+            return 'Status: In progress, tickets are no longer on sale';
+        default:
+            return `Available Tickets: ${event.tickets_available}\n  ${describePricing(event)}`;
+    }
+}
+
+/**
+ * Describe an event's pricing, listing each ticket type when it has them
+ * 
+ * @param {Object} event - Event row with price_cents, currency and ticket_types
+ * @returns {string} Pricing line(s) for the search tool output
+ */
+function describePricing(event) {
+    if (!event.ticket_types || event.ticket_types.length === 0) {
+        return `Price: ${formatPrice(event.price_cents, event.currency)}`;
+    }
+    
+    return 'Ticket Types:\n' + event.ticket_types.map(ticketType =>
+        `    - ${ticketType.name} (Ticket Type ID: ${ticketType.id}): ${formatPrice(ticketType.price_cents, event.currency)}, ${ticketType.tickets_available} remaining`
+    ).join('\n');
+}
+
+/**
+ * Search for events by name, description or venue
+ * Uses the full-text index, so any word of the search term matches, as do
+ * the starts of words and words with a typo. The best matches come first.
+ * Each matching event includes its ticket types, cheapest first, and its
+ * lifecycle status. Archived and past events are never returned.
+ * 
+ * @param {string} searchTerm - The words to search for
  * @returns {Promise<Array>} Promise that resolves to array of matching events
  */
-function searchEventsByName(searchTerm) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
+async function searchEventsByName(searchTerm) {
+    const db = await getConnection();
+    
+    try {
+        const match = await buildMatchQuery(db, searchTerm);
+        if (!match) {
+            return [];
+        }
         
-        const query = `
-            SELECT id, name, date, tickets_available, created_at, updated_at 
-            FROM events 
-            WHERE name LIKE ?
-            ORDER BY date ASC
-        `;
+        const lifecycle = await getEventsWithLifecycle(db);
+        const rows = await all(db, `
+            SELECT id, name, date, starts_at, ends_at, time_zone, sales_start, sales_end,
+                   (SELECT name FROM venues WHERE venues.id = events.venue_id) AS venue, description, category, image_url,
+                   tickets_available, price_cents, currency, status, lifecycle_status, cancellation_reason, created_at, updated_at 
+            FROM ${lifecycle.source}
+            JOIN (${MATCHING_EVENTS}) AS matches ON matches.event_id = events.id
+            WHERE status != 'archived' AND lifecycle_status != 'past'
+            ORDER BY matches.relevance ASC, date ASC, starts_at ASC
+        `, [...lifecycle.params, match]);
         
-        // Add wildcards for partial matching
-        const searchPattern = `%${searchTerm}%`;
+        if (rows.length === 0) {
+            return rows;
+        }
         
-        db.all(query, [searchPattern], (err, rows) => {
-            if (err) {
-                console.error('Error searching events by name:', err.message);
-                reject(err);
-            } else {
-                resolve(rows);
-            }
-            
-            db.close();
-        });
-    });
+        const placeholders = rows.map(() => '?').join(', ');
+        const ticketTypes = await all(db, `
+            SELECT id, event_id, name, price_cents, quota - tickets_sold AS tickets_available,
+                   sales_start, sales_end
+            FROM ticket_types
+            WHERE event_id IN (${placeholders})
+            ORDER BY price_cents ASC, id ASC
+        `, rows.map(row => row.id));
+        
+        return rows.map(row => ({
+            ...row,
+            ticket_types: ticketTypes.filter(ticketType => ticketType.event_id === row.id)
+        }));
+    } catch (err) {
+        console.error('Error searching events by name:', err.message);
+        throw err;
+    }
 }
 
 module.exports = {
@@ -12,6 +12,7 @@ const PORT = 7001;
 
 // Import routes
 const llmRoutes = require('./routes/llmRoutes');
+const { checkDatabaseSchema } = require('../shared-db/migrate');
 
 // Middleware configuration
 app.use(cors({
@@ -61,11 +62,18 @@ app.use((req, res) => {
 });
 
 if (require.main === module) {
-    // Start server
-    app.listen(PORT, () => {
-        console.log(`LLM service running on port ${PORT}`);
-        console.log(`LLM API: http://localhost:${PORT}/api/llm/parse`);
-    });
+    // Start server once the database schema is known to be up to date
+    checkDatabaseSchema()
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`LLM service running on port ${PORT}`);
+                console.log(`LLM API: http://localhost:${PORT}/api/llm/parse`);
+            });
+        })
+        .catch((error) => {
+            console.error('Failed to start server:', error.message);
+            process.exit(1);
+        });
 }
 
 module.exports = app;
\ No newline at end of file
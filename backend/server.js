@@ -9,12 +9,16 @@ const adminService = require('./admin-service/server');
 const clientService = require('./client-service/server');
 const llmDrivenBookingService = require('./llm-driven-booking/server');
 const userAuthService = require('./user-authentication/server');
+const { startHoldSweeper } = require('./client-service/jobs/holdSweeper');
+const { resumeCancellationJobs } = require('./admin-service/jobs/eventCancellationJob');
+const { checkDatabaseSchema } = require('./shared-db/migrate');
 
 // Middleware configuration
 app.use(cors({
     origin: ["https://tigertickets.vercel.app", "http://localhost:3000"], 
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Parse JSON request bodies
@@ -69,9 +73,28 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`\nBackend Service running on port ${PORT}`);
-});
+// Start the server once the database schema is known to be up to date
+checkDatabaseSchema()
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`\nBackend Service running on port ${PORT}`);
+        });
+
+        // Background jobs run in this process only. `npm start` also starts
+        // each service on its own, and a second copy of a job would refund
+        // or release the same rows twice.
+
+        // Return tickets from abandoned checkouts to inventory
+        startHoldSweeper();
+
+        // Finish refunding events whose cancellation was interrupted
+        resumeCancellationJobs().catch((error) => {
+            console.error('Error resuming refund jobs:', error.message);
+        });
+    })
+    .catch((error) => {
+        console.error('Failed to start server:', error.message);
+        process.exit(1);
+    });
 
 module.exports = app;
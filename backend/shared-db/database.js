@@ -0,0 +1,365 @@
+/**
+ * Shared Database Access
+ *
+ * Every model reaches the shared SQLite database through this module
+ * instead of opening a connection per query. Queries run on one
+ * long-lived connection, opened on first use in WAL mode, so reads do not
+ * wait for writes, and with a busy timeout, so a query that meets another
+ * connection's write lock waits for it rather than failing with
+ * SQLITE_BUSY. Each connection prepares a statement once per distinct SQL
+ * string and reuses it after that.
+ *
+ * Transactions each run on a connection of their own, taken from a small
+ * pool, so queries from other requests never end up inside them.
+ *
+ * The database file is shared-db/database.sqlite unless DB_PATH names
+ * another one, such as a test database.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+// Database file used when DB_PATH is not set
+const DEFAULT_DB_PATH = path.join(__dirname, 'database.sqlite');
+
+// How long a query waits for another connection's lock before failing
+const BUSY_TIMEOUT_MS = parseInt(process.env.DB_BUSY_TIMEOUT_MS || '5000', 10);
+
+// Prepared statements kept per connection; the least recently used go first
+const STATEMENT_CACHE_SIZE = 200;
+
+// Transaction connections kept open for reuse once their transaction ends
+const MAX_IDLE_CONNECTIONS = 4;
+
+// Promise of the long-lived connection, once something has asked for it
+let sharedConnection = null;
+
+// Transaction connections waiting to be reused
+const idleConnections = [];
+
+// Statement cache of each connection opened here, by connection. Other
+// connections, such as the one migrations run on, are not cached
+const statementCaches = new WeakMap();
+
+/**
+ * Get the path of the database file
+ *
+ * @returns {string} DB_PATH if set, otherwise shared-db/database.sqlite
+ */
+function getDatabasePath() {
+    return process.env.DB_PATH || DEFAULT_DB_PATH;
+}
+
+/**
+ * Open a connection to the database file in WAL mode with a busy timeout
+ * The file must already exist; run the migrations to create it.
+ *
+ * @returns {Promise<sqlite3.Database>} Promise that resolves to the open connection
+ */
+function openConnection() {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(getDatabasePath(), sqlite3.OPEN_READWRITE, (err) => {
+            if (err) {
+                console.error('Error connecting to database:', err.message);
+                reject(err);
+                return;
+            }
+
+            db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+            db.exec('PRAGMA journal_mode = WAL', (pragmaErr) => {
+                if (pragmaErr) {
+                    db.close();
+                    reject(pragmaErr);
+                    return;
+                }
+
+                statementCaches.set(db, new Map());
+                resolve(db);
+            });
+        });
+    });
+}
+
+/**
+ * Get the long-lived connection, opening it on first use
+ *
+ * @returns {Promise<sqlite3.Database>} Promise that resolves to the shared connection
+ */
+function getConnection() {
+    if (!sharedConnection) {
+        sharedConnection = openConnection().catch((err) => {
+            // Let the next query try again
+            sharedConnection = null;
+            throw err;
+        });
+    }
+    return sharedConnection;
+}
+
+/**
+ * Finalize a prepared statement once nothing is using it
+ *
+ * @param {Object} entry - Statement cache entry
+ */
+function finalizeWhenUnused(entry) {
+    if (entry.users === 0) {
+        entry.statement.then(statement => statement.finalize(), () => {});
+    }
+}
+
+/**
+ * Take a prepared statement for some SQL from a connection's cache,
+ * preparing it if the cache does not have it
+ * The entry is marked as in use until releaseStatement is called, so it is
+ * not finalized under the caller if the cache evicts it meanwhile.
+ *
+ * @param {sqlite3.Database} db - Connection from openConnection
+ * @param {Map} cache - The connection's statement cache
+ * @param {string} sql - SQL of the statement
+ * @returns {Object} Cache entry: { statement: Promise<sqlite3.Statement>, users, evicted }
+ */
+function acquireStatement(db, cache, sql) {
+    let entry = cache.get(sql);
+
+    if (entry) {
+        // Move it to the most recently used end
+        cache.delete(sql);
+    } else {
+        entry = { users: 0, evicted: false };
+        entry.statement = new Promise((resolve, reject) => {
+            const statement = db.prepare(sql, (err) => {
+                if (err) {
+                    if (cache.get(sql) === entry) {
+                        cache.delete(sql);
+                    }
+                    reject(err);
+                } else {
+                    resolve(statement);
+                }
+            });
+        });
+    }
+
+    cache.set(sql, entry);
+    entry.users += 1;
+
+    if (cache.size > STATEMENT_CACHE_SIZE) {
+        const [oldestSql, oldest] = cache.entries().next().value;
+        cache.delete(oldestSql);
+        oldest.evicted = true;
+        finalizeWhenUnused(oldest);
+    }
+
+    return entry;
+}
+
+/**
+ * Stop using a statement taken with acquireStatement
+ *
+ * @param {Object} entry - Statement cache entry
+ */
+function releaseStatement(entry) {
+    entry.users -= 1;
+    if (entry.evicted) {
+        finalizeWhenUnused(entry);
+    }
+}
+
+/**
+ * Run SQL with one of the sqlite3 statement methods, through the
+ * connection's statement cache when it has one
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} method - 'run', 'get' or 'all'
+ * @param {string} sql - SQL to run
+ * @param {Array} params - Parameters
+ * @returns {Promise<*>} Promise that resolves to the method's result
+ */
+async function query(db, method, sql, params) {
+    const cache = statementCaches.get(db);
+
+    if (!cache) {
+        return new Promise((resolve, reject) => {
+            db[method](sql, params, function(err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+                }
+            });
+        });
+    }
+
+    const entry = acquireStatement(db, cache, sql);
+    try {
+        const statement = await entry.statement;
+        return await new Promise((resolve, reject) => {
+            statement[method](params, function(err, result) {
+                const settle = () => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+                    }
+                };
+
+                // get stops after the first row, which would leave the
+                // statement holding a read snapshot open until its next use
+                if (method === 'get') {
+                    statement.reset(settle);
+                } else {
+                    settle();
+                }
+            });
+        });
+    } finally {
+        releaseStatement(entry);
+    }
+}
+
+/**
+ * Run a write statement and resolve with the statement context
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} sql - SQL statement to execute
+ * @param {Array} [params=[]] - Statement parameters
+ * @returns {Promise<Object>} Promise that resolves to { lastID, changes }
+ */
+function run(db, sql, params = []) {
+    return query(db, 'run', sql, params);
+}
+
+/**
+ * Fetch a single row
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} sql - SQL query to execute
+ * @param {Array} [params=[]] - Query parameters
+ * @returns {Promise<Object|undefined>} Promise that resolves to the row, if any
+ */
+function get(db, sql, params = []) {
+    return query(db, 'get', sql, params);
+}
+
+/**
+ * Fetch all matching rows
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} sql - SQL query to execute
+ * @param {Array} [params=[]] - Query parameters
+ * @returns {Promise<Array>} Promise that resolves to the rows
+ */
+function all(db, sql, params = []) {
+    return query(db, 'all', sql, params);
+}
+
+/**
+ * Execute one or more SQL statements without parameters
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} sql - SQL to execute
+ * @returns {Promise<void>} Promise that resolves when the SQL has run
+ */
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Close a connection opened here, finalizing its cached statements first
+ *
+ * @param {sqlite3.Database} db - Connection from openConnection
+ * @returns {Promise<void>} Promise that resolves when the connection is closed
+ */
+async function closeConnection(db) {
+    const cache = statementCaches.get(db);
+    const statements = await Promise.all([...cache.values()].map(entry => entry.statement.catch(() => null)));
+    cache.clear();
+
+    await Promise.all(statements.filter(Boolean).map(statement => new Promise(resolve => statement.finalize(resolve))));
+    await new Promise((resolve, reject) => {
+        db.close((err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Run a unit of work inside a transaction on a connection of its own
+ * Commits when the work resolves and rolls back when it rejects
+ *
+ * @param {Function} work - Async function receiving the connection
+ * @returns {Promise<*>} Promise that resolves to the work's result
+ */
+async function withTransaction(work) {
+    const db = idleConnections.pop() || await openConnection();
+    let reusable = true;
+
+    try {
+        await run(db, 'BEGIN IMMEDIATE TRANSACTION');
+
+        try {
+            const result = await work(db);
+            await run(db, 'COMMIT');
+            return result;
+        } catch (err) {
+            await run(db, 'ROLLBACK').catch((rollbackErr) => {
+                // The transaction may still be open, so do not reuse the connection
+                reusable = false;
+                console.error('Error rolling back transaction:', rollbackErr.message);
+            });
+            throw err;
+        }
+    } finally {
+        if (reusable && idleConnections.length < MAX_IDLE_CONNECTIONS) {
+            idleConnections.push(db);
+        } else {
+            closeConnection(db).catch((closeErr) => {
+                console.error('Error closing database connection:', closeErr.message);
+            });
+        }
+    }
+}
+
+/**
+ * Close every open connection
+ * The next query opens a new one, so tests can point DB_PATH elsewhere
+ * and carry on.
+ *
+ * @returns {Promise<void>} Promise that resolves when the connections are closed
+ */
+async function closeDatabase() {
+    const connections = idleConnections.splice(0);
+
+    if (sharedConnection) {
+        const db = await sharedConnection.catch(() => null);
+        sharedConnection = null;
+        if (db) {
+            connections.push(db);
+        }
+    }
+
+    await Promise.all(connections.map(closeConnection));
+}
+
+module.exports = {
+    getDatabasePath,
+    getConnection,
+    run,
+    get,
+    all,
+    exec,
+    withTransaction,
+    closeDatabase
+};
@@ -0,0 +1,71 @@
+/**
+ * Event Lifecycle - Where an Event Is Between Going on Sale and Ending
+ *
+ * An event's lifecycle status is worked out from the clock rather than
+ * stored, so it never goes stale:
+ *
+ * - upcoming: its sales window has not opened yet
+ * - on_sale: tickets can be bought
+ * - sales_closed: its sales window has closed, but it has not started
+ * - in_progress: it has started and not ended
+ * - past: it has ended
+ * - cancelled: it was cancelled
+ *
+ * Sales open at sales_start (straight away when there is none) and close
+ * at sales_end, or when the event starts if it has no sales_end. An event
+ * ends at ends_at; one without an end time ends with its calendar day in
+ * its own time zone.
+ */
+
+const { all } = require('./database');
+const { getLocalDate } = require('./timeZones');
+
+// Every lifecycle status, in the order an event passes through them
+const LIFECYCLE_STATUSES = ['upcoming', 'on_sale', 'sales_closed', 'in_progress', 'past', 'cancelled'];
+
+/**
+ * Get the events table with each event's lifecycle status added
+ * The result is a FROM clause source named events, so queries can select
+ * and filter on lifecycle_status like any other column. Its parameters
+ * must come before any others in the query.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Date} [now=new Date()] - Moment to work the statuses out for
+ * @returns {Promise<Object>} Promise that resolves to { source, params }
+ */
+async function getEventsWithLifecycle(db, now = new Date()) {
+    // Grouping reads the time zones from idx_events_time_zone rather than
+    // scanning the events themselves
+    const timeZones = (await all(db, 'SELECT time_zone FROM events GROUP BY time_zone')).map(row => row.time_zone);
+    const instant = now.toISOString();
+
+    // SQLite has no time zones, so each zone's current date is passed in
+    // to tell whether an event without an end time is over
+    const todayCases = timeZones.map(() => 'WHEN ? THEN ?').join(' ');
+    const todayParams = timeZones.flatMap(timeZone => [timeZone, getLocalDate(instant, timeZone)]);
+    const today = timeZones.length > 0
+        ? `CASE time_zone ${todayCases} ELSE ? END`
+        : '?';
+
+    return {
+        source: `(
+            SELECT *,
+                CASE
+                    WHEN status = 'cancelled' THEN 'cancelled'
+                    WHEN ends_at IS NOT NULL AND ends_at <= ? THEN 'past'
+                    WHEN ends_at IS NULL AND date < ${today} THEN 'past'
+                    WHEN starts_at IS NOT NULL AND starts_at <= ? THEN 'in_progress'
+                    WHEN sales_start IS NOT NULL AND sales_start > ? THEN 'upcoming'
+                    WHEN sales_end IS NOT NULL AND sales_end <= ? THEN 'sales_closed'
+                    ELSE 'on_sale'
+                END AS lifecycle_status
+            FROM events
+        ) AS events`,
+        params: [instant, ...todayParams, instant.slice(0, 10), instant, instant, instant]
+    };
+}
+
+module.exports = {
+    LIFECYCLE_STATUSES,
+    getEventsWithLifecycle
+};
@@ -0,0 +1,171 @@
+/**
+ * Event Search - Full-Text Queries over the events_fts Index
+ *
+ * The schema keeps events_fts, an FTS5 index of each event's name,
+ * description and venue, in step with the events table. This module turns
+ * what a person typed into an FTS5 query that matches any of its words,
+ * including words they have only started typing and words with a typo or
+ * two, and gives the SQL that ranks the matching events.
+ */
+
+const { all } = require('./database');
+
+// Most words of a search that are looked up; the rest are ignored
+const MAX_SEARCH_TERMS = 10;
+
+// Most indexed words one misspelled word can stand for
+const MAX_CORRECTIONS = 10;
+
+// Subquery listing the events that match an FTS5 query (its one parameter),
+// with how relevant each is. bm25 ranks better matches lower, and a word
+// found in the name counts for more than one in the venue or description.
+const MATCHING_EVENTS = `
+    SELECT rowid AS event_id, bm25(events_fts, 10.0, 1.0, 4.0) AS relevance
+    FROM events_fts
+    WHERE events_fts MATCH ?`;
+
+/**
+ * Split search text into words the way the events_fts tokenizer does
+ * Words are lowercased and lose their accents.
+ *
+ * @param {string} text - Search text
+ * @returns {Array<string>} Distinct words, in the order they appear
+ */
+function tokenize(text) {
+    const words = text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+
+    return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Get how many typos a search word may contain and still match
+ * Short words must be spelled right, or they would match almost anything.
+ *
+ * @param {string} word - Search word
+ * @returns {number} Typos allowed: 0, 1 or 2
+ */
+function getAllowedTypos(word) {
+    if (word.length < 4) {
+        return 0;
+    }
+    return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Count the edits between two words: letters added, removed, changed or
+ * swapped with the next letter
+ *
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+        distances[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1,
+                distances[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return distances[a.length][b.length];
+}
+
+/**
+ * Count the edits between a search word and an indexed word it could stand for
+ * A search word can be a whole word or the start of one, so the indexed
+ * word is compared cut to the search word's length, and whole as well when
+ * it is not too much longer to be within the typo allowance.
+ *
+ * @param {string} word - Search word
+ * @param {string} term - Indexed word
+ * @param {number} allowed - Typos allowed in the search word
+ * @returns {number} Edit distance
+ */
+function correctionDistance(word, term, allowed) {
+    const distance = editDistance(word, term.slice(0, word.length));
+
+    return term.length > word.length && term.length <= word.length + allowed
+        ? Math.min(distance, editDistance(word, term))
+        : distance;
+}
+
+/**
+ * Find the indexed words a misspelled search word could stand for
+ * Only indexed words that begin with the same letter and are long enough
+ * are read from the index, so a typo in the first letter is not corrected.
+ * Words the search word starts are left out, as its prefix query matches
+ * them.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} word - Search word
+ * @returns {Promise<Array<string>>} Promise that resolves to close indexed words, closest first
+ */
+async function findCorrections(db, word) {
+    const allowed = getAllowedTypos(word);
+    if (allowed === 0) {
+        return [];
+    }
+
+    // fts5vocab looks up a range of terms without reading the rest
+    const first = word.codePointAt(0);
+    const rows = await all(db, `
+        SELECT term FROM events_fts_vocab
+        WHERE term >= ? AND term < ? AND length(term) >= ?
+    `, [String.fromCodePoint(first), String.fromCodePoint(first + 1), word.length - allowed]);
+
+    return rows
+        .map(row => row.term)
+        .filter(term => !term.startsWith(word))
+        .map(term => ({ term, distance: correctionDistance(word, term, allowed) }))
+        .filter(({ distance }) => distance <= allowed)
+        .sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term))
+        .slice(0, MAX_CORRECTIONS)
+        .map(({ term }) => term);
+}
+
+/**
+ * Build the FTS5 query for a search
+ * Events match when they contain any of the words, so ranking decides
+ * which come first. Each word also matches longer words it starts, and
+ * indexed words within its typo allowance.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} text - Search text
+ * @returns {Promise<string|null>} Promise that resolves to the FTS5 query, or null when the text has no words to search for
+ */
+async function buildMatchQuery(db, text) {
+    const words = tokenize(text);
+    if (words.length === 0) {
+        return null;
+    }
+
+    // Words are letters and digits only, so quoting them is enough to
+    // keep FTS5 from reading them as operators
+    const alternatives = [];
+    for (const word of words) {
+        const corrections = await findCorrections(db, word);
+        alternatives.push(`"${word}"*`, ...corrections.map(term => `"${term}"`));
+    }
+    return alternatives.join(' OR ');
+}
+
+module.exports = {
+    MATCHING_EVENTS,
+    buildMatchQuery
+};
@@ -0,0 +1,71 @@
+/**
+ * Holds - Returning Held Tickets to Inventory
+ *
+ * A checkout hold takes its tickets, and any reserved seats, out of an
+ * event's inventory until it is confirmed or closed. The client service
+ * closes holds that are released or expire, and the admin service closes
+ * those of a cancelled event, so both return the tickets the same way.
+ */
+
+const { run } = require('./database');
+
+/**
+ * Put tickets back into an event's inventory inside an open transaction
+ *
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {number} eventId - ID of the event the tickets belong to
+ * @param {number|null} ticketTypeId - ID of the ticket type they were taken from
+ * @param {number} ticketCount - Number of tickets to return
+ * @returns {Promise<void>}
+ */
+async function returnTickets(db, eventId, ticketTypeId, ticketCount) {
+    await run(db, `
+        UPDATE events
+        SET tickets_available = tickets_available + ?, updated_at = datetime('now')
+        WHERE id = ?
+    `, [ticketCount, eventId]);
+
+    if (ticketTypeId) {
+        await run(db, `
+            UPDATE ticket_types
+            SET tickets_sold = tickets_sold - ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [ticketCount, ticketTypeId]);
+    }
+}
+
+/**
+ * Close an active hold and return its tickets inside an open transaction
+ * A waitlist claim that closes without being confirmed gives up the user's
+ * place on the waitlist, and any seats the hold took go back on sale.
+ *
+ * @param {sqlite3.Database} db - Connection with an open transaction
+ * @param {Object} hold - Active hold with id, event_id, ticket_type_id and quantity
+ * @param {string} status - 'released' or 'expired'
+ * @returns {Promise<void>}
+ */
+async function closeHold(db, hold, status) {
+    await run(db, `
+        UPDATE holds
+        SET status = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `, [status, hold.id]);
+    await returnTickets(db, hold.event_id, hold.ticket_type_id, hold.quantity);
+
+    await run(db, `
+        UPDATE event_seats
+        SET status = 'available', hold_id = NULL, updated_at = datetime('now')
+        WHERE hold_id = ? AND status = 'held'
+    `, [hold.id]);
+
+    await run(db, `
+        UPDATE waitlist_entries
+        SET status = ?, updated_at = datetime('now')
+        WHERE hold_id = ? AND status = 'offered'
+    `, [status === 'expired' ? 'expired' : 'left', hold.id]);
+}
+
+module.exports = {
+    returnTickets,
+    closeHold
+};
@@ -1,34 +0,0 @@
--- Tiger Tickets Database Schema
--- This file initializes the shared SQLite database
-
--- Events table to store event information
-CREATE TABLE IF NOT EXISTS events (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    date TEXT NOT NULL,
-    tickets_available INTEGER NOT NULL DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create indexes for better query performance
-CREATE INDEX IF NOT EXISTS idx_events_date ON events(date);
-CREATE INDEX IF NOT EXISTS idx_events_name ON events(name);
-
--- Users table for authentication
-CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT NOT NULL UNIQUE,
-    password_hash TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create index for email lookups
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-
--- Insert sample data for testing
-INSERT OR IGNORE INTO events (id, name, date, tickets_available) VALUES 
-(1, 'Clemson vs South Carolina Football', '2025-11-29', 80000),
-(2, 'Clemson Basketball vs Duke', '2025-12-15', 9000),
-(3, 'Spring Career Fair', '2026-02-20', 500);
\ No newline at end of file
@@ -0,0 +1,314 @@
+/**
+ * Schema Migrations for the Shared Database
+ *
+ * The schema changes through numbered files in migrations/, named like
+ * 002_add_event_tags.js, each exporting async up(db) and down(db)
+ * functions. The schema_migrations table records which have been applied,
+ * so each migration runs once, in order, inside its own transaction.
+ *
+ * Every service runs the same command (npm run migrate), or run it here:
+ *   node migrate.js                Apply every pending migration
+ *   node migrate.js up <version>   Apply pending migrations up to a version
+ *   node migrate.js down [version] Roll back to a version (default: undo the latest)
+ *   node migrate.js status         List applied and pending migrations
+ *
+ * DB_PATH selects the database file, as it does for the services, which
+ * refuse to start until every migration has been applied.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { getDatabasePath, run, all, exec } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration file names: a version number, then words separated by underscores
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Get a migration's label, matching its file name without the extension
+ *
+ * @param {{version: number, name: string}} migration - Migration or schema_migrations row
+ * @returns {string} Label such as 001_baseline
+ */
+function describeMigration({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+/**
+ * Load the migrations in a directory, oldest first
+ *
+ * @param {string} [dir=MIGRATIONS_DIR] - Directory of migration files
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>} Migrations in version order
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .map((file) => {
+            const match = MIGRATION_FILE.exec(file);
+            if (!match) {
+                throw new Error(`Invalid migration file name: ${file} (expected e.g. 002_add_event_tags.js)`);
+            }
+
+            const { up, down } = require(path.join(dir, file));
+            if (typeof up !== 'function' || typeof down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+
+            return { version: Number(match[1]), name: match[2], up, down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Two migrations have version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * Get the migrations that have been applied to a database, oldest first
+ * A database without a schema_migrations table has none.
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<Array<{version: number, name: string, applied_at: string}>>} Promise that resolves to the applied migrations
+ */
+async function getAppliedMigrations(db) {
+    const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    if (tables.length === 0) {
+        return [];
+    }
+
+    return all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+}
+
+/**
+ * Compare a database's applied migrations with the migration files
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Array} [migrations=loadMigrations()] - Migrations from loadMigrations
+ * @returns {Promise<Object>} Promise that resolves to { currentVersion, latestVersion, applied, pending, unknown }, where unknown lists applied versions with no migration file
+ */
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+    const applied = await getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(migration => migration.version));
+    const knownVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+        currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+        latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        applied,
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+        unknown: applied.filter(migration => !knownVersions.has(migration.version))
+    };
+}
+
+/**
+ * Run one step of a migration in a transaction, recording the result
+ * in schema_migrations only if the step succeeds
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<void>} Promise that resolves when the step has been committed
+ */
+async function runMigration(db, migration, direction) {
+    await exec(db, 'BEGIN IMMEDIATE');
+    try {
+        await migration[direction](db);
+        if (direction === 'up') {
+            await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+        await exec(db, 'COMMIT');
+    } catch (err) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${describeMigration(migration)} ${direction} failed: ${err.message}`);
+    }
+}
+
+/**
+ * Apply pending migrations, oldest first
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Object} [options={}] - Migration options
+ * @param {number} [options.to] - Last version to apply (default: the latest)
+ * @param {Array} [options.migrations=loadMigrations()] - Migrations from loadMigrations
+ * @returns {Promise<Array>} Promise that resolves to the migrations applied
+ */
+async function migrateUp(db, { to = Infinity, migrations = loadMigrations() } = {}) {
+    await exec(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const { pending } = await getMigrationStatus(db, migrations);
+    const toApply = pending.filter(migration => migration.version <= to);
+
+    for (const migration of toApply) {
+        await runMigration(db, migration, 'up');
+        console.log(`Applied migration ${describeMigration(migration)}`);
+    }
+
+    return toApply;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Object} [options={}] - Rollback options
+ * @param {number} [options.to] - Version to roll back to, which stays applied (default: undo only the latest migration; 0 undoes them all)
+ * @param {Array} [options.migrations=loadMigrations()] - Migrations from loadMigrations
+ * @returns {Promise<Array>} Promise that resolves to the migrations rolled back
+ */
+async function migrateDown(db, { to, migrations = loadMigrations() } = {}) {
+    const { applied } = await getMigrationStatus(db, migrations);
+    if (applied.length === 0) {
+        return [];
+    }
+
+    const target = to === undefined
+        ? (applied.length > 1 ? applied[applied.length - 2].version : 0)
+        : to;
+    const toUndo = applied.filter(migration => migration.version > target).reverse();
+    const rolledBack = [];
+
+    for (const { version } of toUndo) {
+        const migration = migrations.find(candidate => candidate.version === version);
+        if (!migration) {
+            throw new Error(`Cannot roll back migration ${version}: its file is missing from ${MIGRATIONS_DIR}`);
+        }
+
+        await runMigration(db, migration, 'down');
+        console.log(`Rolled back migration ${describeMigration(migration)}`);
+        rolledBack.push(migration);
+    }
+
+    return rolledBack;
+}
+
+/**
+ * Make sure a database has every migration applied, and none this code
+ * does not know about
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {Array} [migrations=loadMigrations()] - Migrations from loadMigrations
+ * @returns {Promise<void>} Promise that resolves when the schema is current or rejects with error
+ */
+async function assertSchemaCurrent(db, migrations = loadMigrations()) {
+    const { pending, unknown } = await getMigrationStatus(db, migrations);
+
+    if (unknown.length > 0) {
+        throw new Error(`Database schema is newer than this code: applied migration(s) ${unknown.map(describeMigration).join(', ')} not found in ${MIGRATIONS_DIR}`);
+    }
+    if (pending.length > 0) {
+        throw new Error(`Database schema is out of date: migration(s) ${pending.map(describeMigration).join(', ')} not applied yet. Run "npm run migrate" first`);
+    }
+}
+
+/**
+ * Open a database file, hand it to a function and close it afterwards
+ *
+ * @param {string} dbPath - Database file path
+ * @param {number} mode - sqlite3 open mode
+ * @param {Function} fn - Async function given the open connection
+ * @returns {Promise<*>} Promise that resolves to what the function returned
+ */
+function withDatabase(dbPath, mode, fn) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, mode, (err) => {
+            if (err) {
+                reject(new Error(`Cannot open database at ${dbPath}: ${err.message}. Run "npm run migrate" to create it`));
+                return;
+            }
+
+            fn(db).then(
+                result => db.close(() => resolve(result)),
+                error => db.close(() => reject(error))
+            );
+        });
+    });
+}
+
+/**
+ * Create the database if it doesn't exist and apply every pending migration
+ *
+ * @param {string} [dbPath=getDatabasePath()] - Database file path
+ * @returns {Promise<Array>} Promise that resolves to the migrations applied
+ */
+function migrateDatabase(dbPath = getDatabasePath()) {
+    return withDatabase(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, db => migrateUp(db));
+}
+
+/**
+ * Check at service startup that the database schema is up to date
+ *
+ * @param {string} [dbPath=getDatabasePath()] - Database file path
+ * @returns {Promise<void>} Promise that resolves when the schema is current or rejects with error
+ */
+function checkDatabaseSchema(dbPath = getDatabasePath()) {
+    return withDatabase(dbPath, sqlite3.OPEN_READONLY, db => assertSchemaCurrent(db));
+}
+
+/**
+ * Run the migrate command
+ *
+ * @param {Array<string>} args - Command-line arguments: [command] [version]
+ * @returns {Promise<void>} Promise that resolves when the command has finished
+ */
+async function main(args) {
+    const [command = 'up', versionArg] = args;
+    const version = versionArg === undefined ? undefined : Number(versionArg);
+
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(`Unknown command "${command}". Use up, down or status`);
+    }
+    if (version !== undefined && (!Number.isInteger(version) || version < 0)) {
+        throw new Error('Version must be a whole number');
+    }
+
+    await withDatabase(getDatabasePath(), sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, async (db) => {
+        if (command === 'up') {
+            const applied = await migrateUp(db, { to: version });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+        } else if (command === 'down') {
+            const rolledBack = await migrateDown(db, { to: version });
+            console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'No migrations to roll back');
+        } else {
+            const status = await getMigrationStatus(db);
+            status.applied.forEach(migration => console.log(`applied  ${describeMigration(migration)} (${migration.applied_at})`));
+            status.pending.forEach(migration => console.log(`pending  ${describeMigration(migration)}`));
+            status.unknown.forEach(migration => console.log(`unknown  ${describeMigration(migration)}`));
+            console.log(`Schema version ${status.currentVersion} of ${status.latestVersion}`);
+        }
+    });
+}
+
+// Run the command if this file is executed directly
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('Migration failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    assertSchemaCurrent,
+    migrateDatabase,
+    checkDatabaseSchema
+};
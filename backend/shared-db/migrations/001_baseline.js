@@ -0,0 +1,291 @@
+/**
+ * Migration 001: Baseline Schema
+ *
+ * Creates the schema as it stood when migrations were introduced, from
+ * 001_baseline.sql, along with its sample data. Both files are frozen:
+ * databases that have applied this migration never run it again, so
+ * every later schema change is a new numbered migration.
+ *
+ * Before migrations, the schema file was re-run with CREATE TABLE IF NOT
+ * EXISTS, so columns added to a table after a database file was first
+ * created never reached that file. Such databases first get the columns
+ * listed here, so they end up with the same schema as a new database.
+ * New databases skip them, since 001_baseline.sql creates the tables with
+ * the columns already in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec, all } = require('../database');
+
+const BASELINE_SQL_PATH = path.join(__dirname, '001_baseline.sql');
+
+// WHERE clauses matching the sample events seeded by 001_baseline.sql, by
+// ID, so backfills only touch those rows if they still hold the sample data
+const SAMPLE_EVENTS = {
+    1: "(id = 1 AND name = 'Clemson vs South Carolina Football')",
+    2: "(id = 2 AND name = 'Clemson Basketball vs Duke')",
+    3: "(id = 3 AND name = 'Spring Career Fair')"
+};
+
+/**
+ * Columns added to existing tables before migrations, in the order they
+ * were introduced
+ *
+ * @type {Array<{table: string, column: string, definition: string, backfill?: string}>}
+ */
+const COLUMN_UPGRADES = [
+    {
+        table: 'users',
+        column: 'role',
+        definition: "TEXT NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'organizer', 'admin'))"
+    },
+    {
+        table: 'orders',
+        column: 'refunded_quantity',
+        definition: 'INTEGER NOT NULL DEFAULT 0 CHECK (refunded_quantity >= 0)'
+    },
+    {
+        table: 'events',
+        column: 'price_cents',
+        definition: 'INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0)'
+    },
+    {
+        table: 'events',
+        column: 'currency',
+        definition: "TEXT NOT NULL DEFAULT 'USD'"
+    },
+    {
+        table: 'orders',
+        column: 'unit_price_cents',
+        definition: 'INTEGER NOT NULL DEFAULT 0'
+    },
+    {
+        table: 'orders',
+        column: 'subtotal_cents',
+        definition: 'INTEGER NOT NULL DEFAULT 0'
+    },
+    {
+        table: 'orders',
+        column: 'fee_cents',
+        definition: 'INTEGER NOT NULL DEFAULT 0'
+    },
+    {
+        table: 'orders',
+        column: 'total_cents',
+        definition: 'INTEGER NOT NULL DEFAULT 0'
+    },
+    {
+        table: 'orders',
+        column: 'refunded_cents',
+        definition: 'INTEGER NOT NULL DEFAULT 0'
+    },
+    {
+        table: 'orders',
+        column: 'currency',
+        definition: "TEXT NOT NULL DEFAULT 'USD'"
+    },
+    {
+        table: 'orders',
+        column: 'ticket_type_id',
+        definition: 'INTEGER REFERENCES ticket_types(id)'
+    },
+    {
+        table: 'orders',
+        column: 'payment_provider',
+        definition: 'TEXT'
+    },
+    {
+        table: 'orders',
+        column: 'payment_id',
+        definition: 'TEXT'
+    },
+    {
+        table: 'orders',
+        column: 'payment_status',
+        definition: "TEXT NOT NULL DEFAULT 'not_required' CHECK (payment_status IN ('not_required', 'captured', 'partially_refunded', 'refunded'))"
+    },
+    {
+        table: 'events',
+        column: 'max_per_user',
+        definition: 'INTEGER CHECK (max_per_user IS NULL OR max_per_user > 0)',
+        backfill: "UPDATE events SET max_per_user = 4 WHERE id = 1 AND name = 'Clemson vs South Carolina Football'"
+    },
+    {
+        table: 'tickets',
+        column: 'checked_in_at',
+        definition: 'DATETIME'
+    },
+    {
+        table: 'tickets',
+        column: 'checked_in_by',
+        definition: 'INTEGER REFERENCES users(id)'
+    },
+    {
+        table: 'events',
+        column: 'status',
+        definition: "TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled', 'archived'))"
+    },
+    {
+        table: 'events',
+        column: 'cancellation_reason',
+        definition: 'TEXT'
+    },
+    {
+        table: 'events',
+        column: 'cancelled_at',
+        definition: 'DATETIME'
+    },
+    {
+        table: 'events',
+        column: 'archived_at',
+        definition: 'DATETIME'
+    },
+    {
+        table: 'events',
+        column: 'starts_at',
+        definition: 'DATETIME',
+        backfill: `
+            UPDATE events SET starts_at = '2025-11-29T17:00:00.000Z' WHERE ${SAMPLE_EVENTS[1]};
+            UPDATE events SET starts_at = '2025-12-16T00:00:00.000Z' WHERE ${SAMPLE_EVENTS[2]};
+            UPDATE events SET starts_at = '2026-02-20T14:00:00.000Z' WHERE ${SAMPLE_EVENTS[3]};`
+    },
+    {
+        table: 'events',
+        column: 'ends_at',
+        definition: 'DATETIME',
+        backfill: `
+            UPDATE events SET ends_at = '2025-11-29T20:30:00.000Z' WHERE ${SAMPLE_EVENTS[1]};
+            UPDATE events SET ends_at = '2025-12-16T02:00:00.000Z' WHERE ${SAMPLE_EVENTS[2]};
+            UPDATE events SET ends_at = '2026-02-20T21:00:00.000Z' WHERE ${SAMPLE_EVENTS[3]};`
+    },
+    {
+        table: 'events',
+        column: 'time_zone',
+        definition: "TEXT NOT NULL DEFAULT 'America/New_York'"
+    },
+    {
+        table: 'events',
+        column: 'description',
+        definition: 'TEXT'
+    },
+    {
+        table: 'events',
+        column: 'category',
+        definition: "TEXT NOT NULL DEFAULT 'other' CHECK (category IN ('athletics', 'arts', 'career', 'academic', 'social', 'other'))",
+        backfill: `
+            UPDATE events SET category = 'athletics' WHERE ${SAMPLE_EVENTS[1]} OR ${SAMPLE_EVENTS[2]};
+            UPDATE events SET category = 'career' WHERE ${SAMPLE_EVENTS[3]};`
+    },
+    {
+        table: 'events',
+        column: 'image_url',
+        definition: 'TEXT'
+    },
+    // Sample events move to the venues 001_baseline.sql seeds with the same IDs.
+    // Events given a free-text venue before venues were tracked keep that
+    // text in their old venue column until an admin picks a venue for them.
+    {
+        table: 'events',
+        column: 'venue_id',
+        definition: 'INTEGER REFERENCES venues(id)',
+        backfill: `
+            UPDATE events SET venue_id = 1 WHERE ${SAMPLE_EVENTS[1]};
+            UPDATE events SET venue_id = 2 WHERE ${SAMPLE_EVENTS[2]};
+            UPDATE events SET venue_id = 3 WHERE ${SAMPLE_EVENTS[3]};`
+    },
+    {
+        table: 'tickets',
+        column: 'seat_id',
+        definition: 'INTEGER REFERENCES venue_seats(id)'
+    },
+    {
+        table: 'events',
+        column: 'series_id',
+        definition: 'INTEGER REFERENCES event_series(id)'
+    },
+    {
+        table: 'events',
+        column: 'sales_start',
+        definition: 'DATETIME'
+    },
+    {
+        table: 'events',
+        column: 'sales_end',
+        definition: 'DATETIME'
+    }
+];
+
+/**
+ * Get the column names of a table
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>} Promise that resolves to column names (empty if the table is missing)
+ */
+async function getColumns(db, table) {
+    const rows = await all(db, `PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+}
+
+/**
+ * Add any missing upgrade columns to existing tables
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<Array<string>>} Promise that resolves to the "table.column" names that were added
+ */
+async function applyColumnUpgrades(db) {
+    const applied = [];
+
+    for (const upgrade of COLUMN_UPGRADES) {
+        const columns = await getColumns(db, upgrade.table);
+
+        // Missing tables are created by 001_baseline.sql with the column included
+        if (columns.length === 0 || columns.includes(upgrade.column)) {
+            continue;
+        }
+
+        await exec(db, `ALTER TABLE ${upgrade.table} ADD COLUMN ${upgrade.column} ${upgrade.definition}`);
+
+        if (upgrade.backfill) {
+            await exec(db, upgrade.backfill);
+        }
+
+        console.log(`Added column ${upgrade.table}.${upgrade.column}`);
+        applied.push(`${upgrade.table}.${upgrade.column}`);
+    }
+
+    return applied;
+}
+
+// Tables 001_baseline.sql creates, in an order that drops each before the
+// tables it references. Dropping a table drops its indexes and triggers too.
+const BASELINE_TABLES = [
+    'idempotency_keys', 'notifications', 'event_cancellations', 'waitlist_entries', 'event_seats',
+    'holds', 'ticket_transfers', 'tickets', 'orders', 'ticket_types', 'users',
+    'events_fts_vocab', 'events_fts', 'events', 'event_series',
+    'venue_seats', 'venue_rows', 'venue_sections', 'venues'
+];
+
+/**
+ * Create the baseline schema
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the schema exists
+ */
+async function up(db) {
+    await applyColumnUpgrades(db);
+    await exec(db, fs.readFileSync(BASELINE_SQL_PATH, 'utf8'));
+}
+
+/**
+ * Drop every table of the baseline schema, and all data in them
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the tables are gone
+ */
+async function down(db) {
+    await exec(db, BASELINE_TABLES.map(table => `DROP TABLE IF EXISTS ${table};`).join('\n'));
+}
+
+module.exports = { up, down };
@@ -0,0 +1,397 @@
+-- Tiger Tickets Database Schema
+-- The baseline schema of the shared SQLite database, applied by
+-- 001_baseline.js. Do not edit this file: databases that have applied
+-- the baseline never run it again. Change the schema by adding a new
+-- numbered migration instead.
+
+-- Venues events take place in. capacity is the most tickets one event
+-- there may offer; a venue's sections divide that capacity between them
+CREATE TABLE IF NOT EXISTS venues (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    address TEXT,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sections of a venue (lower bowl, balcony, ...) and how many people each holds
+CREATE TABLE IF NOT EXISTS venue_sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    venue_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    FOREIGN KEY (venue_id) REFERENCES venues(id),
+    UNIQUE (venue_id, name)
+);
+
+-- Rows of seats in a section, for venues that sell reserved seats
+CREATE TABLE IF NOT EXISTS venue_rows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    section_id INTEGER NOT NULL,
+    label TEXT NOT NULL,
+    FOREIGN KEY (section_id) REFERENCES venue_sections(id),
+    UNIQUE (section_id, label)
+);
+
+-- Seats in a row, numbered from 1
+CREATE TABLE IF NOT EXISTS venue_seats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    row_id INTEGER NOT NULL,
+    number INTEGER NOT NULL CHECK (number > 0),
+    FOREIGN KEY (row_id) REFERENCES venue_rows(id),
+    UNIQUE (row_id, number)
+);
+
+-- Event series: events that repeat on a schedule (weekly, monthly or on
+-- chosen dates). Each occurrence is an ordinary event that points back to
+-- its series through events.series_id and can be edited on its own
+CREATE TABLE IF NOT EXISTS event_series (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'dates')),
+    repeat_interval INTEGER CHECK (repeat_interval IS NULL OR repeat_interval > 0),
+    time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Events table to store event information (ticket prices are integer cents;
+-- max_per_user caps the tickets one account may hold, NULL means no limit).
+-- Cancelled events stay listed but stop selling; archived events are hidden.
+-- starts_at/ends_at are UTC; date is the event's calendar day in time_zone,
+-- and events without a starts_at have no announced start time yet.
+-- tickets_available can never exceed the capacity of the event's venue.
+-- series_id links an occurrence of a recurring event to its series.
+-- sales_start/sales_end (UTC) bound when tickets can be bought: sales open
+-- straight away without a sales_start and close when the event starts
+-- without a sales_end
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    date TEXT NOT NULL,
+    tickets_available INTEGER NOT NULL DEFAULT 0,
+    price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+    currency TEXT NOT NULL DEFAULT 'USD',
+    max_per_user INTEGER CHECK (max_per_user IS NULL OR max_per_user > 0),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled', 'archived')),
+    cancellation_reason TEXT,
+    cancelled_at DATETIME,
+    archived_at DATETIME,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    time_zone TEXT NOT NULL DEFAULT 'America/New_York',
+    sales_start DATETIME,
+    sales_end DATETIME,
+    venue_id INTEGER,
+    description TEXT,
+    category TEXT NOT NULL DEFAULT 'other' CHECK (category IN ('athletics', 'arts', 'career', 'academic', 'social', 'other')),
+    image_url TEXT,
+    series_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (venue_id) REFERENCES venues(id),
+    FOREIGN KEY (series_id) REFERENCES event_series(id)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_events_date ON events(date);
+CREATE INDEX IF NOT EXISTS idx_events_name ON events(name);
+CREATE INDEX IF NOT EXISTS idx_events_venue_id ON events(venue_id);
+CREATE INDEX IF NOT EXISTS idx_events_series_id ON events(series_id);
+
+-- Full-text index of each event's name, description and venue name, kept
+-- in step with events and venues by the triggers below. An event's rowid
+-- in the index is its ID. Searches go through shared-db/eventSearch.js
+CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+    name,
+    description,
+    venue,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Every word in the full-text index, for correcting typos in searches
+CREATE VIRTUAL TABLE IF NOT EXISTS events_fts_vocab USING fts5vocab(events_fts, 'row');
+
+CREATE TRIGGER IF NOT EXISTS events_fts_after_insert AFTER INSERT ON events BEGIN
+    INSERT INTO events_fts (rowid, name, description, venue)
+    VALUES (new.id, new.name, new.description, (SELECT name FROM venues WHERE id = new.venue_id));
+END;
+
+CREATE TRIGGER IF NOT EXISTS events_fts_after_update AFTER UPDATE OF name, description, venue_id ON events BEGIN
+    DELETE FROM events_fts WHERE rowid = old.id;
+    INSERT INTO events_fts (rowid, name, description, venue)
+    VALUES (new.id, new.name, new.description, (SELECT name FROM venues WHERE id = new.venue_id));
+END;
+
+CREATE TRIGGER IF NOT EXISTS events_fts_after_delete AFTER DELETE ON events BEGIN
+    DELETE FROM events_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS events_fts_after_venue_rename AFTER UPDATE OF name ON venues BEGIN
+    UPDATE events_fts SET venue = new.name
+    WHERE rowid IN (SELECT id FROM events WHERE venue_id = new.id);
+END;
+
+-- Index events created before the full-text index existed
+INSERT INTO events_fts (rowid, name, description, venue)
+SELECT id, name, description, (SELECT name FROM venues WHERE venues.id = events.venue_id)
+FROM events
+WHERE id NOT IN (SELECT rowid FROM events_fts);
+
+-- Users table for authentication
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'organizer', 'admin')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for email lookups
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+-- Ticket types (tiers) sold for an event, each with its own price, quota and sales window
+-- The event's tickets_available still caps the total sold across all tiers
+CREATE TABLE IF NOT EXISTS ticket_types (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+    quota INTEGER NOT NULL CHECK (quota >= 0),
+    tickets_sold INTEGER NOT NULL DEFAULT 0 CHECK (tickets_sold >= 0 AND tickets_sold <= quota),
+    sales_start DATETIME,
+    sales_end DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    UNIQUE (event_id, name)
+);
+
+-- Create index for looking up an event's ticket types
+CREATE INDEX IF NOT EXISTS idx_ticket_types_event_id ON ticket_types(event_id);
+
+-- Orders table to record ticket purchases made by users, what they paid
+-- and the state of the payment with the payment provider
+CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    event_id INTEGER NOT NULL,
+    ticket_type_id INTEGER,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    refunded_quantity INTEGER NOT NULL DEFAULT 0 CHECK (refunded_quantity >= 0),
+    unit_price_cents INTEGER NOT NULL DEFAULT 0,
+    subtotal_cents INTEGER NOT NULL DEFAULT 0,
+    fee_cents INTEGER NOT NULL DEFAULT 0,
+    total_cents INTEGER NOT NULL DEFAULT 0,
+    refunded_cents INTEGER NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    payment_provider TEXT,
+    payment_id TEXT,
+    payment_status TEXT NOT NULL DEFAULT 'not_required' CHECK (payment_status IN ('not_required', 'captured', 'partially_refunded', 'refunded')),
+    status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'partially_refunded', 'refunded')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id)
+);
+
+-- Create indexes for order history lookups
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_orders_event_id ON orders(event_id);
+
+-- Tickets issued for each seat on an order. code is a signed, unique value
+-- shown to the holder as a QR code; refunding a seat marks its ticket refunded.
+-- checked_in_at/checked_in_by record when and by which staff member a ticket
+-- was scanned at the venue. seat_id is the seat a reserved-seating ticket is for
+CREATE TABLE IF NOT EXISTS tickets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    user_id INTEGER,
+    event_id INTEGER NOT NULL,
+    ticket_type_id INTEGER,
+    code TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'valid' CHECK (status IN ('valid', 'refunded')),
+    checked_in_at DATETIME,
+    checked_in_by INTEGER,
+    seat_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (checked_in_by) REFERENCES users(id),
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id),
+    FOREIGN KEY (seat_id) REFERENCES venue_seats(id)
+);
+
+-- Create indexes for listing a user's, an order's and an event's tickets
+CREATE INDEX IF NOT EXISTS idx_tickets_user_id ON tickets(user_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_order_id ON tickets(order_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_event_id ON tickets(event_id);
+
+-- Ticket transfers between accounts, kept as an audit trail. The owner starts
+-- a transfer to another registered user, who accepts it (the ticket then moves
+-- to them with a new code) or declines it; the owner can cancel it first
+CREATE TABLE IF NOT EXISTS ticket_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    from_user_id INTEGER NOT NULL,
+    to_user_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    FOREIGN KEY (from_user_id) REFERENCES users(id),
+    FOREIGN KEY (to_user_id) REFERENCES users(id)
+);
+
+-- A ticket can only have one pending transfer at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_transfers_pending ON ticket_transfers(ticket_id) WHERE status = 'pending';
+
+-- Create indexes for listing a user's outgoing and incoming transfers
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_from_user_id ON ticket_transfers(from_user_id);
+CREATE INDEX IF NOT EXISTS idx_ticket_transfers_to_user_id ON ticket_transfers(to_user_id);
+
+-- Holds reserve tickets for a user during checkout. Held tickets are taken
+-- out of tickets_available (and counted in the ticket type's tickets_sold)
+-- until the hold is confirmed into an order, released, or expires
+CREATE TABLE IF NOT EXISTS holds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    event_id INTEGER NOT NULL,
+    ticket_type_id INTEGER,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price_cents INTEGER NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'confirmed', 'released', 'expired')),
+    order_id INTEGER,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id),
+    FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+
+-- Create index for the sweeper's search for expired holds
+CREATE INDEX IF NOT EXISTS idx_holds_status_expires_at ON holds(status, expires_at);
+
+-- Seat inventory of reserved-seating events, one row per seat on sale.
+-- A seat is held (hold_id) during checkout and sold (ticket_id) once the
+-- hold is confirmed; releasing the hold or refunding the ticket frees it.
+-- Events without seats here sell general admission tickets by count
+CREATE TABLE IF NOT EXISTS event_seats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    seat_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'held', 'sold')),
+    hold_id INTEGER,
+    ticket_id INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (seat_id) REFERENCES venue_seats(id),
+    FOREIGN KEY (hold_id) REFERENCES holds(id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(id),
+    UNIQUE (event_id, seat_id)
+);
+
+-- Create indexes for finding the seats of a hold and of a ticket
+CREATE INDEX IF NOT EXISTS idx_event_seats_hold_id ON event_seats(hold_id);
+CREATE INDEX IF NOT EXISTS idx_event_seats_ticket_id ON event_seats(ticket_id);
+
+-- Waitlist for sold-out events (or sold-out ticket types), served first in,
+-- first out. When tickets come back the next entry is offered them as a
+-- claim: a hold in hold_id that only that user can confirm before it expires
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    event_id INTEGER NOT NULL,
+    ticket_type_id INTEGER,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'left')),
+    hold_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id),
+    FOREIGN KEY (hold_id) REFERENCES holds(id)
+);
+
+-- Create indexes for walking an event's line in order and finding a claim's entry
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_event_status ON waitlist_entries(event_id, status, id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_hold_id ON waitlist_entries(hold_id);
+
+-- Refund jobs for cancelled events, one per event. The job refunds the
+-- event's orders one transaction at a time, so an interrupted job picks up
+-- with the orders that are not refunded yet when it resumes
+CREATE TABLE IF NOT EXISTS event_cancellations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    orders_failed INTEGER NOT NULL DEFAULT 0,
+    refunded_cents INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    started_at DATETIME,
+    completed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+);
+
+-- Messages for users, such as the notice that an event they held tickets
+-- for was cancelled. A user gets at most one notification of each type per event
+CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    event_id INTEGER,
+    type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_user_event_type ON notifications(user_id, event_id, type);
+
+-- Idempotency keys sent with purchase requests and the response each one
+-- produced, so a retried request replays its result instead of buying again.
+-- status_code stays NULL while the original request is still running
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_fingerprint TEXT NOT NULL,
+    status_code INTEGER,
+    response_body TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Create index for pruning old idempotency keys
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Insert sample data for testing
+INSERT OR IGNORE INTO venues (id, name, address, capacity) VALUES 
+(1, 'Memorial Stadium', '1 Avenue of Champions, Clemson, SC 29631', 81500),
+(2, 'Littlejohn Coliseum', '219 Avenue of Champions, Clemson, SC 29631', 9000),
+(3, 'Hendrix Student Center', '720 McMillan Rd, Clemson, SC 29634', 1200);
+
+INSERT OR IGNORE INTO venue_sections (id, venue_id, name, capacity) VALUES 
+(1, 1, 'Lower Bowl', 48000),
+(2, 1, 'Upper Deck', 33500),
+(3, 2, 'Lower Level', 5400),
+(4, 2, 'Upper Level', 3600),
+(5, 3, 'Grand Ballroom', 800),
+(6, 3, 'Meeting Rooms', 400);
+
+INSERT OR IGNORE INTO events (id, name, date, tickets_available, price_cents, max_per_user, starts_at, ends_at, venue_id, description, category) VALUES 
+(1, 'Clemson vs South Carolina Football', '2025-11-29', 80000, 7500, 4, '2025-11-29T17:00:00.000Z', '2025-11-29T20:30:00.000Z', 1, 'The Palmetto Bowl rivalry game to close out the regular season.', 'athletics'),
+(2, 'Clemson Basketball vs Duke', '2025-12-15', 9000, 3500, NULL, '2025-12-16T00:00:00.000Z', '2025-12-16T02:00:00.000Z', 2, 'ACC men''s basketball against Duke.', 'athletics'),
+(3, 'Spring Career Fair', '2026-02-20', 500, 0, NULL, '2026-02-20T14:00:00.000Z', '2026-02-20T21:00:00.000Z', 3, 'Meet employers hiring for internships and full-time roles. Bring copies of your resume.', 'career');
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Migration 002: Order Refunds
+ *
+ * Records each refund of an order before the payment provider is asked to
+ * make it. The row is reserved in one transaction, the provider is called
+ * outside any transaction, and the result is recorded in another, so the
+ * database is never locked while the provider answers and a failure after
+ * the money has gone back cannot leave the order looking unrefunded. An
+ * order has at most one pending refund, which blocks further refunds until
+ * it is finished.
+ */
+
+const { exec } = require('../database');
+
+/**
+ * Create the order_refunds table
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the table exists
+ */
+async function up(db) {
+    await exec(db, `
+        CREATE TABLE order_refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+            last_error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id)
+        );
+
+        -- An order can only have one refund in progress at a time
+        CREATE UNIQUE INDEX idx_order_refunds_pending ON order_refunds(order_id) WHERE status = 'pending';
+    `);
+}
+
+/**
+ * Drop the order_refunds table
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the table is gone
+ */
+async function down(db) {
+    await exec(db, 'DROP TABLE IF EXISTS order_refunds');
+}
+
+module.exports = { up, down };
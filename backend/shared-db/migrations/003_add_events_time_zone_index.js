@@ -0,0 +1,31 @@
+/**
+ * Migration 003: Events Time Zone Index
+ *
+ * Every event listing works out each time zone's current date for the
+ * events in it, so it first lists the time zones events use. The index
+ * lets that list be read from the index instead of a scan of every event.
+ */
+
+const { exec } = require('../database');
+
+/**
+ * Create the index on events.time_zone
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the index exists
+ */
+async function up(db) {
+    await exec(db, 'CREATE INDEX idx_events_time_zone ON events(time_zone)');
+}
+
+/**
+ * Drop the index on events.time_zone
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the index is gone
+ */
+async function down(db) {
+    await exec(db, 'DROP INDEX IF EXISTS idx_events_time_zone');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+/**
+ * Migration 004: Failed Refunds
+ *
+ * A payment taken for a checkout hold is refunded straight away when the
+ * order cannot be recorded afterwards. If the provider refuses that refund
+ * too, the customer has paid for nothing, so the refund is recorded here
+ * with the reference it was sent with and retried until it goes through.
+ */
+
+const { exec } = require('../database');
+
+/**
+ * Create the failed_refunds table
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the table exists
+ */
+async function up(db) {
+    await exec(db, `
+        CREATE TABLE failed_refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            hold_id INTEGER,
+            payment_provider TEXT NOT NULL,
+            payment_id TEXT NOT NULL,
+            amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+            reference TEXT NOT NULL UNIQUE,
+            status TEXT NOT NULL DEFAULT 'failed' CHECK (status IN ('failed', 'completed')),
+            attempts INTEGER NOT NULL DEFAULT 1,
+            last_error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (hold_id) REFERENCES holds(id)
+        );
+    `);
+}
+
+/**
+ * Drop the failed_refunds table
+ *
+ * @param {sqlite3.Database} db - Open database connection
+ * @returns {Promise<void>} Promise that resolves when the table is gone
+ */
+async function down(db) {
+    await exec(db, 'DROP TABLE IF EXISTS failed_refunds');
+}
+
+module.exports = { up, down };
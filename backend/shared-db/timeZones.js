@@ -0,0 +1,72 @@
+/**
+ * Time Zones - Calendar Dates in an Event's Own Time Zone
+ *
+ * Events keep their date as a local calendar day in their time zone. These
+ * helpers convert between instants and local dates and times with Intl, so
+ * every service agrees on them whatever time zone the server runs in.
+ */
+
+/**
+ * Get the calendar date of an instant in a time zone
+ *
+ * @param {string} dateTime - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Local date in YYYY-MM-DD format
+ */
+function getLocalDate(dateTime, timeZone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(dateTime));
+}
+
+/**
+ * Get how far a time zone's clocks are ahead of UTC at an instant
+ *
+ * @param {number} instant - Milliseconds since the epoch, on a whole second
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds
+ */
+function getOffset(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(instant));
+    const part = type => Number(parts.find(item => item.type === type).value);
+
+    return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - instant;
+}
+
+/**
+ * Get the instant a local date and time of day happen in a time zone
+ * A time skipped when clocks spring forward comes out an hour earlier.
+ *
+ * @param {string} date - Local date in YYYY-MM-DD format
+ * @param {string} time - Local time of day in HH:MM format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} The instant as a UTC ISO string
+ */
+function atLocalTime(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the wall-clock time is only a guess near a daylight
+    // saving change, so correct it with the offset at the guessed instant
+    const guess = wallClock - getOffset(wallClock, timeZone);
+    return new Date(wallClock - getOffset(guess, timeZone)).toISOString();
+}
+
+module.exports = {
+    getLocalDate,
+    atLocalTime
+};
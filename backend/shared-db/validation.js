@@ -0,0 +1,30 @@
+/**
+ * Validation - Event Field Checks Shared by the Services
+ *
+ * The admin service validates events as they are created and the client
+ * service validates the filters customers list them by, so both read the
+ * categories and date format from here.
+ */
+
+// Categories an event can be listed under
+const EVENT_CATEGORIES = ['athletics', 'arts', 'career', 'academic', 'social', 'other'];
+
+/**
+ * Check if a date string is valid and in YYYY-MM-DD format
+ *
+ * @param {string} dateString - Date string to validate
+ * @returns {boolean} True if date is valid, false otherwise
+ */
+function isValidDate(dateString) {
+    if (typeof dateString !== 'string') return false;
+
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(dateString)) return false;
+
+    return true;
+}
+
+module.exports = {
+    EVENT_CATEGORIES,
+    isValidDate
+};
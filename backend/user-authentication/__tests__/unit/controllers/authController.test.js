@@ -326,7 +326,8 @@ describe('Auth Controller - register', () => {
         expect(jwt.sign).toHaveBeenCalledWith(
             {
                 userId: 1,
-                email: 'test@example.com'
+                email: 'test@example.com',
+                role: 'customer'
             },
             expect.any(String),
             { expiresIn: '30m' }
@@ -385,6 +386,57 @@ describe('Auth Controller - login', () => {
         });
     });
 
+    test('should embed the user role in the issued token', async () => {
+        userModel.findUserByEmailWithPassword.mockResolvedValue({
+            id: 9,
+            email: 'admin@example.com',
+            password_hash: 'hashed_password',
+            role: 'admin'
+        });
+        userModel.verifyPassword.mockResolvedValue(true);
+        jwt.sign.mockReturnValue('mock-token');
+
+        req = {
+            body: {
+                email: 'admin@example.com',
+                password: 'password123'
+            }
+        };
+
+        await login(req, res);
+
+        expect(jwt.sign).toHaveBeenCalledWith(
+            { userId: 9, email: 'admin@example.com', role: 'admin' },
+            expect.any(String),
+            expect.any(Object)
+        );
+    });
+
+    test('should default the token role to customer', async () => {
+        userModel.findUserByEmailWithPassword.mockResolvedValue({
+            id: 10,
+            email: 'fan@example.com',
+            password_hash: 'hashed_password'
+        });
+        userModel.verifyPassword.mockResolvedValue(true);
+        jwt.sign.mockReturnValue('mock-token');
+
+        req = {
+            body: {
+                email: 'fan@example.com',
+                password: 'password123'
+            }
+        };
+
+        await login(req, res);
+
+        expect(jwt.sign).toHaveBeenCalledWith(
+            expect.objectContaining({ role: 'customer' }),
+            expect.any(String),
+            expect.any(Object)
+        );
+    });
+
     test('should reject login with missing email', async () => {
         req = {
             body: {
@@ -1,4 +1,4 @@
-const { authenticateToken, optionalAuth } = require('../../../middleware/authMiddleware');
+const { authenticateToken, optionalAuth, requireRole } = require('../../../middleware/authMiddleware');
 
 jest.mock('jsonwebtoken');
 const jwt = require('jsonwebtoken');
@@ -478,6 +478,70 @@ describe('Auth Middleware - optionalAuth', () => {
     });
 });
 
+describe('Auth Middleware - requireRole', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        req = {
+            cookies: {},
+            headers: {}
+        };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        next = jest.fn();
+        jest.clearAllMocks();
+    });
+
+    test('should allow a user with the required role', () => {
+        req.user = { userId: 1, email: 'admin@example.com', role: 'admin' };
+
+        requireRole('admin')(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should allow any of several permitted roles', () => {
+        req.user = { userId: 2, email: 'staff@example.com', role: 'organizer' };
+
+        requireRole('organizer', 'admin')(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a user without the required role with 403', () => {
+        req.user = { userId: 3, email: 'fan@example.com', role: 'customer' };
+
+        requireRole('admin')(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+            success: false,
+            error: 'Forbidden',
+            message: 'This action requires one of the following roles: admin'
+        });
+    });
+
+    test('should reject tokens issued without a role', () => {
+        req.user = { userId: 4, email: 'legacy@example.com' };
+
+        requireRole('admin')(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should reject unauthenticated requests with 401', () => {
+        requireRole('admin')(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
+
 describe('Auth Middleware - Integration Scenarios', () => {
     let req, res, next;
 
@@ -24,13 +24,15 @@ const JWT_EXPIRATION = '30m'; // 30 minutes
  * @param {Object} user - User object
  * @param {number} user.id - User ID
  * @param {string} user.email - User email
+ * @param {string} [user.role] - User role (defaults to customer)
  * @returns {string} JWT token
  */
 function generateToken(user) {
     return jwt.sign(
         { 
             userId: user.id, 
-            email: user.email 
+            email: user.email,
+            role: user.role || 'customer'
         },
         JWT_SECRET,
         { 
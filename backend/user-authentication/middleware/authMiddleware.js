@@ -2,7 +2,8 @@
  * JWT Authentication Middleware
  * 
  * This middleware verifies JWT tokens from either cookies or Authorization header
- * and attaches the decoded user data to the request object.
+ * and attaches the decoded user data to the request object. It also provides
+ * role checks for routes restricted to organizers or admins.
  */
 
 const jwt = require('jsonwebtoken');
@@ -117,7 +118,37 @@ function optionalAuth(req, res, next) {
     }
 }
 
+/**
+ * Role-based authorization middleware factory
+ * Must run after authenticateToken so req.user is populated
+ * 
+ * @param {...string} allowedRoles - Roles permitted to access the route
+ * @returns {Function} Express middleware that rejects other roles with 403
+ */
+function requireRole(...allowedRoles) {
+    return function(req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required',
+                message: 'No authentication token provided'
+            });
+        }
+        
+        if (!allowedRoles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `This action requires one of the following roles: ${allowedRoles.join(', ')}`
+            });
+        }
+        
+        next();
+    };
+}
+
 module.exports = {
     authenticateToken,
-    optionalAuth
+    optionalAuth,
+    requireRole
 };
@@ -6,26 +6,11 @@
  * in the SQLite database.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const bcrypt = require('bcryptjs');
+const { getConnection, run, get } = require('../../shared-db/database');
 
-// Database path pointing to shared database
-const DB_PATH = path.join(__dirname, '..', '..', 'shared-db', 'database.sqlite');
-
-/**
- * Get a database connection
- * 
- * @returns {sqlite3.Database} Database connection object
- */
-function getDbConnection() {
-    return new sqlite3.Database(DB_PATH, (err) => {
-        if (err) {
-            console.error('Error connecting to database:', err.message);
-            throw err;
-        }
-    });
-}
+// Roles a user account can hold, from least to most privileged
+const USER_ROLES = ['customer', 'organizer', 'admin'];
 
 /**
  * Create a new user in the database
@@ -33,60 +18,52 @@ function getDbConnection() {
  * @param {Object} userData - User data to insert
  * @param {string} userData.email - User email (unique identifier)
  * @param {string} userData.password - Plain text password (will be hashed)
+ * @param {string} [userData.role='customer'] - Account role (customer, organizer, admin)
  * @returns {Promise<Object>} Promise that resolves to the created user (without password)
  */
-function createUser(userData) {
-    return new Promise(async (resolve, reject) => {
-        const db = getDbConnection();
+async function createUser(userData) {
+    const { email, password, role = 'customer' } = userData;
+    
+    if (!USER_ROLES.includes(role)) {
+        throw new Error(`Invalid role: ${role}`);
+    }
+    
+    // Hash the password with bcrypt (salt rounds: 10)
+    const passwordHash = await bcrypt.hash(password, 10);
+    
+    const insertQuery = `
+        INSERT INTO users (email, password_hash, role, created_at, updated_at)
+        VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    `;
+    
+    const db = await getConnection();
+    
+    let lastID;
+    try {
+        ({ lastID } = await run(db, insertQuery, [email, passwordHash, role]));
+    } catch (err) {
+        console.error('Error creating user:', err.message);
         
-        try {
-            const { email, password } = userData;
-            
-            // Hash the password with bcrypt (salt rounds: 10)
-            const passwordHash = await bcrypt.hash(password, 10);
-            
-            const insertQuery = `
-                INSERT INTO users (email, password_hash, created_at, updated_at)
-                VALUES (?, ?, datetime('now'), datetime('now'))
-            `;
-            
-            db.run(insertQuery, [email, passwordHash], function(err) {
-                if (err) {
-                    console.error('Error creating user:', err.message);
-                    
-                    // Check for unique constraint violation
-                    if (err.message.includes('UNIQUE constraint failed')) {
-                        reject(new Error('Email already exists'));
-                    } else {
-                        reject(err);
-                    }
-                    return;
-                }
-                
-                // Fetch the newly created user (without password hash)
-                const selectQuery = `
-                    SELECT id, email, created_at, updated_at
-                    FROM users
-                    WHERE id = ?
-                `;
-                
-                db.get(selectQuery, [this.lastID], (err, row) => {
-                    if (err) {
-                        console.error('Error fetching created user:', err.message);
-                        reject(err);
-                    } else {
-                        resolve(row);
-                    }
-                    
-                    db.close();
-                });
-            });
-        } catch (error) {
-            console.error('Error in createUser:', error.message);
-            reject(error);
-            db.close();
+        // Check for unique constraint violation
+        if (err.message.includes('UNIQUE constraint failed')) {
+            throw new Error('Email already exists');
         }
-    });
+        throw err;
+    }
+    
+    // Fetch the newly created user (without password hash)
+    const selectQuery = `
+        SELECT id, email, role, created_at, updated_at
+        FROM users
+        WHERE id = ?
+    `;
+    
+    try {
+        return await get(db, selectQuery, [lastID]);
+    } catch (err) {
+        console.error('Error fetching created user:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -95,27 +72,22 @@ function createUser(userData) {
  * @param {string} email - User email to search for
  * @returns {Promise<Object|null>} Promise that resolves to user object (without password) or null
  */
-function findUserByEmail(email) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const query = `
-            SELECT id, email, created_at, updated_at
-            FROM users
-            WHERE email = ?
-        `;
-        
-        db.get(query, [email], (err, row) => {
-            if (err) {
-                console.error('Error finding user by email:', err.message);
-                reject(err);
-            } else {
-                resolve(row || null);
-            }
-            
-            db.close();
-        });
-    });
+async function findUserByEmail(email) {
+    const db = await getConnection();
+    
+    const query = `
+        SELECT id, email, role, created_at, updated_at
+        FROM users
+        WHERE email = ?
+    `;
+    
+    try {
+        const row = await get(db, query, [email]);
+        return row || null;
+    } catch (err) {
+        console.error('Error finding user by email:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -124,27 +96,22 @@ function findUserByEmail(email) {
  * @param {string} email - User email to search for
  * @returns {Promise<Object|null>} Promise that resolves to user object with password_hash or null
  */
-function findUserByEmailWithPassword(email) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const query = `
-            SELECT id, email, password_hash, created_at, updated_at
-            FROM users
-            WHERE email = ?
-        `;
-        
-        db.get(query, [email], (err, row) => {
-            if (err) {
-                console.error('Error finding user by email:', err.message);
-                reject(err);
-            } else {
-                resolve(row || null);
-            }
-            
-            db.close();
-        });
-    });
+async function findUserByEmailWithPassword(email) {
+    const db = await getConnection();
+    
+    const query = `
+        SELECT id, email, password_hash, role, created_at, updated_at
+        FROM users
+        WHERE email = ?
+    `;
+    
+    try {
+        const row = await get(db, query, [email]);
+        return row || null;
+    } catch (err) {
+        console.error('Error finding user by email:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -153,27 +120,22 @@ function findUserByEmailWithPassword(email) {
  * @param {number} userId - User ID to search for
  * @returns {Promise<Object|null>} Promise that resolves to user object (without password) or null
  */
-function findUserById(userId) {
-    return new Promise((resolve, reject) => {
-        const db = getDbConnection();
-        
-        const query = `
-            SELECT id, email, created_at, updated_at
-            FROM users
-            WHERE id = ?
-        `;
-        
-        db.get(query, [userId], (err, row) => {
-            if (err) {
-                console.error('Error finding user by ID:', err.message);
-                reject(err);
-            } else {
-                resolve(row || null);
-            }
-            
-            db.close();
-        });
-    });
+async function findUserById(userId) {
+    const db = await getConnection();
+    
+    const query = `
+        SELECT id, email, role, created_at, updated_at
+        FROM users
+        WHERE id = ?
+    `;
+    
+    try {
+        const row = await get(db, query, [userId]);
+        return row || null;
+    } catch (err) {
+        console.error('Error finding user by ID:', err.message);
+        throw err;
+    }
 }
 
 /**
@@ -187,10 +149,58 @@ async function verifyPassword(plainPassword, hashedPassword) {
     return await bcrypt.compare(plainPassword, hashedPassword);
 }
 
+/**
+ * Change the role of an existing user
+ * 
+ * @param {string} email - Email of the user to update
+ * @param {string} role - New role (customer, organizer, admin)
+ * @returns {Promise<Object|null>} Promise that resolves to the updated user or null if not found
+ */
+async function updateUserRole(email, role) {
+    if (!USER_ROLES.includes(role)) {
+        throw new Error(`Invalid role: ${role}`);
+    }
+    
+    const db = await getConnection();
+    
+    const updateQuery = `
+        UPDATE users
+        SET role = ?, updated_at = datetime('now')
+        WHERE email = ?
+    `;
+    
+    let changes;
+    try {
+        ({ changes } = await run(db, updateQuery, [role, email]));
+    } catch (err) {
+        console.error('Error updating user role:', err.message);
+        throw err;
+    }
+    
+    if (changes === 0) {
+        return null;
+    }
+    
+    const selectQuery = `
+        SELECT id, email, role, created_at, updated_at
+        FROM users
+        WHERE email = ?
+    `;
+    
+    try {
+        return await get(db, selectQuery, [email]);
+    } catch (err) {
+        console.error('Error fetching updated user:', err.message);
+        throw err;
+    }
+}
+
 module.exports = {
+    USER_ROLES,
     createUser,
     findUserByEmail,
     findUserByEmailWithPassword,
     findUserById,
+    updateUserRole,
     verifyPassword
 };
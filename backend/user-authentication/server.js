@@ -9,7 +9,7 @@
 const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const { initializeDatabase } = require('./setup');
+const { checkDatabaseSchema } = require('../shared-db/migrate');
 
 const app = express();
 const PORT = 8001;
@@ -85,12 +85,10 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Initialize database and start server
+// Check the database schema is up to date and start server
 async function startServer() {
     try {
-        console.log('Initializing database...');
-        await initializeDatabase();
-        console.log('Database initialized successfully!');
+        await checkDatabaseSchema();
         
         app.listen(PORT, () => {
             console.log(`\nUser Authentication Service running on port ${PORT}`);
@@ -105,7 +103,7 @@ async function startServer() {
             console.log('\n');
         });
     } catch (error) {
-        console.error('Failed to start server:', error);
+        console.error('Failed to start server:', error.message);
         process.exit(1);
     }
 }
@@ -3,71 +3,104 @@
  * 
  * This script initializes the SQLite database by:
  * - Creating the database file if it doesn't exist
- * - Running the schema initialization from init.sql
- * - Setting up proper database connections
+ * - Applying any pending schema migrations (see shared-db/migrate.js)
+ * 
+ * It also bootstraps the first admin account, and organizer accounts for
+ * the staff who check tickets in at the venue:
+ *   node setup.js --create-admin <email> <password>
+ *   node setup.js --create-organizer <email> <password>
+ * An existing user with that email is given the role instead.
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const fs = require('fs');
-const path = require('path');
-
-// Database file path in the shared directory
-const DB_PATH = path.join(__dirname, '..', 'shared-db', 'database.sqlite');
-const INIT_SQL_PATH = path.join(__dirname, '..', 'shared-db', 'init.sql');
+const { migrateDatabase } = require('../shared-db/migrate');
+const { getDatabasePath } = require('../shared-db/database');
+const { createUser, findUserByEmail, updateUserRole } = require('./models/userModel');
 
 /**
  * Initialize the SQLite database
+ * Creates the database file if it doesn't exist and applies any pending
+ * schema migrations from shared-db/migrations.
  * 
  * @returns {Promise<void>} Promise that resolves when database is initialized
  */
-function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        // Create the database connection
-        const db = new sqlite3.Database(DB_PATH, (err) => {
-            if (err) {
-                console.error('Error creating database:', err.message);
-                reject(err);
-                return;
-            }
-            console.log('Connected to SQLite database at:', DB_PATH);
-        });
+async function initializeDatabase() {
+    console.log('Migrating SQLite database at:', getDatabasePath());
+    const applied = await migrateDatabase();
+    console.log(`Database initialized successfully! (${applied.length} migration(s) applied)`);
+}
 
-        // Read and execute the initialization SQL
-        try {
-            const initSQL = fs.readFileSync(INIT_SQL_PATH, 'utf8');
-            
-            // Execute the SQL statements
-            db.exec(initSQL, (err) => {
-                if (err) {
-                    console.error('Error executing initialization SQL:', err.message);
-                    reject(err);
-                    return;
-                }
-                
-                console.log('Database initialized successfully!');
-                
-                // Close the database connection
-                db.close((err) => {
-                    if (err) {
-                        console.error('Error closing database:', err.message);
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        } catch (error) {
-            console.error('Error reading initialization SQL file:', error.message);
-            reject(error);
-        }
-    });
+/**
+ * Create an account with a staff role, or give an existing user that role
+ * 
+ * @param {string} email - Account email address
+ * @param {string} password - Password used when a new account is created
+ * @param {string} role - Role to give the account (organizer or admin)
+ * @returns {Promise<Object>} Promise that resolves to the user (without password)
+ */
+async function createStaffAccount(email, password, role) {
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error(`A valid ${role} email is required`);
+    }
+    
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingUser = await findUserByEmail(normalizedEmail);
+    
+    if (existingUser) {
+        return updateUserRole(normalizedEmail, role);
+    }
+    
+    if (!password || password.length < 6) {
+        throw new Error(`${role.charAt(0).toUpperCase() + role.slice(1)} password must be at least 6 characters long`);
+    }
+    
+    return createUser({ email: normalizedEmail, password, role });
+}
+
+/**
+ * Create an admin account, or promote an existing user to admin
+ * 
+ * @param {string} email - Admin email address
+ * @param {string} password - Password used when a new account is created
+ * @returns {Promise<Object>} Promise that resolves to the admin user (without password)
+ */
+function createAdmin(email, password) {
+    return createStaffAccount(email, password, 'admin');
+}
+
+/**
+ * Create an organizer account, or make an existing user an organizer
+ * Organizers can check tickets in but cannot manage events
+ * 
+ * @param {string} email - Organizer email address
+ * @param {string} password - Password used when a new account is created
+ * @returns {Promise<Object>} Promise that resolves to the organizer (without password)
+ */
+function createOrganizer(email, password) {
+    return createStaffAccount(email, password, 'organizer');
 }
 
 // Run initialization if this script is executed directly
 if (require.main === module) {
+    const args = process.argv.slice(2);
+    const adminFlagIndex = args.indexOf('--create-admin');
+    const organizerFlagIndex = args.indexOf('--create-organizer');
+    
     initializeDatabase()
-        .then(() => {
+        .then(async () => {
             console.log('Database setup completed successfully!');
+            
+            if (adminFlagIndex !== -1) {
+                const [email, password] = args.slice(adminFlagIndex + 1);
+                const admin = await createAdmin(email, password);
+                console.log(`Admin account ready: ${admin.email}`);
+            }
+            
+            if (organizerFlagIndex !== -1) {
+                const [email, password] = args.slice(organizerFlagIndex + 1);
+                const organizer = await createOrganizer(email, password);
+                console.log(`Organizer account ready: ${organizer.email}`);
+            }
+            
             process.exit(0);
         })
         .catch((error) => {
@@ -76,4 +109,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { initializeDatabase };
+module.exports = { initializeDatabase, createAdmin, createOrganizer };
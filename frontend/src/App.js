@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import './App.css';
 import { 
   Header, 
@@ -6,11 +6,39 @@ import {
   LoadingSpinner, 
   EventsList, 
   RefreshButton,
-  ChatSidebar
+  ChatSidebar,
+  OrderHistory,
+  MyTickets
 } from './components';
 import Login from './components/Login';
 import Register from './components/Register';
+import { DEFAULT_EVENT_FILTERS } from './components/EventFilters';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { createIdempotencyKey } from './utils/idempotencyKey';
+
+/**
+ * Build the query string for a page of events
+ * Filters left at their defaults are not sent, so the first page of an
+ * unfiltered list is plain /api/client/events.
+ * 
+ * @param {Object} filters - Search filters, shaped like DEFAULT_EVENT_FILTERS
+ * @param {string|null} [cursor=null] - Cursor of the page to fetch, from the previous page
+ * @returns {string} Query string, including the leading '?', or '' when empty
+ */
+function buildEventsQuery(filters, cursor = null) {
+  const params = new URLSearchParams();
+
+  if (filters.q) params.set('q', filters.q);
+  if (filters.category) params.set('category', filters.category);
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.available) params.set('available', 'true');
+  if (filters.sort) params.set('sort', filters.sort);
+  if (cursor) params.set('cursor', cursor);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
 
 /**
  * Main App Content Component
@@ -23,58 +51,168 @@ function AppContent() {
   const [purchasing, setPurchasing] = useState(null);
   const [showLogin, setShowLogin] = useState(false);
   const [showRegister, setShowRegister] = useState(false);
+  const [view, setView] = useState('events');
+  const [waitlist, setWaitlist] = useState([]);
+  const [filters, setFilters] = useState(DEFAULT_EVENT_FILTERS);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalEvents, setTotalEvents] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Counts event searches, so a response to an older search is dropped
+  const eventsRequest = useRef(0);
+
+  // Idempotency keys of purchases the server has not answered, so a retry resends the same key
+  const pendingPurchaseKeys = useRef({});
   
-  const { isAuthenticated, loading: authLoading, login, user } = useAuth();
+  const { isAuthenticated, loading: authLoading, login, user, getAuthHeader } = useAuth();
 
   /**
-   * Fetch events from the client service API
-   * Updates the events state with data from the backend
+   * Fetch the first page of events from the client service API
+   * Replaces the events state with the events matching the filters
+   * 
+   * @param {Object} activeFilters - Filters to search with
    */
-  const fetchEvents = async () => {
+  const fetchEvents = useCallback(async (activeFilters) => {
+    const request = ++eventsRequest.current;
+
     try {
       setLoading(true);
-      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/events`);
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/events${buildEventsQuery(activeFilters)}`);
       const data = await response.json();
+
+      if (request !== eventsRequest.current) {
+        return;
+      }
       
       if (data.success) {
         setEvents(data.events);
+        setNextCursor(data.nextCursor || null);
+        setTotalEvents(data.total ?? null);
         setMessage('');
       } else {
         setMessage('Failed to load events');
         console.error('Error loading events:', data.message);
       }
     } catch (error) {
-      setMessage('Failed to connect to the server');
+      if (request === eventsRequest.current) {
+        setMessage('Failed to connect to the server');
+      }
       console.error('Error fetching events:', error);
     } finally {
-      setLoading(false);
+      if (request === eventsRequest.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  /**
+   * Fetch the next page of events and add it to the end of the list
+   * Events already listed are skipped, in case they moved between pages.
+   */
+  const loadMoreEvents = useCallback(async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+
+    const request = eventsRequest.current;
+
+    try {
+      setLoadingMore(true);
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/events${buildEventsQuery(filters, nextCursor)}`);
+      const data = await response.json();
+
+      if (request !== eventsRequest.current) {
+        return;
+      }
+
+      if (data.success) {
+        setEvents(prevEvents => [
+          ...prevEvents,
+          ...data.events.filter(event => !prevEvents.some(listed => listed.id === event.id))
+        ]);
+        setNextCursor(data.nextCursor || null);
+        setTotalEvents(data.total ?? null);
+      } else {
+        setMessage('Failed to load more events');
+        console.error('Error loading more events:', data.message);
+      }
+    } catch (error) {
+      setMessage('Failed to connect to the server');
+      console.error('Error fetching more events:', error);
+    } finally {
+      setLoadingMore(false);
     }
+  }, [filters, nextCursor, loadingMore]);
+
+
+  /**
+   * Fetch the user's open waitlist entries from the client service
+   * Failures only hide waitlist positions, so they are logged rather than shown
+   */
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/waitlist`, {
+        headers: {
+          ...getAuthHeader()
+        },
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setWaitlist(data.entries);
+      }
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+    }
+  }, [getAuthHeader]);
+
+  /**
+   * Refresh events and the user's waitlist positions together
+   */
+  const refreshEvents = () => {
+    fetchEvents(filters);
+    fetchWaitlist();
   };
 
+  // Search again from the first page whenever the filters change
   useEffect(() => {
-    // Only fetch events if authenticated or show auth forms
     if (isAuthenticated) {
-      fetchEvents();
+      fetchEvents(filters);
+    }
+  }, [isAuthenticated, filters, fetchEvents]);
+
+  useEffect(() => {
+    // Only fetch the waitlist if authenticated or show auth forms
+    if (isAuthenticated) {
+      fetchWaitlist();
     } else {
       setLoading(false);
     }
-  }, [isAuthenticated]);
+  }, [isAuthenticated, fetchWaitlist]);
 
   /**
    * Purchase a ticket for a specific event
    * Sends POST request to the client service and updates the UI
    * Protected: Requires authentication
+   * Sends an Idempotency-Key so a retry after a lost response cannot buy twice
    * 
    * @param {number} eventId - ID of the event to purchase ticket for
    * @param {string} eventName - Name of the event for display purposes
+   * @param {number|null} [ticketTypeId=null] - Ticket type to buy, for events with tiers
+   * @param {Array<number>|null} [seatIds=null] - Seats to buy, one ticket each, for events with reserved seating
    */
-  const buyTicket = async (eventId, eventName) => {
+  const buyTicket = async (eventId, eventName, ticketTypeId = null, seatIds = null) => {
     if (!isAuthenticated) {
       setMessage('Please login to purchase tickets');
       setShowLogin(true);
       return;
     }
 
+    const purchaseScope = `${eventId}:${ticketTypeId || ''}:${seatIds ? seatIds.join(',') : ''}`;
+    const idempotencyKey = pendingPurchaseKeys.current[purchaseScope] || createIdempotencyKey();
+    pendingPurchaseKeys.current[purchaseScope] = idempotencyKey;
+
     try {
       setPurchasing(eventId);
       setMessage('');
@@ -83,22 +221,32 @@ function AppContent() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+          ...getAuthHeader()
         },
-        body: JSON.stringify({ ticketCount: 1 })
+        credentials: 'include',
+        body: JSON.stringify({
+          ticketCount: seatIds ? seatIds.length : 1,
+          ...(ticketTypeId && { ticketTypeId }),
+          ...(seatIds && { seatIds })
+        })
       });
       
       const data = await response.json();
       
+      // The server has answered, so the next purchase gets a new key. A
+      // purchase still in progress, or lost with the connection, keeps its key
+      // so a retry cannot buy twice.
+      if (response.status !== 409) {
+        delete pendingPurchaseKeys.current[purchaseScope];
+      }
+      
       if (data.success) {
         // Update the local events state to reflect the purchase
-        setEvents(prevEvents => 
-          prevEvents.map(event => 
-            event.id === eventId 
-              ? { ...event, tickets_available: data.event.tickets_available }
-              : event
-          )
-        );
-        setMessage(`Successfully purchased ticket for ${eventName}!`);
+        updateEventTickets(eventId, data.event);
+        setMessage(seatIds && seatIds.length > 1
+          ? `Successfully purchased ${seatIds.length} seats for ${eventName}!`
+          : `Successfully purchased ticket for ${eventName}!`);
         
         // Clear success message after 3 seconds
         setTimeout(() => setMessage(''), 3000);
@@ -114,14 +262,94 @@ function AppContent() {
   };
 
   /**
-   * Handle purchase from chat sidebar
-   * Updates the events list when a purchase is made through chat
+   * Join the waitlist for a sold-out event
+   * 
+   * @param {number} eventId - ID of the sold-out event
+   * @param {string} eventName - Name of the event for display purposes
+   * @param {number|null} [ticketTypeId=null] - Sold-out ticket type to wait for, for events with tiers
+   */
+  const joinWaitlist = async (eventId, eventName, ticketTypeId = null) => {
+    try {
+      setPurchasing(eventId);
+      setMessage('');
+
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/events/${eventId}/waitlist`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeader()
+        },
+        credentials: 'include',
+        body: JSON.stringify(ticketTypeId ? { ticketCount: 1, ticketTypeId } : { ticketCount: 1 })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setWaitlist(prevWaitlist => [...prevWaitlist, data.entry]);
+        setMessage(data.message);
+      } else {
+        setMessage(`Error: ${data.message || `Failed to join the waitlist for ${eventName}`}`);
+      }
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error joining waitlist:', error);
+    } finally {
+      setPurchasing(null);
+    }
+  };
+
+  /**
+   * Buy the tickets a waitlist claim is holding for the user
+   * 
+   * @param {Object} entry - Waitlist entry with an offered claim
+   */
+  const claimTickets = async (entry) => {
+    try {
+      setPurchasing(entry.event_id);
+      setMessage('');
+
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/holds/${entry.hold_id}/confirm`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeader()
+        },
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setWaitlist(prevWaitlist => prevWaitlist.filter(waiting => waiting.id !== entry.id));
+        setMessage(`Successfully purchased ticket for ${entry.event_name}!`);
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        // The claim may have expired, so pick up the latest positions
+        setMessage(`Error: ${data.message || 'Failed to claim tickets'}`);
+        fetchWaitlist();
+      }
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error claiming tickets:', error);
+    } finally {
+      setPurchasing(null);
+    }
+  };
+
+  /**
+   * Sync an event's ticket count after it changes elsewhere
+   * Used when a purchase is made through chat or an order is cancelled
    */
-  const handleChatPurchase = (eventId, updatedEvent) => {
+  const updateEventTickets = (eventId, updatedEvent) => {
     setEvents(prevEvents => 
       prevEvents.map(event => 
         event.id === eventId 
-          ? { ...event, tickets_available: updatedEvent.tickets_available }
+          ? {
+              ...event,
+              tickets_available: updatedEvent.tickets_available,
+              ticket_types: updatedEvent.ticket_types || event.ticket_types
+            }
           : event
       )
     );
@@ -194,27 +422,65 @@ function AppContent() {
     <div className="App">
       <Header />
       
+      <nav className="view-nav" aria-label="Main sections">
+        <button
+          className={`view-nav-btn ${view === 'events' ? 'active' : ''}`}
+          aria-pressed={view === 'events'}
+          onClick={() => setView('events')}
+        >
+          Events
+        </button>
+        <button
+          className={`view-nav-btn ${view === 'orders' ? 'active' : ''}`}
+          aria-pressed={view === 'orders'}
+          onClick={() => setView('orders')}
+        >
+          My Orders
+        </button>
+        <button
+          className={`view-nav-btn ${view === 'tickets' ? 'active' : ''}`}
+          aria-pressed={view === 'tickets'}
+          onClick={() => setView('tickets')}
+        >
+          My Tickets
+        </button>
+      </nav>
+      
       <main>
-        <StatusMessage message={message} />
-        
-        {loading ? (
-          <LoadingSpinner />
+        {view === 'orders' ? (
+          <OrderHistory onCancel={updateEventTickets} />
+        ) : view === 'tickets' ? (
+          <MyTickets />
         ) : (
-          <EventsList
-            events={events}
-            onPurchase={buyTicket}
-            purchasingEventId={purchasing}
-          />
+          <>
+            <StatusMessage message={message} />
+            
+            <EventsList
+              events={events}
+              onPurchase={buyTicket}
+              purchasingEventId={purchasing}
+              waitlistEntries={waitlist}
+              onJoinWaitlist={joinWaitlist}
+              onClaim={claimTickets}
+              filters={filters}
+              onFiltersChange={setFilters}
+              totalCount={totalEvents ?? undefined}
+              hasMore={Boolean(nextCursor)}
+              onLoadMore={loadMoreEvents}
+              isLoading={loading}
+              isLoadingMore={loadingMore}
+            />
+            
+            <RefreshButton 
+              onRefresh={refreshEvents} 
+              isLoading={loading} 
+            />
+          </>
         )}
-        
-        <RefreshButton 
-          onRefresh={fetchEvents} 
-          isLoading={loading} 
-        />
       </main>
 
       {/* Chat Sidebar for AI-powered ticket booking */}
-      <ChatSidebar onPurchase={handleChatPurchase} />
+      <ChatSidebar onPurchase={updateEventTickets} />
     </div>
   );
 }
@@ -20,7 +20,7 @@ describe('App Component - Integration Tests', () => {
             originalWarn(msg, ...args);
         });
         jest.spyOn(console, 'error').mockImplementation((msg, ...args) => {
-            if (typeof msg === 'string' && (msg.includes('token expiration') || msg.includes('fetching events'))) return;
+            if (typeof msg === 'string' && (msg.includes('token expiration') || msg.includes('fetching events') || msg.includes('fetching waitlist'))) return;
             originalError(msg, ...args);
         });
         
@@ -190,6 +190,83 @@ describe('App Component - Integration Tests', () => {
         });
     });
 
+    describe('Event Search (when authenticated)', () => {
+        const respond = (data) => Promise.resolve({
+            json: jest.fn().mockResolvedValue({ success: true, ...data })
+        });
+
+        beforeEach(() => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+        });
+
+        test('searches again with the chosen filters', async () => {
+            fetch.mockImplementation((url) => {
+                if (url.includes('/verify')) return respond({ user: { id: 1, email: 'test@clemson.edu' } });
+                if (url.includes('/waitlist')) return respond({ entries: [] });
+                if (url.includes('q=jazz')) {
+                    return respond({
+                        events: [{ id: 2, name: 'Jazz Night', date: '2025-12-20', tickets_available: 50 }],
+                        total: 1,
+                        nextCursor: null
+                    });
+                }
+                return respond({
+                    events: [{ id: 1, name: 'Basketball Game', date: '2025-12-15', tickets_available: 100 }],
+                    total: 1,
+                    nextCursor: null
+                });
+            });
+
+            render(<App />);
+
+            expect(await screen.findByText('Basketball Game')).toBeInTheDocument();
+            expect(fetch).toHaveBeenCalledWith(`${process.env.REACT_APP_BASE_URL}/api/client/events`);
+
+            fireEvent.change(screen.getByLabelText('Category'), { target: { value: 'arts' } });
+            fireEvent.click(screen.getByLabelText('Only events with tickets left'));
+            fireEvent.change(screen.getByLabelText('Search events'), { target: { value: 'jazz' } });
+            fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+            expect(await screen.findByText('Jazz Night')).toBeInTheDocument();
+            expect(screen.queryByText('Basketball Game')).not.toBeInTheDocument();
+            expect(fetch).toHaveBeenLastCalledWith(
+                `${process.env.REACT_APP_BASE_URL}/api/client/events?q=jazz&category=arts&available=true`
+            );
+        });
+
+        test('loads the next page of events and adds it to the list', async () => {
+            fetch.mockImplementation((url) => {
+                if (url.includes('/verify')) return respond({ user: { id: 1, email: 'test@clemson.edu' } });
+                if (url.includes('/waitlist')) return respond({ entries: [] });
+                if (url.includes('cursor=page-2')) {
+                    return respond({
+                        events: [{ id: 2, name: 'Concert', date: '2025-12-20', tickets_available: 50 }],
+                        total: 2,
+                        nextCursor: null
+                    });
+                }
+                return respond({
+                    events: [{ id: 1, name: 'Basketball Game', date: '2025-12-15', tickets_available: 100 }],
+                    total: 2,
+                    nextCursor: 'page-2'
+                });
+            });
+
+            render(<App />);
+
+            expect(await screen.findByText('2 events available')).toBeInTheDocument();
+            fireEvent.click(screen.getByRole('button', { name: 'Load more events' }));
+
+            expect(await screen.findByText('Concert')).toBeInTheDocument();
+            expect(screen.getByText('Basketball Game')).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: 'Load more events' })).not.toBeInTheDocument();
+        });
+    });
+
     describe('Ticket Purchase Flow (when authenticated)', () => {
         test('shows error message on failed purchase', async () => {
             // Mock authenticated state
@@ -243,7 +320,397 @@ describe('App Component - Integration Tests', () => {
                 expect(screen.getByText(/Not enough tickets available/i)).toBeInTheDocument();
             });
         });
+
+        test('sends the stored token with the purchase request', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            // Mock auth verification
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    user: { id: 1, email: 'test@clemson.edu' }
+                })
+            });
+
+            // Mock events fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    events: [
+                        { id: 4, name: 'Concert', date: '2025-12-20', tickets_available: 100 }
+                    ]
+                })
+            });
+
+            render(<App />);
+
+            await waitFor(() => {
+                expect(screen.getByText('Concert')).toBeInTheDocument();
+            }, { timeout: 3000 });
+
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    event: { id: 4, tickets_available: 99 }
+                })
+            });
+
+            fireEvent.click(screen.getByText(/Buy Ticket/i));
+
+            await waitFor(() => {
+                expect(screen.getByText(/Successfully purchased ticket for Concert/i)).toBeInTheDocument();
+            });
+
+            expect(fetch).toHaveBeenLastCalledWith(
+                expect.stringContaining('/api/client/events/4/purchase'),
+                expect.objectContaining({
+                    method: 'POST',
+                    headers: expect.objectContaining({ 'Authorization': 'Bearer mock-token' })
+                })
+            );
+        });
+
+        test('sends a new idempotency key with each purchase', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            // Mock auth verification
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    user: { id: 1, email: 'test@clemson.edu' }
+                })
+            });
+
+            // Mock events fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    events: [
+                        { id: 4, name: 'Concert', date: '2025-12-20', tickets_available: 100 }
+                    ]
+                })
+            });
+
+            render(<App />);
+
+            await waitFor(() => {
+                expect(screen.getByText('Concert')).toBeInTheDocument();
+            }, { timeout: 3000 });
+
+            const purchaseResponse = (ticketsAvailable) => ({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    event: { id: 4, tickets_available: ticketsAvailable }
+                })
+            });
+            const idempotencyKeyOfLastCall = () => fetch.mock.calls[fetch.mock.calls.length - 1][1].headers['Idempotency-Key'];
+
+            fetch.mockResolvedValueOnce(purchaseResponse(99));
+            fireEvent.click(screen.getByText(/Buy Ticket/i));
+            await waitFor(() => {
+                expect(screen.getByText('99')).toBeInTheDocument();
+            });
+            const firstKey = idempotencyKeyOfLastCall();
+
+            fetch.mockResolvedValueOnce(purchaseResponse(98));
+            fireEvent.click(screen.getByText(/Buy Ticket/i));
+            await waitFor(() => {
+                expect(screen.getByText('98')).toBeInTheDocument();
+            });
+            const secondKey = idempotencyKeyOfLastCall();
+
+            expect(firstKey).toEqual(expect.any(String));
+            expect(firstKey.length).toBeGreaterThan(0);
+            expect(secondKey).not.toBe(firstKey);
+        });
+
+        test('resends the same idempotency key after a purchase loses its connection', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            // Mock auth verification
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    user: { id: 1, email: 'test@clemson.edu' }
+                })
+            });
+
+            // Mock events fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    events: [
+                        { id: 4, name: 'Concert', date: '2025-12-20', tickets_available: 100 }
+                    ]
+                })
+            });
+
+            render(<App />);
+
+            await waitFor(() => {
+                expect(screen.getByText('Concert')).toBeInTheDocument();
+            }, { timeout: 3000 });
+
+            const idempotencyKeyOfLastCall = () => fetch.mock.calls[fetch.mock.calls.length - 1][1].headers['Idempotency-Key'];
+
+            fetch.mockRejectedValueOnce(new Error('Network error'));
+            fireEvent.click(screen.getByText(/Buy Ticket/i));
+            await waitFor(() => {
+                expect(screen.getByText(/Failed to connect to the server/i)).toBeInTheDocument();
+            });
+            const lostKey = idempotencyKeyOfLastCall();
+
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    event: { id: 4, tickets_available: 99 }
+                })
+            });
+            fireEvent.click(screen.getByText(/Buy Ticket/i));
+            await waitFor(() => {
+                expect(screen.getByText('99')).toBeInTheDocument();
+            });
+            const retryKey = idempotencyKeyOfLastCall();
+
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    event: { id: 4, tickets_available: 98 }
+                })
+            });
+            fireEvent.click(screen.getByText(/Buy Ticket/i));
+            await waitFor(() => {
+                expect(screen.getByText('98')).toBeInTheDocument();
+            });
+
+            expect(retryKey).toBe(lostKey);
+            expect(idempotencyKeyOfLastCall()).not.toBe(lostKey);
+        });
+
+        test('buys the seats chosen on a seat map', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            const respond = (data) => Promise.resolve({
+                json: jest.fn().mockResolvedValue({ success: true, ...data })
+            });
+            fetch.mockImplementation((url) => {
+                if (url.includes('/verify')) return respond({ user: { id: 1, email: 'test@clemson.edu' } });
+                if (url.includes('/seats')) {
+                    return respond({
+                        sections: [{
+                            id: 1,
+                            name: 'Lower Level',
+                            rows: [{
+                                id: 10,
+                                label: 'A',
+                                seats: [
+                                    { id: 101, number: 1, label: 'Lower Level Row A Seat 1', available: true },
+                                    { id: 102, number: 2, label: 'Lower Level Row A Seat 2', available: true }
+                                ]
+                            }]
+                        }]
+                    });
+                }
+                if (url.includes('/purchase')) return respond({ event: { id: 4, tickets_available: 0 } });
+                if (url.includes('/waitlist')) return respond({ entries: [] });
+                return respond({
+                    events: [
+                        { id: 4, name: 'Basketball', date: '2025-12-20', tickets_available: 2, reserved_seating: 1 }
+                    ]
+                });
+            });
+
+            render(<App />);
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Lower Level Row A Seat 1' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Lower Level Row A Seat 2' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Buy 2 seats for Basketball' }));
+
+            expect(await screen.findByText(/Successfully purchased 2 seats for Basketball/i)).toBeInTheDocument();
+            const purchaseCall = fetch.mock.calls.find(([url]) => url.includes('/api/client/events/4/purchase'));
+            expect(JSON.parse(purchaseCall[1].body)).toEqual({ ticketCount: 2, seatIds: [101, 102] });
+        });
     });
-});
 
+    describe('Waitlist (when authenticated)', () => {
+        test('joins the waitlist for a sold-out event and shows the position', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            // Mock auth verification
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    user: { id: 1, email: 'test@clemson.edu' }
+                })
+            });
 
+            // Mock events fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    events: [
+                        { id: 4, name: 'Concert', date: '2025-12-20', tickets_available: 0 }
+                    ]
+                })
+            });
+
+            // Mock waitlist fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({ success: true, entries: [] })
+            });
+
+            render(<App />);
+
+            const joinButton = await screen.findByRole('button', { name: /Join the waitlist for Concert/i });
+
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    message: 'Joined the waitlist for Concert. You are number 2 in line.',
+                    entry: { id: 7, event_id: 4, status: 'waiting', position: 2, quantity: 1 }
+                })
+            });
+
+            fireEvent.click(joinButton);
+
+            expect(await screen.findByText('You are #2 on the waitlist')).toBeInTheDocument();
+            expect(screen.getByText(/You are number 2 in line/i)).toBeInTheDocument();
+            expect(fetch).toHaveBeenLastCalledWith(
+                expect.stringContaining('/api/client/events/4/waitlist'),
+                expect.objectContaining({
+                    method: 'POST',
+                    headers: expect.objectContaining({ 'Authorization': 'Bearer mock-token' })
+                })
+            );
+        });
+    });
+
+    describe('Order History (when authenticated)', () => {
+        test('switches to the order history view', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            // Mock auth verification
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    user: { id: 1, email: 'test@clemson.edu' }
+                })
+            });
+
+            // Mock events fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({ success: true, events: [] })
+            });
+
+            render(<App />);
+
+            await waitFor(() => {
+                expect(screen.getByText(/No events available/i)).toBeInTheDocument();
+            }, { timeout: 3000 });
+
+            // Mock orders fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    orders: [
+                        {
+                            id: 1,
+                            event_id: 1,
+                            event_name: 'Concert',
+                            event_date: '2099-12-20',
+                            quantity: 2,
+                            refunded_quantity: 0,
+                            status: 'completed'
+                        }
+                    ]
+                })
+            });
+
+            fireEvent.click(screen.getByRole('button', { name: 'My Orders' }));
+
+            expect(await screen.findByText('Concert')).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /Cancel tickets for Concert/i })).toBeInTheDocument();
+        });
+    });
+
+    describe('My Tickets (when authenticated)', () => {
+        test('switches to the tickets view', async () => {
+            Storage.prototype.getItem = jest.fn((key) => {
+                if (key === 'auth_token') return 'mock-token';
+                if (key === 'user') return JSON.stringify({ id: 1, email: 'test@clemson.edu' });
+                return null;
+            });
+
+            // Mock auth verification
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    user: { id: 1, email: 'test@clemson.edu' }
+                })
+            });
+
+            // Mock events fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({ success: true, events: [] })
+            });
+
+            render(<App />);
+
+            await waitFor(() => {
+                expect(screen.getByText(/No events available/i)).toBeInTheDocument();
+            }, { timeout: 3000 });
+
+            // Mock tickets fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({
+                    success: true,
+                    tickets: [
+                        {
+                            id: 4,
+                            order_id: 1,
+                            event_id: 1,
+                            event_name: 'Concert',
+                            event_date: '2099-12-20',
+                            code: 'TT1.1.abc.sig',
+                            status: 'valid'
+                        }
+                    ]
+                })
+            });
+
+            // Mock transfers fetch
+            fetch.mockResolvedValueOnce({
+                json: jest.fn().mockResolvedValue({ success: true, transfers: [] })
+            });
+
+            fireEvent.click(screen.getByRole('button', { name: 'My Tickets' }));
+
+            expect(await screen.findByText('Concert')).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /Show QR code for Concert ticket 4/i })).toBeInTheDocument();
+        });
+    });
+});
@@ -1,4 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { formatPrice } from '../utils/formatPrice';
+import { createIdempotencyKey } from '../utils/idempotencyKey';
 import './ChatSidebar.css';
 
 /**
@@ -15,6 +18,9 @@ function ChatSidebar({ onPurchase }) {
   const [speechSupported, setSpeechSupported] = useState(false);
   const messagesEndRef = useRef(null);
   const recognitionRef = useRef(null);
+  // Idempotency keys of purchases the server has not answered, so a retry resends the same key
+  const pendingPurchaseKeys = useRef({});
+  const { getAuthHeader } = useAuth();
 
   // Auto-scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -232,8 +238,13 @@ function ChatSidebar({ onPurchase }) {
 
   /**
    * Handle ticket purchase from chat
+   * Events with ticket types pass the ID of the tier being bought.
+   * The Idempotency-Key stops a retry after a lost response from buying twice.
    */
-  const handlePurchase = async (eventId, eventName, ticketCount = 1) => {
+  const handlePurchase = async (eventId, eventName, ticketCount = 1, ticketTypeId = null) => {
+    const purchaseScope = `${eventId}:${ticketTypeId || ''}:${ticketCount}`;
+    const idempotencyKey = pendingPurchaseKeys.current[purchaseScope] || createIdempotencyKey();
+    pendingPurchaseKeys.current[purchaseScope] = idempotencyKey;
     setIsLoading(true);
     
     try {
@@ -241,12 +252,22 @@ function ChatSidebar({ onPurchase }) {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+          ...getAuthHeader()
         },
-        body: JSON.stringify({ ticketCount })
+        credentials: 'include',
+        body: JSON.stringify(ticketTypeId ? { ticketCount, ticketTypeId } : { ticketCount })
       });
 
       const data = await response.json();
 
+      // The server has answered, so the next purchase gets a new key. A
+      // purchase still in progress, or lost with the connection, keeps its key
+      // so a retry cannot buy twice.
+      if (response.status !== 409) {
+        delete pendingPurchaseKeys.current[purchaseScope];
+      }
+
       if (data.success) {
         addAssistantMessage(`Successfully purchased ${ticketCount} ticket(s) for ${eventName}!`);
         
@@ -324,17 +345,33 @@ function ChatSidebar({ onPurchase }) {
                       </div>
                       <div className="event-card-body">
                         <p className="event-date">Date: {new Date(event.date).toLocaleDateString()}</p>
+                        <p className="event-price">Price: {formatPrice(event.price_cents, event.currency)}</p>
                         <p className="event-tickets">
                           {event.tickets_available} tickets available
                         </p>
                       </div>
-                      <button
-                        className="purchase-button"
-                        onClick={() => handlePurchase(event.event_id, event.name, 1)}
-                        disabled={event.tickets_available === 0 || isLoading}
-                      >
-                        {event.tickets_available === 0 ? 'Sold Out' : 'Purchase Ticket'}
-                      </button>
+                      {event.ticket_types && event.ticket_types.length > 0 ? (
+                        event.ticket_types.map((ticketType) => (
+                          <button
+                            key={ticketType.id}
+                            className="purchase-button"
+                            onClick={() => handlePurchase(event.event_id, event.name, 1, ticketType.id)}
+                            disabled={event.tickets_available === 0 || ticketType.tickets_available === 0 || isLoading}
+                          >
+                            {ticketType.tickets_available === 0
+                              ? `${ticketType.name} - Sold Out`
+                              : `Buy ${ticketType.name} - ${formatPrice(ticketType.price_cents, event.currency)}`}
+                          </button>
+                        ))
+                      ) : (
+                        <button
+                          className="purchase-button"
+                          onClick={() => handlePurchase(event.event_id, event.name, 1)}
+                          disabled={event.tickets_available === 0 || isLoading}
+                        >
+                          {event.tickets_available === 0 ? 'Sold Out' : 'Purchase Ticket'}
+                        </button>
+                      )}
                     </div>
                   ))}
                 </div>
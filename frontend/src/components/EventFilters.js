@@ -0,0 +1,151 @@
+/**
+ * Event Filters Component
+ *
+ * Search bar and filter controls for the events list. The search text is
+ * applied when the form is submitted; the other controls apply as soon as
+ * they change.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { EVENT_CATEGORY_LABELS } from '../utils/formatEventTime';
+
+// Filters with nothing narrowed down. An empty sort leaves the order to the
+// events API: best match first when searching, otherwise soonest first
+export const DEFAULT_EVENT_FILTERS = {
+  q: '',
+  category: '',
+  from: '',
+  to: '',
+  available: false,
+  sort: ''
+};
+
+// Sort orders the events API accepts, with their labels
+const SORT_OPTIONS = [
+  { value: 'date', label: 'Date (soonest first)' },
+  { value: '-date', label: 'Date (latest first)' },
+  { value: 'price', label: 'Price (lowest first)' },
+  { value: '-price', label: 'Price (highest first)' },
+  { value: 'name', label: 'Name (A-Z)' }
+];
+
+/**
+ * EventFilters component for searching, filtering and sorting events
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.filters - Current filters, shaped like DEFAULT_EVENT_FILTERS
+ * @param {Function} props.onChange - Function called with the new filters
+ * @returns {JSX.Element} Search form
+ */
+function EventFilters({ filters, onChange }) {
+  const [searchText, setSearchText] = useState(filters.q);
+
+  // Keep the search box in step when the filters are cleared or replaced
+  useEffect(() => {
+    setSearchText(filters.q);
+  }, [filters.q]);
+
+  /**
+   * Apply one changed filter, keeping the others
+   *
+   * @param {string} name - Filter to change
+   * @param {string|boolean} value - Its new value
+   */
+  const setFilter = (name, value) => {
+    onChange({ ...filters, [name]: value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFilter('q', searchText.trim());
+  };
+
+  return (
+    <form className="event-filters" role="search" onSubmit={handleSubmit}>
+      <div className="event-search">
+        <label htmlFor="event-search-input" className="sr-only">Search events</label>
+        <input
+          id="event-search-input"
+          type="search"
+          placeholder="Search events"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          maxLength={200}
+        />
+        <button type="submit" className="event-search-btn">Search</button>
+      </div>
+
+      <div className="event-filter-controls">
+        <div className="event-filter">
+          <label htmlFor="event-category-filter">Category</label>
+          <select
+            id="event-category-filter"
+            value={filters.category}
+            onChange={(e) => setFilter('category', e.target.value)}
+          >
+            <option value="">All categories</option>
+            {Object.entries(EVENT_CATEGORY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="event-filter">
+          <label htmlFor="event-from-filter">From</label>
+          <input
+            id="event-from-filter"
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => setFilter('from', e.target.value)}
+          />
+        </div>
+
+        <div className="event-filter">
+          <label htmlFor="event-to-filter">To</label>
+          <input
+            id="event-to-filter"
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => setFilter('to', e.target.value)}
+          />
+        </div>
+
+        <div className="event-filter">
+          <label htmlFor="event-sort">Sort by</label>
+          <select
+            id="event-sort"
+            value={filters.sort}
+            onChange={(e) => setFilter('sort', e.target.value)}
+          >
+            <option value="">{filters.q ? 'Best match' : 'Date (soonest first)'}</option>
+            {SORT_OPTIONS.filter(option => filters.q || option.value !== 'date').map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="event-filter event-available-filter">
+          <input
+            id="event-available-filter"
+            type="checkbox"
+            checked={filters.available}
+            onChange={(e) => setFilter('available', e.target.checked)}
+          />
+          <label htmlFor="event-available-filter">Only events with tickets left</label>
+        </div>
+
+        <button
+          type="button"
+          className="clear-filters-btn"
+          onClick={() => onChange(DEFAULT_EVENT_FILTERS)}
+        >
+          Clear filters
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default EventFilters;
@@ -1,11 +1,42 @@
 /**
  * Event Item Component
  * 
- * Displays individual event information including name, date, available tickets,
- * and purchase button with full accessibility support.
+ * Displays individual event information including name, date and time, venue,
+ * category, description, image, ticket price, available tickets, and purchase
+ * button with full accessibility support.
+ * Events with several ticket types let the user choose one before buying.
+ * Sold-out events offer a place on the waitlist, and tickets held for the
+ * user from the waitlist can be claimed from here. Cancelled events show
+ * the reason and cannot be bought, as can't events that are not on sale:
+ * those whose sales have not opened or have closed, and those that have
+ * started or ended. Events with reserved seating are bought by choosing
+ * seats on a seat map instead, and have no waitlist.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
+import SeatMap from './SeatMap';
+import { formatPrice } from '../utils/formatPrice';
+import { formatEventSchedule, EVENT_CATEGORY_LABELS } from '../utils/formatEventTime';
+
+// Lifecycle statuses of events that are active but not on sale, with the
+// button text and how screen readers finish the sentence "<event name> ..."
+const OFF_SALE_STATUSES = {
+  upcoming: { label: 'Sales Not Open', description: 'is not on sale yet' },
+  sales_closed: { label: 'Sales Closed', description: 'is no longer on sale' },
+  in_progress: { label: 'In Progress', description: 'has already started' },
+  past: { label: 'Past Event', description: 'has already taken place' }
+};
+
+/**
+ * Format the time a waitlist claim expires
+ * The API returns SQLite datetimes, which are UTC without a time zone.
+ * 
+ * @param {string} expiresAt - Claim expiry as "YYYY-MM-DD HH:MM:SS"
+ * @returns {string} Local time the claim expires
+ */
+function formatClaimExpiry(expiresAt) {
+  return new Date(`${expiresAt.replace(' ', 'T')}Z`).toLocaleTimeString();
+}
 
 /**
  * EventItem component for displaying event details and purchase functionality
@@ -15,31 +46,169 @@ import React from 'react';
  * @param {number} props.event.id - Event ID
  * @param {string} props.event.name - Event name
  * @param {string} props.event.date - Event date
+ * @param {string|null} [props.event.starts_at] - Start time (UTC ISO string), if announced
+ * @param {string|null} [props.event.ends_at] - End time (UTC ISO string)
+ * @param {string} [props.event.time_zone] - IANA time zone the event takes place in
+ * @param {string|null} [props.event.venue] - Where the event takes place
+ * @param {string|null} [props.event.description] - Longer description of the event
+ * @param {string} [props.event.category] - Event category, such as 'athletics' or 'arts'
+ * @param {string|null} [props.event.image_url] - URL of an image for the event
  * @param {number} props.event.tickets_available - Number of available tickets
+ * @param {number} [props.event.price_cents] - Ticket price in integer cents
+ * @param {string} [props.event.currency] - ISO 4217 currency code for the price
+ * @param {number|null} [props.event.max_per_user] - Most tickets one user may buy, or null for no limit
+ * @param {Array} [props.event.ticket_types] - Ticket types (tiers) on sale for the event
+ * @param {boolean|number} [props.event.reserved_seating] - Whether tickets are sold by seat
+ * @param {string} [props.event.status] - Event status ('active' or 'cancelled')
+ * @param {string} [props.event.lifecycle_status] - Where the event is in its lifecycle, such as 'on_sale' or 'past'
+ * @param {string|null} [props.event.sales_start] - When ticket sales open (UTC ISO string)
+ * @param {string|null} [props.event.cancellation_reason] - Why the event was cancelled
  * @param {Function} props.onPurchase - Function to handle ticket purchase
  * @param {boolean} props.isPurchasing - Whether this event is currently being purchased
+ * @param {Object} [props.waitlistEntry] - The user's open waitlist entry for the event, if any
+ * @param {Function} [props.onJoinWaitlist] - Function to join the waitlist once the event sells out
+ * @param {Function} [props.onClaim] - Function to buy the tickets a waitlist claim is holding
  * @returns {JSX.Element} Event item list element
  */
-function EventItem({ event, onPurchase, isPurchasing }) {
-  const { id, name, date, tickets_available } = event;
-  const isSoldOut = tickets_available === 0;
+function EventItem({ event, onPurchase, isPurchasing, waitlistEntry, onJoinWaitlist, onClaim }) {
+  const { id, name, date, tickets_available, price_cents, currency, max_per_user, cancellation_reason } = event;
+  const { starts_at, ends_at, time_zone, venue, description, category, image_url } = event;
+  const { lifecycle_status, sales_start } = event;
+  const ticketTypes = event.ticket_types || [];
+  const hasTicketTypes = ticketTypes.length > 0;
+
+  // Default to the cheapest ticket type that still has tickets
+  const [selectedTypeId, setSelectedTypeId] = useState(() => {
+    const firstAvailable = ticketTypes.find(type => type.tickets_available > 0) || ticketTypes[0];
+    return firstAvailable ? firstAvailable.id : null;
+  });
+  const selectedType = ticketTypes.find(type => type.id === selectedTypeId) || null;
+
+  const price = formatPrice(selectedType ? selectedType.price_cents : price_cents, currency);
+  const isCancelled = event.status === 'cancelled';
+  const offSale = isCancelled ? null : OFF_SALE_STATUSES[lifecycle_status] || null;
+  const isClosed = isCancelled || Boolean(offSale);
+  const hasSeatMap = !isClosed && Boolean(event.reserved_seating);
+  const isSoldOut = tickets_available === 0 || (hasTicketTypes && (!selectedType || selectedType.tickets_available === 0));
   const ticketText = tickets_available === 1 ? 'ticket' : 'tickets';
+  const isWaiting = !isClosed && Boolean(waitlistEntry) && waitlistEntry.status === 'waiting';
+  const hasClaim = !isClosed && Boolean(waitlistEntry) && waitlistEntry.status === 'offered' && Boolean(onClaim);
+  const canJoinWaitlist = !isClosed && !hasSeatMap && isSoldOut && !waitlistEntry && Boolean(onJoinWaitlist);
 
   /**
    * Handle purchase button click
    * Calls the parent's onPurchase function with event details
+   * and the chosen ticket type, if the event has them
    */
   const handlePurchase = () => {
-    onPurchase(id, name);
+    if (selectedType) {
+      onPurchase(id, name, selectedType.id);
+    } else {
+      onPurchase(id, name);
+    }
   };
 
+  /**
+   * Buy the seats chosen on the seat map, as the selected ticket type if
+   * the event has them
+   * 
+   * @param {Array<number>} seatIds - IDs of the chosen seats
+   */
+  const handleSeatPurchase = (seatIds) => {
+    onPurchase(id, name, selectedType ? selectedType.id : null, seatIds);
+  };
+
+  /**
+   * Handle the action button, which claims held tickets or joins the
+   * waitlist instead of buying when the user is in line for the event
+   */
+  const handleAction = () => {
+    if (hasClaim) {
+      onClaim(waitlistEntry);
+    } else if (canJoinWaitlist) {
+      onJoinWaitlist(id, name, selectedType ? selectedType.id : null);
+    } else {
+      handlePurchase();
+    }
+  };
+
+  let actionLabel = `Buy ticket for ${name} - ${price} - ${tickets_available} ${ticketText} available`;
+  if (isCancelled) {
+    actionLabel = `${name} has been cancelled`;
+  } else if (offSale) {
+    actionLabel = `${name} ${offSale.description}`;
+  } else if (hasClaim) {
+    actionLabel = `Claim the tickets held for you for ${name}`;
+  } else if (isWaiting) {
+    actionLabel = `You are on the waitlist for ${name}`;
+  } else if (canJoinWaitlist) {
+    actionLabel = `Join the waitlist for ${name}`;
+  }
+
   return (
     <li className="event-item" role="listitem">
+      {image_url && (
+        <img className="event-image" src={image_url} alt="" />
+      )}
       <div className="event-info">
         <h2 className="event-name">{name}</h2>
-        <p className="event-date">
-          <span className="label">Date: </span> 
-          <time dateTime={date}>{new Date(date).toLocaleDateString()}</time>
+        {category && category !== 'other' && (
+          <p className="event-category">{EVENT_CATEGORY_LABELS[category] || category}</p>
+        )}
+        {isCancelled && (
+          <p className="event-cancelled">
+            <span className="label">Cancelled: </span>
+            <span>{cancellation_reason || 'This event has been cancelled'}</span>
+          </p>
+        )}
+        {lifecycle_status === 'upcoming' && sales_start && (
+          <p className="event-sales-start">
+            <span className="label">On Sale: </span>
+            <time dateTime={sales_start}>{formatEventSchedule(sales_start, null, time_zone)}</time>
+          </p>
+        )}
+        {starts_at ? (
+          <p className="event-date">
+            <span className="label">When: </span>
+            <time dateTime={starts_at}>{formatEventSchedule(starts_at, ends_at, time_zone)}</time>
+          </p>
+        ) : (
+          <p className="event-date">
+            <span className="label">Date: </span> 
+            <time dateTime={date}>{new Date(date).toLocaleDateString()}</time>
+          </p>
+        )}
+        {venue && (
+          <p className="event-venue">
+            <span className="label">Venue: </span>
+            <span>{venue}</span>
+          </p>
+        )}
+        {description && (
+          <p className="event-description">{description}</p>
+        )}
+        {hasTicketTypes && (
+          <p className="event-ticket-type">
+            <label htmlFor={`event-${id}-ticket-type`} className="label">Ticket Type: </label>
+            <select
+              id={`event-${id}-ticket-type`}
+              value={selectedTypeId || ''}
+              onChange={(e) => setSelectedTypeId(parseInt(e.target.value, 10))}
+              disabled={isPurchasing}
+            >
+              {ticketTypes.map(type => (
+                <option key={type.id} value={type.id} disabled={type.tickets_available === 0}>
+                  {`${type.name} - ${formatPrice(type.price_cents, currency)} ${
+                    type.tickets_available === 0 ? '(sold out)' : `(${type.tickets_available} left)`
+                  }`}
+                </option>
+              ))}
+            </select>
+          </p>
+        )}
+        <p className="event-price">
+          <span className="label">Price: </span>
+          <span className="price">{price}</span>
         </p>
         <p className="event-tickets">
           <span className="label">Tickets Available: </span> 
@@ -50,40 +219,98 @@ function EventItem({ event, onPurchase, isPurchasing }) {
             {tickets_available}
           </span>
         </p>
+        {max_per_user && (
+          <p className="event-limit">
+            <span className="label">Limit: </span>
+            <span>{`${max_per_user} per customer`}</span>
+          </p>
+        )}
+        {isWaiting && (
+          <p className="event-waitlist">
+            {`You are #${waitlistEntry.position} on the waitlist`}
+          </p>
+        )}
+        {hasClaim && (
+          <p className="event-waitlist claim">
+            {`${waitlistEntry.quantity} ${waitlistEntry.quantity === 1 ? 'ticket is' : 'tickets are'} being held for you until `}
+            <time dateTime={waitlistEntry.claim_expires_at}>
+              {formatClaimExpiry(waitlistEntry.claim_expires_at)}
+            </time>
+          </p>
+        )}
       </div>
       
       <div className="event-actions">
-        <button 
-          onClick={handlePurchase}
-          disabled={isSoldOut || isPurchasing}
-          className={`buy-ticket-btn ${isSoldOut ? 'sold-out' : ''}`}
-          aria-label={`Buy ticket for ${name} - ${tickets_available} ${ticketText} available`}
-          aria-describedby={`event-${id}-status`}
-        >
-          {isPurchasing ? (
-            <>
-              <span aria-hidden="true">...</span>
-              <span>Processing...</span>
-            </>
-          ) : isSoldOut ? (
-            <>
-              <span aria-hidden="true">X</span>
-              <span>Sold Out</span>
-            </>
-          ) : (
-            <>
-              <span aria-hidden="true">+</span>
-              <span>Buy Ticket</span>
-            </>
-          )}
-        </button>
+        {hasSeatMap ? (
+          <SeatMap
+            eventId={id}
+            eventName={name}
+            ticketsAvailable={tickets_available}
+            isPurchasing={isPurchasing}
+            onPurchase={handleSeatPurchase}
+          />
+        ) : (
+          <button 
+            onClick={handleAction}
+            disabled={isPurchasing || isClosed || (isSoldOut && !hasClaim && !canJoinWaitlist) || isWaiting}
+            className={`buy-ticket-btn ${isClosed || (isSoldOut && !hasClaim && !canJoinWaitlist) ? 'sold-out' : ''}`}
+            aria-label={actionLabel}
+            aria-describedby={`event-${id}-status`}
+          >
+            {isPurchasing ? (
+              <>
+                <span aria-hidden="true">...</span>
+                <span>Processing...</span>
+              </>
+            ) : isCancelled ? (
+              <>
+                <span aria-hidden="true">X</span>
+                <span>Cancelled</span>
+              </>
+            ) : offSale ? (
+              <>
+                <span aria-hidden="true">X</span>
+                <span>{offSale.label}</span>
+              </>
+            ) : hasClaim ? (
+              <>
+                <span aria-hidden="true">+</span>
+                <span>Claim Tickets</span>
+              </>
+            ) : isWaiting ? (
+              <>
+                <span aria-hidden="true">#</span>
+                <span>On Waitlist</span>
+              </>
+            ) : canJoinWaitlist ? (
+              <>
+                <span aria-hidden="true">+</span>
+                <span>Join Waitlist</span>
+              </>
+            ) : isSoldOut ? (
+              <>
+                <span aria-hidden="true">X</span>
+                <span>Sold Out</span>
+              </>
+            ) : (
+              <>
+                <span aria-hidden="true">+</span>
+                <span>Buy Ticket</span>
+              </>
+            )}
+          </button>
+        )}
         
         <div 
           id={`event-${id}-status`} 
           className="sr-only"
           aria-live="polite"
         >
-          {isSoldOut 
+          {isCancelled
+            ? `${name} has been cancelled`
+            : offSale
+            ? `${name} ${offSale.description}`
+            : isSoldOut 
             ? `${name} is sold out` 
             : `${tickets_available} ${ticketText} available for ${name}`
           }
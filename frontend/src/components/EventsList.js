@@ -2,11 +2,15 @@
  * Events List Component
  * 
  * Renders a list of events with proper accessibility attributes
- * and handles empty state display.
+ * and handles empty state display. When given filters it also shows the
+ * search and filter controls, and it loads the next page of events as the
+ * user scrolls to the end of the list.
  */
 
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import EventItem from './EventItem';
+import EventFilters from './EventFilters';
+import LoadingSpinner from './LoadingSpinner';
 
 /**
  * EventsList component for displaying multiple events
@@ -15,19 +19,80 @@ import EventItem from './EventItem';
  * @param {Array} props.events - Array of event objects
  * @param {Function} props.onPurchase - Function to handle ticket purchase
  * @param {number|null} props.purchasingEventId - ID of event currently being purchased
+ * @param {Array} [props.waitlistEntries] - The user's open waitlist entries
+ * @param {Function} [props.onJoinWaitlist] - Function to join a sold-out event's waitlist
+ * @param {Function} [props.onClaim] - Function to buy tickets held by a waitlist claim
+ * @param {Object} [props.filters] - Current search filters
+ * @param {Function} [props.onFiltersChange] - Function called with new filters; shows the filter controls
+ * @param {number} [props.totalCount] - Number of events matching the filters, across all pages
+ * @param {boolean} [props.hasMore] - Whether there are more events to load
+ * @param {Function} [props.onLoadMore] - Function to load the next page of events
+ * @param {boolean} [props.isLoading] - Whether the first page of events is loading
+ * @param {boolean} [props.isLoadingMore] - Whether the next page of events is loading
  * @returns {JSX.Element} Events list section
  */
-function EventsList({ events, onPurchase, purchasingEventId }) {
+function EventsList({
+  events,
+  onPurchase,
+  purchasingEventId,
+  waitlistEntries,
+  onJoinWaitlist,
+  onClaim,
+  filters,
+  onFiltersChange,
+  totalCount,
+  hasMore,
+  onLoadMore,
+  isLoading,
+  isLoadingMore
+}) {
   // Handle null or undefined events
   const safeEvents = events || [];
+  const safeWaitlistEntries = waitlistEntries || [];
+  const eventCount = totalCount ?? safeEvents.length;
+  const canLoadMore = Boolean(hasMore && onLoadMore && !isLoading);
+  const sentinelRef = useRef(null);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!canLoadMore || isLoadingMore || !sentinel || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [canLoadMore, isLoadingMore, onLoadMore]);
+
+  // Filters stay mounted while their results load, so they keep focus
+  const filterControls = onFiltersChange && filters && (
+    <EventFilters filters={filters} onChange={onFiltersChange} />
+  );
+
+  if (isLoading) {
+    return (
+      <>
+        {filterControls}
+        <LoadingSpinner />
+      </>
+    );
+  }
   
   return (
     <>
+      {filterControls}
+
       {/* Events count */}
       <div className="events-count" aria-live="polite">
-        {safeEvents.length === 0 
+        {eventCount === 0 
           ? 'No events available' 
-          : `${safeEvents.length} event${safeEvents.length === 1 ? '' : 's'} available`
+          : `${eventCount} event${eventCount === 1 ? '' : 's'} available`
         }
       </div>
       
@@ -40,10 +105,25 @@ function EventsList({ events, onPurchase, purchasingEventId }) {
               event={event}
               onPurchase={onPurchase}
               isPurchasing={purchasingEventId === event.id}
+              waitlistEntry={safeWaitlistEntries.find(entry => entry.event_id === event.id)}
+              onJoinWaitlist={onJoinWaitlist}
+              onClaim={onClaim}
             />
           ))}
         </ul>
       )}
+
+      {canLoadMore && (
+        <div className="load-more-section" ref={sentinelRef}>
+          <button
+            className="load-more-btn"
+            onClick={onLoadMore}
+            disabled={isLoadingMore}
+          >
+            {isLoadingMore ? 'Loading more events...' : 'Load more events'}
+          </button>
+        </div>
+      )}
     </>
   );
 }
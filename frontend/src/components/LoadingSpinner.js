@@ -10,12 +10,14 @@ import React from 'react';
 /**
  * LoadingSpinner component for indicating loading state
  * 
+ * @param {Object} props - Component properties
+ * @param {string} [props.message='Loading events...'] - Text to display while loading
  * @returns {JSX.Element} Loading message element
  */
-function LoadingSpinner() {
+function LoadingSpinner({ message = 'Loading events...' }) {
   return (
     <div className="loading" role="status" aria-live="polite">
-      Loading events...
+      {message}
     </div>
   );
 }
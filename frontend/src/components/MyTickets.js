@@ -0,0 +1,343 @@
+/**
+ * My Tickets Component
+ *
+ * Lists the logged-in user's tickets, one per purchased seat, and shows
+ * each ticket's signed code as a QR code to present at the door. Tickets
+ * can be transferred to another account, and transfers sent to the user
+ * are listed here to accept or decline.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+import StatusMessage from './StatusMessage';
+
+/**
+ * Human-readable labels for ticket statuses
+ */
+const STATUS_LABELS = {
+  valid: 'Valid',
+  checked_in: 'Checked In',
+  refunded: 'Refunded'
+};
+
+/**
+ * MyTickets component for viewing tickets and their QR codes
+ *
+ * @returns {JSX.Element} My tickets section
+ */
+function MyTickets() {
+  const { user, getAuthHeader } = useAuth();
+  const [tickets, setTickets] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [qrCodes, setQrCodes] = useState({});
+  const [loadingTicketId, setLoadingTicketId] = useState(null);
+  const [transferTicketId, setTransferTicketId] = useState(null);
+  const [transferEmail, setTransferEmail] = useState('');
+  const [busyTransferId, setBusyTransferId] = useState(null);
+
+  /**
+   * Fetch the user's tickets and transfers from the client service
+   */
+  const fetchTickets = useCallback(async () => {
+    try {
+      setLoading(true);
+      const options = {
+        headers: {
+          ...getAuthHeader()
+        },
+        credentials: 'include'
+      };
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/tickets`, options);
+      const data = await response.json();
+
+      if (!data.success) {
+        setMessage(`Error: ${data.message || 'Failed to load tickets'}`);
+        return;
+      }
+
+      setTickets(data.tickets);
+
+      const transfersResponse = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/transfers`, options);
+      const transfersData = await transfersResponse.json();
+
+      if (transfersData.success) {
+        setTransfers(transfersData.transfers);
+      }
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error fetching tickets:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthHeader]);
+
+  useEffect(() => {
+    fetchTickets();
+  }, [fetchTickets]);
+
+  /**
+   * Show or hide a ticket's QR code, loading it the first time it is shown
+   *
+   * @param {Object} ticket - Ticket to show the QR code for
+   */
+  const toggleQrCode = async (ticket) => {
+    if (qrCodes[ticket.id]) {
+      setQrCodes(prevCodes => ({ ...prevCodes, [ticket.id]: undefined }));
+      return;
+    }
+
+    try {
+      setLoadingTicketId(ticket.id);
+      setMessage('');
+
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/tickets/${ticket.id}`, {
+        headers: {
+          ...getAuthHeader()
+        },
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setQrCodes(prevCodes => ({ ...prevCodes, [ticket.id]: data.qrCode.png }));
+      } else {
+        setMessage(`Error: ${data.message || 'Failed to load ticket'}`);
+      }
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error fetching ticket:', error);
+    } finally {
+      setLoadingTicketId(null);
+    }
+  };
+
+  /**
+   * Send a transfer request to the client service and refresh the lists
+   *
+   * @param {string} path - API path under /api/client
+   * @param {Object} [body] - JSON body to send
+   * @returns {Promise<boolean>} Whether the request succeeded
+   */
+  const sendTransferRequest = async (path, body) => {
+    try {
+      setMessage('');
+
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeader()
+        },
+        credentials: 'include',
+        body: JSON.stringify(body || {})
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setMessage(data.message);
+        await fetchTickets();
+        return true;
+      }
+
+      setMessage(`Error: ${data.message || 'Transfer failed'}`);
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error updating transfer:', error);
+    }
+
+    return false;
+  };
+
+  /**
+   * Start transferring the ticket whose form is open to the entered email
+   *
+   * @param {Event} e - Form submit event
+   */
+  const startTransfer = async (e) => {
+    e.preventDefault();
+    setBusyTransferId(`ticket-${transferTicketId}`);
+
+    if (await sendTransferRequest(`/tickets/${transferTicketId}/transfers`, { email: transferEmail })) {
+      setTransferTicketId(null);
+      setTransferEmail('');
+    }
+
+    setBusyTransferId(null);
+  };
+
+  /**
+   * Accept, decline or cancel a pending transfer
+   *
+   * @param {Object} transfer - Transfer to update
+   * @param {string} action - 'accept' or 'cancel'
+   */
+  const updateTransfer = async (transfer, action) => {
+    setBusyTransferId(transfer.id);
+    await sendTransferRequest(`/transfers/${transfer.id}/${action}`);
+    setBusyTransferId(null);
+  };
+
+  /**
+   * Open or close the transfer form for a ticket
+   *
+   * @param {Object} ticket - Ticket to transfer
+   */
+  const toggleTransferForm = (ticket) => {
+    setTransferTicketId(transferTicketId === ticket.id ? null : ticket.id);
+    setTransferEmail('');
+  };
+
+  const pendingTransfers = transfers.filter(transfer => transfer.status === 'pending');
+  const incomingTransfers = pendingTransfers.filter(transfer => transfer.to_user_id === user?.id);
+
+  return (
+    <section className="my-tickets" aria-labelledby="my-tickets-title">
+      <h2 id="my-tickets-title">My Tickets</h2>
+
+      <StatusMessage message={message} />
+
+      {incomingTransfers.length > 0 && (
+        <div className="incoming-transfers">
+          <h3>Tickets Sent to You</h3>
+          <ul className="tickets-list">
+            {incomingTransfers.map((transfer) => (
+              <li key={transfer.id} className="ticket-item">
+                <p className="event-name">
+                  {transfer.from_email} sent you a ticket for {transfer.event_name}
+                </p>
+                <div className="event-actions">
+                  <button
+                    onClick={() => updateTransfer(transfer, 'accept')}
+                    disabled={busyTransferId === transfer.id}
+                    className="show-qr-btn"
+                    aria-label={`Accept ticket for ${transfer.event_name} from ${transfer.from_email}`}
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => updateTransfer(transfer, 'cancel')}
+                    disabled={busyTransferId === transfer.id}
+                    className="cancel-order-btn"
+                    aria-label={`Decline ticket for ${transfer.event_name} from ${transfer.from_email}`}
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner message="Loading tickets..." />
+      ) : tickets.length === 0 ? (
+        <p className="events-count">You do not have any tickets yet</p>
+      ) : (
+        <ul className="tickets-list">
+          {tickets.map((ticket) => {
+            const qrCode = qrCodes[ticket.id];
+            const isValid = ticket.status === 'valid';
+            const status = isValid && ticket.checked_in_at ? 'checked_in' : ticket.status;
+            const outgoingTransfer = pendingTransfers.find(transfer => transfer.ticket_id === ticket.id && transfer.from_user_id === user?.id);
+            const canTransfer = isValid && !ticket.checked_in_at;
+
+            return (
+              <li key={ticket.id} className="ticket-item">
+                <div className="event-info">
+                  <h3 className="event-name">{ticket.event_name}</h3>
+                  <p className="event-date">
+                    <span className="label">Date: </span>
+                    <time dateTime={ticket.event_date}>{new Date(ticket.event_date).toLocaleDateString()}</time>
+                  </p>
+                  {ticket.ticket_type_name && (
+                    <p className="ticket-type">
+                      <span className="label">Ticket Type: </span>
+                      {ticket.ticket_type_name}
+                    </p>
+                  )}
+                  {ticket.seat_id && (
+                    <p className="ticket-seat">
+                      <span className="label">Seat: </span>
+                      {`${ticket.section_name} Row ${ticket.row_label} Seat ${ticket.seat_number}`}
+                    </p>
+                  )}
+                  <p className={`ticket-status ${status}`}>
+                    {STATUS_LABELS[status] || status}
+                  </p>
+                </div>
+
+                {isValid && (
+                  <div className="event-actions">
+                    <button
+                      onClick={() => toggleQrCode(ticket)}
+                      disabled={loadingTicketId === ticket.id}
+                      className="show-qr-btn"
+                      aria-expanded={Boolean(qrCode)}
+                      aria-label={`${qrCode ? 'Hide' : 'Show'} QR code for ${ticket.event_name} ticket ${ticket.id}`}
+                    >
+                      {loadingTicketId === ticket.id ? 'Loading...' : qrCode ? 'Hide QR Code' : 'Show QR Code'}
+                    </button>
+                    {canTransfer && !outgoingTransfer && (
+                      <button
+                        onClick={() => toggleTransferForm(ticket)}
+                        className="transfer-btn"
+                        aria-expanded={transferTicketId === ticket.id}
+                        aria-label={`Transfer ${ticket.event_name} ticket ${ticket.id}`}
+                      >
+                        Transfer
+                      </button>
+                    )}
+                    {outgoingTransfer && (
+                      <>
+                        <p className="ticket-transfer">Waiting for {outgoingTransfer.to_email} to accept</p>
+                        <button
+                          onClick={() => updateTransfer(outgoingTransfer, 'cancel')}
+                          disabled={busyTransferId === outgoingTransfer.id}
+                          className="cancel-order-btn"
+                          aria-label={`Cancel transfer of ${ticket.event_name} ticket ${ticket.id}`}
+                        >
+                          Cancel Transfer
+                        </button>
+                      </>
+                    )}
+                    {transferTicketId === ticket.id && (
+                      <form className="transfer-form" onSubmit={startTransfer}>
+                        <label htmlFor={`transfer-email-${ticket.id}`}>Recipient's email</label>
+                        <input
+                          id={`transfer-email-${ticket.id}`}
+                          type="email"
+                          value={transferEmail}
+                          onChange={(e) => setTransferEmail(e.target.value)}
+                          required
+                        />
+                        <button
+                          type="submit"
+                          disabled={busyTransferId === `ticket-${ticket.id}`}
+                          className="show-qr-btn"
+                        >
+                          Send Ticket
+                        </button>
+                      </form>
+                    )}
+                    {qrCode && (
+                      <figure className="ticket-qr">
+                        <img src={qrCode} alt={`QR code for ${ticket.event_name} ticket ${ticket.id}`} />
+                        <figcaption className="ticket-code">{ticket.code}</figcaption>
+                      </figure>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default MyTickets;
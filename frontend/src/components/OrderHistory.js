@@ -0,0 +1,196 @@
+/**
+ * Order History Component
+ * 
+ * Lists the logged-in user's ticket orders and lets them cancel
+ * some or all of the remaining tickets on an order for a refund.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+import StatusMessage from './StatusMessage';
+import { formatCents } from '../utils/formatPrice';
+
+/**
+ * Human-readable labels for order statuses
+ */
+const STATUS_LABELS = {
+  completed: 'Completed',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded'
+};
+
+/**
+ * OrderHistory component for viewing and cancelling orders
+ * 
+ * @param {Object} props - Component properties
+ * @param {Function} [props.onCancel] - Called with (eventId, updatedEvent) after a refund
+ * @returns {JSX.Element} Order history section
+ */
+function OrderHistory({ onCancel }) {
+  const { getAuthHeader } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [cancellingOrderId, setCancellingOrderId] = useState(null);
+  const [refundCounts, setRefundCounts] = useState({});
+
+  /**
+   * Fetch the user's orders from the client service
+   */
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/orders`, {
+        headers: {
+          ...getAuthHeader()
+        },
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setOrders(data.orders);
+      } else {
+        setMessage(`Error: ${data.message || 'Failed to load orders'}`);
+      }
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error fetching orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [getAuthHeader]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  /**
+   * Cancel the selected number of tickets on an order
+   * 
+   * @param {Object} order - Order to cancel tickets from
+   */
+  const cancelOrder = async (order) => {
+    const remaining = order.quantity - order.refunded_quantity;
+    const ticketCount = refundCounts[order.id] || remaining;
+
+    if (!window.confirm(`Cancel ${ticketCount} ticket(s) for ${order.event_name}?`)) {
+      return;
+    }
+
+    try {
+      setCancellingOrderId(order.id);
+      setMessage('');
+
+      const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/orders/${order.id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeader()
+        },
+        credentials: 'include',
+        body: JSON.stringify({ ticketCount })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setOrders(prevOrders =>
+          prevOrders.map(existing => existing.id === order.id ? data.order : existing)
+        );
+        setRefundCounts(prevCounts => ({ ...prevCounts, [order.id]: undefined }));
+        setMessage(data.message);
+
+        if (onCancel) {
+          onCancel(order.event_id, data.event);
+        }
+      } else {
+        setMessage(`Error: ${data.message || 'Failed to cancel tickets'}`);
+      }
+    } catch (error) {
+      setMessage('Error: Failed to connect to the server');
+      console.error('Error cancelling order:', error);
+    } finally {
+      setCancellingOrderId(null);
+    }
+  };
+
+  return (
+    <section className="order-history" aria-labelledby="order-history-title">
+      <h2 id="order-history-title">My Orders</h2>
+
+      <StatusMessage message={message} />
+
+      {loading ? (
+        <LoadingSpinner message="Loading orders..." />
+      ) : orders.length === 0 ? (
+        <p className="events-count">You have not purchased any tickets yet</p>
+      ) : (
+        <ul className="orders-list">
+          {orders.map((order) => {
+            const remaining = order.quantity - order.refunded_quantity;
+            const isCancelling = cancellingOrderId === order.id;
+
+            return (
+              <li key={order.id} className="order-item">
+                <div className="event-info">
+                  <h3 className="event-name">{order.event_name}</h3>
+                  <p className="event-date">
+                    <span className="label">Date: </span>
+                    <time dateTime={order.event_date}>{new Date(order.event_date).toLocaleDateString()}</time>
+                  </p>
+                  <p className="order-details">
+                    <span className="label">Tickets: </span>
+                    {order.quantity}
+                    {order.refunded_quantity > 0 && ` (${order.refunded_quantity} refunded)`}
+                  </p>
+                  <p className="order-total">
+                    <span className="label">Total Paid: </span>
+                    {formatCents(order.total_cents, order.currency)}
+                    {order.fee_cents > 0 && ` (includes ${formatCents(order.fee_cents, order.currency)} fees)`}
+                    {order.refunded_cents > 0 && `, ${formatCents(order.refunded_cents, order.currency)} refunded`}
+                  </p>
+                  <p className={`order-status ${order.status}`}>
+                    {STATUS_LABELS[order.status] || order.status}
+                  </p>
+                </div>
+
+                {remaining > 0 && (
+                  <div className="event-actions">
+                    {remaining > 1 && (
+                      <label className="refund-count">
+                        <span className="label">Tickets to cancel: </span>
+                        <select
+                          value={refundCounts[order.id] || remaining}
+                          onChange={(e) => setRefundCounts(prevCounts => ({
+                            ...prevCounts,
+                            [order.id]: parseInt(e.target.value, 10)
+                          }))}
+                          disabled={isCancelling}
+                        >
+                          {Array.from({ length: remaining }, (_, index) => index + 1).map(count => (
+                            <option key={count} value={count}>{count}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                    <button
+                      onClick={() => cancelOrder(order)}
+                      disabled={isCancelling}
+                      className="cancel-order-btn"
+                      aria-label={`Cancel tickets for ${order.event_name}`}
+                    >
+                      {isCancelling ? 'Cancelling...' : 'Cancel Tickets'}
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default OrderHistory;
@@ -0,0 +1,132 @@
+/**
+ * Seat Map Component
+ *
+ * Shows the seats of an event with reserved seating, laid out by section
+ * and row, and lets the user pick the seats they want before buying.
+ * Taken seats cannot be picked. The map is reloaded whenever the event's
+ * ticket count changes, so seats bought by anyone drop out of it.
+ */
+
+import React, { useEffect, useState } from 'react';
+
+/**
+ * SeatMap component for choosing and buying reserved seats
+ *
+ * @param {Object} props - Component properties
+ * @param {number} props.eventId - ID of the event
+ * @param {string} props.eventName - Name of the event, for labels
+ * @param {number} props.ticketsAvailable - The event's ticket count, which changes when seats sell
+ * @param {boolean} props.isPurchasing - Whether seats for this event are being bought
+ * @param {Function} props.onPurchase - Function called with the chosen seat IDs
+ * @returns {JSX.Element} Seat map with a buy button
+ */
+function SeatMap({ eventId, eventName, ticketsAvailable, isPurchasing, onPurchase }) {
+  const [sections, setSections] = useState([]);
+  const [selectedSeatIds, setSelectedSeatIds] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    /**
+     * Fetch the seat map and clear the seats chosen from the old one
+     */
+    const fetchSeats = async () => {
+      try {
+        const response = await fetch(`${process.env.REACT_APP_BASE_URL}/api/client/events/${eventId}/seats`);
+        const data = await response.json();
+
+        if (cancelled) {
+          return;
+        }
+        if (!data.success) {
+          setError(data.message || 'Failed to load seats');
+          return;
+        }
+
+        setError('');
+        setSections(data.sections);
+        setSelectedSeatIds([]);
+      } catch (err) {
+        if (!cancelled) {
+          setError('Failed to load seats');
+          console.error('Error fetching seats:', err);
+        }
+      }
+    };
+
+    fetchSeats();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [eventId, ticketsAvailable]);
+
+  /**
+   * Choose a seat, or give it back if it is already chosen
+   *
+   * @param {number} seatId - ID of the seat clicked
+   */
+  const toggleSeat = (seatId) => {
+    setSelectedSeatIds(prevSeatIds => (
+      prevSeatIds.includes(seatId)
+        ? prevSeatIds.filter(id => id !== seatId)
+        : [...prevSeatIds, seatId]
+    ));
+  };
+
+  const seatText = selectedSeatIds.length === 1 ? 'seat' : 'seats';
+
+  return (
+    <div className="seat-map">
+      {error && <p className="seat-map-error" role="alert">{error}</p>}
+      {sections.map(section => (
+        <fieldset key={section.id} className="seat-section">
+          <legend>{section.name}</legend>
+          {section.rows.map(row => (
+            <div key={row.id} className="seat-row">
+              <span className="seat-row-label" aria-hidden="true">{row.label}</span>
+              {row.seats.map(seat => {
+                const isSelected = selectedSeatIds.includes(seat.id);
+                return (
+                  <button
+                    key={seat.id}
+                    type="button"
+                    className={`seat ${isSelected ? 'selected' : ''} ${seat.available ? '' : 'taken'}`}
+                    onClick={() => toggleSeat(seat.id)}
+                    disabled={!seat.available || isPurchasing}
+                    aria-pressed={isSelected}
+                    aria-label={`${seat.label}${seat.available ? '' : ' (taken)'}`}
+                  >
+                    {seat.number}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </fieldset>
+      ))}
+
+      <button
+        className="buy-ticket-btn"
+        onClick={() => onPurchase(selectedSeatIds)}
+        disabled={selectedSeatIds.length === 0 || isPurchasing}
+        aria-label={`Buy ${selectedSeatIds.length} ${seatText} for ${eventName}`}
+      >
+        {isPurchasing ? (
+          <>
+            <span aria-hidden="true">...</span>
+            <span>Processing...</span>
+          </>
+        ) : (
+          <>
+            <span aria-hidden="true">+</span>
+            <span>{selectedSeatIds.length === 0 ? 'Choose Seats' : `Buy ${selectedSeatIds.length} ${seatText}`}</span>
+          </>
+        )}
+      </button>
+    </div>
+  );
+}
+
+export default SeatMap;
@@ -6,10 +6,10 @@
  */
 
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import ChatSidebar from '../ChatSidebar';
-import { setupFetchMock } from '../../testUtils';
+import { setupFetchMock, renderWithMockAuth } from '../../testUtils';
 
 describe('ChatSidebar Component', () => {
   let fetchMock;
@@ -36,7 +36,7 @@ describe('ChatSidebar Component', () => {
 
   describe('Basic Rendering', () => {
     test('renders chat toggle button', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       expect(toggleButton).toBeInTheDocument();
@@ -44,7 +44,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('opens chat sidebar when toggle button is clicked', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -54,7 +54,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('displays welcome message on mount', async () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -65,7 +65,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('closes chat sidebar when toggle button is clicked again', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -80,7 +80,7 @@ describe('ChatSidebar Component', () => {
 
   describe('Message Input', () => {
     test('renders message input field', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -89,7 +89,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('updates input value when typing', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -101,7 +101,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('send button is disabled when input is empty', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -111,7 +111,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('send button is enabled when input has text', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -133,7 +133,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -157,7 +157,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -181,7 +181,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -197,7 +197,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('does not send empty message', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -222,7 +222,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -238,6 +238,32 @@ describe('ChatSidebar Component', () => {
       });
     });
 
+    test('shows ticket prices on event cards', async () => {
+      fetchMock.mockSuccess({
+        data: {
+          text: 'Tickets are $35.00',
+          foundEvents: [
+            {
+              event_id: 1,
+              name: 'Basketball Game',
+              date: '2025-12-15',
+              tickets_available: 100,
+              price_cents: 3500,
+              currency: 'USD'
+            }
+          ]
+        }
+      });
+
+      renderWithMockAuth(<ChatSidebar />);
+      
+      fireEvent.click(screen.getByRole('button', { name: /open chat/i }));
+      fireEvent.change(screen.getByPlaceholderText(/Ask about events/i), { target: { value: 'how much are basketball tickets?' } });
+      fireEvent.click(screen.getByRole('button', { name: /send message/i }));
+      
+      expect(await screen.findByText('Price: $35.00')).toBeInTheDocument();
+    });
+
     test('displays events when LLM returns foundEvents', async () => {
       fetchMock.mockSuccess({
         data: {
@@ -259,7 +285,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -281,7 +307,7 @@ describe('ChatSidebar Component', () => {
     test('displays error message on LLM service failure', async () => {
       fetchMock.mockError({ message: 'Service unavailable' });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -300,7 +326,7 @@ describe('ChatSidebar Component', () => {
     test('displays network error message on fetch failure', async () => {
       fetchMock.mockNetworkError();
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -326,7 +352,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -350,7 +376,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -386,7 +412,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -415,7 +441,7 @@ describe('ChatSidebar Component', () => {
         }
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -459,7 +485,7 @@ describe('ChatSidebar Component', () => {
       });
 
       const mockOnPurchase = jest.fn();
-      render(<ChatSidebar onPurchase={mockOnPurchase} />);
+      renderWithMockAuth(<ChatSidebar onPurchase={mockOnPurchase} />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -482,6 +508,104 @@ describe('ChatSidebar Component', () => {
       expect(mockOnPurchase).toHaveBeenCalledWith(1, expect.anything());
     });
 
+    test('sends the auth header with the purchase request', async () => {
+      global.fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          data: {
+            text: 'Found events',
+            foundEvents: [
+              { event_id: 3, name: 'Concert', date: '2025-12-15', tickets_available: 50 }
+            ]
+          }
+        })
+      });
+      global.fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          event: { tickets_available: 49 }
+        })
+      });
+
+      renderWithMockAuth(<ChatSidebar />, {
+        getAuthHeader: () => ({ 'Authorization': 'Bearer mock-jwt-token' })
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: /open chat/i }));
+      fireEvent.change(screen.getByPlaceholderText(/Ask about events/i), { target: { value: 'concert' } });
+      fireEvent.click(screen.getByRole('button', { name: /send message/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Purchase Ticket')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Purchase Ticket'));
+
+      await waitFor(() => {
+        expect(global.fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/api/client/events/3/purchase'),
+          expect.objectContaining({
+            headers: expect.objectContaining({ 'Authorization': 'Bearer mock-jwt-token' })
+          })
+        );
+      });
+    });
+
+    test('buys the chosen ticket type from an event card', async () => {
+      global.fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          data: {
+            text: 'Found events',
+            foundEvents: [
+              {
+                event_id: 4,
+                name: 'Gala',
+                date: '2025-12-15',
+                tickets_available: 50,
+                currency: 'USD',
+                ticket_types: [
+                  { id: 21, name: 'Student', price_cents: 1000, tickets_available: 0 },
+                  { id: 22, name: 'General', price_cents: 2500, tickets_available: 50 }
+                ]
+              }
+            ]
+          }
+        })
+      });
+      global.fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          event: { tickets_available: 49 }
+        })
+      });
+
+      renderWithMockAuth(<ChatSidebar />, {
+        getAuthHeader: () => ({ 'Authorization': 'Bearer mock-jwt-token' })
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: /open chat/i }));
+      fireEvent.change(screen.getByPlaceholderText(/Ask about events/i), { target: { value: 'gala' } });
+      fireEvent.click(screen.getByRole('button', { name: /send message/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Buy General - $25.00')).toBeInTheDocument();
+      });
+      expect(screen.getByText('Student - Sold Out')).toBeDisabled();
+
+      fireEvent.click(screen.getByText('Buy General - $25.00'));
+
+      await waitFor(() => {
+        expect(global.fetch).toHaveBeenCalledWith(
+          expect.stringContaining('/api/client/events/4/purchase'),
+          expect.objectContaining({
+            headers: expect.objectContaining({ 'Idempotency-Key': expect.any(String) }),
+            body: JSON.stringify({ ticketCount: 1, ticketTypeId: 22 })
+          })
+        );
+      });
+    });
+
     test('displays error message on purchase failure', async () => {
       // Mock LLM response
       global.fetch.mockResolvedValueOnce({
@@ -509,7 +633,7 @@ describe('ChatSidebar Component', () => {
         })
       });
 
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -529,11 +653,60 @@ describe('ChatSidebar Component', () => {
         expect(screen.getByText(/Not enough tickets available/i)).toBeInTheDocument();
       });
     });
+
+    test('resends the same idempotency key after a purchase loses its connection', async () => {
+      global.fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          data: {
+            text: 'Found events',
+            foundEvents: [
+              {
+                event_id: 1,
+                name: 'Concert',
+                date: '2025-12-15',
+                tickets_available: 50
+              }
+            ]
+          }
+        })
+      });
+      global.fetch.mockRejectedValueOnce(new Error('Network error'));
+      global.fetch.mockResolvedValueOnce({
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          event: { tickets_available: 49 }
+        })
+      });
+
+      renderWithMockAuth(<ChatSidebar />);
+
+      fireEvent.click(screen.getByRole('button', { name: /open chat/i }));
+      fireEvent.change(screen.getByPlaceholderText(/Ask about events/i), { target: { value: 'concert' } });
+      fireEvent.click(screen.getByRole('button', { name: /send message/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Purchase Ticket')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Purchase Ticket'));
+      await waitFor(() => {
+        expect(screen.getByText(/Failed to connect to the server/i)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Purchase Ticket'));
+      await waitFor(() => {
+        expect(screen.getByText(/Successfully purchased 1 ticket/i)).toBeInTheDocument();
+      });
+
+      const [lostCall, retryCall] = global.fetch.mock.calls.slice(-2);
+      expect(retryCall[1].headers['Idempotency-Key']).toBe(lostCall[1].headers['Idempotency-Key']);
+    });
   });
 
   describe('Voice Input', () => {
     test('renders microphone button', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -542,7 +715,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('microphone button is disabled when speech not supported', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -554,7 +727,7 @@ describe('ChatSidebar Component', () => {
 
   describe('Accessibility', () => {
     test('has accessible labels for all interactive elements', () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       expect(screen.getByRole('button', { name: /open chat/i })).toBeInTheDocument();
       
@@ -565,7 +738,7 @@ describe('ChatSidebar Component', () => {
     });
 
     test('displays timestamps for messages', async () => {
-      render(<ChatSidebar />);
+      renderWithMockAuth(<ChatSidebar />);
       
       const toggleButton = screen.getByRole('button', { name: /open chat/i });
       fireEvent.click(toggleButton);
@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import EventFilters, { DEFAULT_EVENT_FILTERS } from '../EventFilters';
+
+describe('EventFilters Component', () => {
+    const mockOnChange = jest.fn();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('renders the search bar and filter controls', () => {
+        render(<EventFilters filters={DEFAULT_EVENT_FILTERS} onChange={mockOnChange} />);
+
+        expect(screen.getByRole('search')).toBeInTheDocument();
+        expect(screen.getByLabelText('Search events')).toBeInTheDocument();
+        expect(screen.getByLabelText('Category')).toHaveValue('');
+        expect(screen.getByLabelText('From')).toBeInTheDocument();
+        expect(screen.getByLabelText('To')).toBeInTheDocument();
+        expect(screen.getByLabelText('Sort by')).toHaveValue('');
+        expect(screen.getByRole('option', { name: 'Date (soonest first)' })).toHaveValue('');
+        expect(screen.getByLabelText('Only events with tickets left')).not.toBeChecked();
+    });
+
+    test('applies the search text only when the search is submitted', () => {
+        render(<EventFilters filters={DEFAULT_EVENT_FILTERS} onChange={mockOnChange} />);
+
+        fireEvent.change(screen.getByLabelText('Search events'), { target: { value: '  jazz  ' } });
+        expect(mockOnChange).not.toHaveBeenCalled();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+        expect(mockOnChange).toHaveBeenCalledWith({ ...DEFAULT_EVENT_FILTERS, q: 'jazz' });
+    });
+
+    test('applies the other filters as soon as they change', () => {
+        const filters = { ...DEFAULT_EVENT_FILTERS, category: 'arts' };
+        render(<EventFilters filters={filters} onChange={mockOnChange} />);
+
+        fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: '-price' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...filters, sort: '-price' });
+
+        fireEvent.change(screen.getByLabelText('From'), { target: { value: '2025-12-01' } });
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...filters, from: '2025-12-01' });
+
+        fireEvent.click(screen.getByLabelText('Only events with tickets left'));
+        expect(mockOnChange).toHaveBeenLastCalledWith({ ...filters, available: true });
+    });
+
+    test('offers the best match first while searching', () => {
+        render(<EventFilters filters={{ ...DEFAULT_EVENT_FILTERS, q: 'jazz' }} onChange={mockOnChange} />);
+
+        expect(screen.getByRole('option', { name: 'Best match' })).toHaveValue('');
+        expect(screen.getByRole('option', { name: 'Date (soonest first)' })).toHaveValue('date');
+    });
+
+    test('clears every filter', () => {
+        const filters = { q: 'jazz', category: 'arts', from: '2025-12-01', to: '2025-12-31', available: true, sort: 'name' };
+        const { rerender } = render(<EventFilters filters={filters} onChange={mockOnChange} />);
+        expect(screen.getByLabelText('Search events')).toHaveValue('jazz');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+        expect(mockOnChange).toHaveBeenCalledWith(DEFAULT_EVENT_FILTERS);
+
+        rerender(<EventFilters filters={DEFAULT_EVENT_FILTERS} onChange={mockOnChange} />);
+        expect(screen.getByLabelText('Search events')).toHaveValue('');
+    });
+});
@@ -2,6 +2,8 @@ import React from 'react';
 import { render, screen, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import EventItem from '../EventItem';
+import { formatEventSchedule } from '../../utils/formatEventTime';
+import { setupFetchMock } from '../../testUtils';
 
 describe('EventItem Component', () => {
     const mockEvent = {
@@ -38,6 +40,32 @@ describe('EventItem Component', () => {
         expect(screen.getByText(/100 tickets available/i)).toBeInTheDocument();
     });
 
+    test('renders the ticket price', () => {
+        const paidEvent = { ...mockEvent, price_cents: 3500, currency: 'USD' };
+        render(<EventItem event={paidEvent} onPurchase={mockOnPurchase} />);
+        
+        expect(screen.getByText('$35.00')).toBeInTheDocument();
+    });
+
+    test('renders "Free" for events without a price', () => {
+        render(<EventItem event={mockEvent} onPurchase={mockOnPurchase} />);
+        
+        expect(screen.getByText('Free')).toBeInTheDocument();
+    });
+
+    test('renders the per-customer purchase limit', () => {
+        const limitedEvent = { ...mockEvent, max_per_user: 4 };
+        render(<EventItem event={limitedEvent} onPurchase={mockOnPurchase} />);
+
+        expect(screen.getByText('4 per customer')).toBeInTheDocument();
+    });
+
+    test('does not render a limit for unlimited events', () => {
+        render(<EventItem event={{ ...mockEvent, max_per_user: null }} onPurchase={mockOnPurchase} />);
+
+        expect(screen.queryByText(/per customer/i)).not.toBeInTheDocument();
+    });
+
     test('renders "Buy Ticket" button when tickets available', () => {
         render(<EventItem event={mockEvent} onPurchase={mockOnPurchase} />);
         
@@ -122,6 +150,282 @@ describe('EventItem Component', () => {
         expect(screen.getByLabelText(/1 ticket remaining/i)).toBeInTheDocument();
     });
 
+    describe('with ticket types', () => {
+        const tieredEvent = {
+            ...mockEvent,
+            price_cents: 3500,
+            currency: 'USD',
+            ticket_types: [
+                { id: 11, name: 'Student', price_cents: 1000, tickets_available: 0 },
+                { id: 12, name: 'General', price_cents: 3500, tickets_available: 40 },
+                { id: 13, name: 'Courtside', price_cents: 15000, tickets_available: 5 }
+            ]
+        };
+
+        test('defaults to the first ticket type with tickets left', () => {
+            render(<EventItem event={tieredEvent} onPurchase={mockOnPurchase} />);
+            
+            const select = screen.getByLabelText(/Ticket Type/i);
+            expect(select).toHaveValue('12');
+            expect(screen.getByRole('option', { name: /Student - \$10\.00 \(sold out\)/i })).toBeDisabled();
+            expect(screen.getByText('$35.00')).toBeInTheDocument();
+        });
+
+        test('calls onPurchase with the selected ticket type', () => {
+            render(<EventItem event={tieredEvent} onPurchase={mockOnPurchase} />);
+            
+            fireEvent.change(screen.getByLabelText(/Ticket Type/i), { target: { value: '13' } });
+            expect(screen.getByText('$150.00')).toBeInTheDocument();
+
+            fireEvent.click(screen.getByRole('button', { name: /Buy ticket/i }));
+            
+            expect(mockOnPurchase).toHaveBeenCalledWith(1, 'Basketball Game', 13);
+        });
+
+        test('shows sold out when every ticket type is sold out', () => {
+            const soldOutTiers = {
+                ...tieredEvent,
+                ticket_types: tieredEvent.ticket_types.map(type => ({ ...type, tickets_available: 0 }))
+            };
+            render(<EventItem event={soldOutTiers} onPurchase={mockOnPurchase} />);
+            
+            const button = screen.getByRole('button', { name: /Buy ticket/i });
+            expect(button).toBeDisabled();
+            expect(button).toHaveTextContent(/Sold Out/i);
+        });
+    });
+
+    describe('with a waitlist', () => {
+        const soldOutEvent = { ...mockEvent, tickets_available: 0 };
+        const mockOnJoinWaitlist = jest.fn();
+        const mockOnClaim = jest.fn();
+
+        test('offers to join the waitlist when sold out', () => {
+            render(<EventItem event={soldOutEvent} onPurchase={mockOnPurchase} onJoinWaitlist={mockOnJoinWaitlist} />);
+
+            const button = screen.getByRole('button', { name: /Join the waitlist for Basketball Game/i });
+            expect(button).not.toBeDisabled();
+            expect(button).toHaveTextContent('Join Waitlist');
+
+            fireEvent.click(button);
+
+            expect(mockOnJoinWaitlist).toHaveBeenCalledWith(1, 'Basketball Game', null);
+            expect(mockOnPurchase).not.toHaveBeenCalled();
+        });
+
+        test('shows the user\'s place in line', () => {
+            const entry = { id: 5, event_id: 1, status: 'waiting', position: 3, quantity: 1 };
+            render(
+                <EventItem
+                    event={soldOutEvent}
+                    onPurchase={mockOnPurchase}
+                    onJoinWaitlist={mockOnJoinWaitlist}
+                    waitlistEntry={entry}
+                />
+            );
+
+            expect(screen.getByText('You are #3 on the waitlist')).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /You are on the waitlist/i })).toBeDisabled();
+        });
+
+        test('lets the user claim tickets held for them', () => {
+            const entry = {
+                id: 5,
+                event_id: 1,
+                status: 'offered',
+                position: null,
+                quantity: 1,
+                hold_id: 9,
+                claim_expires_at: '2099-12-01 18:30:00'
+            };
+            render(
+                <EventItem
+                    event={soldOutEvent}
+                    onPurchase={mockOnPurchase}
+                    waitlistEntry={entry}
+                    onClaim={mockOnClaim}
+                />
+            );
+
+            expect(screen.getByText(/1 ticket is being held for you until/i)).toBeInTheDocument();
+
+            fireEvent.click(screen.getByRole('button', { name: /Claim the tickets held for you/i }));
+
+            expect(mockOnClaim).toHaveBeenCalledWith(entry);
+        });
+    });
+
+    describe('event details', () => {
+        const detailedEvent = {
+            ...mockEvent,
+            starts_at: '2025-12-16T00:00:00.000Z',
+            ends_at: '2025-12-16T02:00:00.000Z',
+            time_zone: 'America/New_York',
+            venue: 'Littlejohn Coliseum',
+            description: 'ACC basketball against Duke.',
+            category: 'athletics',
+            image_url: 'https://example.com/basketball.png'
+        };
+
+        test('renders the start and end time in the event\'s time zone', () => {
+            render(<EventItem event={detailedEvent} onPurchase={mockOnPurchase} />);
+
+            expect(screen.getByText('When:')).toBeInTheDocument();
+            expect(screen.getByText('Mon, Dec 15, 2025, 7:00 PM EST - 9:00 PM EST'))
+                .toHaveAttribute('datetime', '2025-12-16T00:00:00.000Z');
+            expect(screen.queryByText(/Date:/i)).not.toBeInTheDocument();
+        });
+
+        test('renders the venue, category, description and image', () => {
+            render(<EventItem event={detailedEvent} onPurchase={mockOnPurchase} />);
+
+            expect(screen.getByText('Littlejohn Coliseum')).toBeInTheDocument();
+            expect(screen.getByText('Athletics')).toBeInTheDocument();
+            expect(screen.getByText('ACC basketball against Duke.')).toBeInTheDocument();
+            expect(screen.getByRole('presentation')).toHaveAttribute('src', 'https://example.com/basketball.png');
+        });
+
+        test('leaves out details the event does not have', () => {
+            render(<EventItem event={{ ...mockEvent, category: 'other' }} onPurchase={mockOnPurchase} />);
+
+            expect(screen.queryByText(/Venue:/i)).not.toBeInTheDocument();
+            expect(screen.queryByText('Other')).not.toBeInTheDocument();
+            expect(screen.queryByRole('presentation')).not.toBeInTheDocument();
+        });
+    });
+
+    describe('when cancelled', () => {
+        const cancelledEvent = { ...mockEvent, status: 'cancelled', cancellation_reason: 'Severe weather' };
+
+        test('shows the cancellation reason and blocks purchases', () => {
+            render(<EventItem event={cancelledEvent} onPurchase={mockOnPurchase} />);
+
+            expect(screen.getByText('Severe weather')).toBeInTheDocument();
+
+            const button = screen.getByRole('button', { name: /Basketball Game has been cancelled/i });
+            expect(button).toBeDisabled();
+            expect(button).toHaveTextContent('Cancelled');
+
+            fireEvent.click(button);
+
+            expect(mockOnPurchase).not.toHaveBeenCalled();
+        });
+
+        test('does not offer the waitlist for a sold-out cancelled event', () => {
+            render(
+                <EventItem
+                    event={{ ...cancelledEvent, tickets_available: 0 }}
+                    onPurchase={mockOnPurchase}
+                    onJoinWaitlist={jest.fn()}
+                />
+            );
+
+            expect(screen.queryByRole('button', { name: /Join the waitlist/i })).not.toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /has been cancelled/i })).toBeDisabled();
+        });
+    });
+
+    describe('when not on sale', () => {
+        test.each([
+            ['past', 'Past Event', 'has already taken place'],
+            ['in_progress', 'In Progress', 'has already started'],
+            ['sales_closed', 'Sales Closed', 'is no longer on sale'],
+            ['upcoming', 'Sales Not Open', 'is not on sale yet']
+        ])('blocks purchases for a %s event', (lifecycleStatus, label, description) => {
+            render(<EventItem event={{ ...mockEvent, lifecycle_status: lifecycleStatus }} onPurchase={mockOnPurchase} />);
+
+            const button = screen.getByRole('button', { name: `Basketball Game ${description}` });
+            expect(button).toBeDisabled();
+            expect(button).toHaveTextContent(label);
+
+            fireEvent.click(button);
+
+            expect(mockOnPurchase).not.toHaveBeenCalled();
+        });
+
+        test('shows when sales open for an upcoming event', () => {
+            render(
+                <EventItem
+                    event={{ ...mockEvent, lifecycle_status: 'upcoming', sales_start: '2099-03-01T15:00:00.000Z' }}
+                    onPurchase={mockOnPurchase}
+                />
+            );
+
+            expect(screen.getByText(/On Sale:/i)).toBeInTheDocument();
+            expect(screen.getByText(formatEventSchedule('2099-03-01T15:00:00.000Z'))).toHaveAttribute(
+                'datetime', '2099-03-01T15:00:00.000Z'
+            );
+        });
+
+        test('does not offer the waitlist for a sold-out past event', () => {
+            render(
+                <EventItem
+                    event={{ ...mockEvent, tickets_available: 0, lifecycle_status: 'past' }}
+                    onPurchase={mockOnPurchase}
+                    onJoinWaitlist={jest.fn()}
+                />
+            );
+
+            expect(screen.queryByRole('button', { name: /Join the waitlist/i })).not.toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /has already taken place/i })).toBeDisabled();
+        });
+
+        test('sells tickets for an event on sale', () => {
+            render(<EventItem event={{ ...mockEvent, lifecycle_status: 'on_sale' }} onPurchase={mockOnPurchase} />);
+
+            fireEvent.click(screen.getByRole('button', { name: /Buy ticket for Basketball Game/i }));
+
+            expect(mockOnPurchase).toHaveBeenCalledWith(1, 'Basketball Game');
+        });
+    });
+
+    describe('reserved seating', () => {
+        const seatedEvent = { ...mockEvent, tickets_available: 0, reserved_seating: 1 };
+
+        beforeEach(() => {
+            const fetchMock = setupFetchMock();
+            fetchMock.mockSuccess({
+                seatsAvailable: 1,
+                sections: [{
+                    id: 1,
+                    name: 'Lower Level',
+                    rows: [{ id: 10, label: 'A', seats: [{ id: 101, number: 1, label: 'Lower Level Row A Seat 1', available: true }] }]
+                }]
+            });
+        });
+
+        test('buys the seats chosen on the seat map', async () => {
+            render(<EventItem event={{ ...seatedEvent, tickets_available: 1 }} onPurchase={mockOnPurchase} />);
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Lower Level Row A Seat 1' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Buy 1 seat for Basketball Game' }));
+
+            expect(mockOnPurchase).toHaveBeenCalledWith(1, 'Basketball Game', null, [101]);
+            expect(screen.queryByText('Buy Ticket')).not.toBeInTheDocument();
+        });
+
+        test('does not offer the waitlist when every seat is taken', async () => {
+            render(<EventItem event={seatedEvent} onPurchase={mockOnPurchase} onJoinWaitlist={jest.fn()} />);
+
+            expect(await screen.findByText('Lower Level')).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: /Join the waitlist/i })).not.toBeInTheDocument();
+        });
+
+        test('shows no seat map for a cancelled event', () => {
+            render(<EventItem event={{ ...seatedEvent, status: 'cancelled' }} onPurchase={mockOnPurchase} />);
+
+            expect(screen.getByRole('button', { name: /has been cancelled/i })).toBeDisabled();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('shows no seat map for an event whose sales have closed', () => {
+            render(<EventItem event={{ ...seatedEvent, lifecycle_status: 'sales_closed' }} onPurchase={mockOnPurchase} />);
+
+            expect(screen.getByRole('button', { name: /is no longer on sale/i })).toBeDisabled();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+
     test('has correct accessibility attributes', () => {
         render(<EventItem event={mockEvent} onPurchase={mockOnPurchase} />);
         
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import EventsList from '../EventsList';
 
@@ -91,4 +91,66 @@ describe('EventsList Component', () => {
         
         expect(screen.getByText(/No events available/i)).toBeInTheDocument();
     });
+
+    test('shows the filter controls when it can change the filters', () => {
+        const filters = { q: '', category: '', from: '', to: '', available: false, sort: '' };
+        const { rerender } = render(<EventsList events={mockEvents} onPurchase={mockOnPurchase} />);
+        expect(screen.queryByRole('search')).not.toBeInTheDocument();
+
+        rerender(
+            <EventsList
+                events={mockEvents}
+                onPurchase={mockOnPurchase}
+                filters={filters}
+                onFiltersChange={jest.fn()}
+                isLoading
+            />
+        );
+        expect(screen.getByRole('search')).toBeInTheDocument();
+        expect(screen.queryByRole('list')).not.toBeInTheDocument();
+    });
+
+    test('counts every matching event, not just the loaded ones', () => {
+        render(<EventsList events={mockEvents} onPurchase={mockOnPurchase} totalCount={45} />);
+
+        expect(screen.getByText('45 events available')).toBeInTheDocument();
+    });
+
+    test('loads more events when there are more to load', () => {
+        const mockOnLoadMore = jest.fn();
+        const { rerender } = render(
+            <EventsList events={mockEvents} onPurchase={mockOnPurchase} hasMore onLoadMore={mockOnLoadMore} />
+        );
+
+        fireEvent.click(screen.getByRole('button', { name: 'Load more events' }));
+        expect(mockOnLoadMore).toHaveBeenCalledTimes(1);
+
+        rerender(
+            <EventsList events={mockEvents} onPurchase={mockOnPurchase} hasMore onLoadMore={mockOnLoadMore} isLoadingMore />
+        );
+        expect(screen.getByRole('button', { name: 'Loading more events...' })).toBeDisabled();
+
+        rerender(<EventsList events={mockEvents} onPurchase={mockOnPurchase} onLoadMore={mockOnLoadMore} />);
+        expect(screen.queryByRole('button', { name: /more events/i })).not.toBeInTheDocument();
+    });
+
+    test('loads more events when the end of the list scrolls into view', () => {
+        const observers = [];
+        window.IntersectionObserver = jest.fn(function (callback) {
+            this.observe = jest.fn();
+            this.disconnect = jest.fn();
+            observers.push({ callback, instance: this });
+        });
+        const mockOnLoadMore = jest.fn();
+
+        try {
+            render(<EventsList events={mockEvents} onPurchase={mockOnPurchase} hasMore onLoadMore={mockOnLoadMore} />);
+
+            expect(observers).toHaveLength(1);
+            observers[0].callback([{ isIntersecting: true }]);
+            expect(mockOnLoadMore).toHaveBeenCalledTimes(1);
+        } finally {
+            delete window.IntersectionObserver;
+        }
+    });
 });
@@ -24,6 +24,12 @@ describe('LoadingSpinner Component', () => {
         expect(screen.getByText(/loading/i)).toBeInTheDocument();
     });
 
+    test('displays a custom loading message', () => {
+        render(<LoadingSpinner message="Loading orders..." />);
+        
+        expect(screen.getByRole('status')).toHaveTextContent('Loading orders...');
+    });
+
     test('has aria-live="polite" for accessibility', () => {
         render(<LoadingSpinner />);
         
@@ -0,0 +1,256 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MyTickets from '../MyTickets';
+import { setupFetchMock, renderWithMockAuth } from '../../testUtils';
+
+describe('MyTickets Component', () => {
+    let fetchMock;
+    const authOverrides = {
+        getAuthHeader: () => ({ 'Authorization': 'Bearer mock-jwt-token' })
+    };
+
+    const mockTickets = [
+        {
+            id: 7,
+            order_id: 2,
+            event_id: 1,
+            event_name: 'Basketball Game',
+            event_date: '2099-12-15',
+            ticket_type_name: 'Courtside',
+            seat_id: 101,
+            section_name: 'Lower Level',
+            row_label: 'A',
+            seat_number: 1,
+            code: 'TT1.1.abc.sig',
+            status: 'valid'
+        },
+        {
+            id: 3,
+            order_id: 1,
+            event_id: 2,
+            event_name: 'Concert',
+            event_date: '2099-12-20',
+            ticket_type_name: null,
+            code: 'TT1.2.def.sig',
+            status: 'refunded'
+        }
+    ];
+
+    const mockLoad = (tickets, transfers = []) => {
+        fetchMock.mockSuccess({ tickets });
+        fetchMock.mockSuccess({ transfers });
+    };
+
+    beforeEach(() => {
+        fetchMock = setupFetchMock();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fetches and lists the user\'s tickets with the auth header', async () => {
+        mockLoad(mockTickets);
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        expect(await screen.findByText('Basketball Game')).toBeInTheDocument();
+        expect(screen.getByText('Concert')).toBeInTheDocument();
+        expect(screen.getByText('Courtside')).toBeInTheDocument();
+        expect(screen.getByText('Lower Level Row A Seat 1')).toBeInTheDocument();
+        expect(screen.getByText('Refunded')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledWith(
+            expect.stringContaining('/api/client/tickets'),
+            expect.objectContaining({
+                headers: expect.objectContaining({ 'Authorization': 'Bearer mock-jwt-token' })
+            })
+        );
+    });
+
+    test('shows an empty state when there are no tickets', async () => {
+        mockLoad([]);
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        expect(await screen.findByText(/do not have any tickets/i)).toBeInTheDocument();
+    });
+
+    test('marks tickets that were scanned at the venue', async () => {
+        mockLoad([{ ...mockTickets[0], checked_in_at: '2099-12-15 18:00:00' }]);
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        expect(await screen.findByText('Checked In')).toBeInTheDocument();
+    });
+
+    test('only offers QR codes for valid tickets', async () => {
+        mockLoad(mockTickets);
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        expect(await screen.findByRole('button', { name: /Show QR code for Basketball Game ticket 7/i })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /Concert/i })).not.toBeInTheDocument();
+    });
+
+    test('loads and shows a ticket\'s QR code and code', async () => {
+        mockLoad(mockTickets);
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        const button = await screen.findByRole('button', { name: /Show QR code for Basketball Game ticket 7/i });
+
+        fetchMock.mockSuccess({
+            ticket: mockTickets[0],
+            code: mockTickets[0].code,
+            qrCode: { svg: '<svg></svg>', png: 'data:image/png;base64,AAAA' }
+        });
+        fireEvent.click(button);
+
+        const image = await screen.findByAltText('QR code for Basketball Game ticket 7');
+        expect(image).toHaveAttribute('src', 'data:image/png;base64,AAAA');
+        expect(screen.getByText('TT1.1.abc.sig')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenLastCalledWith(
+            expect.stringContaining('/api/client/tickets/7'),
+            expect.objectContaining({
+                headers: expect.objectContaining({ 'Authorization': 'Bearer mock-jwt-token' })
+            })
+        );
+
+        fireEvent.click(screen.getByRole('button', { name: /Hide QR code for Basketball Game ticket 7/i }));
+
+        expect(screen.queryByAltText('QR code for Basketball Game ticket 7')).not.toBeInTheDocument();
+    });
+
+    test('shows an error when a ticket cannot be loaded', async () => {
+        mockLoad(mockTickets);
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        const button = await screen.findByRole('button', { name: /Show QR code for Basketball Game ticket 7/i });
+
+        fetchMock.mockError('Ticket with ID 7 does not exist');
+        fireEvent.click(button);
+
+        await waitFor(() => {
+            expect(screen.getByText(/Ticket with ID 7 does not exist/i)).toBeInTheDocument();
+        });
+    });
+
+    test('shows an error when tickets fail to load', async () => {
+        fetchMock.mockNetworkError();
+
+        renderWithMockAuth(<MyTickets />, authOverrides);
+
+        await waitFor(() => {
+            expect(screen.getByText(/Failed to connect to the server/i)).toBeInTheDocument();
+        });
+    });
+
+    describe('transfers', () => {
+        const outgoing = {
+            id: 5,
+            ticket_id: 7,
+            event_name: 'Basketball Game',
+            from_user_id: 1,
+            from_email: 'test@clemson.edu',
+            to_user_id: 2,
+            to_email: 'friend@clemson.edu',
+            status: 'pending'
+        };
+        const incoming = {
+            id: 6,
+            ticket_id: 11,
+            event_name: 'Football Game',
+            from_user_id: 2,
+            from_email: 'friend@clemson.edu',
+            to_user_id: 1,
+            to_email: 'test@clemson.edu',
+            status: 'pending'
+        };
+
+        test('sends a ticket to another account', async () => {
+            mockLoad(mockTickets);
+
+            renderWithMockAuth(<MyTickets />, authOverrides);
+
+            fireEvent.click(await screen.findByRole('button', { name: /Transfer Basketball Game ticket 7/i }));
+            fireEvent.change(screen.getByLabelText(/Recipient's email/i), { target: { value: 'friend@clemson.edu' } });
+
+            fetchMock.mockSuccess({ message: 'Transfer started. The ticket moves to friend@clemson.edu once they accept it.', transfer: outgoing });
+            mockLoad(mockTickets, [outgoing]);
+            fireEvent.click(screen.getByRole('button', { name: 'Send Ticket' }));
+
+            expect(await screen.findByText('Waiting for friend@clemson.edu to accept')).toBeInTheDocument();
+            expect(screen.getByText(/The ticket moves to friend@clemson.edu/i)).toBeInTheDocument();
+            expect(global.fetch).toHaveBeenCalledWith(
+                expect.stringContaining('/api/client/tickets/7/transfers'),
+                expect.objectContaining({
+                    method: 'POST',
+                    body: JSON.stringify({ email: 'friend@clemson.edu' })
+                })
+            );
+        });
+
+        test('lets the sender cancel a pending transfer', async () => {
+            mockLoad(mockTickets, [outgoing]);
+
+            renderWithMockAuth(<MyTickets />, authOverrides);
+
+            const button = await screen.findByRole('button', { name: /Cancel transfer of Basketball Game ticket 7/i });
+            expect(screen.queryByRole('button', { name: /^Transfer Basketball Game/i })).not.toBeInTheDocument();
+
+            fetchMock.mockSuccess({ message: 'Transfer cancelled', transfer: { ...outgoing, status: 'cancelled' } });
+            mockLoad(mockTickets, [{ ...outgoing, status: 'cancelled' }]);
+            fireEvent.click(button);
+
+            expect(await screen.findByRole('button', { name: /^Transfer Basketball Game ticket 7/i })).toBeInTheDocument();
+            expect(global.fetch).toHaveBeenCalledWith(
+                expect.stringContaining('/api/client/transfers/5/cancel'),
+                expect.objectContaining({ method: 'POST' })
+            );
+        });
+
+        test('lets the recipient accept a ticket sent to them', async () => {
+            mockLoad(mockTickets, [incoming]);
+
+            renderWithMockAuth(<MyTickets />, authOverrides);
+
+            expect(await screen.findByText('friend@clemson.edu sent you a ticket for Football Game')).toBeInTheDocument();
+
+            fetchMock.mockSuccess({ message: 'Ticket for Football Game received' });
+            mockLoad([...mockTickets, { ...mockTickets[0], id: 11, event_name: 'Football Game' }], [{ ...incoming, status: 'accepted' }]);
+            fireEvent.click(screen.getByRole('button', { name: /Accept ticket for Football Game/i }));
+
+            expect(await screen.findByText('Ticket for Football Game received')).toBeInTheDocument();
+            expect(screen.queryByText(/sent you a ticket/i)).not.toBeInTheDocument();
+            expect(global.fetch).toHaveBeenCalledWith(
+                expect.stringContaining('/api/client/transfers/6/accept'),
+                expect.objectContaining({ method: 'POST' })
+            );
+        });
+
+        test('shows an error when a transfer fails', async () => {
+            mockLoad(mockTickets, [incoming]);
+
+            renderWithMockAuth(<MyTickets />, authOverrides);
+
+            const button = await screen.findByRole('button', { name: /Decline ticket for Football Game/i });
+
+            fetchMock.mockError('Transfer has already been cancelled');
+            fireEvent.click(button);
+
+            expect(await screen.findByText(/Transfer has already been cancelled/i)).toBeInTheDocument();
+        });
+
+        test('does not offer transfers for checked-in tickets', async () => {
+            mockLoad([{ ...mockTickets[0], checked_in_at: '2099-12-15 18:00:00' }]);
+
+            renderWithMockAuth(<MyTickets />, authOverrides);
+
+            expect(await screen.findByText('Checked In')).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: /^Transfer/i })).not.toBeInTheDocument();
+        });
+    });
+});
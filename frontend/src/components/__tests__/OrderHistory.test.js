@@ -0,0 +1,152 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import OrderHistory from '../OrderHistory';
+import { setupFetchMock, renderWithMockAuth } from '../../testUtils';
+
+describe('OrderHistory Component', () => {
+    let fetchMock;
+    const authOverrides = {
+        getAuthHeader: () => ({ 'Authorization': 'Bearer mock-jwt-token' })
+    };
+
+    const mockOrders = [
+        {
+            id: 2,
+            event_id: 1,
+            event_name: 'Basketball Game',
+            event_date: '2099-12-15',
+            quantity: 3,
+            refunded_quantity: 0,
+            fee_cents: 375,
+            total_cents: 7875,
+            refunded_cents: 0,
+            currency: 'USD',
+            status: 'completed'
+        },
+        {
+            id: 1,
+            event_id: 2,
+            event_name: 'Concert',
+            event_date: '2099-12-20',
+            quantity: 1,
+            refunded_quantity: 1,
+            status: 'refunded'
+        }
+    ];
+
+    beforeEach(() => {
+        fetchMock = setupFetchMock();
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fetches and lists the user\'s orders with the auth header', async () => {
+        fetchMock.mockSuccess({ orders: mockOrders });
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        expect(await screen.findByText('Basketball Game')).toBeInTheDocument();
+        expect(screen.getByText('Concert')).toBeInTheDocument();
+        expect(screen.getByText('Refunded')).toBeInTheDocument();
+        expect(global.fetch).toHaveBeenCalledWith(
+            expect.stringContaining('/api/client/orders'),
+            expect.objectContaining({
+                headers: expect.objectContaining({ 'Authorization': 'Bearer mock-jwt-token' })
+            })
+        );
+    });
+
+    test('shows what was paid for each order', async () => {
+        fetchMock.mockSuccess({ orders: mockOrders });
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        expect(await screen.findByText(/\$78\.75 \(includes \$3\.75 fees\)/)).toBeInTheDocument();
+    });
+
+    test('shows an empty state when there are no orders', async () => {
+        fetchMock.mockSuccess({ orders: [] });
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        expect(await screen.findByText(/not purchased any tickets/i)).toBeInTheDocument();
+    });
+
+    test('only offers cancellation for orders with remaining tickets', async () => {
+        fetchMock.mockSuccess({ orders: mockOrders });
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        await screen.findByText('Basketball Game');
+        expect(screen.getByRole('button', { name: /Cancel tickets for Basketball Game/i })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: /Cancel tickets for Concert/i })).not.toBeInTheDocument();
+    });
+
+    test('cancels the selected number of tickets and reports the refund', async () => {
+        fetchMock.mockSuccess({ orders: mockOrders });
+        const onCancel = jest.fn();
+
+        renderWithMockAuth(<OrderHistory onCancel={onCancel} />, authOverrides);
+
+        await screen.findByText('Basketball Game');
+        fireEvent.change(screen.getByRole('combobox'), { target: { value: '2' } });
+
+        fetchMock.mockSuccess({
+            message: 'Successfully refunded 2 ticket(s) for Basketball Game',
+            order: { ...mockOrders[0], refunded_quantity: 2, status: 'partially_refunded' },
+            event: { id: 1, tickets_available: 52 }
+        });
+
+        fireEvent.click(screen.getByRole('button', { name: /Cancel tickets for Basketball Game/i }));
+
+        expect(await screen.findByText(/Successfully refunded 2 ticket/i)).toBeInTheDocument();
+        expect(screen.getByText('Partially refunded')).toBeInTheDocument();
+        expect(onCancel).toHaveBeenCalledWith(1, { id: 1, tickets_available: 52 });
+        expect(global.fetch).toHaveBeenLastCalledWith(
+            expect.stringContaining('/api/client/orders/2/cancel'),
+            expect.objectContaining({
+                method: 'POST',
+                body: JSON.stringify({ ticketCount: 2 })
+            })
+        );
+    });
+
+    test('does nothing when the user declines the confirmation', async () => {
+        fetchMock.mockSuccess({ orders: mockOrders });
+        window.confirm.mockReturnValue(false);
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        await screen.findByText('Basketball Game');
+        fireEvent.click(screen.getByRole('button', { name: /Cancel tickets for Basketball Game/i }));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('shows the server error when cancellation is refused', async () => {
+        fetchMock.mockSuccess({ orders: mockOrders });
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        await screen.findByText('Basketball Game');
+        fetchMock.mockError('Refunds are not available within 24 hours of the event');
+        fireEvent.click(screen.getByRole('button', { name: /Cancel tickets for Basketball Game/i }));
+
+        expect(await screen.findByText(/Refunds are not available within 24 hours/i)).toBeInTheDocument();
+    });
+
+    test('shows a connection error when orders cannot be loaded', async () => {
+        fetchMock.mockNetworkError();
+
+        renderWithMockAuth(<OrderHistory />, authOverrides);
+
+        await waitFor(() => {
+            expect(screen.getByText(/Failed to connect to the server/i)).toBeInTheDocument();
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SeatMap from '../SeatMap';
+import { setupFetchMock } from '../../testUtils';
+
+describe('SeatMap Component', () => {
+    let fetchMock;
+    const mockOnPurchase = jest.fn();
+
+    const mockSections = [
+        {
+            id: 1,
+            name: 'Lower Level',
+            rows: [
+                {
+                    id: 10,
+                    label: 'A',
+                    seats: [
+                        { id: 101, number: 1, label: 'Lower Level Row A Seat 1', available: true },
+                        { id: 102, number: 2, label: 'Lower Level Row A Seat 2', available: false },
+                        { id: 103, number: 3, label: 'Lower Level Row A Seat 3', available: true }
+                    ]
+                }
+            ]
+        }
+    ];
+
+    const renderSeatMap = (props = {}) => render(
+        <SeatMap
+            eventId={5}
+            eventName="Basketball Game"
+            ticketsAvailable={2}
+            isPurchasing={false}
+            onPurchase={mockOnPurchase}
+            {...props}
+        />
+    );
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fetchMock = setupFetchMock();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fetches and shows the seats by section and row', async () => {
+        fetchMock.mockSuccess({ seatsAvailable: 2, sections: mockSections });
+
+        renderSeatMap();
+
+        expect(await screen.findByText('Lower Level')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Lower Level Row A Seat 1' })).toBeEnabled();
+        expect(screen.getByRole('button', { name: 'Lower Level Row A Seat 2 (taken)' })).toBeDisabled();
+        expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/api/client/events/5/seats'));
+    });
+
+    test('buys the chosen seats', async () => {
+        fetchMock.mockSuccess({ seatsAvailable: 2, sections: mockSections });
+
+        renderSeatMap();
+
+        const buyButton = screen.getByRole('button', { name: 'Buy 0 seats for Basketball Game' });
+        expect(buyButton).toBeDisabled();
+        expect(buyButton).toHaveTextContent('Choose Seats');
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Lower Level Row A Seat 1' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Lower Level Row A Seat 3' }));
+
+        expect(screen.getByRole('button', { name: 'Lower Level Row A Seat 1' })).toHaveAttribute('aria-pressed', 'true');
+        fireEvent.click(screen.getByRole('button', { name: 'Buy 2 seats for Basketball Game' }));
+
+        expect(mockOnPurchase).toHaveBeenCalledWith([101, 103]);
+    });
+
+    test('lets a chosen seat be given back', async () => {
+        fetchMock.mockSuccess({ seatsAvailable: 2, sections: mockSections });
+
+        renderSeatMap();
+
+        const seat = await screen.findByRole('button', { name: 'Lower Level Row A Seat 1' });
+        fireEvent.click(seat);
+        expect(screen.getByRole('button', { name: 'Buy 1 seat for Basketball Game' })).toHaveTextContent('Buy 1 seat');
+
+        fireEvent.click(seat);
+
+        expect(seat).toHaveAttribute('aria-pressed', 'false');
+        expect(screen.getByRole('button', { name: 'Buy 0 seats for Basketball Game' })).toBeDisabled();
+    });
+
+    test('reloads the seats when the ticket count changes', async () => {
+        fetchMock.mockSuccess({ seatsAvailable: 2, sections: mockSections });
+        fetchMock.mockSuccess({ seatsAvailable: 1, sections: mockSections });
+
+        const { rerender } = renderSeatMap();
+        fireEvent.click(await screen.findByRole('button', { name: 'Lower Level Row A Seat 1' }));
+
+        rerender(
+            <SeatMap
+                eventId={5}
+                eventName="Basketball Game"
+                ticketsAvailable={1}
+                isPurchasing={false}
+                onPurchase={mockOnPurchase}
+            />
+        );
+
+        await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: 'Lower Level Row A Seat 1' })).toHaveAttribute('aria-pressed', 'false');
+        });
+    });
+
+    test('disables the seats while buying', async () => {
+        fetchMock.mockSuccess({ seatsAvailable: 2, sections: mockSections });
+
+        renderSeatMap({ isPurchasing: true });
+
+        expect(await screen.findByRole('button', { name: 'Lower Level Row A Seat 1' })).toBeDisabled();
+        expect(screen.getByText('Processing...')).toBeInTheDocument();
+    });
+
+    test('shows an error when the seats cannot be loaded', async () => {
+        fetchMock.mockError('Basketball Game does not have reserved seating');
+
+        renderSeatMap();
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Basketball Game does not have reserved seating');
+    });
+
+    test('shows an error when the server cannot be reached', async () => {
+        fetchMock.mockNetworkError();
+
+        renderSeatMap();
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Failed to load seats');
+    });
+});
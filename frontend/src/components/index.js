@@ -9,8 +9,12 @@ export { default as Header } from './Header';
 export { default as StatusMessage } from './StatusMessage';
 export { default as LoadingSpinner } from './LoadingSpinner';
 export { default as EventItem } from './EventItem';
+export { default as EventFilters } from './EventFilters';
+export { default as SeatMap } from './SeatMap';
 export { default as EventsList } from './EventsList';
 export { default as RefreshButton } from './RefreshButton';
 export { default as ChatSidebar } from './ChatSidebar';
 export { default as Login } from './Login';
-export { default as Register } from './Register';
\ No newline at end of file
+export { default as Register } from './Register';
+export { default as OrderHistory } from './OrderHistory';
+export { default as MyTickets } from './MyTickets';
\ No newline at end of file
@@ -7,7 +7,7 @@
 
 import React from 'react';
 import { render } from '@testing-library/react';
-import { AuthProvider } from './context/AuthContext';
+import AuthContext, { AuthProvider } from './context/AuthContext';
 
 /**
  * Mock AuthContext value for testing
@@ -68,6 +68,21 @@ export const renderWithAuth = (ui, options = {}) => {
   );
 };
 
+/**
+ * Custom render function that wraps components with a mocked AuthContext
+ * 
+ * @param {JSX.Element} ui - Component to render
+ * @param {Object} overrides - Custom auth context values
+ * @returns {Object} Render result
+ */
+export const renderWithMockAuth = (ui, overrides = {}) => {
+  return render(
+    <AuthContext.Provider value={createMockAuthContext(overrides)}>
+      {ui}
+    </AuthContext.Provider>
+  );
+};
+
 /**
  * Mock useAuth hook with custom values
  * 
@@ -0,0 +1,24 @@
+import { formatEventSchedule } from '../formatEventTime';
+
+describe('formatEventSchedule', () => {
+    test('shows the start time in the event\'s time zone', () => {
+        expect(formatEventSchedule('2025-11-29T17:00:00.000Z', null, 'America/New_York'))
+            .toBe('Sat, Nov 29, 2025, 12:00 PM EST');
+        expect(formatEventSchedule('2025-11-29T17:00:00.000Z', null, 'America/Los_Angeles'))
+            .toBe('Sat, Nov 29, 2025, 9:00 AM PST');
+    });
+
+    test('defaults to Eastern time', () => {
+        expect(formatEventSchedule('2025-07-04T23:00:00.000Z')).toBe('Fri, Jul 4, 2025, 7:00 PM EDT');
+    });
+
+    test('shows only the end time when the event ends the same day', () => {
+        expect(formatEventSchedule('2025-11-29T17:00:00.000Z', '2025-11-29T20:30:00.000Z', 'America/New_York'))
+            .toBe('Sat, Nov 29, 2025, 12:00 PM EST - 3:30 PM EST');
+    });
+
+    test('shows the full end date when the event runs past midnight', () => {
+        expect(formatEventSchedule('2025-12-16T03:00:00.000Z', '2025-12-16T06:00:00.000Z', 'America/New_York'))
+            .toBe('Mon, Dec 15, 2025, 10:00 PM EST - Tue, Dec 16, 2025, 1:00 AM EST');
+    });
+});
@@ -0,0 +1,31 @@
+import { formatCents, formatPrice } from '../formatPrice';
+
+describe('formatCents', () => {
+    test('formats cents as dollars', () => {
+        expect(formatCents(2550, 'USD')).toBe('$25.50');
+    });
+
+    test('defaults to USD', () => {
+        expect(formatCents(100)).toBe('$1.00');
+    });
+
+    test('treats missing amounts as zero', () => {
+        expect(formatCents(undefined)).toBe('$0.00');
+    });
+
+    test('uses the given currency', () => {
+        expect(formatCents(1000, 'EUR')).toContain('10.00');
+        expect(formatCents(1000, 'EUR')).toContain('€');
+    });
+});
+
+describe('formatPrice', () => {
+    test('shows Free for free tickets', () => {
+        expect(formatPrice(0, 'USD')).toBe('Free');
+        expect(formatPrice(undefined)).toBe('Free');
+    });
+
+    test('formats paid tickets', () => {
+        expect(formatPrice(7500, 'USD')).toBe('$75.00');
+    });
+});
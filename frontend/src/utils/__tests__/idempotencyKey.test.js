@@ -0,0 +1,28 @@
+import { createIdempotencyKey } from '../idempotencyKey';
+
+describe('createIdempotencyKey', () => {
+    const originalCrypto = window.crypto;
+
+    afterEach(() => {
+        Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true });
+    });
+
+    test('uses crypto.randomUUID when available', () => {
+        Object.defineProperty(window, 'crypto', {
+            value: { randomUUID: jest.fn(() => '123e4567-e89b-12d3-a456-426614174000') },
+            configurable: true
+        });
+
+        expect(createIdempotencyKey()).toBe('123e4567-e89b-12d3-a456-426614174000');
+    });
+
+    test('falls back to a random key without crypto.randomUUID', () => {
+        Object.defineProperty(window, 'crypto', { value: undefined, configurable: true });
+
+        const first = createIdempotencyKey();
+        const second = createIdempotencyKey();
+
+        expect(first).toMatch(/^[a-z0-9]+-[a-z0-9]+$/);
+        expect(first).not.toBe(second);
+    });
+});
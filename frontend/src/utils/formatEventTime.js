@@ -0,0 +1,46 @@
+/**
+ * Event Time Formatting Utilities
+ *
+ * Event start and end times come from the API as UTC ISO strings along
+ * with the IANA time zone the event takes place in. These helpers show
+ * them in the event's own time zone, so a 7 PM kickoff reads as 7 PM
+ * wherever the user is browsing from.
+ */
+
+// Categories events are listed under, with their display labels
+export const EVENT_CATEGORY_LABELS = {
+  athletics: 'Athletics',
+  arts: 'Arts',
+  career: 'Career',
+  academic: 'Academic',
+  social: 'Social',
+  other: 'Other'
+};
+
+/**
+ * Format an event's start time, and its end time when it has one
+ * The end is shown as just a time when the event ends on the day it starts.
+ *
+ * @param {string} startsAt - Start time as an ISO 8601 string
+ * @param {string|null} [endsAt] - End time as an ISO 8601 string
+ * @param {string} [timeZone='America/New_York'] - IANA time zone of the event
+ * @returns {string} Formatted schedule, e.g. "Sat, Nov 29, 2025, 12:00 PM EST - 3:30 PM EST"
+ */
+export function formatEventSchedule(startsAt, endsAt, timeZone = 'America/New_York') {
+  const time = { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+  const day = { timeZone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+  const start = new Date(startsAt);
+  const startText = start.toLocaleString(undefined, { ...day, ...time });
+
+  if (!endsAt) {
+    return startText;
+  }
+
+  const end = new Date(endsAt);
+  const sameDay = start.toLocaleDateString(undefined, day) === end.toLocaleDateString(undefined, day);
+  const endText = sameDay
+    ? end.toLocaleTimeString(undefined, time)
+    : end.toLocaleString(undefined, { ...day, ...time });
+
+  return `${startText} - ${endText}`;
+}
@@ -0,0 +1,31 @@
+/**
+ * Price Formatting Utilities
+ * 
+ * Prices come from the API as integer cents plus an ISO 4217 currency code.
+ * These helpers turn them into localized strings for display.
+ */
+
+/**
+ * Format an amount in integer cents as a localized currency string
+ * 
+ * @param {number} cents - Amount in integer cents
+ * @param {string} [currency='USD'] - ISO 4217 currency code
+ * @returns {string} Formatted amount, e.g. "$25.00"
+ */
+export function formatCents(cents, currency = 'USD') {
+  return new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: currency || 'USD'
+  }).format((cents || 0) / 100);
+}
+
+/**
+ * Format a ticket price, showing "Free" for free events
+ * 
+ * @param {number} priceCents - Ticket price in integer cents
+ * @param {string} [currency='USD'] - ISO 4217 currency code
+ * @returns {string} Formatted price or "Free"
+ */
+export function formatPrice(priceCents, currency = 'USD') {
+  return priceCents ? formatCents(priceCents, currency) : 'Free';
+}
@@ -0,0 +1,19 @@
+/**
+ * Idempotency Key Utilities
+ * 
+ * Purchase requests carry an Idempotency-Key header so the server buys
+ * tickets at most once per key, even if the request is sent twice.
+ */
+
+/**
+ * Generate a new random idempotency key
+ * 
+ * @returns {string} Unique key, a UUID where the browser supports it
+ */
+export function createIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}